@@ -0,0 +1,129 @@
+// config/emailTemplates.js
+// Outgoing email templates (donors and user accounts). Each returns { subject, html, text }.
+
+const ngo = require('./ngo');
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[c]));
+
+const rupees = (n) => `Rs. ${Number(n).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * donationAcknowledgment - thank-you mail for a recorded donation
+ * `receipt` is the donation_receipts row when an 80G receipt has been issued.
+ */
+function donationAcknowledgment({ donor, donation, receipt }) {
+  const name = donor.contact_person || donor.donor_frf_name;
+  const amount = rupees(donation.amount);
+  const date = String(donation.donation_date).slice(0, 10);
+  const receiptLine = receipt
+    ? `Your 80G receipt ${receipt.receipt_number} is attached for your tax records.`
+    : 'Your 80G receipt will follow once it has been issued.';
+
+  return {
+    subject: `Thank you for your donation to ${ngo.name}`,
+    text: [
+      `Dear ${name},`,
+      '',
+      `Thank you for your generous donation of ${amount} on ${date}${donation.purpose ? ` towards ${donation.purpose}` : ''}.`,
+      donation.transaction_id ? `Transaction reference: ${donation.transaction_id}` : null,
+      receiptLine,
+      '',
+      'With gratitude,',
+      ngo.name,
+    ].filter(line => line !== null).join('\n'),
+    html: `
+      <p>Dear ${escapeHtml(name)},</p>
+      <p>Thank you for your generous donation of <strong>${amount}</strong> on ${escapeHtml(date)}${donation.purpose ? ` towards ${escapeHtml(donation.purpose)}` : ''}.</p>
+      ${donation.transaction_id ? `<p>Transaction reference: ${escapeHtml(donation.transaction_id)}</p>` : ''}
+      <p>${escapeHtml(receiptLine)}</p>
+      <p>With gratitude,<br>${escapeHtml(ngo.name)}</p>
+    `,
+  };
+}
+
+/**
+ * pledgeReminder - gentle nudge for a pledge with unpaid instalments
+ * `pledge` is a row from utils/pledges.js with its standing columns.
+ */
+function pledgeReminder({ donor, pledge }) {
+  const name = donor.contact_person || donor.donor_frf_name;
+  const amount = rupees(pledge.amount);
+  const outstanding = rupees(pledge.overdue_amount);
+  const since = String(pledge.oldest_unpaid_due).slice(0, 10);
+  const towards = pledge.purpose ? ` towards ${pledge.purpose}` : '';
+
+  return {
+    subject: `Your ${pledge.frequency} pledge to ${ngo.name}`,
+    text: [
+      `Dear ${name},`,
+      '',
+      `Thank you for pledging ${amount} ${pledge.frequency}${towards}. Our records show ${outstanding} outstanding since ${since}.`,
+      'If you have already sent it, please ignore this note; otherwise we would be grateful if you could send it when convenient.',
+      '',
+      'With gratitude,',
+      ngo.name,
+    ].join('\n'),
+    html: `
+      <p>Dear ${escapeHtml(name)},</p>
+      <p>Thank you for pledging <strong>${amount}</strong> ${escapeHtml(pledge.frequency)}${escapeHtml(towards)}. Our records show <strong>${outstanding}</strong> outstanding since ${escapeHtml(since)}.</p>
+      <p>If you have already sent it, please ignore this note; otherwise we would be grateful if you could send it when convenient.</p>
+      <p>With gratitude,<br>${escapeHtml(ngo.name)}</p>
+    `,
+  };
+}
+
+/** Shared layout for the account mails: greeting, one paragraph, one link */
+function accountMail({ subject, user, intro, link, expiry }) {
+  const name = user.username || '';
+  return {
+    subject,
+    text: [
+      `Hello ${name},`,
+      '',
+      intro,
+      link,
+      '',
+      expiry,
+      '',
+      `– ${ngo.name}`,
+    ].join('\n'),
+    html: `
+      <p>Hello ${escapeHtml(name)},</p>
+      <p>${escapeHtml(intro)}</p>
+      <p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>
+      <p>${escapeHtml(expiry)}</p>
+      <p>– ${escapeHtml(ngo.name)}</p>
+    `,
+  };
+}
+
+/** passwordReset - link to choose a new password */
+function passwordReset({ user, link, minutes }) {
+  return accountMail({
+    subject: `Reset your ${ngo.name} password`,
+    user,
+    intro: 'Someone asked to reset the password for your account. Open this link to choose a new one:',
+    link,
+    expiry: `The link works once and expires in ${minutes} minutes. If you didn't ask for it, you can ignore this email.`,
+  });
+}
+
+/** emailVerification - confirms the address before the account joins the approval queue */
+function emailVerification({ user, link, minutes }) {
+  return accountMail({
+    subject: `Verify your email for ${ngo.name}`,
+    user,
+    intro: 'Thanks for signing up. Open this link to confirm your email address; an admin will then review your account:',
+    link,
+    expiry: `The link expires in ${Math.round(minutes / 60)} hours.`,
+  });
+}
+
+module.exports = {
+  donationAcknowledgment,
+  pledgeReminder,
+  passwordReset,
+  emailVerification,
+};
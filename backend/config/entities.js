@@ -0,0 +1,33 @@
+// config/entities.js
+// Table metadata for the FRF entities, keyed by their API path segment.
+// Used by cross-entity features (trash, restore, purge, ownership) that can't live in a single router.
+// `child` is the detail table whose rows hang off the entity (parentKey -> entity id);
+// donors also carry `pledges`, a second detail table checked the same way.
+
+const entities = {
+  students: {
+    table: 'students', label: 'Student', nameColumn: 'student_frf_name', ownerColumn: 'student_frf_owner',
+    child: { table: 'student_session_logs', pk: 'session_log_id', parentKey: 'student_id', label: 'Session log' },
+  },
+  volunteers: {
+    table: 'volunteers', label: 'Volunteer', nameColumn: 'volunteer_frf_name', ownerColumn: 'volunteer_frf_owner',
+    child: { table: 'volunteer_attendance', pk: 'attendance_id', parentKey: 'volunteer_id', label: 'Attendance log' },
+  },
+  donors: {
+    table: 'donors', label: 'Donor', nameColumn: 'donor_frf_name', ownerColumn: 'donor_frf_owner',
+    child: { table: 'donations', pk: 'donation_id', parentKey: 'donor_id', label: 'Donation' },
+    pledges: { table: 'donor_pledges', pk: 'pledge_id', parentKey: 'donor_id', label: 'Pledge' },
+  },
+  board: { table: 'board_members', label: 'Board member', nameColumn: 'board_frf_name', ownerColumn: 'board_frf_owner' },
+  projects: {
+    table: 'projects', label: 'Project', nameColumn: 'project_frf_name', ownerColumn: 'project_frf_owner',
+    child: { table: 'project_attendance_logs', pk: 'project_attendance_log_id', parentKey: 'project_id', label: 'Attendance log' },
+  },
+  finance: {
+    table: 'finance_reports', label: 'Finance report', nameColumn: 'finance_report_frf_name', ownerColumn: 'finance_report_frf_owner',
+    child: { table: 'finance_transactions', pk: 'transaction_id', parentKey: 'finance_report_id', label: 'Transaction' },
+  },
+  campaigns: { table: 'campaigns', label: 'Campaign', nameColumn: 'campaign_frf_name', ownerColumn: 'campaign_frf_owner' },
+};
+
+module.exports = entities;
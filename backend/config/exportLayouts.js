@@ -0,0 +1,231 @@
+// config/exportLayouts.js
+// Per-record PDF layout for each FRF entity. Mirrors the cards and subform
+// tables of the frontend DetailView so an exported record reads the same.
+
+const money = (n) => `$${(Number(n) || 0).toFixed(2)}`;
+const average = (rows, key) => {
+  const values = rows.map(r => Number(r[key])).filter(n => !isNaN(n));
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+};
+const sum = (rows, key) => rows.reduce((acc, r) => acc + (Number(r[key]) || 0), 0);
+
+const FRF_INFO = (prefix, ownerLabel) => ({
+  title: `${ownerLabel} FRF Information`,
+  fields: [
+    [`${prefix}_frf_name`, `${ownerLabel} FRF Name`],
+    [`${prefix}_frf_owner`, `${ownerLabel} FRF Owner`],
+    ['created_by_date', 'Created Date'],
+    ['modified_date', 'Modified Date'],
+    ['email', 'Email'],
+    ['secondary_email', 'Secondary Email'],
+    ['email_opt_out', 'Email Opt Out'],
+  ],
+});
+
+const exportLayouts = {
+  students: {
+    sections: [
+      FRF_INFO('student', 'Student'),
+      {
+        title: 'Personal Information',
+        fields: [
+          ['date_of_birth', 'Date of Birth'], ['father_name', 'Father Name'], ['blood_group', 'Blood Group'],
+          ['mother_name', 'Mother Name'], ['parents_contact_number', 'Parents Contact Number'], ['address', 'Address'],
+          ['monthly_income', 'Monthly Income', money], ['permanent_address', 'Permanent Address'],
+        ],
+      },
+      {
+        title: 'Education',
+        fields: [['class', 'Class'], ['section', 'Section'], ['medium', 'Medium'], ['school', 'School']],
+      },
+    ],
+    subforms: [
+      {
+        title: 'Session Logs',
+        key: 'session_logs',
+        columns: [
+          ['session_date', 'Date'], ['course', 'Course'], ['topic_covered', 'Topic Covered'],
+          ['interest_level', 'Interest Level'], ['challenges_faced', 'Challenges Faced'],
+          ['understanding_level', 'Understanding (1-5)'], ['overall_score', 'Score'],
+          ['remarks', 'Remarks'], ['feedback', 'Feedback'], ['home_work', 'Homework'],
+        ],
+        summary: (rows) => `AVG Overall Score: ${(average(rows, 'overall_score') ?? 0).toFixed(2)}`,
+      },
+    ],
+  },
+
+  volunteers: {
+    sections: [
+      FRF_INFO('volunteer', 'Volunteer'),
+      {
+        title: 'Personal Information',
+        fields: [
+          ['gender', 'Gender'], ['date_of_birth', 'Date of Birth'], ['father_name', 'Father Name'],
+          ['mother_name', 'Mother Name'], ['contact_number', 'Contact Number'],
+          ['emergency_contact_number', 'Emergency Contact Number'], ['address', 'Address'], ['blood_group', 'Blood Group'],
+        ],
+      },
+      {
+        title: 'Work Information',
+        fields: [['company_name', 'Company Name'], ['experience', 'Experience'], ['skill', 'Skill']],
+      },
+      {
+        title: 'Proof Details',
+        fields: [['id_proof_type', 'ID Proof Type'], ['id_number', 'ID Number'], ['joining_date', 'Joining Date']],
+      },
+    ],
+    subforms: [
+      {
+        title: 'Attendance & Performance',
+        key: 'attendance_logs',
+        columns: [['attendance_date', 'Date'], ['attendance_status', 'Attendance'], ['performance', 'Performance'], ['remarks', 'Remarks']],
+        summary: (rows) => {
+          const avg = average(rows, 'performance');
+          return `Avg Performance: ${avg === null ? 'N/A' : avg.toFixed(2)}`;
+        },
+      },
+    ],
+  },
+
+  donors: {
+    sections: [
+      FRF_INFO('donor', 'Donor'),
+      {
+        title: 'Donors Details',
+        fields: [
+          ['donor_id', 'Donor ID'], ['donor_type', 'Donor Type'], ['contact_person', 'Contact Person'],
+          ['contact_number', 'Contact Number'], ['address', 'Address'], ['pan', 'PAN'],
+        ],
+      },
+      {
+        title: 'Giving',
+        fields: [
+          ['lifetime_giving', 'Lifetime Giving', money], ['gift_count', 'Gifts'], ['average_gift', 'Average Gift', money],
+          ['first_gift_date', 'First Gift'], ['last_gift_date', 'Last Gift'], ['giving_segment', 'Segment'],
+        ],
+      },
+    ],
+    subforms: [
+      {
+        title: 'Donor Transactions',
+        key: 'donations',
+        columns: [
+          ['donation_date', 'Date'], ['transaction_id', 'Transaction ID'], ['purpose', 'Purpose'],
+          ['receipt_number', 'Receipt No.'], ['80g_receipt_issued', '80G Receipt Issued'],
+          ['acknowledgment_sent', 'Acknowledgement Sent'], ['donor_feedback', 'Feedback'],
+          ['remarks', 'Remarks'], ['amount', 'Amount', money],
+        ],
+        summary: (rows) => `Total: ${money(sum(rows, 'amount'))}`,
+      },
+    ],
+  },
+
+  board: {
+    sections: [
+      FRF_INFO('board', 'Board of Trustees'),
+      {
+        title: 'Personal Information',
+        fields: [
+          ['gender', 'Gender'], ['date_of_birth', 'Date of Birth'], ['contact_number', 'Contact Number'],
+          ['emergency_contact_number', 'Emergency Contact Number'], ['blood_group', 'Blood Group'],
+          ['father_name', 'Father Name'], ['mother_name', 'Mother Name'], ['address', 'Address'],
+        ],
+      },
+      {
+        title: 'Proof Details',
+        fields: [['id_proof_type', 'ID Proof Type'], ['id_number', 'ID Number'], ['joining_date', 'Joining Date']],
+      },
+      {
+        title: 'Role',
+        fields: [['designation', 'Designation'], ['role_description', 'Role Description']],
+      },
+    ],
+    subforms: [],
+  },
+
+  projects: {
+    sections: [
+      FRF_INFO('project', 'Project'),
+      {
+        title: 'Project Details',
+        fields: [
+          ['project_id', 'Project ID'], ['start_date', 'Start Date'], ['end_date', 'End Date'],
+          ['duration', 'Duration'], ['objective', 'Objective'], ['budget', 'Budget', money],
+          ['budget_utilized', 'Budget Utilized', money], ['impact_summary', 'Impact Summary'],
+          ['location', 'Location'], ['target_group', 'Target Group'], ['responsible_officer', 'Responsible Officer'],
+        ],
+      },
+    ],
+    subforms: [
+      {
+        title: 'Attendance Log',
+        key: 'attendance_logs',
+        columns: [['log_date', 'Date'], ['attent_list', 'Attended'], ['absent_list', 'Absent'], ['overall', 'Overall'], ['remarks', 'Remarks']],
+      },
+    ],
+  },
+
+  finance: {
+    sections: [
+      FRF_INFO('finance_report', 'Finance Report'),
+      { title: 'Project', fields: [['project_frf_name', 'Project'], ['project_name', 'Project Name (legacy)']] },
+      { title: 'Campaign', fields: [['campaign_frf_name', 'Campaign']] },
+    ],
+    subforms: [
+      {
+        title: 'Transaction Ledger',
+        key: 'transactions',
+        columns: [
+          ['transaction_date', 'Date'], ['name', 'Name'], ['income_amount', 'Income', money],
+          ['expense_amount', 'Expense', money], ['bill_transaction_id', 'Bill/Txn ID'], ['gst', 'GST'],
+          ['category_name', 'Category'], ['project_frf_name', 'Project'], ['status', 'Status'],
+          ['remarks', 'Remarks'], ['other_details', 'Other Details'],
+        ],
+        summary: (rows) => {
+          const income = sum(rows, 'income_amount');
+          const expense = sum(rows, 'expense_amount');
+          return `Total Income: ${money(income)}   Total Expense: ${money(expense)}   Net: ${money(income - expense)}`;
+        },
+      },
+    ],
+  },
+
+  campaigns: {
+    sections: [
+      {
+        title: 'Campaign FRF Information',
+        fields: [
+          ['campaign_frf_name', 'Campaign FRF Name'], ['campaign_frf_owner', 'Campaign FRF Owner'],
+          ['created_by_date', 'Created Date'], ['modified_date', 'Modified Date'],
+        ],
+      },
+      {
+        title: 'Campaign Details',
+        fields: [
+          ['id', 'Campaign ID'], ['status', 'Status'], ['channel', 'Channel'], ['project_frf_name', 'Project'],
+          ['start_date', 'Start Date'], ['end_date', 'End Date'], ['description', 'Description'],
+        ],
+      },
+      {
+        title: 'Progress',
+        fields: [
+          ['goal_amount', 'Goal', money], ['raised', 'Raised', money], ['percent_of_goal', '% of Goal'],
+          ['donation_count', 'Donations'], ['donor_count', 'Donors'],
+        ],
+      },
+    ],
+    subforms: [
+      {
+        title: 'Attributed Donations',
+        key: 'donations',
+        columns: [
+          ['donation_date', 'Date'], ['donor_frf_name', 'Donor'], ['transaction_id', 'Transaction ID'],
+          ['purpose', 'Purpose'], ['amount', 'Amount', money],
+        ],
+        summary: (rows) => `Total: ${money(sum(rows, 'amount'))}`,
+      },
+    ],
+  },
+};
+
+module.exports = exportLayouts;
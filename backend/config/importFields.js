@@ -0,0 +1,41 @@
+// config/importFields.js
+// Fields accepted by POST /:entity/import. Mirrors `create_fields` in
+// frontend/constants.tsx so a spreadsheet can fill exactly what the create form can.
+
+const importFields = {
+  students: [
+    { key: 'id', label: 'Student ID', required: true },
+    { key: 'student_frf_name', label: 'Student Name', required: true },
+    { key: 'email', label: 'Email', required: true },
+    { key: 'date_of_birth', label: 'Date of Birth', type: 'date', required: true },
+    { key: 'class', label: 'Class', required: true },
+    { key: 'school', label: 'School', required: true },
+    { key: 'father_name', label: "Father's Name" },
+    { key: 'parents_contact_number', label: 'Parents Contact', required: true },
+    { key: 'address', label: 'Address' }
+  ],
+
+  volunteers: [
+    { key: 'id', label: 'Volunteer ID', required: true },
+    { key: 'volunteer_frf_name', label: 'Volunteer Name', required: true },
+    { key: 'email', label: 'Email', required: true },
+    { key: 'gender', label: 'Gender' },
+    { key: 'contact_number', label: 'Contact Number', required: true },
+    { key: 'skill', label: 'Skill', required: true },
+    { key: 'joining_date', label: 'Joining Date', type: 'date', required: true },
+    { key: 'address', label: 'Address' }
+  ],
+
+  donors: [
+    { key: 'id', label: 'Donor ID', required: true },
+    { key: 'donor_frf_name', label: 'Donor Name', required: true },
+    { key: 'email', label: 'Email', required: true },
+    { key: 'donor_type', label: 'Type', required: true, options: ['Individual', 'Corporate'] },
+    { key: 'contact_person', label: 'Contact Person (if corporate)' },
+    { key: 'contact_number', label: 'Contact Number', required: true },
+    { key: 'address', label: 'Address' },
+    { key: 'pan', label: 'PAN' }
+  ]
+};
+
+module.exports = importFields;
@@ -0,0 +1,18 @@
+// config/ngo.js
+// Organisation details printed on 80G receipts. Set these in .env;
+// receipts can't be issued until the PAN and 80G registration are filled in.
+
+const ngo = {
+  name: process.env.NGO_NAME || 'NGO',
+  address: process.env.NGO_ADDRESS || '',
+  email: process.env.NGO_EMAIL || process.env.SMTP_EMAIL || '',
+  phone: process.env.NGO_PHONE || '',
+  pan: process.env.NGO_PAN || '',
+  registration12A: process.env.NGO_12A_REGISTRATION || '',
+  registration80G: process.env.NGO_80G_REGISTRATION || '',
+  registration80GDate: process.env.NGO_80G_REGISTRATION_DATE || '',
+  signatory: process.env.NGO_SIGNATORY || 'Authorised Signatory',
+  receiptPrefix: process.env.NGO_RECEIPT_PREFIX || '80G',
+};
+
+module.exports = ngo;
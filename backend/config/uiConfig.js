@@ -5,9 +5,11 @@ const uiConfig = {
     entityName: "Students",
     columns: [
       { key: "student_frf_name", label: "Student FRF Name", sortable: true, filterType: "text" },
+      { key: "student_frf_owner", label: "Student FRF Owner", sortable: true, filterType: "user" },
       { key: "class", label: "Class", sortable: true, filterType: "select" },
       { key: "section", label: "Section", sortable: true, filterType: "select" },
-      { key: "avg_overall_score", label: "AVG Overall Score", sortable: true, filterType: "numberRange" }
+      { key: "avg_overall_score", label: "AVG Overall Score", sortable: true, filterType: "numberRange" },
+      { key: "risk_flags", label: "At Risk", sortable: false, filterType: "array" }
     ],
     defaultSort: { key: "student_frf_name", order: "asc" }
   },
@@ -17,7 +19,7 @@ const uiConfig = {
     columns: [
       { key: "volunteer_frf_name", label: "Volunteer FRF Name", sortable: true, filterType: "text" },
       { key: "email", label: "Email", sortable: true, filterType: "text" },
-      { key: "volunteer_frf_owner_user_id", label: "Volunteer FRF Owner", sortable: true, filterType: "user" },
+      { key: "volunteer_frf_owner", label: "Volunteer FRF Owner", sortable: true, filterType: "user" },
       { key: "modified_date", label: "Modified Time", sortable: true, filterType: "date" }
     ],
     defaultSort: { key: "volunteer_frf_name", order: "asc" }
@@ -28,7 +30,15 @@ const uiConfig = {
     columns: [
       { key: "donor_frf_name", label: "Donor FRF Name", sortable: true, filterType: "text" },
       { key: "email", label: "Email", sortable: true, filterType: "text" },
-      { key: "donor_frf_owner_user_id", label: "Donor FRF Owner", sortable: true, filterType: "user" },
+      { key: "donor_frf_owner", label: "Donor FRF Owner", sortable: true, filterType: "user" },
+      { key: "pledge_standing", label: "Pledge Status", sortable: true, filterType: "select" },
+      { key: "lifetime_giving", label: "Lifetime Giving", sortable: true, filterType: "numberRange" },
+      { key: "gift_count", label: "Gifts", sortable: true, filterType: "numberRange" },
+      { key: "average_gift", label: "Average Gift", sortable: true, filterType: "numberRange" },
+      { key: "first_gift_date", label: "First Gift", sortable: true, filterType: "date" },
+      { key: "last_gift_date", label: "Last Gift", sortable: true, filterType: "date" },
+      { key: "giving_segment", label: "Giving Segment", sortable: true, filterType: "select" },
+      { key: "campaign_ids", label: "Campaigns", sortable: false, filterType: "array" },
       { key: "modified_date", label: "Modified Time", sortable: true, filterType: "date" }
     ],
     defaultSort: { key: "donor_frf_name", order: "asc" }
@@ -39,7 +49,7 @@ const uiConfig = {
     columns: [
       { key: "board_frf_name", label: "Board of Trustees FRF Name", sortable: true, filterType: "text" },
       { key: "email", label: "Email", sortable: true, filterType: "text" },
-      { key: "board_frf_owner_user_id", label: "Board FRF Owner", sortable: true, filterType: "user" },
+      { key: "board_frf_owner", label: "Board FRF Owner", sortable: true, filterType: "user" },
       { key: "modified_date", label: "Modified Time", sortable: true, filterType: "date" }
     ],
     defaultSort: { key: "board_frf_name", order: "asc" }
@@ -50,7 +60,7 @@ const uiConfig = {
     columns: [
       { key: "project_frf_name", label: "Project FRF Name", sortable: true, filterType: "text" },
       { key: "email", label: "Email", sortable: true, filterType: "text" },
-      { key: "project_frf_owner_user_id", label: "Project FRF Owner", sortable: true, filterType: "user" },
+      { key: "project_frf_owner", label: "Project FRF Owner", sortable: true, filterType: "user" },
       { key: "modified_date", label: "Modified Time", sortable: true, filterType: "date" }
     ],
     defaultSort: { key: "project_frf_name", order: "asc" }
@@ -61,10 +71,31 @@ const uiConfig = {
     columns: [
       { key: "finance_report_frf_name", label: "Finance Report FRF Name", sortable: true, filterType: "text" },
       { key: "email", label: "Email", sortable: true, filterType: "text" },
-      { key: "finance_report_frf_owner_user_id", label: "Finance FRF Owner", sortable: true, filterType: "user" },
+      { key: "finance_report_frf_owner", label: "Finance FRF Owner", sortable: true, filterType: "user" },
+      { key: "campaign_id", label: "Campaign ID", sortable: true, filterType: "select" },
+      { key: "campaign_frf_name", label: "Campaign", sortable: true, filterType: "text" },
       { key: "modified_date", label: "Modified Time", sortable: true, filterType: "date" }
     ],
     defaultSort: { key: "finance_report_frf_name", order: "asc" }
+  },
+
+  campaigns: {
+    entityName: "Campaigns",
+    columns: [
+      { key: "campaign_frf_name", label: "Campaign FRF Name", sortable: true, filterType: "text" },
+      { key: "campaign_frf_owner", label: "Campaign FRF Owner", sortable: true, filterType: "user" },
+      { key: "status", label: "Status", sortable: true, filterType: "select" },
+      { key: "channel", label: "Channel", sortable: true, filterType: "select" },
+      { key: "project_frf_name", label: "Project", sortable: true, filterType: "text" },
+      { key: "start_date", label: "Start Date", sortable: true, filterType: "date" },
+      { key: "end_date", label: "End Date", sortable: true, filterType: "date" },
+      { key: "goal_amount", label: "Goal", sortable: true, filterType: "numberRange" },
+      { key: "raised", label: "Raised", sortable: true, filterType: "numberRange" },
+      { key: "percent_of_goal", label: "% of Goal", sortable: true, filterType: "numberRange" },
+      { key: "donor_count", label: "Donors", sortable: true, filterType: "numberRange" },
+      { key: "modified_date", label: "Modified Time", sortable: true, filterType: "date" }
+    ],
+    defaultSort: { key: "start_date", order: "desc" }
   }
 };
 
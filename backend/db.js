@@ -1,7 +1,11 @@
 // backend/db.js
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 require('dotenv').config();
 
+// Return DATE columns as plain 'YYYY-MM-DD' strings instead of JS Dates,
+// so they don't shift by the server's timezone when serialized to JSON.
+types.setTypeParser(1082, (value) => value);
+
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL || undefined,
   host: process.env.PG_HOST || 'localhost',
@@ -14,7 +18,24 @@ const pool = new Pool({
   connectionTimeoutMillis: 2000,
 });
 
+// Run `fn(client)` inside BEGIN/COMMIT on a dedicated client; rolls back if it throws.
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 module.exports = {
   query: (text, params) => pool.query(text, params),
+  withTransaction,
   pool,
 };
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const db = require('../db');
+const apiKeys = require('../utils/apiKeys');
 require('dotenv').config();
 
 const JWT_SECRET = process.env.JWT_SECRET || 'super_secret_key';
@@ -7,9 +8,37 @@ const JWT_SECRET = process.env.JWT_SECRET || 'super_secret_key';
 console.log('🔐 AUTH middleware using JWT_SECRET:', process.env.JWT_SECRET);
 
 /**
- * verifyToken - verify JWT and attach user info
+ * authenticateApiKeyRequest - X-API-Key requests act as the key itself: no user,
+ * just its scopes, checked by requirePermission, and its own rate limit
  */
-async function verifyToken(req, res, next) {
+async function authenticateApiKeyRequest(req, res, next) {
+  try {
+    const key = await apiKeys.authenticateApiKey(db, req.get('x-api-key'), req.ip);
+    if (!key) {
+      return res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+    }
+
+    req.user = {
+      user_id: null,
+      role: null,
+      session_id: null,
+      api_key_id: key.api_key_id,
+      api_key_name: key.name,
+      scopes: key.scopes,
+      rate_limit_per_minute: key.rate_limit_per_minute
+    };
+
+    apiKeys.apiKeyLimiter(req, res, next);
+  } catch (err) {
+    console.error('API key error:', err.message);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/**
+ * verifyUserToken - verify JWT and attach user info
+ */
+async function verifyUserToken(req, res, next) {
   try {
     // ✅ Try Authorization header first
     let token = null;
@@ -27,20 +56,26 @@ async function verifyToken(req, res, next) {
       return res.status(401).json({ error: 'Missing token' });
     }
 
-    // ✅ Check if token revoked
-    const { rows: revoked } = await db.query('SELECT 1 FROM revoked_tokens WHERE token = $1', [token]);
-    if (revoked.length > 0) {
-      return res.status(401).json({ error: 'Token revoked. Please log in again.' });
-    }
-
     // ✅ Verify token
     const decoded = jwt.verify(token, JWT_SECRET);
 
+    // ✅ Check if token or its session (`sid`) was revoked
+    const { rows: [{ revoked }] } = await db.query(
+      `SELECT EXISTS (SELECT 1 FROM revoked_tokens WHERE token = $1)
+           OR ($2::uuid IS NOT NULL AND NOT EXISTS (
+                 SELECT 1 FROM user_sessions WHERE session_id = $2 AND revoked_at IS NULL)) AS revoked`,
+      [token, decoded.sid || null]
+    );
+    if (revoked) {
+      return res.status(401).json({ error: 'Token revoked. Please log in again.' });
+    }
+
     // ✅ Attach user info
     req.user = {
       user_id: decoded.user_id,
       email: decoded.email,
-      role: decoded.role
+      role: decoded.role,
+      session_id: decoded.sid || null
     };
 
     next();
@@ -50,112 +85,95 @@ async function verifyToken(req, res, next) {
   }
 }
 
-
-
 /**
- * requireRole - allow only specific roles
- * Usage: requireRole('admin','staff')
+ * verifyToken - a signed-in user's JWT, or an X-API-Key for integrations
+ * Routes that act on the signed-in account itself use verifyUserToken instead.
  */
-function requireRole(...allowedRoles) {
-  return (req, res, next) => {
-    if (!req.user) return res.status(401).json({ error: 'Unauthorized' });
-    if (allowedRoles.includes(req.user.role) || req.user.role === 'super_admin') return next();
-    return res.status(403).json({ error: 'Forbidden: insufficient permissions' });
-  };
+function verifyToken(req, res, next) {
+  if (req.get('x-api-key')) return authenticateApiKeyRequest(req, res, next);
+  return verifyUserToken(req, res, next);
 }
 
-/**
- * RBAC middleware - automatically checks permissions by HTTP method
- */
-function rbacAccess() {
-  // define what each role can do
-  const rules = {
-    member:      { GET: true,  POST: false, PUT: false, PATCH: false, DELETE: false },
-    staff:       { GET: true,  POST: true,  PUT: true,  PATCH: true,  DELETE: false },
-    admin:       { GET: true,  POST: true,  PUT: true,  PATCH: true,  DELETE: true },
-    finance:     { GET: true,  POST: true,  PUT: false, PATCH: false, DELETE: false },
-    super_admin: { GET: true,  POST: true,  PUT: true,  PATCH: true,  DELETE: true },
-  };
-
-  return (req, res, next) => {
-    const role = req.user?.role;
-    const method = req.method.toUpperCase();
+/* ---------- Permissions ---------- */
 
-    if (!role) return res.status(401).json({ error: 'Unauthorized: no role' });
+// Role grants are cached per process and reloaded after edits (and at least every minute,
+// so edits made through another server instance are picked up too).
+const PERMISSION_CACHE_MS = 60 * 1000;
+let permissionCache = null;
 
-    const roleRules = rules[role];
-    if (!roleRules) return res.status(403).json({ error: `Role '${role}' not recognized` });
+async function loadPermissions() {
+  if (permissionCache && Date.now() - permissionCache.loadedAt < PERMISSION_CACHE_MS) return permissionCache;
 
-    const allowed = roleRules[method];
-    if (!allowed) {
-      return res.status(403).json({ error: `Role '${role}' not allowed to ${method}` });
-    }
+  const [{ rows: all }, { rows: grants }] = await Promise.all([
+    db.query('SELECT permission_key FROM permissions ORDER BY permission_key'),
+    db.query('SELECT role_name, permission_key FROM role_permissions'),
+  ]);
+  const byRole = new Map();
+  for (const { role_name, permission_key } of grants) {
+    if (!byRole.has(role_name)) byRole.set(role_name, new Set());
+    byRole.get(role_name).add(permission_key);
+  }
+  permissionCache = { loadedAt: Date.now(), all: all.map(r => r.permission_key), byRole };
+  return permissionCache;
+}
 
-    next();
-  };
+/** invalidatePermissionCache - call after changing roles or their grants */
+function invalidatePermissionCache() {
+  permissionCache = null;
 }
 
 /**
- * requireOwnerOrAdmin - allow owner of the FRF record, or admin/staff/super_admin
+ * permissionsForRole - sorted permission keys granted to a role
+ * super_admin always has every permission, so it can't be locked out.
  */
-async function requireOwnerOrAdmin(req, res, next) {
-  try {
-    if (!req.user) return res.status(401).json({ error: 'Unauthorized' });
-
-    const role = req.user.role;
-    if (role === 'admin' || role === 'staff' || role === 'super_admin') return next();
-
-    // determine entity from baseUrl: /api/v1/students -> students_frf_owner style
-    const parts = req.baseUrl.split('/');
-    const entity = parts[parts.length - 1];
-
-    const map = {
-      students_frf_owner: { table: 'students', idcol: 'id', ownercol: 'student_frf_owner' },
-      volunteers_frf_owner: { table: 'volunteers', idcol: 'id', ownercol: 'volunteer_frf_owner' },
-      donors_frf_owner: { table: 'donors', idcol: 'id', ownercol: 'donor_frf_owner' },
-      board_frf_owner: { table: 'board_members', idcol: 'id', ownercol: 'board_frf_owner' },
-      projects_frf_owner: { table: 'projects', idcol: 'id', ownercol: 'project_frf_owner' },
-      finance_frf_owner: { table: 'finance_reports', idcol: 'id', ownercol: 'finance_report_frf_owner' },
-    };
-
-    const cfg = map[entity];
-    if (!cfg) return res.status(400).json({ error: 'requireOwnerOrAdmin: unknown entity' });
-
-    const recordId = req.params.id;
-    if (!recordId) return res.status(400).json({ error: 'Missing resource id' });
-
-    const q = `SELECT ${cfg.ownercol} FROM ${cfg.table} WHERE ${cfg.idcol} = $1 LIMIT 1`;
-    const { rows } = await db.query(q, [recordId]);
-    if (!rows.length) return res.status(404).json({ error: 'Record not found' });
+async function permissionsForRole(role) {
+  const { all, byRole } = await loadPermissions();
+  if (role === 'super_admin') return all;
+  return [...(byRole.get(role) || [])].sort();
+}
 
-    const recordOwner = rows[0][cfg.ownercol];
-    if (
-      String(recordOwner) === String(req.user.email) ||
-      String(recordOwner) === String(req.user.user_id)
-    ) {
-      return next();
-    }
+/** hasPermission - whether a role grants a permission (super_admin always does) */
+async function hasPermission(role, permission) {
+  if (!role) return false;
+  if (role === 'super_admin') return true;
+  const { byRole } = await loadPermissions();
+  return !!byRole.get(role)?.has(permission);
+}
 
-    return res.status(403).json({ error: 'Forbidden: not owner' });
-  } catch (err) {
-    console.error('requireOwnerOrAdmin error:', err);
-    return res.status(500).json({ error: 'Server error' });
-  }
+/**
+ * requestHasPermission - whether the caller may use a permission: an API key
+ * needs it among its scopes, a user needs it from their role
+ */
+async function requestHasPermission(req, permission) {
+  if (req.user?.api_key_id) return (req.user.scopes || []).includes(permission);
+  return hasPermission(req.user?.role, permission);
 }
 
 /**
- * requireReadAccess - for list endpoints: members and above
+ * requirePermission - allow the request only if the user's role (or the API key's scopes) grants the permission
+ * Usage: requirePermission('donors:read'), requirePermission('finance:transactions:write')
  */
-function requireReadAccess(req, res, next) {
-  const role = req.user?.role;
-  if (!role) return res.status(401).json({ error: 'Unauthorized' });
-  return next();
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    try {
+      if (!req.user?.role && !req.user?.api_key_id) return res.status(401).json({ error: 'Unauthorized' });
+      if (await requestHasPermission(req, permission)) return next();
+
+      if (req.user.api_key_id) return res.status(403).json({ error: `Forbidden: API key lacks scope '${permission}'` });
+      return res.status(403).json({ error: `Forbidden: missing permission '${permission}'` });
+    } catch (err) {
+      console.error('requirePermission error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  };
 }
 
 module.exports = {
   verifyToken,
-  requireRole,
-  requireOwnerOrAdmin,
-  requireReadAccess,
-  rbacAccess,
+  verifyUserToken,
+  requirePermission,
+  hasPermission,
+  requestHasPermission,
+  permissionsForRole,
+  invalidatePermissionCache,
 };
@@ -54,7 +54,7 @@ function errorHandler(err, req, res, next) {
       status: 'fail',
       message: 'Validation failed',
       errors: err.errors.map(e => ({
-        field: e.param,
+        field: e.path ?? e.param,
         message: e.msg
       }))
     });
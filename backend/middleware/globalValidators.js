@@ -62,6 +62,17 @@ const amountValidation = (field = "amount") =>
     .isFloat({ min: 0 })
     .withMessage("Amount must be a positive number");
 
+/* -----------------------------------------------------
+   PAN VALIDATION (Indian Permanent Account Number)
+----------------------------------------------------- */
+const panValidation = (field = "pan") =>
+  body(field)
+    .optional({ checkFalsy: true })
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{5}[0-9]{4}[A-Z]$/)
+    .withMessage("PAN must look like ABCDE1234F");
+
 /* -----------------------------------------------------
    GLOBAL VALIDATION HANDLER
 ----------------------------------------------------- */
@@ -72,7 +83,7 @@ const runValidation = (req, res, next) => {
     return res.status(400).json({
       status: "fail",
       errors: errors.array().map((e) => ({
-        field: e.param,
+        field: e.path ?? e.param,
         message: e.msg,
       })),
     });
@@ -88,5 +99,6 @@ module.exports = {
   nameValidation,
   phoneValidation,
   amountValidation,
+  panValidation,
   runValidation,
 };
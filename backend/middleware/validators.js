@@ -10,7 +10,7 @@ const handleValidation = (req, res, next) => {
     return res.status(400).json({
       status: "fail",
       errors: errors.array().map((e) => ({
-        field: e.param,
+        field: e.path ?? e.param,
         message: e.msg,
       })),
     });
@@ -20,6 +20,19 @@ const handleValidation = (req, res, next) => {
 /* ---------------------------------------------------------
    USERS VALIDATION
 --------------------------------------------------------- */
+const strongPassword = (field) =>
+  body(field)
+    .isStrongPassword({
+      minLength: 8,
+      minLowercase: 1,
+      minUppercase: 1,
+      minNumbers: 1,
+      minSymbols: 1,
+    })
+    .withMessage(
+      "Password must be 8+ chars and include uppercase, lowercase, number, symbol"
+    );
+
 const registerValidation = [
   body("username")
     .trim()
@@ -47,18 +60,26 @@ const registerValidation = [
       return true;
     }),
 
-  body("password")
-    .isStrongPassword({
-      minLength: 8,
-      minLowercase: 1,
-      minUppercase: 1,
-      minNumbers: 1,
-      minSymbols: 1,
-    })
-    .withMessage(
-      "Password must be 8+ chars and include uppercase, lowercase, number, symbol"
-    ),
+  strongPassword("password"),
+
+  handleValidation,
+];
 
+// Forgot-password and resend-verification only need a well-formed address
+const emailOnlyValidation = [
+  body("email").normalizeEmail().isEmail().withMessage("Valid email required"),
+  handleValidation,
+];
+
+const passwordResetValidation = [
+  body("token").isString().notEmpty().withMessage("Reset token is required"),
+  strongPassword("password"),
+  handleValidation,
+];
+
+const passwordChangeValidation = [
+  body("current_password").notEmpty().withMessage("Current password is required"),
+  strongPassword("new_password"),
   handleValidation,
 ];
 
@@ -68,6 +89,67 @@ const loginValidation = [
   handleValidation,
 ];
 
+// Admin edits (PATCH /users/:id); every field is optional, unknown keys are rejected in the route
+const userUpdateValidation = [
+  body("username")
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9_]{3,30}$/)
+    .withMessage("Username must be 3–30 chars letters, numbers, underscore"),
+  body("email").optional().normalizeEmail().isEmail().withMessage("Valid email is required"),
+  body("user_role")
+    .optional()
+    .custom(async (value) => {
+      const { rows } = await db.query("SELECT 1 FROM roles WHERE role_name=$1", [value]);
+      if (!rows.length) throw new Error("Unknown role");
+      return true;
+    }),
+  strongPassword("password").optional(),
+  handleValidation,
+];
+
+const userLockValidation = [
+  body("hours")
+    .optional()
+    .isInt({ min: 1, max: 8760 })
+    .withMessage("Lock for 1 to 8760 hours")
+    .toInt(),
+  handleValidation,
+];
+
+/* ---------------------------------------------------------
+   TWO-FACTOR VALIDATION
+--------------------------------------------------------- */
+// `when` skips the check, e.g. when a recovery code was sent instead
+const totpCode = (when = () => true) =>
+  body("code")
+    .if(when)
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Enter the 6-digit code from your authenticator app");
+
+const loginChallenge = () =>
+  body("mfa_token").isString().notEmpty().withMessage("Sign-in challenge is missing");
+
+// Second login step takes either an authenticator code or a recovery code
+const loginSecondFactorValidation = [
+  loginChallenge(),
+  totpCode((value, { req }) => req.body.recovery_code === undefined),
+  body("recovery_code").optional().isString().notEmpty().withMessage("Recovery code is required"),
+  handleValidation,
+];
+
+const loginEnrolmentValidation = [loginChallenge(), handleValidation];
+
+const loginEnrolmentConfirmValidation = [loginChallenge(), totpCode(), handleValidation];
+
+const totpCodeValidation = [totpCode(), handleValidation];
+
+const twoFactorDisableValidation = [
+  body("password").notEmpty().withMessage("Password is required"),
+  handleValidation,
+];
+
 /* ---------------------------------------------------------
    STUDENTS VALIDATION
 --------------------------------------------------------- */
@@ -173,6 +255,22 @@ const projectValidation = [
 /* ---------------------------------------------------------
    FINANCE VALIDATION
 --------------------------------------------------------- */
+// Optional reference to another row; empty values clear the link
+const optionalReference = (field, sql, message) =>
+  body(field)
+    .optional({ values: "falsy" })
+    .custom(async (value) => {
+      const { rows } = await db.query(sql, [value]);
+      if (!rows.length) throw new Error(message);
+      return true;
+    });
+
+const projectReference = (field) =>
+  optionalReference(field, "SELECT 1 FROM projects WHERE id=$1 AND deleted_at IS NULL", "Project not found");
+
+const campaignReference = (field) =>
+  optionalReference(field, "SELECT 1 FROM campaigns WHERE id=$1 AND deleted_at IS NULL", "Campaign not found");
+
 const financeValidation = [
   body("id")
     .notEmpty()
@@ -190,16 +288,270 @@ const financeValidation = [
     .notEmpty()
     .withMessage("Report name is required"),
 
+  projectReference("project_id"),
+  campaignReference("campaign_id"),
+
+  handleValidation,
+];
+
+// PUT / PATCH of a finance report
+const financeUpdateValidation = [projectReference("project_id"), campaignReference("campaign_id"), handleValidation];
+
+/* ---------------------------------------------------------
+   CHILD ROW (SUBFORM) VALIDATION
+   Required fields are enforced on POST; on PATCH only the
+   fields actually sent are checked.
+--------------------------------------------------------- */
+const requiredOnCreate = (field, message) =>
+  body(field)
+    .if((value, { req }) => req.method === "POST" || value !== undefined)
+    .notEmpty()
+    .withMessage(message);
+
+const optionalDate = (field) =>
+  body(field).optional({ values: "falsy" }).isISO8601().withMessage("Invalid date");
+
+const optionalAmount = (field) =>
+  body(field)
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Amount must be a positive number");
+
+const sessionLogValidation = [
+  requiredOnCreate("session_date", "Session date is required"),
+  optionalDate("session_date"),
+  body("understanding_level")
+    .optional({ values: "falsy" })
+    .isInt({ min: 1, max: 5 })
+    .withMessage("Understanding level must be 1–5"),
+  body("overall_score")
+    .optional({ values: "null" })
+    .isInt({ min: 0, max: 100 })
+    .withMessage("Score must be 0–100"),
+  handleValidation,
+];
+
+const volunteerAttendanceValidation = [
+  requiredOnCreate("attendance_date", "Attendance date is required"),
+  optionalDate("attendance_date"),
+  requiredOnCreate("attendance_status", "Attendance status is required"),
+  body("attendance_status")
+    .optional()
+    .isIn(["Present", "Absent"])
+    .withMessage("Attendance must be Present or Absent"),
+  handleValidation,
+];
+
+const donationValidation = [
+  requiredOnCreate("donation_date", "Donation date is required"),
+  optionalDate("donation_date"),
+  requiredOnCreate("amount", "Amount is required"),
+  optionalAmount("amount"),
+  // Must be one of the same donor's pledges; checked in the route, which knows the donor
+  body("pledge_id").optional({ values: "null" }).isInt({ min: 1 }).withMessage("Invalid pledge"),
+  campaignReference("campaign_id"),
+  handleValidation,
+];
+
+const pledgeValidation = [
+  requiredOnCreate("amount", "Amount is required"),
+  body("amount")
+    .optional({ values: "null" })
+    .isFloat({ gt: 0 })
+    .withMessage("Amount must be more than zero"),
+  requiredOnCreate("frequency", "Frequency is required"),
+  body("frequency")
+    .optional()
+    .isIn(["monthly", "quarterly", "annual"])
+    .withMessage("Frequency must be monthly, quarterly or annual"),
+  requiredOnCreate("start_date", "Start date is required"),
+  optionalDate("start_date"),
+  optionalDate("end_date"),
+  body("end_date")
+    .optional({ values: "falsy" })
+    .custom((value, { req }) => !req.body.start_date || String(value) >= String(req.body.start_date))
+    .withMessage("End date can't be before the start date"),
+  body("channel")
+    .optional({ values: "falsy" })
+    .isIn(["Bank transfer", "UPI", "Cheque", "Card", "Cash", "Online"])
+    .withMessage("Unknown payment channel"),
+  body("status")
+    .optional()
+    .isIn(["active", "paused", "cancelled"])
+    .withMessage("Status must be active, paused or cancelled"),
+  handleValidation,
+];
+
+// Saved donor segments; criteria are cleaned to known list parameters in the route
+const segmentValidation = [
+  requiredOnCreate("name", "Name is required"),
+  body("name").optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage("Name must be 1–100 characters"),
+  body("description").optional({ values: "null" }).isString().withMessage("Description must be text"),
+  body("criteria")
+    .optional()
+    .custom((value) => value !== null && typeof value === "object" && !Array.isArray(value))
+    .withMessage("Criteria must be an object of list filters"),
+  body("shared").optional().isBoolean().withMessage("Shared must be true or false").toBoolean(),
+  handleValidation,
+];
+
+/* ---------------------------------------------------------
+   CAMPAIGN VALIDATION
+   Used for POST and PATCH; the ID check only applies to POST.
+--------------------------------------------------------- */
+const campaignValidation = [
+  body("id")
+    .if((value, { req }) => req.method === "POST")
+    .notEmpty()
+    .withMessage("Campaign ID required")
+    .custom(async (value) => {
+      const { rows } = await db.query("SELECT 1 FROM campaigns WHERE id=$1", [value]);
+      if (rows.length) throw new Error("Campaign ID already exists");
+      return true;
+    }),
+  requiredOnCreate("campaign_frf_name", "Campaign name is required"),
+  requiredOnCreate("goal_amount", "Goal is required"),
+  body("goal_amount")
+    .optional({ values: "null" })
+    .isFloat({ gt: 0 })
+    .withMessage("Goal must be more than zero"),
+  requiredOnCreate("start_date", "Start date is required"),
+  optionalDate("start_date"),
+  optionalDate("end_date"),
+  body("end_date")
+    .optional({ values: "falsy" })
+    .custom((value, { req }) => !req.body.start_date || String(value) >= String(req.body.start_date))
+    .withMessage("End date can't be before the start date"),
+  body("channel")
+    .optional({ values: "falsy" })
+    .isIn(["Email", "Social media", "Event", "Direct mail", "Phone", "Website", "Corporate outreach", "Other"])
+    .withMessage("Unknown channel"),
+  projectReference("project_id"),
+  handleValidation,
+];
+
+// Bulk attribution of donations to a campaign
+const campaignDonationsValidation = [
+  body("donation_ids").isArray({ min: 1, max: 500 }).withMessage("donation_ids must list 1–500 donations"),
+  body("donation_ids.*").isInt({ min: 1 }).withMessage("donation_ids must be donation ids").toInt(),
+  handleValidation,
+];
+
+/* ---------------------------------------------------------
+   DUPLICATE MERGE VALIDATION
+   field_sources maps a column to the record whose value survives.
+--------------------------------------------------------- */
+const mergeValidation = [
+  body("survivor_id").notEmpty().withMessage("Surviving record is required"),
+  body("merged_id")
+    .notEmpty()
+    .withMessage("Record to merge is required")
+    .custom((value, { req }) => String(value) !== String(req.body.survivor_id))
+    .withMessage("A record can't be merged into itself"),
+  body("field_sources")
+    .optional({ values: "null" })
+    .custom((value) => value !== null && typeof value === "object" && !Array.isArray(value)
+      && Object.values(value).every(source => source === "survivor" || source === "merged"))
+    .withMessage("field_sources must map fields to survivor or merged"),
+  body("note").optional({ values: "null" }).isString().isLength({ max: 1000 }).withMessage("Note must be at most 1000 characters"),
+  handleValidation,
+];
+
+const duplicateDismissValidation = [
+  body("record_ids")
+    .isArray({ min: 2, max: 2 })
+    .withMessage("record_ids must list the two records")
+    .custom(([a, b]) => String(a) !== String(b))
+    .withMessage("record_ids must be two different records"),
+  body("record_ids.*").isString().notEmpty().withMessage("record_ids must be record ids"),
+  handleValidation,
+];
+
+const mergeReviewValidation = [
+  body("review_status")
+    .isIn(["pending", "approved", "flagged"])
+    .withMessage("Review status must be pending, approved or flagged"),
+  body("review_note").optional({ values: "null" }).isString().isLength({ max: 1000 }).withMessage("Note must be at most 1000 characters"),
+  handleValidation,
+];
+
+const transactionValidation = [
+  requiredOnCreate("transaction_date", "Transaction date is required"),
+  optionalDate("transaction_date"),
+  optionalAmount("income_amount"),
+  optionalAmount("expense_amount"),
+  body("gst")
+    .optional({ values: "null" })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("GST must be a percentage between 0 and 100"),
+  projectReference("project_id"),
+  optionalReference("category_id", "SELECT 1 FROM expense_categories WHERE category_id=$1", "Expense category not found"),
+  body("status")
+    .optional()
+    .isIn(["draft", "posted"])
+    .withMessage("Status must be draft or posted"),
+  handleValidation,
+];
+
+// Creating a donation or ledger entry from a bank line: date, amount and
+// reference come from the line, the rest from the body
+const bankDonationValidation = [
+  body("donor_id").notEmpty().withMessage("Donor is required"),
+  body("purpose").optional({ values: "null" }).isString().withMessage("Purpose must be text"),
+  body("remarks").optional({ values: "null" }).isString().withMessage("Remarks must be text"),
+  handleValidation,
+];
+
+const bankTransactionValidation = [
+  body("finance_report_id").notEmpty().withMessage("Finance report is required"),
+  body("name").optional({ values: "null" }).isString().isLength({ max: 255 }).withMessage("Name must be at most 255 characters"),
+  body("gst")
+    .optional({ values: "null" })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("GST must be a percentage between 0 and 100"),
+  projectReference("project_id"),
+  optionalReference("category_id", "SELECT 1 FROM expense_categories WHERE category_id=$1", "Expense category not found"),
+  handleValidation,
+];
+
+const projectAttendanceValidation = [
+  requiredOnCreate("log_date", "Log date is required"),
+  optionalDate("log_date"),
   handleValidation,
 ];
 
 module.exports = {
   registerValidation,
   loginValidation,
+  emailOnlyValidation,
+  passwordResetValidation,
+  passwordChangeValidation,
+  userUpdateValidation,
+  userLockValidation,
+  loginSecondFactorValidation,
+  loginEnrolmentValidation,
+  loginEnrolmentConfirmValidation,
+  totpCodeValidation,
+  twoFactorDisableValidation,
   studentValidation,
   volunteerValidation,
   donorValidation,
   boardValidation,
   projectValidation,
   financeValidation,
+  financeUpdateValidation,
+  sessionLogValidation,
+  volunteerAttendanceValidation,
+  donationValidation,
+  pledgeValidation,
+  segmentValidation,
+  campaignValidation,
+  campaignDonationsValidation,
+  mergeValidation,
+  duplicateDismissValidation,
+  mergeReviewValidation,
+  transactionValidation,
+  bankDonationValidation,
+  bankTransactionValidation,
+  projectAttendanceValidation,
 };
@@ -0,0 +1,122 @@
+// backend/routes/apiKeys.js
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const db = require('../db');
+const { verifyUserToken, requirePermission, permissionsForRole } = require('../middleware/auth');
+const { runValidation } = require('../middleware/globalValidators');
+const { recordAudit } = require('../utils/audit');
+const { createApiKey, findApiKey, listApiKeys, revokeApiKey } = require('../utils/apiKeys');
+
+const apiKeyValidation = [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (max 100 characters)'),
+  body('scopes').isArray({ min: 1 }).withMessage('scopes must be a non-empty array of permission keys'),
+  body('scopes.*').isString().withMessage('scopes must be a non-empty array of permission keys'),
+  body('expires_at').optional({ nullable: true }).isISO8601().withMessage('expires_at must be a date')
+    .custom(value => new Date(value) > new Date()).withMessage('expires_at must be in the future'),
+  body('rate_limit_per_minute').optional({ nullable: true }).isInt({ min: 1, max: 10000 })
+    .withMessage('rate_limit_per_minute must be between 1 and 10000').toInt(),
+];
+
+/**
+ * 400 result for scopes that aren't permission keys, or that the creator
+ * doesn't hold themselves (a key can't do more than the admin who made it); else null
+ */
+async function checkScopes(client, req, scopes) {
+  const { rows } = await client.query('SELECT permission_key FROM permissions WHERE permission_key = ANY($1)', [scopes]);
+  const known = new Set(rows.map(r => r.permission_key));
+  const unknown = scopes.filter(k => !known.has(k));
+  if (unknown.length) {
+    return { status: 400, body: { error: 'Unknown scopes', errors: [{ field: 'scopes', message: `Unknown scopes: ${unknown.join(', ')}` }] } };
+  }
+
+  const held = new Set(await permissionsForRole(req.user.role));
+  const beyond = scopes.filter(k => !held.has(k));
+  if (beyond.length) {
+    return { status: 403, body: { error: `You can't grant scopes you don't have: ${beyond.join(', ')}` } };
+  }
+  return null;
+}
+
+/* ==========================================================
+   🔹 GRANTABLE SCOPES (the requester's own permissions)
+========================================================== */
+router.get('/scopes', verifyUserToken, requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const held = await permissionsForRole(req.user.role);
+    const { rows } = await db.query(
+      'SELECT permission_key, description FROM permissions WHERE permission_key = ANY($1) ORDER BY permission_key',
+      [held]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching API key scopes:', err);
+    res.status(500).json({ error: 'Error fetching API key scopes' });
+  }
+});
+
+/* ==========================================================
+   🔹 LIST API KEYS (never the secrets)
+========================================================== */
+router.get('/', verifyUserToken, requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    res.json(await listApiKeys(db));
+  } catch (err) {
+    console.error('Error fetching API keys:', err);
+    res.status(500).json({ error: 'Error fetching API keys' });
+  }
+});
+
+/* ==========================================================
+   🔹 CREATE API KEY (the key is returned only in this response)
+========================================================== */
+router.post('/', verifyUserToken, requirePermission('api_keys:manage'), apiKeyValidation, runValidation, async (req, res) => {
+  try {
+    const scopes = [...new Set(req.body.scopes)];
+
+    const result = await db.withTransaction(async (client) => {
+      const invalid = await checkScopes(client, req, scopes);
+      if (invalid) return invalid;
+
+      const { apiKey, key } = await createApiKey(client, {
+        name: req.body.name,
+        scopes,
+        expiresAt: req.body.expires_at || null,
+        rateLimitPerMinute: req.body.rate_limit_per_minute || null,
+        createdBy: req.user.user_id,
+      });
+      await recordAudit(client, req, { entity: 'api_keys', recordId: apiKey.api_key_id, action: 'CREATE', after: apiKey });
+      return { status: 201, body: { ...apiKey, key } };
+    });
+
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error('Error creating API key:', err);
+    res.status(500).json({ error: 'Error creating API key' });
+  }
+});
+
+/* ==========================================================
+   🔹 REVOKE API KEY
+========================================================== */
+router.delete('/:id', verifyUserToken, requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const result = await db.withTransaction(async (client) => {
+      const before = await findApiKey(client, req.params.id);
+      if (!before) return { status: 404, body: { error: 'API key not found' } };
+
+      const after = await revokeApiKey(client, before.api_key_id);
+      if (!after) return { status: 409, body: { error: 'API key is already revoked' } };
+
+      await recordAudit(client, req, { entity: 'api_keys', recordId: before.api_key_id, action: 'UPDATE', before, after });
+      return { status: 200, body: { message: `API key '${before.name}' revoked`, api_key: after } };
+    });
+
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error('Error revoking API key:', err);
+    res.status(500).json({ error: 'Error revoking API key' });
+  }
+});
+
+module.exports = router;
@@ -2,61 +2,100 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
-const uiConfig = require('./uiConfig');
+const uiConfig = require('../config/uiConfig');
+const { runListQuery } = require('../utils/listQuery');
 const { v4: uuidv4 } = require('uuid');
-const { verifyToken, rbacAccess, requireOwnerOrAdmin } = require('../middleware/auth');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { ownerScope, requireRecordAccess, assignOwner, transferOwnerHandler } = require('../utils/ownership');
 const { boardValidation } = require('../middleware/validators');
+const { pickColumns, buildSetClause } = require('../utils/sql');
+const { lockRow, recordAudit, historyHandler } = require('../utils/audit');
+const { softDeleteHandler, restoreHandler } = require('../utils/softDelete');
+const { exportListHandler, exportRecordHandler } = require('../utils/exporter');
 const { emailValidation, nameValidation, phoneValidation, runValidation } = require('../middleware/globalValidators');
 
+// Board member fields open to PUT/PATCH /:id
+const BOARD_COLUMNS = [
+  'board_frf_name', 'email', 'secondary_email', 'email_opt_out',
+  'gender', 'date_of_birth', 'contact_number', 'emergency_contact_number', 'blood_group',
+  'father_name', 'mother_name', 'address',
+  'id_proof_type', 'id_number', 'joining_date', 'proof_file_upload',
+  'designation', 'role_description', 'tenure_end'
+];
+
+const BOARD_LIST_QUERY = `
+  SELECT id, board_frf_name, email, board_frf_owner, modified_date
+  FROM board_members
+  WHERE deleted_at IS NULL
+`;
+
 
 /* ==========================================================
-   🔹 GET ALL BOARD MEMBERS (Members and above)
+   🔹 GET ALL BOARD MEMBERS
 ========================================================== */
-router.get('/', async (req, res) => {
+router.get('/', verifyToken, requirePermission('board:read'), async (req, res) => {
   try {
-    const result = await db.query(`
-      SELECT id, board_frf_name, email, board_frf_owner, modified_date
-      FROM board_members
-      ORDER BY board_frf_name ASC
-    `);
-    res.json({ data: result.rows, uiConfig: uiConfig.board });
+    const result = await runListQuery(db, BOARD_LIST_QUERY, uiConfig.board, req.query, await ownerScope(req, 'board'));
+    res.json({ ...result, uiConfig: uiConfig.board });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Error fetching board members:', err);
     res.status(500).send('Error fetching board members');
   }
 });
 
 /* ==========================================================
-   🔹 GET SINGLE BOARD MEMBER (Owner or Admin/Staff)
+   🔹 EXPORT BOARD MEMBERS (CSV / XLSX / PDF, same filters as the list)
 ========================================================== */
-router.get('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
+router.get('/export', verifyToken, requirePermission('board:export'), exportListHandler('board', BOARD_LIST_QUERY));
 
-    const boardQ = `
-      SELECT 
-        b.*,
+/* ==========================================================
+   🔹 BOARD MEMBER HISTORY (audit trail)
+========================================================== */
+router.get('/:id/history', verifyToken, requirePermission('board:read'), requireRecordAccess('board'), historyHandler('board'));
 
-        -- CREATED BY USER
-        cu.username AS created_by_username,
-        cu.email    AS created_by_email,
+/* ==========================================================
+   🔹 EXPORT SINGLE BOARD MEMBER AS PDF
+========================================================== */
+router.get('/:id/export', verifyToken, requirePermission('board:export'), requireRecordAccess('board'), exportRecordHandler('board', loadBoardMember));
 
-        -- MODIFIED BY USER
-        mu.username AS modified_by_username,
-        mu.email    AS modified_by_email
+/* ==========================================================
+   🔹 LOAD BOARD MEMBER (detail view + PDF export)
+========================================================== */
+async function loadBoardMember(id) {
+  const boardQ = `
+    SELECT 
+      b.*,
 
-      FROM board_members b
-      LEFT JOIN users cu ON b.created_by_user_id = cu.user_id
-      LEFT JOIN users mu ON b.modified_by_user_id = mu.user_id
-      WHERE b.id = $1
-    `;
+      -- CREATED BY USER
+      cu.username AS created_by_username,
+      cu.email    AS created_by_email,
+
+      -- MODIFIED BY USER
+      mu.username AS modified_by_username,
+      mu.email    AS modified_by_email
 
-    const { rows: boardRows } = await db.query(boardQ, [id]);
-    if (boardRows.length === 0)
-      return res.status(404).json({ message: 'Board Member not found' });
+    FROM board_members b
+    LEFT JOIN users cu ON b.created_by_user_id = cu.user_id
+    LEFT JOIN users mu ON b.modified_by_user_id = mu.user_id
+    WHERE b.id = $1 AND b.deleted_at IS NULL
+  `;
 
-    const member = boardRows[0];
+  const { rows: boardRows } = await db.query(boardQ, [id]);
+  if (boardRows.length === 0) return null;
 
+  const member = boardRows[0];
+
+  return member;
+}
+
+/* ==========================================================
+   🔹 GET SINGLE BOARD MEMBER
+========================================================== */
+router.get('/:id', verifyToken, requirePermission('board:read'), requireRecordAccess('board'), async (req, res) => {
+  try {
+    const member = await loadBoardMember(req.params.id);
+    if (!member) return res.status(404).json({ message: 'Board Member not found' });
 
     res.json(member);
 
@@ -68,16 +107,15 @@ router.get('/:id', async (req, res) => {
 
 
 /* ==========================================================
-   🔹 CREATE NEW BOARD MEMBER (Admin / Staff / Super Admin)
+   🔹 CREATE NEW BOARD MEMBER
 ========================================================== */
-router.post('/', verifyToken, rbacAccess(), boardValidation, emailValidation('email'), emailValidation('secondary_email'), phoneValidation('contact_number'), nameValidation('board_frf_name'), runValidation, async (req, res) => {
+router.post('/', verifyToken, requirePermission('board:create'), assignOwner('board'), boardValidation, emailValidation('email'), emailValidation('secondary_email'), phoneValidation('contact_number'), nameValidation('board_frf_name'), runValidation, async (req, res) => {
   try {
-    // Use user's ID from request body
-    let { id } = req.body;
+    // Use user's ID from request body, or generate one
+    const id = req.body.id || uuidv4();
 
     const {
       board_frf_name,
-      board_frf_owner,
       email,
       secondary_email,
       email_opt_out,
@@ -133,7 +171,11 @@ router.post('/', verifyToken, rbacAccess(), boardValidation, emailValidation('em
       designation, role_description, tenure_end
     ];
 
-    const { rows } = await db.query(q, vals);
+    const rows = await db.withTransaction(async (client) => {
+      const result = await client.query(q, vals);
+      await recordAudit(client, req, { entity: 'board', recordId: result.rows[0].id, action: 'CREATE', after: result.rows[0] });
+      return result.rows;
+    });
     res.status(201).json(rows[0]);
 
   } catch (err) {
@@ -146,7 +188,7 @@ router.post('/', verifyToken, rbacAccess(), boardValidation, emailValidation('em
 /* ==========================================================
    🔹 UPDATE BOARD MEMBER (PUT - Full Update)
 ========================================================== */
-router.put('/:id', verifyToken, rbacAccess(), async (req, res) => {
+router.put('/:id', verifyToken, requirePermission('board:update'), requireRecordAccess('board'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -172,11 +214,12 @@ router.put('/:id', verifyToken, rbacAccess(), async (req, res) => {
       tenure_end
     } = req.body;
 
+    // board_frf_owner is left as it is; owners change through POST /:id/owner
     const q = `
       UPDATE board_members
       SET
         board_frf_name = $1,
-        board_frf_owner = $2,
+        modified_by_user_id = $2,
         email = $3,
         secondary_email = $4,
         email_opt_out = COALESCE($5, email_opt_out),
@@ -201,13 +244,19 @@ router.put('/:id', verifyToken, rbacAccess(), async (req, res) => {
     `;
 
     const vals = [
-      board_frf_name, board_frf_owner, email, secondary_email, email_opt_out,
+      board_frf_name, req.user.user_id, email, secondary_email, email_opt_out,
       gender, date_of_birth, contact_number, emergency_contact_number, blood_group,
       father_name, mother_name, address, id_proof_type, id_number, joining_date,
       proof_file_upload, designation, role_description, tenure_end, id
     ];
 
-    const { rows } = await db.query(q, vals);
+    const rows = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'board_members', 'id', id);
+      if (!before || before.deleted_at) return [];
+      const result = await client.query(q, vals);
+      await recordAudit(client, req, { entity: 'board', recordId: id, action: 'UPDATE', before, after: result.rows[0] });
+      return result.rows;
+    });
     if (!rows.length) return res.status(404).json({ error: 'Board member not found' });
     res.json(rows[0]);
   } catch (err) {
@@ -219,30 +268,28 @@ router.put('/:id', verifyToken, rbacAccess(), async (req, res) => {
 /* ==========================================================
    🔹 PARTIAL UPDATE BOARD MEMBER (PATCH)
 ========================================================== */
-router.patch('/:id', verifyToken, rbacAccess(), emailValidation('email'), emailValidation('secondary_email'), phoneValidation('contact_number'), runValidation, async (req, res) => {
+router.patch('/:id', verifyToken, requirePermission('board:update'), requireRecordAccess('board'), emailValidation('email'), emailValidation('secondary_email'), phoneValidation('contact_number'), runValidation, async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = [];
-    const values = [];
-    let index = 1;
-
-    for (const [key, value] of Object.entries(req.body)) {
-      updates.push(`${key} = $${index}`);
-      values.push(value);
-      index++;
-    }
+    const updates = pickColumns(req.body, BOARD_COLUMNS);
 
-    if (!updates.length) return res.status(400).json({ error: 'No fields to update' });
+    if (!Object.keys(updates).length) return res.status(400).json({ error: 'No fields to update' });
 
+    const { setSql, values } = buildSetClause(updates);
     const q = `
       UPDATE board_members
-      SET ${updates.join(', ')}, modified_date = NOW()
-      WHERE id = $${index}
+      SET ${setSql}, modified_by_user_id = $${values.length + 1}, modified_date = NOW()
+      WHERE id = $${values.length + 2}
       RETURNING *;
     `;
-    values.push(id);
 
-    const { rows } = await db.query(q, values);
+    const rows = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'board_members', 'id', id);
+      if (!before || before.deleted_at) return [];
+      const result = await client.query(q, [...values, req.user.user_id, id]);
+      await recordAudit(client, req, { entity: 'board', recordId: id, action: 'UPDATE', before, after: result.rows[0] });
+      return result.rows;
+    });
     if (!rows.length) return res.status(404).json({ error: 'Board member not found' });
 
     res.json(rows[0]);
@@ -253,21 +300,18 @@ router.patch('/:id', verifyToken, rbacAccess(), emailValidation('email'), emailV
 });
 
 /* ==========================================================
-   🔹 DELETE BOARD MEMBER (Admin, Staff, Super Admin)
+   🔹 DELETE BOARD MEMBER
 ========================================================== */
-router.delete('/:id', verifyToken, rbacAccess(), async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await db.query('DELETE FROM board_members WHERE id = $1 RETURNING id', [id]);
-    if (!result.rowCount) return res.status(404).json({ error: 'Board member not found' });
-    res.json({ message: 'Board member deleted successfully' });
-  } catch (err) {
-    console.error('Error deleting board member:', err);
-    if (err.code === '23503') {
-      return res.status(400).json({ error: 'Cannot delete — dependent records exist' });
-    }
-    res.status(500).json({ error: 'Error deleting board member', details: err.message });
-  }
-});
+router.delete('/:id', verifyToken, requirePermission('board:delete'), requireRecordAccess('board'), softDeleteHandler('board'));
+
+/* ==========================================================
+   🔹 RESTORE BOARD MEMBER FROM TRASH
+========================================================== */
+router.post('/:id/restore', verifyToken, requirePermission('board:restore'), requireRecordAccess('board'), restoreHandler('board'));
+
+/* ==========================================================
+   🔹 TRANSFER BOARD MEMBER OWNERSHIP
+========================================================== */
+router.post('/:id/owner', verifyToken, requirePermission('board:update'), requireRecordAccess('board'), transferOwnerHandler('board'));
 
 module.exports = router;
@@ -0,0 +1,284 @@
+// backend/routes/campaigns.js
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const db = require('../db');
+const uiConfig = require('../config/uiConfig');
+const { runListQuery } = require('../utils/listQuery');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { runValidation } = require('../middleware/globalValidators');
+const { ownerScope, requireRecordAccess, assignOwner, transferOwnerHandler } = require('../utils/ownership');
+const { campaignValidation, campaignDonationsValidation } = require('../middleware/validators');
+const { pickColumns, buildSetClause } = require('../utils/sql');
+const { lockRow, recordAudit, historyHandler } = require('../utils/audit');
+const { softDeleteHandler, restoreHandler } = require('../utils/softDelete');
+const { exportListHandler, exportRecordHandler } = require('../utils/exporter');
+const { CAMPAIGN_LIST_QUERY, campaignProgress, assignmentCandidates, assignDonations } = require('../utils/campaigns');
+
+const CAMPAIGN_COLUMNS = ['campaign_frf_name', 'goal_amount', 'start_date', 'end_date', 'project_id', 'channel', 'description'];
+
+
+/* ==========================================================
+   🔹 GET ALL CAMPAIGNS (with raised, donors and % of goal)
+========================================================== */
+router.get('/', verifyToken, requirePermission('campaigns:read'), async (req, res) => {
+  try {
+    const result = await runListQuery(db, CAMPAIGN_LIST_QUERY, uiConfig.campaigns, req.query, await ownerScope(req, 'campaigns'));
+    res.json({ ...result, uiConfig: uiConfig.campaigns });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Error fetching campaigns:', err);
+    res.status(500).json({ error: 'Error fetching campaigns' });
+  }
+});
+
+/* ==========================================================
+   🔹 CAMPAIGN LOOKUPS (pickers on donations, finance reports and filters)
+========================================================== */
+router.get('/lookups', verifyToken, requirePermission('campaigns:read'), async (req, res) => {
+  try {
+    const { rows } = await db.query(
+      'SELECT id, campaign_frf_name, start_date, end_date FROM campaigns WHERE deleted_at IS NULL ORDER BY start_date DESC, campaign_frf_name'
+    );
+    res.json({ campaigns: rows });
+  } catch (err) {
+    console.error('Error fetching campaign lookups:', err);
+    res.status(500).json({ error: 'Error fetching campaign lookups' });
+  }
+});
+
+/* ==========================================================
+   🔹 EXPORT CAMPAIGNS (CSV / XLSX / PDF, same filters as the list)
+========================================================== */
+router.get('/export', verifyToken, requirePermission('campaigns:export'), exportListHandler('campaigns', CAMPAIGN_LIST_QUERY));
+
+/* ==========================================================
+   🔹 CAMPAIGN HISTORY (audit trail)
+========================================================== */
+router.get('/:id/history', verifyToken, requirePermission('campaigns:read'), requireRecordAccess('campaigns'), historyHandler('campaigns'));
+
+/* ==========================================================
+   🔹 CAMPAIGN PROGRESS (raised vs goal, donors, daily trend)
+========================================================== */
+router.get('/:id/progress', verifyToken, requirePermission('campaigns:read'), requireRecordAccess('campaigns'), async (req, res) => {
+  try {
+    const progress = await campaignProgress(db, req.params.id);
+    if (!progress) return res.status(404).json({ error: 'Campaign not found' });
+    res.json(progress);
+  } catch (err) {
+    console.error('Error fetching campaign progress:', err);
+    res.status(500).json({ error: 'Error fetching campaign progress' });
+  }
+});
+
+const candidateValidation = ['from', 'to'].map((field) =>
+  query(field).optional().not().isArray().withMessage(`${field} must be given once`).bail()
+    .isISO8601({ strict: true }).withMessage(`${field} must be a date (YYYY-MM-DD)`)
+).concat(runValidation);
+
+/* ==========================================================
+   🔹 DONATIONS THAT COULD BE ATTRIBUTED TO THE CAMPAIGN
+   ?from=&to= (default: the campaign's dates), ?search=, ?include_attributed=true
+   to also offer donations already in another campaign
+========================================================== */
+
+router.get('/:id/donations/candidates', verifyToken, requirePermission('campaigns:read'), requirePermission('donors:read'), requireRecordAccess('campaigns'), candidateValidation, async (req, res) => {
+  try {
+    const { rows: [campaign] } = await db.query('SELECT * FROM campaigns WHERE id = $1 AND deleted_at IS NULL', [req.params.id]);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+
+    const donations = await assignmentCandidates(db, campaign, {
+      from: req.query.from,
+      to: req.query.to,
+      search: req.query.search ? String(req.query.search).trim() : '',
+      includeAttributed: req.query.include_attributed === 'true',
+      scope: await ownerScope(req, 'donors'),
+    });
+    res.json({ data: donations });
+  } catch (err) {
+    console.error('Error fetching campaign candidates:', err);
+    res.status(500).json({ error: 'Error fetching donations' });
+  }
+});
+
+/* ==========================================================
+   🔹 BULK-ASSIGN DONATIONS TO THE CAMPAIGN
+   Body: { donation_ids: [...] }. Donations move from any other campaign.
+========================================================== */
+router.post('/:id/donations', verifyToken, requirePermission('campaigns:read'), requirePermission('donors:donations:write'), requireRecordAccess('campaigns'), campaignDonationsValidation, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const scope = await ownerScope(req, 'donors');
+
+    const result = await db.withTransaction(async (client) => {
+      const campaign = await lockRow(client, 'campaigns', 'id', id);
+      if (!campaign || campaign.deleted_at) return null;
+      return assignDonations(client, req, id, req.body.donation_ids, scope);
+    });
+
+    if (!result) return res.status(404).json({ error: 'Campaign not found' });
+    res.json(result);
+  } catch (err) {
+    console.error('Error assigning donations to campaign:', err);
+    res.status(500).json({ error: 'Error assigning donations' });
+  }
+});
+
+/* ==========================================================
+   🔹 EXPORT SINGLE CAMPAIGN AS PDF
+========================================================== */
+router.get('/:id/export', verifyToken, requirePermission('campaigns:export'), requireRecordAccess('campaigns'), exportRecordHandler('campaigns', loadCampaign));
+
+/* ==========================================================
+   🔹 LOAD CAMPAIGN + ATTRIBUTED DONATIONS (detail view + PDF export)
+========================================================== */
+async function loadCampaign(id) {
+  const campaignQ = `
+    SELECT
+      c.*,
+      s.project_frf_name, s.status, s.raised, s.donation_count, s.donor_count, s.percent_of_goal,
+      cu.username AS created_by_username,
+      cu.email AS created_by_email,
+      mu.username AS modified_by_username,
+      mu.email AS modified_by_email
+    FROM campaigns c
+    JOIN (${CAMPAIGN_LIST_QUERY}) s ON s.id = c.id
+    LEFT JOIN users cu ON c.created_by_user_id = cu.user_id
+    LEFT JOIN users mu ON c.modified_by_user_id = mu.user_id
+    WHERE c.id = $1
+  `;
+
+  const { rows: campaignRows } = await db.query(campaignQ, [id]);
+  if (campaignRows.length === 0) return null;
+
+  const campaign = campaignRows[0];
+
+  const { rows: donations } = await db.query(
+    `SELECT g.donation_id, g.donor_id, o.donor_frf_name, g.donation_date, g.transaction_id, g.purpose, g.amount
+     FROM donations g
+     JOIN donors o ON o.id = g.donor_id AND o.deleted_at IS NULL
+     WHERE g.campaign_id = $1
+     ORDER BY g.donation_date DESC, g.donation_id DESC`,
+    [id]
+  );
+
+  campaign.donations = donations;
+
+  return campaign;
+}
+
+/* ==========================================================
+   🔹 GET SINGLE CAMPAIGN
+========================================================== */
+router.get('/:id', verifyToken, requirePermission('campaigns:read'), requireRecordAccess('campaigns'), async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req.params.id);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+
+    res.json(campaign);
+  } catch (err) {
+    console.error('Error fetching campaign details:', err);
+    res.status(500).json({ error: 'Error fetching campaign details' });
+  }
+});
+
+/* ==========================================================
+   🔹 CREATE NEW CAMPAIGN
+========================================================== */
+router.post('/', verifyToken, requirePermission('campaigns:create'), assignOwner('campaigns'), campaignValidation, async (req, res) => {
+  try {
+    const {
+      id,
+      campaign_frf_name,
+      campaign_frf_owner,
+      goal_amount,
+      start_date,
+      end_date,
+      project_id,
+      channel,
+      description
+    } = req.body;
+
+    const q = `
+      INSERT INTO campaigns (
+        id, campaign_frf_name, campaign_frf_owner,
+        created_by_user_id, created_by_date, modified_by_user_id, modified_date,
+        goal_amount, start_date, end_date, project_id, channel, description
+      )
+      VALUES ($1,$2,$3,$4,NOW(),$4,NOW(),$5,$6,$7,$8,$9,$10)
+      RETURNING *;
+    `;
+
+    const vals = [
+      id, campaign_frf_name, campaign_frf_owner, req.user.user_id,
+      goal_amount, start_date, end_date || null, project_id || null, channel || null, description
+    ];
+
+    const rows = await db.withTransaction(async (client) => {
+      const result = await client.query(q, vals);
+      await recordAudit(client, req, { entity: 'campaigns', recordId: result.rows[0].id, action: 'CREATE', after: result.rows[0] });
+      return result.rows;
+    });
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    console.error('Error creating campaign:', err);
+    res.status(500).json({ error: 'Error creating campaign' });
+  }
+});
+
+/* ==========================================================
+   🔹 PARTIAL UPDATE CAMPAIGN (PATCH)
+========================================================== */
+router.patch('/:id', verifyToken, requirePermission('campaigns:update'), requireRecordAccess('campaigns'), campaignValidation, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = pickColumns(req.body, CAMPAIGN_COLUMNS);
+    for (const key of ['end_date', 'project_id', 'channel']) {
+      if (key in updates && !updates[key]) updates[key] = null;
+    }
+
+    if (!Object.keys(updates).length) return res.status(400).json({ error: 'No fields to update' });
+
+    const { setSql, values } = buildSetClause(updates);
+    const q = `
+      UPDATE campaigns
+      SET ${setSql}, modified_by_user_id = $${values.length + 1}, modified_date = NOW()
+      WHERE id = $${values.length + 2}
+      RETURNING *;
+    `;
+
+    const rows = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'campaigns', 'id', id);
+      if (!before || before.deleted_at) return [];
+      const result = await client.query(q, [...values, req.user.user_id, id]);
+      await recordAudit(client, req, { entity: 'campaigns', recordId: id, action: 'UPDATE', before, after: result.rows[0] });
+      return result.rows;
+    });
+    if (!rows.length) return res.status(404).json({ error: 'Campaign not found' });
+
+    res.json(rows[0]);
+  } catch (err) {
+    // The end date was moved before the stored start date (or vice versa)
+    if (err.code === '23514') return res.status(400).json({ error: "End date can't be before the start date" });
+    console.error('Error patching campaign:', err);
+    res.status(500).json({ error: 'Error patching campaign' });
+  }
+});
+
+/* ==========================================================
+   🔹 DELETE CAMPAIGN
+   Attributed donations keep their campaign_id and count again on restore.
+========================================================== */
+router.delete('/:id', verifyToken, requirePermission('campaigns:delete'), requireRecordAccess('campaigns'), softDeleteHandler('campaigns'));
+
+/* ==========================================================
+   🔹 RESTORE CAMPAIGN FROM TRASH
+========================================================== */
+router.post('/:id/restore', verifyToken, requirePermission('campaigns:restore'), requireRecordAccess('campaigns'), restoreHandler('campaigns'));
+
+/* ==========================================================
+   🔹 TRANSFER CAMPAIGN OWNERSHIP
+========================================================== */
+router.post('/:id/owner', verifyToken, requirePermission('campaigns:update'), requireRecordAccess('campaigns'), transferOwnerHandler('campaigns'));
+
+module.exports = router;
@@ -2,68 +2,276 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
-const { verifyToken, rbacAccess, requireOwnerOrAdmin } = require('../middleware/auth');
-const { donorValidation } = require('../middleware/validators');
-const { emailValidation, phoneValidation, nameValidation, amountValidation, runValidation } = require('../middleware/globalValidators');
+const uiConfig = require('../config/uiConfig');
+const { runListQuery } = require('../utils/listQuery');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { ownerScope, requireRecordAccess, requireChildAccess, assignOwner, transferOwnerHandler } = require('../utils/ownership');
+const { donorValidation, donationValidation, pledgeValidation, segmentValidation, mergeValidation, duplicateDismissValidation } = require('../middleware/validators');
+const { pickColumns, buildSetClause } = require('../utils/sql');
+const { lockRow, recordAudit, historyHandler } = require('../utils/audit');
+const { softDeleteHandler, restoreHandler, lockLiveRecord } = require('../utils/softDelete');
+const { exportListHandler, exportRecordHandler } = require('../utils/exporter');
+const { importHandler } = require('../utils/importer');
+const { issueReceiptHandler, downloadReceiptHandler } = require('../utils/receipts');
+const { queueAcknowledgment, queueAcknowledgmentHandler } = require('../utils/acknowledgments');
+const { kickOutbox } = require('../utils/emailOutbox');
+const {
+  donorPledgeStandingSql, loadPledge, donorPledges, pledgeSchedule,
+  linkDonationsToPledges, queuePledgeReminders, overduePledges,
+} = require('../utils/pledges');
+const { donorGivingQuery, donorAnalytics, cleanCriteria } = require('../utils/donorAnalytics');
+const { donorCampaignIdsSql } = require('../utils/campaigns');
+const { duplicatesHandler, mergePreviewHandler, mergeHandler, dismissDuplicateHandler } = require('../utils/duplicates');
+
+// Donor fields a record edit may write. The owner, ids, audit stamps and
+// deleted_at are left out on purpose (see utils/ownership.js)
+const DONOR_COLUMNS = [
+  'donor_frf_name', 'donor_id', 'email', 'secondary_email', 'email_opt_out',
+  'donor_type', 'contact_person', 'contact_number', 'address', 'pan'
+];
+// receipt_number and "80g_receipt_issued" are set only by the receipt service,
+// acknowledgment_sent only once the acknowledgment mail is delivered
+const DONATION_COLUMNS = [
+  'donation_date', 'transaction_id', 'purpose',
+  'donor_feedback', 'remarks', 'amount', 'pledge_id', 'campaign_id'
+];
+const PLEDGE_COLUMNS = [
+  'amount', 'frequency', 'start_date', 'end_date',
+  'channel', 'purpose', 'status', 'remarks'
+];
+// Printed on the issued receipt, so frozen once it exists
+const RECEIPTED_LOCKED_COLUMNS = ['donation_date', 'amount'];
+const { emailValidation, phoneValidation, nameValidation, amountValidation, panValidation, runValidation } = require('../middleware/globalValidators');
+
+// Live donors with giving stats and RFM segment (utils/donorAnalytics.js),
+// pledge_standing, the worst standing of their active pledges (utils/pledges.js),
+// and campaign_ids, the campaigns they gave to (utils/campaigns.js)
+const DONOR_LIST_QUERY = donorGivingQuery([
+  `${donorPledgeStandingSql('d')} AS pledge_standing`,
+  `${donorCampaignIdsSql('d')} AS campaign_ids`,
+]);
+
+const GIVING_COLUMNS = [
+  'lifetime_giving', 'gift_count', 'first_gift_date', 'last_gift_date', 'average_gift',
+  'days_since_last_gift', 'recency_score', 'frequency_score', 'monetary_score', 'giving_segment'
+];
+
+// Segments are visible to their creator, and to everyone once shared
+const SEGMENT_QUERY = `
+  SELECT s.*, u.username AS created_by_username
+  FROM donor_segments s
+  LEFT JOIN users u ON u.user_id = s.created_by_user_id
+`;
 
+/** A donation may only be linked to one of its own donor's pledges */
+async function pledgeBelongsTo(client, pledgeId, donorId) {
+  if (pledgeId == null || pledgeId === '') return true;
+  const { rows } = await client.query('SELECT 1 FROM donor_pledges WHERE pledge_id = $1 AND donor_id = $2', [pledgeId, donorId]);
+  return rows.length > 0;
+}
 
-router.get('/', async (req, res) => {
+// GET / — paginated / sorted / filtered donor list
+router.get('/', verifyToken, requirePermission('donors:read'), async (req, res) => {
   try {
-    const { rows } = await db.query('SELECT * FROM donors ORDER BY donor_frf_name ASC');
-    res.json(rows);
+    const result = await runListQuery(db, DONOR_LIST_QUERY, uiConfig.donors, req.query, await ownerScope(req, 'donors'));
+    res.json({ ...result, uiConfig: uiConfig.donors });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Error fetching donors:', err);
     res.status(500).send('Error fetching donors');
   }
 });
 
-// GET /:id — return donor + normalized donations array under `donations`
-router.get('/:id', async (req, res) => {
+// GET /export — csv / xlsx / pdf of the filtered, sorted list
+router.get('/export', verifyToken, requirePermission('donors:export'), exportListHandler('donors', DONOR_LIST_QUERY));
+
+// GET /analytics — totals, retention by financial year and RFM segments (?years=5)
+router.get('/analytics', verifyToken, requirePermission('donors:read'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const years = Math.min(Math.max(parseInt(req.query.years, 10) || 5, 1), 20);
+    res.json(await donorAnalytics(db, { scope: await ownerScope(req, 'donors'), years }));
+  } catch (err) {
+    console.error('Error computing donor analytics:', err);
+    res.status(500).json({ error: 'Error computing donor analytics' });
+  }
+});
 
-    const donorQ = `
-      SELECT 
-        d.*,
+// GET /segments — the user's saved segments and the shared ones
+router.get('/segments', verifyToken, requirePermission('donors:read'), async (req, res) => {
+  try {
+    const { rows } = await db.query(
+      `${SEGMENT_QUERY} WHERE s.created_by_user_id = $1 OR s.shared ORDER BY s.name, s.segment_id`,
+      [req.user.user_id]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching donor segments:', err);
+    res.status(500).json({ error: 'Error fetching donor segments' });
+  }
+});
 
-        cu.username AS created_by_username,
-        cu.email AS created_by_email,
+// POST /segments — save the current list filters under a name
+router.post('/segments', verifyToken, requirePermission('donors:segments:write'), segmentValidation, async (req, res) => {
+  try {
+    const { name, description = null, criteria = {}, shared = false } = req.body;
+    const { rows } = await db.query(
+      `INSERT INTO donor_segments (name, description, criteria, shared, created_by_user_id)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [name, description, cleanCriteria(criteria), shared, req.user.user_id]
+    );
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'You already have a segment with this name' });
+    console.error('Error saving donor segment:', err);
+    res.status(500).json({ error: 'Error saving donor segment' });
+  }
+});
 
-        mu.username AS modified_by_username,
-        mu.email AS modified_by_email
+// PATCH /segments/:segment_id — rename, redefine or share; creator only
+router.patch('/segments/:segment_id', verifyToken, requirePermission('donors:segments:write'), segmentValidation, async (req, res) => {
+  try {
+    const updates = pickColumns(req.body, ['name', 'description', 'criteria', 'shared']);
+    if ('criteria' in updates) updates.criteria = cleanCriteria(updates.criteria);
+    const keys = Object.keys(updates);
+    if (!keys.length) return res.status(400).json({ message: "Nothing to update" });
 
-      FROM donors d
-      LEFT JOIN users cu ON d.created_by_user_id = cu.user_id
-      LEFT JOIN users mu ON d.modified_by_user_id = mu.user_id
-      WHERE d.id = $1;
-    `;
+    const { setSql, values } = buildSetClause(updates);
+    const { rows } = await db.query(
+      `UPDATE donor_segments SET ${setSql}, updated_at = NOW()
+       WHERE segment_id = $${keys.length + 1} AND created_by_user_id = $${keys.length + 2}
+       RETURNING *`,
+      [...values, req.params.segment_id, req.user.user_id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Segment not found' });
+    res.json(rows[0]);
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'You already have a segment with this name' });
+    console.error('Error updating donor segment:', err);
+    res.status(500).json({ error: 'Error updating donor segment' });
+  }
+});
 
-    const { rows } = await db.query(donorQ, [id]);
-    if (!rows.length) return res.status(404).json({ message: "Donor not found" });
+// DELETE /segments/:segment_id — creator only
+router.delete('/segments/:segment_id', verifyToken, requirePermission('donors:segments:write'), async (req, res) => {
+  try {
+    const { rowCount } = await db.query(
+      'DELETE FROM donor_segments WHERE segment_id = $1 AND created_by_user_id = $2',
+      [req.params.segment_id, req.user.user_id]
+    );
+    if (!rowCount) return res.status(404).json({ error: 'Segment not found' });
+    res.json({ message: 'Segment deleted' });
+  } catch (err) {
+    console.error('Error deleting donor segment:', err);
+    res.status(500).json({ error: 'Error deleting donor segment' });
+  }
+});
 
-    const donor = rows[0];
+// GET /segments/:segment_id/donors — the donors matching the segment today, paged like GET /
+router.get('/segments/:segment_id/donors', verifyToken, requirePermission('donors:read'), async (req, res) => {
+  try {
+    const { rows } = await db.query(
+      `${SEGMENT_QUERY} WHERE s.segment_id = $1 AND (s.created_by_user_id = $2 OR s.shared)`,
+      [req.params.segment_id, req.user.user_id]
+    );
+    const segment = rows[0];
+    if (!segment) return res.status(404).json({ error: 'Segment not found' });
+
+    const query = { ...segment.criteria, page: req.query.page, pageSize: req.query.pageSize };
+    const result = await runListQuery(db, DONOR_LIST_QUERY, uiConfig.donors, query, await ownerScope(req, 'donors'));
+    res.json({ ...result, segment });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Error fetching segment donors:', err);
+    res.status(500).json({ error: 'Error fetching segment donors' });
+  }
+});
+
+// GET /duplicates — likely duplicate pairs, best first (?min_score=30&limit=50&record_id=)
+router.get('/duplicates', verifyToken, requirePermission('donors:merge'), duplicatesHandler('donors'));
+
+// POST /duplicates/dismiss — mark a pair as not a duplicate so it isn't offered again
+router.post('/duplicates/dismiss', verifyToken, requirePermission('donors:merge'), duplicateDismissValidation, dismissDuplicateHandler('donors'));
+
+// POST /merge/preview — both donors side by side with the values the merge would keep
+router.post('/merge/preview', verifyToken, requirePermission('donors:merge'), mergeValidation, mergePreviewHandler('donors'));
+
+// POST /merge — merge merged_id into survivor_id; donations and pledges move over
+router.post('/merge', verifyToken, requirePermission('donors:merge'), requirePermission('donors:update'), mergeValidation, mergeHandler('donors'));
+
+// GET /:id/history — audit trail for the donor and its donations
+router.get('/:id/history', verifyToken, requirePermission('donors:read'), requireRecordAccess('donors'), historyHandler('donors'));
+
+// GET /:id/export — PDF of the detail view
+router.get('/:id/export', verifyToken, requirePermission('donors:export'), requireRecordAccess('donors'), exportRecordHandler('donors', loadDonor));
 
-    // donor transactions
-    const txQ = `
+// loadDonor — donor + donations + pledges, shared by GET /:id and the PDF export
+async function loadDonor(id) {
+  const donorQ = `
+    SELECT 
+      d.*,
+
+      cu.username AS created_by_username,
+      cu.email AS created_by_email,
+
+      mu.username AS modified_by_username,
+      mu.email AS modified_by_email
+
+    FROM donors d
+    LEFT JOIN users cu ON d.created_by_user_id = cu.user_id
+    LEFT JOIN users mu ON d.modified_by_user_id = mu.user_id
+    WHERE d.id = $1 AND d.deleted_at IS NULL;
+  `;
+
+  const { rows } = await db.query(donorQ, [id]);
+  if (!rows.length) return null;
+
+  const donor = rows[0];
+
+  // donor transactions
+  const txQ = `
   SELECT 
     donation_id,
     transaction_id,
-    TO_CHAR(donation_date, 'YYYY-MM-DD') AS donation_date,
+    donation_date,
     purpose,
     receipt_number,
-    CASE WHEN "80g_receipt_issued" = true THEN 'Yes' ELSE 'No' END AS "80g_receipt_issued",
-    CASE WHEN acknowledgment_sent = true THEN 'Yes' ELSE 'No' END AS acknowledgment_sent,
+    "80g_receipt_issued",
+    acknowledgment_sent,
+    (
+      SELECT o.status FROM email_outbox o
+      WHERE o.kind = 'donation_acknowledgment' AND o.record_id = donations.donation_id::text
+      ORDER BY o.email_id DESC LIMIT 1
+    ) AS acknowledgment_status,
     donor_feedback,
     remarks,
-    amount
+    amount,
+    pledge_id,
+    campaign_id
   FROM donations
   WHERE donor_id = $1
   ORDER BY donation_date DESC;
 `;
 
-    const { rows: txns } = await db.query(txQ, [id]);
+  const { rows: txns } = await db.query(txQ, [id]);
+
+  donor.donations = txns;
+  donor.pledges = await donorPledges(db, id);
+
+  // Giving stats are ranked against every donor, so they come from the list query
+  const { rows: giving } = await db.query(
+    `SELECT ${GIVING_COLUMNS.join(', ')} FROM (${DONOR_LIST_QUERY}) s WHERE s.id = $1`,
+    [id]
+  );
+  Object.assign(donor, giving[0]);
 
-    donor.donations = txns;
+  return donor;
+}
+
+// GET /:id — return donor + normalized donations array under `donations`
+router.get('/:id', verifyToken, requirePermission('donors:read'), requireRecordAccess('donors'), async (req, res) => {
+  try {
+    const donor = await loadDonor(req.params.id);
+    if (!donor) return res.status(404).json({ message: "Donor not found" });
 
     res.json(donor);
 
@@ -77,7 +285,7 @@ router.get('/:id', async (req, res) => {
 
 
 // POST / — create donor (insert only actual donor table columns)
-router.post('/', verifyToken, rbacAccess(), emailValidation('email'), emailValidation('secondary_email'), phoneValidation('contact_number'), nameValidation('donor_frf_name'), donorValidation, runValidation, async (req, res) => {
+router.post('/', verifyToken, requirePermission('donors:create'), assignOwner('donors'), emailValidation('email'), emailValidation('secondary_email'), phoneValidation('contact_number'), nameValidation('donor_frf_name'), panValidation('pan'), donorValidation, runValidation, async (req, res) => {
   try {
     const {
       id,
@@ -91,6 +299,7 @@ router.post('/', verifyToken, rbacAccess(), emailValidation('email'), emailValid
       contact_number,
       address,
       donor_type,
+      pan,
       created_by_date,
       modified_by_user_id,
       modified_date
@@ -100,12 +309,12 @@ router.post('/', verifyToken, rbacAccess(), emailValidation('email'), emailValid
       INSERT INTO donors (
         id, donor_frf_name, donor_frf_owner, donor_id, email, secondary_email,
         email_opt_out, contact_person, contact_number, address,
-        donor_type, created_by_date, modified_by_user_id, modified_date
+        donor_type, created_by_date, modified_by_user_id, modified_date, pan
       )
       VALUES (
         $1, $2, $3, $4, $5, $6,
         COALESCE($7, false), $8, $9, $10,
-        $11, COALESCE($12, NOW()), COALESCE($13::int, NULL), COALESCE($14, NOW())
+        $11, COALESCE($12, NOW()), COALESCE($13::int, NULL), COALESCE($14, NOW()), $15
       )
       RETURNING *;
     `;
@@ -124,10 +333,15 @@ router.post('/', verifyToken, rbacAccess(), emailValidation('email'), emailValid
       donor_type,
       created_by_date,
       modified_by_user_id,
-      modified_date
+      modified_date,
+      pan || null
     ];
 
-    const { rows } = await db.query(q, vals);
+    const rows = await db.withTransaction(async (client) => {
+      const result = await client.query(q, vals);
+      await recordAudit(client, req, { entity: 'donors', recordId: result.rows[0].id, action: 'CREATE', after: result.rows[0] });
+      return result.rows;
+    });
     res.status(201).json(rows[0]);
   } catch (err) {
     console.error('Error creating donor:', err);
@@ -137,19 +351,23 @@ router.post('/', verifyToken, rbacAccess(), emailValidation('email'), emailValid
 
 
 
+// POST /import — bulk create donors from CSV / XLSX (dry run unless dryRun=false)
+router.post('/import', verifyToken, requirePermission('donors:import'), importHandler('donors', [
+  emailValidation('email'), emailValidation('secondary_email'), phoneValidation('contact_number'), nameValidation('donor_frf_name'), panValidation('pan'), donorValidation
+]));
+
 // POST /:id/donations — insert into donations table (singular -> plural fix) and return inserted row
-router.post('/:id/donations', verifyToken, rbacAccess(), amountValidation('amount'), runValidation, async (req, res) => {
+router.post('/:id/donations', verifyToken, requirePermission('donors:donations:write'), requireRecordAccess('donors'), donationValidation, async (req, res) => {
   try {
     const {
       donation_date,
       transaction_id,
       purpose,
-      receipt_number,
       amount,
       remarks,
       donor_feedback,
-      acknowledgment_sent,
-      "80g_receipt_issued": eightyG // get using bracket notation
+      pledge_id,
+      campaign_id
     } = req.body;
 
     const donor_id = req.params.id;
@@ -160,13 +378,12 @@ router.post('/:id/donations', verifyToken, rbacAccess(), amountValidation('amoun
         donation_date,
         transaction_id,
         purpose,
-        receipt_number,
-        "80g_receipt_issued",
-        acknowledgment_sent,
         donor_feedback,
         remarks,
-        amount
-      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+        amount,
+        pledge_id,
+        campaign_id
+      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
       RETURNING *;
     `;
 
@@ -175,16 +392,30 @@ router.post('/:id/donations', verifyToken, rbacAccess(), amountValidation('amoun
       donation_date,
       transaction_id,
       purpose,
-      receipt_number,
-      eightyG === true || eightyG === "true",
-      acknowledgment_sent === true || acknowledgment_sent === "true",
       donor_feedback,
       remarks,
-      amount
+      amount,
+      pledge_id || null,
+      campaign_id || null
     ];
 
-    const { rows } = await db.query(q, vals);
-
+    const rows = await db.withTransaction(async (client) => {
+      if (!(await lockLiveRecord(client, 'donors', donor_id))) return [];
+      if (!(await pledgeBelongsTo(client, pledge_id, donor_id))) return null;
+      const result = await client.query(q, vals);
+      let created = result.rows[0];
+      await recordAudit(client, req, { entity: 'donations', recordId: created.donation_id, action: 'CREATE', after: created, parentEntity: 'donors', parentId: donor_id });
+      if (!created.pledge_id && await linkDonationsToPledges(client, req, donor_id, created.donation_id)) {
+        created = (await client.query('SELECT * FROM donations WHERE donation_id = $1', [created.donation_id])).rows[0];
+      }
+      // Thank-you mail goes out after commit; skipped for opted-out donors
+      const email = await queueAcknowledgment(client, req, created);
+      return [{ ...created, acknowledgment_status: email ? email.status : null }];
+    });
+
+    if (rows === null) return res.status(400).json({ message: "Pledge belongs to another donor" });
+    if (!rows.length) return res.status(404).json({ message: "Donor not found" });
+    if (rows[0].acknowledgment_status) kickOutbox();
     res.status(201).json(rows[0]);
 
   } catch (err) {
@@ -196,12 +427,11 @@ router.post('/:id/donations', verifyToken, rbacAccess(), amountValidation('amoun
 
 
 // UPDATE a donor by ID
-router.put('/:id', verifyToken, rbacAccess(), async (req, res) => {
+router.put('/:id', verifyToken, requirePermission('donors:update'), requireRecordAccess('donors'), panValidation('pan'), runValidation, async (req, res) => {
   try {
     const { id } = req.params;
     const {
       donor_frf_name,
-      donor_frf_owner,
       donor_id,
       email,
       secondary_email,
@@ -209,42 +439,51 @@ router.put('/:id', verifyToken, rbacAccess(), async (req, res) => {
       donor_type,
       contact_person,
       contact_number,
-      address
+      address,
+      pan
     } = req.body;
 
+    // donor_frf_owner is left as it is; owners change through POST /:id/owner
     const q = `
       UPDATE donors
       SET donor_frf_name = $1,
-          donor_frf_owner = $2,
-          donor_id = $3,
-          email = $4,
-          secondary_email = $5,
-          email_opt_out = COALESCE($6, false),
-          modified_by_user_id = $2,
+          donor_id = $2,
+          email = $3,
+          secondary_email = $4,
+          email_opt_out = COALESCE($5, false),
+          modified_by_user_id = $6,
           modified_date = NOW(),
           donor_type = $7,
           contact_person = $8,
           contact_number = $9,
-          address = $10
-      WHERE id = $11
+          address = $10,
+          pan = $11
+      WHERE id = $12
       RETURNING *;
     `;
 
     const vals = [
       donor_frf_name,
-      donor_frf_owner,
       donor_id,
       email,
       secondary_email,
       email_opt_out,
+      req.user.user_id,
       donor_type,
       contact_person,
       contact_number,
       address,
+      pan || null,
       id
     ];
 
-    const { rows } = await db.query(q, vals);
+    const rows = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'donors', 'id', id);
+      if (!before || before.deleted_at) return [];
+      const result = await client.query(q, vals);
+      await recordAudit(client, req, { entity: 'donors', recordId: id, action: 'UPDATE', before, after: result.rows[0] });
+      return result.rows;
+    });
 
     if (rows.length === 0) {
       return res.status(404).json({ message: 'Donor not found' });
@@ -257,44 +496,35 @@ router.put('/:id', verifyToken, rbacAccess(), async (req, res) => {
   }
 });
 
-// DELETE a donor by ID
-router.delete('/:id', verifyToken, rbacAccess(), async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    // Delete related donations first (if your DB has foreign key constraints)
-    await db.query('DELETE FROM donations WHERE donor_id = $1', [id]);
+// DELETE a donor by ID (soft delete — donations are kept until the donor is purged)
+router.delete('/:id', verifyToken, requirePermission('donors:delete'), requireRecordAccess('donors'), softDeleteHandler('donors'));
 
-    // Then delete the donor record
-    const result = await db.query('DELETE FROM donors WHERE id = $1 RETURNING *', [id]);
+// POST /:id/restore — bring a trashed donor back
+router.post('/:id/restore', verifyToken, requirePermission('donors:restore'), requireRecordAccess('donors'), restoreHandler('donors'));
 
-    if (result.rowCount === 0) {
-      return res.status(404).json({ message: 'Donor not found' });
-    }
+// POST /:id/owner — hand the donor over to another user
+router.post('/:id/owner', verifyToken, requirePermission('donors:update'), requireRecordAccess('donors'), transferOwnerHandler('donors'));
 
-    res.json({ message: 'Donor deleted successfully', deleted: result.rows[0] });
-  } catch (err) {
-    console.error('Error deleting donor:', err);
-    res.status(500).send('Error deleting donor');
-  }
-});
-
-router.patch('/:id', verifyToken, rbacAccess(), emailValidation('email'), emailValidation('secondary_email'), phoneValidation('contact_number'), runValidation, async (req, res) => {
+router.patch('/:id', verifyToken, requirePermission('donors:update'), requireRecordAccess('donors'), emailValidation('email'), emailValidation('secondary_email'), phoneValidation('contact_number'), panValidation('pan'), runValidation, async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = [];
-    const values = [];
-    let i = 1;
-
-    for (const [key, value] of Object.entries(req.body)) {
-      updates.push(`${key} = $${i}`);
-      values.push(value);
-      i++;
-    }
+    const updates = pickColumns(req.body, DONOR_COLUMNS);
+    if (!Object.keys(updates).length) return res.status(400).json({ message: 'No fields to update' });
 
-    values.push(id);
-    const query = `UPDATE donors SET ${updates.join(', ')}, modified_date = NOW() WHERE id = $${i} RETURNING *`;
-    const { rows } = await db.query(query, values);
+    const { setSql, values } = buildSetClause(updates);
+    const query = `
+      UPDATE donors
+      SET ${setSql}, modified_by_user_id = $${values.length + 1}, modified_date = NOW()
+      WHERE id = $${values.length + 2}
+      RETURNING *
+    `;
+    const rows = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'donors', 'id', id);
+      if (!before || before.deleted_at) return [];
+      const result = await client.query(query, [...values, req.user.user_id, id]);
+      await recordAudit(client, req, { entity: 'donors', recordId: id, action: 'UPDATE', before, after: result.rows[0] });
+      return result.rows;
+    });
 
     if (rows.length === 0) return res.status(404).json({ message: 'Donor not found' });
 
@@ -305,25 +535,36 @@ router.patch('/:id', verifyToken, rbacAccess(), emailValidation('email'), emailV
   }
 });
 
-router.patch('/donations/:donation_id', verifyToken, rbacAccess(), amountValidation('amount'), runValidation, async (req, res) => {
+router.patch('/donations/:donation_id', verifyToken, requirePermission('donors:donations:write'), requireChildAccess('donors', 'donation_id'), donationValidation, async (req, res) => {
   try {
     const { donation_id } = req.params;
-    const updates = req.body;
+    const updates = pickColumns(req.body, DONATION_COLUMNS);
+    if (updates.pledge_id === '') updates.pledge_id = null;
+    if (updates.campaign_id === '') updates.campaign_id = null;
 
     const keys = Object.keys(updates);
     if (!keys.length) return res.status(400).json({ message: "Nothing to update" });
 
-    const set = keys.map((k, i) => `"${k}" = $${i + 1}`).join(", ");
-    const values = Object.values(updates);
+    const { setSql, values } = buildSetClause(updates);
 
     const q = `
       UPDATE donations
-      SET ${set}
+      SET ${setSql}
       WHERE donation_id = $${keys.length + 1}
       RETURNING *;
     `;
 
-    const { rows } = await db.query(q, [...values, donation_id]);
+    const rows = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'donations', 'donation_id', donation_id);
+      if (!before || !(await lockLiveRecord(client, 'donors', before.donor_id))) return [];
+      if (before['80g_receipt_issued'] && RECEIPTED_LOCKED_COLUMNS.some(k => k in updates)) return null;
+      if ('pledge_id' in updates && !(await pledgeBelongsTo(client, updates.pledge_id, before.donor_id))) return undefined;
+      const result = await client.query(q, [...values, donation_id]);
+      await recordAudit(client, req, { entity: 'donations', recordId: donation_id, action: 'UPDATE', before, after: result.rows[0], parentEntity: 'donors', parentId: before.donor_id });
+      return result.rows;
+    });
+    if (rows === null) return res.status(409).json({ message: "Amount and date can't change after the 80G receipt is issued" });
+    if (rows === undefined) return res.status(400).json({ message: "Pledge belongs to another donor" });
     if (!rows.length) return res.status(404).json({ message: "Donation not found" });
 
     res.json(rows[0]);
@@ -333,5 +574,208 @@ router.patch('/donations/:donation_id', verifyToken, rbacAccess(), amountValidat
   }
 });
 
+// DELETE /donations/:donation_id — remove a single donation row
+router.delete('/donations/:donation_id', verifyToken, requirePermission('donors:donations:write'), requireChildAccess('donors', 'donation_id'), async (req, res) => {
+  try {
+    const { donation_id } = req.params;
+
+    const result = await db.withTransaction(async (client) => {
+      const donation = await lockRow(client, 'donations', 'donation_id', donation_id);
+      if (!donation || !(await lockLiveRecord(client, 'donors', donation.donor_id))) return { status: 404 };
+      if (donation['80g_receipt_issued']) return { status: 409 };
+
+      await client.query('DELETE FROM donations WHERE donation_id = $1', [donation_id]);
+      await recordAudit(client, req, { entity: 'donations', recordId: donation_id, action: 'DELETE', before: donation, parentEntity: 'donors', parentId: donation.donor_id });
+      return { status: 200 };
+    });
+    if (result.status === 404) return res.status(404).json({ message: "Donation not found" });
+    if (result.status === 409) return res.status(409).json({ message: "Donations with an issued 80G receipt can't be deleted" });
+
+    res.json({ message: "Donation deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting donation:", err);
+    res.status(500).json({ error: "Error deleting donation" });
+  }
+});
+
+// POST /donations/:donation_id/receipt — issue the 80G receipt (numbered, rendered and stored)
+router.post('/donations/:donation_id/receipt', verifyToken, requirePermission('donors:receipts:issue'), requireChildAccess('donors', 'donation_id'), issueReceiptHandler);
+
+// GET /donations/:donation_id/receipt — download the stored receipt PDF
+router.get('/donations/:donation_id/receipt', verifyToken, requirePermission('donors:read'), requireChildAccess('donors', 'donation_id'), downloadReceiptHandler);
+
+// POST /donations/:donation_id/acknowledgment — queue the thank-you mail again (e.g. after a failed delivery)
+router.post('/donations/:donation_id/acknowledgment', verifyToken, requirePermission('donors:acknowledgments:send'), requireChildAccess('donors', 'donation_id'), queueAcknowledgmentHandler);
+
+// Pledges — recurring gifts, their dues schedule and reminders (utils/pledges.js)
+
+// GET /pledges/overdue — active pledges with unpaid instalments (?standing=overdue|lapsed&donor_type=)
+router.get('/pledges/overdue', verifyToken, requirePermission('donors:read'), async (req, res) => {
+  try {
+    const { standing, donor_type } = req.query;
+    if (standing && !['overdue', 'lapsed'].includes(standing)) {
+      return res.status(400).json({ message: "Standing must be overdue or lapsed" });
+    }
+    const rows = await overduePledges(db, { standing, donorType: donor_type, scope: await ownerScope(req, 'donors') });
+    res.json(rows);
+  } catch (err) {
+    console.error("Error fetching overdue pledges:", err);
+    res.status(500).json({ error: "Error fetching overdue pledges" });
+  }
+});
+
+// POST /pledges/reminders — queue reminders for every overdue pledge, or just `pledge_ids`
+router.post('/pledges/reminders', verifyToken, requirePermission('donors:pledges:remind'), async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body?.pledge_ids) ? new Set(req.body.pledge_ids.map(String)) : null;
+    const scope = await ownerScope(req, 'donors');
+
+    const result = await db.withTransaction(async (client) => {
+      const pledges = (await overduePledges(client, { scope })).filter(p => !ids || ids.has(String(p.pledge_id)));
+      return queuePledgeReminders(client, req, pledges);
+    });
+
+    if (result.queued.length) kickOutbox();
+    res.status(202).json(result);
+  } catch (err) {
+    console.error("Error queueing pledge reminders:", err);
+    res.status(500).json({ error: "Error queueing pledge reminders" });
+  }
+});
+
+// POST /:id/pledges — add a pledge; existing donations in its date range are linked to it
+router.post('/:id/pledges', verifyToken, requirePermission('donors:pledges:write'), requireRecordAccess('donors'), pledgeValidation, async (req, res) => {
+  try {
+    const donor_id = req.params.id;
+    const values = pickColumns(req.body, PLEDGE_COLUMNS);
+    if (!values.end_date) values.end_date = null;
+    const cols = Object.keys(values);
+
+    const pledge = await db.withTransaction(async (client) => {
+      const { rows: donor } = await client.query('SELECT 1 FROM donors WHERE id = $1 AND deleted_at IS NULL', [donor_id]);
+      if (!donor.length) return null;
+
+      const { rows } = await client.query(
+        `INSERT INTO donor_pledges (donor_id, created_by_user_id, ${cols.map(c => `"${c}"`).join(', ')})
+         VALUES ($1, $2, ${cols.map((_, i) => `$${i + 3}`).join(', ')})
+         RETURNING *`,
+        [donor_id, req.user?.user_id ?? null, ...cols.map(c => values[c])]
+      );
+      const created = rows[0];
+      await recordAudit(client, req, { entity: 'pledges', recordId: created.pledge_id, action: 'CREATE', after: created, parentEntity: 'donors', parentId: donor_id });
+      await linkDonationsToPledges(client, req, donor_id);
+      return loadPledge(client, created.pledge_id);
+    });
+    if (!pledge) return res.status(404).json({ message: "Donor not found" });
+
+    res.status(201).json(pledge);
+  } catch (err) {
+    console.error("Error creating pledge:", err);
+    res.status(500).json({ error: "Error creating pledge" });
+  }
+});
+
+// PATCH /pledges/:pledge_id — cancelling closes the pledge at today's date
+router.patch('/pledges/:pledge_id', verifyToken, requirePermission('donors:pledges:write'), requireChildAccess('donors', 'pledge_id', 'pledges'), pledgeValidation, async (req, res) => {
+  try {
+    const { pledge_id } = req.params;
+    const updates = pickColumns(req.body, PLEDGE_COLUMNS);
+    if ('end_date' in updates && !updates.end_date) updates.end_date = null;
+
+    const keys = Object.keys(updates);
+    if (!keys.length) return res.status(400).json({ message: "Nothing to update" });
+
+    const { setSql, values } = buildSetClause(updates);
+
+    const result = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'donor_pledges', 'pledge_id', pledge_id);
+      if (!before) return { status: 404 };
+
+      const start = String(updates.start_date ?? before.start_date).slice(0, 10);
+      const end = 'end_date' in updates ? updates.end_date : before.end_date;
+      if (end && String(end).slice(0, 10) < start) return { status: 400 };
+
+      await client.query(`UPDATE donor_pledges SET ${setSql} WHERE pledge_id = $${keys.length + 1}`, [...values, pledge_id]);
+      if (updates.status === 'cancelled' && before.status !== 'cancelled') {
+        await client.query(
+          `UPDATE donor_pledges
+           SET end_date = GREATEST(start_date, LEAST(COALESCE(end_date, CURRENT_DATE), CURRENT_DATE))
+           WHERE pledge_id = $1`,
+          [pledge_id]
+        );
+      }
+      const { rows } = await client.query('SELECT * FROM donor_pledges WHERE pledge_id = $1', [pledge_id]);
+      await recordAudit(client, req, { entity: 'pledges', recordId: pledge_id, action: 'UPDATE', before, after: rows[0], parentEntity: 'donors', parentId: before.donor_id });
+      await linkDonationsToPledges(client, req, before.donor_id);
+      return { status: 200, pledge: await loadPledge(client, pledge_id) };
+    });
+    if (result.status === 404) return res.status(404).json({ message: "Pledge not found" });
+    if (result.status === 400) return res.status(400).json({ message: "End date can't be before the start date" });
+
+    res.json(result.pledge);
+  } catch (err) {
+    console.error("Error updating pledge:", err);
+    res.status(500).json({ error: "Error updating pledge" });
+  }
+});
+
+// DELETE /pledges/:pledge_id — its donations stay, unlinked
+router.delete('/pledges/:pledge_id', verifyToken, requirePermission('donors:pledges:write'), requireChildAccess('donors', 'pledge_id', 'pledges'), async (req, res) => {
+  try {
+    const { pledge_id } = req.params;
+
+    const found = await db.withTransaction(async (client) => {
+      const pledge = await lockRow(client, 'donor_pledges', 'pledge_id', pledge_id);
+      if (!pledge) return false;
+      await client.query('DELETE FROM donor_pledges WHERE pledge_id = $1', [pledge_id]);
+      await recordAudit(client, req, { entity: 'pledges', recordId: pledge_id, action: 'DELETE', before: pledge, parentEntity: 'donors', parentId: pledge.donor_id });
+      return true;
+    });
+    if (!found) return res.status(404).json({ message: "Pledge not found" });
+
+    res.json({ message: "Pledge deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting pledge:", err);
+    res.status(500).json({ error: "Error deleting pledge" });
+  }
+});
+
+// GET /pledges/:pledge_id/schedule — expected vs received instalments
+router.get('/pledges/:pledge_id/schedule', verifyToken, requirePermission('donors:read'), requireChildAccess('donors', 'pledge_id', 'pledges'), async (req, res) => {
+  try {
+    const pledge = await loadPledge(db, req.params.pledge_id);
+    if (!pledge) return res.status(404).json({ message: "Pledge not found" });
+
+    const { rows: donations } = await db.query(
+      `SELECT donation_id, donation_date, amount, transaction_id, purpose
+       FROM donations WHERE pledge_id = $1 ORDER BY donation_date, donation_id`,
+      [pledge.pledge_id]
+    );
+    res.json({ pledge, donations, ...pledgeSchedule(pledge, donations) });
+  } catch (err) {
+    console.error("Error building pledge schedule:", err);
+    res.status(500).json({ error: "Error building pledge schedule" });
+  }
+});
+
+// POST /pledges/:pledge_id/reminder — queue one reminder now
+router.post('/pledges/:pledge_id/reminder', verifyToken, requirePermission('donors:pledges:remind'), requireChildAccess('donors', 'pledge_id', 'pledges'), async (req, res) => {
+  try {
+    const result = await db.withTransaction(async (client) => {
+      const pledge = await loadPledge(client, req.params.pledge_id);
+      if (!pledge) return null;
+      return queuePledgeReminders(client, req, [pledge]);
+    });
+    if (!result) return res.status(404).json({ message: "Pledge not found" });
+    if (result.skipped.length) return res.status(400).json({ error: result.skipped[0].reason });
+
+    kickOutbox();
+    res.status(202).json({ message: 'Reminder queued', email_id: result.queued[0].email_id });
+  } catch (err) {
+    console.error("Error queueing pledge reminder:", err);
+    res.status(500).json({ error: "Error queueing pledge reminder" });
+  }
+});
+
 
 module.exports = router;
@@ -2,76 +2,153 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
-const uiConfig = require('./uiConfig');
-const { verifyToken, rbacAccess, requireOwnerOrAdmin } = require('../middleware/auth');
-const { financeValidation } = require('../middleware/validators');
+const uiConfig = require('../config/uiConfig');
+const { runListQuery } = require('../utils/listQuery');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { ownerScope, requireRecordAccess, requireChildAccess, assignOwner, transferOwnerHandler } = require('../utils/ownership');
+const { financeValidation, financeUpdateValidation, transactionValidation } = require('../middleware/validators');
+const { pickColumns, buildSetClause } = require('../utils/sql');
+const { lockRow, recordAudit, historyHandler } = require('../utils/audit');
+const { softDeleteHandler, restoreHandler } = require('../utils/softDelete');
+const { exportListHandler, exportRecordHandler } = require('../utils/exporter');
+const { effectiveProjectId, reportProjectIds, refreshBudgetUtilized, budgetWarnings } = require('../utils/fundAccounting');
+
+// Report fields open to PATCH /:id
+const FINANCE_REPORT_COLUMNS = [
+  'finance_report_frf_name', 'project_name', 'email', 'secondary_email', 'email_opt_out',
+  'project_id', 'campaign_id'
+];
+const TRANSACTION_COLUMNS = [
+  'transaction_date', 'name', 'income_amount', 'expense_amount',
+  'bill_transaction_id', 'gst', 'remarks', 'other_details',
+  'project_id', 'category_id', 'status'
+];
 const { emailValidation, amountValidation, runValidation } = require('../middleware/globalValidators');
 
+// Deleting or restoring a report moves its posted expenses in or out of project budgets
+const refreshReportProjects = async (client, report) =>
+  refreshBudgetUtilized(client, [report.project_id, ...await reportProjectIds(client, report.id)]);
+
+const FINANCE_LIST_QUERY = `
+  SELECT f.id, f.finance_report_frf_name, f.email, f.finance_report_frf_owner, f.modified_date,
+         f.campaign_id, c.campaign_frf_name
+  FROM finance_reports f
+  LEFT JOIN campaigns c ON c.id = f.campaign_id
+  WHERE f.deleted_at IS NULL
+`;
+
 
 /* ==========================================================
-   🔹 GET ALL FINANCE REPORTS (Members and above can view)
+   🔹 GET ALL FINANCE REPORTS
 ========================================================== */
-router.get('/', async (req, res) => {
+router.get('/', verifyToken, requirePermission('finance:read'), async (req, res) => {
   try {
-    const result = await db.query(`
-      SELECT id, finance_report_frf_name, email, finance_report_frf_owner, modified_date
-      FROM finance_reports
-      ORDER BY finance_report_frf_name ASC
-    `);
-    res.json({ data: result.rows, uiConfig: uiConfig.finance });
+    const result = await runListQuery(db, FINANCE_LIST_QUERY, uiConfig.finance, req.query, await ownerScope(req, 'finance'));
+    res.json({ ...result, uiConfig: uiConfig.finance });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Error fetching finance reports:', err);
     res.status(500).send('Error fetching finance reports');
   }
 });
 
 /* ==========================================================
-   🔹 GET SINGLE FINANCE REPORT (Owner or Admin/Staff)
+   🔹 PROJECT + EXPENSE CATEGORY OPTIONS (report / ledger forms)
 ========================================================== */
-router.get('/:id', async (req, res) => {
+router.get('/lookups', verifyToken, requirePermission('finance:read'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { rows: projects } = await db.query(
+      'SELECT id, project_frf_name FROM projects WHERE deleted_at IS NULL ORDER BY project_frf_name'
+    );
+    const { rows: expense_categories } = await db.query(
+      'SELECT category_id, name, description FROM expense_categories WHERE is_active ORDER BY name'
+    );
+    res.json({ projects, expense_categories });
+  } catch (err) {
+    console.error('Error fetching finance lookups:', err);
+    res.status(500).json({ error: 'Error fetching finance lookups' });
+  }
+});
 
-    const financeQ = `
-      SELECT 
-        f.*,
-        cu.username AS created_by_username,
-        cu.email AS created_by_email,
-        mu.username AS modified_by_username,
-        mu.email AS modified_by_email
-      FROM finance_reports f
-      LEFT JOIN users cu ON f.created_by_user_id = cu.user_id
-      LEFT JOIN users mu ON f.modified_by_user_id = mu.user_id
-      WHERE f.id = $1
-    `;
+/* ==========================================================
+   🔹 EXPORT FINANCE REPORTS (CSV / XLSX / PDF, same filters as the list)
+========================================================== */
+router.get('/export', verifyToken, requirePermission('finance:export'), exportListHandler('finance', FINANCE_LIST_QUERY));
 
-    const { rows: reportRows } = await db.query(financeQ, [id]);
-    if (reportRows.length === 0)
-      return res.status(404).json({ message: 'Finance report not found' });
+/* ==========================================================
+   🔹 FINANCE REPORT HISTORY (audit trail incl. ledger entries)
+========================================================== */
+router.get('/:id/history', verifyToken, requirePermission('finance:read'), requireRecordAccess('finance'), historyHandler('finance'));
 
-    const report = reportRows[0];
+/* ==========================================================
+   🔹 EXPORT SINGLE FINANCE REPORT AS PDF
+========================================================== */
+router.get('/:id/export', verifyToken, requirePermission('finance:export'), requireRecordAccess('finance'), exportRecordHandler('finance', loadFinanceReport));
 
-    // transactions
-    const txnQ = `
+/* ==========================================================
+   🔹 LOAD FINANCE REPORT + TRANSACTIONS (detail view + PDF export)
+========================================================== */
+async function loadFinanceReport(id) {
+  const financeQ = `
+    SELECT 
+      f.*,
+      cu.username AS created_by_username,
+      cu.email AS created_by_email,
+      mu.username AS modified_by_username,
+      mu.email AS modified_by_email,
+      p.project_frf_name,
+      c.campaign_frf_name
+    FROM finance_reports f
+    LEFT JOIN users cu ON f.created_by_user_id = cu.user_id
+    LEFT JOIN users mu ON f.modified_by_user_id = mu.user_id
+    LEFT JOIN projects p ON p.id = f.project_id
+    LEFT JOIN campaigns c ON c.id = f.campaign_id
+    WHERE f.id = $1 AND f.deleted_at IS NULL
+  `;
+
+  const { rows: reportRows } = await db.query(financeQ, [id]);
+  if (reportRows.length === 0) return null;
+
+  const report = reportRows[0];
+
+  // transactions
+  const txnQ = `
   SELECT 
-    transaction_id,
-    TO_CHAR(transaction_date, 'DD-MM-YYYY') AS transaction_date,
-    name,
-    income_amount,
-    expense_amount,
-    bill_transaction_id,
-    gst,
-    remarks,
-    other_details
-  FROM finance_transactions
-  WHERE finance_report_id = $1
-  ORDER BY transaction_date DESC
+    t.transaction_id,
+    t.transaction_date,
+    t.name,
+    t.income_amount,
+    t.expense_amount,
+    t.bill_transaction_id,
+    t.gst,
+    t.remarks,
+    t.other_details,
+    t.project_id,
+    p.project_frf_name,
+    t.category_id,
+    c.name AS category_name,
+    t.status
+  FROM finance_transactions t
+  LEFT JOIN projects p ON p.id = t.project_id
+  LEFT JOIN expense_categories c ON c.category_id = t.category_id
+  WHERE t.finance_report_id = $1
+  ORDER BY t.transaction_date DESC
 `;
 
+  const { rows: transactions } = await db.query(txnQ, [id]);
+
+  report.transactions = transactions;
 
-    const { rows: transactions } = await db.query(txnQ, [id]);
+  return report;
+}
 
-    report.transactions = transactions;
+/* ==========================================================
+   🔹 GET SINGLE FINANCE REPORT
+========================================================== */
+router.get('/:id', verifyToken, requirePermission('finance:read'), requireRecordAccess('finance'), async (req, res) => {
+  try {
+    const report = await loadFinanceReport(req.params.id);
+    if (!report) return res.status(404).json({ message: 'Finance report not found' });
 
     res.json(report);
 
@@ -83,30 +160,32 @@ router.get('/:id', async (req, res) => {
 
 
 /* ==========================================================
-   🔹 CREATE FINANCE REPORT (Finance/Staff/Admin/SuperAdmin)
+   🔹 CREATE FINANCE REPORT
 ========================================================== */
-router.post('/', verifyToken, rbacAccess(), financeValidation, emailValidation('email'), emailValidation('secondary_email'), runValidation, async (req, res) => {
+router.post('/', verifyToken, requirePermission('finance:create'), assignOwner('finance'), financeValidation, emailValidation('email'), emailValidation('secondary_email'), runValidation, async (req, res) => {
   try {
     const {
       id,
       finance_report_frf_name,
-      finance_report_frf_owner,
       project_name,
+      project_id,
+      campaign_id,
       email,
       secondary_email,
       email_opt_out,
       modified_by_user_id
     } = req.body;
 
+    // project_name is kept for reports that predate project links
     const q = `
       INSERT INTO finance_reports (
         id, finance_report_frf_name, finance_report_frf_owner,
         project_name, email, secondary_email, email_opt_out,
-        created_by_date, modified_by_user_id, modified_date
+        created_by_date, modified_by_user_id, modified_date, project_id, campaign_id
       )
       VALUES (
-        $1, $2, $3, $4, $5, $6, COALESCE($7, false),
-        NOW(), $8, NOW()
+        $1, $2, $3, COALESCE($4, (SELECT project_frf_name FROM projects WHERE id = $9)), $5, $6, COALESCE($7, false),
+        NOW(), $8, NOW(), $9, $10
       )
       RETURNING *;
     `;
@@ -114,15 +193,21 @@ router.post('/', verifyToken, rbacAccess(), financeValidation, emailValidation('
     const vals = [
       id,
       finance_report_frf_name,
-      finance_report_frf_owner,
+      req.user.user_id,
       project_name,
       email,
       secondary_email,
       email_opt_out,
-      Number(modified_by_user_id) || 1
+      Number(modified_by_user_id) || 1,
+      project_id || null,
+      campaign_id || null
     ];
 
-    const { rows } = await db.query(q, vals);
+    const rows = await db.withTransaction(async (client) => {
+      const result = await client.query(q, vals);
+      await recordAudit(client, req, { entity: 'finance', recordId: result.rows[0].id, action: 'CREATE', after: result.rows[0] });
+      return result.rows;
+    });
     res.status(201).json(rows[0]);
   } catch (err) {
     console.error('Error creating finance report:', err);
@@ -133,23 +218,35 @@ router.post('/', verifyToken, rbacAccess(), financeValidation, emailValidation('
 /* ==========================================================
    🔹 ADD TRANSACTION TO FINANCE REPORT (Ledger Entry)
 ========================================================== */
-router.post('/:id/transactions', verifyToken, rbacAccess(), amountValidation('income_amount', 'expense_amount'), runValidation, async (req, res) => {
+router.post('/:id/transactions', verifyToken, requirePermission('finance:transactions:write'), requireRecordAccess('finance'), transactionValidation, async (req, res) => {
   try {
     const { id } = req.params;
-    const { transaction_date, name, income_amount, expense_amount, bill_transaction_id, gst, remarks, other_details } = req.body;
+    const {
+      transaction_date, name, income_amount, expense_amount, bill_transaction_id, gst, remarks, other_details,
+      project_id, category_id, status
+    } = req.body;
 
     const q = `
       INSERT INTO finance_transactions (
         finance_report_id, transaction_date, name, income_amount, expense_amount,
-        bill_transaction_id, gst, remarks, other_details
+        bill_transaction_id, gst, remarks, other_details, project_id, category_id, status
       )
-      VALUES ($1,$2,$3,COALESCE($4,0),COALESCE($5,0),$6,$7,$8,$9)
+      VALUES ($1,$2,$3,COALESCE($4,0),COALESCE($5,0),$6,$7,$8,$9,$10,$11,COALESCE($12,'posted'))
       RETURNING *;
     `;
 
-    const vals = [id, transaction_date, name, income_amount, expense_amount, bill_transaction_id, gst, remarks, other_details];
-    const { rows } = await db.query(q, vals);
-    res.status(201).json(rows[0]);
+    const vals = [
+      id, transaction_date, name, income_amount, expense_amount, bill_transaction_id, gst, remarks, other_details,
+      project_id || null, category_id || null, status
+    ];
+    const created = await db.withTransaction(async (client) => {
+      const result = await client.query(q, vals);
+      const row = result.rows[0];
+      await recordAudit(client, req, { entity: 'transactions', recordId: row.transaction_id, action: 'CREATE', after: row, parentEntity: 'finance', parentId: id });
+      const refreshed = await refreshBudgetUtilized(client, [await effectiveProjectId(client, row)]);
+      return { ...row, budget_warnings: budgetWarnings(refreshed) };
+    });
+    res.status(201).json(created);
   } catch (err) {
     console.error('Error creating transaction:', err);
     res.status(500).send('Error creating transaction');
@@ -159,27 +256,32 @@ router.post('/:id/transactions', verifyToken, rbacAccess(), amountValidation('in
 /* ==========================================================
    🔹 UPDATE FINANCE REPORT (PUT - Full Update)
 ========================================================== */
-router.put('/:id', verifyToken, rbacAccess(), async (req, res) => {
+router.put('/:id', verifyToken, requirePermission('finance:update'), requireRecordAccess('finance'), financeUpdateValidation, async (req, res) => {
   try {
     const { id } = req.params;
     const {
       finance_report_frf_name,
       finance_report_frf_owner,
       project_name,
+      project_id,
+      campaign_id,
       email,
       secondary_email,
       email_opt_out
     } = req.body;
 
+    // finance_report_frf_owner is left as it is; owners change through POST /:id/owner
     const q = `
       UPDATE finance_reports
       SET
         finance_report_frf_name = $1,
-        finance_report_frf_owner = $2,
+        modified_by_user_id = $2,
         project_name = $3,
         email = $4,
         secondary_email = $5,
         email_opt_out = COALESCE($6, email_opt_out),
+        project_id = $8,
+        campaign_id = $9,
         modified_date = NOW()
       WHERE id = $7
       RETURNING *;
@@ -187,15 +289,24 @@ router.put('/:id', verifyToken, rbacAccess(), async (req, res) => {
 
     const vals = [
       finance_report_frf_name,
-      finance_report_frf_owner,
+      req.user.user_id,
       project_name,
       email,
       secondary_email,
       email_opt_out,
-      id
+      id,
+      project_id || null,
+      campaign_id || null
     ];
 
-    const { rows } = await db.query(q, vals);
+    const rows = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'finance_reports', 'id', id);
+      if (!before || before.deleted_at) return [];
+      const result = await client.query(q, vals);
+      await recordAudit(client, req, { entity: 'finance', recordId: id, action: 'UPDATE', before, after: result.rows[0] });
+      const refreshed = await refreshBudgetUtilized(client, [before.project_id, ...await reportProjectIds(client, id)]);
+      return [{ ...result.rows[0], budget_warnings: budgetWarnings(refreshed) }];
+    });
     if (!rows.length) return res.status(404).json({ error: 'Finance report not found' });
     res.json(rows[0]);
   } catch (err) {
@@ -207,30 +318,33 @@ router.put('/:id', verifyToken, rbacAccess(), async (req, res) => {
 /* ==========================================================
    🔹 PARTIAL UPDATE FINANCE REPORT (PATCH)
 ========================================================== */
-router.patch('/:id', verifyToken, rbacAccess(), emailValidation('email'), emailValidation('secondary_email'),runValidation, async (req, res) => {
+router.patch('/:id', verifyToken, requirePermission('finance:update'), requireRecordAccess('finance'), emailValidation('email'), emailValidation('secondary_email'),runValidation, financeUpdateValidation, async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = [];
-    const values = [];
-    let i = 1;
-
-    for (const [key, value] of Object.entries(req.body)) {
-      updates.push(`${key} = $${i}`);
-      values.push(value);
-      i++;
+    const updates = pickColumns(req.body, FINANCE_REPORT_COLUMNS);
+    for (const key of ['project_id', 'campaign_id']) {
+      if (key in updates && !updates[key]) updates[key] = null;
     }
 
-    if (!updates.length) return res.status(400).json({ error: 'No fields to update' });
+    if (!Object.keys(updates).length) return res.status(400).json({ error: 'No fields to update' });
 
+    const { setSql, values } = buildSetClause(updates);
     const q = `
       UPDATE finance_reports
-      SET ${updates.join(', ')}, modified_date = NOW()
-      WHERE id = $${i}
+      SET ${setSql}, modified_by_user_id = $${values.length + 1}, modified_date = NOW()
+      WHERE id = $${values.length + 2}
       RETURNING *;
     `;
-    values.push(id);
 
-    const { rows } = await db.query(q, values);
+    const rows = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'finance_reports', 'id', id);
+      if (!before || before.deleted_at) return [];
+      const result = await client.query(q, [...values, req.user.user_id, id]);
+      await recordAudit(client, req, { entity: 'finance', recordId: id, action: 'UPDATE', before, after: result.rows[0] });
+      if (!('project_id' in updates)) return result.rows;
+      const refreshed = await refreshBudgetUtilized(client, [before.project_id, ...await reportProjectIds(client, id)]);
+      return [{ ...result.rows[0], budget_warnings: budgetWarnings(refreshed) }];
+    });
     if (!rows.length) return res.status(404).json({ error: 'Finance report not found' });
 
     res.json(rows[0]);
@@ -240,25 +354,41 @@ router.patch('/:id', verifyToken, rbacAccess(), emailValidation('email'), emailV
   }
 });
 
-router.patch('/transactions/:txn_id', verifyToken, rbacAccess(), amountValidation('income_amount', 'expense_amount'), runValidation, async (req, res) => {
+/* ==========================================================
+   🔹 PATCH LEDGER ENTRY
+========================================================== */
+router.patch('/transactions/:txn_id', verifyToken, requirePermission('finance:transactions:write'), requireChildAccess('finance', 'txn_id'), transactionValidation, async (req, res) => {
   try {
     const { txn_id } = req.params;
-    const updates = req.body;
+    const updates = pickColumns(req.body, TRANSACTION_COLUMNS);
+    for (const key of ['project_id', 'category_id']) {
+      if (key in updates) updates[key] = updates[key] || null;
+    }
 
     const keys = Object.keys(updates);
     if (!keys.length) return res.status(400).json({ message: "Nothing to update" });
 
-    const set = keys.map((k, i) => `${k} = $${i + 1}`).join(", ");
-    const values = [...Object.values(updates), txn_id];
+    const { setSql, values } = buildSetClause(updates);
 
     const q = `
       UPDATE finance_transactions
-      SET ${set}
-      WHERE finance_transaction_id = $${keys.length + 1}
+      SET ${setSql}
+      WHERE transaction_id = $${keys.length + 1}
       RETURNING *;
     `;
 
-    const { rows } = await db.query(q, values);
+    const rows = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'finance_transactions', 'transaction_id', txn_id);
+      if (!before) return [];
+      const result = await client.query(q, [...values, txn_id]);
+      const after = result.rows[0];
+      await recordAudit(client, req, { entity: 'transactions', recordId: txn_id, action: 'UPDATE', before, after, parentEntity: 'finance', parentId: before.finance_report_id });
+      const refreshed = await refreshBudgetUtilized(client, [
+        await effectiveProjectId(client, before),
+        await effectiveProjectId(client, after),
+      ]);
+      return [{ ...after, budget_warnings: budgetWarnings(refreshed) }];
+    });
 
     if (!rows.length)
       return res.status(404).json({ message: "Transaction not found" });
@@ -271,24 +401,52 @@ router.patch('/transactions/:txn_id', verifyToken, rbacAccess(), amountValidatio
   }
 });
 
-
-
 /* ==========================================================
-   🔹 DELETE FINANCE REPORT (Finance/Admin/Staff/SuperAdmin)
+   🔹 DELETE LEDGER ENTRY
 ========================================================== */
-router.delete('/:id', verifyToken, rbacAccess(), async (req, res) => {
+router.delete('/transactions/:txn_id', verifyToken, requirePermission('finance:transactions:write'), requireChildAccess('finance', 'txn_id'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await db.query('DELETE FROM finance_reports WHERE id = $1 RETURNING id', [id]);
-    if (!result.rowCount) return res.status(404).json({ error: 'Finance report not found' });
-    res.json({ message: 'Finance report deleted successfully' });
+    const { txn_id } = req.params;
+
+    const result = await db.withTransaction(async (client) => {
+      const deleted = await client.query(
+        'DELETE FROM finance_transactions WHERE transaction_id = $1 RETURNING *',
+        [txn_id]
+      );
+      if (deleted.rowCount) {
+        const txn = deleted.rows[0];
+        await recordAudit(client, req, { entity: 'transactions', recordId: txn_id, action: 'DELETE', before: txn, parentEntity: 'finance', parentId: txn.finance_report_id });
+        await refreshBudgetUtilized(client, [await effectiveProjectId(client, txn)]);
+      }
+      return deleted;
+    });
+
+    if (!result.rowCount)
+      return res.status(404).json({ message: "Transaction not found" });
+
+    res.json({ message: "Transaction deleted successfully" });
+
   } catch (err) {
-    console.error('Error deleting finance report:', err);
-    if (err.code === '23503') {
-      return res.status(400).json({ error: 'Cannot delete finance report — dependent transactions exist' });
-    }
-    res.status(500).send('Error deleting finance report');
+    console.error("Error deleting finance transaction:", err);
+    res.status(500).json({ error: "Error deleting finance transaction" });
   }
 });
 
+
+
+/* ==========================================================
+   🔹 DELETE FINANCE REPORT
+========================================================== */
+router.delete('/:id', verifyToken, requirePermission('finance:delete'), requireRecordAccess('finance'), softDeleteHandler('finance', { afterChange: refreshReportProjects }));
+
+/* ==========================================================
+   🔹 RESTORE FINANCE REPORT FROM TRASH
+========================================================== */
+router.post('/:id/restore', verifyToken, requirePermission('finance:restore'), requireRecordAccess('finance'), restoreHandler('finance', { afterChange: refreshReportProjects }));
+
+/* ==========================================================
+   🔹 TRANSFER FINANCE REPORT OWNERSHIP
+========================================================== */
+router.post('/:id/owner', verifyToken, requirePermission('finance:update'), requireRecordAccess('finance'), transferOwnerHandler('finance'));
+
 module.exports = router;
@@ -0,0 +1,106 @@
+// backend/routes/merges.js
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const entities = require('../config/entities');
+const { runListQuery } = require('../utils/listQuery');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { mergeReviewValidation } = require('../middleware/validators');
+
+const MERGE_ENTITIES = ['donors', 'volunteers', 'students'];
+
+// Same shape as the FRF list configs in config/uiConfig.js, for runListQuery
+const mergeListConfig = {
+  columns: [
+    { key: 'entity', label: 'Type', sortable: true, filterType: 'select' },
+    { key: 'survivor_name', label: 'Kept', sortable: true, filterType: 'text' },
+    { key: 'merged_name', label: 'Merged', sortable: true, filterType: 'text' },
+    { key: 'score', label: 'Score', sortable: true, filterType: 'numberRange' },
+    { key: 'merged_by_username', label: 'Merged By', sortable: true, filterType: 'text' },
+    { key: 'merged_at', label: 'Merged At', sortable: true, filterType: 'date' },
+    { key: 'review_status', label: 'Review', sortable: true, filterType: 'select' }
+  ],
+  defaultSort: { key: 'merged_at', order: 'desc' },
+  uniqueKey: 'merge_id'
+};
+
+// The name column differs per entity; the names come from the snapshots, as the merged record is gone
+const nameFrom = (snapshot) => `CASE m.entity ${MERGE_ENTITIES
+  .map(entity => `WHEN '${entity}' THEN m.${snapshot}->>'${entities[entity].nameColumn}'`)
+  .join(' ')} END`;
+
+const mergeBaseQuery = `
+  SELECT m.merge_id, m.entity, m.survivor_id, m.merged_id, m.score, m.reasons, m.note,
+         ${nameFrom('survivor_after')} AS survivor_name,
+         ${nameFrom('merged_record')} AS merged_name,
+         m.merged_by, COALESCE(u.username, k.name) AS merged_by_username, m.merged_at,
+         m.review_status, m.reviewed_by, r.username AS reviewed_by_username, m.reviewed_at, m.review_note,
+         (s.deleted_at IS NULL AND s.id IS NOT NULL) AS survivor_exists
+  FROM record_merges m
+  LEFT JOIN users u ON u.user_id = m.merged_by
+  LEFT JOIN api_keys k ON k.api_key_id = m.merged_by_api_key_id
+  LEFT JOIN users r ON r.user_id = m.reviewed_by
+  LEFT JOIN LATERAL (
+    ${MERGE_ENTITIES.map(entity => `SELECT id, deleted_at FROM ${entities[entity].table} WHERE m.entity = '${entity}' AND id = m.survivor_id`).join('\n    UNION ALL ')}
+  ) s ON TRUE
+`;
+
+
+/* ==========================================================
+   🔹 LIST MERGES (paged; ?review_status=pending for the review queue)
+========================================================== */
+router.get('/', verifyToken, requirePermission('merges:review'), async (req, res) => {
+  try {
+    res.json(await runListQuery(db, mergeBaseQuery, mergeListConfig, req.query));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Error fetching merges:', err);
+    res.status(500).json({ error: 'Error fetching merges' });
+  }
+});
+
+/* ==========================================================
+   🔹 GET ONE MERGE (snapshots of both records, fields kept, rows moved)
+========================================================== */
+router.get('/:merge_id', verifyToken, requirePermission('merges:review'), async (req, res) => {
+  try {
+    const { rows } = await db.query(
+      `SELECT b.*, m.field_sources, m.survivor_before, m.survivor_after, m.merged_record, m.moved_children
+       FROM (${mergeBaseQuery}) b
+       JOIN record_merges m ON m.merge_id = b.merge_id
+       WHERE b.merge_id = $1`,
+      [req.params.merge_id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Merge not found' });
+    res.json(rows[0]);
+  } catch (err) {
+    console.error('Error fetching merge:', err);
+    res.status(500).json({ error: 'Error fetching merge' });
+  }
+});
+
+/* ==========================================================
+   🔹 REVIEW A MERGE
+   Body: { review_status: 'approved' | 'flagged' | 'pending', review_note }
+========================================================== */
+router.post('/:merge_id/review', verifyToken, requirePermission('merges:review'), mergeReviewValidation, async (req, res) => {
+  try {
+    const { review_status, review_note } = req.body;
+    const pending = review_status === 'pending';
+    const { rows } = await db.query(
+      `UPDATE record_merges
+       SET review_status = $1, review_note = $2,
+           reviewed_by = $3, reviewed_at = CASE WHEN $4 THEN NULL ELSE NOW() END
+       WHERE merge_id = $5
+       RETURNING merge_id, review_status, reviewed_by, reviewed_at, review_note`,
+      [review_status, review_note || null, pending ? null : req.user?.user_id ?? null, pending, req.params.merge_id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Merge not found' });
+    res.json(rows[0]);
+  } catch (err) {
+    console.error('Error reviewing merge:', err);
+    res.status(500).json({ error: 'Error reviewing merge' });
+  }
+});
+
+module.exports = router;
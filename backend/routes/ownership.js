@@ -0,0 +1,61 @@
+// backend/routes/ownership.js
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const db = require('../db');
+const entities = require('../config/entities');
+const { verifyToken, verifyUserToken, requirePermission, requestHasPermission } = require('../middleware/auth');
+const { runValidation } = require('../middleware/globalValidators');
+const { findAssignableUser, reassignOwner } = require('../utils/ownership');
+
+/* ==========================================================
+   🔹 OWNERS (approved users who can take over records, for pickers and filters)
+   Signed-in users only (no API keys), with users:read or records:reassign.
+========================================================== */
+router.get('/owners', verifyUserToken, async (req, res) => {
+  try {
+    if (!(await requestHasPermission(req, 'users:read')) && !(await requestHasPermission(req, 'records:reassign'))) {
+      return res.status(403).json({ error: "Forbidden: missing permission 'users:read' or 'records:reassign'" });
+    }
+    const { rows } = await db.query(
+      `SELECT user_id, username FROM users WHERE approval_status = 'APPROVED' ORDER BY LOWER(username)`
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching owners:', err);
+    res.status(500).json({ error: 'Error fetching owners' });
+  }
+});
+
+/* ==========================================================
+   🔹 BULK REASSIGN (e.g. when a coordinator leaves)
+========================================================== */
+router.post('/reassign', verifyToken, requirePermission('records:reassign'),
+  body('from_user_id').isInt({ min: 1 }).withMessage('from_user_id must be a user id').toInt(),
+  body('to_user_id').isInt({ min: 1 }).withMessage('to_user_id must be a user id').toInt(),
+  body('entities').optional().isArray({ min: 1 }).withMessage('entities must be a non-empty list'),
+  body('entities.*').isIn(Object.keys(entities)).withMessage(`entities must be among: ${Object.keys(entities).join(', ')}`),
+  runValidation, async (req, res) => {
+  try {
+    const { from_user_id, to_user_id, entities: entityKeys } = req.body;
+    if (from_user_id === to_user_id) {
+      return res.status(400).json({ error: 'Pick two different users' });
+    }
+
+    const result = await db.withTransaction(async (client) => {
+      if (!(await findAssignableUser(client, to_user_id))) {
+        return { status: 400, body: { error: 'The new owner must be an approved user' } };
+      }
+      const moved = await reassignOwner(client, req, { fromUserId: from_user_id, toUserId: to_user_id, entityKeys });
+      const total = Object.values(moved).reduce((sum, n) => sum + n, 0);
+      return { status: 200, body: { message: `${total} record(s) reassigned`, total, moved } };
+    });
+
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error('Error reassigning records:', err);
+    res.status(500).json({ error: 'Error reassigning records' });
+  }
+});
+
+module.exports = router;
@@ -2,60 +2,104 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
-const uiConfig = require('./uiConfig');
-const { verifyToken, rbacAccess, requireOwnerOrAdmin } = require('../middleware/auth');
-const { projectValidation } = require('../middleware/validators');
+const uiConfig = require('../config/uiConfig');
+const { runListQuery } = require('../utils/listQuery');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { ownerScope, requireRecordAccess, requireChildAccess, assignOwner, transferOwnerHandler } = require('../utils/ownership');
+const { projectValidation, projectAttendanceValidation } = require('../middleware/validators');
+const { pickColumns, buildSetClause } = require('../utils/sql');
+const { lockRow, recordAudit, historyHandler } = require('../utils/audit');
+const { softDeleteHandler, restoreHandler, lockLiveRecord } = require('../utils/softDelete');
+const { exportListHandler, exportRecordHandler } = require('../utils/exporter');
+const { projectFinancials } = require('../utils/fundAccounting');
+
+// Project fields open to PATCH /:id. budget_utilized is derived from the posted
+// ledger (utils/fundAccounting.js), so like the owner it is not listed
+const PROJECT_COLUMNS = [
+  'project_frf_name', 'project_id', 'email', 'secondary_email', 'email_opt_out',
+  'start_date', 'duration', 'objective', 'budget', 'impact_summary', 'end_date',
+  'location', 'target_group', 'responsible_officer_user_id', 'status'
+];
+const ATTENDANCE_LOG_COLUMNS = ['log_date', 'attent_list', 'absent_list', 'overall', 'remarks'];
 const { emailValidation, runValidation } = require('../middleware/globalValidators');
 
+const PROJECT_LIST_QUERY = `
+  SELECT id, project_frf_name, email, project_frf_owner, modified_date
+  FROM projects
+  WHERE deleted_at IS NULL
+`;
+
 
 /* ==========================================================
-   🔹 GET ALL PROJECTS (Members and above)
+   🔹 GET ALL PROJECTS
 ========================================================== */
-router.get('/', async (req, res) => {
+router.get('/', verifyToken, requirePermission('projects:read'), async (req, res) => {
   try {
-    const result = await db.query(`
-      SELECT id, project_frf_name, email, project_frf_owner, modified_date
-      FROM projects
-      ORDER BY project_frf_name ASC
-    `);
-    res.json({ data: result.rows, uiConfig: uiConfig.projects });
+    const result = await runListQuery(db, PROJECT_LIST_QUERY, uiConfig.projects, req.query, await ownerScope(req, 'projects'));
+    res.json({ ...result, uiConfig: uiConfig.projects });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Error fetching projects:', err);
     res.status(500).send('Error fetching projects');
   }
 });
 
 /* ==========================================================
-   🔹 GET SINGLE PROJECT (Owner or Admin/Staff)
+   🔹 EXPORT PROJECTS (CSV / XLSX / PDF, same filters as the list)
 ========================================================== */
-router.get('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
+router.get('/export', verifyToken, requirePermission('projects:export'), exportListHandler('projects', PROJECT_LIST_QUERY));
 
-    const projectQ = `
-      SELECT 
-        p.*,
-        cu.username AS created_by_username,
-        cu.email AS created_by_email,
-        mu.username AS modified_by_username,
-        mu.email AS modified_by_email
-      FROM projects p
-      LEFT JOIN users cu ON p.created_by_user_id = cu.user_id
-      LEFT JOIN users mu ON p.modified_by_user_id = mu.user_id
-      WHERE p.id = $1
-    `;
+/* ==========================================================
+   🔹 PROJECT HISTORY (audit trail incl. attendance logs)
+========================================================== */
+router.get('/:id/history', verifyToken, requirePermission('projects:read'), requireRecordAccess('projects'), historyHandler('projects'));
 
-    const { rows: projectRows } = await db.query(projectQ, [id]);
-    if (projectRows.length === 0)
-      return res.status(404).json({ message: 'Project not found' });
+/* ==========================================================
+   🔹 PROJECT FINANCIALS (budget vs actual by category and month)
+========================================================== */
+router.get('/:id/financials', verifyToken, requirePermission('projects:read'), requirePermission('finance:read'), requireRecordAccess('projects'), async (req, res) => {
+  try {
+    const financials = await projectFinancials(db, req.params.id);
+    if (!financials) return res.status(404).json({ error: 'Project not found' });
+    res.json(financials);
+  } catch (err) {
+    console.error('Error fetching project financials:', err);
+    res.status(500).json({ error: 'Error fetching project financials' });
+  }
+});
 
-    const project = projectRows[0];
+/* ==========================================================
+   🔹 EXPORT SINGLE PROJECT AS PDF
+========================================================== */
+router.get('/:id/export', verifyToken, requirePermission('projects:export'), requireRecordAccess('projects'), exportRecordHandler('projects', loadProject));
 
-    // Fetch attendance logs
-    const logsQ = `
+/* ==========================================================
+   🔹 LOAD PROJECT + ATTENDANCE LOGS (detail view + PDF export)
+========================================================== */
+async function loadProject(id) {
+  const projectQ = `
+    SELECT 
+      p.*,
+      cu.username AS created_by_username,
+      cu.email AS created_by_email,
+      mu.username AS modified_by_username,
+      mu.email AS modified_by_email
+    FROM projects p
+    LEFT JOIN users cu ON p.created_by_user_id = cu.user_id
+    LEFT JOIN users mu ON p.modified_by_user_id = mu.user_id
+    WHERE p.id = $1 AND p.deleted_at IS NULL
+  `;
+
+  const { rows: projectRows } = await db.query(projectQ, [id]);
+  if (projectRows.length === 0) return null;
+
+  const project = projectRows[0];
+
+  // Fetch attendance logs
+  const logsQ = `
   SELECT 
     project_attendance_log_id,
-    TO_CHAR(log_date, 'DD-MM-YYYY') AS log_date,
+    log_date,
     attent_list,
     absent_list,
     overall,
@@ -65,9 +109,20 @@ router.get('/:id', async (req, res) => {
   ORDER BY log_date DESC
 `;
 
-    const { rows: logs } = await db.query(logsQ, [id]);
+  const { rows: logs } = await db.query(logsQ, [id]);
 
-    project.attendance_logs = logs;
+  project.attendance_logs = logs;
+
+  return project;
+}
+
+/* ==========================================================
+   🔹 GET SINGLE PROJECT
+========================================================== */
+router.get('/:id', verifyToken, requirePermission('projects:read'), requireRecordAccess('projects'), async (req, res) => {
+  try {
+    const project = await loadProject(req.params.id);
+    if (!project) return res.status(404).json({ message: 'Project not found' });
 
     res.json(project);
 
@@ -79,9 +134,9 @@ router.get('/:id', async (req, res) => {
 
 
 /* ==========================================================
-   🔹 CREATE NEW PROJECT (Owner, Admin, Staff, SuperAdmin)
+   🔹 CREATE NEW PROJECT
 ========================================================== */
-router.post('/', verifyToken, rbacAccess(), projectValidation, emailValidation('email'), emailValidation('secondary_email'), runValidation, async (req, res) => {
+router.post('/', verifyToken, requirePermission('projects:create'), assignOwner('projects'), projectValidation, emailValidation('email'), emailValidation('secondary_email'), runValidation, async (req, res) => {
   try {
     const {
       id,
@@ -95,7 +150,6 @@ router.post('/', verifyToken, rbacAccess(), projectValidation, emailValidation('
       duration,
       objective,
       budget,
-      budget_utilized,
       impact_summary,
       end_date,
       location,
@@ -110,14 +164,14 @@ router.post('/', verifyToken, rbacAccess(), projectValidation, emailValidation('
         id, project_frf_name, project_frf_owner, project_id,
         email, secondary_email, email_opt_out,
         created_by_date, modified_by_user_id, modified_date,
-        start_date, duration, objective, budget, budget_utilized,
+        start_date, duration, objective, budget,
         impact_summary, end_date, location, target_group,
         responsible_officer_user_id, status
       )
       VALUES (
         $1,$2,$3,$4,$5,$6,COALESCE($7,false),
         NOW(), $8, NOW(),
-        $9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19
+        $9,$10,$11,$12,$13,$14,$15,$16,$17,$18
       )
       RETURNING *;
     `;
@@ -126,12 +180,16 @@ router.post('/', verifyToken, rbacAccess(), projectValidation, emailValidation('
       id, project_frf_name, project_frf_owner, project_id,
       email, secondary_email, email_opt_out,
       modified_by_user_id,
-      start_date, duration, objective, budget, budget_utilized,
+      start_date, duration, objective, budget,
       impact_summary, end_date, location, target_group,
       responsible_officer_user_id, status
     ];
 
-    const { rows } = await db.query(q, vals);
+    const rows = await db.withTransaction(async (client) => {
+      const result = await client.query(q, vals);
+      await recordAudit(client, req, { entity: 'projects', recordId: result.rows[0].id, action: 'CREATE', after: result.rows[0] });
+      return result.rows;
+    });
     res.status(201).json(rows[0]);
   } catch (err) {
     console.error('Error creating project:', err);
@@ -142,7 +200,7 @@ router.post('/', verifyToken, rbacAccess(), projectValidation, emailValidation('
 /* ==========================================================
    🔹 ADD ATTENDANCE LOG TO PROJECT
 ========================================================== */
-router.post('/:id/attendance', verifyToken, rbacAccess(), async (req, res) => {
+router.post('/:id/attendance', verifyToken, requirePermission('projects:attendance:write'), requireRecordAccess('projects'), projectAttendanceValidation, async (req, res) => {
   try {
     const { id } = req.params;
     const { log_date, attent_list, absent_list, overall, remarks } = req.body;
@@ -154,7 +212,14 @@ router.post('/:id/attendance', verifyToken, rbacAccess(), async (req, res) => {
       RETURNING *;
     `;
     const vals = [id, log_date, attent_list, absent_list, overall, remarks];
-    const { rows } = await db.query(q, vals);
+    const rows = await db.withTransaction(async (client) => {
+      if (!(await lockLiveRecord(client, 'projects', id))) return [];
+      const result = await client.query(q, vals);
+      const created = result.rows[0];
+      await recordAudit(client, req, { entity: 'project_attendance', recordId: created.project_attendance_log_id, action: 'CREATE', after: created, parentEntity: 'projects', parentId: id });
+      return result.rows;
+    });
+    if (!rows.length) return res.status(404).json({ error: 'Project not found' });
     res.status(201).json(rows[0]);
   } catch (err) {
     console.error('Error adding project attendance:', err);
@@ -165,12 +230,11 @@ router.post('/:id/attendance', verifyToken, rbacAccess(), async (req, res) => {
 /* ==========================================================
    🔹 UPDATE PROJECT (PUT - Full Update)
 ========================================================== */
-router.put('/:id', async (req, res) => {
+router.put('/:id', verifyToken, requirePermission('projects:update'), requireRecordAccess('projects'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
       project_frf_name,
-      project_frf_owner,
       project_id,
       email,
       secondary_email,
@@ -179,7 +243,6 @@ router.put('/:id', async (req, res) => {
       duration,
       objective,
       budget,
-      budget_utilized,
       impact_summary,
       end_date,
       location,
@@ -188,11 +251,12 @@ router.put('/:id', async (req, res) => {
       status
     } = req.body;
 
+    // project_frf_owner is left as it is; owners change through POST /:id/owner
     const q = `
       UPDATE projects
       SET
         project_frf_name = $1,
-        project_frf_owner = $2,
+        modified_by_user_id = $2,
         project_id = $3,
         email = $4,
         secondary_email = $5,
@@ -201,27 +265,32 @@ router.put('/:id', async (req, res) => {
         duration = $8,
         objective = $9,
         budget = $10,
-        budget_utilized = $11,
-        impact_summary = $12,
-        end_date = $13,
-        location = $14,
-        target_group = $15,
-        responsible_officer_user_id = $16,
-        status = $17,
+        impact_summary = $11,
+        end_date = $12,
+        location = $13,
+        target_group = $14,
+        responsible_officer_user_id = $15,
+        status = $16,
         modified_date = NOW()
-      WHERE id = $18
+      WHERE id = $17
       RETURNING *;
     `;
 
     const vals = [
-      project_frf_name, project_frf_owner, project_id,
+      project_frf_name, req.user.user_id, project_id,
       email, secondary_email, email_opt_out,
-      start_date, duration, objective, budget, budget_utilized,
+      start_date, duration, objective, budget,
       impact_summary, end_date, location, target_group,
       responsible_officer_user_id, status, id
     ];
 
-    const { rows } = await db.query(q, vals);
+    const rows = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'projects', 'id', id);
+      if (!before || before.deleted_at) return [];
+      const result = await client.query(q, vals);
+      await recordAudit(client, req, { entity: 'projects', recordId: id, action: 'UPDATE', before, after: result.rows[0] });
+      return result.rows;
+    });
     if (!rows.length) return res.status(404).json({ error: 'Project not found' });
     res.json(rows[0]);
   } catch (err) {
@@ -233,30 +302,28 @@ router.put('/:id', async (req, res) => {
 /* ==========================================================
    🔹 PARTIAL UPDATE PROJECT (PATCH)
 ========================================================== */
-router.patch('/:id', verifyToken, rbacAccess(), emailValidation('email'), emailValidation('secondary_email'), runValidation, async (req, res) => {
+router.patch('/:id', verifyToken, requirePermission('projects:update'), requireRecordAccess('projects'), emailValidation('email'), emailValidation('secondary_email'), runValidation, async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = [];
-    const values = [];
-    let i = 1;
-
-    for (const [key, value] of Object.entries(req.body)) {
-      updates.push(`${key} = $${i}`);
-      values.push(value);
-      i++;
-    }
+    const updates = pickColumns(req.body, PROJECT_COLUMNS);
 
-    if (!updates.length) return res.status(400).json({ error: 'No fields to update' });
+    if (!Object.keys(updates).length) return res.status(400).json({ error: 'No fields to update' });
 
+    const { setSql, values } = buildSetClause(updates);
     const q = `
       UPDATE projects
-      SET ${updates.join(', ')}, modified_date = NOW()
-      WHERE id = $${i}
+      SET ${setSql}, modified_by_user_id = $${values.length + 1}, modified_date = NOW()
+      WHERE id = $${values.length + 2}
       RETURNING *;
     `;
-    values.push(id);
 
-    const { rows } = await db.query(q, values);
+    const rows = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'projects', 'id', id);
+      if (!before || before.deleted_at) return [];
+      const result = await client.query(q, [...values, req.user.user_id, id]);
+      await recordAudit(client, req, { entity: 'projects', recordId: id, action: 'UPDATE', before, after: result.rows[0] });
+      return result.rows;
+    });
     if (!rows.length) return res.status(404).json({ error: 'Project not found' });
 
     res.json(rows[0]);
@@ -266,28 +333,33 @@ router.patch('/:id', verifyToken, rbacAccess(), emailValidation('email'), emailV
   }
 });
 
-router.patch('/attendance_logs/:log_id', verifyToken, rbacAccess(), async (req, res) => {
+/* ==========================================================
+   🔹 PATCH ATTENDANCE LOG
+========================================================== */
+router.patch('/attendance_logs/:log_id', verifyToken, requirePermission('projects:attendance:write'), requireChildAccess('projects', 'log_id'), projectAttendanceValidation, async (req, res) => {
   try {
     const { log_id } = req.params;
-    const updates = req.body;
+    const updates = pickColumns(req.body, ATTENDANCE_LOG_COLUMNS);
 
     if (!Object.keys(updates).length)
       return res.status(400).json({ message: "Nothing to update" });
 
-    const setClause = Object.keys(updates)
-      .map((field, i) => `${field} = $${i + 1}`)
-      .join(", ");
-
-    const values = [...Object.values(updates), log_id];
+    const { setSql, values } = buildSetClause(updates);
 
     const q = `
       UPDATE project_attendance_logs
-      SET ${setClause}
-      WHERE project_attendance_log_id = $${Object.keys(updates).length + 1}
+      SET ${setSql}
+      WHERE project_attendance_log_id = $${values.length + 1}
       RETURNING *;
     `;
 
-    const { rows } = await db.query(q, values);
+    const rows = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'project_attendance_logs', 'project_attendance_log_id', log_id);
+      if (!before || !(await lockLiveRecord(client, 'projects', before.project_id))) return [];
+      const result = await client.query(q, [...values, log_id]);
+      await recordAudit(client, req, { entity: 'project_attendance', recordId: log_id, action: 'UPDATE', before, after: result.rows[0], parentEntity: 'projects', parentId: before.project_id });
+      return result.rows;
+    });
 
     if (!rows.length)
       return res.status(404).json({ message: "Attendance log not found" });
@@ -300,27 +372,52 @@ router.patch('/attendance_logs/:log_id', verifyToken, rbacAccess(), async (req,
   }
 });
 
-
-
-
 /* ==========================================================
-   🔹 DELETE PROJECT (Admin, Staff, SuperAdmin)
+   🔹 DELETE ATTENDANCE LOG
 ========================================================== */
-router.delete('/:id', verifyToken, rbacAccess(), async (req, res) => {
+router.delete('/attendance_logs/:log_id', verifyToken, requirePermission('projects:attendance:write'), requireChildAccess('projects', 'log_id'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { log_id } = req.params;
 
-    // Remove associated attendance logs first
-    await db.query('DELETE FROM project_attendance_logs WHERE project_id = $1', [id]);
+    const result = await db.withTransaction(async (client) => {
+      const log = await lockRow(client, 'project_attendance_logs', 'project_attendance_log_id', log_id);
+      if (!log || !(await lockLiveRecord(client, 'projects', log.project_id))) return { rowCount: 0 };
+      const deleted = await client.query(
+        'DELETE FROM project_attendance_logs WHERE project_attendance_log_id = $1 RETURNING *',
+        [log_id]
+      );
+      if (deleted.rowCount) {
+        const log = deleted.rows[0];
+        await recordAudit(client, req, { entity: 'project_attendance', recordId: log_id, action: 'DELETE', before: log, parentEntity: 'projects', parentId: log.project_id });
+      }
+      return deleted;
+    });
+
+    if (!result.rowCount)
+      return res.status(404).json({ message: "Attendance log not found" });
 
-    const result = await db.query('DELETE FROM projects WHERE id = $1 RETURNING id', [id]);
-    if (!result.rowCount) return res.status(404).json({ error: 'Project not found' });
+    res.json({ message: "Attendance log deleted successfully" });
 
-    res.json({ message: 'Project and related attendance logs deleted successfully' });
   } catch (err) {
-    console.error('Error deleting project:', err);
-    res.status(500).send('Error deleting project');
+    console.error("Error deleting project attendance:", err);
+    res.status(500).json({ error: "Error deleting project attendance" });
   }
 });
 
+
+/* ==========================================================
+   🔹 DELETE PROJECT
+========================================================== */
+router.delete('/:id', verifyToken, requirePermission('projects:delete'), requireRecordAccess('projects'), softDeleteHandler('projects'));
+
+/* ==========================================================
+   🔹 RESTORE PROJECT FROM TRASH
+========================================================== */
+router.post('/:id/restore', verifyToken, requirePermission('projects:restore'), requireRecordAccess('projects'), restoreHandler('projects'));
+
+/* ==========================================================
+   🔹 TRANSFER PROJECT OWNERSHIP
+========================================================== */
+router.post('/:id/owner', verifyToken, requirePermission('projects:update'), requireRecordAccess('projects'), transferOwnerHandler('projects'));
+
 module.exports = router;
@@ -0,0 +1,353 @@
+// backend/routes/reconciliation.js
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const db = require('../db');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { runValidation } = require('../middleware/globalValidators');
+const { bankDonationValidation, bankTransactionValidation } = require('../middleware/validators');
+const { runListQuery } = require('../utils/listQuery');
+const { ownerScope } = require('../utils/ownership');
+const { lockRow, recordAudit, historyHandler } = require('../utils/audit');
+const { queueAcknowledgment } = require('../utils/acknowledgments');
+const { kickOutbox } = require('../utils/emailOutbox');
+const { effectiveProjectId, refreshBudgetUtilized, budgetWarnings } = require('../utils/fundAccounting');
+const {
+  MAX_STATEMENT_LINES, unmatchedSql, isUnmatched, statementUpload, parseBankStatement,
+  findCandidates, loadMatchTarget, matchError, linkLine, setLineStatus, autoMatchLines, importStatement,
+} = require('../utils/bankReconciliation');
+
+const LINE_LIST_QUERY = `
+  SELECT l.line_id, l.statement_id, s.file_name, l.account_name, l.line_date, l.description, l.reference,
+         l.amount, l.balance,
+         CASE WHEN ${unmatchedSql('l')} THEN 'unmatched' ELSE l.status END AS status,
+         l.donation_id, d.donor_id, dn.donor_frf_name,
+         l.transaction_id, t.finance_report_id, t.name AS transaction_name,
+         l.match_method, l.note, l.reconciled_at, u.username AS reconciled_by
+  FROM bank_statement_lines l
+  JOIN bank_statements s ON s.statement_id = l.statement_id
+  LEFT JOIN donations d ON d.donation_id = l.donation_id
+  LEFT JOIN donors dn ON dn.id = d.donor_id
+  LEFT JOIN finance_transactions t ON t.transaction_id = l.transaction_id
+  LEFT JOIN users u ON u.user_id = l.reconciled_by_user_id
+`;
+
+// Same shape as the FRF list configs in config/uiConfig.js, for runListQuery
+const LINE_LIST_CONFIG = {
+  columns: [
+    { key: 'status', filterType: 'select', sortable: true },
+    { key: 'statement_id', filterType: 'select' },
+    { key: 'account_name', filterType: 'select', sortable: true },
+    { key: 'description', filterType: 'text' },
+    { key: 'reference', filterType: 'text', sortable: true },
+    { key: 'line_date', filterType: 'date', sortable: true },
+    { key: 'amount', filterType: 'numberRange', sortable: true },
+  ],
+  defaultSort: { key: 'line_date', order: 'desc' },
+  uniqueKey: 'line_id',
+};
+
+const lineIdValidation = param('id').isInt({ min: 1 }).withMessage('Invalid line id');
+
+// multer errors (wrong type, too large) answer 400 before any validation runs
+const uploadStatement = (req, res, next) => statementUpload(req, res, (err) => {
+  if (err) return res.status(err.status || 400).json({ error: err.message });
+  next();
+});
+
+/**
+ * withLockedLine - run `fn(client, line)` in a transaction with the bank line
+ * locked; 404 when it doesn't exist. `fn` returns { status, body }.
+ */
+const withLockedLine = (id, fn) => db.withTransaction(async (client) => {
+  const line = await lockRow(client, 'bank_statement_lines', 'line_id', id);
+  if (!line) return { status: 404, body: { error: 'Bank line not found' } };
+  return fn(client, line);
+});
+
+/* ==========================================================
+   🔹 LIST STATEMENTS (with reconciliation progress)
+========================================================== */
+router.get('/statements', verifyToken, requirePermission('finance:reconcile'), async (req, res) => {
+  try {
+    const { rows } = await db.query(`
+      SELECT s.*, u.username AS uploaded_by,
+             COUNT(l.line_id) FILTER (WHERE ${unmatchedSql('l')})::int AS unmatched_count,
+             COUNT(l.line_id) FILTER (WHERE l.status = 'matched' AND NOT ${unmatchedSql('l')})::int AS matched_count,
+             COUNT(l.line_id) FILTER (WHERE l.status = 'ignored')::int AS ignored_count
+      FROM bank_statements s
+      LEFT JOIN users u ON u.user_id = s.uploaded_by_user_id
+      LEFT JOIN bank_statement_lines l ON l.statement_id = s.statement_id
+      GROUP BY s.statement_id, u.username
+      ORDER BY s.uploaded_at DESC, s.statement_id DESC
+    `);
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching bank statements:', err);
+    res.status(500).json({ error: 'Error fetching bank statements' });
+  }
+});
+
+/* ==========================================================
+   🔹 UPLOAD STATEMENT (CSV / OFX), then auto-match its lines
+========================================================== */
+router.post('/statements', verifyToken, requirePermission('finance:reconcile'), uploadStatement,
+  body('account_name').optional({ values: 'falsy' }).isString().trim().isLength({ max: 100 }).withMessage('Account name must be at most 100 characters'),
+  body('date_order').optional({ values: 'falsy' }).isIn(['dmy', 'mdy']).withMessage('date_order must be dmy or mdy'),
+  body('mapping').optional({ values: 'falsy' }).isJSON().withMessage('mapping must be valid JSON'),
+  runValidation,
+  async (req, res) => {
+    try {
+      if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+      let parsed;
+      try {
+        parsed = await parseBankStatement(req.file, {
+          mapping: req.body.mapping ? JSON.parse(req.body.mapping) : null,
+          dateOrder: req.body.date_order || 'dmy',
+        });
+      } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        throw err;
+      }
+
+      // OFX files name their account; CSV uploads must say which account they're for
+      const accountName = req.body.account_name || parsed.account;
+      if (!accountName) {
+        return res.status(400).json({ status: 'fail', errors: [{ field: 'account_name', message: 'Account name is required' }] });
+      }
+      if (!parsed.lines.length) {
+        return res.status(400).json({ error: 'The statement has no readable lines', errors: parsed.errors });
+      }
+      if (parsed.lines.length > MAX_STATEMENT_LINES) {
+        return res.status(400).json({ error: `Statements are limited to ${MAX_STATEMENT_LINES} lines per file` });
+      }
+
+      const result = await db.withTransaction(client => importStatement(client, req, {
+        accountName: accountName.slice(0, 100),
+        fileName: req.file.originalname,
+        parsed,
+      }));
+
+      res.status(201).json({
+        statement: result.statement,
+        imported: result.imported,
+        duplicates: result.duplicates,
+        auto_matched: result.autoMatched,
+        unmatched: result.imported - result.autoMatched,
+        mapping: parsed.mapping || null,
+        errors: parsed.errors,
+      });
+    } catch (err) {
+      console.error('Error importing bank statement:', err);
+      res.status(500).json({ error: 'Error importing bank statement' });
+    }
+  });
+
+/* ==========================================================
+   🔹 AUTO-MATCH (every line still in the queue)
+========================================================== */
+router.post('/auto-match', verifyToken, requirePermission('finance:reconcile'), async (req, res) => {
+  try {
+    const matched = await db.withTransaction(client => autoMatchLines(client, req));
+    res.json({ matched });
+  } catch (err) {
+    console.error('Error auto-matching bank lines:', err);
+    res.status(500).json({ error: 'Error auto-matching bank lines' });
+  }
+});
+
+/* ==========================================================
+   🔹 LIST LINES (?status=unmatched for the queue)
+========================================================== */
+router.get('/lines', verifyToken, requirePermission('finance:reconcile'), async (req, res) => {
+  try {
+    res.json(await runListQuery(db, LINE_LIST_QUERY, LINE_LIST_CONFIG, req.query));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Error fetching bank lines:', err);
+    res.status(500).json({ error: 'Error fetching bank lines' });
+  }
+});
+
+// GET /lines/:id/history — who matched, unmatched or ignored the line, and when
+router.get('/lines/:id/history', verifyToken, requirePermission('finance:reconcile'), lineIdValidation, runValidation, historyHandler('bank_lines'));
+
+/* ==========================================================
+   🔹 MATCH CANDIDATES for one line (same amount, nearby date or reference)
+========================================================== */
+router.get('/lines/:id/candidates', verifyToken, requirePermission('finance:reconcile'), lineIdValidation, runValidation, async (req, res) => {
+  try {
+    const { rows } = await db.query('SELECT * FROM bank_statement_lines WHERE line_id = $1', [req.params.id]);
+    if (!rows[0]) return res.status(404).json({ error: 'Bank line not found' });
+    res.json(await findCandidates(db, rows[0]));
+  } catch (err) {
+    console.error('Error fetching match candidates:', err);
+    res.status(500).json({ error: 'Error fetching match candidates' });
+  }
+});
+
+/* ==========================================================
+   🔹 MATCH LINE to an existing donation or ledger entry
+========================================================== */
+router.post('/lines/:id/match', verifyToken, requirePermission('finance:reconcile'), lineIdValidation,
+  body('donation_id').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('donation_id must be an id').toInt(),
+  body('transaction_id').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('transaction_id must be an id').toInt(),
+  body().custom((_, { req }) => !req.body?.donation_id !== !req.body?.transaction_id).withMessage('Give either donation_id or transaction_id'),
+  runValidation,
+  async (req, res) => {
+    try {
+      const kind = req.body.donation_id ? 'donation' : 'transaction';
+      const targetId = req.body.donation_id || req.body.transaction_id;
+
+      const result = await withLockedLine(req.params.id, async (client, line) => {
+        if (!isUnmatched(line)) return { status: 409, body: { error: 'This line is already reconciled; unmatch it first' } };
+
+        const target = await loadMatchTarget(client, kind, targetId);
+        if (!target) return { status: 404, body: { error: kind === 'donation' ? 'Donation not found' : 'Ledger entry not found' } };
+        if (target.matched_line_id) return { status: 409, body: { error: `That record already clears bank line ${target.matched_line_id}` } };
+
+        const problem = matchError(line, kind, target);
+        if (problem) return { status: 400, body: { error: problem } };
+
+        return { status: 200, body: await linkLine(client, req, line, { kind, id: targetId }, 'manual') };
+      });
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      console.error('Error matching bank line:', err);
+      res.status(500).json({ error: 'Error matching bank line' });
+    }
+  });
+
+/* ==========================================================
+   🔹 UNMATCH LINE (back to the queue; also un-ignores)
+========================================================== */
+router.post('/lines/:id/unmatch', verifyToken, requirePermission('finance:reconcile'), lineIdValidation, runValidation, async (req, res) => {
+  try {
+    const result = await withLockedLine(req.params.id, async (client, line) => {
+      if (isUnmatched(line)) return { status: 409, body: { error: 'This line is not reconciled' } };
+      return { status: 200, body: await setLineStatus(client, req, line, 'unmatched') };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error('Error unmatching bank line:', err);
+    res.status(500).json({ error: 'Error unmatching bank line' });
+  }
+});
+
+/* ==========================================================
+   🔹 IGNORE LINE (bank charges, transfers between own accounts)
+========================================================== */
+router.post('/lines/:id/ignore', verifyToken, requirePermission('finance:reconcile'), lineIdValidation,
+  body('note').optional({ values: 'null' }).isString().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
+  runValidation,
+  async (req, res) => {
+    try {
+      const result = await withLockedLine(req.params.id, async (client, line) => {
+        if (!isUnmatched(line)) return { status: 409, body: { error: 'Only unmatched lines can be ignored' } };
+        return { status: 200, body: await setLineStatus(client, req, line, 'ignored', req.body.note || null) };
+      });
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      console.error('Error ignoring bank line:', err);
+      res.status(500).json({ error: 'Error ignoring bank line' });
+    }
+  });
+
+/* ==========================================================
+   🔹 CREATE DONATION from a credit line, and match it
+========================================================== */
+router.post('/lines/:id/donation', verifyToken, requirePermission('finance:reconcile'), requirePermission('donors:donations:write'),
+  lineIdValidation, runValidation, bankDonationValidation,
+  async (req, res) => {
+    try {
+      const { donor_id, purpose, remarks } = req.body;
+      const scope = await ownerScope(req, 'donors');
+
+      const result = await withLockedLine(req.params.id, async (client, line) => {
+        if (!isUnmatched(line)) return { status: 409, body: { error: 'This line is already reconciled; unmatch it first' } };
+        if (Number(line.amount) < 0) return { status: 400, body: { error: 'Donations can only be created from credit lines' } };
+
+        const { rows: donors } = await client.query('SELECT id, donor_frf_owner FROM donors WHERE id = $1 AND deleted_at IS NULL', [donor_id]);
+        const donor = donors[0];
+        if (!donor || (scope && donor[scope.column] !== scope.userId)) return { status: 404, body: { error: 'Donor not found' } };
+
+        if (line.reference) {
+          const { rows: taken } = await client.query('SELECT donation_id FROM donations WHERE transaction_id = $1', [line.reference]);
+          if (taken[0]) {
+            return { status: 409, body: { error: `Donation ${taken[0].donation_id} already has transaction ID ${line.reference}; match the line to it instead` } };
+          }
+        }
+
+        const { rows } = await client.query(
+          `INSERT INTO donations (donor_id, donation_date, transaction_id, purpose, remarks, amount)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [donor_id, line.line_date, line.reference, purpose || null, remarks || line.description, line.amount]
+        );
+        const donation = rows[0];
+        await recordAudit(client, req, { entity: 'donations', recordId: donation.donation_id, action: 'CREATE', after: donation, parentEntity: 'donors', parentId: donor_id });
+        const email = await queueAcknowledgment(client, req, donation);
+
+        const matched = await linkLine(client, req, line, { kind: 'donation', id: donation.donation_id }, 'created');
+        return { status: 201, body: { line: matched, donation: { ...donation, acknowledgment_status: email ? email.status : null } } };
+      });
+
+      if (result.body.donation?.acknowledgment_status) kickOutbox();
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      console.error('Error creating donation from bank line:', err);
+      res.status(500).json({ error: 'Error creating donation from bank line' });
+    }
+  });
+
+/* ==========================================================
+   🔹 CREATE LEDGER ENTRY from a line (income or expense), and match it
+========================================================== */
+router.post('/lines/:id/transaction', verifyToken, requirePermission('finance:reconcile'), requirePermission('finance:transactions:write'),
+  lineIdValidation, runValidation, bankTransactionValidation,
+  async (req, res) => {
+    try {
+      const { finance_report_id, name, gst, project_id, category_id } = req.body;
+      const scope = await ownerScope(req, 'finance');
+
+      const result = await withLockedLine(req.params.id, async (client, line) => {
+        if (!isUnmatched(line)) return { status: 409, body: { error: 'This line is already reconciled; unmatch it first' } };
+
+        const { rows: reports } = await client.query(
+          'SELECT id, finance_report_frf_owner FROM finance_reports WHERE id = $1 AND deleted_at IS NULL',
+          [finance_report_id]
+        );
+        const report = reports[0];
+        if (!report || (scope && report[scope.column] !== scope.userId)) return { status: 404, body: { error: 'Finance report not found' } };
+
+        const amount = Number(line.amount);
+        const { rows } = await client.query(
+          `INSERT INTO finance_transactions (
+             finance_report_id, transaction_date, name, income_amount, expense_amount,
+             bill_transaction_id, gst, remarks, project_id, category_id, status
+           )
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,'posted')
+           RETURNING *`,
+          [
+            finance_report_id, line.line_date, (name || line.description || 'Bank entry').slice(0, 255),
+            amount > 0 ? amount : 0, amount < 0 ? -amount : 0,
+            line.reference, gst ?? null, line.description, project_id || null, category_id || null,
+          ]
+        );
+        const txn = rows[0];
+        await recordAudit(client, req, { entity: 'transactions', recordId: txn.transaction_id, action: 'CREATE', after: txn, parentEntity: 'finance', parentId: finance_report_id });
+        const refreshed = await refreshBudgetUtilized(client, [await effectiveProjectId(client, txn)]);
+
+        const matched = await linkLine(client, req, line, { kind: 'transaction', id: txn.transaction_id }, 'created');
+        return { status: 201, body: { line: matched, transaction: { ...txn, budget_warnings: budgetWarnings(refreshed) } } };
+      });
+
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      console.error('Error creating ledger entry from bank line:', err);
+      res.status(500).json({ error: 'Error creating ledger entry from bank line' });
+    }
+  });
+
+module.exports = router;
@@ -0,0 +1,172 @@
+// backend/routes/roles.js
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const db = require('../db');
+const { verifyUserToken, requirePermission, invalidatePermissionCache } = require('../middleware/auth');
+const { runValidation } = require('../middleware/globalValidators');
+const { recordAudit } = require('../utils/audit');
+
+const roleValidation = [
+  body('description').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
+  body('permissions').isArray().withMessage('permissions must be an array of permission keys'),
+  body('permissions.*').isString().withMessage('permissions must be an array of permission keys'),
+];
+
+async function loadRoles(client, roleName = null) {
+  const { rows } = await client.query(
+    `SELECT r.role_name, r.description, r.is_system,
+            COALESCE(array_agg(rp.permission_key ORDER BY rp.permission_key)
+                     FILTER (WHERE rp.permission_key IS NOT NULL), '{}') AS permissions,
+            (SELECT COUNT(*)::int FROM users u WHERE u.user_role = r.role_name) AS user_count
+     FROM roles r
+     LEFT JOIN role_permissions rp ON rp.role_name = r.role_name
+     WHERE $1::text IS NULL OR r.role_name = $1
+     GROUP BY r.role_name
+     ORDER BY r.is_system DESC, r.role_name`,
+    [roleName]
+  );
+  return rows;
+}
+
+/** 400 result listing requested keys that aren't in the permissions table, or null */
+async function checkPermissionKeys(client, permissions) {
+  const { rows } = await client.query('SELECT permission_key FROM permissions WHERE permission_key = ANY($1)', [permissions]);
+  const known = new Set(rows.map(r => r.permission_key));
+  const unknown = permissions.filter(k => !known.has(k));
+  if (!unknown.length) return null;
+  return {
+    status: 400,
+    body: { error: 'Unknown permissions', errors: [{ field: 'permissions', message: `Unknown permissions: ${unknown.join(', ')}` }] },
+  };
+}
+
+async function setGrants(client, roleName, permissions) {
+  await client.query('DELETE FROM role_permissions WHERE role_name = $1', [roleName]);
+  await client.query(
+    'INSERT INTO role_permissions (role_name, permission_key) SELECT $1, unnest($2::text[]) ON CONFLICT DO NOTHING',
+    [roleName, permissions]
+  );
+}
+
+/* ==========================================================
+   🔹 PERMISSION CATALOGUE
+========================================================== */
+router.get('/permissions', verifyUserToken, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { rows } = await db.query('SELECT permission_key, description FROM permissions ORDER BY permission_key');
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching permissions:', err);
+    res.status(500).json({ error: 'Error fetching permissions' });
+  }
+});
+
+/* ==========================================================
+   🔹 LIST ROLES WITH THEIR PERMISSIONS
+========================================================== */
+router.get('/', verifyUserToken, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    res.json(await loadRoles(db));
+  } catch (err) {
+    console.error('Error fetching roles:', err);
+    res.status(500).json({ error: 'Error fetching roles' });
+  }
+});
+
+/* ==========================================================
+   🔹 CREATE ROLE
+========================================================== */
+router.post('/', verifyUserToken, requirePermission('roles:manage'),
+  body('role_name').trim().matches(/^[a-z][a-z0-9_]{1,49}$/).withMessage('Role name must be lowercase letters, digits and underscores'),
+  roleValidation, runValidation, async (req, res) => {
+  try {
+    const { role_name, description = null, permissions } = req.body;
+
+    const result = await db.withTransaction(async (client) => {
+      const { rows: existing } = await client.query('SELECT 1 FROM roles WHERE role_name = $1', [role_name]);
+      if (existing.length) return { status: 409, body: { error: `Role '${role_name}' already exists` } };
+
+      const invalid = await checkPermissionKeys(client, permissions);
+      if (invalid) return invalid;
+
+      await client.query('INSERT INTO roles (role_name, description) VALUES ($1, $2)', [role_name, description]);
+      await setGrants(client, role_name, permissions);
+
+      const [role] = await loadRoles(client, role_name);
+      await recordAudit(client, req, { entity: 'roles', recordId: role_name, action: 'CREATE', after: role });
+      return { status: 201, body: role };
+    });
+
+    if (result.status < 300) invalidatePermissionCache();
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error('Error creating role:', err);
+    res.status(500).json({ error: 'Error creating role' });
+  }
+});
+
+/* ==========================================================
+   🔹 UPDATE ROLE (description + full permission list)
+========================================================== */
+router.put('/:role', verifyUserToken, requirePermission('roles:manage'), roleValidation, runValidation, async (req, res) => {
+  try {
+    const { role } = req.params;
+    if (role === 'super_admin') {
+      return res.status(400).json({ error: 'super_admin always has every permission and cannot be edited' });
+    }
+
+    const result = await db.withTransaction(async (client) => {
+      const [before] = await loadRoles(client, role);
+      if (!before) return { status: 404, body: { error: 'Role not found' } };
+
+      const invalid = await checkPermissionKeys(client, req.body.permissions);
+      if (invalid) return invalid;
+
+      await setGrants(client, role, req.body.permissions);
+      if (req.body.description !== undefined) {
+        await client.query('UPDATE roles SET description = $1 WHERE role_name = $2', [req.body.description, role]);
+      }
+
+      const [after] = await loadRoles(client, role);
+      await recordAudit(client, req, { entity: 'roles', recordId: role, action: 'UPDATE', before, after });
+      return { status: 200, body: after };
+    });
+
+    if (result.status < 300) invalidatePermissionCache();
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error('Error updating role:', err);
+    res.status(500).json({ error: 'Error updating role' });
+  }
+});
+
+/* ==========================================================
+   🔹 DELETE ROLE (custom roles with no users only)
+========================================================== */
+router.delete('/:role', verifyUserToken, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { role } = req.params;
+
+    const result = await db.withTransaction(async (client) => {
+      const [before] = await loadRoles(client, role);
+      if (!before) return { status: 404, body: { error: 'Role not found' } };
+      if (before.is_system) return { status: 400, body: { error: 'Built-in roles cannot be deleted' } };
+      if (before.user_count) {
+        return { status: 409, body: { error: `Role is assigned to ${before.user_count} user(s); reassign them first` } };
+      }
+
+      await client.query('DELETE FROM roles WHERE role_name = $1', [role]);
+      await recordAudit(client, req, { entity: 'roles', recordId: role, action: 'DELETE', before });
+      return { status: 200, body: { message: 'Role deleted', role_name: role } };
+    });
+
+    if (result.status < 300) invalidatePermissionCache();
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error('Error deleting role:', err);
+    res.status(500).json({ error: 'Error deleting role' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+// backend/routes/statements.js
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const db = require('../db');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { runValidation } = require('../middleware/globalValidators');
+const {
+  STATEMENTS, resolvePeriod, buildStatement, statementRows, statementDetails, statementPdf, statementXlsx,
+} = require('../utils/statements');
+
+const EXPORT_FORMATS = ['pdf', 'xlsx'];
+
+// ?fy=2025 for FY 2025-26, or ?from=&to= for any range; neither means the current financial year
+const periodValidation = [
+  query('fy').optional().isInt({ min: 2000, max: 2100 }).withMessage('fy must be the year the financial year starts in, e.g. 2025'),
+  query('from').optional().isISO8601({ strict: true }).withMessage('from must be a date (YYYY-MM-DD)'),
+  query('to').optional().isISO8601({ strict: true }).withMessage('to must be a date (YYYY-MM-DD)')
+    .custom((to, { req }) => !req.query.from || to >= req.query.from).withMessage('to must not be before from'),
+  query().custom((_, { req }) => !req.query.from === !req.query.to).withMessage('Give both from and to, or neither'),
+  query().custom((_, { req }) => !(req.query.fy && req.query.from)).withMessage('Use either fy or from/to, not both'),
+];
+
+const statementValidation = [
+  param('statement').isIn(Object.keys(STATEMENTS)).withMessage(`statement must be one of: ${Object.keys(STATEMENTS).join(', ')}`),
+  ...periodValidation,
+];
+
+/* ==========================================================
+   🔹 LINE DRILL-DOWN (the rows behind one statement figure)
+========================================================== */
+router.get('/rows', verifyToken, requirePermission('finance:statements'),
+  query('line').notEmpty().withMessage('line is required'), periodValidation, runValidation,
+  async (req, res) => {
+    try {
+      const result = await statementRows(db, resolvePeriod(req.query), req.query.line);
+      if (!result) return res.status(400).json({ error: `Unknown statement line '${req.query.line}'` });
+      res.json(result);
+    } catch (err) {
+      console.error('Error fetching statement rows:', err);
+      res.status(500).json({ error: 'Error fetching statement rows' });
+    }
+  });
+
+/* ==========================================================
+   🔹 EXPORT STATEMENT (PDF, or XLSX with a detail sheet)
+========================================================== */
+router.get('/:statement/export', verifyToken, requirePermission('finance:statements'), statementValidation,
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage(`format must be one of: ${EXPORT_FORMATS.join(', ')}`), runValidation,
+  async (req, res) => {
+    try {
+      const format = req.query.format || 'pdf';
+      const statement = await buildStatement(db, req.params.statement, resolvePeriod(req.query));
+      const body = format === 'pdf'
+        ? await statementPdf(statement)
+        : await statementXlsx(statement, await statementDetails(db, statement));
+
+      res.setHeader('Content-Type', format === 'pdf'
+        ? 'application/pdf'
+        : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${statement.statement}-${statement.period.from}-${statement.period.to}.${format}"`);
+      res.send(body);
+    } catch (err) {
+      console.error('Error exporting statement:', err);
+      res.status(500).json({ error: 'Error exporting statement' });
+    }
+  });
+
+/* ==========================================================
+   🔹 GET STATEMENT
+========================================================== */
+router.get('/:statement', verifyToken, requirePermission('finance:statements'), statementValidation, runValidation, async (req, res) => {
+  try {
+    res.json(await buildStatement(db, req.params.statement, resolvePeriod(req.query)));
+  } catch (err) {
+    console.error('Error building statement:', err);
+    res.status(500).json({ error: 'Error building statement' });
+  }
+});
+
+module.exports = router;
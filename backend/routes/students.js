@@ -2,37 +2,63 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
-const uiConfig = require('./uiConfig');
-const { verifyToken, rbacAccess } = require('../middleware/auth');
-const { studentValidation } = require('../middleware/validators');
+const uiConfig = require('../config/uiConfig');
+const { runListQuery } = require('../utils/listQuery');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { ownerScope, requireRecordAccess, requireChildAccess, assignOwner, transferOwnerHandler } = require('../utils/ownership');
+const { studentValidation, sessionLogValidation, mergeValidation, duplicateDismissValidation } = require('../middleware/validators');
+const { pickColumns, buildSetClause } = require('../utils/sql');
+const { lockRow, recordAudit, historyHandler } = require('../utils/audit');
+const { softDeleteHandler, restoreHandler, lockLiveRecord } = require('../utils/softDelete');
+const { exportListHandler, exportRecordHandler } = require('../utils/exporter');
+const { importHandler } = require('../utils/importer');
+const { duplicatesHandler, mergePreviewHandler, mergeHandler, dismissDuplicateHandler } = require('../utils/duplicates');
+const { progressOptions, studentRiskFlagsSql, studentProgress, cohortProgress, atRiskStudents } = require('../utils/studentProgress');
+
+// Columns PUT/PATCH /:id may set; no owner or system columns
+const STUDENT_COLUMNS = [
+  'student_frf_name', 'email', 'secondary_email', 'email_opt_out',
+  'date_of_birth', 'father_name', 'blood_group', 'mother_name', 'parents_contact_number',
+  'address', 'monthly_income', 'permanent_address',
+  'class', 'section', 'medium', 'school'
+];
+const SESSION_LOG_COLUMNS = [
+  'session_date', 'course', 'topic_covered', 'interest_level', 'challenges_faced',
+  'understanding_level', 'overall_score', 'remarks', 'feedback', 'home_work'
+];
 const { emailValidation, phoneValidation, runValidation } = require('../middleware/globalValidators');
 
+const STUDENT_LIST_QUERY = `
+  SELECT 
+    s.id,
+    s.student_frf_name,
+    s.student_frf_owner,
+    s.class,
+    s.section,
+    ROUND(COALESCE(AVG(l.overall_score), 0), 2)::float AS avg_overall_score,
+    ${studentRiskFlagsSql('s')} AS risk_flags
+  FROM students s
+  LEFT JOIN student_session_logs l 
+    ON s.id = l.student_id
+  WHERE s.deleted_at IS NULL
+  GROUP BY s.id
+`;
+
 
 /* ==========================================================
-   GET ALL STUDENTS + AVG SCORE
+   GET ALL STUDENTS + AVG SCORE (paginated / sorted / filtered)
 ========================================================== */
-router.get('/', async (req, res) => {
+router.get('/', verifyToken, requirePermission('students:read'), async (req, res) => {
   try {
-    const result = await db.query(`
-      SELECT 
-        s.id,
-        s.student_frf_name,
-        s.class,
-        s.section,
-        ROUND(COALESCE(AVG(l.overall_score), 0), 2) AS avg_overall_score
-      FROM students s
-      LEFT JOIN student_session_logs l 
-        ON s.id = l.student_id
-      GROUP BY s.id
-      ORDER BY s.student_frf_name ASC
-    `);
+    const result = await runListQuery(db, STUDENT_LIST_QUERY, uiConfig.students, req.query, await ownerScope(req, 'students'));
 
     res.json({
-      data: result.rows,
+      ...result,
       uiConfig: uiConfig.students
     });
 
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Error fetching students:', err);
     res.status(500).send('Error fetching students');
   }
@@ -40,36 +66,122 @@ router.get('/', async (req, res) => {
 
 
 /* ==========================================================
-   GET SINGLE STUDENT + CREATED / MODIFIED BY USER DETAILS
+   EXPORT STUDENTS (CSV / XLSX / PDF, same filters as the list)
 ========================================================== */
-router.get('/:id', async (req, res) => {
+router.get('/export', verifyToken, requirePermission('students:export'), exportListHandler('students', STUDENT_LIST_QUERY));
+
+
+/* ==========================================================
+   COHORT PROGRESS (?group_by=class|section|school&weeks=&decline=)
+========================================================== */
+router.get('/progress/cohorts', verifyToken, requirePermission('students:read'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const cohorts = await cohortProgress(db, {
+      groupBy: req.query.group_by || 'class',
+      scope: await ownerScope(req, 'students'),
+      ...progressOptions(req.query),
+    });
+    res.json({ data: cohorts });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Error computing cohort progress:', err);
+    res.status(500).json({ error: 'Error computing cohort progress' });
+  }
+});
 
-    const studentQ = `
-      SELECT 
-        s.*,
-        cu.username AS created_by_username,
-        cu.email AS created_by_email,
-        mu.username AS modified_by_username,
-        mu.email AS modified_by_email
-      FROM students s
-      LEFT JOIN users cu ON s.created_by_user_id = cu.user_id
-      LEFT JOIN users mu ON s.modified_by_user_id = mu.user_id
-      WHERE s.id = $1
-    `;
+/* ==========================================================
+   AT-RISK STUDENTS (?flag=declining|inactive&class=&section=&school=&weeks=&decline=)
+========================================================== */
+router.get('/progress/at-risk', verifyToken, requirePermission('students:read'), async (req, res) => {
+  try {
+    const options = progressOptions(req.query);
+    const students = await atRiskStudents(db, {
+      flag: req.query.flag || null,
+      cohort: { class: req.query.class, section: req.query.section, school: req.query.school },
+      scope: await ownerScope(req, 'students'),
+      ...options,
+    });
+    res.json({ data: students, inactive_weeks: options.inactiveWeeks, decline_points: options.declinePoints });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Error fetching at-risk students:', err);
+    res.status(500).json({ error: 'Error fetching at-risk students' });
+  }
+});
+
+/* ==========================================================
+   LIKELY DUPLICATE STUDENTS (?min_score=30&limit=50&record_id=)
+========================================================== */
+router.get('/duplicates', verifyToken, requirePermission('students:merge'), duplicatesHandler('students'));
+
+/* ==========================================================
+   DISMISS A DUPLICATE PAIR (not offered again)
+========================================================== */
+router.post('/duplicates/dismiss', verifyToken, requirePermission('students:merge'), duplicateDismissValidation, dismissDuplicateHandler('students'));
+
+/* ==========================================================
+   MERGE PREVIEW (values kept and rows moved)
+========================================================== */
+router.post('/merge/preview', verifyToken, requirePermission('students:merge'), mergeValidation, mergePreviewHandler('students'));
+
+/* ==========================================================
+   MERGE TWO STUDENTS (session logs move to the survivor)
+========================================================== */
+router.post('/merge', verifyToken, requirePermission('students:merge'), requirePermission('students:update'), mergeValidation, mergeHandler('students'));
+
+/* ==========================================================
+   STUDENT HISTORY (audit trail incl. session logs)
+========================================================== */
+router.get('/:id/history', verifyToken, requirePermission('students:read'), requireRecordAccess('students'), historyHandler('students'));
+
+
+/* ==========================================================
+   STUDENT PROGRESS (score trend, per-course averages, attendance, risk flags)
+========================================================== */
+router.get('/:id/progress', verifyToken, requirePermission('students:read'), requireRecordAccess('students'), async (req, res) => {
+  try {
+    const progress = await studentProgress(db, req.params.id, progressOptions(req.query));
+    if (!progress) return res.status(404).json({ error: 'Student not found' });
+    res.json(progress);
+  } catch (err) {
+    console.error('Error fetching student progress:', err);
+    res.status(500).json({ error: 'Error fetching student progress' });
+  }
+});
 
-    const { rows: studentRows } = await db.query(studentQ, [id]);
-    if (!studentRows.length)
-      return res.status(404).json({ message: "Student not found" });
+/* ==========================================================
+   EXPORT SINGLE STUDENT AS PDF
+========================================================== */
+router.get('/:id/export', verifyToken, requirePermission('students:export'), requireRecordAccess('students'), exportRecordHandler('students', loadStudent));
 
-    const student = studentRows[0];
 
-    // Session Logs
-    const logsQ = `
+/* ==========================================================
+   LOAD STUDENT + SESSION LOGS (detail view + PDF export)
+========================================================== */
+async function loadStudent(id) {
+  const studentQ = `
+    SELECT 
+      s.*,
+      cu.username AS created_by_username,
+      cu.email AS created_by_email,
+      mu.username AS modified_by_username,
+      mu.email AS modified_by_email
+    FROM students s
+    LEFT JOIN users cu ON s.created_by_user_id = cu.user_id
+    LEFT JOIN users mu ON s.modified_by_user_id = mu.user_id
+    WHERE s.id = $1 AND s.deleted_at IS NULL
+  `;
+
+  const { rows: studentRows } = await db.query(studentQ, [id]);
+  if (!studentRows.length) return null;
+
+  const student = studentRows[0];
+
+  // Session Logs
+  const logsQ = `
   SELECT
     session_log_id,
-    TO_CHAR(session_date, 'DD-MM-YYYY') AS session_date,
+    session_date,
     course,
     topic_covered,
     interest_level,
@@ -84,9 +196,21 @@ router.get('/:id', async (req, res) => {
   ORDER BY session_date DESC
 `;
 
-    const { rows: logs } = await db.query(logsQ, [id]);
+  const { rows: logs } = await db.query(logsQ, [id]);
+
+  student.session_logs = logs;
+
+  return student;
+}
 
-    student.session_logs = logs;
+
+/* ==========================================================
+   GET SINGLE STUDENT + CREATED / MODIFIED BY USER DETAILS
+========================================================== */
+router.get('/:id', verifyToken, requirePermission('students:read'), requireRecordAccess('students'), async (req, res) => {
+  try {
+    const student = await loadStudent(req.params.id);
+    if (!student) return res.status(404).json({ message: "Student not found" });
 
     res.json(student);
 
@@ -100,7 +224,7 @@ router.get('/:id', async (req, res) => {
 /* ==========================================================
    CREATE STUDENT
 ========================================================== */
-router.post('/', verifyToken, rbacAccess(), studentValidation, emailValidation('email'), emailValidation('secondary_email'), phoneValidation('parents_contact_number'), runValidation, async (req, res) => {
+router.post('/', verifyToken, requirePermission('students:create'), assignOwner('students'), studentValidation, emailValidation('email'), emailValidation('secondary_email'), phoneValidation('parents_contact_number'), runValidation, async (req, res) => {
   try {
     const {
       id,
@@ -147,7 +271,11 @@ router.post('/', verifyToken, rbacAccess(), studentValidation, emailValidation('
       address, monthly_income, permanent_address, className, section, medium, school
     ];
 
-    const { rows } = await db.query(q, vals);
+    const rows = await db.withTransaction(async (client) => {
+      const result = await client.query(q, vals);
+      await recordAudit(client, req, { entity: 'students', recordId: result.rows[0].id, action: 'CREATE', after: result.rows[0] });
+      return result.rows;
+    });
     res.status(201).json(rows[0]);
 
   } catch (err) {
@@ -157,33 +285,44 @@ router.post('/', verifyToken, rbacAccess(), studentValidation, emailValidation('
 });
 
 
+/* ==========================================================
+   BULK IMPORT (CSV / XLSX, dry run by default)
+========================================================== */
+router.post('/import', verifyToken, requirePermission('students:import'), importHandler('students', [
+  studentValidation, emailValidation('email'), emailValidation('secondary_email'), phoneValidation('parents_contact_number')
+]));
+
+
 /* ==========================================================
    FULL UPDATE (PUT)
 ========================================================== */
-router.put('/:id', verifyToken, rbacAccess(), async (req, res) => {
+router.put('/:id', verifyToken, requirePermission('students:update'), requireRecordAccess('students'), async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const updates = pickColumns(req.body, STUDENT_COLUMNS);
 
     if (!Object.keys(updates).length)
       return res.status(400).json({ message: 'No fields to update' });
 
-    const setClause = Object.keys(updates)
-      .map((k, i) => `${k} = $${i + 1}`)
-      .join(', ');
-
+    const { setSql, values } = buildSetClause(updates);
     const q = `
       UPDATE students
-      SET ${setClause},
-          modified_by_user_id = $${Object.keys(updates).length + 1},
+      SET ${setSql},
+          modified_by_user_id = $${values.length + 1},
           modified_date = NOW()
-      WHERE id = $${Object.keys(updates).length + 2}
+      WHERE id = $${values.length + 2}
       RETURNING *;
     `;
 
-    const params = [...Object.values(updates), req.user.user_id, id];
+    const params = [...values, req.user.user_id, id];
 
-    const { rows } = await db.query(q, params);
+    const rows = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'students', 'id', id);
+      if (!before || before.deleted_at) return [];
+      const result = await client.query(q, params);
+      await recordAudit(client, req, { entity: 'students', recordId: id, action: 'UPDATE', before, after: result.rows[0] });
+      return result.rows;
+    });
 
     if (!rows.length)
       return res.status(404).json({ message: 'Student not found' });
@@ -200,30 +339,33 @@ router.put('/:id', verifyToken, rbacAccess(), async (req, res) => {
 /* ==========================================================
    PARTIAL UPDATE (PATCH)
 ========================================================== */
-router.patch('/:id', verifyToken, rbacAccess(), emailValidation('email'), emailValidation('secondary_email'), phoneValidation('parents_contact_number'), runValidation, async (req, res) => {
+router.patch('/:id', verifyToken, requirePermission('students:update'), requireRecordAccess('students'), emailValidation('email'), emailValidation('secondary_email'), phoneValidation('parents_contact_number'), runValidation, async (req, res) => {
   try {
-    const updates = req.body;
+    const updates = pickColumns(req.body, STUDENT_COLUMNS);
     const { id } = req.params;
 
     if (!Object.keys(updates).length)
       return res.status(400).json({ error: 'No fields to update' });
 
-    const setClause = Object.keys(updates)
-      .map((k, i) => `${k} = $${i + 1}`)
-      .join(', ');
-
+    const { setSql, values } = buildSetClause(updates);
     const q = `
       UPDATE students
-      SET ${setClause},
-          modified_by_user_id = $${Object.keys(updates).length + 1},
+      SET ${setSql},
+          modified_by_user_id = $${values.length + 1},
           modified_date = NOW()
-      WHERE id = $${Object.keys(updates).length + 2}
+      WHERE id = $${values.length + 2}
       RETURNING *;
     `;
 
-    const params = [...Object.values(updates), req.user.user_id, id];
+    const params = [...values, req.user.user_id, id];
 
-    const { rows } = await db.query(q, params);
+    const rows = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'students', 'id', id);
+      if (!before || before.deleted_at) return [];
+      const result = await client.query(q, params);
+      await recordAudit(client, req, { entity: 'students', recordId: id, action: 'UPDATE', before, after: result.rows[0] });
+      return result.rows;
+    });
 
     if (!rows.length)
       return res.status(404).json({ error: 'Student not found' });
@@ -238,30 +380,32 @@ router.patch('/:id', verifyToken, rbacAccess(), emailValidation('email'), emailV
 
 
 /* ==========================================================
-   PATCH SESSION LOG (CORRECTED)
+   PATCH SESSION LOG
 ========================================================== */
-router.patch('/session-logs/:log_id', verifyToken, rbacAccess(), async (req, res) => {
+router.patch('/session-logs/:log_id', verifyToken, requirePermission('students:session_logs:write'), requireChildAccess('students', 'log_id'), sessionLogValidation, async (req, res) => {
   try {
     const { log_id } = req.params;
-    const updates = req.body;
+    const updates = pickColumns(req.body, SESSION_LOG_COLUMNS);
 
     if (!Object.keys(updates).length)
       return res.status(400).json({ message: "No fields to update" });
 
-    const set = Object.keys(updates)
-      .map((k, i) => `${k} = $${i + 1}`)
-      .join(", ");
-
-    const values = Object.values(updates);
+    const { setSql, values } = buildSetClause(updates);
 
     const q = `
       UPDATE student_session_logs
-      SET ${set}
-      WHERE session_log_id = $${Object.keys(updates).length + 1}
+      SET ${setSql}
+      WHERE session_log_id = $${values.length + 1}
       RETURNING *;
     `;
 
-    const { rows } = await db.query(q, [...values, log_id]);
+    const rows = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'student_session_logs', 'session_log_id', log_id);
+      if (!before || !(await lockLiveRecord(client, 'students', before.student_id))) return [];
+      const result = await client.query(q, [...values, log_id]);
+      await recordAudit(client, req, { entity: 'session_logs', recordId: log_id, action: 'UPDATE', before, after: result.rows[0], parentEntity: 'students', parentId: before.student_id });
+      return result.rows;
+    });
 
     if (!rows.length)
       return res.status(404).json({ message: "Session log not found" });
@@ -276,31 +420,58 @@ router.patch('/session-logs/:log_id', verifyToken, rbacAccess(), async (req, res
 
 
 /* ==========================================================
-   DELETE STUDENT
+   DELETE SESSION LOG
 ========================================================== */
-router.delete('/:id', verifyToken, rbacAccess(), async (req, res) => {
+router.delete('/session-logs/:log_id', verifyToken, requirePermission('students:session_logs:write'), requireChildAccess('students', 'log_id'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { log_id } = req.params;
 
-    await db.query(`DELETE FROM student_session_logs WHERE student_id = $1`, [id]);
-    const result = await db.query(`DELETE FROM students WHERE id = $1 RETURNING id`, [id]);
+    const result = await db.withTransaction(async (client) => {
+      const log = await lockRow(client, 'student_session_logs', 'session_log_id', log_id);
+      if (!log || !(await lockLiveRecord(client, 'students', log.student_id))) return { rowCount: 0 };
+      const deleted = await client.query(
+        `DELETE FROM student_session_logs WHERE session_log_id = $1 RETURNING *`,
+        [log_id]
+      );
+      if (deleted.rowCount) {
+        const log = deleted.rows[0];
+        await recordAudit(client, req, { entity: 'session_logs', recordId: log_id, action: 'DELETE', before: log, parentEntity: 'students', parentId: log.student_id });
+      }
+      return deleted;
+    });
 
     if (!result.rowCount)
-      return res.status(404).json({ message: 'Student not found' });
+      return res.status(404).json({ message: "Session log not found" });
 
-    res.json({ message: 'Student deleted successfully' });
+    res.json({ message: "Session log deleted successfully" });
 
   } catch (err) {
-    console.error('Error deleting student:', err);
-    res.status(500).json({ error: 'Error deleting student' });
+    console.error("Error deleting session log:", err);
+    res.status(500).json({ message: "Error deleting session log" });
   }
 });
 
 
+/* ==========================================================
+   DELETE STUDENT
+========================================================== */
+router.delete('/:id', verifyToken, requirePermission('students:delete'), requireRecordAccess('students'), softDeleteHandler('students'));
+
+/* ==========================================================
+   RESTORE STUDENT FROM TRASH
+========================================================== */
+router.post('/:id/restore', verifyToken, requirePermission('students:restore'), requireRecordAccess('students'), restoreHandler('students'));
+
+/* ==========================================================
+   TRANSFER STUDENT OWNERSHIP
+========================================================== */
+router.post('/:id/owner', verifyToken, requirePermission('students:update'), requireRecordAccess('students'), transferOwnerHandler('students'));
+
+
 /* ==========================================================
    ADD SESSION LOG
 ========================================================== */
-router.post('/:id/session-logs', verifyToken, rbacAccess(), async (req, res) => {
+router.post('/:id/session-logs', verifyToken, requirePermission('students:session_logs:write'), requireRecordAccess('students'), sessionLogValidation, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -332,7 +503,16 @@ router.post('/:id/session-logs', verifyToken, rbacAccess(), async (req, res) =>
       remarks, feedback, home_work
     ];
 
-    const { rows } = await db.query(q, vals);
+    const rows = await db.withTransaction(async (client) => {
+      if (!(await lockLiveRecord(client, 'students', id))) return [];
+      const result = await client.query(q, vals);
+      const created = result.rows[0];
+      await recordAudit(client, req, { entity: 'session_logs', recordId: created.session_log_id, action: 'CREATE', after: created, parentEntity: 'students', parentId: id });
+      return result.rows;
+    });
+
+    if (!rows.length)
+      return res.status(404).json({ message: 'Student not found' });
 
     res.status(201).json(rows[0]);
 
@@ -0,0 +1,80 @@
+// backend/routes/trash.js
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const entities = require('../config/entities');
+const { runListQuery } = require('../utils/listQuery');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { TRASH_RETENTION_DAYS, purgeExpired } = require('../utils/softDelete');
+const { ownerScope } = require('../utils/ownership');
+
+const trashConfig = {
+  columns: [
+    { key: 'entity', label: 'Type', sortable: true, filterType: 'select' },
+    { key: 'name', label: 'Name', sortable: true, filterType: 'text' },
+    { key: 'deleted_by_username', label: 'Deleted By', sortable: true, filterType: 'text' },
+    { key: 'deleted_at', label: 'Deleted At', sortable: true, filterType: 'date' }
+  ],
+  defaultSort: { key: 'deleted_at', order: 'desc' },
+  // ids are only unique within one entity's table
+  uniqueKey: ['entity', 'id']
+};
+
+// Rows of one entity the user may see: all of them, only their own (scope from
+// utils/ownership.js), or none for an API key without all_records
+const ownerFilter = (ownerColumn, scope) => {
+  if (!scope) return '';
+  const userId = Number(scope.userId);
+  return scope.userId != null && Number.isInteger(userId) ? `AND r.${ownerColumn} = ${userId}` : 'AND FALSE';
+};
+
+// One SELECT per entity, unioned so the trash can be paged/sorted as a single list.
+// `scopes` maps each entity to its ownerScope.
+const trashBaseQuery = (scopes) => Object.entries(entities)
+  .map(([entity, { table, nameColumn, ownerColumn }]) => `
+    SELECT '${entity}' AS entity, r.id, r.${nameColumn} AS name,
+           r.deleted_at, r.deleted_by, u.username AS deleted_by_username,
+           r.deleted_at + make_interval(days => ${TRASH_RETENTION_DAYS}) AS purge_after
+    FROM ${table} r
+    LEFT JOIN users u ON r.deleted_by = u.user_id
+    WHERE r.deleted_at IS NOT NULL ${ownerFilter(ownerColumn, scopes[entity])}`)
+  .join('\n    UNION ALL');
+
+
+/* ==========================================================
+   🔹 LIST TRASHED RECORDS
+========================================================== */
+router.get('/', verifyToken, requirePermission('trash:read'), async (req, res) => {
+  try {
+    const scopes = {};
+    for (const entity of Object.keys(entities)) scopes[entity] = await ownerScope(req, entity);
+    const result = await runListQuery(db, trashBaseQuery(scopes), trashConfig, req.query);
+    res.json({ ...result, retentionDays: TRASH_RETENTION_DAYS });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Error fetching trash:', err);
+    res.status(500).json({ error: 'Error fetching trash' });
+  }
+});
+
+/* ==========================================================
+   🔹 PURGE EXPIRED RECORDS
+   Permanently removes records trashed more than TRASH_RETENTION_DAYS ago.
+   Optional ?entity=donors limits the purge to one entity.
+========================================================== */
+router.delete('/purge', verifyToken, requirePermission('trash:purge'), async (req, res) => {
+  try {
+    const { entity } = req.query;
+    if (entity && !entities[entity]) {
+      return res.status(400).json({ error: `Unknown entity '${entity}'` });
+    }
+
+    const purged = await purgeExpired(req, entity);
+    res.json({ message: `Purged ${purged.length} record(s)`, purged, retentionDays: TRASH_RETENTION_DAYS });
+  } catch (err) {
+    console.error('Error purging trash:', err);
+    res.status(500).json({ error: 'Error purging trash' });
+  }
+});
+
+module.exports = router;
@@ -3,11 +3,21 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const { v4: uuidv4 } = require('uuid');
 const { body, validationResult } = require('express-validator');
 const db = require('../db');
-const { verifyToken, rbacAccess } = require('../middleware/auth');
-const { registerValidation, loginValidation } = require('../middleware/validators');
+const { verifyUserToken, requirePermission, permissionsForRole } = require('../middleware/auth');
+const {
+  registerValidation, loginValidation, emailOnlyValidation, passwordResetValidation, passwordChangeValidation,
+  userUpdateValidation, userLockValidation,
+  loginSecondFactorValidation, loginEnrolmentValidation, loginEnrolmentConfirmValidation, totpCodeValidation, twoFactorDisableValidation,
+} = require('../middleware/validators');
+const { transporter, fromAddress } = require('../utils/mailer');
+const { issueUserToken, consumeUserToken, revokeUserTokens } = require('../utils/userTokens');
+const twoFactor = require('../utils/twoFactor');
+const sessions = require('../utils/sessions');
+const { passwordReset, emailVerification } = require('../config/emailTemplates');
+const ngo = require('../config/ngo');
+const { runListQuery } = require('../utils/listQuery');
 require('dotenv').config();
 
 const router = express.Router();
@@ -18,38 +28,46 @@ const router = express.Router();
 const SALT_ROUNDS = Number(process.env.BCRYPT_SALT_ROUNDS || 10);
 const JWT_SECRET = process.env.JWT_SECRET || 'super_secret_key';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
-const REFRESH_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS || 30);
 const isProd = process.env.NODE_ENV === 'production';
-
-// ---------------------------------------------------
-// EMAIL TRANSPORTER (Nodemailer)
-// ---------------------------------------------------
-const transporter = require('nodemailer').createTransport({
-  host: process.env.SMTP_HOST || 'smtp.gmail.com',
-  port: Number(process.env.SMTP_PORT || 587),
-  secure: Number(process.env.SMTP_PORT || 587) === 465,
-  auth: {
-    user: process.env.SMTP_EMAIL,
-    pass: process.env.SMTP_PASSWORD,
-  },
-});
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://localhost:4200';
 
 // ---------------------------------------------------
 // TOKEN HELPERS
 // ---------------------------------------------------
-function createAccessToken(user) {
+// `sid` ties the token to its session, so revoking the session revokes it too
+function createAccessToken(user, sessionId) {
   return jwt.sign(
-    { user_id: user.user_id, email: user.email, role: user.user_role },
+    { user_id: user.user_id, email: user.email, role: user.user_role, sid: sessionId },
     JWT_SECRET,
     { expiresIn: JWT_EXPIRES_IN }
   );
 }
 
-function createRefreshToken() {
-  const expiresAt = new Date(Date.now() + REFRESH_DAYS * 24 * 60 * 60 * 1000);
-  return { token: uuidv4(), expiresAt };
+const accessTokenFrom = (req) => req.cookies?.access_token || req.headers.authorization?.split(' ')[1];
+
+// ---------------------------------------------------
+// ACCOUNT EMAILS (reset / verification links)
+// ---------------------------------------------------
+const appLink = (params) => `${FRONTEND_URL.replace(/\/$/, '')}/?${new URLSearchParams(params)}`;
+
+async function sendAccountMail(user, template, linkParams, minutes) {
+  const { subject, html, text } = template({ user, link: appLink(linkParams), minutes });
+  await transporter.sendMail({ from: fromAddress(ngo.name), to: user.email, subject, html, text });
+}
+
+/** Issue a verification token and mail it; a failed send is logged, the user can ask again */
+async function sendVerification(client, user) {
+  const { token, minutes } = await issueUserToken(client, user.user_id, 'email_verification');
+  try {
+    await sendAccountMail(user, emailVerification, { verify_token: token }, minutes);
+  } catch (mailErr) {
+    console.warn('Verification email failed:', mailErr.message);
+  }
 }
 
+// Forgot-password and resend answer the same way whether or not the address is known
+const GENERIC_MAIL_REPLY = { message: 'If an account exists for that email, a message is on its way.' };
+
 const cookieOptions = ({ maxAge } = {}) => ({
   httpOnly: true,
   secure: isProd,
@@ -58,13 +76,14 @@ const cookieOptions = ({ maxAge } = {}) => ({
 });
 
 // ---------------------------------------------------
-// USER REGISTRATION (auto PENDING approval)
+// USER REGISTRATION (UNVERIFIED until the email link is opened, then PENDING approval)
 // ---------------------------------------------------
 router.post('/', registerValidation, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-  const { username, email, password, user_role } = req.body;
+  // New accounts are always members; roles are assigned after approval
+  const { username, email, password } = req.body;
 
   try {
     const { rows: exists } = await db.query('SELECT 1 FROM users WHERE email = $1', [email]);
@@ -73,14 +92,18 @@ router.post('/', registerValidation, async (req, res) => {
     const password_hash = await bcrypt.hash(password, SALT_ROUNDS);
     const q = `
       INSERT INTO users (username, email, password_hash, user_role, approval_status, created_at)
-      VALUES ($1,$2,$3,COALESCE($4,'member'),'PENDING',NOW())
+      VALUES ($1,$2,$3,'member','UNVERIFIED',NOW())
       RETURNING user_id, username, email, user_role, approval_status, created_at;
     `;
-    const { rows } = await db.query(q, [username, email, password_hash, user_role]);
+    const user = await db.withTransaction(async (client) => {
+      const { rows } = await client.query(q, [username, email, password_hash]);
+      await sendVerification(client, rows[0]);
+      return rows[0];
+    });
 
     res.status(201).json({
-      message: 'Account created. Awaiting admin approval.',
-      user: rows[0],
+      message: 'Account created. Check your email to verify your address.',
+      user,
     });
   } catch (err) {
     console.error('Registration error:', err.message);
@@ -89,7 +112,76 @@ router.post('/', registerValidation, async (req, res) => {
 });
 
 // ---------------------------------------------------
-// USER LOGIN (with approval + lockout)
+// LOGIN HELPERS
+// ---------------------------------------------------
+// Approval and lockout message, or null when the account may sign in
+function loginBlockedReason(user) {
+  if (user.deactivated_at) return 'Account has been deactivated';
+  if (user.approval_status !== 'APPROVED') {
+    return user.approval_status === 'REJECTED'
+      ? 'Account has been rejected by admin'
+      : user.approval_status === 'UNVERIFIED'
+        ? 'Please verify your email address first'
+        : 'Account pending admin approval';
+  }
+  if (user.locked_until && new Date(user.locked_until) > new Date()) {
+    const mins = Math.ceil((new Date(user.locked_until) - new Date()) / 60000);
+    return `Account locked. Try again in ${mins > 90 ? `${Math.ceil(mins / 60)} hours` : `${mins} minutes`}.`;
+  }
+  return null;
+}
+
+// Wrong passwords and wrong second-factor codes share one lockout counter
+async function recordFailedLogin(user) {
+  const attempts = (user.failed_attempts || 0) + 1;
+  if (attempts >= 5) {
+    await db.query(
+      `UPDATE users SET failed_attempts=$1, locked_until = NOW() + INTERVAL '15 minutes' WHERE user_id=$2`,
+      [attempts, user.user_id]
+    );
+  } else {
+    await db.query(`UPDATE users SET failed_attempts=$1 WHERE user_id=$2`, [attempts, user.user_id]);
+  }
+}
+
+function setSessionCookies(res, user, sessionId, refresh) {
+  res.cookie('access_token', createAccessToken(user, sessionId), cookieOptions({ maxAge: 15 * 60 * 1000 }));
+  if (refresh) res.cookie('refresh_token', refresh.token, { ...cookieOptions(), expires: refresh.expiresAt });
+}
+
+function clearSessionCookies(res) {
+  res.clearCookie('access_token', cookieOptions());
+  res.clearCookie('refresh_token', cookieOptions());
+}
+
+// Reset counters, open a session and hand out the access/refresh cookies
+async function startSession(req, res, user) {
+  const { sessionId, refresh } = await db.withTransaction(async (client) => {
+    await client.query(`UPDATE users SET failed_attempts=0, locked_until=NULL, last_login_at=NOW() WHERE user_id=$1`, [user.user_id]);
+    return sessions.createSession(client, req, user.user_id);
+  });
+  setSessionCookies(res, user, sessionId, refresh);
+}
+
+// User behind a login challenge, if it is still allowed to sign in
+async function challengedUser(token, stage) {
+  const userId = twoFactor.readLoginChallenge(token, stage);
+  if (!userId) return { error: { status: 401, body: { error: 'Your sign-in has expired. Please log in again.' } } };
+
+  const { rows } = await db.query('SELECT * FROM users WHERE user_id = $1', [userId]);
+  if (!rows.length) return { error: { status: 401, body: { error: 'Invalid credentials' } } };
+
+  const blocked = loginBlockedReason(rows[0]);
+  if (blocked) return { error: { status: 403, body: { error: blocked } } };
+  // An enrolment token outlives the enrolment; once 2FA is on it must not set a new secret
+  if (stage === 'enroll' && rows[0].totp_enabled_at) {
+    return { error: { status: 401, body: { error: 'Your sign-in has expired. Please log in again.' } } };
+  }
+  return { user: rows[0] };
+}
+
+// ---------------------------------------------------
+// USER LOGIN (with approval + lockout, then the second factor)
 // ---------------------------------------------------
 router.post('/login', loginValidation, async (req, res) => {
   const { email, password } = req.body;
@@ -101,79 +193,222 @@ router.post('/login', loginValidation, async (req, res) => {
 
     const user = rows[0];
 
-    // Approval check
-    if (user.approval_status !== 'APPROVED') {
-      const msg =
-        user.approval_status === 'REJECTED'
-          ? 'Account has been rejected by admin'
-          : 'Account pending admin approval';
-      return res.status(403).json({ error: msg });
-    }
-
-    // Lockout check
-    if (user.locked_until && new Date(user.locked_until) > new Date()) {
-      const mins = Math.ceil((new Date(user.locked_until) - new Date()) / 60000);
-      return res.status(403).json({ error: `Account locked. Try again in ${mins} minutes.` });
-    }
+    const blocked = loginBlockedReason(user);
+    if (blocked) return res.status(403).json({ error: blocked });
 
     const match = await bcrypt.compare(password, user.password_hash);
     if (!match) {
-      const attempts = (user.failed_attempts || 0) + 1;
-      if (attempts >= 5) {
-        await db.query(
-          `UPDATE users SET failed_attempts=$1, locked_until = NOW() + INTERVAL '15 minutes' WHERE user_id=$2`,
-          [attempts, user.user_id]
-        );
-      } else {
-        await db.query(`UPDATE users SET failed_attempts=$1 WHERE user_id=$2`, [attempts, user.user_id]);
-      }
+      await recordFailedLogin(user);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Success: reset counters
-    await db.query(`UPDATE users SET failed_attempts=0, locked_until=NULL WHERE user_id=$1`, [user.user_id]);
+    // Password is right; no session until the second factor is done (or set up)
+    if (user.totp_enabled_at) {
+      return res.json({ mfa_required: true, mfa_token: twoFactor.createLoginChallenge(user.user_id, 'verify') });
+    }
+    if (twoFactor.isRequiredFor(user.user_role)) {
+      return res.json({ mfa_enrollment_required: true, mfa_token: twoFactor.createLoginChallenge(user.user_id, 'enroll') });
+    }
 
-    const accessToken = createAccessToken(user);
-    const refresh = createRefreshToken();
+    await startSession(req, res, user);
+    res.json({ message: 'Login successful' });
+  } catch (err) {
+    console.error('Login error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    await db.query(
-      `INSERT INTO refresh_tokens (user_id, refresh_token, issued_at, expires_at, device)
-       VALUES ($1,$2,NOW(),$3,$4)`,
-      [user.user_id, refresh.token, refresh.expiresAt, req.get('user-agent') || null]
-    );
+router.post('/login/2fa', loginSecondFactorValidation, async (req, res) => {
+  try {
+    const { mfa_token, code, recovery_code } = req.body;
+    const { user, error } = await challengedUser(mfa_token, 'verify');
+    if (error) return res.status(error.status).json(error.body);
 
-    res.cookie('access_token', accessToken, cookieOptions({ maxAge: 15 * 60 * 1000 }));
-    res.cookie('refresh_token', refresh.token, { ...cookieOptions(), expires: refresh.expiresAt });
+    const ok = await db.withTransaction(client => twoFactor.verifySecondFactor(client, user.user_id, { code, recovery_code }));
+    if (!ok) {
+      await recordFailedLogin(user);
+      return res.status(401).json({ error: recovery_code ? 'Invalid recovery code' : 'Invalid authentication code' });
+    }
 
+    await startSession(req, res, user);
     res.json({ message: 'Login successful' });
   } catch (err) {
-    console.error('Login error:', err.message);
+    console.error('Login 2FA error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Enrolment during login, for roles that must use 2FA but haven't set it up yet
+router.post('/login/2fa/setup', loginEnrolmentValidation, async (req, res) => {
+  try {
+    const { user, error } = await challengedUser(req.body.mfa_token, 'enroll');
+    if (error) return res.status(error.status).json(error.body);
+
+    const setup = await db.withTransaction(client => twoFactor.startEnrolment(client, user));
+    if (!setup) return res.status(401).json({ error: 'Your sign-in has expired. Please log in again.' });
+    res.json(setup);
+  } catch (err) {
+    console.error('Login 2FA setup error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/login/2fa/enable', loginEnrolmentConfirmValidation, async (req, res) => {
+  try {
+    const { user, error } = await challengedUser(req.body.mfa_token, 'enroll');
+    if (error) return res.status(error.status).json(error.body);
+
+    const recovery_codes = await db.withTransaction(client => twoFactor.confirmEnrolment(client, user.user_id, req.body.code));
+    if (!recovery_codes) {
+      await recordFailedLogin(user);
+      return res.status(400).json({ errors: [{ field: 'code', message: 'That code did not match. Check the time on your device and try again.' }] });
+    }
+
+    await startSession(req, res, user);
+    res.json({ message: 'Two-factor authentication enabled', recovery_codes });
+  } catch (err) {
+    console.error('Login 2FA enable error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ---------------------------------------------------
+// EMAIL VERIFICATION
+// ---------------------------------------------------
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!token) return res.status(400).json({ error: 'Missing verification token' });
+
+    const user = await db.withTransaction(async (client) => {
+      const userId = await consumeUserToken(client, token, 'email_verification');
+      if (!userId) return null;
+      const { rows } = await client.query(
+        `UPDATE users
+         SET email_verified_at = COALESCE(email_verified_at, NOW()),
+             approval_status = CASE WHEN approval_status = 'UNVERIFIED' THEN 'PENDING' ELSE approval_status END,
+             updated_at = NOW()
+         WHERE user_id = $1
+         RETURNING user_id, username, email, approval_status`,
+        [userId]
+      );
+      return rows[0] || null;
+    });
+
+    if (!user) return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+    res.json({ message: 'Email verified. Your account is now awaiting admin approval.', user });
+  } catch (err) {
+    console.error('Verify email error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/verify-email/resend', emailOnlyValidation, async (req, res) => {
+  try {
+    const { rows } = await db.query(
+      `SELECT user_id, username, email FROM users WHERE email = $1 AND approval_status = 'UNVERIFIED'`,
+      [req.body.email]
+    );
+    if (rows.length) await db.withTransaction(client => sendVerification(client, rows[0]));
+    res.json(GENERIC_MAIL_REPLY);
+  } catch (err) {
+    console.error('Resend verification error:', err.message);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // ---------------------------------------------------
-// REFRESH TOKEN
+// FORGOT / RESET PASSWORD
+// ---------------------------------------------------
+router.post('/password/forgot', emailOnlyValidation, async (req, res) => {
+  try {
+    const { rows } = await db.query(
+      `SELECT user_id, username, email FROM users WHERE email = $1 AND approval_status <> 'REJECTED'`,
+      [req.body.email]
+    );
+    if (rows.length) {
+      const user = rows[0];
+      const { token, minutes } = await db.withTransaction(client => issueUserToken(client, user.user_id, 'password_reset'));
+      try {
+        await sendAccountMail(user, passwordReset, { reset_token: token }, minutes);
+      } catch (mailErr) {
+        console.warn('Password reset email failed:', mailErr.message);
+      }
+    }
+    res.json(GENERIC_MAIL_REPLY);
+  } catch (err) {
+    console.error('Forgot password error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/password/reset', passwordResetValidation, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const password_hash = await bcrypt.hash(password, SALT_ROUNDS);
+
+    const userId = await db.withTransaction(async (client) => {
+      const id = await consumeUserToken(client, token, 'password_reset');
+      if (!id) return null;
+      // A reset also clears any lockout and signs out every session
+      await client.query(
+        `UPDATE users
+         SET password_hash = $1, failed_attempts = 0, locked_until = NULL, password_changed_at = NOW(), updated_at = NOW()
+         WHERE user_id = $2`,
+        [password_hash, id]
+      );
+      await sessions.revokeUserSessions(client, id, 'password_reset');
+      return id;
+    });
+
+    if (!userId) return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    res.json({ message: 'Password updated. You can now log in.' });
+  } catch (err) {
+    console.error('Reset password error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ---------------------------------------------------
+// REFRESH TOKEN (rotated on every use; reuse ends the session)
 // ---------------------------------------------------
 router.post('/refresh', async (req, res) => {
   try {
     const token = req.cookies?.refresh_token;
     if (!token) return res.status(400).json({ error: 'Missing refresh token' });
 
-    const { rows } = await db.query(
-      'SELECT * FROM refresh_tokens WHERE refresh_token=$1 AND expires_at > NOW()',
-      [token]
-    );
-    if (!rows.length) return res.status(401).json({ error: 'Invalid refresh token' });
+    const result = await db.withTransaction(async (client) => {
+      const rotation = await sessions.rotateRefreshToken(client, req, token);
+      if (rotation.status === 'invalid') return { status: 401, body: { error: 'Invalid refresh token' } };
+      if (rotation.status === 'reuse') {
+        return { status: 401, body: { error: 'This session was ended for security reasons. Please log in again.' } };
+      }
+
+      const { rows: users } = await client.query('SELECT * FROM users WHERE user_id=$1', [rotation.userId]);
+      if (!users.length) return { status: 401, body: { error: 'User not found' } };
 
-    const user_id = rows[0].user_id;
-    const { rows: users } = await db.query('SELECT * FROM users WHERE user_id=$1', [user_id]);
-    if (!users.length) return res.status(401).json({ error: 'User not found' });
+      const user = users[0];
+      // Deactivated, locked or rejected since the login
+      const blocked = loginBlockedReason(user);
+      if (blocked) {
+        await sessions.revokeSession(client, rotation.sessionId, 'blocked');
+        return { status: 401, body: { error: blocked } };
+      }
+      // Sessions from before 2FA became mandatory for this role end here
+      if (twoFactor.isRequiredFor(user.user_role) && !user.totp_enabled_at) {
+        await sessions.revokeSession(client, rotation.sessionId, '2fa_required');
+        return { status: 401, body: { error: 'Two-factor authentication is required. Please log in again.' } };
+      }
+      return { status: 200, user, rotation };
+    });
 
-    const user = users[0];
-    const accessToken = createAccessToken(user);
-    res.cookie('access_token', accessToken, cookieOptions({ maxAge: 15 * 60 * 1000 }));
+    if (result.status !== 200) {
+      clearSessionCookies(res);
+      return res.status(result.status).json(result.body);
+    }
 
+    const { user, rotation } = result;
+    setSessionCookies(res, user, rotation.sessionId, rotation.refresh);
     res.json({ message: 'Access token refreshed' });
   } catch (err) {
     console.error('Refresh error:', err.message);
@@ -187,16 +422,15 @@ router.post('/refresh', async (req, res) => {
 router.post('/logout', async (req, res) => {
   try {
     const refreshToken = req.cookies?.refresh_token;
-    const accessToken = req.cookies?.access_token || req.headers.authorization?.split(' ')[1];
-
-    if (refreshToken)
-      await db.query('DELETE FROM refresh_tokens WHERE refresh_token = $1', [refreshToken]);
+    const accessToken = accessTokenFrom(req);
 
-    if (accessToken)
-      await db.query('INSERT INTO revoked_tokens (token) VALUES ($1) ON CONFLICT DO NOTHING', [accessToken]);
+    await db.withTransaction(async (client) => {
+      const sessionId = refreshToken ? await sessions.sessionForRefreshToken(client, refreshToken) : null;
+      if (sessionId) await sessions.revokeSession(client, sessionId, 'logout');
+      if (accessToken) await sessions.revokeAccessToken(client, accessToken);
+    });
 
-    res.clearCookie('access_token', cookieOptions());
-    res.clearCookie('refresh_token', cookieOptions());
+    clearSessionCookies(res);
     res.json({ message: 'Logged out successfully' });
   } catch (err) {
     console.error('Logout error:', err.message);
@@ -204,13 +438,291 @@ router.post('/logout', async (req, res) => {
   }
 });
 
+// ---------------------------------------------------
+// CHANGE OWN PASSWORD (signs out every session)
+// ---------------------------------------------------
+router.post('/me/password', verifyUserToken, passwordChangeValidation, async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+    const { rows } = await db.query('SELECT user_id, password_hash FROM users WHERE user_id = $1', [req.user.user_id]);
+    if (!rows.length) return res.status(404).json({ error: 'User not found' });
+
+    if (!(await bcrypt.compare(current_password, rows[0].password_hash))) {
+      return res.status(400).json({ errors: [{ field: 'current_password', message: 'Current password is incorrect' }] });
+    }
+
+    const password_hash = await bcrypt.hash(new_password, SALT_ROUNDS);
+    const accessToken = accessTokenFrom(req);
+
+    await db.withTransaction(async (client) => {
+      await client.query(
+        'UPDATE users SET password_hash = $1, password_changed_at = NOW(), updated_at = NOW() WHERE user_id = $2',
+        [password_hash, req.user.user_id]
+      );
+      await sessions.revokeUserSessions(client, req.user.user_id, 'password_change');
+      await revokeUserTokens(client, req.user.user_id, 'password_reset');
+      if (accessToken) await sessions.revokeAccessToken(client, accessToken);
+    });
+
+    clearSessionCookies(res);
+    res.json({ message: 'Password changed. Please log in again.' });
+  } catch (err) {
+    console.error('Change password error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ---------------------------------------------------
+// OWN TWO-FACTOR SETTINGS
+// ---------------------------------------------------
+router.get('/me/2fa', verifyUserToken, async (req, res) => {
+  try {
+    const { rows } = await db.query('SELECT user_role, totp_enabled_at FROM users WHERE user_id = $1', [req.user.user_id]);
+    if (!rows.length) return res.status(404).json({ error: 'User not found' });
+
+    res.json({
+      enabled: !!rows[0].totp_enabled_at,
+      enabled_at: rows[0].totp_enabled_at,
+      required: twoFactor.isRequiredFor(rows[0].user_role),
+      recovery_codes_left: await twoFactor.recoveryCodesLeft(db, req.user.user_id),
+    });
+  } catch (err) {
+    console.error('2FA status error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/me/2fa/setup', verifyUserToken, async (req, res) => {
+  try {
+    const { rows } = await db.query('SELECT user_id, email, totp_enabled_at FROM users WHERE user_id = $1', [req.user.user_id]);
+    if (!rows.length) return res.status(404).json({ error: 'User not found' });
+    if (rows[0].totp_enabled_at) return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+
+    const setup = await db.withTransaction(client => twoFactor.startEnrolment(client, rows[0]));
+    if (!setup) return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    res.json(setup);
+  } catch (err) {
+    console.error('2FA setup error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/me/2fa/enable', verifyUserToken, totpCodeValidation, async (req, res) => {
+  try {
+    const recovery_codes = await db.withTransaction(client => twoFactor.confirmEnrolment(client, req.user.user_id, req.body.code));
+    if (!recovery_codes) {
+      return res.status(400).json({ errors: [{ field: 'code', message: 'That code did not match. Check the time on your device and try again.' }] });
+    }
+    res.json({ message: 'Two-factor authentication enabled', recovery_codes });
+  } catch (err) {
+    console.error('2FA enable error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// New recovery codes need a current authenticator code
+router.post('/me/2fa/recovery-codes', verifyUserToken, totpCodeValidation, async (req, res) => {
+  try {
+    const recovery_codes = await db.withTransaction(async (client) => {
+      if (!(await twoFactor.verifySecondFactor(client, req.user.user_id, { code: req.body.code }))) return null;
+      return twoFactor.issueRecoveryCodes(client, req.user.user_id);
+    });
+    if (!recovery_codes) return res.status(400).json({ errors: [{ field: 'code', message: 'Invalid authentication code' }] });
+    res.json({ message: 'New recovery codes generated', recovery_codes });
+  } catch (err) {
+    console.error('2FA recovery codes error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/me/2fa/disable', verifyUserToken, twoFactorDisableValidation, async (req, res) => {
+  try {
+    const { rows } = await db.query('SELECT user_role, password_hash FROM users WHERE user_id = $1', [req.user.user_id]);
+    if (!rows.length) return res.status(404).json({ error: 'User not found' });
+    if (twoFactor.isRequiredFor(rows[0].user_role)) {
+      return res.status(403).json({ error: `Two-factor authentication is required for the ${rows[0].user_role} role` });
+    }
+    if (!(await bcrypt.compare(req.body.password, rows[0].password_hash))) {
+      return res.status(400).json({ errors: [{ field: 'password', message: 'Password is incorrect' }] });
+    }
+
+    await db.withTransaction(client => twoFactor.disableTwoFactor(client, req.user.user_id));
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    console.error('2FA disable error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ---------------------------------------------------
+// OWN SESSIONS
+// ---------------------------------------------------
+router.get('/me/sessions', verifyUserToken, async (req, res) => {
+  try {
+    const rows = await sessions.listSessions(db, req.user.user_id);
+    res.json(rows.map(row => ({ ...row, current: row.session_id === req.user.session_id })));
+  } catch (err) {
+    console.error('List sessions error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Signs out every session except the one making the request
+router.delete('/me/sessions', verifyUserToken, async (req, res) => {
+  try {
+    const count = await sessions.revokeUserSessions(db, req.user.user_id, 'user', req.user.session_id);
+    res.json({ message: `Signed out of ${count} other session(s)`, revoked: count });
+  } catch (err) {
+    console.error('Revoke sessions error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/me/sessions/:sessionId', verifyUserToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!/^[0-9a-f-]{36}$/i.test(sessionId)) return res.status(404).json({ error: 'Session not found' });
+
+    if (!(await sessions.revokeSession(db, sessionId, 'user', req.user.user_id))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (sessionId === req.user.session_id) clearSessionCookies(res);
+    res.json({ message: 'Session signed out' });
+  } catch (err) {
+    console.error('Revoke session error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ---------------------------------------------------
+// ADMIN: Reset a user's second factor (lost device)
+// ---------------------------------------------------
+router.post('/:id/2fa/reset', verifyUserToken, requirePermission('users:reset_2fa'), async (req, res) => {
+  try {
+    const targetId = Number(req.params.id);
+    if (targetId === Number(req.user.user_id)) {
+      return res.status(403).json({ error: 'Ask another admin to reset your own second factor' });
+    }
+
+    const { rows } = await db.query('SELECT user_id, username, user_role FROM users WHERE user_id = $1', [targetId]);
+    if (!rows.length) return res.status(404).json({ error: 'User not found' });
+    if (rows[0].user_role === 'super_admin' && req.user.role !== 'super_admin') {
+      return res.status(403).json({ error: "Only a super admin can reset a super admin's second factor" });
+    }
+
+    // Signed-in sessions end too; required roles enrol again at their next login
+    await db.withTransaction(async (client) => {
+      await twoFactor.disableTwoFactor(client, targetId);
+      await sessions.revokeUserSessions(client, targetId, '2fa_reset');
+    });
+    res.json({ message: `Two-factor authentication reset for ${rows[0].username}` });
+  } catch (err) {
+    console.error('2FA reset error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ---------------------------------------------------
+// ADMIN: User list (paginated, searchable)
+// ---------------------------------------------------
+const USER_LIST_QUERY = `
+  SELECT u.user_id, u.username, u.email, u.user_role, u.approval_status, u.created_at,
+         u.last_login_at, u.failed_attempts, u.locked_until, u.deactivated_at,
+         (u.totp_enabled_at IS NOT NULL) AS two_factor_enabled,
+         CASE WHEN u.deactivated_at IS NOT NULL THEN 'deactivated'
+              WHEN u.locked_until > NOW() THEN 'locked'
+              ELSE 'active' END AS account_state
+  FROM users u
+`;
+
+// Same shape as the FRF list configs in config/uiConfig.js, for runListQuery
+const USER_LIST_CONFIG = {
+  columns: [
+    { key: 'username', filterType: 'text', sortable: true },
+    { key: 'email', filterType: 'text', sortable: true },
+    { key: 'user_role', filterType: 'select', sortable: true },
+    { key: 'approval_status', filterType: 'select', sortable: true },
+    { key: 'account_state', filterType: 'select', sortable: true },
+    { key: 'created_at', filterType: 'date', sortable: true },
+    { key: 'last_login_at', sortable: true },
+  ],
+  defaultSort: { key: 'created_at', order: 'desc' },
+  uniqueKey: 'user_id',
+};
+
+router.get('/', verifyUserToken, requirePermission('users:read'), async (req, res) => {
+  try {
+    res.json(await runListQuery(db, USER_LIST_QUERY, USER_LIST_CONFIG, req.query));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('List users error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * Who may act on whom, shared by edit, lock, deactivate and delete:
+ * nobody on their own account, only a super_admin on a super_admin,
+ * and admins only on members. Returns the refusal message or null.
+ */
+function managementRestriction(requester, target, verb) {
+  if (Number(target.user_id) === Number(requester.user_id)) return `You cannot ${verb} your own account`;
+  if (target.user_role === 'super_admin' && requester.role !== 'super_admin') return `Only a super admin can ${verb} a super admin`;
+  if (requester.role === 'admin' && target.user_role !== 'member') return `Admins can only ${verb} members`;
+  return null;
+}
+
+async function findUser(id) {
+  const { rows } = await db.query('SELECT user_id, username, email, user_role FROM users WHERE user_id = $1', [id]);
+  return rows[0] || null;
+}
+
+// Columns an admin may change through PATCH /users/:id (password is hashed first)
+const PATCHABLE_USER_FIELDS = ['username', 'email', 'user_role', 'password'];
+
+// ---------------------------------------------------
+// ADMIN: A user's sessions and force logout
+// ---------------------------------------------------
+router.get('/:id/sessions', verifyUserToken, requirePermission('users:read'), async (req, res) => {
+  try {
+    const target = await findUser(req.params.id);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+    // Sessions show IPs and devices, so they follow the same hierarchy as managing the account
+    if (Number(target.user_id) !== Number(req.user.user_id)) {
+      const restriction = managementRestriction(req.user, target, 'view the sessions of');
+      if (restriction) return res.status(403).json({ error: restriction });
+    }
+
+    res.json(await sessions.listSessions(db, target.user_id));
+  } catch (err) {
+    console.error('User sessions error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/:id/logout', verifyUserToken, requirePermission('users:force_logout'), async (req, res) => {
+  try {
+    const { rows } = await db.query('SELECT user_id, username, user_role FROM users WHERE user_id = $1', [req.params.id]);
+    if (!rows.length) return res.status(404).json({ error: 'User not found' });
+    if (rows[0].user_role === 'super_admin' && req.user.role !== 'super_admin') {
+      return res.status(403).json({ error: 'Only a super admin can sign out a super admin' });
+    }
+
+    const count = await sessions.revokeUserSessions(db, rows[0].user_id, 'admin');
+    res.json({ message: `Signed ${rows[0].username} out of ${count} session(s)`, revoked: count });
+  } catch (err) {
+    console.error('Force logout error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // ---------------------------------------------------
 // ADMIN: Pending Users
 // ---------------------------------------------------
 router.get(
   '/pending',
-  verifyToken,
-  rbacAccess(['admin', 'super_admin']),
+  verifyUserToken,
+  requirePermission('users:read'),
   async (req, res) => {
     try {
       const { rows } = await db.query(
@@ -224,27 +736,37 @@ router.get(
   }
 );
 
+// Only PENDING accounts (email verified) can be approved or rejected;
+// UNVERIFIED ones have to confirm their address first
+async function notPendingResponse(res, id, verb) {
+  const { rows } = await db.query('SELECT approval_status FROM users WHERE user_id = $1', [id]);
+  if (!rows.length) return res.status(404).json({ error: 'User not found' });
+  return res.status(409).json({ error: `Only pending accounts can be ${verb} (this one is ${rows[0].approval_status})` });
+}
+
 // ---------------------------------------------------
 // ADMIN: Approve User
 // ---------------------------------------------------
 router.post(
   '/:id/approve',
-  verifyToken,
-  rbacAccess(['admin', 'super_admin']),
+  verifyUserToken,
+  requirePermission('users:approve'),
   async (req, res) => {
     try {
       const { id } = req.params;
       const { rows } = await db.query(
-        `UPDATE users SET approval_status='APPROVED', updated_at=NOW() WHERE user_id=$1 RETURNING user_id, username, email, approval_status`,
+        `UPDATE users SET approval_status='APPROVED', updated_at=NOW()
+         WHERE user_id=$1 AND approval_status='PENDING'
+         RETURNING user_id, username, email, approval_status`,
         [id]
       );
-      if (!rows.length) return res.status(404).json({ error: 'User not found' });
+      if (!rows.length) return notPendingResponse(res, id, 'approved');
       const user = rows[0];
 
       try {
         if (user.email) {
           await transporter.sendMail({
-            from: `"NGO FRF" <${process.env.SMTP_EMAIL}>`,
+            from: fromAddress(),
             to: user.email,
             subject: 'Account Approved',
             html: `<p>Hello ${user.username || ''},</p><p>Your account has been approved. You can now log in.</p><p>– NGO FRF Team</p>`,
@@ -267,23 +789,25 @@ router.post(
 // ---------------------------------------------------
 router.post(
   '/:id/reject',
-  verifyToken,
-  rbacAccess(['admin', 'super_admin']),
+  verifyUserToken,
+  requirePermission('users:approve'),
   async (req, res) => {
     try {
       const { id } = req.params;
       const { reason } = req.body;
       const { rows } = await db.query(
-        `UPDATE users SET approval_status='REJECTED', updated_at=NOW() WHERE user_id=$1 RETURNING user_id, username, email, approval_status`,
+        `UPDATE users SET approval_status='REJECTED', updated_at=NOW()
+         WHERE user_id=$1 AND approval_status='PENDING'
+         RETURNING user_id, username, email, approval_status`,
         [id]
       );
-      if (!rows.length) return res.status(404).json({ error: 'User not found' });
+      if (!rows.length) return notPendingResponse(res, id, 'rejected');
       const user = rows[0];
 
       try {
         if (user.email) {
           await transporter.sendMail({
-            from: `"NGO FRF" <${process.env.SMTP_EMAIL}>`,
+            from: fromAddress(),
             to: user.email,
             subject: 'Account Rejected',
             html: `<p>Hello ${user.username || ''},</p><p>Your account registration has been rejected by admin.</p>${reason ? `<p>Reason: ${reason}</p>` : ''}<p>– NGO FRF Team</p>`,
@@ -302,80 +826,166 @@ router.post(
 );
 
 // ---------------------------------------------------
-// UPDATE USER (PATCH)
+// UPDATE USER (PATCH, whitelisted columns only)
 // ---------------------------------------------------
-router.patch('/:id', verifyToken, rbacAccess(['admin', 'super_admin']), async (req, res) => {
+router.patch('/:id', verifyUserToken, requirePermission('users:update'), userUpdateValidation, async (req, res) => {
   try {
     const { id } = req.params;
+    const keys = Object.keys(req.body || {});
+    const unknown = keys.filter(key => !PATCHABLE_USER_FIELDS.includes(key));
+    if (unknown.length) return res.status(400).json({ error: `These fields can't be changed here: ${unknown.join(', ')}` });
+    if (!keys.length) return res.status(400).json({ error: 'No fields to update' });
+
+    const target = await findUser(id);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+
+    if (Number(target.user_id) === Number(req.user.user_id)) {
+      if ('user_role' in req.body) return res.status(403).json({ error: 'You cannot change your own role' });
+    } else {
+      const restriction = managementRestriction(req.user, target, 'edit');
+      if (restriction) return res.status(403).json({ error: restriction });
+    }
+
+    // Changing someone's role hands them that role's permissions
+    if ('user_role' in req.body && !(await permissionsForRole(req.user.role)).includes('roles:manage')) {
+      return res.status(403).json({ error: "Forbidden: missing permission 'roles:manage'" });
+    }
+    if (req.body.user_role === 'super_admin' && req.user.role !== 'super_admin') {
+      return res.status(403).json({ error: 'Only a super admin can make someone a super admin' });
+    }
+    const roleChanged = 'user_role' in req.body && req.body.user_role !== target.user_role;
+
     const fields = [];
     const values = [];
-    let i = 1;
-
-    for (const [key, value] of Object.entries(req.body)) {
-      if (key === 'password') {
-        const hashed = await bcrypt.hash(value, SALT_ROUNDS);
-        fields.push(`password_hash = $${i}`);
-        values.push(hashed);
-      } else {
-        fields.push(`${key} = $${i}`);
-        values.push(value);
-      }
-      i++;
+    for (const key of keys) {
+      values.push(key === 'password' ? await bcrypt.hash(req.body.password, SALT_ROUNDS) : req.body[key]);
+      fields.push(`${key === 'password' ? 'password_hash' : key} = $${values.length}`);
     }
-
-    if (!fields.length) return res.status(400).json({ error: 'No fields to update' });
+    if ('password' in req.body) fields.push('password_changed_at = NOW()');
 
     values.push(id);
-    const q = `UPDATE users SET ${fields.join(', ')}, updated_at=NOW() WHERE user_id=$${i} RETURNING user_id, username, email, user_role, approval_status`;
-    const { rows } = await db.query(q, values);
-    if (!rows.length) return res.status(404).json({ error: 'User not found' });
+    const q = `UPDATE users SET ${fields.join(', ')}, updated_at=NOW() WHERE user_id=$${values.length} RETURNING user_id, username, email, user_role, approval_status`;
 
-    res.json(rows[0]);
+    const user = await db.withTransaction(async (client) => {
+      const { rows } = await client.query(q, values);
+      // A password set by an admin, or a new role, signs the user out everywhere;
+      // their tokens would otherwise keep the old role until they expire
+      if ('password' in req.body || roleChanged) await sessions.revokeUserSessions(client, id, 'admin');
+      return rows[0];
+    });
+
+    res.json(user);
   } catch (err) {
     console.error('Patch user error:', err.message);
+    if (err.code === '23505') return res.status(400).json({ error: 'Username or email already exists' });
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // ---------------------------------------------------
-// DELETE USER (ADMIN + SUPER_ADMIN) with restrictions
+// ADMIN: Lock / unlock (unlock also clears failed-login lockouts)
 // ---------------------------------------------------
-router.delete('/:id', verifyToken, rbacAccess(['admin', 'super_admin']), async (req, res) => {
+router.post('/:id/lock', verifyUserToken, requirePermission('users:update'), userLockValidation, async (req, res) => {
   try {
-    const targetId = req.params.id;
-    const requester = req.user; // user making request
+    const target = await findUser(req.params.id);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+    const restriction = managementRestriction(req.user, target, 'lock');
+    if (restriction) return res.status(403).json({ error: restriction });
 
-    // 1️⃣ Cannot delete yourself
-    if (Number(targetId) === Number(requester.user_id)) {
-      return res.status(403).json({ error: "You cannot delete your own account" });
-    }
+    const hours = req.body.hours || 24;
+    const locked_until = await db.withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `UPDATE users SET locked_until = NOW() + make_interval(hours => $1), updated_at = NOW()
+         WHERE user_id = $2 RETURNING locked_until`,
+        [hours, target.user_id]
+      );
+      await sessions.revokeUserSessions(client, target.user_id, 'admin');
+      return rows[0].locked_until;
+    });
 
-    // 2️⃣ Load target user
-    const { rows } = await db.query(
-      `SELECT user_id, user_role FROM users WHERE user_id = $1`,
-      [targetId]
+    res.json({ message: `${target.username} is locked for ${hours} hour(s)`, locked_until });
+  } catch (err) {
+    console.error('Lock user error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/:id/unlock', verifyUserToken, requirePermission('users:update'), async (req, res) => {
+  try {
+    const target = await findUser(req.params.id);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+    const restriction = managementRestriction(req.user, target, 'unlock');
+    if (restriction) return res.status(403).json({ error: restriction });
+
+    await db.query(
+      'UPDATE users SET locked_until = NULL, failed_attempts = 0, updated_at = NOW() WHERE user_id = $1',
+      [target.user_id]
     );
+    res.json({ message: `${target.username} is unlocked` });
+  } catch (err) {
+    console.error('Unlock user error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    if (!rows.length) return res.status(404).json({ error: "User not found" });
+// ---------------------------------------------------
+// ADMIN: Deactivate / reactivate (keeps the account and its records)
+// ---------------------------------------------------
+router.post('/:id/deactivate', verifyUserToken, requirePermission('users:deactivate'), async (req, res) => {
+  try {
+    const target = await findUser(req.params.id);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+    const restriction = managementRestriction(req.user, target, 'deactivate');
+    if (restriction) return res.status(403).json({ error: restriction });
 
-    const target = rows[0];
+    await db.withTransaction(async (client) => {
+      await client.query(
+        'UPDATE users SET deactivated_at = COALESCE(deactivated_at, NOW()), updated_at = NOW() WHERE user_id = $1',
+        [target.user_id]
+      );
+      await sessions.revokeUserSessions(client, target.user_id, 'admin');
+    });
+    res.json({ message: `${target.username} is deactivated` });
+  } catch (err) {
+    console.error('Deactivate user error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    // 3️⃣ Super Admin cannot be deleted by ANYONE
-    if (target.user_role === "super_admin") {
-      return res.status(403).json({ error: "Super Admin cannot be deleted" });
-    }
+router.post('/:id/reactivate', verifyUserToken, requirePermission('users:deactivate'), async (req, res) => {
+  try {
+    const target = await findUser(req.params.id);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+    const restriction = managementRestriction(req.user, target, 'reactivate');
+    if (restriction) return res.status(403).json({ error: restriction });
 
-    // 4️⃣ Admin can delete ONLY members
-    if (requester.role === "admin") {
-      if (target.user_role !== "member") {
-        return res.status(403).json({ error: "Admins can only delete members" });
-      }
+    await db.query('UPDATE users SET deactivated_at = NULL, updated_at = NOW() WHERE user_id = $1', [target.user_id]);
+    res.json({ message: `${target.username} is active again` });
+  } catch (err) {
+    console.error('Reactivate user error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ---------------------------------------------------
+// DELETE USER (ADMIN + SUPER_ADMIN) with restrictions
+// ---------------------------------------------------
+router.delete('/:id', verifyUserToken, requirePermission('users:delete'), async (req, res) => {
+  try {
+    const targetId = req.params.id;
+
+    const target = await findUser(targetId);
+    if (!target) return res.status(404).json({ error: "User not found" });
+
+    // Super Admin cannot be deleted by ANYONE
+    if (target.user_role === "super_admin" && Number(target.user_id) !== Number(req.user.user_id)) {
+      return res.status(403).json({ error: "Super Admin cannot be deleted" });
     }
 
-    // 5️⃣ SUPER ADMIN can delete anyone except SUPER ADMIN
-    // (Already handled above)
+    // Not yourself; admins only members
+    const restriction = managementRestriction(req.user, target, 'delete');
+    if (restriction) return res.status(403).json({ error: restriction });
 
-    // 6️⃣ Delete user now
     await db.query(`DELETE FROM users WHERE user_id = $1`, [targetId]);
 
     res.json({ message: "User deleted successfully" });
@@ -395,7 +1005,7 @@ router.delete('/:id', verifyToken, rbacAccess(['admin', 'super_admin']), async (
 // ---------------------------------------------------
 // CURRENT USER INFO
 // ---------------------------------------------------
-router.get('/me', verifyToken, async (req, res) => {
+router.get('/me', verifyUserToken, async (req, res) => {
   try {
     const { user_id } = req.user;
     const { rows } = await db.query(
@@ -403,7 +1013,9 @@ router.get('/me', verifyToken, async (req, res) => {
       [user_id]
     );
     if (!rows.length) return res.status(404).json({ error: 'User not found' });
-    res.json(rows[0]);
+    // Lets the UI hide actions the user can't perform
+    const permissions = await permissionsForRole(rows[0].user_role);
+    res.json({ ...rows[0], permissions });
   } catch (err) {
     console.error('Me route error:', err.message);
     res.status(500).json({ error: 'Server error' });
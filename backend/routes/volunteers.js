@@ -2,70 +2,131 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
-const { verifyToken, rbacAccess, requireOwnerOrAdmin } = require('../middleware/auth');
-const { volunteerValidation } = require('../middleware/validators');
+const uiConfig = require('../config/uiConfig');
+const { runListQuery } = require('../utils/listQuery');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { ownerScope, requireRecordAccess, requireChildAccess, assignOwner, transferOwnerHandler } = require('../utils/ownership');
+const { volunteerValidation, volunteerAttendanceValidation, mergeValidation, duplicateDismissValidation } = require('../middleware/validators');
+const { pickColumns, buildSetClause } = require('../utils/sql');
+const { lockRow, recordAudit, historyHandler } = require('../utils/audit');
+const { softDeleteHandler, restoreHandler, lockLiveRecord } = require('../utils/softDelete');
+const { exportListHandler, exportRecordHandler } = require('../utils/exporter');
+const { importHandler } = require('../utils/importer');
+const { duplicatesHandler, mergePreviewHandler, mergeHandler, dismissDuplicateHandler } = require('../utils/duplicates');
+
+// Volunteer fields open to PUT/PATCH /:id
+const VOLUNTEER_COLUMNS = [
+  'volunteer_frf_name', 'volunteer_id', 'email', 'secondary_email', 'email_opt_out',
+  'gender', 'date_of_birth', 'father_name', 'mother_name', 'contact_number',
+  'emergency_contact_number', 'address', 'blood_group',
+  'company_name', 'experience', 'skill',
+  'id_proof_type', 'id_number', 'joining_date', 'proof_file_upload'
+];
+const ATTENDANCE_COLUMNS = ['attendance_date', 'attendance_status', 'performance', 'remarks'];
 const { emailValidation, phoneValidation, nameValidation, runValidation } = require('../middleware/globalValidators');
 
+const VOLUNTEER_LIST_QUERY = 'SELECT * FROM volunteers WHERE deleted_at IS NULL';
+
 
 /* ==========================================================
-   🔹 GET ALL VOLUNTEERS (Members and above)
+   🔹 GET ALL VOLUNTEERS (paginated / sorted / filtered)
 ========================================================== */
-router.get('/', async (req, res) => {
+router.get('/', verifyToken, requirePermission('volunteers:read'), async (req, res) => {
   try {
-    const { rows } = await db.query(
-      'SELECT * FROM volunteers ORDER BY volunteer_frf_name ASC'
-    );
-    res.json(rows);
+    const result = await runListQuery(db, VOLUNTEER_LIST_QUERY, uiConfig.volunteers, req.query, await ownerScope(req, 'volunteers'));
+    res.json({ ...result, uiConfig: uiConfig.volunteers });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Error fetching volunteers:', err);
     res.status(500).send('Error fetching volunteers');
   }
 });
 
 /* ==========================================================
-   🔹 GET VOLUNTEER WITH ATTENDANCE LOGS
+   🔹 EXPORT VOLUNTEERS (CSV / XLSX / PDF, same filters as the list)
 ========================================================== */
-// GET SINGLE VOLUNTEER (Owner/Admin/Staff/SuperAdmin)
-// GET SINGLE VOLUNTEER WITH CREATED/MODIFIED USER DETAILS
-router.get('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
+router.get('/export', verifyToken, requirePermission('volunteers:export'), exportListHandler('volunteers', VOLUNTEER_LIST_QUERY));
 
-    const volunteerQuery = `
-      SELECT 
-        v.*,
+/* ==========================================================
+   🔹 LIKELY DUPLICATE VOLUNTEERS (?min_score=30&limit=50&record_id=)
+========================================================== */
+router.get('/duplicates', verifyToken, requirePermission('volunteers:merge'), duplicatesHandler('volunteers'));
 
-        -- Creator Info
-        u1.username AS created_by_username,
-        u1.email AS created_by_email,
+/* ==========================================================
+   🔹 DISMISS A DUPLICATE PAIR (not offered again)
+========================================================== */
+router.post('/duplicates/dismiss', verifyToken, requirePermission('volunteers:merge'), duplicateDismissValidation, dismissDuplicateHandler('volunteers'));
 
-        -- Modifier Info
-        u2.username AS modified_by_username,
-        u2.email AS modified_by_email
+/* ==========================================================
+   🔹 MERGE PREVIEW (values kept and rows moved)
+========================================================== */
+router.post('/merge/preview', verifyToken, requirePermission('volunteers:merge'), mergeValidation, mergePreviewHandler('volunteers'));
 
-      FROM volunteers v
-      LEFT JOIN users u1 ON v.created_by_user_id = u1.user_id
-      LEFT JOIN users u2 ON v.modified_by_user_id = u2.user_id
-      WHERE v.id = $1
-    `;
+/* ==========================================================
+   🔹 MERGE TWO VOLUNTEERS (attendance records move to the survivor)
+========================================================== */
+router.post('/merge', verifyToken, requirePermission('volunteers:merge'), requirePermission('volunteers:update'), mergeValidation, mergeHandler('volunteers'));
+
+/* ==========================================================
+   🔹 VOLUNTEER HISTORY (audit trail incl. attendance)
+========================================================== */
+router.get('/:id/history', verifyToken, requirePermission('volunteers:read'), requireRecordAccess('volunteers'), historyHandler('volunteers'));
+
+/* ==========================================================
+   🔹 EXPORT SINGLE VOLUNTEER AS PDF
+========================================================== */
+router.get('/:id/export', verifyToken, requirePermission('volunteers:export'), requireRecordAccess('volunteers'), exportRecordHandler('volunteers', loadVolunteer));
 
-    const { rows } = await db.query(volunteerQuery, [id]);
-    if (rows.length === 0) {
-      return res.status(404).json({ message: 'Volunteer not found' });
-    }
+/* ==========================================================
+   🔹 LOAD VOLUNTEER + ATTENDANCE LOGS (detail view + PDF export)
+========================================================== */
+async function loadVolunteer(id) {
+  const volunteerQuery = `
+    SELECT 
+      v.*,
 
-    const volunteer = rows[0];
+      -- Creator Info
+      u1.username AS created_by_username,
+      u1.email AS created_by_email,
 
-    // === GET ATTENDANCE LOGS ===
-    const logsQuery = `
-      SELECT attendance_id, volunteer_id, attendance_date, attendance_status, performance, remarks
-      FROM volunteer_attendance
-      WHERE volunteer_id = $1
-      ORDER BY attendance_date DESC
-    `;
-    const { rows: logs } = await db.query(logsQuery, [id]);
+      -- Modifier Info
+      u2.username AS modified_by_username,
+      u2.email AS modified_by_email
 
-    volunteer.attendance_logs = logs;
+    FROM volunteers v
+    LEFT JOIN users u1 ON v.created_by_user_id = u1.user_id
+    LEFT JOIN users u2 ON v.modified_by_user_id = u2.user_id
+    WHERE v.id = $1 AND v.deleted_at IS NULL
+  `;
+
+  const { rows } = await db.query(volunteerQuery, [id]);
+  if (rows.length === 0) return null;
+
+  const volunteer = rows[0];
+
+  // === GET ATTENDANCE LOGS ===
+  const logsQuery = `
+    SELECT attendance_id, volunteer_id, attendance_date, attendance_status, performance, remarks
+    FROM volunteer_attendance
+    WHERE volunteer_id = $1
+    ORDER BY attendance_date DESC
+  `;
+  const { rows: logs } = await db.query(logsQuery, [id]);
+
+  volunteer.attendance_logs = logs;
+
+  return volunteer;
+}
+
+/* ==========================================================
+   🔹 GET VOLUNTEER WITH ATTENDANCE LOGS
+========================================================== */
+// GET SINGLE VOLUNTEER
+// GET SINGLE VOLUNTEER WITH CREATED/MODIFIED USER DETAILS
+router.get('/:id', verifyToken, requirePermission('volunteers:read'), requireRecordAccess('volunteers'), async (req, res) => {
+  try {
+    const volunteer = await loadVolunteer(req.params.id);
+    if (!volunteer) return res.status(404).json({ message: 'Volunteer not found' });
 
     res.json(volunteer);
 
@@ -78,9 +139,9 @@ router.get('/:id', async (req, res) => {
 
 
 /* ==========================================================
-   🔹 CREATE VOLUNTEER (Admin, Staff, SuperAdmin)
+   🔹 CREATE VOLUNTEER
 ========================================================== */
-router.post('/', verifyToken, rbacAccess(), volunteerValidation, emailValidation('email'), emailValidation('secondary_email'), phoneValidation('contact_number'), phoneValidation('emergency_contact_number'), nameValidation('volunteer_frf_name'), runValidation, async (req, res) => {
+router.post('/', verifyToken, requirePermission('volunteers:create'), assignOwner('volunteers'), volunteerValidation, emailValidation('email'), emailValidation('secondary_email'), phoneValidation('contact_number'), phoneValidation('emergency_contact_number'), nameValidation('volunteer_frf_name'), runValidation, async (req, res) => {
   try {
     const {
       id,
@@ -135,7 +196,11 @@ router.post('/', verifyToken, rbacAccess(), volunteerValidation, emailValidation
       joining_date, proof_file_upload, modified_by_user_id
     ];
 
-    const { rows } = await db.query(q, vals);
+    const rows = await db.withTransaction(async (client) => {
+      const result = await client.query(q, vals);
+      await recordAudit(client, req, { entity: 'volunteers', recordId: result.rows[0].id, action: 'CREATE', after: result.rows[0] });
+      return result.rows;
+    });
     res.status(201).json(rows[0]);
   } catch (err) {
     console.error('Error creating volunteer:', err);
@@ -143,27 +208,38 @@ router.post('/', verifyToken, rbacAccess(), volunteerValidation, emailValidation
   }
 });
 
+/* ==========================================================
+   🔹 BULK IMPORT VOLUNTEERS (CSV / XLSX, dry run by default)
+========================================================== */
+router.post('/import', verifyToken, requirePermission('volunteers:import'), importHandler('volunteers', [
+  volunteerValidation, emailValidation('email'), emailValidation('secondary_email'), phoneValidation('contact_number'), phoneValidation('emergency_contact_number'), nameValidation('volunteer_frf_name')
+]));
+
 /* ==========================================================
    🔹 PUT (FULL UPDATE) VOLUNTEER
 ========================================================== */
-router.put('/:id', verifyToken, rbacAccess(), async (req, res) => {
+router.put('/:id', verifyToken, requirePermission('volunteers:update'), requireRecordAccess('volunteers'), async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const updates = pickColumns(req.body, VOLUNTEER_COLUMNS);
 
-    const keys = Object.keys(updates);
-    if (keys.length === 0)
+    if (!Object.keys(updates).length)
       return res.status(400).json({ message: 'No fields to update' });
 
-    const vals = Object.values(updates);
-    const set = keys.map((k, i) => `${k} = $${i + 1}`).join(', ');
+    const { setSql, values } = buildSetClause(updates);
     const q = `
       UPDATE volunteers
-      SET ${set}, modified_date = NOW()
-      WHERE id = $${keys.length + 1}
+      SET ${setSql}, modified_by_user_id = $${values.length + 1}, modified_date = NOW()
+      WHERE id = $${values.length + 2}
       RETURNING *;
     `;
-    const { rows } = await db.query(q, [...vals, id]);
+    const rows = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'volunteers', 'id', id);
+      if (!before || before.deleted_at) return [];
+      const result = await client.query(q, [...values, req.user.user_id, id]);
+      await recordAudit(client, req, { entity: 'volunteers', recordId: id, action: 'UPDATE', before, after: result.rows[0] });
+      return result.rows;
+    });
 
     if (!rows.length)
       return res.status(404).json({ error: 'Volunteer not found' });
@@ -178,26 +254,29 @@ router.put('/:id', verifyToken, rbacAccess(), async (req, res) => {
 /* ==========================================================
    🔹 PATCH (PARTIAL UPDATE) VOLUNTEER
 ========================================================== */
-router.patch('/:id', verifyToken, rbacAccess(), emailValidation('email'), emailValidation('secondary_email'), phoneValidation('contact_number'), phoneValidation('emergency_contact_number'), runValidation, async (req, res) => {
+router.patch('/:id', verifyToken, requirePermission('volunteers:update'), requireRecordAccess('volunteers'), emailValidation('email'), emailValidation('secondary_email'), phoneValidation('contact_number'), phoneValidation('emergency_contact_number'), runValidation, async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const updates = pickColumns(req.body, VOLUNTEER_COLUMNS);
 
-    const keys = Object.keys(updates);
-    if (keys.length === 0)
+    if (!Object.keys(updates).length)
       return res.status(400).json({ error: 'No fields to update' });
 
-    const values = Object.values(updates);
-    const setClause = keys.map((key, i) => `${key} = $${i + 1}`).join(', ');
-
+    const { setSql, values } = buildSetClause(updates);
     const q = `
       UPDATE volunteers
-      SET ${setClause}, modified_date = NOW()
-      WHERE id = $${keys.length + 1}
+      SET ${setSql}, modified_by_user_id = $${values.length + 1}, modified_date = NOW()
+      WHERE id = $${values.length + 2}
       RETURNING *;
     `;
 
-    const { rows } = await db.query(q, [...values, id]);
+    const rows = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'volunteers', 'id', id);
+      if (!before || before.deleted_at) return [];
+      const result = await client.query(q, [...values, req.user.user_id, id]);
+      await recordAudit(client, req, { entity: 'volunteers', recordId: id, action: 'UPDATE', before, after: result.rows[0] });
+      return result.rows;
+    });
     if (!rows.length)
       return res.status(404).json({ error: 'Volunteer not found' });
 
@@ -209,26 +288,34 @@ router.patch('/:id', verifyToken, rbacAccess(), emailValidation('email'), emailV
 });
 
 
-router.patch('/volunteer-attendance/:attendance_id', verifyToken, rbacAccess(), async (req, res) => {
+/* ==========================================================
+   🔹 PATCH ATTENDANCE LOG
+========================================================== */
+router.patch('/volunteer-attendance/:attendance_id', verifyToken, requirePermission('volunteers:attendance:write'), requireChildAccess('volunteers', 'attendance_id'), volunteerAttendanceValidation, async (req, res) => {
   try {
     const { attendance_id } = req.params;
-    const updates = req.body;
+    const updates = pickColumns(req.body, ATTENDANCE_COLUMNS);
 
     const keys = Object.keys(updates);
     if (keys.length === 0)
       return res.status(400).json({ message: "No fields to update" });
 
-    const setClause = keys.map((key, i) => `${key} = $${i + 1}`).join(', ');
-    const values = Object.values(updates);
+    const { setSql, values } = buildSetClause(updates);
 
     const q = `
       UPDATE volunteer_attendance
-      SET ${setClause}
+      SET ${setSql}
       WHERE attendance_id = $${keys.length + 1}
       RETURNING *;
     `;
 
-    const { rows } = await db.query(q, [...values, attendance_id]);
+    const rows = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'volunteer_attendance', 'attendance_id', attendance_id);
+      if (!before || !(await lockLiveRecord(client, 'volunteers', before.volunteer_id))) return [];
+      const result = await client.query(q, [...values, attendance_id]);
+      await recordAudit(client, req, { entity: 'volunteer_attendance', recordId: attendance_id, action: 'UPDATE', before, after: result.rows[0], parentEntity: 'volunteers', parentId: before.volunteer_id });
+      return result.rows;
+    });
 
     if (!rows.length)
       return res.status(404).json({ message: "Attendance log not found" });
@@ -241,32 +328,58 @@ router.patch('/volunteer-attendance/:attendance_id', verifyToken, rbacAccess(),
   }
 });
 
-
 /* ==========================================================
-   🔹 DELETE VOLUNTEER (Admin/Staff/SuperAdmin)
+   🔹 DELETE ATTENDANCE LOG
 ========================================================== */
-router.delete('/:id', verifyToken, rbacAccess(), async (req, res) => {
+router.delete('/volunteer-attendance/:attendance_id', verifyToken, requirePermission('volunteers:attendance:write'), requireChildAccess('volunteers', 'attendance_id'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { attendance_id } = req.params;
 
-    // Delete attendance logs first
-    await db.query('DELETE FROM volunteer_attendance WHERE volunteer_id = $1', [id]);
+    const result = await db.withTransaction(async (client) => {
+      const log = await lockRow(client, 'volunteer_attendance', 'attendance_id', attendance_id);
+      if (!log || !(await lockLiveRecord(client, 'volunteers', log.volunteer_id))) return { rowCount: 0 };
+      const deleted = await client.query(
+        'DELETE FROM volunteer_attendance WHERE attendance_id = $1 RETURNING *',
+        [attendance_id]
+      );
+      if (deleted.rowCount) {
+        const log = deleted.rows[0];
+        await recordAudit(client, req, { entity: 'volunteer_attendance', recordId: attendance_id, action: 'DELETE', before: log, parentEntity: 'volunteers', parentId: log.volunteer_id });
+      }
+      return deleted;
+    });
 
-    const result = await db.query('DELETE FROM volunteers WHERE id = $1 RETURNING id', [id]);
     if (!result.rowCount)
-      return res.status(404).json({ message: 'Volunteer not found' });
+      return res.status(404).json({ message: "Attendance log not found" });
+
+    res.json({ message: "Attendance log deleted successfully" });
 
-    res.json({ message: 'Volunteer and related attendance deleted successfully' });
   } catch (err) {
-    console.error('Error deleting volunteer:', err);
-    res.status(500).send('Error deleting volunteer');
+    console.error("Error deleting volunteer attendance:", err);
+    res.status(500).json({ error: "Error deleting volunteer attendance" });
   }
 });
 
+
+/* ==========================================================
+   🔹 DELETE VOLUNTEER
+========================================================== */
+router.delete('/:id', verifyToken, requirePermission('volunteers:delete'), requireRecordAccess('volunteers'), softDeleteHandler('volunteers'));
+
+/* ==========================================================
+   🔹 RESTORE VOLUNTEER FROM TRASH
+========================================================== */
+router.post('/:id/restore', verifyToken, requirePermission('volunteers:restore'), requireRecordAccess('volunteers'), restoreHandler('volunteers'));
+
+/* ==========================================================
+   🔹 TRANSFER VOLUNTEER OWNERSHIP
+========================================================== */
+router.post('/:id/owner', verifyToken, requirePermission('volunteers:update'), requireRecordAccess('volunteers'), transferOwnerHandler('volunteers'));
+
 /* ==========================================================
    🔹 POST ATTENDANCE FOR VOLUNTEER
 ========================================================== */
-router.post('/:id/attendance', verifyToken, rbacAccess(), async (req, res) => {
+router.post('/:id/attendance', verifyToken, requirePermission('volunteers:attendance:write'), requireRecordAccess('volunteers'), volunteerAttendanceValidation, async (req, res) => {
   try {
     const { id } = req.params;
     const { attendance_date, attendance_status, performance, remarks } = req.body;
@@ -279,7 +392,14 @@ router.post('/:id/attendance', verifyToken, rbacAccess(), async (req, res) => {
       RETURNING *;
     `;
     const vals = [id, attendance_date, attendance_status, performance, remarks];
-    const { rows } = await db.query(q, vals);
+    const rows = await db.withTransaction(async (client) => {
+      if (!(await lockLiveRecord(client, 'volunteers', id))) return [];
+      const result = await client.query(q, vals);
+      const created = result.rows[0];
+      await recordAudit(client, req, { entity: 'volunteer_attendance', recordId: created.attendance_id, action: 'CREATE', after: created, parentEntity: 'volunteers', parentId: id });
+      return result.rows;
+    });
+    if (!rows.length) return res.status(404).json({ error: 'Volunteer not found' });
     res.status(201).json(rows[0]);
   } catch (err) {
     console.error('Error adding attendance:', err);
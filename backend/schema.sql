@@ -249,4 +249,768 @@ CREATE TABLE finance_transactions (
     gst DECIMAL(5, 2),
     remarks TEXT,
     other_details TEXT
-);
\ No newline at end of file
+);
+
+-- #############################################################################
+-- III. AUDIT TRAIL
+-- #############################################################################
+
+-- One row per create/update/delete on an FRF record or one of its child rows.
+-- Child rows carry their parent so they appear in the parent's history.
+CREATE TABLE audit_log (
+    audit_id BIGSERIAL PRIMARY KEY,
+    entity VARCHAR(50) NOT NULL,
+    record_id VARCHAR(50) NOT NULL,
+    parent_entity VARCHAR(50),
+    parent_id VARCHAR(50),
+    action VARCHAR(10) NOT NULL CHECK (action IN ('CREATE', 'UPDATE', 'DELETE', 'RESTORE', 'PURGE')),
+    old_values JSONB,
+    new_values JSONB,
+    actor_user_id INT REFERENCES users(user_id) ON DELETE SET NULL,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_audit_log_record ON audit_log (entity, record_id);
+CREATE INDEX idx_audit_log_parent ON audit_log (parent_entity, parent_id);
+
+-- #############################################################################
+-- IV. SOFT DELETE
+-- #############################################################################
+
+-- DELETE on an FRF record only stamps these columns; child rows are kept until
+-- a super_admin purges the record after TRASH_RETENTION_DAYS.
+ALTER TABLE students ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ, ADD COLUMN IF NOT EXISTS deleted_by INT REFERENCES users(user_id);
+ALTER TABLE volunteers ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ, ADD COLUMN IF NOT EXISTS deleted_by INT REFERENCES users(user_id);
+ALTER TABLE donors ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ, ADD COLUMN IF NOT EXISTS deleted_by INT REFERENCES users(user_id);
+ALTER TABLE board_members ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ, ADD COLUMN IF NOT EXISTS deleted_by INT REFERENCES users(user_id);
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ, ADD COLUMN IF NOT EXISTS deleted_by INT REFERENCES users(user_id);
+ALTER TABLE finance_reports ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ, ADD COLUMN IF NOT EXISTS deleted_by INT REFERENCES users(user_id);
+
+-- #############################################################################
+-- V. 80G DONATION RECEIPTS
+-- #############################################################################
+
+-- Donor PAN is printed on every 80G receipt.
+ALTER TABLE donors ADD COLUMN IF NOT EXISTS pan VARCHAR(10);
+
+-- Last receipt number handed out per Indian financial year (e.g. '2025-26').
+-- The row is locked while a receipt is issued, so numbers are gap-free.
+CREATE TABLE receipt_sequences (
+    financial_year VARCHAR(7) PRIMARY KEY,
+    last_number INT NOT NULL DEFAULT 0
+);
+
+-- Issued receipts with the rendered PDF. Donor and amount are copied at issue
+-- time so the receipt survives edits to, or purging of, the donation.
+CREATE TABLE donation_receipts (
+    receipt_id SERIAL PRIMARY KEY,
+    donation_id INT UNIQUE REFERENCES donations(donation_id) ON DELETE SET NULL,
+    receipt_number VARCHAR(100) NOT NULL UNIQUE,
+    financial_year VARCHAR(7) NOT NULL,
+    sequence_number INT NOT NULL,
+    donor_id VARCHAR(50),
+    donor_name VARCHAR(255) NOT NULL,
+    donor_pan VARCHAR(10) NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL,
+    donation_date DATE NOT NULL,
+    pdf BYTEA NOT NULL,
+    issued_by INT REFERENCES users(user_id) ON DELETE SET NULL,
+    issued_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (financial_year, sequence_number)
+);
+
+-- #############################################################################
+-- VI. EMAIL OUTBOX
+-- #############################################################################
+
+-- Queued outgoing mail. The worker in utils/emailOutbox.js renders each message
+-- when it sends it, retries failures with backoff and gives up after
+-- max_attempts. record_id points at the row the mail is about (a donation_id
+-- for 'donation_acknowledgment').
+CREATE TABLE email_outbox (
+    email_id BIGSERIAL PRIMARY KEY,
+    kind VARCHAR(50) NOT NULL,
+    record_id VARCHAR(50),
+    to_address VARCHAR(255),
+    subject VARCHAR(255),
+    status VARCHAR(10) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'SENDING', 'SENT', 'FAILED', 'SKIPPED')),
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 5,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMPTZ,
+    last_error TEXT,
+    created_by INT REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_email_outbox_due ON email_outbox (status, next_attempt_at);
+CREATE INDEX idx_email_outbox_record ON email_outbox (kind, record_id);
+
+-- #############################################################################
+-- VII. ROLES AND PERMISSIONS
+-- #############################################################################
+
+-- Permissions are '<resource>:<action>' (or '<resource>:<child>:<action>') keys
+-- checked by requirePermission() in middleware/auth.js. Roles are composed from
+-- them and edited by a super_admin; super_admin itself always has every permission.
+CREATE TABLE permissions (
+    permission_key VARCHAR(100) PRIMARY KEY,
+    description TEXT NOT NULL
+);
+
+CREATE TABLE roles (
+    role_name VARCHAR(50) PRIMARY KEY CHECK (role_name ~ '^[a-z][a-z0-9_]*$'),
+    description TEXT,
+    -- Built-in roles can be edited but not renamed or deleted
+    is_system BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE role_permissions (
+    role_name VARCHAR(50) NOT NULL REFERENCES roles(role_name) ON DELETE CASCADE,
+    permission_key VARCHAR(100) NOT NULL REFERENCES permissions(permission_key) ON DELETE CASCADE,
+    PRIMARY KEY (role_name, permission_key)
+);
+
+INSERT INTO permissions (permission_key, description) VALUES
+    ('students:read', 'View students, their session logs and history'),
+    ('students:create', 'Create students'),
+    ('students:update', 'Edit students'),
+    ('students:delete', 'Move students to the trash'),
+    ('students:restore', 'Restore students from the trash'),
+    ('students:import', 'Import students from CSV / XLSX'),
+    ('students:export', 'Export students'),
+    ('students:session_logs:write', 'Add, edit and delete student session logs'),
+    ('volunteers:read', 'View volunteers, their attendance and history'),
+    ('volunteers:create', 'Create volunteers'),
+    ('volunteers:update', 'Edit volunteers'),
+    ('volunteers:delete', 'Move volunteers to the trash'),
+    ('volunteers:restore', 'Restore volunteers from the trash'),
+    ('volunteers:import', 'Import volunteers from CSV / XLSX'),
+    ('volunteers:export', 'Export volunteers'),
+    ('volunteers:attendance:write', 'Add, edit and delete volunteer attendance'),
+    ('donors:read', 'View donors, their donations, receipts and history'),
+    ('donors:create', 'Create donors'),
+    ('donors:update', 'Edit donors'),
+    ('donors:delete', 'Move donors to the trash'),
+    ('donors:restore', 'Restore donors from the trash'),
+    ('donors:import', 'Import donors from CSV / XLSX'),
+    ('donors:export', 'Export donors'),
+    ('donors:donations:write', 'Add, edit and delete donations'),
+    ('donors:receipts:issue', 'Issue 80G receipts'),
+    ('donors:acknowledgments:send', 'Queue donor acknowledgment emails'),
+    ('board:read', 'View board members and history'),
+    ('board:create', 'Create board members'),
+    ('board:update', 'Edit board members'),
+    ('board:delete', 'Move board members to the trash'),
+    ('board:restore', 'Restore board members from the trash'),
+    ('board:export', 'Export board members'),
+    ('projects:read', 'View projects, their attendance and history'),
+    ('projects:create', 'Create projects'),
+    ('projects:update', 'Edit projects'),
+    ('projects:delete', 'Move projects to the trash'),
+    ('projects:restore', 'Restore projects from the trash'),
+    ('projects:export', 'Export projects'),
+    ('projects:attendance:write', 'Add, edit and delete project attendance logs'),
+    ('finance:read', 'View finance reports, transactions and history'),
+    ('finance:create', 'Create finance reports'),
+    ('finance:update', 'Edit finance reports'),
+    ('finance:delete', 'Move finance reports to the trash'),
+    ('finance:restore', 'Restore finance reports from the trash'),
+    ('finance:export', 'Export finance reports'),
+    ('finance:transactions:write', 'Add, edit and delete finance transactions'),
+    ('trash:read', 'View the trash'),
+    ('trash:purge', 'Permanently delete expired trash'),
+    ('users:read', 'View user accounts and the approval queue'),
+    ('users:approve', 'Approve or reject new accounts'),
+    ('users:update', 'Edit user accounts'),
+    ('users:delete', 'Delete user accounts'),
+    ('roles:manage', 'Create and edit roles and their permissions');
+
+INSERT INTO roles (role_name, description, is_system) VALUES
+    ('member', 'Read-only access to FRF records', TRUE),
+    ('finance', 'Reads everything; manages donations, receipts and finance reports', TRUE),
+    ('admin', 'Manages all records and approves users', TRUE),
+    ('super_admin', 'Full access, including roles and purging the trash', TRUE);
+
+-- Defaults carried over from the old method-based rules
+INSERT INTO role_permissions (role_name, permission_key)
+SELECT 'member', permission_key FROM permissions
+WHERE permission_key LIKE '%:read' AND permission_key NOT IN ('trash:read', 'users:read');
+
+INSERT INTO role_permissions (role_name, permission_key)
+SELECT 'finance', permission_key FROM permissions
+WHERE (permission_key LIKE '%:read' AND permission_key NOT IN ('trash:read', 'users:read'))
+   OR permission_key LIKE '%:export'
+   OR permission_key IN ('finance:create', 'finance:update', 'finance:transactions:write',
+                         'donors:create', 'donors:update', 'donors:import', 'donors:donations:write',
+                         'donors:receipts:issue', 'donors:acknowledgments:send');
+
+INSERT INTO role_permissions (role_name, permission_key)
+SELECT 'admin', permission_key FROM permissions
+WHERE permission_key NOT IN ('trash:purge', 'roles:manage');
+
+INSERT INTO role_permissions (role_name, permission_key)
+SELECT 'super_admin', permission_key FROM permissions;
+
+-- user_role now refers to a role row instead of a fixed list
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_user_role_check;
+ALTER TABLE users ADD CONSTRAINT users_user_role_fkey FOREIGN KEY (user_role) REFERENCES roles(role_name);
+
+-- #############################################################################
+-- VIII. RECORD OWNERSHIP
+-- #############################################################################
+
+-- Without '<entity>:all_records' a role only sees and edits the records whose
+-- *_frf_owner is the signed-in user (see utils/ownership.js).
+INSERT INTO permissions (permission_key, description) VALUES
+    ('students:all_records', 'See and change every student, not only your own'),
+    ('volunteers:all_records', 'See and change every volunteer, not only your own'),
+    ('donors:all_records', 'See and change every donor, not only your own'),
+    ('board:all_records', 'See and change every board member, not only your own'),
+    ('projects:all_records', 'See and change every project, not only your own'),
+    ('finance:all_records', 'See and change every finance report, not only your own'),
+    ('records:reassign', 'Move all of one user''s records to another user');
+
+-- finance and admin keep seeing everything; members now work on their own records
+INSERT INTO role_permissions (role_name, permission_key)
+SELECT r.role_name, p.permission_key
+FROM roles r CROSS JOIN permissions p
+WHERE r.role_name IN ('finance', 'admin', 'super_admin') AND p.permission_key LIKE '%:all_records';
+
+INSERT INTO role_permissions (role_name, permission_key) VALUES
+    ('admin', 'records:reassign'),
+    ('super_admin', 'records:reassign');
+
+INSERT INTO role_permissions (role_name, permission_key)
+SELECT 'member', permission_key FROM permissions
+WHERE permission_key IN ('students:update', 'volunteers:update', 'donors:update', 'board:update', 'projects:update', 'finance:update')
+   OR permission_key LIKE '%:%:write';
+
+UPDATE roles SET description = 'Works on the FRF records they own' WHERE role_name = 'member';
+
+CREATE INDEX idx_students_owner ON students (student_frf_owner);
+CREATE INDEX idx_volunteers_owner ON volunteers (volunteer_frf_owner);
+CREATE INDEX idx_donors_owner ON donors (donor_frf_owner);
+CREATE INDEX idx_board_members_owner ON board_members (board_frf_owner);
+CREATE INDEX idx_projects_owner ON projects (project_frf_owner);
+CREATE INDEX idx_finance_reports_owner ON finance_reports (finance_report_frf_owner);
+
+-- #############################################################################
+-- IX. PASSWORD RESET AND EMAIL VERIFICATION
+-- #############################################################################
+
+-- New accounts start UNVERIFIED and join the PENDING approval queue once the
+-- emailed link is opened. Accounts that existed before count as verified.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS approval_status VARCHAR(20) NOT NULL DEFAULT 'PENDING';
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_approval_status_check;
+ALTER TABLE users ADD CONSTRAINT users_approval_status_check
+    CHECK (approval_status IN ('UNVERIFIED', 'PENDING', 'APPROVED', 'REJECTED'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ;
+UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;
+
+-- One row per emailed token (utils/userTokens.js). The token itself is a signed
+-- JWT carrying `jti`; the row makes it single-use and lets newer tokens retire older ones.
+CREATE TABLE user_tokens (
+    jti UUID PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_user_tokens_user ON user_tokens (user_id, purpose) WHERE used_at IS NULL;
+
+
+-- #############################################################################
+-- X. TWO-FACTOR AUTHENTICATION
+-- #############################################################################
+
+-- TOTP secrets are stored encrypted (utils/twoFactor.js). The pending secret
+-- holds an enrolment until its first code is confirmed; totp_last_step is the
+-- last accepted time step, so a code can't be replayed.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+-- Single-use recovery codes, kept as SHA-256 hashes
+CREATE TABLE user_recovery_codes (
+    recovery_code_id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_user_recovery_codes_user ON user_recovery_codes (user_id) WHERE used_at IS NULL;
+
+INSERT INTO permissions (permission_key, description) VALUES
+    ('users:reset_2fa', 'Reset a user''s two-factor authentication');
+
+INSERT INTO role_permissions (role_name, permission_key) VALUES
+    ('admin', 'users:reset_2fa'),
+    ('super_admin', 'users:reset_2fa');
+
+
+-- #############################################################################
+-- XI. SESSIONS AND REFRESH TOKEN ROTATION
+-- #############################################################################
+
+-- One row per login (utils/sessions.js). Access tokens carry the session id,
+-- so revoking a session signs out its access token immediately as well.
+CREATE TABLE user_sessions (
+    session_id UUID PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    device TEXT,
+    ip_address VARCHAR(64),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    -- logout, user, admin, reuse, password_change, password_reset, 2fa_reset, 2fa_required
+    revoked_reason VARCHAR(30)
+);
+
+CREATE INDEX idx_user_sessions_user ON user_sessions (user_id) WHERE revoked_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    refresh_token VARCHAR(64) PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    issued_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMPTZ NOT NULL,
+    device TEXT
+);
+
+-- Every refresh swaps the token for a new one in the same session; rotated_at
+-- marks the spent token, and presenting it again revokes the session.
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS session_id UUID REFERENCES user_sessions(session_id) ON DELETE CASCADE;
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMPTZ;
+-- Tokens from before sessions existed can't be rotated; their owners log in again once
+DELETE FROM refresh_tokens WHERE session_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens (session_id);
+
+-- Deny-list for single access tokens (logout, password change); rows are purged
+-- once the token would have expired anyway
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+    token TEXT PRIMARY KEY
+);
+ALTER TABLE revoked_tokens ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE revoked_tokens ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+
+INSERT INTO permissions (permission_key, description) VALUES
+    ('users:force_logout', 'Sign a user out of every session');
+
+INSERT INTO role_permissions (role_name, permission_key) VALUES
+    ('admin', 'users:force_logout'),
+    ('super_admin', 'users:force_logout');
+
+
+-- #############################################################################
+-- XII. USER ADMINISTRATION
+-- #############################################################################
+
+-- Lockout and bookkeeping columns routes/users.js relies on
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_attempts INT NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMPTZ;
+-- Deactivated accounts can't sign in but keep their records and history
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMPTZ;
+
+UPDATE permissions SET description = 'Edit, lock and unlock user accounts' WHERE permission_key = 'users:update';
+
+INSERT INTO permissions (permission_key, description) VALUES
+    ('users:deactivate', 'Deactivate and reactivate user accounts');
+
+INSERT INTO role_permissions (role_name, permission_key) VALUES
+    ('admin', 'users:deactivate'),
+    ('super_admin', 'users:deactivate');
+
+
+-- #############################################################################
+-- XIII. API KEYS
+-- #############################################################################
+
+-- Machine access for integrations via the X-API-Key header (utils/apiKeys.js).
+-- Only the SHA-256 of a key is kept; key_prefix identifies it in lists. Scopes
+-- are permission keys, checked instead of a role.
+CREATE TABLE api_keys (
+    api_key_id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    rate_limit_per_minute INT NOT NULL DEFAULT 60 CHECK (rate_limit_per_minute > 0),
+    expires_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ,
+    last_used_ip VARCHAR(64),
+    created_by_user_id INT REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMPTZ
+);
+
+-- Changes made with a key are attributed to it rather than to a user
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS actor_api_key_id INT REFERENCES api_keys(api_key_id) ON DELETE SET NULL;
+
+INSERT INTO permissions (permission_key, description) VALUES
+    ('api_keys:manage', 'Create and revoke API keys for integrations');
+
+INSERT INTO role_permissions (role_name, permission_key) VALUES
+    ('super_admin', 'api_keys:manage');
+
+
+-- #############################################################################
+-- XIV. FUND ACCOUNTING
+-- #############################################################################
+
+-- Ledger rows are tagged with what the money was spent on
+CREATE TABLE expense_categories (
+    category_id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+INSERT INTO expense_categories (name, description) VALUES
+    ('Program Delivery', 'Direct costs of running project activities'),
+    ('Salaries & Stipends', 'Staff salaries, volunteer and teacher stipends'),
+    ('Training & Materials', 'Books, stationery, kits and training costs'),
+    ('Travel', 'Field visits, transport and accommodation'),
+    ('Equipment', 'Computers, furniture and other assets'),
+    ('Fundraising', 'Campaigns, events and donor communication'),
+    ('Administration', 'Rent, utilities, audit and other overheads'),
+    ('Other', 'Anything that fits no other category');
+
+-- Finance reports and ledger rows point at a project instead of naming it.
+-- A ledger row without its own project counts against its report's project.
+ALTER TABLE finance_reports ADD COLUMN IF NOT EXISTS project_id VARCHAR(50) REFERENCES projects(id) ON DELETE SET NULL;
+ALTER TABLE finance_transactions ADD COLUMN IF NOT EXISTS project_id VARCHAR(50) REFERENCES projects(id) ON DELETE SET NULL;
+ALTER TABLE finance_transactions ADD COLUMN IF NOT EXISTS category_id INT REFERENCES expense_categories(category_id);
+-- Only posted rows count towards budget_utilized; drafts are planned spending
+ALTER TABLE finance_transactions ADD COLUMN IF NOT EXISTS status VARCHAR(10) NOT NULL DEFAULT 'posted' CHECK (status IN ('draft', 'posted'));
+
+CREATE INDEX IF NOT EXISTS idx_finance_reports_project ON finance_reports (project_id);
+CREATE INDEX IF NOT EXISTS idx_finance_transactions_project ON finance_transactions (project_id);
+
+-- Link existing reports whose free-text project_name matches exactly one project
+UPDATE finance_reports f SET project_id = p.id
+FROM projects p
+WHERE f.project_id IS NULL
+  AND lower(trim(f.project_name)) = lower(trim(p.project_frf_name))
+  AND (SELECT COUNT(*) FROM projects p2 WHERE lower(trim(p2.project_frf_name)) = lower(trim(f.project_name))) = 1;
+
+-- budget_utilized is derived from the ledger from now on (utils/fundAccounting.js)
+ALTER TABLE projects ALTER COLUMN budget_utilized SET DEFAULT 0;
+UPDATE projects p SET budget_utilized = COALESCE((
+    SELECT SUM(t.expense_amount)
+    FROM finance_transactions t
+    JOIN finance_reports f ON f.id = t.finance_report_id
+    WHERE t.status = 'posted' AND f.deleted_at IS NULL
+      AND COALESCE(t.project_id, f.project_id) = p.id
+), 0);
+
+
+-- #############################################################################
+-- XV. FINANCIAL STATEMENTS
+-- #############################################################################
+
+-- Capital spending (assets) appears in Receipts & Payments but not in Income & Expenditure
+ALTER TABLE expense_categories ADD COLUMN IF NOT EXISTS is_capital BOOLEAN NOT NULL DEFAULT FALSE;
+UPDATE expense_categories SET is_capital = TRUE WHERE name = 'Equipment';
+
+INSERT INTO permissions (permission_key, description) VALUES
+    ('finance:statements', 'View and export Income & Expenditure, Receipts & Payments and GST statements across all reports and donations');
+
+INSERT INTO role_permissions (role_name, permission_key) VALUES
+    ('finance', 'finance:statements'),
+    ('admin', 'finance:statements'),
+    ('super_admin', 'finance:statements');
+
+
+-- #############################################################################
+-- XVI. BANK RECONCILIATION
+-- #############################################################################
+
+-- One uploaded bank statement (CSV or OFX); its lines are matched against
+-- donations (credits) and finance ledger rows (utils/bankReconciliation.js)
+CREATE TABLE bank_statements (
+    statement_id SERIAL PRIMARY KEY,
+    account_name VARCHAR(100) NOT NULL,
+    file_name VARCHAR(255) NOT NULL,
+    format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'ofx')),
+    period_from DATE,
+    period_to DATE,
+    line_count INT NOT NULL DEFAULT 0,
+    duplicate_count INT NOT NULL DEFAULT 0,
+    uploaded_by_user_id INT REFERENCES users(user_id) ON DELETE SET NULL,
+    uploaded_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- amount is signed: credits (money in) positive, debits negative.
+-- dedupe_key is the OFX FITID, or a hash of the line for CSV, so overlapping
+-- statements for the same account don't import a line twice. A matched line
+-- whose donation or ledger row is deleted counts as unmatched again.
+CREATE TABLE bank_statement_lines (
+    line_id SERIAL PRIMARY KEY,
+    statement_id INT NOT NULL REFERENCES bank_statements(statement_id) ON DELETE CASCADE,
+    account_name VARCHAR(100) NOT NULL,
+    dedupe_key VARCHAR(255) NOT NULL,
+    line_date DATE NOT NULL,
+    description TEXT,
+    reference VARCHAR(255),
+    amount DECIMAL(12, 2) NOT NULL CHECK (amount <> 0),
+    balance DECIMAL(14, 2),
+    status VARCHAR(10) NOT NULL DEFAULT 'unmatched' CHECK (status IN ('unmatched', 'matched', 'ignored')),
+    donation_id INT REFERENCES donations(donation_id) ON DELETE SET NULL,
+    transaction_id INT REFERENCES finance_transactions(transaction_id) ON DELETE SET NULL,
+    match_method VARCHAR(10) CHECK (match_method IN ('auto', 'manual', 'created')),
+    note TEXT,
+    reconciled_by_user_id INT REFERENCES users(user_id) ON DELETE SET NULL,
+    reconciled_at TIMESTAMPTZ,
+    UNIQUE (account_name, dedupe_key),
+    CHECK (donation_id IS NULL OR transaction_id IS NULL)
+);
+
+CREATE INDEX idx_bank_lines_status ON bank_statement_lines (status, line_date);
+-- A donation or ledger row clears against at most one bank line
+CREATE UNIQUE INDEX idx_bank_lines_donation ON bank_statement_lines (donation_id) WHERE donation_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_bank_lines_transaction ON bank_statement_lines (transaction_id) WHERE transaction_id IS NOT NULL;
+
+INSERT INTO permissions (permission_key, description) VALUES
+    ('finance:reconcile', 'Import bank statements and reconcile their lines against donations and ledger entries');
+
+INSERT INTO role_permissions (role_name, permission_key) VALUES
+    ('finance', 'finance:reconcile'),
+    ('admin', 'finance:reconcile'),
+    ('super_admin', 'finance:reconcile');
+
+
+-- #############################################################################
+-- XVII. DONOR PLEDGES
+-- #############################################################################
+
+-- A promise to give `amount` every month, quarter or year from start_date
+-- (until end_date, if set). Instalments fall due on start_date plus whole
+-- periods; donations linked to the pledge pay them off oldest first
+-- (utils/pledges.js). Cancelling a pledge closes it at the cancellation date.
+CREATE TABLE donor_pledges (
+    pledge_id SERIAL PRIMARY KEY,
+    donor_id VARCHAR(50) NOT NULL REFERENCES donors(id) ON DELETE CASCADE,
+    amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+    frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('monthly', 'quarterly', 'annual')),
+    start_date DATE NOT NULL,
+    end_date DATE CHECK (end_date IS NULL OR end_date >= start_date),
+    channel VARCHAR(20) CHECK (channel IN ('Bank transfer', 'UPI', 'Cheque', 'Card', 'Cash', 'Online')),
+    purpose TEXT,
+    status VARCHAR(10) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'cancelled')),
+    remarks TEXT,
+    last_reminded_at TIMESTAMPTZ,
+    reminder_count INT NOT NULL DEFAULT 0,
+    created_by_user_id INT REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_donor_pledges_donor ON donor_pledges (donor_id);
+
+-- Set by hand, or automatically when exactly one of the donor's pledges covers the donation date
+ALTER TABLE donations ADD COLUMN IF NOT EXISTS pledge_id INT REFERENCES donor_pledges(pledge_id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_donations_pledge ON donations (pledge_id);
+
+INSERT INTO permissions (permission_key, description) VALUES
+    ('donors:pledges:write', 'Add, edit and cancel donor pledges'),
+    ('donors:pledges:remind', 'Send reminder emails for overdue pledges');
+
+INSERT INTO role_permissions (role_name, permission_key) VALUES
+    ('member', 'donors:pledges:write'),
+    ('finance', 'donors:pledges:write'),
+    ('finance', 'donors:pledges:remind'),
+    ('admin', 'donors:pledges:write'),
+    ('admin', 'donors:pledges:remind'),
+    ('super_admin', 'donors:pledges:write'),
+    ('super_admin', 'donors:pledges:remind');
+
+
+-- #############################################################################
+-- XVIII. DONOR SEGMENTS
+-- #############################################################################
+
+-- A saved donor list: `criteria` holds the list query parameters (filters,
+-- search, sort) exactly as GET /donors takes them, so a segment always shows
+-- the donors that match today. Giving stats and RFM scores behind the giving
+-- filters are computed from donations on the fly (utils/donorAnalytics.js).
+CREATE TABLE donor_segments (
+    segment_id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    criteria JSONB NOT NULL DEFAULT '{}',
+    shared BOOLEAN NOT NULL DEFAULT FALSE,
+    created_by_user_id INT REFERENCES users(user_id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (created_by_user_id, name)
+);
+
+INSERT INTO permissions (permission_key, description) VALUES
+    ('donors:segments:write', 'Save donor segments for campaign targeting');
+
+INSERT INTO role_permissions (role_name, permission_key) VALUES
+    ('member', 'donors:segments:write'),
+    ('finance', 'donors:segments:write'),
+    ('admin', 'donors:segments:write'),
+    ('super_admin', 'donors:segments:write');
+
+
+-- #############################################################################
+-- XIX. FUNDRAISING CAMPAIGNS
+-- #############################################################################
+
+-- A seventh FRF entity: an appeal or drive with a goal and dates, optionally for
+-- one project. Donations are attributed to at most one campaign; raised amounts
+-- and progress are summed from them (utils/campaigns.js). A finance report can
+-- belong to a campaign too, e.g. the costs of running it.
+CREATE TABLE campaigns (
+    id VARCHAR(50) PRIMARY KEY,
+    campaign_frf_name VARCHAR(255) NOT NULL,
+    campaign_frf_owner INT REFERENCES users(user_id),
+    created_by_user_id INT REFERENCES users(user_id),
+    created_by_date TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    modified_by_user_id INT REFERENCES users(user_id),
+    modified_date TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMPTZ,
+    deleted_by INT REFERENCES users(user_id),
+
+    -- Campaign Details
+    goal_amount DECIMAL(15, 2) NOT NULL CHECK (goal_amount > 0),
+    start_date DATE NOT NULL,
+    end_date DATE CHECK (end_date IS NULL OR end_date >= start_date),
+    project_id VARCHAR(50) REFERENCES projects(id) ON DELETE SET NULL,
+    channel VARCHAR(30) CHECK (channel IN ('Email', 'Social media', 'Event', 'Direct mail', 'Phone', 'Website', 'Corporate outreach', 'Other')),
+    description TEXT
+);
+
+CREATE INDEX idx_campaigns_owner ON campaigns (campaign_frf_owner);
+
+ALTER TABLE donations ADD COLUMN IF NOT EXISTS campaign_id VARCHAR(50) REFERENCES campaigns(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_donations_campaign ON donations (campaign_id, donation_date);
+
+ALTER TABLE finance_reports ADD COLUMN IF NOT EXISTS campaign_id VARCHAR(50) REFERENCES campaigns(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_finance_reports_campaign ON finance_reports (campaign_id);
+
+INSERT INTO permissions (permission_key, description) VALUES
+    ('campaigns:read', 'View campaigns, their progress and history'),
+    ('campaigns:create', 'Create campaigns'),
+    ('campaigns:update', 'Edit campaigns'),
+    ('campaigns:delete', 'Move campaigns to the trash'),
+    ('campaigns:restore', 'Restore campaigns from the trash'),
+    ('campaigns:export', 'Export campaigns'),
+    ('campaigns:all_records', 'See and change every campaign, not only your own');
+
+-- Same defaults as the other FRF entities (see VII and VIII); finance runs
+-- campaigns as it does donors
+INSERT INTO role_permissions (role_name, permission_key) VALUES
+    ('member', 'campaigns:read'),
+    ('member', 'campaigns:update'),
+    ('finance', 'campaigns:read'),
+    ('finance', 'campaigns:create'),
+    ('finance', 'campaigns:update'),
+    ('finance', 'campaigns:export'),
+    ('finance', 'campaigns:all_records'),
+    ('admin', 'campaigns:read'),
+    ('admin', 'campaigns:create'),
+    ('admin', 'campaigns:update'),
+    ('admin', 'campaigns:delete'),
+    ('admin', 'campaigns:restore'),
+    ('admin', 'campaigns:export'),
+    ('admin', 'campaigns:all_records'),
+    ('super_admin', 'campaigns:read'),
+    ('super_admin', 'campaigns:create'),
+    ('super_admin', 'campaigns:update'),
+    ('super_admin', 'campaigns:delete'),
+    ('super_admin', 'campaigns:restore'),
+    ('super_admin', 'campaigns:export'),
+    ('super_admin', 'campaigns:all_records');
+
+
+-- #############################################################################
+-- XX. DUPLICATE DETECTION AND MERGES
+-- #############################################################################
+
+-- UNIQUE(email) only stops exact repeats. The duplicate finder (utils/duplicates.js)
+-- also pairs donors, volunteers and students with similar names (trigram
+-- similarity), a shared primary/secondary email, the same phone number or a
+-- similar address.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_donors_name_trgm ON donors USING gin (lower(donor_frf_name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_volunteers_name_trgm ON volunteers USING gin (lower(volunteer_frf_name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_students_name_trgm ON students USING gin (lower(student_frf_name) gin_trgm_ops);
+
+-- A merge is audited as MERGE on both records
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_action_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check
+    CHECK (action IN ('CREATE', 'UPDATE', 'DELETE', 'RESTORE', 'PURGE', 'MERGE'));
+
+-- One row per merge, kept for review. The merged record is deleted once its child
+-- rows have moved to the survivor, so its full row is kept here. The ids have no
+-- foreign keys: the log outlives both records.
+CREATE TABLE record_merges (
+    merge_id BIGSERIAL PRIMARY KEY,
+    entity VARCHAR(50) NOT NULL CHECK (entity IN ('donors', 'volunteers', 'students')),
+    survivor_id VARCHAR(50) NOT NULL,
+    merged_id VARCHAR(50) NOT NULL,
+    score DECIMAL(4, 1),
+    reasons JSONB NOT NULL DEFAULT '[]',
+    field_sources JSONB NOT NULL DEFAULT '{}',   -- column -> 'survivor' | 'merged'
+    survivor_before JSONB NOT NULL,
+    survivor_after JSONB NOT NULL,
+    merged_record JSONB NOT NULL,
+    moved_children JSONB NOT NULL DEFAULT '{}',  -- child table -> moved row ids
+    note TEXT,
+    merged_by INT REFERENCES users(user_id) ON DELETE SET NULL,
+    merged_by_api_key_id INT REFERENCES api_keys(api_key_id) ON DELETE SET NULL,
+    merged_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    -- Review
+    review_status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (review_status IN ('pending', 'approved', 'flagged')),
+    reviewed_by INT REFERENCES users(user_id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    review_note TEXT
+);
+
+CREATE INDEX idx_record_merges_entity ON record_merges (entity, merged_at DESC);
+CREATE INDEX idx_record_merges_survivor ON record_merges (entity, survivor_id);
+CREATE INDEX idx_record_merges_review ON record_merges (review_status);
+
+-- Pairs marked "not a duplicate" are no longer offered; record_a < record_b
+CREATE TABLE duplicate_dismissals (
+    entity VARCHAR(50) NOT NULL,
+    record_a VARCHAR(50) NOT NULL,
+    record_b VARCHAR(50) NOT NULL,
+    dismissed_by INT REFERENCES users(user_id) ON DELETE SET NULL,
+    dismissed_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (entity, record_a, record_b),
+    CHECK (record_a < record_b)
+);
+
+INSERT INTO permissions (permission_key, description) VALUES
+    ('donors:merge', 'Find and merge duplicate donors'),
+    ('volunteers:merge', 'Find and merge duplicate volunteers'),
+    ('students:merge', 'Find and merge duplicate students'),
+    ('merges:review', 'Review the log of merged records');
+
+INSERT INTO role_permissions (role_name, permission_key) VALUES
+    ('finance', 'donors:merge'),
+    ('admin', 'donors:merge'),
+    ('admin', 'volunteers:merge'),
+    ('admin', 'students:merge'),
+    ('admin', 'merges:review'),
+    ('super_admin', 'donors:merge'),
+    ('super_admin', 'volunteers:merge'),
+    ('super_admin', 'students:merge'),
+    ('super_admin', 'merges:review');
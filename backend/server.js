@@ -11,6 +11,9 @@ const fs = require('fs');
 const https = require('https');
 const db = require('./db');
 const errorHandler = require('./middleware/errorHandler');
+const { startOutboxWorker } = require('./utils/emailOutbox');
+const { startTokenPurgeJob } = require('./utils/sessions');
+const { startPledgeReminderJob } = require('./utils/pledges');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -51,6 +54,7 @@ app.use(
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+    exposedHeaders: ['Content-Disposition', 'X-Export-Truncated'],
   })
 );
 
@@ -89,6 +93,14 @@ const boardRoutes = require('./routes/board');
 const projectsRoutes = require('./routes/projects');
 const financeRoutes = require('./routes/finance');
 const uiConfigRoutes = require('./routes/uiConfig');
+const trashRoutes = require('./routes/trash');
+const rolesRoutes = require('./routes/roles');
+const ownershipRoutes = require('./routes/ownership');
+const apiKeysRoutes = require('./routes/apiKeys');
+const statementsRoutes = require('./routes/statements');
+const reconciliationRoutes = require('./routes/reconciliation');
+const campaignsRoutes = require('./routes/campaigns');
+const mergesRoutes = require('./routes/merges');
 
 app.use('/api/v1/users', usersRoutes);
 app.use('/api/v1/students', studentsRoutes);
@@ -98,6 +110,14 @@ app.use('/api/v1/board', boardRoutes);
 app.use('/api/v1/projects', projectsRoutes);
 app.use('/api/v1/finance', financeRoutes);
 app.use('/api/v1/ui-config', uiConfigRoutes);
+app.use('/api/v1/trash', trashRoutes);
+app.use('/api/v1/roles', rolesRoutes);
+app.use('/api/v1/ownership', ownershipRoutes);
+app.use('/api/v1/api-keys', apiKeysRoutes);
+app.use('/api/v1/statements', statementsRoutes);
+app.use('/api/v1/reconciliation', reconciliationRoutes);
+app.use('/api/v1/campaigns', campaignsRoutes);
+app.use('/api/v1/merges', mergesRoutes);
 
 // ✅ Centralized Error Handler (must be LAST)
 app.use(errorHandler);
@@ -144,6 +164,15 @@ async function startServer() {
     console.log(`✅ Connected to DB at ${result.rows[0].now}`);
     await ensureSuperAdmin();
 
+    // ✅ Send queued emails (donor acknowledgments) in the background
+    startOutboxWorker();
+
+    // ✅ Drop expired sessions and deny-listed tokens periodically
+    startTokenPurgeJob();
+
+    // ✅ Remind donors about overdue pledges (only when PLEDGE_REMINDER_JOB_INTERVAL_MS is set)
+    startPledgeReminderJob();
+
     if (USE_HTTPS) {
       if (!fs.existsSync('./certs/server.key') || !fs.existsSync('./certs/server.cert')) {
         console.error('❌ SSL certificates not found in ./certs/. Run with USE_HTTPS=false for local dev.');
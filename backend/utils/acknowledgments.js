@@ -0,0 +1,117 @@
+// backend/utils/acknowledgments.js
+// Donor thank-you mails, sent through the email outbox. Opt-out is checked when
+// the mail is queued and again when it is sent; donations.acknowledgment_sent
+// flips only after the SMTP server accepts the message.
+
+const db = require('../db');
+const ngo = require('../config/ngo');
+const { donationAcknowledgment } = require('../config/emailTemplates');
+const { lockRow, recordAudit } = require('./audit');
+const { registerEmailKind, enqueueEmail, kickOutbox } = require('./emailOutbox');
+const { getReceipt } = require('./receipts');
+
+const KIND = 'donation_acknowledgment';
+
+/** Why a donor can't be mailed, or null if they can */
+function blockedReason(donor) {
+  if (!donor || donor.deleted_at) return 'Donor not found';
+  if (donor.email_opt_out) return 'Donor has opted out of email';
+  if (!donor.email) return 'Donor has no email address';
+  return null;
+}
+
+async function loadDonor(client, donorId) {
+  const { rows } = await client.query('SELECT * FROM donors WHERE id = $1', [donorId]);
+  return rows[0] || null;
+}
+
+registerEmailKind(KIND, {
+  async build(email) {
+    const { rows } = await db.query('SELECT * FROM donations WHERE donation_id = $1', [email.record_id]);
+    const donation = rows[0];
+    if (!donation) return { skip: 'Donation was deleted' };
+    if (donation.acknowledgment_sent) return { skip: 'Donation already acknowledged' };
+
+    const donor = await loadDonor(db, donation.donor_id);
+    const reason = blockedReason(donor);
+    if (reason) return { skip: reason };
+
+    const receipt = await getReceipt(donation.donation_id);
+    const { subject, html, text } = donationAcknowledgment({ donor, donation, receipt });
+
+    return {
+      fromName: ngo.name,
+      mail: {
+        to: donor.email,
+        ...(donor.secondary_email ? { cc: donor.secondary_email } : {}),
+        subject,
+        html,
+        text,
+        attachments: receipt
+          ? [{ filename: `${receipt.receipt_number.replace(/\//g, '-')}.pdf`, content: receipt.pdf, contentType: 'application/pdf' }]
+          : [],
+      },
+    };
+  },
+
+  async onDelivered(client, email) {
+    const before = await lockRow(client, 'donations', 'donation_id', email.record_id);
+    if (!before) return;
+    const { rows } = await client.query(
+      'UPDATE donations SET acknowledgment_sent = TRUE WHERE donation_id = $1 RETURNING *',
+      [email.record_id]
+    );
+    // No request here: the entry is attributed to the system
+    await recordAudit(client, {}, { entity: 'donations', recordId: email.record_id, action: 'UPDATE', before, after: rows[0], parentEntity: 'donors', parentId: before.donor_id });
+  },
+});
+
+/**
+ * queueAcknowledgment - queue the thank-you mail for a donation inside the caller's transaction
+ * Returns the outbox row, or null when the donor can't be mailed.
+ */
+async function queueAcknowledgment(client, req, donation) {
+  const donor = await loadDonor(client, donation.donor_id);
+  if (blockedReason(donor)) return null;
+  return enqueueEmail(client, { kind: KIND, recordId: donation.donation_id, createdBy: req.user?.user_id ?? null });
+}
+
+/**
+ * queueAcknowledgmentHandler - POST /donors/donations/:donation_id/acknowledgment
+ * Queues the mail again, e.g. after a failed delivery or once the receipt is issued.
+ */
+async function queueAcknowledgmentHandler(req, res) {
+  try {
+    const { donation_id } = req.params;
+
+    const result = await db.withTransaction(async (client) => {
+      const donation = await lockRow(client, 'donations', 'donation_id', donation_id);
+      if (!donation) return { status: 404, body: { error: 'Donation not found' } };
+      if (donation.acknowledgment_sent) return { status: 409, body: { error: 'This donation has already been acknowledged' } };
+
+      const { rows: queued } = await client.query(
+        `SELECT 1 FROM email_outbox WHERE kind = $1 AND record_id = $2 AND status IN ('PENDING', 'SENDING')`,
+        [KIND, String(donation_id)]
+      );
+      if (queued.length) return { status: 409, body: { error: 'An acknowledgment is already queued for this donation' } };
+
+      const reason = blockedReason(await loadDonor(client, donation.donor_id));
+      if (reason) return { status: 400, body: { error: reason } };
+
+      const email = await queueAcknowledgment(client, req, donation);
+      return { status: 202, body: { message: 'Acknowledgment queued', email_id: email.email_id, acknowledgment_status: email.status } };
+    });
+
+    if (result.status === 202) kickOutbox();
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error('Error queueing acknowledgment:', err);
+    res.status(500).json({ error: 'Error queueing acknowledgment' });
+  }
+}
+
+module.exports = {
+  blockedReason,
+  queueAcknowledgment,
+  queueAcknowledgmentHandler,
+};
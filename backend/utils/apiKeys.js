@@ -0,0 +1,102 @@
+// backend/utils/apiKeys.js
+// API keys for integrations (website donation form, reporting scripts) sent as
+// the X-API-Key header. Only a SHA-256 hash is stored; the key itself is shown
+// once at creation. A key acts on nobody's behalf: it carries its own scopes
+// (permission keys) and per-minute rate limit, and audit rows name the key.
+
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+require('dotenv').config();
+
+const DEFAULT_RATE_LIMIT = Number(process.env.API_KEY_RATE_LIMIT || 60);
+const KEY_PREFIX = 'ngo_';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Columns safe to return to admins; never the hash
+const PUBLIC_COLUMNS = `k.api_key_id, k.name, k.key_prefix, k.scopes, k.rate_limit_per_minute, k.expires_at,
+  k.last_used_at, k.last_used_ip, k.created_at, k.revoked_at, k.created_by_user_id, u.username AS created_by_username`;
+
+/**
+ * createApiKey - issue a key inside the caller's transaction
+ * Returns { apiKey, key } where `key` is the only copy of the secret.
+ */
+async function createApiKey(client, { name, scopes, expiresAt = null, rateLimitPerMinute = null, createdBy }) {
+  const lookup = crypto.randomBytes(4).toString('hex');
+  const key = `${KEY_PREFIX}${lookup}_${crypto.randomBytes(32).toString('base64url')}`;
+  const { rows } = await client.query(
+    `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, rate_limit_per_minute, expires_at, created_by_user_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING api_key_id`,
+    [name, `${KEY_PREFIX}${lookup}`, hashKey(key), scopes, rateLimitPerMinute || DEFAULT_RATE_LIMIT, expiresAt, createdBy]
+  );
+  const apiKey = await findApiKey(client, rows[0].api_key_id);
+  return { apiKey, key };
+}
+
+async function findApiKey(client, apiKeyId) {
+  const { rows } = await client.query(
+    `SELECT ${PUBLIC_COLUMNS} FROM api_keys k LEFT JOIN users u ON u.user_id = k.created_by_user_id WHERE k.api_key_id = $1`,
+    [apiKeyId]
+  );
+  return rows[0] || null;
+}
+
+/** Every key, active ones first */
+async function listApiKeys(client) {
+  const { rows } = await client.query(
+    `SELECT ${PUBLIC_COLUMNS} FROM api_keys k
+     LEFT JOIN users u ON u.user_id = k.created_by_user_id
+     ORDER BY (k.revoked_at IS NULL) DESC, k.created_at DESC`
+  );
+  return rows;
+}
+
+/** revokeApiKey - stop a key working; returns the key, or null if unknown or already revoked */
+async function revokeApiKey(client, apiKeyId) {
+  const { rowCount } = await client.query(
+    'UPDATE api_keys SET revoked_at = NOW() WHERE api_key_id = $1 AND revoked_at IS NULL',
+    [apiKeyId]
+  );
+  return rowCount ? findApiKey(client, apiKeyId) : null;
+}
+
+/**
+ * authenticateApiKey - the active key matching a presented secret, or null
+ * Records last use, at most once a minute per key to keep hot keys from writing on every request.
+ */
+async function authenticateApiKey(client, key, ip) {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+  const { rows } = await client.query(
+    `SELECT api_key_id, name, scopes, rate_limit_per_minute FROM api_keys
+     WHERE key_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+    [hashKey(key)]
+  );
+  if (!rows.length) return null;
+
+  await client.query(
+    `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2
+     WHERE api_key_id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+    [rows[0].api_key_id, ip || null]
+  );
+  return rows[0];
+}
+
+/** Per-key limiter; mounted by verifyToken once a key is authenticated (req.user.api_key_id) */
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.user.rate_limit_per_minute || DEFAULT_RATE_LIMIT,
+  keyGenerator: (req) => `api-key:${req.user.api_key_id}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Rate limit exceeded for this API key. Try again in a minute.' },
+});
+
+module.exports = {
+  createApiKey,
+  findApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey,
+  apiKeyLimiter,
+};
@@ -0,0 +1,101 @@
+// backend/utils/audit.js
+// Field-level audit trail for FRF records and their child rows.
+
+const db = require('../db');
+
+// Bookkeeping columns that change on every write and would only add noise to diffs
+const IGNORED_FIELDS = ['modified_date', 'modified_by_user_id'];
+
+const normalize = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
+
+/**
+ * diffRows - old/new values for every field that differs between two rows
+ * Returns { oldValues, newValues }, both keyed by the changed column names.
+ */
+function diffRows(before = {}, after = {}) {
+  const oldValues = {};
+  const newValues = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+    const oldVal = normalize(before?.[key]);
+    const newVal = normalize(after?.[key]);
+    if (JSON.stringify(oldVal) === JSON.stringify(newVal)) continue;
+    oldValues[key] = oldVal;
+    newValues[key] = newVal;
+  }
+  return { oldValues, newValues };
+}
+
+/**
+ * lockRow - read a row with FOR UPDATE so its pre-change values can be audited
+ * `table` and `pkColumn` are always constants from the calling router.
+ */
+async function lockRow(client, table, pkColumn, id) {
+  const { rows } = await client.query(`SELECT * FROM ${table} WHERE "${pkColumn}" = $1 FOR UPDATE`, [id]);
+  return rows[0] || null;
+}
+
+/**
+ * recordAudit - write one audit_log entry using the caller's transaction client
+ * action: 'CREATE' | 'UPDATE' | 'DELETE'. Child rows pass parentEntity/parentId
+ * so they show up in the parent record's history. UPDATEs with no real change are skipped.
+ * The actor is the signed-in user, or the API key for integration requests.
+ */
+async function recordAudit(client, req, { entity, recordId, action, before = null, after = null, parentEntity = null, parentId = null }) {
+  const { oldValues, newValues } = diffRows(before, after);
+  if (action === 'UPDATE' && !Object.keys(newValues).length) return;
+
+  await client.query(
+    `INSERT INTO audit_log (entity, record_id, parent_entity, parent_id, action, old_values, new_values, actor_user_id, actor_api_key_id, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      entity,
+      String(recordId),
+      parentEntity,
+      parentId == null ? null : String(parentId),
+      action,
+      before ? oldValues : null,
+      after ? newValues : null,
+      req.user?.user_id ?? null,
+      req.user?.api_key_id ?? null,
+      req.ip || null,
+    ]
+  );
+}
+
+/**
+ * historyHandler - GET /:id/history for an entity router
+ * Returns the record's own entries plus those of its child rows, newest first.
+ */
+function historyHandler(entity) {
+  return async (req, res) => {
+    try {
+      const q = `
+        SELECT a.audit_id, a.entity, a.record_id, a.parent_entity, a.parent_id, a.action,
+               a.old_values, a.new_values, a.ip_address, a.created_at,
+               a.actor_user_id, u.username AS actor_username, u.email AS actor_email,
+               a.actor_api_key_id, k.name AS actor_api_key_name
+        FROM audit_log a
+        LEFT JOIN users u ON a.actor_user_id = u.user_id
+        LEFT JOIN api_keys k ON a.actor_api_key_id = k.api_key_id
+        WHERE (a.entity = $1 AND a.record_id = $2)
+           OR (a.parent_entity = $1 AND a.parent_id = $2)
+        ORDER BY a.created_at DESC, a.audit_id DESC;
+      `;
+      const { rows } = await db.query(q, [entity, req.params.id]);
+      res.json(rows);
+    } catch (err) {
+      console.error(`Error fetching ${entity} history:`, err);
+      res.status(500).json({ error: 'Error fetching history' });
+    }
+  };
+}
+
+module.exports = {
+  diffRows,
+  lockRow,
+  recordAudit,
+  historyHandler,
+};
@@ -0,0 +1,460 @@
+// backend/utils/bankReconciliation.js
+// Bank statement import (CSV or OFX) and reconciliation. Statement lines are
+// stored with a signed amount (credits positive) and matched against donations
+// (credits) and finance ledger rows (income for credits, expenses for debits).
+// A line matches automatically only when exactly one record fits: the same
+// amount plus the record's reference found on the line, or failing that the
+// same amount within BANK_MATCH_TOLERANCE_DAYS of the line's date. Everything
+// else waits in the reconciliation queue for someone to link, create or ignore.
+
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { normalizeHeader, parseSpreadsheet } = require('./importer');
+const { recordAudit } = require('./audit');
+
+const MAX_STATEMENT_LINES = 5000;
+const SEARCH_WINDOW_DAYS = 30;
+// Short references ("1", "CHQ") turn up inside unrelated descriptions
+const MIN_REFERENCE_LENGTH = 4;
+
+const toleranceDays = () => {
+  const days = parseInt(process.env.BANK_MATCH_TOLERANCE_DAYS, 10);
+  return Number.isInteger(days) && days >= 0 ? Math.min(days, SEARCH_WINDOW_DAYS) : 3;
+};
+
+// Single in-memory file, CSV or OFX (QFX is OFX under another name)
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    if (['.csv', '.ofx', '.qfx'].includes(ext)) return cb(null, true);
+    cb(Object.assign(new Error('Only .csv and .ofx bank statements can be uploaded'), { status: 400 }));
+  },
+}).single('file');
+
+// A line still waiting for reconciliation, including one whose matched record was deleted since
+const unmatchedSql = (alias) =>
+  `(${alias}.status = 'unmatched' OR (${alias}.status = 'matched' AND ${alias}.donation_id IS NULL AND ${alias}.transaction_id IS NULL))`;
+const isUnmatched = (line) =>
+  line.status === 'unmatched' || (line.status === 'matched' && line.donation_id == null && line.transaction_id == null);
+
+/* -----------------------------------------------------
+   PARSING
+----------------------------------------------------- */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * parseAmount - "1,250.00", "₹ 500", "(75.00)", "300 Dr" -> signed number
+ * Returns null for a blank cell and NaN for anything unreadable.
+ */
+function parseAmount(value) {
+  let text = String(value ?? '').trim();
+  if (!text) return null;
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1).trim();
+  }
+  const suffix = text.match(/\s*(cr|dr)\.?$/i);
+  if (suffix) {
+    if (suffix[1].toLowerCase() === 'dr') sign = -sign;
+    text = text.slice(0, suffix.index);
+  }
+  text = text.replace(/^(rs\.?|inr|₹|\$)\s*/i, '').replace(/[,\s]/g, '');
+  if (!/^[+-]?\d+(\.\d+)?$/.test(text)) return NaN;
+  return round2(Number(text) * sign);
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * parseBankDate - YYYY-MM-DD, DD/MM/YYYY (or MM/DD/YYYY with dateOrder 'mdy'),
+ * 03-Apr-2025 and OFX's 20250403[120000] -> 'YYYY-MM-DD', or null
+ */
+function parseBankDate(value, dateOrder = 'dmy') {
+  const text = String(value ?? '').trim();
+  let y, m, d, match;
+
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+    [, y, m, d] = match;
+  } else if ((match = text.match(/^(\d{4})(\d{2})(\d{2})/))) {
+    [, y, m, d] = match;
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/))) {
+    [, d, m, y] = match;
+    if (dateOrder === 'mdy') [d, m] = [m, d];
+  } else if ((match = text.match(/^(\d{1,2})[\s-]([a-z]{3})[a-z]*[\s,-]+(\d{2}|\d{4})$/i))) {
+    [, d, , y] = match;
+    m = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    if (!m) return null;
+  } else {
+    return null;
+  }
+
+  if (String(y).length === 2) y = `20${y}`;
+  const iso = `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+  const date = new Date(`${iso}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === iso ? iso : null;
+}
+
+// Header names banks use for each column, compared after normalizeHeader
+const CSV_COLUMNS = {
+  date: ['date', 'txndate', 'transactiondate', 'valuedate', 'postingdate', 'postdate', 'trandate'],
+  description: ['description', 'narration', 'particulars', 'details', 'transactiondetails', 'remarks', 'memo', 'payee'],
+  reference: ['reference', 'ref', 'refno', 'referenceno', 'referencenumber', 'chqrefno', 'chequeno', 'chqno', 'utr', 'utrno', 'transactionid'],
+  amount: ['amount', 'transactionamount', 'amt'],
+  type: ['drcr', 'crdr', 'type', 'transactiontype'],
+  debit: ['debit', 'debitamount', 'withdrawal', 'withdrawals', 'withdrawalamt', 'withdrawalamount', 'dr'],
+  credit: ['credit', 'creditamount', 'deposit', 'deposits', 'depositamt', 'depositamount', 'cr'],
+  balance: ['balance', 'closingbalance', 'runningbalance', 'availablebalance'],
+};
+
+/** guessCsvMapping - { date: 'Txn Date', amount: 'Amount', ... } from the header row */
+function guessCsvMapping(headers) {
+  const mapping = {};
+  for (const [key, names] of Object.entries(CSV_COLUMNS)) {
+    const wanted = names.map(normalizeHeader);
+    const match = headers.find(h => wanted.includes(normalizeHeader(h)));
+    if (match) mapping[key] = match;
+  }
+  return mapping;
+}
+
+function csvLine(values, mapping, dateOrder) {
+  const cell = (key) => (mapping[key] ? String(values[mapping[key]] ?? '').trim() : '');
+
+  let amount;
+  if (mapping.amount) {
+    amount = parseAmount(cell('amount'));
+    const type = cell('type').toLowerCase();
+    if (amount && /^(d|dr|debit|withdrawal)$/.test(type)) amount = -Math.abs(amount);
+    if (amount && /^(c|cr|credit|deposit)$/.test(type)) amount = Math.abs(amount);
+  } else {
+    const credit = parseAmount(cell('credit'));
+    const debit = parseAmount(cell('debit'));
+    amount = Number.isNaN(credit) || Number.isNaN(debit) ? NaN : round2(Math.abs(credit || 0) - Math.abs(debit || 0));
+  }
+
+  const lineDate = parseBankDate(cell('date'), dateOrder);
+  if (!lineDate) return { error: `Unreadable date '${cell('date')}'` };
+  if (amount === null || Number.isNaN(amount)) return { error: 'Unreadable amount' };
+  if (amount === 0) return { skip: true };
+
+  const balance = parseAmount(cell('balance'));
+  return {
+    line: {
+      line_date: lineDate,
+      description: cell('description') || null,
+      reference: cell('reference') || null,
+      amount,
+      balance: balance === null || Number.isNaN(balance) ? null : balance,
+      fit_id: null,
+    },
+  };
+}
+
+const decodeOfx = (text) => text
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+// OFX 1.x is SGML without closing tags, so a value runs to the next tag or line end
+const ofxTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeOfx(match[1].trim()) : '';
+};
+
+function parseOfx(buffer) {
+  const text = buffer.toString('utf8');
+  if (!/<OFX>/i.test(text)) {
+    throw Object.assign(new Error('The file is not an OFX statement'), { status: 400 });
+  }
+
+  const lines = [];
+  const errors = [];
+  const blocks = text.split(/<STMTTRN>/i).slice(1).map(b => b.split(/<\/STMTTRN>|<\/BANKTRANLIST>/i)[0]);
+  blocks.forEach((block, i) => {
+    const row = i + 1;
+    const lineDate = parseBankDate(ofxTag(block, 'DTPOSTED'));
+    const amount = parseAmount(ofxTag(block, 'TRNAMT'));
+    if (!lineDate) return errors.push({ row, message: `Unreadable date '${ofxTag(block, 'DTPOSTED')}'` });
+    if (amount === null || Number.isNaN(amount)) return errors.push({ row, message: 'Unreadable amount' });
+    if (amount === 0) return;
+
+    const name = ofxTag(block, 'NAME');
+    const memo = ofxTag(block, 'MEMO');
+    lines.push({
+      row,
+      line_date: lineDate,
+      description: [name, memo].filter(Boolean).join(' — ') || null,
+      reference: ofxTag(block, 'CHECKNUM') || ofxTag(block, 'REFNUM') || null,
+      amount,
+      balance: null,
+      fit_id: ofxTag(block, 'FITID') || null,
+    });
+  });
+
+  return { format: 'ofx', account: ofxTag(text, 'ACCTID') || null, lines, errors };
+}
+
+/**
+ * parseBankStatement - uploaded file -> { format, account, lines, errors, mapping? }
+ * CSV columns are guessed from the header unless `mapping` names them
+ * ({ date, description, reference, amount | debit + credit, type, balance }).
+ * Unreadable rows land in `errors`; zero-amount rows are skipped.
+ */
+async function parseBankStatement(file, { mapping = null, dateOrder = 'dmy' } = {}) {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  if (ext !== '.csv') return parseOfx(file.buffer);
+
+  const { headers, rows } = await parseSpreadsheet(file);
+  const columns = { ...guessCsvMapping(headers), ...(mapping || {}) };
+  for (const key of Object.keys(columns)) {
+    if (!headers.includes(columns[key])) delete columns[key];
+  }
+  if (!columns.date || !(columns.amount || columns.debit || columns.credit)) {
+    throw Object.assign(
+      new Error(`Couldn't find the date and amount columns; headers were: ${headers.join(', ') || 'none'}`),
+      { status: 400 }
+    );
+  }
+
+  const lines = [];
+  const errors = [];
+  for (const { rowNumber, values } of rows) {
+    const { line, error, skip } = csvLine(values, columns, dateOrder);
+    if (error) errors.push({ row: rowNumber, message: error });
+    else if (!skip) lines.push({ row: rowNumber, ...line });
+  }
+  return { format: 'csv', account: null, lines, errors, mapping: columns };
+}
+
+/**
+ * assignDedupeKeys - the OFX FITID, else a hash of the line. Identical lines in
+ * one file (two equal payments on a day) are numbered so both survive, and the
+ * same file imported again yields the same keys.
+ */
+function assignDedupeKeys(lines) {
+  const seen = new Map();
+  for (const line of lines) {
+    if (line.fit_id) {
+      line.dedupe_key = `fitid:${line.fit_id}`.slice(0, 255);
+      continue;
+    }
+    const hash = crypto.createHash('sha256')
+      .update([line.line_date, line.amount.toFixed(2), line.reference || '', line.description || '', line.balance ?? ''].join('|'))
+      .digest('hex');
+    const n = (seen.get(hash) || 0) + 1;
+    seen.set(hash, n);
+    line.dedupe_key = n === 1 ? hash : `${hash}#${n}`;
+  }
+  return lines;
+}
+
+/* -----------------------------------------------------
+   MATCHING
+----------------------------------------------------- */
+
+// $1 amount, $2 line text to look for references in, $3 line date
+const DONATION_CANDIDATES_SQL = `
+  SELECT 'donation' AS kind, d.donation_id AS id, d.donation_date AS record_date, d.amount,
+         d.transaction_id AS reference, dn.donor_frf_name AS label, d.purpose AS detail,
+         dn.id AS donor_id, NULL::varchar AS finance_report_id,
+         (length(COALESCE(d.transaction_id, '')) >= ${MIN_REFERENCE_LENGTH}
+           AND strpos(lower($2), lower(d.transaction_id)) > 0) AS reference_match,
+         abs(d.donation_date - $3::date) AS days_apart
+  FROM donations d
+  JOIN donors dn ON dn.id = d.donor_id AND dn.deleted_at IS NULL
+  WHERE d.amount = $1
+    AND NOT EXISTS (SELECT 1 FROM bank_statement_lines l WHERE l.donation_id = d.donation_id)
+`;
+
+// `column` is income_amount for credits and expense_amount for debits
+const transactionCandidatesSql = (column) => `
+  SELECT 'transaction' AS kind, t.transaction_id AS id, t.transaction_date AS record_date, t.${column} AS amount,
+         t.bill_transaction_id AS reference, COALESCE(t.name, 'Ledger entry') AS label, f.finance_report_frf_name AS detail,
+         NULL::varchar AS donor_id, f.id AS finance_report_id,
+         (length(COALESCE(t.bill_transaction_id, '')) >= ${MIN_REFERENCE_LENGTH}
+           AND strpos(lower($2), lower(t.bill_transaction_id)) > 0) AS reference_match,
+         abs(t.transaction_date - $3::date) AS days_apart
+  FROM finance_transactions t
+  JOIN finance_reports f ON f.id = t.finance_report_id AND f.deleted_at IS NULL
+  WHERE t.${column} = $1
+    AND NOT EXISTS (SELECT 1 FROM bank_statement_lines l WHERE l.transaction_id = t.transaction_id)
+`;
+
+/**
+ * findCandidates - unreconciled donations / ledger rows with the line's amount
+ * that either carry a reference found on the line or fall within `days` of it
+ * (both within SEARCH_WINDOW_DAYS). Reference matches first, then the closest dates.
+ */
+async function findCandidates(client, line, days = SEARCH_WINDOW_DAYS) {
+  const amount = Number(line.amount);
+  const sources = amount > 0
+    ? [DONATION_CANDIDATES_SQL, transactionCandidatesSql('income_amount')]
+    : [transactionCandidatesSql('expense_amount')];
+  const text = [line.reference, line.description].filter(Boolean).join(' ');
+
+  const { rows } = await client.query(
+    `SELECT * FROM (${sources.join(' UNION ALL ')}) c
+     WHERE c.days_apart <= $5 AND (c.reference_match OR c.days_apart <= $4)
+     ORDER BY c.reference_match DESC, c.days_apart, c.record_date, c.id
+     LIMIT 20`,
+    [Math.abs(amount), text, line.line_date, days, SEARCH_WINDOW_DAYS]
+  );
+  return rows;
+}
+
+/** The single candidate auto-matching may take, or null when none or several fit */
+function pickAutoMatch(candidates) {
+  const byReference = candidates.filter(c => c.reference_match);
+  if (byReference.length) return byReference.length === 1 ? byReference[0] : null;
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * loadMatchTarget - the donation or ledger row a user wants to link, with the
+ * amounts that must equal the line's and the line it already clears, if any.
+ * Returns null when it doesn't exist.
+ */
+async function loadMatchTarget(client, kind, id) {
+  const q = kind === 'donation'
+    ? `SELECT d.donation_id AS id, d.amount AS income, 0 AS expense,
+              (SELECT line_id FROM bank_statement_lines WHERE donation_id = d.donation_id) AS matched_line_id
+       FROM donations d JOIN donors dn ON dn.id = d.donor_id AND dn.deleted_at IS NULL
+       WHERE d.donation_id = $1`
+    : `SELECT t.transaction_id AS id, t.income_amount AS income, t.expense_amount AS expense,
+              (SELECT line_id FROM bank_statement_lines WHERE transaction_id = t.transaction_id) AS matched_line_id
+       FROM finance_transactions t JOIN finance_reports f ON f.id = t.finance_report_id AND f.deleted_at IS NULL
+       WHERE t.transaction_id = $1`;
+  const { rows } = await client.query(q, [id]);
+  return rows[0] || null;
+}
+
+/** Why `target` can't clear `line` (direction or amount), or null */
+function matchError(line, kind, target) {
+  const amount = Number(line.amount);
+  if (kind === 'donation' && amount < 0) return 'A debit line cannot match a donation';
+  const expected = amount > 0 ? Number(target.income || 0) : Number(target.expense || 0);
+  if (expected.toFixed(2) !== Math.abs(amount).toFixed(2)) {
+    return `Amounts differ: the line is ${Math.abs(amount).toFixed(2)} ${amount > 0 ? 'in' : 'out'}, the record ${expected.toFixed(2)}`;
+  }
+  return null;
+}
+
+/**
+ * linkLine - mark `line` (a locked row) as matched to a donation or ledger row
+ * and audit it. method: 'auto' | 'manual' | 'created'.
+ */
+async function linkLine(client, req, line, { kind, id }, method) {
+  const { rows } = await client.query(
+    `UPDATE bank_statement_lines
+     SET status = 'matched', donation_id = $2, transaction_id = $3, match_method = $4,
+         note = NULL, reconciled_by_user_id = $5, reconciled_at = NOW()
+     WHERE line_id = $1
+     RETURNING *`,
+    [line.line_id, kind === 'donation' ? id : null, kind === 'transaction' ? id : null, method, req.user?.user_id ?? null]
+  );
+  await recordAudit(client, req, {
+    entity: 'bank_lines', recordId: line.line_id, action: 'UPDATE', before: line, after: rows[0],
+    parentEntity: 'bank_statements', parentId: line.statement_id,
+  });
+  return rows[0];
+}
+
+/** setLineStatus - 'unmatched' (clearing any link) or 'ignored' with a note, audited */
+async function setLineStatus(client, req, line, status, note = null) {
+  const { rows } = await client.query(
+    `UPDATE bank_statement_lines
+     SET status = $2, donation_id = NULL, transaction_id = NULL, match_method = NULL, note = $3,
+         reconciled_by_user_id = $4, reconciled_at = NOW()
+     WHERE line_id = $1
+     RETURNING *`,
+    [line.line_id, status, note, req.user?.user_id ?? null]
+  );
+  await recordAudit(client, req, {
+    entity: 'bank_lines', recordId: line.line_id, action: 'UPDATE', before: line, after: rows[0],
+    parentEntity: 'bank_statements', parentId: line.statement_id,
+  });
+  return rows[0];
+}
+
+/**
+ * autoMatchLines - try every unmatched line (or just `lineIds`) against the books
+ * inside the caller's transaction. Returns the number of lines matched.
+ */
+async function autoMatchLines(client, req, lineIds = null) {
+  const { rows: lines } = await client.query(
+    `SELECT * FROM bank_statement_lines l
+     WHERE ${unmatchedSql('l')} AND ($1::int[] IS NULL OR line_id = ANY($1))
+     ORDER BY line_date, line_id
+     FOR UPDATE`,
+    [lineIds]
+  );
+
+  const days = toleranceDays();
+  let matched = 0;
+  for (const line of lines) {
+    const pick = pickAutoMatch(await findCandidates(client, line, days));
+    if (!pick) continue;
+    await linkLine(client, req, line, pick, 'auto');
+    matched++;
+  }
+  return matched;
+}
+
+/**
+ * importStatement - store a parsed statement and its new lines, then auto-match them
+ * Lines already imported for the account (same dedupe key) are skipped.
+ * Returns { statement, imported, duplicates, autoMatched }.
+ */
+async function importStatement(client, req, { accountName, fileName, parsed }) {
+  const lines = assignDedupeKeys(parsed.lines);
+  const dates = lines.map(l => l.line_date).sort();
+
+  const { rows: [statement] } = await client.query(
+    `INSERT INTO bank_statements (account_name, file_name, format, period_from, period_to, uploaded_by_user_id)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [accountName, fileName, parsed.format, dates[0] || null, dates[dates.length - 1] || null, req.user?.user_id ?? null]
+  );
+
+  const newIds = [];
+  for (const line of lines) {
+    const { rows } = await client.query(
+      `INSERT INTO bank_statement_lines (statement_id, account_name, dedupe_key, line_date, description, reference, amount, balance)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (account_name, dedupe_key) DO NOTHING
+       RETURNING line_id`,
+      [statement.statement_id, accountName, line.dedupe_key, line.line_date, line.description, line.reference, line.amount, line.balance]
+    );
+    if (rows[0]) newIds.push(rows[0].line_id);
+  }
+
+  const { rows: [saved] } = await client.query(
+    'UPDATE bank_statements SET line_count = $2, duplicate_count = $3 WHERE statement_id = $1 RETURNING *',
+    [statement.statement_id, newIds.length, lines.length - newIds.length]
+  );
+  await recordAudit(client, req, { entity: 'bank_statements', recordId: saved.statement_id, action: 'CREATE', after: saved });
+
+  const autoMatched = newIds.length ? await autoMatchLines(client, req, newIds) : 0;
+  return { statement: saved, imported: newIds.length, duplicates: lines.length - newIds.length, autoMatched };
+}
+
+module.exports = {
+  MAX_STATEMENT_LINES,
+  unmatchedSql,
+  isUnmatched,
+  statementUpload,
+  parseAmount,
+  parseBankDate,
+  parseBankStatement,
+  findCandidates,
+  loadMatchTarget,
+  matchError,
+  linkLine,
+  setLineStatus,
+  autoMatchLines,
+  importStatement,
+};
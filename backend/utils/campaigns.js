@@ -0,0 +1,208 @@
+// backend/utils/campaigns.js
+// Fundraising campaigns. A donation counts towards the campaign in its
+// campaign_id, whatever its date; only donations of live donors count, as in
+// the financial statements. Raised amounts, donor counts and the daily trend
+// are summed on the fly, so re-attributing a donation moves it at once.
+//
+// A campaign's status follows its dates: Upcoming before start_date, Ended
+// after end_date, otherwise Active (a campaign without an end date stays Active).
+
+const { lockRow, recordAudit } = require('./audit');
+
+const round2 = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// Cap on the donations offered for bulk assignment at once
+const CANDIDATE_LIMIT = 500;
+
+const STATUS_SQL = (alias) => `CASE
+             WHEN ${alias}.start_date > CURRENT_DATE THEN 'Upcoming'
+             WHEN ${alias}.end_date < CURRENT_DATE THEN 'Ended'
+             ELSE 'Active'
+           END`;
+
+// Donations of live donors, with their donor
+const LIVE_DONATIONS_SQL = `
+  SELECT g.*, o.donor_frf_name, o.donor_frf_owner
+  FROM donations g
+  JOIN donors o ON o.id = g.donor_id AND o.deleted_at IS NULL
+`;
+
+// Live campaigns with project name, status and what they have raised so far
+const CAMPAIGN_LIST_QUERY = `
+  SELECT c.id, c.campaign_frf_name, c.campaign_frf_owner, c.modified_date,
+         c.goal_amount, c.start_date, c.end_date, c.channel, c.project_id,
+         p.project_frf_name,
+         ${STATUS_SQL('c')} AS status,
+         COALESCE(r.raised, 0) AS raised,
+         COALESCE(r.donation_count, 0)::int AS donation_count,
+         COALESCE(r.donor_count, 0)::int AS donor_count,
+         ROUND(COALESCE(r.raised, 0) * 100 / c.goal_amount, 1) AS percent_of_goal
+  FROM campaigns c
+  LEFT JOIN projects p ON p.id = c.project_id
+  LEFT JOIN LATERAL (
+    SELECT SUM(g.amount) AS raised, COUNT(*) AS donation_count, COUNT(DISTINCT g.donor_id) AS donor_count
+    FROM (${LIVE_DONATIONS_SQL}) g
+    WHERE g.campaign_id = c.id
+  ) r ON TRUE
+  WHERE c.deleted_at IS NULL
+`;
+
+/** Campaign ids a donor gave to, for the donor list's campaign filter */
+const donorCampaignIdsSql = (alias) =>
+  `ARRAY(SELECT DISTINCT x.campaign_id FROM donations x WHERE x.donor_id = ${alias}.id AND x.campaign_id IS NOT NULL)`;
+
+/**
+ * campaignProgress - raised vs goal for one live campaign, with a day-by-day
+ * trend from the start date (or the earliest attributed gift) to today, the
+ * end date or the latest gift. new_donors gave for the first time with this
+ * campaign; `spent` is the posted expense on the campaign's live finance
+ * reports. Null if the campaign doesn't exist.
+ */
+async function campaignProgress(client, campaignId) {
+  const { rows: [campaign] } = await client.query(`SELECT * FROM (${CAMPAIGN_LIST_QUERY}) c WHERE c.id = $1`, [campaignId]);
+  if (!campaign) return null;
+
+  const { rows: [totals] } = await client.query(
+    `SELECT COUNT(DISTINCT g.donor_id) FILTER (WHERE NOT EXISTS (
+              SELECT 1 FROM donations e
+              WHERE e.donor_id = g.donor_id AND e.donation_date < g.donation_date
+            ))::int AS new_donors,
+            ROUND(AVG(g.amount), 2) AS average_gift,
+            MAX(g.amount) AS largest_gift
+     FROM (${LIVE_DONATIONS_SQL}) g
+     WHERE g.campaign_id = $1`,
+    [campaignId]
+  );
+
+  const { rows: daily } = await client.query(
+    `WITH gifts AS (
+       SELECT g.donation_date AS day, SUM(g.amount) AS amount, COUNT(*)::int AS donations
+       FROM (${LIVE_DONATIONS_SQL}) g
+       WHERE g.campaign_id = $1
+       GROUP BY g.donation_date
+     ),
+     span AS (
+       SELECT LEAST(c.start_date, (SELECT MIN(day) FROM gifts)) AS first_day,
+              GREATEST(LEAST(COALESCE(c.end_date, CURRENT_DATE), CURRENT_DATE), c.start_date, (SELECT MAX(day) FROM gifts)) AS last_day
+       FROM campaigns c
+       WHERE c.id = $1
+     )
+     SELECT to_char(d.day, 'YYYY-MM-DD') AS date,
+            COALESCE(gifts.amount, 0) AS amount,
+            COALESCE(gifts.donations, 0) AS donations
+     FROM span, generate_series(span.first_day, span.last_day, INTERVAL '1 day') AS d(day)
+     LEFT JOIN gifts ON gifts.day = d.day::date
+     ORDER BY d.day`,
+    [campaignId]
+  );
+
+  const { rows: [spending] } = await client.query(
+    `SELECT COALESCE(SUM(t.expense_amount), 0) AS spent
+     FROM finance_transactions t
+     JOIN finance_reports f ON f.id = t.finance_report_id
+     WHERE f.campaign_id = $1 AND f.deleted_at IS NULL AND t.status = 'posted'`,
+    [campaignId]
+  );
+
+  const goal = round2(campaign.goal_amount);
+  const raised = round2(campaign.raised);
+  let cumulative = 0;
+  return {
+    campaign_id: campaign.id,
+    campaign_name: campaign.campaign_frf_name,
+    status: campaign.status,
+    start_date: campaign.start_date,
+    end_date: campaign.end_date,
+    goal,
+    raised,
+    remaining: round2(Math.max(goal - raised, 0)),
+    percent_of_goal: Number(campaign.percent_of_goal),
+    donation_count: campaign.donation_count,
+    donor_count: campaign.donor_count,
+    new_donors: totals.new_donors,
+    average_gift: totals.average_gift == null ? null : round2(totals.average_gift),
+    largest_gift: totals.largest_gift == null ? null : round2(totals.largest_gift),
+    spent: round2(spending.spent),
+    daily: daily.map(d => {
+      cumulative = round2(cumulative + Number(d.amount));
+      return { date: d.date, amount: round2(d.amount), donations: d.donations, cumulative };
+    }),
+  };
+}
+
+/**
+ * assignmentCandidates - donations that could be attributed to a campaign:
+ * by default unattributed ones dated within the campaign (or `from`/`to`),
+ * optionally matching `search` in the donor name, purpose or remarks.
+ * `scope` is ownerScope(req, 'donors'), so members only see their donors' gifts.
+ */
+async function assignmentCandidates(client, campaign, { from, to, search, includeAttributed = false, scope = null } = {}) {
+  const params = [from || campaign.start_date, to || campaign.end_date || null, campaign.id];
+  const where = ['g.donation_date >= $1', '($2::date IS NULL OR g.donation_date <= $2)', 'g.campaign_id IS DISTINCT FROM $3'];
+  if (!includeAttributed) where.push('g.campaign_id IS NULL');
+  if (search) {
+    params.push(`%${search}%`);
+    where.push(`(g.donor_frf_name ILIKE $${params.length} OR g.purpose ILIKE $${params.length} OR g.remarks ILIKE $${params.length})`);
+  }
+  if (scope) {
+    params.push(scope.userId);
+    where.push(`g.donor_frf_owner = $${params.length}`);
+  }
+
+  const { rows } = await client.query(
+    `SELECT g.donation_id, g.donor_id, g.donor_frf_name, g.donation_date, g.amount, g.purpose, g.remarks,
+            g.campaign_id, c.campaign_frf_name
+     FROM (${LIVE_DONATIONS_SQL}) g
+     LEFT JOIN campaigns c ON c.id = g.campaign_id
+     WHERE ${where.join(' AND ')}
+     ORDER BY g.donation_date DESC, g.donation_id DESC
+     LIMIT ${CANDIDATE_LIMIT}`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * assignDonations - attribute donations to a campaign inside the caller's
+ * transaction, one audited update per donation (the donor's history shows it).
+ * `campaignId` null detaches them. Donations of trashed donors, or of donors
+ * outside `scope`, are skipped. Returns { assigned, skipped }.
+ */
+async function assignDonations(client, req, campaignId, donationIds, scope = null) {
+  const assigned = [];
+  const skipped = [];
+
+  for (const donationId of [...new Set(donationIds)]) {
+    const before = await lockRow(client, 'donations', 'donation_id', donationId);
+    if (!before) {
+      skipped.push({ donation_id: donationId, reason: 'Donation not found' });
+      continue;
+    }
+    const { rows: [donor] } = await client.query('SELECT deleted_at, donor_frf_owner FROM donors WHERE id = $1', [before.donor_id]);
+    if (!donor || donor.deleted_at || (scope && donor[scope.column] !== scope.userId)) {
+      skipped.push({ donation_id: donationId, reason: 'Donor not found' });
+      continue;
+    }
+    if (before.campaign_id === campaignId) {
+      skipped.push({ donation_id: donationId, reason: campaignId ? 'Already in this campaign' : 'Not in a campaign' });
+      continue;
+    }
+
+    const { rows } = await client.query(
+      'UPDATE donations SET campaign_id = $1 WHERE donation_id = $2 RETURNING *',
+      [campaignId, donationId]
+    );
+    await recordAudit(client, req, { entity: 'donations', recordId: donationId, action: 'UPDATE', before, after: rows[0], parentEntity: 'donors', parentId: before.donor_id });
+    assigned.push(Number(donationId));
+  }
+
+  return { assigned, skipped };
+}
+
+module.exports = {
+  CAMPAIGN_LIST_QUERY,
+  donorCampaignIdsSql,
+  campaignProgress,
+  assignmentCandidates,
+  assignDonations,
+};
@@ -0,0 +1,194 @@
+// backend/utils/donorAnalytics.js
+// Giving statistics for donors, worked out from `donations` on every query so
+// they can't drift: lifetime giving, gift count, first/last/average gift,
+// recency/frequency/monetary (RFM) scores and a segment name, plus retention
+// by financial year. Also the saved donor segments (donor_segments).
+//
+// RFM scores run 1–5. Recency is by days since the last gift (90, 180, 365,
+// 730); frequency and monetary are by percentile among donors who have given
+// at all, across every donor regardless of who owns them, so a score means the
+// same thing for every user. Segments, first match wins:
+//   Champions    recency, frequency and monetary all 4+
+//   Loyal        frequency 4+, recency 3+
+//   New          recency 4+, a single gift
+//   Promising    recency 3+
+//   At risk      recency 2 or less, but frequency 3+ or monetary 4+
+//   Hibernating  recency 2
+//   Lost         recency 1
+// Donors without gifts have no scores or segment.
+
+const uiConfig = require('../config/uiConfig');
+
+const SEGMENTS = ['Champions', 'Loyal', 'New', 'Promising', 'At risk', 'Hibernating', 'Lost'];
+
+// Giving stats for the donors row `alias`
+const givingJoin = (alias) => `
+  LEFT JOIN LATERAL (
+    SELECT COALESCE(SUM(g.amount), 0) AS lifetime_giving,
+           COUNT(g.donation_id)::int AS gift_count,
+           MIN(g.donation_date) AS first_gift_date,
+           MAX(g.donation_date) AS last_gift_date,
+           ROUND(AVG(g.amount), 2) AS average_gift
+    FROM donations g
+    WHERE g.donor_id = ${alias}.id
+  ) gs ON TRUE`;
+
+const RECENCY_SCORE = `CASE
+               WHEN gs.gift_count = 0 THEN NULL
+               WHEN gs.last_gift_date > CURRENT_DATE - 90 THEN 5
+               WHEN gs.last_gift_date > CURRENT_DATE - 180 THEN 4
+               WHEN gs.last_gift_date > CURRENT_DATE - 365 THEN 3
+               WHEN gs.last_gift_date > CURRENT_DATE - 730 THEN 2
+               ELSE 1
+             END`;
+
+// 1–5 by percentile; ties share a score
+const score = (orderBy) =>
+  `CASE WHEN gs.gift_count > 0 THEN LEAST(5, 1 + FLOOR(PERCENT_RANK() OVER (PARTITION BY gs.gift_count > 0 ORDER BY ${orderBy}) * 5))::int END`;
+
+/**
+ * donorGivingQuery - every live donor (d.*) with giving stats, RFM scores and
+ * giving_segment. `extraColumns` are more expressions over `d`, e.g. the
+ * pledge standing; the list routes page and filter the result as usual.
+ */
+function donorGivingQuery(extraColumns = []) {
+  return `
+    SELECT s.*,
+           CASE
+             WHEN s.gift_count = 0 THEN NULL
+             WHEN s.recency_score >= 4 AND s.frequency_score >= 4 AND s.monetary_score >= 4 THEN 'Champions'
+             WHEN s.recency_score >= 3 AND s.frequency_score >= 4 THEN 'Loyal'
+             WHEN s.recency_score >= 4 AND s.gift_count = 1 THEN 'New'
+             WHEN s.recency_score >= 3 THEN 'Promising'
+             WHEN s.frequency_score >= 3 OR s.monetary_score >= 4 THEN 'At risk'
+             WHEN s.recency_score = 2 THEN 'Hibernating'
+             ELSE 'Lost'
+           END AS giving_segment
+    FROM (
+      SELECT d.*,
+             ${extraColumns.map(c => `${c},`).join('\n             ')}
+             gs.lifetime_giving,
+             gs.gift_count,
+             gs.first_gift_date,
+             gs.last_gift_date,
+             gs.average_gift,
+             CURRENT_DATE - gs.last_gift_date AS days_since_last_gift,
+             ${RECENCY_SCORE} AS recency_score,
+             ${score('gs.gift_count')} AS frequency_score,
+             ${score('gs.lifetime_giving')} AS monetary_score
+      FROM donors d
+      ${givingJoin('d')}
+      WHERE d.deleted_at IS NULL
+    ) s
+  `;
+}
+
+const fyLabel = (startYear) => `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+const ratio = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : null);
+
+/**
+ * donorAnalytics - dashboard figures for the donors the user can see
+ * `scope` is ownerScope(req, 'donors'); `years` limits the retention table.
+ * Retention for a financial year (April–March) is the share of the previous
+ * year's donors who gave again; reactivated donors gave before, but not in the
+ * previous year.
+ */
+async function donorAnalytics(client, { scope = null, years = 5 } = {}) {
+  const params = scope ? [scope.userId] : [];
+  const scopeSql = (alias) => (scope ? `AND ${alias}.${scope.column} = $1` : '');
+
+  const { rows: [summary] } = await client.query(
+    `SELECT COUNT(*)::int AS donors,
+            COUNT(*) FILTER (WHERE s.gift_count > 0)::int AS donors_with_gifts,
+            COUNT(*) FILTER (WHERE s.last_gift_date > CURRENT_DATE - INTERVAL '12 months')::int AS active_donors,
+            COALESCE(SUM(s.lifetime_giving), 0) AS lifetime_giving,
+            COALESCE(SUM(s.gift_count), 0)::int AS gifts,
+            ROUND(COALESCE(SUM(s.lifetime_giving) / NULLIF(SUM(s.gift_count), 0), 0), 2) AS average_gift
+     FROM (${donorGivingQuery()}) s
+     WHERE TRUE ${scopeSql('s')}`,
+    params
+  );
+
+  const { rows: segments } = await client.query(
+    `SELECT s.giving_segment AS segment,
+            COUNT(*)::int AS donors,
+            COALESCE(SUM(s.lifetime_giving), 0) AS lifetime_giving
+     FROM (${donorGivingQuery()}) s
+     WHERE s.giving_segment IS NOT NULL ${scopeSql('s')}
+     GROUP BY s.giving_segment`,
+    params
+  );
+
+  const { rows: byYear } = await client.query(
+    `WITH gifts AS (
+       SELECT g.donor_id,
+              EXTRACT(YEAR FROM g.donation_date - INTERVAL '3 months')::int AS fy,
+              SUM(g.amount) AS amount
+       FROM donations g
+       JOIN donors d ON d.id = g.donor_id AND d.deleted_at IS NULL ${scopeSql('d')}
+       GROUP BY 1, 2
+     ),
+     firsts AS (SELECT donor_id, MIN(fy) AS first_fy FROM gifts GROUP BY donor_id)
+     SELECT g.fy,
+            COUNT(*)::int AS donors,
+            SUM(g.amount) AS giving,
+            COUNT(*) FILTER (WHERE f.first_fy = g.fy)::int AS new_donors,
+            COUNT(p.donor_id)::int AS retained_donors,
+            (SELECT COUNT(*) FROM gifts x WHERE x.fy = g.fy - 1)::int AS previous_donors
+     FROM gifts g
+     JOIN firsts f ON f.donor_id = g.donor_id
+     LEFT JOIN gifts p ON p.donor_id = g.donor_id AND p.fy = g.fy - 1
+     GROUP BY g.fy
+     ORDER BY g.fy`,
+    params
+  );
+
+  const retention = byYear.slice(-years).map(y => ({
+    financial_year: fyLabel(y.fy),
+    donors: y.donors,
+    giving: y.giving,
+    new_donors: y.new_donors,
+    retained_donors: y.retained_donors,
+    reactivated_donors: y.donors - y.new_donors - y.retained_donors,
+    previous_donors: y.previous_donors,
+    lapsed_donors: y.previous_donors - y.retained_donors,
+    retention_rate: ratio(y.retained_donors, y.previous_donors),
+  }));
+
+  const bySegment = Object.fromEntries(segments.map(s => [s.segment, s]));
+  return {
+    summary,
+    retention,
+    segments: SEGMENTS.map(name => bySegment[name] || { segment: name, donors: 0, lifetime_giving: '0' }),
+  };
+}
+
+/**
+ * Segment criteria: list query parameters the donor list understands, minus
+ * paging. Anything else is dropped so a stored segment can't carry junk.
+ */
+function segmentCriteriaKeys() {
+  const keys = new Set(['search', 'sort', 'order']);
+  for (const col of uiConfig.donors.columns) {
+    if (col.filterType === 'numberRange') keys.add(`${col.key}_min`).add(`${col.key}_max`);
+    else if (col.filterType === 'date') keys.add(`${col.key}_from`).add(`${col.key}_to`);
+    else if (col.filterType) keys.add(col.key);
+  }
+  return keys;
+}
+
+function cleanCriteria(criteria) {
+  const allowed = segmentCriteriaKeys();
+  const clean = {};
+  for (const [key, value] of Object.entries(criteria || {})) {
+    if (allowed.has(key) && value !== null && value !== undefined && value !== '') clean[key] = String(value);
+  }
+  return clean;
+}
+
+module.exports = {
+  SEGMENTS,
+  donorGivingQuery,
+  donorAnalytics,
+  cleanCriteria,
+};
@@ -0,0 +1,464 @@
+// backend/utils/duplicates.js
+// Duplicate detection and merging for donors, volunteers and students.
+//
+// Candidate pairs are scored out of 100: name similarity (pg_trgm, up to 40),
+// a primary or secondary email shared in either direction (35), the same phone
+// number ignoring formatting and country code (15) and a similar address (up to
+// 10). Only pairs with at least one signal are compared, and pairs someone
+// dismissed as "not a duplicate" are left out.
+//
+// A merge keeps one record (the survivor), takes each field from whichever
+// record the caller picks, moves the other record's child rows over and deletes
+// it, all in one transaction. The whole operation is logged in record_merges
+// for review, and audited as MERGE on both records.
+
+const db = require('../db');
+const entities = require('../config/entities');
+const { recordAudit } = require('./audit');
+const { ownerScope } = require('./ownership');
+const { buildSetClause } = require('./sql');
+
+const NAME_WEIGHT = 40;
+const EMAIL_WEIGHT = 35;
+const PHONE_WEIGHT = 15;
+const ADDRESS_WEIGHT = 10;
+// Addresses less alike than this don't count at all
+const ADDRESS_MIN_SIMILARITY = 0.5;
+
+const DEFAULT_MIN_SCORE = Number(process.env.DUPLICATE_MIN_SCORE || 30);
+const MAX_PAIRS = 200;
+
+// Which columns hold the phone and address, and which detail tables move on a
+// merge: the key of the table in config/entities.js and its audit entity name.
+// `references` are other tables that point at the record by id and follow it
+// to the survivor too (issued 80G receipts keep their donor)
+const DUPLICATE_RULES = {
+  donors: {
+    phone: 'contact_number', address: 'address',
+    children: [{ key: 'child', auditEntity: 'donations' }, { key: 'pledges', auditEntity: 'pledges' }],
+    references: [{ table: 'donation_receipts', pk: 'receipt_id', column: 'donor_id' }],
+  },
+  volunteers: {
+    phone: 'contact_number', address: 'address',
+    children: [{ key: 'child', auditEntity: 'volunteer_attendance' }],
+  },
+  students: {
+    phone: 'parents_contact_number', address: 'address',
+    children: [{ key: 'child', auditEntity: 'session_logs' }],
+  },
+};
+
+// Never taken from the merged record
+const SYSTEM_COLUMNS = ['id', 'created_by_date', 'created_by_user_id', 'modified_by_user_id', 'modified_date', 'deleted_at', 'deleted_by'];
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * pairSql - scored candidate pairs of one entity, best first.
+ * `where` filters the records compared (e.g. owner scope); `pairWhere` the pairs.
+ */
+function pairSql(entity, { where = [], pairWhere = [] } = {}) {
+  const { table, nameColumn } = entities[entity];
+  const { phone, address } = DUPLICATE_RULES[entity];
+
+  return `
+    WITH r AS (
+      SELECT id, ${nameColumn} AS name, lower(${nameColumn}) AS name_key,
+             lower(NULLIF(TRIM(email), '')) AS email_key,
+             lower(NULLIF(TRIM(secondary_email), '')) AS email2_key,
+             NULLIF(RIGHT(regexp_replace(COALESCE(${phone}, ''), '\\D', '', 'g'), 10), '') AS phone_key,
+             lower(NULLIF(TRIM(${address}), '')) AS address_key
+      FROM ${table}
+      WHERE ${['deleted_at IS NULL', ...where].join(' AND ')}
+    ),
+    pairs AS (
+      SELECT a.id AS id_a, a.name AS name_a, b.id AS id_b, b.name AS name_b,
+             similarity(a.name_key, b.name_key) AS name_similarity,
+             COALESCE(a.email_key IN (b.email_key, b.email2_key) OR a.email2_key IN (b.email_key, b.email2_key), FALSE) AS email_match,
+             COALESCE(a.phone_key = b.phone_key, FALSE) AS phone_match,
+             COALESCE(similarity(a.address_key, b.address_key), 0) AS address_similarity
+      FROM r a
+      JOIN r b ON a.id < b.id
+       AND (a.name_key % b.name_key
+            OR a.email_key IN (b.email_key, b.email2_key)
+            OR a.email2_key IN (b.email_key, b.email2_key)
+            OR a.phone_key = b.phone_key)
+    )
+    SELECT p.*,
+           ROUND((p.name_similarity * ${NAME_WEIGHT}
+             + CASE WHEN p.email_match THEN ${EMAIL_WEIGHT} ELSE 0 END
+             + CASE WHEN p.phone_match THEN ${PHONE_WEIGHT} ELSE 0 END
+             + CASE WHEN p.address_similarity >= ${ADDRESS_MIN_SIMILARITY} THEN p.address_similarity * ${ADDRESS_WEIGHT} ELSE 0 END)::numeric, 1) AS score
+    FROM pairs p
+    WHERE NOT EXISTS (
+      SELECT 1 FROM duplicate_dismissals x
+      WHERE x.entity = '${entity}' AND x.record_a = p.id_a AND x.record_b = p.id_b
+    )
+    ${pairWhere.length ? `AND ${pairWhere.join(' AND ')}` : ''}
+  `;
+}
+
+// Plain-language reasons for a scored pair
+function describePair(row) {
+  const reasons = [];
+  const nameSimilarity = Number(row.name_similarity);
+  if (nameSimilarity >= 0.99) reasons.push('Same name');
+  else if (nameSimilarity >= 0.3) reasons.push(`Name ${Math.round(nameSimilarity * 100)}% similar`);
+  if (row.email_match) reasons.push('Shared email');
+  if (row.phone_match) reasons.push('Same phone number');
+  if (Number(row.address_similarity) >= ADDRESS_MIN_SIMILARITY) reasons.push('Similar address');
+  return reasons;
+}
+
+const toPair = (row) => ({
+  record_a: { id: row.id_a, name: row.name_a },
+  record_b: { id: row.id_b, name: row.name_b },
+  score: Number(row.score),
+  reasons: describePair(row),
+  name_similarity: Math.round(Number(row.name_similarity) * 100) / 100,
+  email_match: row.email_match,
+  phone_match: row.phone_match,
+  address_similarity: Math.round(Number(row.address_similarity) * 100) / 100,
+});
+
+/**
+ * findDuplicates - scored pairs of live records, best first. `recordId` limits
+ * them to pairs involving one record; `scope` is ownerScope(req, entity), so
+ * scoped users only compare their own records.
+ */
+async function findDuplicates(client, entity, { minScore = DEFAULT_MIN_SCORE, limit = 50, recordId = null, scope = null } = {}) {
+  const params = [minScore, Math.min(limit, MAX_PAIRS)];
+  const where = [];
+  const pairWhere = [];
+  if (scope) {
+    params.push(scope.userId);
+    where.push(`${scope.column} = $${params.length}`);
+  }
+  if (recordId) {
+    params.push(recordId);
+    pairWhere.push(`(p.id_a = $${params.length} OR p.id_b = $${params.length})`);
+  }
+
+  const { rows } = await client.query(
+    `SELECT * FROM (${pairSql(entity, { where, pairWhere })}) s
+     WHERE s.score >= $1
+     ORDER BY s.score DESC, s.id_a, s.id_b
+     LIMIT $2`,
+    params
+  );
+  return rows.map(toPair);
+}
+
+/** scorePair - the score and reasons for two given records (null when they share nothing) */
+async function scorePair(client, entity, idA, idB) {
+  const [a, b] = [String(idA), String(idB)].sort();
+  const { rows } = await client.query(
+    `SELECT * FROM (${pairSql(entity, { where: ['id IN ($1, $2)'] })}) s`,
+    [a, b]
+  );
+  return rows[0] ? toPair(rows[0]) : null;
+}
+
+/** The columns a merge can take from either record */
+const mergeableColumns = (row) => Object.keys(row).filter(c => !SYSTEM_COLUMNS.includes(c));
+
+/**
+ * resolveSources - keep the survivor's value unless it is blank and the merged
+ * record has one. `fieldSources` overrides per column ('survivor' | 'merged').
+ */
+function resolveSources(survivor, merged, fieldSources = {}) {
+  const unknown = Object.keys(fieldSources).filter(c => !mergeableColumns(survivor).includes(c));
+  if (unknown.length) throw httpError(400, `Unknown field(s): ${unknown.join(', ')}`);
+
+  const sources = {};
+  for (const column of mergeableColumns(survivor)) {
+    const chosen = fieldSources[column];
+    if (chosen === 'survivor' || chosen === 'merged') sources[column] = chosen;
+    else sources[column] = isBlank(survivor[column]) && !isBlank(merged[column]) ? 'merged' : 'survivor';
+  }
+  return sources;
+}
+
+/**
+ * mergedValues - the survivor's row after the merge. The primary email that
+ * isn't kept becomes the secondary email when that ends up empty, so both
+ * addresses stay on file.
+ */
+function mergedValues(survivor, merged, sources) {
+  const values = {};
+  for (const [column, source] of Object.entries(sources)) {
+    values[column] = source === 'merged' ? merged[column] : survivor[column];
+  }
+
+  const dropped = sources.email === 'merged' ? survivor : merged;
+  if ('secondary_email' in values && isBlank(values.secondary_email) && dropped.email && dropped.email !== values.email) {
+    values.secondary_email = dropped.email;
+    sources.secondary_email = dropped === survivor ? 'survivor' : 'merged';
+  }
+  return values;
+}
+
+/** Both records locked in id order (so two merges can't deadlock), or a 404 */
+async function lockPair(client, entity, survivorId, mergedId, scope) {
+  const { table, label } = entities[entity];
+  const { rows } = await client.query(
+    `SELECT * FROM ${table} WHERE id IN ($1, $2) ORDER BY id FOR UPDATE`,
+    [survivorId, mergedId]
+  );
+  const survivor = rows.find(r => r.id === survivorId);
+  const merged = rows.find(r => r.id === mergedId);
+  for (const row of [survivor, merged]) {
+    if (!row || row.deleted_at || (scope && row[scope.column] !== scope.userId)) {
+      throw httpError(404, `${label} not found`);
+    }
+  }
+  return { survivor, merged };
+}
+
+/** Child row counts per detail table, for the merge preview */
+async function childCounts(client, entity, ids) {
+  const counts = {};
+  for (const { key } of DUPLICATE_RULES[entity].children) {
+    const { table, parentKey } = entities[entity][key];
+    const { rows } = await client.query(
+      `SELECT ${parentKey} AS parent_id, COUNT(*)::int AS n FROM ${table} WHERE ${parentKey} = ANY($1) GROUP BY ${parentKey}`,
+      [ids]
+    );
+    counts[table] = Object.fromEntries(ids.map(id => [id, rows.find(r => r.parent_id === id)?.n ?? 0]));
+  }
+  for (const { table, column } of DUPLICATE_RULES[entity].references || []) {
+    const { rows } = await client.query(
+      `SELECT ${column} AS parent_id, COUNT(*)::int AS n FROM ${table} WHERE ${column} = ANY($1) GROUP BY ${column}`,
+      [ids]
+    );
+    counts[table] = Object.fromEntries(ids.map(id => [id, rows.find(r => r.parent_id === id)?.n ?? 0]));
+  }
+  return counts;
+}
+
+/**
+ * previewMerge - both records side by side with the value each field would
+ * take, the child rows that would move, and the pair's score.
+ */
+async function previewMerge(client, entity, { survivorId, mergedId, fieldSources, scope }) {
+  if (survivorId === mergedId) throw httpError(400, 'Pick two different records');
+  const { table, label } = entities[entity];
+
+  const { rows } = await client.query(`SELECT * FROM ${table} WHERE id IN ($1, $2)`, [survivorId, mergedId]);
+  const survivor = rows.find(r => r.id === survivorId);
+  const merged = rows.find(r => r.id === mergedId);
+  for (const row of [survivor, merged]) {
+    if (!row || row.deleted_at || (scope && row[scope.column] !== scope.userId)) throw httpError(404, `${label} not found`);
+  }
+
+  const sources = resolveSources(survivor, merged, fieldSources);
+  const result = mergedValues(survivor, merged, sources);
+  const counts = await childCounts(client, entity, [survivorId, mergedId]);
+
+  return {
+    survivor,
+    merged,
+    fields: Object.keys(sources).map(column => ({
+      column,
+      survivor: survivor[column],
+      merged: merged[column],
+      source: sources[column],
+      result: result[column],
+    })),
+    children: Object.entries(counts).map(([childTable, byId]) => ({
+      table: childTable,
+      survivor: byId[survivorId],
+      merged: byId[mergedId],
+    })),
+    pair: await scorePair(client, entity, survivorId, mergedId),
+  };
+}
+
+/**
+ * mergeRecords - merge `mergedId` into `survivorId` inside the caller's
+ * transaction: re-parent the child rows (each audited as an UPDATE of the
+ * survivor's children) and the references, delete the merged record, apply the chosen values to
+ * the survivor and log the merge. Returns the record_merges row.
+ */
+async function mergeRecords(client, req, entity, { survivorId, mergedId, fieldSources, note = null, scope = null }) {
+  if (survivorId === mergedId) throw httpError(400, 'Pick two different records');
+  const { table } = entities[entity];
+
+  const pair = await scorePair(client, entity, survivorId, mergedId);
+  const { survivor, merged } = await lockPair(client, entity, survivorId, mergedId, scope);
+  const sources = resolveSources(survivor, merged, fieldSources);
+  const values = mergedValues(survivor, merged, sources);
+
+  const movedChildren = {};
+  for (const { key, auditEntity } of DUPLICATE_RULES[entity].children) {
+    const child = entities[entity][key];
+    const { rows: moving } = await client.query(
+      `SELECT * FROM ${child.table} WHERE ${child.parentKey} = $1 ORDER BY ${child.pk} FOR UPDATE`,
+      [mergedId]
+    );
+    if (!moving.length) continue;
+
+    const { rows: moved } = await client.query(
+      `UPDATE ${child.table} SET ${child.parentKey} = $1 WHERE ${child.parentKey} = $2 RETURNING *`,
+      [survivorId, mergedId]
+    );
+    for (const before of moving) {
+      const after = moved.find(r => r[child.pk] === before[child.pk]);
+      await recordAudit(client, req, { entity: auditEntity, recordId: before[child.pk], action: 'UPDATE', before, after, parentEntity: entity, parentId: survivorId });
+    }
+    movedChildren[child.table] = moving.map(r => r[child.pk]);
+  }
+  for (const { table: refTable, pk, column } of DUPLICATE_RULES[entity].references || []) {
+    const { rows: relinked } = await client.query(
+      `UPDATE ${refTable} SET ${column} = $1 WHERE ${column} = $2 RETURNING ${pk}`,
+      [survivorId, mergedId]
+    );
+    if (relinked.length) movedChildren[refTable] = relinked.map(r => r[pk]);
+  }
+
+  // The merged row goes first so the survivor can take over its unique values (email, ids)
+  await client.query(`DELETE FROM ${table} WHERE id = $1`, [mergedId]);
+  await recordAudit(client, req, { entity, recordId: mergedId, action: 'MERGE', before: merged, after: { merged_into: survivorId } });
+
+  const changed = Object.fromEntries(Object.entries(values).filter(([column, value]) => value !== survivor[column]));
+  let after = survivor;
+  if (Object.keys(changed).length) {
+    const { setSql, values: params } = buildSetClause(changed);
+    const { rows } = await client.query(
+      `UPDATE ${table}
+       SET ${setSql}, modified_by_user_id = COALESCE($${params.length + 1}, modified_by_user_id), modified_date = NOW()
+       WHERE id = $${params.length + 2}
+       RETURNING *`,
+      [...params, req.user?.user_id ?? null, survivorId]
+    );
+    after = rows[0];
+  }
+  await recordAudit(client, req, { entity, recordId: survivorId, action: 'MERGE', before: survivor, after: { ...after, merged_from: mergedId } });
+
+  await client.query(
+    'DELETE FROM duplicate_dismissals WHERE entity = $1 AND $2 IN (record_a, record_b)',
+    [entity, mergedId]
+  );
+
+  const { rows: [log] } = await client.query(
+    `INSERT INTO record_merges (
+       entity, survivor_id, merged_id, score, reasons, field_sources,
+       survivor_before, survivor_after, merged_record, moved_children,
+       note, merged_by, merged_by_api_key_id
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     RETURNING *`,
+    [
+      entity, survivorId, mergedId, pair ? pair.score : null,
+      JSON.stringify(pair ? pair.reasons : []), JSON.stringify(sources),
+      JSON.stringify(survivor), JSON.stringify(after), JSON.stringify(merged), JSON.stringify(movedChildren),
+      note || null, req.user?.user_id ?? null, req.user?.api_key_id ?? null,
+    ]
+  );
+  return log;
+}
+
+/* ---------------------------------------------------------
+   Route handlers, mounted by the donor, volunteer and student routers
+--------------------------------------------------------- */
+
+// Handlers answer util errors that carry an HTTP status with it
+const handle = (what, fn) => async (req, res) => {
+  try {
+    await fn(req, res);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(`Error ${what}:`, err);
+    res.status(500).json({ error: `Error ${what}` });
+  }
+};
+
+/**
+ * duplicatesHandler - GET /duplicates?min_score=30&limit=50&record_id=
+ */
+function duplicatesHandler(entity) {
+  return handle('finding duplicates', async (req, res) => {
+    const minScore = Math.min(Math.max(Number(req.query.min_score) || DEFAULT_MIN_SCORE, 1), 100);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAIRS);
+    const pairs = await findDuplicates(db, entity, {
+      minScore,
+      limit,
+      recordId: req.query.record_id ? String(req.query.record_id) : null,
+      scope: await ownerScope(req, entity),
+    });
+    res.json({ data: pairs, min_score: minScore });
+  });
+}
+
+/**
+ * mergePreviewHandler - POST /merge/preview { survivor_id, merged_id, field_sources }
+ */
+function mergePreviewHandler(entity) {
+  return handle('previewing the merge', async (req, res) => {
+    const { survivor_id, merged_id, field_sources } = req.body;
+    res.json(await previewMerge(db, entity, {
+      survivorId: String(survivor_id),
+      mergedId: String(merged_id),
+      fieldSources: field_sources || {},
+      scope: await ownerScope(req, entity),
+    }));
+  });
+}
+
+/**
+ * mergeHandler - POST /merge { survivor_id, merged_id, field_sources, note }
+ */
+function mergeHandler(entity) {
+  return handle('merging records', async (req, res) => {
+    const { survivor_id, merged_id, field_sources, note } = req.body;
+    const scope = await ownerScope(req, entity);
+    const merge = await db.withTransaction(client => mergeRecords(client, req, entity, {
+      survivorId: String(survivor_id),
+      mergedId: String(merged_id),
+      fieldSources: field_sources || {},
+      note,
+      scope,
+    }));
+    res.status(201).json(merge);
+  });
+}
+
+/**
+ * dismissDuplicateHandler - POST /duplicates/dismiss { record_ids: [a, b] }
+ * The pair is no longer offered.
+ */
+function dismissDuplicateHandler(entity) {
+  const { table, label } = entities[entity];
+
+  return handle('dismissing the pair', async (req, res) => {
+    const [a, b] = req.body.record_ids.map(String).sort();
+    if (a === b) throw httpError(400, 'Pick two different records');
+
+    const scope = await ownerScope(req, entity);
+    const { rows } = await db.query(`SELECT id, deleted_at, ${entities[entity].ownerColumn} FROM ${table} WHERE id IN ($1, $2)`, [a, b]);
+    if (rows.length !== 2 || rows.some(r => r.deleted_at || (scope && r[scope.column] !== scope.userId))) {
+      throw httpError(404, `${label} not found`);
+    }
+
+    await db.query(
+      `INSERT INTO duplicate_dismissals (entity, record_a, record_b, dismissed_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (entity, record_a, record_b) DO NOTHING`,
+      [entity, a, b, req.user?.user_id ?? null]
+    );
+    res.json({ message: 'Marked as not a duplicate', record_ids: [a, b] });
+  });
+}
+
+module.exports = {
+  DEFAULT_MIN_SCORE,
+  findDuplicates,
+  scorePair,
+  previewMerge,
+  mergeRecords,
+  duplicatesHandler,
+  mergePreviewHandler,
+  mergeHandler,
+  dismissDuplicateHandler,
+};
@@ -0,0 +1,127 @@
+// backend/utils/emailOutbox.js
+// Persisted outbox for outgoing mail. Callers queue a row inside their own
+// transaction; the worker renders and sends it, retrying with backoff.
+// Each kind registers a `build(email)` that returns the message (or { skip })
+// and an optional `onDelivered(client, email)` run in the same transaction
+// that marks the row SENT.
+
+const db = require('../db');
+const { transporter, fromAddress } = require('./mailer');
+
+const MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS || 5);
+const POLL_INTERVAL_MS = Number(process.env.EMAIL_OUTBOX_INTERVAL_MS || 60000);
+const BATCH_SIZE = 20;
+// Minutes to wait before retry n (the last value repeats)
+const BACKOFF_MINUTES = [1, 5, 30, 120, 720];
+// A SENDING row older than this belongs to a worker that died mid-send
+const STALE_LOCK_MINUTES = 10;
+
+const kinds = {};
+
+function registerEmailKind(kind, handlers) {
+  kinds[kind] = handlers;
+}
+
+/**
+ * enqueueEmail - queue a message using the caller's transaction client
+ * Nothing is sent until the transaction commits and the worker picks it up.
+ */
+async function enqueueEmail(client, { kind, recordId = null, createdBy = null }) {
+  const { rows } = await client.query(
+    `INSERT INTO email_outbox (kind, record_id, max_attempts, created_by)
+     VALUES ($1, $2, $3, $4) RETURNING *`,
+    [kind, recordId == null ? null : String(recordId), MAX_ATTEMPTS, createdBy]
+  );
+  return rows[0];
+}
+
+async function deliver(email) {
+  try {
+    const kind = kinds[email.kind];
+    if (!kind) throw new Error(`Unknown email kind: ${email.kind}`);
+
+    const message = await kind.build(email);
+    if (message.skip) {
+      await db.query(
+        `UPDATE email_outbox SET status = 'SKIPPED', locked_at = NULL, last_error = $2 WHERE email_id = $1`,
+        [email.email_id, message.skip]
+      );
+      return;
+    }
+
+    await transporter.sendMail({ from: fromAddress(message.fromName), ...message.mail });
+
+    await db.withTransaction(async (client) => {
+      await client.query(
+        `UPDATE email_outbox
+         SET status = 'SENT', sent_at = NOW(), locked_at = NULL, last_error = NULL, to_address = $2, subject = $3
+         WHERE email_id = $1`,
+        [email.email_id, message.mail.to, message.mail.subject]
+      );
+      if (kind.onDelivered) await kind.onDelivered(client, email);
+    });
+  } catch (err) {
+    const gaveUp = email.attempts >= email.max_attempts;
+    const wait = BACKOFF_MINUTES[Math.min(email.attempts, BACKOFF_MINUTES.length) - 1];
+    console.warn(`Email ${email.email_id} (${email.kind}) attempt ${email.attempts} failed:`, err.message);
+    await db.query(
+      `UPDATE email_outbox
+       SET status = $2, locked_at = NULL, last_error = $3, next_attempt_at = NOW() + make_interval(mins => $4)
+       WHERE email_id = $1`,
+      [email.email_id, gaveUp ? 'FAILED' : 'PENDING', err.message, wait]
+    );
+  }
+}
+
+let running = false;
+
+/**
+ * processOutbox - claim and send the messages that are due
+ * Rows are claimed with SKIP LOCKED, so several server instances can share the queue.
+ * Returns the number of messages attempted.
+ */
+async function processOutbox() {
+  if (running) return 0;
+  running = true;
+  try {
+    const { rows } = await db.query(
+      `UPDATE email_outbox
+       SET status = 'SENDING', locked_at = NOW(), attempts = attempts + 1
+       WHERE email_id IN (
+         SELECT email_id FROM email_outbox
+         WHERE (status = 'PENDING' AND next_attempt_at <= NOW())
+            OR (status = 'SENDING' AND locked_at < NOW() - make_interval(mins => $2))
+         ORDER BY next_attempt_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [BATCH_SIZE, STALE_LOCK_MINUTES]
+    );
+    for (const email of rows) await deliver(email);
+    return rows.length;
+  } finally {
+    running = false;
+  }
+}
+
+/** kickOutbox - send right away instead of waiting for the next poll */
+function kickOutbox() {
+  setImmediate(() => processOutbox().catch(err => console.error('Email outbox error:', err.message)));
+}
+
+/** startOutboxWorker - poll the outbox every EMAIL_OUTBOX_INTERVAL_MS */
+function startOutboxWorker() {
+  const timer = setInterval(kickOutbox, POLL_INTERVAL_MS);
+  timer.unref();
+  kickOutbox();
+  return timer;
+}
+
+module.exports = {
+  registerEmailKind,
+  enqueueEmail,
+  processOutbox,
+  kickOutbox,
+  startOutboxWorker,
+};
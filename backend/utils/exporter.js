@@ -0,0 +1,287 @@
+// backend/utils/exporter.js
+// CSV / XLSX / PDF export for FRF lists and single records.
+// List exports reuse the list endpoint's filter + sort plan (utils/listQuery.js);
+// record PDFs follow the DetailView layout in config/exportLayouts.js.
+
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const db = require('../db');
+const uiConfig = require('../config/uiConfig');
+const entities = require('../config/entities');
+const exportLayouts = require('../config/exportLayouts');
+const { runExportQuery } = require('./listQuery');
+const { ownerScope } = require('./ownership');
+
+const LIST_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf',
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+const today = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+/**
+ * formatValue - display string for a DB value
+ * DATE columns are already 'YYYY-MM-DD' strings (db.js); timestamps print in
+ * server time, without the time part when it falls on midnight.
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (value instanceof Date) {
+    const date = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    if (!value.getHours() && !value.getMinutes() && !value.getSeconds()) return date;
+    return `${date} ${pad(value.getHours())}:${pad(value.getMinutes())}`;
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Imported or API-written text like `=HYPERLINK(...)` would run as a formula when
+// Excel opens the CSV, so it gets a leading apostrophe. Plain numbers such as
+// -250.00 are left alone.
+const csvText = (text) =>
+  /^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text) ? `'${text}` : text;
+
+const csvCell = (value) => {
+  const text = csvText(formatValue(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function toCsv(columns, rows) {
+  const lines = [columns.map(c => csvCell(c.label)).join(',')];
+  for (const row of rows) lines.push(columns.map(c => csvCell(row[c.key])).join(','));
+  // BOM so Excel opens the file as UTF-8
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+async function toXlsx(sheetName, columns, rows) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName.slice(0, 31));
+  sheet.columns = columns.map(c => ({ header: c.label, key: c.key, width: Math.max(12, c.label.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+
+  for (const row of rows) {
+    const values = {};
+    for (const c of columns) {
+      const v = row[c.key];
+      // Keep numbers and dates native so the sheet can sum and sort them; pg
+      // returns DECIMAL as a string. Strings are stored as text, which Excel
+      // never evaluates, so they need no formula escaping here
+      if (c.numeric && v !== null && v !== undefined && v !== '' && Number.isFinite(Number(v))) values[c.key] = Number(v);
+      else values[c.key] = typeof v === 'number' || v instanceof Date ? v : formatValue(v);
+    }
+    sheet.addRow(values);
+  }
+  return workbook.xlsx.writeBuffer();
+}
+
+/* ---------- PDF helpers ---------- */
+
+function pdfBuffer(build, options = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, ...options });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    build(doc);
+    doc.end();
+  });
+}
+
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+const pageBottom = (doc) => doc.page.height - doc.page.margins.bottom;
+
+/**
+ * drawTable - simple wrapped-text grid; the header row repeats after a page break
+ * `columns` are { key, label, format? }.
+ */
+function drawTable(doc, columns, rows) {
+  const left = doc.page.margins.left;
+  const colWidth = contentWidth(doc) / columns.length;
+  const cellPad = 3;
+  const fontSize = columns.length > 8 ? 7 : 8;
+
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(fontSize);
+    return Math.max(...cells.map(text => doc.heightOfString(text, { width: colWidth - cellPad * 2 }))) + cellPad * 2;
+  };
+
+  const drawRow = (cells, font, fill) => {
+    const height = rowHeight(cells, font);
+    const y = doc.y;
+    if (fill) doc.rect(left, y, contentWidth(doc), height).fill(fill);
+    doc.fillColor('#111827').font(font).fontSize(fontSize);
+    cells.forEach((text, i) => {
+      doc.text(text, left + i * colWidth + cellPad, y + cellPad, { width: colWidth - cellPad * 2 });
+    });
+    doc.moveTo(left, y + height).lineTo(left + contentWidth(doc), y + height).strokeColor('#e5e7eb').stroke();
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  const header = columns.map(c => c.label);
+  drawRow(header, 'Helvetica-Bold', '#f3f4f6');
+
+  for (const row of rows) {
+    const cells = columns.map(c => (c.format ? c.format(row[c.key], row) : formatValue(row[c.key])));
+    if (doc.y + rowHeight(cells, 'Helvetica') > pageBottom(doc)) {
+      doc.addPage();
+      drawRow(header, 'Helvetica-Bold', '#f3f4f6');
+    }
+    drawRow(cells, 'Helvetica', null);
+  }
+
+  if (!rows.length) {
+    doc.font('Helvetica-Oblique').fontSize(fontSize).fillColor('#6b7280').text('No rows', left, doc.y + 4);
+  }
+  doc.fillColor('#111827');
+}
+
+function drawHeading(doc, title, subtitle) {
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('#111827').text(title);
+  if (subtitle) doc.font('Helvetica').fontSize(9).fillColor('#6b7280').text(subtitle);
+  doc.fillColor('#111827').moveDown(0.8);
+}
+
+function drawSectionTitle(doc, title) {
+  if (doc.y + 60 > pageBottom(doc)) doc.addPage();
+  doc.moveDown(0.6);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor('#312e81').text(title);
+  const y = doc.y + 2;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.margins.left + contentWidth(doc), y).strokeColor('#c7d2fe').stroke();
+  doc.fillColor('#111827');
+  doc.y = y + 6;
+}
+
+/** Label/value pairs laid out three to a row, like the DetailView KeyValueGrid */
+function drawKeyValues(doc, pairs) {
+  const left = doc.page.margins.left;
+  const perRow = 3;
+  const colWidth = contentWidth(doc) / perRow;
+
+  for (let i = 0; i < pairs.length; i += perRow) {
+    const chunk = pairs.slice(i, i + perRow);
+    doc.font('Helvetica').fontSize(10);
+    const height = 14 + Math.max(...chunk.map(([, value]) => doc.heightOfString(value || 'N/A', { width: colWidth - 10 })));
+    if (doc.y + height > pageBottom(doc)) doc.addPage();
+
+    const y = doc.y;
+    chunk.forEach(([label, value], j) => {
+      const x = left + j * colWidth;
+      doc.font('Helvetica-Bold').fontSize(8).fillColor('#6b7280').text(label.toUpperCase(), x, y, { width: colWidth - 10 });
+      doc.font('Helvetica').fontSize(10).fillColor('#111827').text(value || 'N/A', x, y + 12, { width: colWidth - 10 });
+    });
+    doc.x = left;
+    doc.y = y + height + 6;
+  }
+}
+
+function sendFile(res, format, filename, body) {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(body);
+}
+
+/**
+ * exportListHandler - GET /export?format=csv|xlsx|pdf for an entity router
+ *
+ * Accepts the same filter / search / sort params as the list endpoint; paging is ignored.
+ * Columns are the list view columns from config/uiConfig.js.
+ */
+function exportListHandler(entity, baseSql) {
+  const config = uiConfig[entity];
+
+  return async (req, res) => {
+    try {
+      const format = String(req.query.format || 'csv').toLowerCase();
+      if (!LIST_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${LIST_FORMATS.join(', ')}` });
+      }
+
+      const scope = await ownerScope(req, entity);
+      const { data, truncated } = await runExportQuery(db, baseSql, config, req.query, scope);
+      const columns = config.columns.map(c => ({ key: c.key, label: c.label, numeric: c.filterType === 'numberRange' }));
+      const filename = `${entity}-${today()}.${format}`;
+      if (truncated) res.setHeader('X-Export-Truncated', 'true');
+
+      if (format === 'csv') return sendFile(res, format, filename, toCsv(columns, data));
+      if (format === 'xlsx') return sendFile(res, format, filename, Buffer.from(await toXlsx(config.entityName, columns, data)));
+
+      const pdf = await pdfBuffer(doc => {
+        const note = truncated ? ` (first ${data.length} rows)` : '';
+        drawHeading(doc, config.entityName, `Exported ${new Date().toLocaleString()} · ${data.length} records${note}`);
+        drawTable(doc, columns, data);
+      }, { layout: 'landscape' });
+      sendFile(res, format, filename, pdf);
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      console.error(`Error exporting ${entity}:`, err);
+      res.status(500).json({ error: `Error exporting ${config.entityName.toLowerCase()}` });
+    }
+  };
+}
+
+/**
+ * exportRecordHandler - GET /:id/export for an entity router
+ * Renders one record as a PDF. `loadRecord(id)` returns the same object as GET /:id, or null.
+ */
+function exportRecordHandler(entity, loadRecord) {
+  const layout = exportLayouts[entity];
+  const { nameColumn } = entities[entity];
+
+  return async (req, res) => {
+    try {
+      const format = String(req.query.format || 'pdf').toLowerCase();
+      if (format !== 'pdf') return res.status(400).json({ error: 'Only pdf is supported for single records' });
+
+      const record = await loadRecord(req.params.id);
+      if (!record) return res.status(404).json({ error: 'Record not found' });
+
+      const pdf = await pdfBuffer(doc => {
+        const by = (name, email) => (name ? `${name} (${email})` : '—');
+        drawHeading(doc, record[nameColumn] || `${uiConfig[entity].entityName} #${record.id}`,
+          `Created by ${by(record.created_by_username, record.created_by_email)} on ${formatValue(record.created_by_date) || '—'} · ` +
+          `Modified by ${by(record.modified_by_username, record.modified_by_email)} on ${formatValue(record.modified_date) || '—'}`);
+
+        for (const section of layout.sections) {
+          drawSectionTitle(doc, section.title);
+          drawKeyValues(doc, section.fields.map(([key, label, format]) => [label, format ? format(record[key]) : formatValue(record[key])]));
+        }
+
+        for (const subform of layout.subforms) {
+          const rows = Array.isArray(record[subform.key]) ? record[subform.key] : [];
+          drawSectionTitle(doc, subform.title);
+          drawTable(doc, subform.columns.map(([key, label, format]) => ({ key, label, format })), rows);
+          if (subform.summary) {
+            doc.moveDown(0.4).font('Helvetica-Bold').fontSize(10).fillColor('#312e81')
+              .text(subform.summary(rows), { align: 'right' });
+            doc.fillColor('#111827');
+          }
+        }
+      }, { layout: layout.subforms.some(s => s.columns.length > 6) ? 'landscape' : 'portrait' });
+
+      sendFile(res, 'pdf', `${entity}-${req.params.id}.pdf`, pdf);
+    } catch (err) {
+      console.error(`Error exporting ${entity} record:`, err);
+      res.status(500).json({ error: 'Error exporting record' });
+    }
+  };
+}
+
+module.exports = {
+  exportListHandler,
+  exportRecordHandler,
+  formatValue,
+  pdfBuffer,
+  drawHeading,
+  drawSectionTitle,
+  drawTable,
+};
@@ -0,0 +1,146 @@
+// backend/utils/fundAccounting.js
+// Project-linked ledgers. A finance transaction belongs to its own project_id,
+// or else to the project of its finance report. projects.budget_utilized is no
+// longer typed in: it is the sum of posted expenses on the project's live
+// reports, recomputed whenever a transaction or report that touches it changes.
+
+const round2 = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// Posted ledger rows with the project they count against
+const POSTED_ROWS_SQL = `
+  SELECT t.*, COALESCE(t.project_id, f.project_id) AS effective_project_id
+  FROM finance_transactions t
+  JOIN finance_reports f ON f.id = t.finance_report_id
+  WHERE t.status = 'posted' AND f.deleted_at IS NULL
+`;
+
+/** Project a transaction row counts against (its own, else its report's) */
+async function effectiveProjectId(client, txn) {
+  if (!txn) return null;
+  if (txn.project_id) return txn.project_id;
+  const { rows } = await client.query('SELECT project_id FROM finance_reports WHERE id = $1', [txn.finance_report_id]);
+  return rows[0]?.project_id || null;
+}
+
+/** Every project a finance report's ledger counts against */
+async function reportProjectIds(client, reportId) {
+  const { rows } = await client.query(
+    `SELECT DISTINCT COALESCE(t.project_id, f.project_id) AS project_id
+     FROM finance_reports f
+     LEFT JOIN finance_transactions t ON t.finance_report_id = f.id
+     WHERE f.id = $1`,
+    [reportId]
+  );
+  return rows.map(r => r.project_id).filter(Boolean);
+}
+
+/**
+ * refreshBudgetUtilized - recompute budget_utilized for the given projects
+ * inside the caller's transaction. Returns { [projectId]: { before, after, budget, name } }.
+ */
+async function refreshBudgetUtilized(client, projectIds) {
+  const ids = [...new Set(projectIds.filter(Boolean))];
+  if (!ids.length) return {};
+
+  const { rows: before } = await client.query(
+    'SELECT id, budget_utilized FROM projects WHERE id = ANY($1) FOR UPDATE',
+    [ids]
+  );
+  const { rows: after } = await client.query(
+    `UPDATE projects p
+     SET budget_utilized = COALESCE((
+       SELECT SUM(r.expense_amount) FROM (${POSTED_ROWS_SQL}) r WHERE r.effective_project_id = p.id
+     ), 0)
+     WHERE p.id = ANY($1)
+     RETURNING p.id, p.project_frf_name, p.budget, p.budget_utilized`,
+    [ids]
+  );
+
+  const previous = new Map(before.map(r => [r.id, round2(r.budget_utilized)]));
+  return Object.fromEntries(after.map(r => [r.id, {
+    name: r.project_frf_name,
+    budget: r.budget == null ? null : round2(r.budget),
+    before: previous.get(r.id) ?? 0,
+    after: round2(r.budget_utilized),
+  }]));
+}
+
+/**
+ * budgetWarnings - messages for projects a change pushed (further) over budget
+ * Takes the result of refreshBudgetUtilized. Changes that reduce spending never warn.
+ */
+function budgetWarnings(refreshed) {
+  return Object.values(refreshed)
+    .filter(p => p.budget != null && p.after > p.budget && p.after > p.before)
+    .map(p => `Project '${p.name}' is over budget: ${p.after.toFixed(2)} spent of ${p.budget.toFixed(2)} (${(p.after - p.budget).toFixed(2)} over)`);
+}
+
+/**
+ * projectFinancials - budget vs actual for one project, by category and by month
+ * Only posted rows count, as for budget_utilized.
+ */
+async function projectFinancials(client, projectId) {
+  const { rows: projectRows } = await client.query(
+    'SELECT id, project_frf_name, budget, start_date, end_date FROM projects WHERE id = $1 AND deleted_at IS NULL',
+    [projectId]
+  );
+  const project = projectRows[0];
+  if (!project) return null;
+
+  const { rows: byCategory } = await client.query(
+    `SELECT r.category_id, COALESCE(c.name, 'Uncategorised') AS category_name,
+            SUM(r.expense_amount) AS expense, SUM(r.income_amount) AS income
+     FROM (${POSTED_ROWS_SQL}) r
+     LEFT JOIN expense_categories c ON c.category_id = r.category_id
+     WHERE r.effective_project_id = $1
+     GROUP BY r.category_id, c.name
+     ORDER BY SUM(r.expense_amount) DESC`,
+    [projectId]
+  );
+  const { rows: byMonth } = await client.query(
+    `SELECT to_char(date_trunc('month', r.transaction_date), 'YYYY-MM') AS month,
+            SUM(r.expense_amount) AS expense, SUM(r.income_amount) AS income
+     FROM (${POSTED_ROWS_SQL}) r
+     WHERE r.effective_project_id = $1
+     GROUP BY 1
+     ORDER BY 1`,
+    [projectId]
+  );
+
+  const budget = project.budget == null ? null : round2(project.budget);
+  const expense = round2(byCategory.reduce((acc, r) => acc + Number(r.expense || 0), 0));
+  const income = round2(byCategory.reduce((acc, r) => acc + Number(r.income || 0), 0));
+  const share = (value) => (budget ? round2((value / budget) * 100) : null);
+
+  let cumulative = 0;
+  return {
+    project_id: project.id,
+    project_name: project.project_frf_name,
+    budget,
+    actual_expense: expense,
+    actual_income: income,
+    remaining: budget == null ? null : round2(budget - expense),
+    utilization_pct: share(expense),
+    over_budget: budget != null && expense > budget,
+    by_category: byCategory.map(r => ({
+      category_id: r.category_id,
+      category_name: r.category_name,
+      expense: round2(r.expense),
+      income: round2(r.income),
+      budget_share_pct: share(Number(r.expense || 0)),
+    })),
+    by_month: byMonth.map(r => {
+      cumulative = round2(cumulative + Number(r.expense || 0));
+      return { month: r.month, expense: round2(r.expense), income: round2(r.income), cumulative_expense: cumulative };
+    }),
+  };
+}
+
+module.exports = {
+  POSTED_ROWS_SQL,
+  effectiveProjectId,
+  reportProjectIds,
+  refreshBudgetUtilized,
+  budgetWarnings,
+  projectFinancials,
+};
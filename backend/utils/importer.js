@@ -0,0 +1,236 @@
+// backend/utils/importer.js
+// CSV / XLSX bulk import for FRF entities: parse, map columns, dry-run the
+// entity validators per row, then insert every valid row in one transaction.
+
+const path = require('path');
+const multer = require('multer');
+const ExcelJS = require('exceljs');
+const { parse: parseCsv } = require('csv-parse/sync');
+const { validationResult } = require('express-validator');
+const db = require('../db');
+const entities = require('../config/entities');
+const importFields = require('../config/importFields');
+const { recordAudit } = require('./audit');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Single in-memory file, CSV or XLSX only
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    if (ext === '.csv' || ext === '.xlsx') return cb(null, true);
+    cb(Object.assign(new Error('Only .csv and .xlsx files can be imported'), { status: 400 }));
+  },
+}).single('file');
+
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// ExcelJS cell values can be dates, rich text, hyperlinks or formula results
+function cellToString(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return cellToString(value.result);
+    if (value.text !== undefined) return cellToString(value.text);
+    if (Array.isArray(value.richText)) return value.richText.map(r => r.text).join('');
+  }
+  return String(value).trim();
+}
+
+/**
+ * parseSpreadsheet - read an uploaded CSV/XLSX buffer into { headers, rows }
+ * Each row is { rowNumber, values } with values keyed by header; blank rows are dropped.
+ */
+async function parseSpreadsheet(file) {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+
+  if (ext === '.csv') {
+    const records = parseCsv(file.buffer, { bom: true, skip_empty_lines: true, trim: true, relax_column_count: true, info: true });
+    const [headerRow, ...dataRows] = records;
+    const headers = (headerRow?.record || []).map(h => String(h).trim());
+    const rows = dataRows
+      .map(({ record, info }) => ({ rowNumber: info.lines, values: Object.fromEntries(headers.map((h, i) => [h, record[i] ?? ''])) }))
+      .filter(row => Object.values(row.values).some(v => v !== ''));
+    return { headers, rows };
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(file.buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return { headers: [], rows: [] };
+
+  const headers = [];
+  sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => { headers[col - 1] = cellToString(cell.value); });
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    headers.forEach((h, i) => { values[h] = cellToString(row.getCell(i + 1).value); });
+    if (Object.values(values).some(v => v !== '')) rows.push({ rowNumber, values });
+  });
+  return { headers, rows };
+}
+
+/**
+ * autoMap - guess which header feeds each field by matching its key or label
+ */
+function autoMap(fields, headers) {
+  const mapping = {};
+  for (const field of fields) {
+    const candidates = [normalizeHeader(field.key), normalizeHeader(field.label)];
+    const match = headers.find(h => candidates.includes(normalizeHeader(h)));
+    if (match) mapping[field.key] = match;
+  }
+  return mapping;
+}
+
+/**
+ * validateRow - run the entity's express-validator chains against one mapped row
+ * Returns { data, errors } where data carries any sanitizer changes (trim, normalizeEmail).
+ */
+async function validateRow(fields, chains, data) {
+  const req = { body: { ...data }, method: 'POST' };
+  const errors = [];
+
+  for (const field of fields) {
+    const value = req.body[field.key];
+    if (field.required && (value === undefined || value === null || value === '')) {
+      errors.push({ field: field.key, message: `${field.label} is required` });
+    } else if (value && field.type === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      errors.push({ field: field.key, message: `${field.label} must be a YYYY-MM-DD date` });
+    } else if (value && field.options && !field.options.includes(value)) {
+      errors.push({ field: field.key, message: `${field.label} must be one of: ${field.options.join(', ')}` });
+    }
+  }
+
+  for (const chain of chains) await chain.run(req);
+  for (const e of validationResult(req).array()) {
+    const field = e.path ?? e.param;
+    if (!errors.some(x => x.field === field)) errors.push({ field, message: e.msg });
+  }
+
+  return { data: req.body, errors };
+}
+
+/**
+ * importHandler - POST /import for an entity router
+ *
+ * multipart/form-data:
+ *   file      .csv or .xlsx, first row is the header
+ *   mapping   optional JSON { fieldKey: "Header Name" }; guessed from headers when omitted
+ *   dryRun    "true" (default) only validates; "false" inserts every valid row
+ *
+ * `validators` are the same chains the entity's create route uses.
+ */
+function importHandler(entity, validators = []) {
+  const { table, label, ownerColumn } = entities[entity];
+  const fields = importFields[entity];
+  const chains = validators.flat().filter(v => v && typeof v.run === 'function');
+
+  return async (req, res) => {
+    importUpload(req, res, async (uploadErr) => {
+      try {
+        if (uploadErr) {
+          return res.status(uploadErr.status || 400).json({ error: uploadErr.message });
+        }
+        if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+        const dryRun = String(req.body.dryRun ?? 'true') !== 'false';
+        const { headers, rows } = await parseSpreadsheet(req.file);
+
+        if (!headers.length || !rows.length) {
+          return res.status(400).json({ error: 'The file has no data rows' });
+        }
+        if (rows.length > MAX_IMPORT_ROWS) {
+          return res.status(400).json({ error: `Imports are limited to ${MAX_IMPORT_ROWS} rows per file` });
+        }
+
+        let mapping;
+        try {
+          mapping = req.body.mapping ? JSON.parse(req.body.mapping) : autoMap(fields, headers);
+        } catch {
+          return res.status(400).json({ error: 'mapping must be valid JSON' });
+        }
+
+        // Only known fields mapped to real headers make it through
+        const mapped = fields.filter(f => mapping[f.key] && headers.includes(mapping[f.key]));
+
+        const results = [];
+        const seenIds = new Set();
+        for (const { rowNumber, values: raw } of rows) {
+          // Blank cells are left out so optional validators skip them
+          const source = {};
+          for (const f of mapped) {
+            const value = raw[mapping[f.key]];
+            if (value !== undefined && value !== '') source[f.key] = value;
+          }
+
+          const { data, errors } = await validateRow(fields, chains, source);
+          if (data.id) {
+            if (seenIds.has(data.id)) errors.push({ field: 'id', message: `Duplicate ${label} ID in this file` });
+            seenIds.add(data.id);
+          }
+          // Rejected rows echo what was uploaded, not the sanitized values, so the preview matches the file
+          results.push({ row: rowNumber, data: errors.length ? source : data, errors });
+        }
+
+        let inserted = 0;
+        if (!dryRun) {
+          // Imported records belong to whoever imported them
+          const columns = mapped.map(f => f.key);
+          const colSql = [...columns, ownerColumn, 'created_by_user_id', 'modified_by_user_id'].map(c => `"${c}"`).join(', ');
+          const placeholders = [...columns, ownerColumn, 'created_by_user_id', 'modified_by_user_id'].map((_, i) => `$${i + 1}`).join(', ');
+          const q = `INSERT INTO ${table} (${colSql}, created_by_date, modified_date) VALUES (${placeholders}, NOW(), NOW()) RETURNING *`;
+
+          await db.withTransaction(async (client) => {
+            for (const result of results) {
+              if (result.errors.length) continue;
+              const values = [...columns.map(c => result.data[c] ?? null), req.user.user_id, req.user.user_id, req.user.user_id];
+
+              // A savepoint per row lets a constraint failure skip that row without losing the rest
+              await client.query('SAVEPOINT import_row');
+              try {
+                const { rows: created } = await client.query(q, values);
+                await recordAudit(client, req, { entity, recordId: created[0].id, action: 'CREATE', after: created[0] });
+                await client.query('RELEASE SAVEPOINT import_row');
+                result.imported = true;
+                inserted++;
+              } catch (err) {
+                await client.query('ROLLBACK TO SAVEPOINT import_row');
+                result.errors.push({ field: err.column || null, message: err.code === '23505' ? `Duplicate value: ${err.detail || 'already exists'}` : 'Could not be saved' });
+                if (err.code !== '23505') console.error(`Import row ${result.row} failed:`, err);
+              }
+            }
+          });
+        }
+
+        const errorCount = results.filter(r => r.errors.length).length;
+        res.status(dryRun ? 200 : 201).json({
+          dryRun,
+          headers,
+          mapping: Object.fromEntries(mapped.map(f => [f.key, mapping[f.key]])),
+          fields,
+          totalRows: results.length,
+          validCount: results.length - errorCount,
+          errorCount,
+          inserted,
+          rows: results,
+        });
+      } catch (err) {
+        console.error(`Error importing ${entity}:`, err);
+        res.status(500).json({ error: `Error importing ${label.toLowerCase()} records` });
+      }
+    });
+  };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  normalizeHeader,
+  parseSpreadsheet,
+  autoMap,
+  importHandler,
+};
@@ -0,0 +1,205 @@
+// backend/utils/listQuery.js
+// Server-side pagination / sorting / filtering for FRF list endpoints.
+// Everything is driven by the `columns` metadata in config/uiConfig.js, so
+// only whitelisted column keys ever reach the generated SQL.
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT_ROWS = 10000;
+
+const quoteIdent = (key) => `"${String(key).replace(/"/g, '""')}"`;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// A filter param as one string; a repeated param (?status=a&status=b) is an array
+const singleParam = (query, key) => {
+  const value = query[key];
+  if (value === undefined || value === '') return undefined;
+  if (typeof value !== 'string') throw badRequest(`${key} must be given once`);
+  return value;
+};
+
+const numberParam = (query, key) => {
+  const value = singleParam(query, key);
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw badRequest(`${key} must be a number`);
+  return n;
+};
+
+const dateParam = (query, key) => {
+  const value = singleParam(query, key);
+  if (value === undefined) return undefined;
+  const d = new Date(`${value}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(d) || d.toISOString().slice(0, 10) !== value) {
+    throw badRequest(`${key} must be a date (YYYY-MM-DD)`);
+  }
+  return value;
+};
+
+/**
+ * parseListParams - turn req.query into a WHERE / ORDER BY / LIMIT plan
+ *
+ * Supported query params:
+ *   page, pageSize             1-based page number and page size (max 100)
+ *   sort, order                a sortable column key + asc|desc
+ *   search                     ILIKE across every `text` column
+ *   <key>=value                text (ILIKE), select (exact, comma separated), user (owner id),
+ *                              array (an array column holding any of the comma separated values)
+ *   <key>_min / <key>_max      numberRange
+ *   <key>_from / <key>_to      date (inclusive, YYYY-MM-DD)
+ *
+ * `scope` ({ column, userId }, see utils/ownership.js) limits the rows to one
+ * owner regardless of the query, for roles that may only see their own records.
+ * Rows are ordered by `config.uniqueKey` (default 'id'; a key or list of keys)
+ * after the sort column, so pages don't repeat or skip rows with equal values.
+ * Malformed filters throw an Error with status 400.
+ */
+function parseListParams(query = {}, config = {}, scope = null) {
+  const columns = config.columns || [];
+  const where = [];
+  const params = [];
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  for (const col of columns) {
+    const ident = `t.${quoteIdent(col.key)}`;
+
+    switch (col.filterType) {
+      case 'text': {
+        const value = singleParam(query, col.key);
+        if (value) where.push(`CAST(${ident} AS TEXT) ILIKE ${add(`%${value}%`)}`);
+        break;
+      }
+      case 'select': {
+        const value = singleParam(query, col.key);
+        if (value) where.push(`CAST(${ident} AS TEXT) = ANY(${add(value.split(','))})`);
+        break;
+      }
+      case 'array': {
+        const value = singleParam(query, col.key);
+        if (value) where.push(`CAST(${ident} AS TEXT[]) && ${add(value.split(','))}::text[]`);
+        break;
+      }
+      case 'user': {
+        const value = singleParam(query, col.key);
+        if (value) where.push(`CAST(${ident} AS TEXT) = ${add(value)}`);
+        break;
+      }
+      case 'numberRange': {
+        const min = numberParam(query, `${col.key}_min`);
+        const max = numberParam(query, `${col.key}_max`);
+        if (min !== undefined) where.push(`${ident} >= ${add(min)}`);
+        if (max !== undefined) where.push(`${ident} <= ${add(max)}`);
+        break;
+      }
+      case 'date': {
+        const from = dateParam(query, `${col.key}_from`);
+        const to = dateParam(query, `${col.key}_to`);
+        if (from) where.push(`${ident} >= ${add(from)}::date`);
+        if (to) where.push(`${ident} < ${add(to)}::date + 1`);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  if (scope) where.push(`t.${quoteIdent(scope.column)} = ${add(scope.userId)}`);
+
+  const search = singleParam(query, 'search');
+  if (search) {
+    const textCols = columns.filter(c => c.filterType === 'text');
+    if (textCols.length) {
+      const p = add(`%${search}%`);
+      where.push(`(${textCols.map(c => `CAST(t.${quoteIdent(c.key)} AS TEXT) ILIKE ${p}`).join(' OR ')})`);
+    }
+  }
+
+  // Sorting — only sortable config columns, otherwise the entity default
+  const defaultSort = config.defaultSort || {};
+  const sortCol = columns.find(c => c.key === query.sort && c.sortable);
+  const sortKey = sortCol ? sortCol.key : defaultSort.key;
+  const rawOrder = String(query.order || (sortCol ? 'asc' : defaultSort.order) || 'asc').toLowerCase();
+  const order = rawOrder === 'desc' ? 'DESC' : 'ASC';
+
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const tieBreak = [].concat(config.uniqueKey || 'id').map(key => `t.${quoteIdent(key)}`);
+  const orderBy = sortKey ? [`t.${quoteIdent(sortKey)} ${order} NULLS LAST`, ...tieBreak] : tieBreak;
+
+  return {
+    whereSql: where.length ? `WHERE ${where.join(' AND ')}` : '',
+    orderSql: `ORDER BY ${orderBy.join(', ')}`,
+    params,
+    page,
+    pageSize,
+    sort: sortKey || null,
+    order: order.toLowerCase(),
+  };
+}
+
+/**
+ * runListQuery - page through `baseSql` (any SELECT) using the entity config
+ * Returns { data, total, page, pageSize, sort, order }.
+ */
+async function runListQuery(db, baseSql, config, query, scope = null) {
+  const plan = parseListParams(query, config, scope);
+  const limitIdx = plan.params.length + 1;
+
+  const dataQ = `
+    SELECT * FROM (${baseSql}) t
+    ${plan.whereSql}
+    ${plan.orderSql}
+    LIMIT $${limitIdx} OFFSET $${limitIdx + 1}
+  `;
+  const countQ = `SELECT COUNT(*)::int AS total FROM (${baseSql}) t ${plan.whereSql}`;
+
+  const [dataRes, countRes] = await Promise.all([
+    db.query(dataQ, [...plan.params, plan.pageSize, (plan.page - 1) * plan.pageSize]),
+    db.query(countQ, plan.params),
+  ]);
+
+  return {
+    data: dataRes.rows,
+    total: countRes.rows[0].total,
+    page: plan.page,
+    pageSize: plan.pageSize,
+    sort: plan.sort,
+    order: plan.order,
+  };
+}
+
+/**
+ * runExportQuery - same filters and sort as runListQuery, without paging
+ * Returns { data, truncated, sort, order } where `data` holds at most `maxRows` rows.
+ */
+async function runExportQuery(db, baseSql, config, query, scope = null, maxRows = MAX_EXPORT_ROWS) {
+  const plan = parseListParams(query, config, scope);
+  const limitIdx = plan.params.length + 1;
+
+  // Fetch one extra row to know whether the export was cut short
+  const { rows } = await db.query(
+    `SELECT * FROM (${baseSql}) t ${plan.whereSql} ${plan.orderSql} LIMIT $${limitIdx}`,
+    [...plan.params, maxRows + 1]
+  );
+
+  return {
+    data: rows.slice(0, maxRows),
+    truncated: rows.length > maxRows,
+    sort: plan.sort,
+    order: plan.order,
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  MAX_EXPORT_ROWS,
+  parseListParams,
+  runListQuery,
+  runExportQuery,
+};
@@ -0,0 +1,27 @@
+// backend/utils/mailer.js
+// Shared Nodemailer transporter. Point SMTP_HOST / SMTP_PORT at a local SMTP
+// stand-in (MailHog, smtp4dev, ...) in development; leave SMTP_EMAIL empty when
+// that server doesn't take a login.
+
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+const SMTP_PORT = Number(process.env.SMTP_PORT || 587);
+
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST || 'smtp.gmail.com',
+  port: SMTP_PORT,
+  secure: SMTP_PORT === 465,
+  ...(process.env.SMTP_EMAIL
+    ? { auth: { user: process.env.SMTP_EMAIL, pass: process.env.SMTP_PASSWORD } }
+    : {}),
+});
+
+/** fromAddress - `"Display Name" <sender>`; the sender defaults to the SMTP login */
+const fromAddress = (name = 'NGO FRF') =>
+  `"${name}" <${process.env.MAIL_FROM || process.env.SMTP_EMAIL}>`;
+
+module.exports = {
+  transporter,
+  fromAddress,
+};
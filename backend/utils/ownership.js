@@ -0,0 +1,195 @@
+// backend/utils/ownership.js
+// Row-level access for FRF records. A role holding '<entity>:all_records' works
+// with every row; any other role only sees and changes the rows whose
+// *_frf_owner is the signed-in user. Owners change through POST /:id/owner or
+// the bulk reassignment in routes/ownership.js, never through a record edit:
+// the PUT/PATCH handlers only write their whitelisted columns.
+
+const db = require('../db');
+const entities = require('../config/entities');
+const { requestHasPermission } = require('../middleware/auth');
+const { lockRow, recordAudit } = require('./audit');
+
+/**
+ * ownerScope - null when the user may see every row of the entity,
+ * otherwise { column, userId } for runListQuery / runExportQuery
+ */
+async function ownerScope(req, entity) {
+  if (await requestHasPermission(req, `${entity}:all_records`)) return null;
+  return { column: entities[entity].ownerColumn, userId: req.user.user_id };
+}
+
+// API keys have no user, so without all_records they own nothing (not even unowned rows)
+const ownsRow = (scope, row) => !!row && scope.userId != null && row[scope.column] === scope.userId;
+
+/**
+ * requireRecordAccess - mount after requirePermission on /:id routes
+ * Rows outside the user's scope answer 404 like missing ones, so other people's
+ * ids can't be probed. Scoped users can't move a record by editing its owner column.
+ */
+function requireRecordAccess(entity, idParam = 'id') {
+  const { table, label, ownerColumn } = entities[entity];
+
+  return async (req, res, next) => {
+    try {
+      const scope = await ownerScope(req, entity);
+      if (!scope) return next();
+
+      const { rows } = await db.query(`SELECT ${ownerColumn} FROM ${table} WHERE id = $1`, [req.params[idParam]]);
+      if (!ownsRow(scope, rows[0])) return res.status(404).json({ error: `${label} not found` });
+
+      if (req.body && typeof req.body === 'object') delete req.body[ownerColumn];
+      next();
+    } catch (err) {
+      console.error(`requireRecordAccess (${entity}) error:`, err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  };
+}
+
+/**
+ * requireChildAccess - same check for routes keyed by a child row,
+ * e.g. PATCH /session-logs/:log_id, through the child's parent key.
+ * `childKey` picks another detail table of the entity (donors' `pledges`).
+ */
+function requireChildAccess(entity, idParam, childKey = 'child') {
+  const { table, ownerColumn } = entities[entity];
+  const child = entities[entity][childKey];
+
+  return async (req, res, next) => {
+    try {
+      const scope = await ownerScope(req, entity);
+      if (!scope) return next();
+
+      const { rows } = await db.query(
+        `SELECT p.${ownerColumn}
+         FROM ${child.table} c
+         JOIN ${table} p ON p.id = c.${child.parentKey}
+         WHERE c.${child.pk} = $1`,
+        [req.params[idParam]]
+      );
+      if (!ownsRow(scope, rows[0])) return res.status(404).json({ error: `${child.label} not found` });
+      next();
+    } catch (err) {
+      console.error(`requireChildAccess (${entity}) error:`, err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  };
+}
+
+/**
+ * assignOwner - mount on create routes
+ * New records belong to their creator unless the creator may see every record
+ * and picked an owner.
+ */
+function assignOwner(entity) {
+  const { ownerColumn } = entities[entity];
+
+  return async (req, res, next) => {
+    try {
+      req.body = req.body || {};
+      const scope = await ownerScope(req, entity);
+      if (scope || req.body[ownerColumn] == null || req.body[ownerColumn] === '') {
+        req.body[ownerColumn] = req.user.user_id;
+      }
+      next();
+    } catch (err) {
+      console.error(`assignOwner (${entity}) error:`, err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  };
+}
+
+/** Approved user who can take over records, or null */
+async function findAssignableUser(client, userId) {
+  const { rows } = await client.query(
+    `SELECT user_id, username FROM users WHERE user_id = $1 AND approval_status = 'APPROVED'`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * transferOwnerHandler - POST /:id/owner { owner_id } for an entity router
+ * Mount after requireRecordAccess, so a scoped user can hand over their own records.
+ */
+function transferOwnerHandler(entity) {
+  const { table, label, ownerColumn } = entities[entity];
+
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+      const ownerId = Number(req.body?.owner_id);
+      if (!Number.isInteger(ownerId) || ownerId < 1) {
+        return res.status(400).json({ error: 'owner_id must be a user id' });
+      }
+
+      const result = await db.withTransaction(async (client) => {
+        const before = await lockRow(client, table, 'id', id);
+        if (!before || before.deleted_at) return { status: 404, body: { error: `${label} not found` } };
+        if (!(await findAssignableUser(client, ownerId))) {
+          return { status: 400, body: { error: 'The new owner must be an approved user' } };
+        }
+        if (before[ownerColumn] === ownerId) return { status: 200, body: before };
+
+        const { rows } = await client.query(
+          `UPDATE ${table}
+           SET ${ownerColumn} = $1, modified_by_user_id = $2, modified_date = NOW()
+           WHERE id = $3
+           RETURNING *`,
+          [ownerId, req.user.user_id, id]
+        );
+        await recordAudit(client, req, { entity, recordId: id, action: 'UPDATE', before, after: rows[0] });
+        return { status: 200, body: rows[0] };
+      });
+
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      console.error(`Error transferring ${entity} ownership:`, err);
+      res.status(500).json({ error: `Error transferring ${label.toLowerCase()} ownership` });
+    }
+  };
+}
+
+/**
+ * reassignOwner - move every record (trashed ones included) of the given
+ * entities from one owner to another, inside the caller's transaction
+ * Returns { <entity>: count }. Each moved row gets its own audit entry.
+ */
+async function reassignOwner(client, req, { fromUserId, toUserId, entityKeys = Object.keys(entities) }) {
+  const moved = {};
+
+  for (const entity of entityKeys) {
+    const { table, ownerColumn } = entities[entity];
+    const { rows: before } = await client.query(
+      `SELECT * FROM ${table} WHERE ${ownerColumn} = $1 ORDER BY id FOR UPDATE`,
+      [fromUserId]
+    );
+    moved[entity] = before.length;
+    if (!before.length) continue;
+
+    const { rows: after } = await client.query(
+      `UPDATE ${table}
+       SET ${ownerColumn} = $1, modified_by_user_id = $2, modified_date = NOW()
+       WHERE ${ownerColumn} = $3
+       RETURNING *`,
+      [toUserId, req.user.user_id, fromUserId]
+    );
+    const afterById = new Map(after.map(row => [row.id, row]));
+    for (const row of before) {
+      await recordAudit(client, req, { entity, recordId: row.id, action: 'UPDATE', before: row, after: afterById.get(row.id) });
+    }
+  }
+
+  return moved;
+}
+
+module.exports = {
+  ownerScope,
+  requireRecordAccess,
+  requireChildAccess,
+  assignOwner,
+  findAssignableUser,
+  transferOwnerHandler,
+  reassignOwner,
+};
@@ -0,0 +1,369 @@
+// backend/utils/pledges.js
+// Recurring donor pledges. A pledge promises `amount` every month, quarter or
+// year; instalments fall due on start_date plus whole periods (clamped to the
+// month end, as Postgres does). Donations linked through donations.pledge_id
+// pay them off oldest first.
+//
+// A pledge's standing is worked out on the fly rather than stored:
+//   current    nothing unpaid that is more than PLEDGE_GRACE_DAYS old
+//   overdue    at least one such instalment unpaid
+//   lapsed     PLEDGE_LAPSED_AFTER_MISSED or more of them unpaid
+//   completed  ended (end_date past the grace period) and fully paid
+//   paused / cancelled  the pledge's own status; never chased
+//
+// Reminder mails go through the email outbox (kind 'pledge_reminder') and are
+// skipped for opted-out donors, pledges that were paid up in the meantime and
+// pledges reminded within PLEDGE_REMINDER_INTERVAL_DAYS.
+
+const db = require('../db');
+const ngo = require('../config/ngo');
+const { pledgeReminder } = require('../config/emailTemplates');
+const { lockRow, recordAudit } = require('./audit');
+const { registerEmailKind, enqueueEmail, kickOutbox } = require('./emailOutbox');
+const { blockedReason } = require('./acknowledgments');
+
+const KIND = 'pledge_reminder';
+const GRACE_DAYS = Math.max(parseInt(process.env.PLEDGE_GRACE_DAYS, 10) || 15, 0);
+const LAPSED_AFTER_MISSED = Math.max(parseInt(process.env.PLEDGE_LAPSED_AFTER_MISSED, 10) || 3, 1);
+const REMINDER_INTERVAL_DAYS = Math.max(parseInt(process.env.PLEDGE_REMINDER_INTERVAL_DAYS, 10) || 14, 1);
+// 0 (the default) leaves reminders to the Pledge Dues screen
+const REMINDER_JOB_INTERVAL_MS = parseInt(process.env.PLEDGE_REMINDER_JOB_INTERVAL_MS, 10) || 0;
+
+const FREQUENCY_MONTHS = { monthly: 1, quarterly: 3, annual: 12 };
+const STANDINGS = ['current', 'overdue', 'lapsed', 'completed', 'paused', 'cancelled'];
+
+const MONTHS_SQL = `(CASE p.frequency WHEN 'monthly' THEN 1 WHEN 'quarterly' THEN 3 ELSE 12 END)`;
+// Instalments due on or before this date count as owed
+const CUTOFF_SQL = `LEAST(COALESCE(p.end_date, CURRENT_DATE), CURRENT_DATE - ${GRACE_DAYS})`;
+
+/**
+ * Every pledge with its standing columns. A period is at least 28 days, which
+ * bounds the series of due dates before the exact comparison.
+ */
+const PLEDGE_STANDING_SQL = `
+  SELECT p.*,
+         s.installments_due,
+         s.paid_installments,
+         s.received_amount,
+         s.last_donation_date,
+         GREATEST(s.installments_due - s.paid_installments, 0) AS missed_installments,
+         GREATEST(s.installments_due * p.amount - s.received_amount, 0) AS overdue_amount,
+         (p.start_date + make_interval(months => s.paid_installments * ${MONTHS_SQL}))::date AS oldest_unpaid_due,
+         CASE
+           WHEN p.status <> 'active' THEN p.status
+           WHEN s.installments_due - s.paid_installments >= ${LAPSED_AFTER_MISSED} THEN 'lapsed'
+           WHEN s.installments_due > s.paid_installments THEN 'overdue'
+           WHEN p.end_date < CURRENT_DATE - ${GRACE_DAYS} THEN 'completed'
+           ELSE 'current'
+         END AS standing
+  FROM donor_pledges p
+  CROSS JOIN LATERAL (
+    SELECT due.n AS installments_due,
+           paid.received_amount,
+           paid.last_donation_date,
+           FLOOR(paid.received_amount / p.amount)::int AS paid_installments
+    FROM (
+      SELECT COUNT(*)::int AS n
+      FROM generate_series(0, GREATEST((${CUTOFF_SQL} - p.start_date) / (28 * ${MONTHS_SQL}), -1)) AS k
+      WHERE (p.start_date + make_interval(months => k * ${MONTHS_SQL}))::date <= ${CUTOFF_SQL}
+    ) due,
+    (
+      SELECT COALESCE(SUM(d.amount), 0) AS received_amount, MAX(d.donation_date) AS last_donation_date
+      FROM donations d
+      WHERE d.pledge_id = p.pledge_id
+    ) paid
+  ) s
+`;
+
+/**
+ * donorPledgeStandingSql - the worst standing among a donor's active pledges
+ * (lapsed > overdue > current), or NULL when they have none. `alias` is the
+ * donors row in the outer query.
+ */
+function donorPledgeStandingSql(alias) {
+  return `(
+    SELECT (ARRAY['current', 'overdue', 'lapsed'])[MAX(array_position(ARRAY['current', 'overdue', 'lapsed'], ps.standing::text))]
+    FROM (${PLEDGE_STANDING_SQL}) ps
+    WHERE ps.donor_id = ${alias}.id AND ps.status = 'active'
+  )`;
+}
+
+async function loadPledge(client, pledgeId) {
+  const { rows } = await client.query(`SELECT * FROM (${PLEDGE_STANDING_SQL}) ps WHERE ps.pledge_id = $1`, [pledgeId]);
+  return rows[0] || null;
+}
+
+async function donorPledges(client, donorId) {
+  const { rows } = await client.query(
+    `SELECT * FROM (${PLEDGE_STANDING_SQL}) ps WHERE ps.donor_id = $1 ORDER BY ps.start_date DESC, ps.pledge_id DESC`,
+    [donorId]
+  );
+  return rows;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+const isoDate = (value) => (value instanceof Date
+  ? `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`
+  : String(value).slice(0, 10));
+
+/** addMonths - YYYY-MM-DD plus whole months, clamped to the last day of the month */
+function addMonths(iso, months) {
+  const [y, m, d] = iso.split('-').map(Number);
+  const total = m - 1 + months;
+  const year = y + Math.floor(total / 12);
+  const month = ((total % 12) + 12) % 12;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return `${year}-${pad(month + 1)}-${pad(Math.min(d, lastDay))}`;
+}
+
+function addDays(iso, days) {
+  const date = new Date(`${iso}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * pledgeSchedule - expected vs received, one row per instalment
+ * Runs to one period past today (or the end date). Linked donations are
+ * applied oldest first; whatever is left over is reported as `unallocated`.
+ * Instalment status: paid | due (within the grace period) | overdue | upcoming.
+ */
+function pledgeSchedule(pledge, donations, today = isoDate(new Date())) {
+  const months = FREQUENCY_MONTHS[pledge.frequency];
+  const amount = Number(pledge.amount);
+  const start = isoDate(pledge.start_date);
+  const end = pledge.end_date ? isoDate(pledge.end_date) : null;
+  const horizon = addMonths(today, months);
+  const graceCutoff = addDays(today, -GRACE_DAYS);
+
+  const pool = donations
+    .map(d => ({ date: isoDate(d.donation_date), left: Number(d.amount) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const installments = [];
+  for (let k = 0; ; k++) {
+    const due = addMonths(start, k * months);
+    if (due > horizon || (end && due > end)) break;
+
+    let paid = 0;
+    let paidOn = null;
+    while (paid < amount && pool.length) {
+      const take = Math.min(pool[0].left, amount - paid);
+      paid += take;
+      pool[0].left -= take;
+      paidOn = pool[0].date;
+      if (pool[0].left <= 0.005) pool.shift();
+    }
+
+    let status = 'paid';
+    if (amount - paid > 0.005) {
+      if (due > today) status = 'upcoming';
+      else if (due > graceCutoff) status = 'due';
+      else status = 'overdue';
+    }
+
+    installments.push({
+      due_date: due,
+      amount,
+      paid_amount: Math.round(paid * 100) / 100,
+      paid_on: status === 'paid' ? paidOn : null,
+      status,
+    });
+  }
+
+  const owed = installments.filter(i => i.due_date <= today);
+  const expected = owed.reduce((sum, i) => sum + i.amount, 0);
+  const received = donations.reduce((sum, d) => sum + Number(d.amount), 0);
+
+  return {
+    installments,
+    expected_to_date: expected,
+    received,
+    balance: Math.max(Math.round((expected - received) * 100) / 100, 0),
+    unallocated: Math.round(pool.reduce((sum, d) => sum + d.left, 0) * 100) / 100,
+  };
+}
+
+/**
+ * linkDonationsToPledges - attach the donor's unlinked donations to a pledge
+ * when exactly one of their pledges covers the donation date. Runs for the
+ * new donation when one is recorded (`donationId`) and for all of the donor's
+ * donations when a pledge is saved; donations that fit two pledges are left
+ * for the user to link by hand.
+ */
+async function linkDonationsToPledges(client, req, donorId, donationId = null) {
+  const { rows } = await client.query(
+    `SELECT d.donation_id, MIN(p.pledge_id) AS pledge_id
+     FROM donations d
+     JOIN donor_pledges p
+       ON p.donor_id = d.donor_id
+      AND d.donation_date >= p.start_date
+      AND (p.end_date IS NULL OR d.donation_date <= p.end_date)
+     WHERE d.donor_id = $1 AND d.pledge_id IS NULL AND ($2::int IS NULL OR d.donation_id = $2)
+     GROUP BY d.donation_id
+     HAVING COUNT(*) = 1`,
+    [donorId, donationId]
+  );
+
+  for (const { donation_id, pledge_id } of rows) {
+    const before = await lockRow(client, 'donations', 'donation_id', donation_id);
+    const { rows: updated } = await client.query(
+      'UPDATE donations SET pledge_id = $1 WHERE donation_id = $2 RETURNING *',
+      [pledge_id, donation_id]
+    );
+    await recordAudit(client, req, { entity: 'donations', recordId: donation_id, action: 'UPDATE', before, after: updated[0], parentEntity: 'donors', parentId: donorId });
+  }
+  return rows.length;
+}
+
+async function loadDonor(client, donorId) {
+  const { rows } = await client.query('SELECT * FROM donors WHERE id = $1', [donorId]);
+  return rows[0] || null;
+}
+
+registerEmailKind(KIND, {
+  async build(email) {
+    const pledge = await loadPledge(db, email.record_id);
+    if (!pledge) return { skip: 'Pledge was deleted' };
+    if (!['overdue', 'lapsed'].includes(pledge.standing)) return { skip: 'Pledge is no longer overdue' };
+
+    const donor = await loadDonor(db, pledge.donor_id);
+    const reason = blockedReason(donor);
+    if (reason) return { skip: reason };
+
+    const { subject, html, text } = pledgeReminder({ donor, pledge });
+    return {
+      fromName: ngo.name,
+      mail: {
+        to: donor.email,
+        ...(donor.secondary_email ? { cc: donor.secondary_email } : {}),
+        subject,
+        html,
+        text,
+      },
+    };
+  },
+
+  async onDelivered(client, email) {
+    const before = await lockRow(client, 'donor_pledges', 'pledge_id', email.record_id);
+    if (!before) return;
+    const { rows } = await client.query(
+      `UPDATE donor_pledges SET last_reminded_at = NOW(), reminder_count = reminder_count + 1
+       WHERE pledge_id = $1 RETURNING *`,
+      [email.record_id]
+    );
+    // No request here: the entry is attributed to the system
+    await recordAudit(client, {}, { entity: 'pledges', recordId: email.record_id, action: 'UPDATE', before, after: rows[0], parentEntity: 'donors', parentId: before.donor_id });
+  },
+});
+
+/**
+ * reminderBlockedReason - why a reminder can't be queued for the pledge, or null
+ * `pledge` must carry the standing columns and the donor's mail fields.
+ */
+async function reminderBlockedReason(client, pledge) {
+  if (!['overdue', 'lapsed'].includes(pledge.standing)) return 'Pledge is not overdue';
+  const reason = blockedReason(await loadDonor(client, pledge.donor_id));
+  if (reason) return reason;
+
+  if (pledge.last_reminded_at && Date.now() - new Date(pledge.last_reminded_at).getTime() < REMINDER_INTERVAL_DAYS * 86400000) {
+    return `A reminder was sent in the last ${REMINDER_INTERVAL_DAYS} days`;
+  }
+  const { rows } = await client.query(
+    `SELECT 1 FROM email_outbox WHERE kind = $1 AND record_id = $2 AND status IN ('PENDING', 'SENDING')`,
+    [KIND, String(pledge.pledge_id)]
+  );
+  if (rows.length) return 'A reminder is already queued';
+  return null;
+}
+
+/**
+ * queuePledgeReminders - queue reminders inside the caller's transaction
+ * Returns { queued: [{ pledge_id, email_id }], skipped: [{ pledge_id, reason }] }.
+ */
+async function queuePledgeReminders(client, req, pledges) {
+  const queued = [];
+  const skipped = [];
+  for (const pledge of pledges) {
+    const reason = await reminderBlockedReason(client, pledge);
+    if (reason) {
+      skipped.push({ pledge_id: pledge.pledge_id, donor_id: pledge.donor_id, reason });
+      continue;
+    }
+    const email = await enqueueEmail(client, { kind: KIND, recordId: pledge.pledge_id, createdBy: req.user?.user_id ?? null });
+    queued.push({ pledge_id: pledge.pledge_id, donor_id: pledge.donor_id, email_id: email.email_id });
+  }
+  return { queued, skipped };
+}
+
+/**
+ * overduePledges - the dues report: active pledges with unpaid instalments,
+ * most instalments missed first. `scope` is ownerScope(req, 'donors').
+ */
+async function overduePledges(client, { standing = null, donorType = null, scope = null } = {}) {
+  const where = [`ps.standing IN ('overdue', 'lapsed')`, 'dn.deleted_at IS NULL'];
+  const params = [];
+  if (standing) {
+    params.push(standing);
+    where.push(`ps.standing = $${params.length}`);
+  }
+  if (donorType) {
+    params.push(donorType);
+    where.push(`dn.donor_type = $${params.length}`);
+  }
+  if (scope) {
+    params.push(scope.userId);
+    where.push(`dn.${scope.column} = $${params.length}`);
+  }
+
+  const { rows } = await client.query(
+    `SELECT ps.*,
+            dn.donor_frf_name, dn.donor_type, dn.email, dn.email_opt_out, dn.donor_frf_owner,
+            ou.username AS donor_frf_owner_username
+     FROM (${PLEDGE_STANDING_SQL}) ps
+     JOIN donors dn ON dn.id = ps.donor_id
+     LEFT JOIN users ou ON ou.user_id = dn.donor_frf_owner
+     WHERE ${where.join(' AND ')}
+     ORDER BY ps.missed_installments DESC, ps.overdue_amount DESC, dn.donor_frf_name`,
+    params
+  );
+  return rows;
+}
+
+/** Queue every reminder that is due; run by the optional background job */
+async function runReminderJob() {
+  try {
+    const result = await db.withTransaction(async (client) =>
+      queuePledgeReminders(client, {}, await overduePledges(client))
+    );
+    if (result.queued.length) {
+      console.log(`Queued ${result.queued.length} pledge reminder(s)`);
+      kickOutbox();
+    }
+  } catch (err) {
+    console.error('Pledge reminder job failed:', err.message);
+  }
+}
+
+/** startPledgeReminderJob - remind overdue donors every PLEDGE_REMINDER_JOB_INTERVAL_MS, if set */
+function startPledgeReminderJob() {
+  if (REMINDER_JOB_INTERVAL_MS <= 0) return null;
+  const timer = setInterval(runReminderJob, REMINDER_JOB_INTERVAL_MS);
+  timer.unref();
+  runReminderJob();
+  return timer;
+}
+
+module.exports = {
+  FREQUENCY_MONTHS,
+  STANDINGS,
+  PLEDGE_STANDING_SQL,
+  donorPledgeStandingSql,
+  loadPledge,
+  donorPledges,
+  pledgeSchedule,
+  linkDonationsToPledges,
+  queuePledgeReminders,
+  overduePledges,
+  startPledgeReminderJob,
+};
@@ -0,0 +1,225 @@
+// backend/utils/receipts.js
+// 80G donation receipts: gap-free numbering per financial year, PDF rendering,
+// and storage in donation_receipts. Issuing also flags the donation.
+
+const db = require('../db');
+const ngo = require('../config/ngo');
+const { lockRow, recordAudit } = require('./audit');
+const { pdfBuffer, formatValue } = require('./exporter');
+
+/**
+ * financialYear - Indian financial year (April–March) of a date, e.g. '2025-26'
+ * DATE columns arrive as 'YYYY-MM-DD' (db.js) and are read as written; parsing
+ * them would give UTC midnight, the previous day west of UTC.
+ */
+function financialYear(date) {
+  const [year, month] = typeof date === 'string'
+    ? date.split('-').map(Number)
+    : [date.getFullYear(), date.getMonth() + 1];
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`);
+const belowThousand = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? belowHundred(rest) : ''].filter(Boolean).join(' ');
+};
+
+/** Whole number in words using the Indian system (thousand, lakh, crore) */
+function integerInWords(n) {
+  if (n === 0) return 'Zero';
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+  if (crore) parts.push(`${integerInWords(crore)} Crore`);
+  if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+  if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+  if (rest) parts.push(belowThousand(rest));
+  return parts.join(' ');
+}
+
+/**
+ * amountInWords - 1250.5 -> 'Rupees One Thousand Two Hundred Fifty and Fifty Paise Only'
+ */
+function amountInWords(amount) {
+  const paiseTotal = Math.round(Number(amount) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+  return `Rupees ${integerInWords(rupees)}${paise ? ` and ${belowHundred(paise)} Paise` : ''} Only`;
+}
+
+const rupees = (n) => `Rs. ${Number(n).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+function renderReceiptPdf({ receiptNumber, issuedAt, donor, donation }) {
+  return pdfBuffer(doc => {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    doc.font('Helvetica-Bold').fontSize(18).text(ngo.name, { align: 'center' });
+    doc.font('Helvetica').fontSize(9).fillColor('#374151');
+    if (ngo.address) doc.text(ngo.address, { align: 'center' });
+    const contact = [ngo.email, ngo.phone].filter(Boolean).join(' · ');
+    if (contact) doc.text(contact, { align: 'center' });
+    doc.text(`PAN: ${ngo.pan}${ngo.registration12A ? `  ·  12A Registration: ${ngo.registration12A}` : ''}`, { align: 'center' });
+    doc.text(`80G Registration: ${ngo.registration80G}${ngo.registration80GDate ? ` dated ${ngo.registration80GDate}` : ''}`, { align: 'center' });
+    doc.fillColor('#111827').moveDown(1);
+
+    doc.font('Helvetica-Bold').fontSize(14).text('Donation Receipt under Section 80G of the Income Tax Act, 1961', { align: 'center' });
+    doc.moveDown(1);
+
+    const rows = [
+      ['Receipt No.', receiptNumber],
+      ['Date of Issue', formatValue(new Date(issuedAt)).slice(0, 10)],
+      ['Financial Year', financialYear(donation.donation_date)],
+      ['Received From', donor.donor_frf_name],
+      ['Donor PAN', donor.pan],
+      ['Donor Address', donor.address || '—'],
+      ['Date of Donation', formatValue(donation.donation_date)],
+      ['Amount', rupees(donation.amount)],
+      ['Amount in Words', amountInWords(donation.amount)],
+      ['Transaction Reference', donation.transaction_id || '—'],
+      ['Purpose', donation.purpose || 'General donation'],
+    ];
+
+    for (const [label, value] of rows) {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(10).text(label, left, y, { width: 150 });
+      doc.font('Helvetica').fontSize(10).text(String(value), left + 160, y, { width: width - 160 });
+      doc.x = left;
+      doc.moveDown(0.5);
+    }
+
+    doc.moveDown(1).font('Helvetica').fontSize(9).fillColor('#374151').text(
+      `This donation is eligible for deduction under section 80G of the Income Tax Act, 1961, ` +
+      `subject to the limits and conditions laid down in that section. No goods or services were ` +
+      `provided to the donor in exchange for this donation.`,
+      left, doc.y, { width }
+    );
+    doc.fillColor('#111827').moveDown(3);
+
+    doc.font('Helvetica-Bold').fontSize(10).text(`For ${ngo.name}`, { align: 'right' });
+    doc.moveDown(2.5);
+    doc.font('Helvetica').text(ngo.signatory, { align: 'right' });
+    doc.moveDown(2).fontSize(8).fillColor('#6b7280').text('This is a computer-generated receipt.', { align: 'center' });
+  });
+}
+
+/**
+ * nextReceiptNumber - allocate the next number for a financial year
+ * Runs inside the caller's transaction; the upsert locks the year's row until
+ * commit, and a rollback hands the number back, so the sequence has no gaps.
+ */
+async function nextReceiptNumber(client, fy) {
+  const { rows } = await client.query(
+    `INSERT INTO receipt_sequences (financial_year, last_number)
+     VALUES ($1, 1)
+     ON CONFLICT (financial_year) DO UPDATE SET last_number = receipt_sequences.last_number + 1
+     RETURNING last_number`,
+    [fy]
+  );
+  const sequence = rows[0].last_number;
+  return { sequence, receiptNumber: `${ngo.receiptPrefix}/${fy}/${String(sequence).padStart(4, '0')}` };
+}
+
+/**
+ * issueReceiptHandler - POST /donors/donations/:donation_id/receipt
+ */
+async function issueReceiptHandler(req, res) {
+  try {
+    if (!ngo.pan || !ngo.registration80G) {
+      return res.status(500).json({ error: 'NGO PAN and 80G registration must be configured before issuing receipts' });
+    }
+
+    const { donation_id } = req.params;
+
+    const result = await db.withTransaction(async (client) => {
+      const before = await lockRow(client, 'donations', 'donation_id', donation_id);
+      if (!before) return { status: 404, body: { error: 'Donation not found' } };
+      if (before['80g_receipt_issued']) {
+        return { status: 409, body: { error: 'An 80G receipt has already been issued for this donation', receipt_number: before.receipt_number } };
+      }
+      if (!(Number(before.amount) > 0)) {
+        return { status: 400, body: { error: 'Receipts can only be issued for donations with a positive amount' } };
+      }
+
+      const { rows: donorRows } = await client.query('SELECT * FROM donors WHERE id = $1', [before.donor_id]);
+      const donor = donorRows[0];
+      if (!donor || donor.deleted_at) return { status: 404, body: { error: 'Donor not found' } };
+      if (!donor.pan) {
+        return { status: 400, body: { error: 'Add the donor PAN before issuing an 80G receipt', errors: [{ field: 'pan', message: 'PAN is required for 80G receipts' }] } };
+      }
+
+      const fy = financialYear(before.donation_date);
+      const { sequence, receiptNumber } = await nextReceiptNumber(client, fy);
+      const issuedAt = new Date();
+      const pdf = await renderReceiptPdf({ receiptNumber, issuedAt, donor, donation: before });
+
+      await client.query(
+        `INSERT INTO donation_receipts (
+           donation_id, receipt_number, financial_year, sequence_number, donor_id,
+           donor_name, donor_pan, amount, donation_date, pdf, issued_by, issued_at
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+        [donation_id, receiptNumber, fy, sequence, donor.id, donor.donor_frf_name, donor.pan,
+          before.amount, before.donation_date, pdf, req.user.user_id, issuedAt]
+      );
+
+      const { rows } = await client.query(
+        `UPDATE donations SET receipt_number = $1, "80g_receipt_issued" = TRUE
+         WHERE donation_id = $2 RETURNING *`,
+        [receiptNumber, donation_id]
+      );
+      await recordAudit(client, req, { entity: 'donations', recordId: donation_id, action: 'UPDATE', before, after: rows[0], parentEntity: 'donors', parentId: before.donor_id });
+
+      return { status: 201, body: { message: 'Receipt issued', receipt_number: receiptNumber, financial_year: fy, donation: rows[0] } };
+    });
+
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error('Error issuing receipt:', err);
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'That receipt number is already in use by a manually entered receipt' });
+    }
+    res.status(500).json({ error: 'Error issuing receipt' });
+  }
+}
+
+/**
+ * getReceipt - stored receipt row (including the PDF) for a donation, or null
+ */
+async function getReceipt(donationId) {
+  const { rows } = await db.query('SELECT * FROM donation_receipts WHERE donation_id = $1', [donationId]);
+  return rows[0] || null;
+}
+
+/**
+ * downloadReceiptHandler - GET /donors/donations/:donation_id/receipt
+ */
+async function downloadReceiptHandler(req, res) {
+  try {
+    const receipt = await getReceipt(req.params.donation_id);
+    if (!receipt) return res.status(404).json({ error: 'No receipt has been issued for this donation' });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${receipt.receipt_number.replace(/\//g, '-')}.pdf"`);
+    res.send(receipt.pdf);
+  } catch (err) {
+    console.error('Error downloading receipt:', err);
+    res.status(500).json({ error: 'Error downloading receipt' });
+  }
+}
+
+module.exports = {
+  financialYear,
+  amountInWords,
+  getReceipt,
+  issueReceiptHandler,
+  downloadReceiptHandler,
+};
@@ -0,0 +1,178 @@
+// backend/utils/sessions.js
+// Login sessions and refresh token rotation. Each login opens a user_sessions
+// row; every /users/refresh swaps the refresh token for a new one in the same
+// session. Presenting a token that was already swapped means it leaked, so the
+// whole session is revoked. Access tokens carry the session id (`sid`), which
+// lets verifyToken reject them as soon as their session is revoked.
+
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+require('dotenv').config();
+
+const REFRESH_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS || 30);
+// Parallel refreshes (e.g. two tabs) may present the just-rotated token; within
+// this window they get an access token instead of tripping reuse detection
+const ROTATION_GRACE_SECONDS = Number(process.env.REFRESH_ROTATION_GRACE_SECONDS || 10);
+const PURGE_INTERVAL_MS = Number(process.env.TOKEN_PURGE_INTERVAL_MS || 6 * 60 * 60 * 1000);
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_DAYS * 24 * 60 * 60 * 1000);
+
+async function insertRefreshToken(client, userId, sessionId, expiresAt) {
+  const token = uuidv4();
+  await client.query(
+    `INSERT INTO refresh_tokens (user_id, refresh_token, issued_at, expires_at, session_id)
+     VALUES ($1, $2, NOW(), $3, $4)`,
+    [userId, token, expiresAt, sessionId]
+  );
+  return token;
+}
+
+/**
+ * createSession - open a session at login, inside the caller's transaction
+ * Returns { sessionId, refresh: { token, expiresAt } }.
+ */
+async function createSession(client, req, userId) {
+  const sessionId = uuidv4();
+  const expiresAt = refreshExpiry();
+  await client.query(
+    `INSERT INTO user_sessions (session_id, user_id, device, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [sessionId, userId, req.get('user-agent') || null, req.ip || null, expiresAt]
+  );
+  const token = await insertRefreshToken(client, userId, sessionId, expiresAt);
+  return { sessionId, refresh: { token, expiresAt } };
+}
+
+/**
+ * rotateRefreshToken - exchange a refresh token, inside the caller's transaction
+ * Returns { status, userId, sessionId, refresh } where status is
+ *   'rotated' - new refresh token issued, the old one is spent
+ *   'grace'   - token was rotated moments ago by a parallel request; no new refresh token
+ *   'reuse'   - a spent token came back; the session has been revoked
+ *   'invalid' - unknown, expired or revoked
+ */
+async function rotateRefreshToken(client, req, token) {
+  const { rows } = await client.query(
+    `SELECT rt.*, s.revoked_at AS session_revoked_at
+     FROM refresh_tokens rt
+     JOIN user_sessions s ON s.session_id = rt.session_id
+     WHERE rt.refresh_token = $1
+     FOR UPDATE OF rt, s`,
+    [token]
+  );
+  const row = rows[0];
+  if (!row || row.session_revoked_at || new Date(row.expires_at) <= new Date()) return { status: 'invalid' };
+
+  const ids = { userId: row.user_id, sessionId: row.session_id };
+  if (row.rotated_at) {
+    if (Date.now() - new Date(row.rotated_at).getTime() <= ROTATION_GRACE_SECONDS * 1000) return { status: 'grace', ...ids };
+    await revokeSession(client, row.session_id, 'reuse');
+    console.warn(`Refresh token reuse detected; revoked session ${row.session_id} of user ${row.user_id}`);
+    return { status: 'reuse', ...ids };
+  }
+
+  const expiresAt = refreshExpiry();
+  await client.query('UPDATE refresh_tokens SET rotated_at = NOW() WHERE refresh_token = $1', [token]);
+  await client.query(
+    `UPDATE user_sessions SET last_used_at = NOW(), expires_at = $1, ip_address = COALESCE($2, ip_address)
+     WHERE session_id = $3`,
+    [expiresAt, req.ip || null, row.session_id]
+  );
+  const next = await insertRefreshToken(client, row.user_id, row.session_id, expiresAt);
+  return { status: 'rotated', ...ids, refresh: { token: next, expiresAt } };
+}
+
+/** Session id behind a refresh token (spent or not), or null */
+async function sessionForRefreshToken(client, token) {
+  const { rows } = await client.query('SELECT session_id FROM refresh_tokens WHERE refresh_token = $1', [token]);
+  return rows[0]?.session_id || null;
+}
+
+/** revokeSession - end one session; optionally only if it belongs to userId. Returns true if it was active. */
+async function revokeSession(client, sessionId, reason, userId = null) {
+  const { rowCount } = await client.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE session_id = $1 AND revoked_at IS NULL AND ($3::int IS NULL OR user_id = $3)`,
+    [sessionId, reason, userId]
+  );
+  return rowCount > 0;
+}
+
+/** revokeUserSessions - end every session of a user, except `exceptSessionId`. Returns the count. */
+async function revokeUserSessions(client, userId, reason, exceptSessionId = null) {
+  const { rowCount } = await client.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR session_id <> $3)`,
+    [userId, reason, exceptSessionId]
+  );
+  return rowCount;
+}
+
+/** Deny-list a single access token until it would have expired anyway */
+async function revokeAccessToken(client, token) {
+  const exp = jwt.decode(token)?.exp;
+  await client.query(
+    'INSERT INTO revoked_tokens (token, expires_at) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+    [token, exp ? new Date(exp * 1000) : null]
+  );
+}
+
+/** Active sessions of a user, most recently used first */
+async function listSessions(client, userId) {
+  const { rows } = await client.query(
+    `SELECT session_id, device, ip_address, created_at, last_used_at, expires_at
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY COALESCE(last_used_at, created_at) DESC`,
+    [userId]
+  );
+  return rows;
+}
+
+/**
+ * purgeExpiredTokens - drop rows that can no longer authenticate anything
+ * Revoked and expired sessions take their refresh tokens with them (ON DELETE CASCADE);
+ * deny-listed access tokens go once past their expiry.
+ */
+async function purgeExpiredTokens() {
+  return db.withTransaction(async (client) => {
+    const sessions = await client.query('DELETE FROM user_sessions WHERE revoked_at IS NOT NULL OR expires_at <= NOW()');
+    const refresh = await client.query('DELETE FROM refresh_tokens WHERE expires_at <= NOW()');
+    // Rows from before expires_at was recorded outlive any access token after a day
+    const revoked = await client.query(
+      `DELETE FROM revoked_tokens
+       WHERE expires_at <= NOW() OR (expires_at IS NULL AND revoked_at < NOW() - INTERVAL '1 day')`
+    );
+    return { sessions: sessions.rowCount, refreshTokens: refresh.rowCount, revokedTokens: revoked.rowCount };
+  });
+}
+
+async function runPurge() {
+  try {
+    const purged = await purgeExpiredTokens();
+    if (purged.sessions || purged.refreshTokens || purged.revokedTokens) console.log('🧹 Purged expired tokens:', purged);
+  } catch (err) {
+    console.error('Token purge failed:', err.message);
+  }
+}
+
+/** startTokenPurgeJob - purge now and every TOKEN_PURGE_INTERVAL_MS */
+function startTokenPurgeJob() {
+  const timer = setInterval(runPurge, PURGE_INTERVAL_MS);
+  timer.unref();
+  runPurge();
+  return timer;
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  sessionForRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  revokeAccessToken,
+  listSessions,
+  purgeExpiredTokens,
+  startTokenPurgeJob,
+};
@@ -0,0 +1,122 @@
+// backend/utils/softDelete.js
+// Soft delete / restore for FRF records. Deleted rows keep their child rows and
+// stay in the trash until a super_admin purges them after the retention period.
+
+const db = require('../db');
+const entities = require('../config/entities');
+const { lockRow, recordAudit } = require('./audit');
+
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+
+/**
+ * lockLiveRecord - lock an FRF record before its child rows change
+ * Null when the record is missing or in the trash; trashed records are read-only.
+ */
+async function lockLiveRecord(client, entity, id) {
+  const row = await lockRow(client, entities[entity].table, 'id', id);
+  return row && !row.deleted_at ? row : null;
+}
+
+/**
+ * softDeleteHandler - DELETE /:id for an entity router
+ * Stamps deleted_at / deleted_by instead of removing the row. `afterChange(client, row)`
+ * runs in the same transaction for data derived from the record (e.g. project budgets).
+ */
+function softDeleteHandler(entity, { afterChange } = {}) {
+  const { table, label } = entities[entity];
+
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const deleted = await db.withTransaction(async (client) => {
+        const before = await lockRow(client, table, 'id', id);
+        if (!before || before.deleted_at) return null;
+
+        await client.query(
+          `UPDATE ${table} SET deleted_at = NOW(), deleted_by = $1 WHERE id = $2`,
+          [req.user.user_id, id]
+        );
+        await recordAudit(client, req, { entity, recordId: id, action: 'DELETE', before });
+        if (afterChange) await afterChange(client, before);
+        return before;
+      });
+
+      if (!deleted) return res.status(404).json({ error: `${label} not found` });
+      res.json({ message: `${label} moved to trash`, id });
+    } catch (err) {
+      console.error(`Error deleting ${entity} record:`, err);
+      res.status(500).json({ error: `Error deleting ${label.toLowerCase()}` });
+    }
+  };
+}
+
+/**
+ * restoreHandler - POST /:id/restore for an entity router
+ * Takes the same `afterChange` hook as softDeleteHandler.
+ */
+function restoreHandler(entity, { afterChange } = {}) {
+  const { table, label } = entities[entity];
+
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const restored = await db.withTransaction(async (client) => {
+        const before = await lockRow(client, table, 'id', id);
+        if (!before || !before.deleted_at) return null;
+
+        const { rows } = await client.query(
+          `UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 RETURNING *`,
+          [id]
+        );
+        await recordAudit(client, req, { entity, recordId: id, action: 'RESTORE', before, after: rows[0] });
+        if (afterChange) await afterChange(client, rows[0]);
+        return rows[0];
+      });
+
+      if (!restored) return res.status(404).json({ error: `${label} not found in trash` });
+      res.json({ message: `${label} restored`, record: restored });
+    } catch (err) {
+      console.error(`Error restoring ${entity} record:`, err);
+      if (err.code === '23505') {
+        return res.status(409).json({ error: `Cannot restore — another ${label.toLowerCase()} now uses the same unique value` });
+      }
+      res.status(500).json({ error: `Error restoring ${label.toLowerCase()}` });
+    }
+  };
+}
+
+/**
+ * purgeExpired - permanently delete trashed records older than the retention period
+ * Child rows go with them via ON DELETE CASCADE. Returns the purged { entity, id } pairs.
+ */
+async function purgeExpired(req, entityFilter) {
+  const targets = entityFilter ? [entityFilter] : Object.keys(entities);
+
+  return db.withTransaction(async (client) => {
+    const purged = [];
+    for (const entity of targets) {
+      const { table } = entities[entity];
+      const { rows } = await client.query(
+        `DELETE FROM ${table}
+         WHERE deleted_at IS NOT NULL AND deleted_at < NOW() - make_interval(days => $1)
+         RETURNING *`,
+        [TRASH_RETENTION_DAYS]
+      );
+      for (const row of rows) {
+        await recordAudit(client, req, { entity, recordId: row.id, action: 'PURGE', before: row });
+        purged.push({ entity, id: row.id });
+      }
+    }
+    return purged;
+  });
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  lockLiveRecord,
+  softDeleteHandler,
+  restoreHandler,
+  purgeExpired,
+};
@@ -0,0 +1,31 @@
+// backend/utils/sql.js
+// Small helpers for building dynamic UPDATE statements safely.
+
+/**
+ * pickColumns - keep only whitelisted keys from a request body
+ * Column names are interpolated into SQL, so anything not in `allowed` is dropped.
+ */
+function pickColumns(body = {}, allowed = []) {
+  const picked = {};
+  for (const key of allowed) {
+    if (Object.prototype.hasOwnProperty.call(body, key)) picked[key] = body[key];
+  }
+  return picked;
+}
+
+/**
+ * buildSetClause - `"a" = $1, "b" = $2` for the given updates
+ * Returns { setSql, values } with placeholders starting at `startIndex`.
+ */
+function buildSetClause(updates, startIndex = 1) {
+  const keys = Object.keys(updates);
+  return {
+    setSql: keys.map((k, i) => `"${k}" = $${i + startIndex}`).join(', '),
+    values: keys.map(k => updates[k]),
+  };
+}
+
+module.exports = {
+  pickColumns,
+  buildSetClause,
+};
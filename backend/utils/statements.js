@@ -0,0 +1,389 @@
+// backend/utils/statements.js
+// Financial statements for the auditor: Income & Expenditure, Receipts & Payments
+// and a GST input summary, for a date range or an Indian financial year (April–March).
+// They aggregate posted ledger rows on live finance reports and donations from live
+// donors. Each statement line carries a `line` key that statementRows() expands into
+// the rows behind it, so every figure can be traced.
+
+const ExcelJS = require('exceljs');
+const { POSTED_ROWS_SQL } = require('./fundAccounting');
+const { financialYear } = require('./receipts');
+const { pdfBuffer, drawHeading, drawSectionTitle, drawTable, formatValue } = require('./exporter');
+
+const STATEMENTS = {
+  income_expenditure: 'Income & Expenditure Account',
+  receipts_payments: 'Receipts & Payments Account',
+  gst_input: 'GST Input Summary',
+};
+
+// Drill-down is capped; the statement totals always cover every row
+const DRILL_LIMIT = 1000;
+
+const round2 = (value) => Math.round(Number(value || 0) * 100) / 100;
+const money = (n) => (n === null || n === undefined || n === '' ? '' : `$${round2(n).toFixed(2)}`);
+const sumOf = (rows, key) => round2(rows.reduce((acc, r) => acc + Number(r[key] || 0), 0));
+
+/**
+ * resolvePeriod - { from, to, label } for ?fy=2025 (FY 2025-26) or ?from=&to=
+ * Defaults to the financial year that contains today.
+ */
+function resolvePeriod({ fy, from, to } = {}) {
+  if (from && to) return { from, to, label: `${from} to ${to}` };
+
+  const start = fy ? Number(fy) : Number(financialYear(new Date()).slice(0, 4));
+  const fyFrom = `${start}-04-01`;
+  return { from: fyFrom, to: `${start + 1}-03-31`, label: `FY ${financialYear(fyFrom)}` };
+}
+
+/* ---------- aggregates ---------- */
+
+const LIVE_DONATIONS_SQL = `
+  FROM donations d
+  JOIN donors o ON o.id = d.donor_id
+  WHERE o.deleted_at IS NULL
+`;
+
+async function donationTotals(client, from, to) {
+  const { rows } = await client.query(
+    `SELECT COUNT(*)::int AS entries, COALESCE(SUM(d.amount), 0) AS amount
+     ${LIVE_DONATIONS_SQL} AND d.donation_date BETWEEN $1 AND $2`,
+    [from, to]
+  );
+  return { entries: rows[0].entries, amount: round2(rows[0].amount) };
+}
+
+async function ledgerIncomeTotals(client, from, to) {
+  const { rows } = await client.query(
+    `SELECT COUNT(*)::int AS entries, COALESCE(SUM(r.income_amount), 0) AS amount
+     FROM (${POSTED_ROWS_SQL}) r
+     WHERE r.income_amount > 0 AND r.transaction_date BETWEEN $1 AND $2`,
+    [from, to]
+  );
+  return { entries: rows[0].entries, amount: round2(rows[0].amount) };
+}
+
+async function expensesByCategory(client, from, to) {
+  const { rows } = await client.query(
+    `SELECT r.category_id, COALESCE(c.name, 'Uncategorised') AS category_name, COALESCE(c.is_capital, false) AS is_capital,
+            COUNT(*)::int AS entries, SUM(r.expense_amount) AS amount
+     FROM (${POSTED_ROWS_SQL}) r
+     LEFT JOIN expense_categories c ON c.category_id = r.category_id
+     WHERE r.expense_amount > 0 AND r.transaction_date BETWEEN $1 AND $2
+     GROUP BY r.category_id, c.name, c.is_capital
+     ORDER BY c.name NULLS LAST`,
+    [from, to]
+  );
+  return rows.map(r => ({ ...r, amount: round2(r.amount) }));
+}
+
+/** Cash in hand before `from`: every receipt minus every payment recorded earlier */
+async function openingBalance(client, from) {
+  const { rows } = await client.query(
+    `SELECT
+       (SELECT COALESCE(SUM(d.amount), 0) ${LIVE_DONATIONS_SQL} AND d.donation_date < $1) +
+       (SELECT COALESCE(SUM(r.income_amount - r.expense_amount), 0) FROM (${POSTED_ROWS_SQL}) r WHERE r.transaction_date < $1)
+       AS balance`,
+    [from]
+  );
+  return round2(rows[0].balance);
+}
+
+/* ---------- statements ---------- */
+
+const PARTICULARS_COLUMNS = [
+  { key: 'particulars', label: 'Particulars', type: 'text' },
+  { key: 'entries', label: 'Entries', type: 'number' },
+  { key: 'amount', label: 'Amount', type: 'money' },
+];
+
+const categoryLine = (c, suffix = '') => ({
+  line: `expense_category:${c.category_id ?? 'none'}`,
+  particulars: `${c.category_name}${suffix}`,
+  entries: c.entries,
+  amount: c.amount,
+});
+
+async function incomeExpenditure(client, period) {
+  const donations = await donationTotals(client, period.from, period.to);
+  const otherIncome = await ledgerIncomeTotals(client, period.from, period.to);
+  const expenses = await expensesByCategory(client, period.from, period.to);
+
+  // Assets bought are capital spending, not an expense of the year
+  const revenue = expenses.filter(c => !c.is_capital);
+  const capital = expenses.filter(c => c.is_capital);
+  const income = [
+    { line: 'donations', particulars: 'Donations', ...donations },
+    { line: 'ledger_income', particulars: 'Other income (finance ledgers)', ...otherIncome },
+  ];
+  const totalIncome = sumOf(income, 'amount');
+  const totalExpenditure = sumOf(revenue, 'amount');
+  const surplus = round2(totalIncome - totalExpenditure);
+
+  return {
+    sections: [
+      { title: 'Income', columns: PARTICULARS_COLUMNS, rows: income, total: { particulars: 'Total income', amount: totalIncome } },
+      { title: 'Expenditure', columns: PARTICULARS_COLUMNS, rows: revenue.map(c => categoryLine(c)), total: { particulars: 'Total expenditure', amount: totalExpenditure } },
+    ],
+    summary: [
+      { label: surplus >= 0 ? 'Surplus (income over expenditure)' : 'Deficit (expenditure over income)', amount: Math.abs(surplus) },
+      { label: 'Capital expenditure (not charged to this account)', amount: sumOf(capital, 'amount') },
+    ],
+  };
+}
+
+async function receiptsPayments(client, period) {
+  const opening = await openingBalance(client, period.from);
+  const donations = await donationTotals(client, period.from, period.to);
+  const otherIncome = await ledgerIncomeTotals(client, period.from, period.to);
+  const payments = await expensesByCategory(client, period.from, period.to);
+
+  const receiptRows = [
+    { line: 'donations', particulars: 'Donations', ...donations },
+    { line: 'ledger_income', particulars: 'Other receipts (finance ledgers)', ...otherIncome },
+  ];
+  const paymentRows = payments.map(c => categoryLine(c, c.is_capital ? ' (capital)' : ''));
+  const received = sumOf(receiptRows, 'amount');
+  const paid = sumOf(paymentRows, 'amount');
+  const closing = round2(opening + received - paid);
+
+  // Both sides balance: opening + receipts = payments + closing
+  return {
+    sections: [
+      {
+        title: 'Receipts',
+        columns: PARTICULARS_COLUMNS,
+        rows: [{ line: null, particulars: 'Opening balance', entries: null, amount: opening }, ...receiptRows],
+        total: { particulars: 'Total', amount: round2(opening + received) },
+      },
+      {
+        title: 'Payments',
+        columns: PARTICULARS_COLUMNS,
+        rows: [...paymentRows, { line: null, particulars: 'Closing balance', entries: null, amount: closing }],
+        total: { particulars: 'Total', amount: round2(paid + closing) },
+      },
+    ],
+    summary: [
+      { label: 'Opening balance', amount: opening },
+      { label: 'Receipts', amount: received },
+      { label: 'Payments', amount: paid },
+      { label: 'Closing balance', amount: closing },
+    ],
+  };
+}
+
+// Ledger amounts are what was paid, GST included; gst is the rate in percent
+const GST_ROWS_SQL = `
+  SELECT r.*, ROUND(r.expense_amount * r.gst / (100 + r.gst), 2) AS gst_amount
+  FROM (${POSTED_ROWS_SQL}) r
+  WHERE r.expense_amount > 0 AND r.gst > 0
+`;
+
+const GST_COLUMNS = (first) => [
+  first,
+  { key: 'entries', label: 'Entries', type: 'number' },
+  { key: 'gross', label: 'Amount paid', type: 'money' },
+  { key: 'taxable', label: 'Taxable value', type: 'money' },
+  { key: 'gst', label: 'Input GST', type: 'money' },
+];
+
+async function gstInput(client, period) {
+  const grouped = async (groupSql) => {
+    const { rows } = await client.query(
+      `SELECT ${groupSql} AS grp, COUNT(*)::int AS entries, SUM(g.expense_amount) AS gross, SUM(g.gst_amount) AS gst
+       FROM (${GST_ROWS_SQL}) g
+       WHERE g.transaction_date BETWEEN $1 AND $2
+       GROUP BY 1 ORDER BY 1`,
+      [period.from, period.to]
+    );
+    return rows.map(r => ({ grp: r.grp, entries: r.entries, gross: round2(r.gross), gst: round2(r.gst), taxable: round2(r.gross - r.gst) }));
+  };
+
+  const byRate = (await grouped('g.gst')).map(r => ({ line: `gst_rate:${Number(r.grp)}`, rate: `${Number(r.grp)}%`, ...r }));
+  const byMonth = (await grouped(`to_char(g.transaction_date, 'YYYY-MM')`)).map(r => ({ line: `gst_month:${r.grp}`, month: r.grp, ...r }));
+  const total = { entries: sumOf(byRate, 'entries'), gross: sumOf(byRate, 'gross'), taxable: sumOf(byRate, 'taxable'), gst: sumOf(byRate, 'gst') };
+
+  return {
+    sections: [
+      { title: 'By GST rate', columns: GST_COLUMNS({ key: 'rate', label: 'Rate', type: 'text' }), rows: byRate, total: { rate: 'Total', ...total } },
+      { title: 'By month', columns: GST_COLUMNS({ key: 'month', label: 'Month', type: 'text' }), rows: byMonth, total: { month: 'Total', ...total } },
+    ],
+    summary: [{ label: 'Input GST paid', amount: total.gst }],
+  };
+}
+
+const BUILDERS = {
+  income_expenditure: incomeExpenditure,
+  receipts_payments: receiptsPayments,
+  gst_input: gstInput,
+};
+
+/** buildStatement - one of STATEMENTS for a resolved period */
+async function buildStatement(client, statement, period) {
+  const body = await BUILDERS[statement](client, period);
+  return { statement, title: STATEMENTS[statement], period, generated_at: new Date().toISOString(), ...body };
+}
+
+/* ---------- drill-down ---------- */
+
+const DONATION_COLUMNS = [
+  { key: 'donation_date', label: 'Date', type: 'date' },
+  { key: 'donor_frf_name', label: 'Donor', type: 'text' },
+  { key: 'receipt_number', label: 'Receipt No.', type: 'text' },
+  { key: 'purpose', label: 'Purpose', type: 'text' },
+  { key: 'amount', label: 'Amount', type: 'money' },
+];
+
+const LEDGER_COLUMNS = [
+  { key: 'transaction_date', label: 'Date', type: 'date' },
+  { key: 'finance_report_frf_name', label: 'Finance Report', type: 'text' },
+  { key: 'name', label: 'Name', type: 'text' },
+  { key: 'category_name', label: 'Category', type: 'text' },
+  { key: 'project_frf_name', label: 'Project', type: 'text' },
+  { key: 'bill_transaction_id', label: 'Bill/Txn ID', type: 'text' },
+];
+
+/** Where clause, extra params, amount columns and label for a ledger line key; null if unknown */
+function ledgerLine(line) {
+  let match;
+  if (line === 'ledger_income') {
+    return { where: 'r.income_amount > 0', params: [], columns: [{ key: 'income_amount', label: 'Income', type: 'money' }], label: 'Other income (finance ledgers)' };
+  }
+  if ((match = /^expense_category:(\d+|none)$/.exec(line))) {
+    const none = match[1] === 'none';
+    return {
+      where: `r.expense_amount > 0 AND ${none ? 'r.category_id IS NULL' : 'r.category_id = $3'}`,
+      params: none ? [] : [Number(match[1])],
+      columns: [{ key: 'expense_amount', label: 'Expense', type: 'money' }],
+      label: none ? 'Uncategorised' : null,
+    };
+  }
+  const gstColumns = [
+    { key: 'gst', label: 'GST %', type: 'number' },
+    { key: 'expense_amount', label: 'Amount paid', type: 'money' },
+    { key: 'gst_amount', label: 'Input GST', type: 'money' },
+  ];
+  if ((match = /^gst_rate:(\d+(?:\.\d+)?)$/.exec(line))) {
+    return { where: 'r.expense_amount > 0 AND r.gst = $3', params: [Number(match[1])], columns: gstColumns, label: `GST at ${Number(match[1])}%` };
+  }
+  if ((match = /^gst_month:(\d{4}-\d{2})$/.exec(line))) {
+    return { where: `r.expense_amount > 0 AND r.gst > 0 AND to_char(r.transaction_date, 'YYYY-MM') = $3`, params: [match[1]], columns: gstColumns, label: `GST paid in ${match[1]}` };
+  }
+  return null;
+}
+
+/**
+ * statementRows - the donations or ledger rows behind one statement line
+ * Returns { line, label, columns, rows, truncated }, or null for an unknown line key.
+ */
+async function statementRows(client, period, line) {
+  if (line === 'donations') {
+    const { rows } = await client.query(
+      `SELECT d.donation_id, d.donation_date, d.donor_id, o.donor_frf_name, d.receipt_number, d.purpose, d.amount
+       ${LIVE_DONATIONS_SQL} AND d.donation_date BETWEEN $1 AND $2
+       ORDER BY d.donation_date, d.donation_id
+       LIMIT ${DRILL_LIMIT + 1}`,
+      [period.from, period.to]
+    );
+    return { line, label: 'Donations', columns: DONATION_COLUMNS, rows: rows.slice(0, DRILL_LIMIT), truncated: rows.length > DRILL_LIMIT };
+  }
+
+  const spec = ledgerLine(line);
+  if (!spec) return null;
+
+  const { rows } = await client.query(
+    `SELECT r.transaction_id, r.transaction_date, r.finance_report_id, f.finance_report_frf_name, r.name,
+            c.name AS category_name, p.project_frf_name, r.bill_transaction_id,
+            r.income_amount, r.expense_amount, r.gst,
+            CASE WHEN r.gst > 0 THEN ROUND(r.expense_amount * r.gst / (100 + r.gst), 2) END AS gst_amount
+     FROM (${POSTED_ROWS_SQL}) r
+     JOIN finance_reports f ON f.id = r.finance_report_id
+     LEFT JOIN expense_categories c ON c.category_id = r.category_id
+     LEFT JOIN projects p ON p.id = r.effective_project_id
+     WHERE r.transaction_date BETWEEN $1 AND $2 AND ${spec.where}
+     ORDER BY r.transaction_date, r.transaction_id
+     LIMIT ${DRILL_LIMIT + 1}`,
+    [period.from, period.to, ...spec.params]
+  );
+  return {
+    line,
+    label: spec.label ?? rows[0]?.category_name ?? line,
+    columns: [...LEDGER_COLUMNS, ...spec.columns],
+    rows: rows.slice(0, DRILL_LIMIT),
+    truncated: rows.length > DRILL_LIMIT,
+  };
+}
+
+/* ---------- export ---------- */
+
+const cellText = (column, value) => (column.type === 'money' ? money(value) : formatValue(value));
+
+/** PDF of a statement: one table per section, then the summary figures */
+function statementPdf(statement) {
+  return pdfBuffer(doc => {
+    drawHeading(doc, statement.title, `${statement.period.label} (${statement.period.from} to ${statement.period.to}) · Generated ${new Date(statement.generated_at).toLocaleString()}`);
+
+    for (const section of statement.sections) {
+      drawSectionTitle(doc, section.title);
+      const rows = section.total ? [...section.rows, section.total] : section.rows;
+      drawTable(doc, section.columns.map(c => ({ ...c, format: value => cellText(c, value) })), rows);
+    }
+
+    drawSectionTitle(doc, 'Summary');
+    for (const { label, amount } of statement.summary) {
+      doc.font('Helvetica').fontSize(10).text(`${label}: `, { continued: true }).font('Helvetica-Bold').text(money(amount));
+    }
+  });
+}
+
+/** XLSX of a statement: the statement on its first sheet, the rows behind each line on the next */
+async function statementXlsx(statement, details) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Statement');
+  sheet.addRow([statement.title]).font = { bold: true, size: 14 };
+  sheet.addRow([`${statement.period.label} (${statement.period.from} to ${statement.period.to})`]);
+
+  const native = (column, value) => (column.type === 'money' || column.type === 'number' ? (value === null || value === undefined ? null : Number(value)) : formatValue(value));
+
+  for (const section of statement.sections) {
+    sheet.addRow([]);
+    sheet.addRow([section.title]).font = { bold: true };
+    sheet.addRow(section.columns.map(c => c.label)).font = { bold: true };
+    for (const row of section.rows) sheet.addRow(section.columns.map(c => native(c, row[c.key])));
+    if (section.total) sheet.addRow(section.columns.map(c => native(c, section.total[c.key]))).font = { bold: true };
+  }
+  sheet.addRow([]);
+  for (const { label, amount } of statement.summary) sheet.addRow([label, null, amount]);
+  sheet.getColumn(1).width = 45;
+  for (let i = 2; i <= 5; i++) sheet.getColumn(i).width = 16;
+
+  const detailSheet = workbook.addWorksheet('Detail');
+  for (const detail of details) {
+    detailSheet.addRow([`${detail.label}${detail.truncated ? ` (first ${detail.rows.length} rows)` : ''}`]).font = { bold: true };
+    detailSheet.addRow(detail.columns.map(c => c.label)).font = { bold: true };
+    for (const row of detail.rows) {
+      detailSheet.addRow(detail.columns.map(c => (c.type === 'date' && row[c.key] instanceof Date ? row[c.key] : native(c, row[c.key]))));
+    }
+    detailSheet.addRow([]);
+  }
+  detailSheet.columns.forEach(col => { col.width = 18; });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/** Drill-down for every line of a statement, for the XLSX detail sheet */
+async function statementDetails(client, statement) {
+  const lines = [...new Set(statement.sections.flatMap(s => s.rows.map(r => r.line)).filter(Boolean))];
+  const details = [];
+  for (const line of lines) details.push(await statementRows(client, statement.period, line));
+  return details.filter(Boolean);
+}
+
+module.exports = {
+  STATEMENTS,
+  resolvePeriod,
+  buildStatement,
+  statementRows,
+  statementDetails,
+  statementPdf,
+  statementXlsx,
+};
@@ -0,0 +1,290 @@
+// backend/utils/studentProgress.js
+// Student progress worked out from student_session_logs on every query: score
+// over time, per-course averages, how often the student attends, and cohorts
+// by class, section or school.
+//
+// A student is flagged at risk by either rule:
+//   declining  the average of their last 3 scored sessions is at least
+//              STUDENT_DECLINE_POINTS below the average of the 3 before
+//              (both need 2 or more scored sessions)
+//   inactive   no session in STUDENT_INACTIVE_WEEKS weeks, or none at all
+//              since the student was added that long ago
+// A student can carry both flags. Trashed students are left out.
+
+const INACTIVE_WEEKS = Math.max(parseInt(process.env.STUDENT_INACTIVE_WEEKS, 10) || 4, 1);
+const DECLINE_POINTS = Math.max(parseInt(process.env.STUDENT_DECLINE_POINTS, 10) || 10, 1);
+// Scored sessions in each of the two windows compared for a decline
+const TREND_WINDOW = 3;
+const RISK_FLAGS = ['declining', 'inactive'];
+const COHORT_GROUPS = {
+  class: `COALESCE(p."class", 'Not set')`,
+  section: `COALESCE(p."class", 'Not set') || ' · ' || COALESCE(p.section, '—')`,
+  school: `COALESCE(NULLIF(TRIM(p.school), ''), 'Not set')`,
+};
+const AT_RISK_LIMIT = 500;
+
+const round1 = (value) => (value == null ? null : Math.round(Number(value) * 10) / 10);
+
+/**
+ * progressOptions - the at-risk thresholds from a request's ?weeks=&decline=,
+ * falling back to the environment defaults
+ */
+function progressOptions(query = {}) {
+  const weeks = parseInt(query.weeks, 10);
+  const decline = parseInt(query.decline, 10);
+  return {
+    inactiveWeeks: weeks >= 1 && weeks <= 52 ? weeks : INACTIVE_WEEKS,
+    declinePoints: decline >= 1 && decline <= 100 ? decline : DECLINE_POINTS,
+  };
+}
+
+/**
+ * studentProgressSql - one row per live student with session stats, the two
+ * trend windows and risk_flags (an array of RISK_FLAGS). The thresholds are
+ * integers from progressOptions, so they are inlined.
+ */
+function studentProgressSql({ inactiveWeeks = INACTIVE_WEEKS, declinePoints = DECLINE_POINTS } = {}) {
+  const inactiveDays = Number(inactiveWeeks) * 7;
+  const decline = Number(declinePoints);
+
+  return `
+    SELECT p.*,
+           ROUND(p.recent_average - p.previous_average, 1) AS score_change,
+           ARRAY_REMOVE(ARRAY[
+             CASE WHEN p.recent_count >= 2 AND p.previous_count >= 2
+                   AND p.recent_average <= p.previous_average - ${decline} THEN 'declining' END,
+             CASE WHEN COALESCE(p.last_session_date, p.created_by_date::date) <= CURRENT_DATE - ${inactiveDays} THEN 'inactive' END
+           ], NULL) AS risk_flags
+    FROM (
+      SELECT s.id, s.student_frf_name, s.student_frf_owner, s."class", s.section, s.school, s.created_by_date,
+             COALESCE(a.sessions, 0) AS sessions,
+             a.first_session_date, a.last_session_date,
+             CURRENT_DATE - a.last_session_date AS days_since_last_session,
+             a.average_score, a.average_understanding,
+             COALESCE(a.recent_sessions, 0) AS recent_sessions,
+             ROUND(t.recent_average, 1) AS recent_average, t.recent_count,
+             ROUND(t.previous_average, 1) AS previous_average, t.previous_count
+      FROM students s
+      LEFT JOIN LATERAL (
+        SELECT COUNT(*)::int AS sessions,
+               MIN(l.session_date) AS first_session_date,
+               MAX(l.session_date) AS last_session_date,
+               ROUND(AVG(l.overall_score), 1) AS average_score,
+               ROUND(AVG(l.understanding_level), 1) AS average_understanding,
+               COUNT(*) FILTER (WHERE l.session_date > CURRENT_DATE - ${inactiveDays})::int AS recent_sessions
+        FROM student_session_logs l
+        WHERE l.student_id = s.id
+      ) a ON TRUE
+      LEFT JOIN LATERAL (
+        SELECT AVG(w.overall_score) FILTER (WHERE w.rn <= ${TREND_WINDOW}) AS recent_average,
+               COUNT(*) FILTER (WHERE w.rn <= ${TREND_WINDOW})::int AS recent_count,
+               AVG(w.overall_score) FILTER (WHERE w.rn > ${TREND_WINDOW}) AS previous_average,
+               COUNT(*) FILTER (WHERE w.rn > ${TREND_WINDOW})::int AS previous_count
+        FROM (
+          SELECT l.overall_score, ROW_NUMBER() OVER (ORDER BY l.session_date DESC, l.session_log_id DESC) AS rn
+          FROM student_session_logs l
+          WHERE l.student_id = s.id AND l.overall_score IS NOT NULL
+          ORDER BY l.session_date DESC, l.session_log_id DESC
+          LIMIT ${TREND_WINDOW * 2}
+        ) w
+      ) t ON TRUE
+      WHERE s.deleted_at IS NULL
+    ) p
+  `;
+}
+
+/**
+ * studentRiskFlagsSql - a student's risk flags with the default thresholds,
+ * for the student list. `alias` is the students row in the outer query.
+ */
+function studentRiskFlagsSql(alias) {
+  return `(SELECT p.risk_flags FROM (${studentProgressSql()}) p WHERE p.id = ${alias}.id)`;
+}
+
+/**
+ * studentProgress - one live student's trend: the summary with risk flags,
+ * every session in date order with a rolling average of the last 3 scores,
+ * per-course averages, sessions per month for the last 12 months, interest
+ * levels and the latest challenges noted. Null if the student doesn't exist.
+ */
+async function studentProgress(client, studentId, options = {}) {
+  const { rows: [summary] } = await client.query(
+    `SELECT * FROM (${studentProgressSql(options)}) p WHERE p.id = $1`,
+    [studentId]
+  );
+  if (!summary) return null;
+
+  const { rows: timeline } = await client.query(
+    `SELECT l.session_log_id, to_char(l.session_date, 'YYYY-MM-DD') AS session_date, l.course,
+            l.overall_score, l.understanding_level, l.interest_level,
+            ROUND(AVG(l.overall_score) OVER (
+              ORDER BY l.session_date, l.session_log_id ROWS BETWEEN ${TREND_WINDOW - 1} PRECEDING AND CURRENT ROW
+            ), 1) AS rolling_average
+     FROM student_session_logs l
+     WHERE l.student_id = $1
+     ORDER BY l.session_date, l.session_log_id`,
+    [studentId]
+  );
+
+  const { rows: byCourse } = await client.query(
+    `SELECT COALESCE(NULLIF(TRIM(l.course), ''), 'Unspecified') AS course,
+            COUNT(*)::int AS sessions,
+            ROUND(AVG(l.overall_score), 1) AS average_score,
+            ROUND(AVG(l.understanding_level), 1) AS average_understanding,
+            to_char(MAX(l.session_date), 'YYYY-MM-DD') AS last_session_date,
+            (ARRAY_AGG(l.overall_score ORDER BY l.session_date DESC, l.session_log_id DESC)
+              FILTER (WHERE l.overall_score IS NOT NULL))[1] AS latest_score
+     FROM student_session_logs l
+     WHERE l.student_id = $1
+     GROUP BY 1
+     ORDER BY sessions DESC, course`,
+    [studentId]
+  );
+
+  const { rows: monthly } = await client.query(
+    `SELECT to_char(m.month, 'YYYY-MM') AS month,
+            COUNT(l.session_log_id)::int AS sessions,
+            ROUND(AVG(l.overall_score), 1) AS average_score
+     FROM generate_series(date_trunc('month', CURRENT_DATE) - INTERVAL '11 months', date_trunc('month', CURRENT_DATE), INTERVAL '1 month') AS m(month)
+     LEFT JOIN student_session_logs l
+       ON l.student_id = $1 AND date_trunc('month', l.session_date) = m.month
+     GROUP BY m.month
+     ORDER BY m.month`,
+    [studentId]
+  );
+
+  const { rows: interest } = await client.query(
+    `SELECT COALESCE(NULLIF(TRIM(l.interest_level), ''), 'Not noted') AS interest_level, COUNT(*)::int AS sessions
+     FROM student_session_logs l
+     WHERE l.student_id = $1
+     GROUP BY 1
+     ORDER BY sessions DESC`,
+    [studentId]
+  );
+
+  const { rows: challenges } = await client.query(
+    `SELECT to_char(l.session_date, 'YYYY-MM-DD') AS session_date, l.course, l.challenges_faced
+     FROM student_session_logs l
+     WHERE l.student_id = $1 AND NULLIF(TRIM(l.challenges_faced), '') IS NOT NULL
+     ORDER BY l.session_date DESC, l.session_log_id DESC
+     LIMIT 5`,
+    [studentId]
+  );
+
+  // Attendance frequency over the weeks from the first session to today
+  const weeksActive = summary.first_session_date
+    ? Math.max((Date.now() - new Date(summary.first_session_date).getTime()) / (7 * 86400000), 1)
+    : null;
+
+  return {
+    student_id: summary.id,
+    student_name: summary.student_frf_name,
+    class: summary.class,
+    section: summary.section,
+    school: summary.school,
+    sessions: summary.sessions,
+    first_session_date: summary.first_session_date,
+    last_session_date: summary.last_session_date,
+    days_since_last_session: summary.days_since_last_session,
+    sessions_per_week: weeksActive ? round1(summary.sessions / weeksActive) : null,
+    recent_sessions: summary.recent_sessions,
+    average_score: round1(summary.average_score),
+    average_understanding: round1(summary.average_understanding),
+    recent_average: round1(summary.recent_average),
+    previous_average: round1(summary.previous_average),
+    score_change: round1(summary.score_change),
+    risk_flags: summary.risk_flags,
+    thresholds: { inactive_weeks: options.inactiveWeeks ?? INACTIVE_WEEKS, decline_points: options.declinePoints ?? DECLINE_POINTS },
+    timeline: timeline.map(t => ({ ...t, rolling_average: round1(t.rolling_average) })),
+    by_course: byCourse.map(c => ({ ...c, average_score: round1(c.average_score), average_understanding: round1(c.average_understanding) })),
+    monthly: monthly.map(m => ({ ...m, average_score: round1(m.average_score) })),
+    interest,
+    challenges,
+  };
+}
+
+/**
+ * cohortProgress - students grouped by class, class and section, or school:
+ * how many there are, how many attend, average score and understanding, and
+ * how many are at risk. `scope` is ownerScope(req, 'students').
+ */
+async function cohortProgress(client, { groupBy = 'class', scope = null, ...options } = {}) {
+  const group = COHORT_GROUPS[groupBy];
+  if (!group) throw Object.assign(new Error(`group_by must be one of ${Object.keys(COHORT_GROUPS).join(', ')}`), { status: 400 });
+
+  const params = [];
+  const where = [];
+  if (scope) {
+    params.push(scope.userId);
+    where.push(`p.${scope.column} = $${params.length}`);
+  }
+
+  const { rows } = await client.query(
+    `SELECT ${group} AS cohort,
+            COUNT(*)::int AS students,
+            COUNT(*) FILTER (WHERE p.sessions > 0)::int AS students_with_sessions,
+            SUM(p.sessions)::int AS sessions,
+            SUM(p.recent_sessions)::int AS recent_sessions,
+            ROUND(AVG(p.average_score), 1) AS average_score,
+            ROUND(AVG(p.average_understanding), 1) AS average_understanding,
+            COUNT(*) FILTER (WHERE cardinality(p.risk_flags) > 0)::int AS at_risk,
+            COUNT(*) FILTER (WHERE 'declining' = ANY(p.risk_flags))::int AS declining,
+            COUNT(*) FILTER (WHERE 'inactive' = ANY(p.risk_flags))::int AS inactive
+     FROM (${studentProgressSql(options)}) p
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     GROUP BY 1
+     ORDER BY 1`,
+    params
+  );
+
+  return rows.map(r => ({ ...r, average_score: round1(r.average_score), average_understanding: round1(r.average_understanding) }));
+}
+
+/**
+ * atRiskStudents - live students with at least one risk flag, those with both
+ * first, then the steepest decline and the longest gap. Optionally only one
+ * `flag`, or one class / section / school.
+ */
+async function atRiskStudents(client, { flag, cohort = {}, scope = null, ...options } = {}) {
+  const params = [];
+  const where = ['cardinality(p.risk_flags) > 0'];
+  if (flag) {
+    if (!RISK_FLAGS.includes(flag)) throw Object.assign(new Error(`flag must be one of ${RISK_FLAGS.join(', ')}`), { status: 400 });
+    params.push(flag);
+    where.push(`$${params.length} = ANY(p.risk_flags)`);
+  }
+  for (const column of ['class', 'section', 'school']) {
+    if (!cohort[column]) continue;
+    params.push(cohort[column]);
+    where.push(`p."${column}" = $${params.length}`);
+  }
+  if (scope) {
+    params.push(scope.userId);
+    where.push(`p.${scope.column} = $${params.length}`);
+  }
+
+  const { rows } = await client.query(
+    `SELECT p.id, p.student_frf_name, p.student_frf_owner, p."class", p.section, p.school,
+            p.sessions, to_char(p.last_session_date, 'YYYY-MM-DD') AS last_session_date, p.days_since_last_session,
+            p.average_score, p.recent_average, p.previous_average, p.score_change, p.risk_flags
+     FROM (${studentProgressSql(options)}) p
+     WHERE ${where.join(' AND ')}
+     ORDER BY cardinality(p.risk_flags) DESC, p.score_change ASC NULLS LAST,
+              p.last_session_date ASC NULLS FIRST, p.student_frf_name
+     LIMIT ${AT_RISK_LIMIT}`,
+    params
+  );
+  return rows;
+}
+
+module.exports = {
+  INACTIVE_WEEKS,
+  DECLINE_POINTS,
+  RISK_FLAGS,
+  progressOptions,
+  studentProgressSql,
+  studentRiskFlagsSql,
+  studentProgress,
+  cohortProgress,
+  atRiskStudents,
+};
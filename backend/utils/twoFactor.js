@@ -0,0 +1,222 @@
+// backend/utils/twoFactor.js
+// TOTP second factor (RFC 6238: SHA-1, 6 digits, 30 s steps) plus single-use
+// recovery codes. Secrets are stored AES-256-GCM encrypted, and totp_last_step
+// stops a code from being replayed inside its window. Roles in REQUIRED_ROLES
+// must enrol before POST /users/login hands out a session.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+require('dotenv').config();
+
+const REQUIRED_ROLES = ['admin', 'finance', 'super_admin'];
+const ISSUER = process.env.TOTP_ISSUER || 'NGO Data Hub';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // accept the previous and next code for clock skew
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_TOKEN_TTL = '5m';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'super_secret_key';
+const ENCRYPTION_KEY = crypto.createHash('sha256').update(process.env.TOTP_ENCRYPTION_KEY || JWT_SECRET).digest();
+// Derived key, so a login challenge can never pass verifyToken as an access token
+const LOGIN_TOKEN_KEY = crypto.createHmac('sha256', JWT_SECRET).update('mfa-login').digest('hex');
+
+const isRequiredFor = (role) => REQUIRED_ROLES.includes(role);
+
+/* ---------- TOTP ---------- */
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = '';
+  for (const byte of buf) bits += byte.toString(2).padStart(8, '0');
+  let out = '';
+  for (let i = 0; i < bits.length; i += 5) out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  return out;
+}
+
+function base32Decode(str) {
+  let bits = '';
+  for (const ch of str.replace(/=+$/, '').toUpperCase()) bits += BASE32.indexOf(ch).toString(2).padStart(5, '0');
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(value).padStart(DIGITS, '0');
+}
+
+/** Time step the code belongs to, or null; steps at or before lastStep were already used */
+function matchStep(secret, code, lastStep) {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(clean)) return null;
+
+  const now = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    if (lastStep != null && step <= Number(lastStep)) continue;
+    if (crypto.timingSafeEqual(Buffer.from(codeForStep(secret, step)), Buffer.from(clean))) return step;
+  }
+  return null;
+}
+
+/* ---------- Secret storage ---------- */
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join('.');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, data] = stored.split('.').map(s => Buffer.from(s, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+/* ---------- Recovery codes ---------- */
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/** Replace a user's recovery codes; returns the plain codes, shown once */
+async function issueRecoveryCodes(client, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  await client.query(
+    `INSERT INTO user_recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::text[])`,
+    [userId, codes.map(hashRecoveryCode)]
+  );
+  return codes;
+}
+
+async function recoveryCodesLeft(client, userId) {
+  const { rows } = await client.query(
+    'SELECT COUNT(*)::int AS n FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return rows[0].n;
+}
+
+/* ---------- Enrolment and verification (inside the caller's transaction) ---------- */
+
+/**
+ * startEnrolment - generate a pending secret for the user
+ * Returns { secret, otpauth_url, qr_code } where qr_code is a PNG data URL,
+ * or null when 2FA is already on (the active secret is only replaced by
+ * disabling it first).
+ */
+async function startEnrolment(client, user) {
+  const secret = base32Encode(crypto.randomBytes(20));
+  const { rowCount } = await client.query(
+    'UPDATE users SET totp_pending_secret = $1 WHERE user_id = $2 AND totp_enabled_at IS NULL',
+    [encryptSecret(secret), user.user_id]
+  );
+  if (!rowCount) return null;
+
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const params = new URLSearchParams({ secret, issuer: ISSUER, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  const otpauth_url = `otpauth://totp/${label}?${params}`;
+  return { secret, otpauth_url, qr_code: await QRCode.toDataURL(otpauth_url) };
+}
+
+/**
+ * confirmEnrolment - switch 2FA on once the first code from the pending secret checks out
+ * Returns the new recovery codes, or null when the code is wrong, no enrolment
+ * was started or 2FA is already on.
+ */
+async function confirmEnrolment(client, userId, code) {
+  const { rows } = await client.query('SELECT totp_pending_secret, totp_enabled_at FROM users WHERE user_id = $1 FOR UPDATE', [userId]);
+  if (!rows[0]?.totp_pending_secret || rows[0].totp_enabled_at) return null;
+
+  const step = matchStep(decryptSecret(rows[0].totp_pending_secret), code, null);
+  if (step === null) return null;
+
+  await client.query(
+    `UPDATE users
+     SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_enabled_at = NOW(), totp_last_step = $1
+     WHERE user_id = $2`,
+    [step, userId]
+  );
+  return issueRecoveryCodes(client, userId);
+}
+
+/**
+ * verifySecondFactor - check an authenticator code or a recovery code
+ * A matched code can't be used again; returns true or false.
+ */
+async function verifySecondFactor(client, userId, { code, recovery_code }) {
+  const { rows } = await client.query(
+    'SELECT totp_secret, totp_last_step FROM users WHERE user_id = $1 FOR UPDATE',
+    [userId]
+  );
+  if (!rows[0]?.totp_secret) return false;
+
+  if (recovery_code) {
+    const { rowCount } = await client.query(
+      `UPDATE user_recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+      [userId, hashRecoveryCode(recovery_code)]
+    );
+    return rowCount > 0;
+  }
+
+  const step = matchStep(decryptSecret(rows[0].totp_secret), code, rows[0].totp_last_step);
+  if (step === null) return false;
+  await client.query('UPDATE users SET totp_last_step = $1 WHERE user_id = $2', [step, userId]);
+  return true;
+}
+
+/** Turn 2FA off and drop the recovery codes (self-service disable and admin reset) */
+async function disableTwoFactor(client, userId) {
+  await client.query(
+    `UPDATE users
+     SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+     WHERE user_id = $1`,
+    [userId]
+  );
+  await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+}
+
+/* ---------- Login challenge ---------- */
+
+/**
+ * Short-lived proof that the password step of POST /users/login passed.
+ * `stage` is 'verify' (enter a code) or 'enroll' (required role, not enrolled yet).
+ */
+const createLoginChallenge = (userId, stage) =>
+  jwt.sign({ sub: String(userId), stage }, LOGIN_TOKEN_KEY, { expiresIn: LOGIN_TOKEN_TTL });
+
+/** User id from a challenge issued for `stage`, or null */
+function readLoginChallenge(token, stage) {
+  try {
+    const payload = jwt.verify(String(token), LOGIN_TOKEN_KEY);
+    return payload.stage === stage ? Number(payload.sub) : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  isRequiredFor,
+  startEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  issueRecoveryCodes,
+  recoveryCodesLeft,
+  disableTwoFactor,
+  createLoginChallenge,
+  readLoginChallenge,
+};
@@ -0,0 +1,75 @@
+// backend/utils/userTokens.js
+// Signed, expiring, single-use tokens for account emails (password reset,
+// email verification). The token is a JWT carrying the row's jti; the
+// user_tokens row records expiry and use, so a token works exactly once and
+// issuing a new one retires the older ones of the same purpose.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+const TOKEN_SECRET = process.env.USER_TOKEN_SECRET || process.env.JWT_SECRET || 'super_secret_key';
+
+const PURPOSES = {
+  password_reset: { minutes: Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60) },
+  email_verification: { minutes: Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 48) * 60 },
+};
+
+/**
+ * issueUserToken - create a token for `purpose` inside the caller's transaction
+ * Returns { token, expiresAt, minutes }.
+ */
+async function issueUserToken(client, userId, purpose) {
+  const { minutes } = PURPOSES[purpose];
+  const jti = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+
+  await client.query(
+    `UPDATE user_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+  await client.query(
+    `INSERT INTO user_tokens (jti, user_id, purpose, expires_at) VALUES ($1, $2, $3, $4)`,
+    [jti, userId, purpose, expiresAt]
+  );
+
+  const token = jwt.sign({ sub: String(userId), purpose }, TOKEN_SECRET, { jwtid: jti, expiresIn: minutes * 60 });
+  return { token, expiresAt, minutes };
+}
+
+/**
+ * consumeUserToken - check and use up a token inside the caller's transaction
+ * Returns the user id, or null when the token is invalid, expired, already used
+ * or meant for another purpose.
+ */
+async function consumeUserToken(client, token, purpose) {
+  let payload;
+  try {
+    payload = jwt.verify(String(token), TOKEN_SECRET);
+  } catch {
+    return null;
+  }
+  if (payload.purpose !== purpose || !payload.jti) return null;
+
+  const { rows } = await client.query(
+    `UPDATE user_tokens SET used_at = NOW()
+     WHERE jti = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [payload.jti, purpose]
+  );
+  return rows.length ? rows[0].user_id : null;
+}
+
+/** revokeUserTokens - retire a user's unused tokens, e.g. after a password change */
+async function revokeUserTokens(client, userId, purpose) {
+  await client.query(
+    `UPDATE user_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+}
+
+module.exports = {
+  issueUserToken,
+  consumeUserToken,
+  revokeUserTokens,
+};
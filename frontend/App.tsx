@@ -2,16 +2,54 @@ import React, { useState } from 'react';
 import { Sidebar } from './components/Sidebar';
 import { ListView } from './components/ListView';
 import { DetailView } from './components/DetailView';
+import { CreateView } from './components/CreateView';
+import { ImportView } from './components/ImportView';
+import { UsersView } from './components/UsersView';
+import { RolesView } from './components/RolesView';
+import { ReassignView } from './components/ReassignView';
+import { ApiKeysView } from './components/ApiKeysView';
+import { StatementsView } from './components/StatementsView';
+import { ReconciliationView } from './components/ReconciliationView';
+import { PledgeDuesView } from './components/PledgeDuesView';
+import { DonorAnalyticsView } from './components/DonorAnalyticsView';
+import { DuplicatesView } from './components/DuplicatesView';
+import { MergeLogView } from './components/MergeLogView';
+import { StudentProgressView } from './components/StudentProgressView';
+import { ChangePasswordView } from './components/ChangePasswordView';
+import { TwoFactorView } from './components/TwoFactorView';
+import { SessionsView } from './components/SessionsView';
 import type { FrfEntity } from './types';
 import { FRF_ENTITIES, NGO_ICON } from './constants';
 import { Header } from './components/Header';
+import { LoginView } from './components/LoginView';
+import { use_auth } from './context/AuthContext';
+import { OwnersProvider } from './context/OwnersContext';
+import { LookupsProvider } from './context/LookupsContext';
 
 type ViewState = 
   | { mode: 'welcome' }
   | { mode: 'list'; entity: FrfEntity }
-  | { mode: 'detail'; entity: FrfEntity; id: string };
+  | { mode: 'detail'; entity: FrfEntity; id: string }
+  | { mode: 'create'; entity: FrfEntity }
+  | { mode: 'import'; entity: FrfEntity }
+  | { mode: 'users' }
+  | { mode: 'roles' }
+  | { mode: 'reassign' }
+  | { mode: 'api_keys' }
+  | { mode: 'statements' }
+  | { mode: 'reconciliation' }
+  | { mode: 'pledge_dues' }
+  | { mode: 'donor_analytics' }
+  | { mode: 'student_progress' }
+  | { mode: 'duplicates' }
+  | { mode: 'merges' }
+  | { mode: 'password' }
+  | { mode: 'two_factor' }
+  | { mode: 'sessions' }
+  | { mode: 'edit'; entity: FrfEntity; id: string };
 
 const App: React.FC = () => {
+  const { current_user, loading: auth_loading, has_permission } = use_auth();
   const [view_state, set_view_state] = useState<ViewState>({ mode: 'welcome' });
   const [selected_entity_id, set_selected_entity_id] = useState<FrfEntity['id'] | null>(null);
   const [is_sidebar_open, set_sidebar_open] = useState(false);
@@ -28,12 +66,124 @@ const App: React.FC = () => {
     }
   };
 
+  const handle_create = () => {
+    if ('entity' in view_state) {
+      set_view_state({ mode: 'create', entity: view_state.entity });
+    }
+  };
+
+  const handle_import = () => {
+    if ('entity' in view_state) {
+      set_view_state({ mode: 'import', entity: view_state.entity });
+    }
+  };
+
+  const handle_edit = () => {
+    if (view_state.mode === 'detail') {
+      set_view_state({ mode: 'edit', entity: view_state.entity, id: view_state.id });
+    }
+  };
+
+  const handle_back_to_detail = () => {
+    if (view_state.mode === 'edit') {
+      set_view_state({ mode: 'detail', entity: view_state.entity, id: view_state.id });
+    }
+  };
+
+  const handle_save_success = (id: string) => {
+    if ('entity' in view_state) {
+      set_view_state({ mode: 'detail', entity: view_state.entity, id });
+    }
+  };
+
   const handle_back_to_list = () => {
     if ('entity' in view_state) {
         set_view_state({ mode: 'list', entity: view_state.entity });
     }
   };
 
+  const handle_manage_users = () => {
+    set_selected_entity_id(null);
+    set_view_state({ mode: 'users' });
+  };
+
+  const handle_manage_roles = () => {
+    set_selected_entity_id(null);
+    set_view_state({ mode: 'roles' });
+  };
+
+  const handle_reassign_records = () => {
+    set_selected_entity_id(null);
+    set_view_state({ mode: 'reassign' });
+  };
+
+  const handle_api_keys = () => {
+    set_selected_entity_id(null);
+    set_view_state({ mode: 'api_keys' });
+  };
+
+  const handle_statements = () => {
+    set_selected_entity_id(null);
+    set_view_state({ mode: 'statements' });
+  };
+
+  const handle_reconciliation = () => {
+    set_selected_entity_id(null);
+    set_view_state({ mode: 'reconciliation' });
+  };
+
+  const handle_pledge_dues = () => {
+    set_selected_entity_id(null);
+    set_view_state({ mode: 'pledge_dues' });
+  };
+
+  const handle_donor_analytics = () => {
+    set_selected_entity_id(null);
+    set_view_state({ mode: 'donor_analytics' });
+  };
+
+  const handle_student_progress = () => {
+    set_selected_entity_id(null);
+    set_view_state({ mode: 'student_progress' });
+  };
+
+  const handle_duplicates = () => {
+    set_selected_entity_id(null);
+    set_view_state({ mode: 'duplicates' });
+  };
+
+  const handle_merges = () => {
+    set_selected_entity_id(null);
+    set_view_state({ mode: 'merges' });
+  };
+
+  // Drill-down from a statement, bank line or overdue pledge to the record behind it
+  const handle_open_record = (entity_id: FrfEntity['id'], id: string) => {
+    const entity = FRF_ENTITIES.find(e => e.id === entity_id);
+    if (!entity) return;
+    set_selected_entity_id(entity.id);
+    set_view_state({ mode: 'detail', entity, id });
+  };
+
+  const handle_change_password = () => {
+    set_selected_entity_id(null);
+    set_view_state({ mode: 'password' });
+  };
+
+  const handle_two_factor = () => {
+    set_selected_entity_id(null);
+    set_view_state({ mode: 'two_factor' });
+  };
+
+  const handle_sessions = () => {
+    set_selected_entity_id(null);
+    set_view_state({ mode: 'sessions' });
+  };
+
+  // Only offer actions the backend would allow; FRF entity ids double as permission resources
+  const can = (entity: FrfEntity, action: string) => has_permission(`${entity.id}:${action}`);
+  const visible_entities = FRF_ENTITIES.filter(e => can(e, 'read'));
+
   const get_selected_entity = () => {
     return FRF_ENTITIES.find(e => e.id === selected_entity_id) || null;
   }
@@ -43,6 +193,23 @@ const App: React.FC = () => {
           case 'welcome': return 'Welcome';
           case 'list': return `${view_state.entity.name} List`;
           case 'detail': return `Details`;
+          case 'create': return `New ${view_state.entity.name}`;
+          case 'edit': return `Edit`;
+          case 'import': return `Import ${view_state.entity.name}`;
+          case 'users': return 'Users';
+          case 'roles': return 'Roles & Permissions';
+          case 'reassign': return 'Reassign Records';
+          case 'api_keys': return 'API Keys';
+          case 'statements': return 'Financial Statements';
+          case 'reconciliation': return 'Bank Reconciliation';
+          case 'pledge_dues': return 'Pledge Dues';
+          case 'donor_analytics': return 'Donor Analytics';
+          case 'student_progress': return 'Student Progress';
+          case 'duplicates': return 'Duplicates';
+          case 'merges': return 'Merge Log';
+          case 'password': return 'Change Password';
+          case 'two_factor': return 'Two-Factor Authentication';
+          case 'sessions': return 'Active Sessions';
           default: return 'NGO Data Hub';
       }
   }
@@ -58,43 +225,110 @@ const App: React.FC = () => {
           </div>
         );
       case 'list':
-        return <ListView entity={view_state.entity} on_select_record={handle_select_record} />;
+        return (
+          <ListView
+            entity={view_state.entity}
+            on_select_record={handle_select_record}
+            on_create={can(view_state.entity, 'create') ? handle_create : undefined}
+            on_import={can(view_state.entity, 'import') ? handle_import : undefined}
+          />
+        );
       case 'detail':
-        return <DetailView entity={view_state.entity} id={view_state.id} on_back={handle_back_to_list} />;
+        return <DetailView entity={view_state.entity} id={view_state.id} on_back={handle_back_to_list} on_edit={can(view_state.entity, 'update') ? handle_edit : undefined} />;
+      case 'create':
+        return <CreateView key={`create-${view_state.entity.id}`} entity={view_state.entity} on_cancel={handle_back_to_list} on_save_success={handle_save_success} />;
+      case 'import':
+        return <ImportView key={`import-${view_state.entity.id}`} entity={view_state.entity} on_cancel={handle_back_to_list} />;
+      case 'edit':
+        return <CreateView key={`edit-${view_state.entity.id}-${view_state.id}`} entity={view_state.entity} record_id={view_state.id} on_cancel={handle_back_to_detail} on_save_success={handle_save_success} />;
+      case 'users':
+        return <UsersView />;
+      case 'roles':
+        return <RolesView />;
+      case 'reassign':
+        return <ReassignView />;
+      case 'api_keys':
+        return <ApiKeysView />;
+      case 'statements':
+        return <StatementsView on_open_record={handle_open_record} />;
+      case 'reconciliation':
+        return <ReconciliationView on_open_record={handle_open_record} />;
+      case 'pledge_dues':
+        return <PledgeDuesView on_open_record={handle_open_record} />;
+      case 'donor_analytics':
+        return <DonorAnalyticsView />;
+      case 'student_progress':
+        return <StudentProgressView on_open_record={handle_open_record} />;
+      case 'duplicates':
+        return <DuplicatesView on_open_record={handle_open_record} />;
+      case 'merges':
+        return <MergeLogView on_open_record={handle_open_record} />;
+      case 'password':
+        return <ChangePasswordView />;
+      case 'two_factor':
+        return <TwoFactorView />;
+      case 'sessions':
+        return <SessionsView />;
       default:
         return null;
     }
   };
 
+  if (auth_loading) {
+    return <div className="flex items-center justify-center h-screen bg-gray-100 text-gray-500">Loading...</div>;
+  }
+
+  if (!current_user) {
+    return <LoginView />;
+  }
+
   return (
-    <div className="flex h-screen bg-gray-100 text-gray-800">
-      {/* Backdrop for mobile sidebar */}
-      {is_sidebar_open && (
-        <div
-          onClick={() => set_sidebar_open(false)}
-          className="fixed inset-0 bg-black bg-opacity-50 z-30 md:hidden"
-          aria-hidden="true"
-        />
-      )}
-      <Sidebar
-        entities={FRF_ENTITIES}
-        selected_entity={get_selected_entity()}
-        on_select_entity={handle_select_entity}
-        is_open={is_sidebar_open}
-        set_is_open={set_sidebar_open}
-      />
-      <div className={`flex-1 flex flex-col transition-all duration-300 md:ml-64`}>
-        <Header 
-          on_toggle_sidebar={() => set_sidebar_open(!is_sidebar_open)} 
-          is_sidebar_open={is_sidebar_open}
-          title={get_title()}
-          entity_name={'entity' in view_state ? view_state.entity.name : undefined}
+    <OwnersProvider>
+    <LookupsProvider>
+      <div className="flex h-screen bg-gray-100 text-gray-800">
+        {/* Backdrop for mobile sidebar */}
+        {is_sidebar_open && (
+          <div
+            onClick={() => set_sidebar_open(false)}
+            className="fixed inset-0 bg-black bg-opacity-50 z-30 md:hidden"
+            aria-hidden="true"
+          />
+        )}
+        <Sidebar
+          entities={visible_entities}
+          selected_entity={get_selected_entity()}
+          on_select_entity={handle_select_entity}
+          is_open={is_sidebar_open}
+          set_is_open={set_sidebar_open}
         />
-        <main className="flex-1 p-4 sm:p-6 lg:p-8 overflow-y-auto">
-          {render_content()}
-        </main>
+        <div className={`flex-1 flex flex-col transition-all duration-300 md:ml-64`}>
+          <Header 
+            on_toggle_sidebar={() => set_sidebar_open(!is_sidebar_open)} 
+            is_sidebar_open={is_sidebar_open}
+            title={get_title()}
+            entity_name={'entity' in view_state ? view_state.entity.name : undefined}
+            on_manage_users={has_permission('users:read') ? handle_manage_users : undefined}
+            on_manage_roles={has_permission('roles:manage') ? handle_manage_roles : undefined}
+            on_reassign_records={has_permission('records:reassign') ? handle_reassign_records : undefined}
+            on_api_keys={has_permission('api_keys:manage') ? handle_api_keys : undefined}
+            on_statements={has_permission('finance:statements') ? handle_statements : undefined}
+            on_reconciliation={has_permission('finance:reconcile') ? handle_reconciliation : undefined}
+            on_pledge_dues={has_permission('donors:read') ? handle_pledge_dues : undefined}
+            on_donor_analytics={has_permission('donors:read') ? handle_donor_analytics : undefined}
+            on_student_progress={has_permission('students:read') ? handle_student_progress : undefined}
+            on_duplicates={['donors:merge', 'volunteers:merge', 'students:merge'].some(p => has_permission(p)) ? handle_duplicates : undefined}
+            on_merges={has_permission('merges:review') ? handle_merges : undefined}
+            on_change_password={handle_change_password}
+            on_two_factor={handle_two_factor}
+            on_sessions={handle_sessions}
+          />
+          <main className="flex-1 p-4 sm:p-6 lg:p-8 overflow-y-auto">
+            {render_content()}
+          </main>
+        </div>
       </div>
-    </div>
+    </LookupsProvider>
+    </OwnersProvider>
   );
 };
 
@@ -0,0 +1,236 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import type { ApiKey, CreatedApiKey, Permission } from '../types';
+import { ApiError, create_api_key, fetch_api_key_scopes, fetch_api_keys, revoke_api_key } from '../services/mockApi';
+
+interface Draft {
+  name: string;
+  scopes: string[];
+  expires_on: string;
+  rate_limit: string;
+}
+
+const EMPTY_DRAFT: Draft = { name: '', scopes: [], expires_on: '', rate_limit: '' };
+
+const error_text = (err: unknown, fallback: string) => {
+  if (err instanceof ApiError && Object.keys(err.field_errors).length) return Object.values(err.field_errors).join(' ');
+  return err instanceof Error && err.message ? err.message : fallback;
+};
+
+const format_time = (value: string | null) => value ? new Date(value).toLocaleString() : '—';
+
+const key_state = (key: ApiKey) => {
+  if (key.revoked_at) return { label: 'revoked', classes: 'bg-gray-100 text-gray-600' };
+  if (key.expires_at && new Date(key.expires_at) <= new Date()) return { label: 'expired', classes: 'bg-yellow-50 text-yellow-800' };
+  return { label: 'active', classes: 'bg-green-50 text-green-700' };
+};
+
+// Keys for integrations; the secret is only ever shown right after creation
+export const ApiKeysView: React.FC = () => {
+  const [keys, set_keys] = useState<ApiKey[]>([]);
+  const [scopes, set_scopes] = useState<Permission[]>([]);
+  const [loading, set_loading] = useState(true);
+  const [error, set_error] = useState<string | null>(null);
+  const [notice, set_notice] = useState<string | null>(null);
+  const [draft, set_draft] = useState<Draft | null>(null);
+  const [created, set_created] = useState<CreatedApiKey | null>(null);
+  const [is_saving, set_is_saving] = useState(false);
+
+  const load = async () => {
+    set_error(null);
+    try {
+      const [key_rows, scope_rows] = await Promise.all([fetch_api_keys(), fetch_api_key_scopes()]);
+      set_keys(key_rows);
+      set_scopes(scope_rows);
+    } catch (err) {
+      console.error(err);
+      set_error('Failed to load API keys. Please try again later.');
+    } finally {
+      set_loading(false);
+    }
+  };
+
+  useEffect(() => { load(); }, []);
+
+  const grouped = useMemo(() => {
+    const groups: Record<string, Permission[]> = {};
+    for (const p of scopes) (groups[p.permission_key.split(':')[0]] ??= []).push(p);
+    return groups;
+  }, [scopes]);
+
+  const toggle = (key: string, on: boolean) => {
+    if (!draft) return;
+    const next = new Set(draft.scopes);
+    if (on) next.add(key); else next.delete(key);
+    set_draft({ ...draft, scopes: Array.from(next).sort() });
+  };
+
+  const handle_create = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!draft) return;
+    set_is_saving(true);
+    set_error(null);
+    set_notice(null);
+    try {
+      const result = await create_api_key({
+        name: draft.name.trim(),
+        scopes: draft.scopes,
+        // Keys stay valid through the chosen day
+        expires_at: draft.expires_on ? new Date(`${draft.expires_on}T23:59:59`).toISOString() : null,
+        rate_limit_per_minute: draft.rate_limit ? Number(draft.rate_limit) : null,
+      });
+      set_created(result);
+      set_draft(null);
+      await load();
+    } catch (err) {
+      console.error(err);
+      set_error(error_text(err, 'Failed to create the API key.'));
+    } finally {
+      set_is_saving(false);
+    }
+  };
+
+  const handle_revoke = async (key: ApiKey) => {
+    if (!window.confirm(`Revoke "${key.name}"? Integrations using it stop working immediately.`)) return;
+    set_error(null);
+    set_notice(null);
+    try {
+      set_notice(await revoke_api_key(key.api_key_id));
+      await load();
+    } catch (err) {
+      console.error(err);
+      set_error(error_text(err, 'Failed to revoke the API key.'));
+    }
+  };
+
+  if (loading) return <div className="text-center p-8 text-gray-500">Loading API keys...</div>;
+
+  const input_classes = 'mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 md:p-6">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-gray-800 mb-1">API Keys</h3>
+          <p className="text-sm text-gray-500">Integrations send a key in the <span className="font-mono">X-API-Key</span> header and can only use its scopes.</p>
+        </div>
+        {!draft && (
+          <button
+            onClick={() => { set_draft(EMPTY_DRAFT); set_created(null); set_notice(null); }}
+            className="shrink-0 text-sm font-medium bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700"
+          >
+            New API Key
+          </button>
+        )}
+      </div>
+      {error && <div className="mb-4 p-3 rounded-lg bg-red-50 text-red-600 text-sm">{error}</div>}
+      {notice && <div className="mb-4 p-3 rounded-lg bg-green-50 text-green-800 text-sm">{notice}</div>}
+
+      {created && (
+        <div className="mb-4 p-4 rounded-lg bg-yellow-50 border border-yellow-200">
+          <p className="text-sm font-medium text-yellow-800 mb-2">Copy the key for "{created.name}" now. It won't be shown again.</p>
+          <div className="flex gap-2">
+            <input readOnly value={created.key} onFocus={e => e.target.select()} className="flex-1 font-mono text-sm border border-gray-300 rounded-lg px-3 py-2 bg-white" />
+            <button onClick={() => navigator.clipboard?.writeText(created.key)} className="text-sm font-medium text-indigo-600 border border-indigo-200 px-4 py-2 rounded-lg hover:bg-indigo-50">
+              Copy
+            </button>
+          </div>
+        </div>
+      )}
+
+      {draft && (
+        <form onSubmit={handle_create} className="mb-6 border border-gray-200 rounded-lg p-4 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Name</span>
+              <input value={draft.name} onChange={e => set_draft({ ...draft, name: e.target.value })} placeholder="e.g. Website donation form" maxLength={100} required className={input_classes} />
+            </label>
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Expires on (optional)</span>
+              <input type="date" value={draft.expires_on} onChange={e => set_draft({ ...draft, expires_on: e.target.value })} className={input_classes} />
+            </label>
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Requests per minute</span>
+              <input type="number" min={1} max={10000} value={draft.rate_limit} onChange={e => set_draft({ ...draft, rate_limit: e.target.value })} placeholder="Default" className={input_classes} />
+            </label>
+          </div>
+
+          <div>
+            <span className="text-sm font-medium text-gray-700">Scopes</span>
+            <div className="mt-1 grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+              {Object.keys(grouped).map(resource => (
+                <div key={resource} className="border border-gray-200 rounded-lg p-3">
+                  <p className="font-semibold text-gray-800 capitalize mb-2">{resource}</p>
+                  {grouped[resource].map(p => (
+                    <label key={p.permission_key} className="flex items-start gap-2 text-sm text-gray-700 py-0.5" title={p.description}>
+                      <input type="checkbox" className="mt-1" checked={draft.scopes.includes(p.permission_key)} onChange={e => toggle(p.permission_key, e.target.checked)} />
+                      <span className="font-mono text-xs text-indigo-700">{p.permission_key}</span>
+                    </label>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={() => set_draft(null)} className="text-sm font-medium text-gray-600 px-4 py-2 rounded-lg hover:bg-gray-100">Cancel</button>
+            <button
+              type="submit"
+              disabled={is_saving || !draft.name.trim() || !draft.scopes.length}
+              className="text-sm font-medium bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {is_saving ? 'Creating...' : 'Create Key'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {!keys.length ? (
+        <p className="text-gray-500">No API keys yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-left table-auto">
+            <thead className="bg-gray-50 border-b border-gray-200">
+              <tr>
+                {['Key', 'Scopes', 'Limit', 'Last used', 'Expires', ''].map((label, i) => (
+                  <th key={i} className="p-2 text-xs md:p-4 md:text-sm font-semibold text-gray-600 uppercase tracking-wider">{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {keys.map(key => {
+                const state = key_state(key);
+                return (
+                  <tr key={key.api_key_id} className="hover:bg-gray-50 transition-colors">
+                    <td className="p-2 text-sm md:p-4">
+                      <p className="font-medium text-gray-800">
+                        {key.name}
+                        <span className={`ml-2 text-xs font-semibold px-2 py-0.5 rounded-full ${state.classes}`}>{state.label}</span>
+                      </p>
+                      <p className="text-xs text-gray-500"><span className="font-mono">{key.key_prefix}…</span> · by {key.created_by_username ?? 'unknown'} on {new Date(key.created_at).toLocaleDateString()}</p>
+                    </td>
+                    <td className="p-2 md:p-4">
+                      <div className="flex flex-wrap gap-1">
+                        {key.scopes.map(s => <span key={s} className="font-mono text-xs text-indigo-700 bg-indigo-50 px-1.5 py-0.5 rounded">{s}</span>)}
+                      </div>
+                    </td>
+                    <td className="p-2 text-sm md:p-4 text-gray-700 whitespace-nowrap">{key.rate_limit_per_minute}/min</td>
+                    <td className="p-2 text-sm md:p-4 text-gray-700">
+                      {format_time(key.last_used_at)}
+                      {key.last_used_ip && <span className="block text-xs text-gray-500">{key.last_used_ip}</span>}
+                    </td>
+                    <td className="p-2 text-sm md:p-4 text-gray-700">{key.expires_at ? new Date(key.expires_at).toLocaleDateString() : 'Never'}</td>
+                    <td className="p-2 md:p-4 text-right">
+                      {!key.revoked_at && (
+                        <button onClick={() => handle_revoke(key)} className="text-xs font-medium text-red-600 hover:text-red-800 px-2 py-1 rounded hover:bg-red-50">Revoke</button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
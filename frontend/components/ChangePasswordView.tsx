@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { ApiError, change_password } from '../services/mockApi';
+import { use_auth } from '../context/AuthContext';
+
+// Self-service password change; the backend signs out every session afterwards
+export const ChangePasswordView: React.FC = () => {
+  const { reload_user } = use_auth();
+  const [current_password, set_current_password] = useState('');
+  const [new_password, set_new_password] = useState('');
+  const [confirm_password, set_confirm_password] = useState('');
+  const [is_saving, set_is_saving] = useState(false);
+  const [error, set_error] = useState<string | null>(null);
+  const [field_errors, set_field_errors] = useState<Record<string, string>>({});
+  const [notice, set_notice] = useState<string | null>(null);
+
+  const handle_submit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    set_error(null);
+    set_field_errors({});
+    if (new_password !== confirm_password) {
+      set_field_errors({ confirm_password: 'Passwords do not match' });
+      return;
+    }
+
+    set_is_saving(true);
+    try {
+      set_notice(await change_password(current_password, new_password));
+    } catch (err) {
+      console.error(err);
+      if (err instanceof ApiError && Object.keys(err.field_errors).length) set_field_errors(err.field_errors);
+      else set_error(err instanceof Error && err.message ? err.message : 'Failed to change password.');
+    } finally {
+      set_is_saving(false);
+    }
+  };
+
+  if (notice) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-4 md:p-6 max-w-md">
+        <div className="mb-4 p-3 rounded-lg bg-green-50 text-green-800 text-sm">{notice}</div>
+        <div className="flex justify-end">
+          {/* The session is gone, so reloading the user falls back to the login screen */}
+          <button onClick={() => reload_user()} className="text-sm font-medium bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700">
+            Sign In Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const input_classes = 'mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm';
+  const field = (id: string, label: string, value: string, set_value: (v: string) => void, auto_complete: string) => (
+    <label className="block">
+      <span className="text-sm font-medium text-gray-700">{label}</span>
+      <input id={id} type="password" value={value} onChange={e => set_value(e.target.value)} required autoComplete={auto_complete} className={input_classes} />
+      {field_errors[id] && <span className="block mt-1 text-xs text-red-600">{field_errors[id]}</span>}
+    </label>
+  );
+
+  return (
+    <form onSubmit={handle_submit} className="bg-white rounded-lg shadow-md p-4 md:p-6 max-w-md space-y-4">
+      <div>
+        <h3 className="text-lg font-bold text-gray-800 mb-1">Change Password</h3>
+        <p className="text-sm text-gray-500">You will be signed out on every device and asked to log in again.</p>
+      </div>
+      {error && <div className="p-3 rounded-lg bg-red-50 text-red-600 text-sm">{error}</div>}
+
+      {field('current_password', 'Current password', current_password, set_current_password, 'current-password')}
+      {field('new_password', 'New password', new_password, set_new_password, 'new-password')}
+      <p className="-mt-2 text-xs text-gray-500">8+ characters with uppercase, lowercase, number and symbol.</p>
+      {field('confirm_password', 'Confirm new password', confirm_password, set_confirm_password, 'new-password')}
+
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          disabled={is_saving}
+          className="text-sm font-medium bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {is_saving ? 'Saving...' : 'Change Password'}
+        </button>
+      </div>
+    </form>
+  );
+};
@@ -1,14 +1,24 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import type { FrfEntity, AnyRecord, FormField } from '../types';
-import { create_frf_record } from '../services/mockApi';
+import { ApiError, create_frf_record, fetch_frf_detail, update_frf_record } from '../services/mockApi';
+import { use_lookups } from '../context/LookupsContext';
 
 interface CreateViewProps {
   entity: FrfEntity;
+  record_id?: string; // When set, the form edits this record instead of creating one
   on_cancel: () => void;
-  on_save_success: () => void;
+  on_save_success: (id: string) => void;
 }
 
-export const CreateView: React.FC<CreateViewProps> = ({ entity, on_cancel, on_save_success }) => {
+// Normalizes a backend value into something an <input> can hold
+const to_input_value = (field: FormField, value: any): string | number => {
+  if (value === null || value === undefined) return '';
+  if (field.type === 'date' && typeof value === 'string') return value.slice(0, 10);
+  return value;
+};
+
+export const CreateView: React.FC<CreateViewProps> = ({ entity, record_id, on_cancel, on_save_success }) => {
+  const is_edit = !!record_id;
   const [form_data, set_form_data] = useState<Partial<AnyRecord>>(() => {
     const initial_state: Partial<AnyRecord> = {};
     entity.create_fields?.forEach(field => {
@@ -16,66 +26,142 @@ export const CreateView: React.FC<CreateViewProps> = ({ entity, on_cancel, on_sa
     });
     return initial_state;
   });
+  const [original_data, set_original_data] = useState<Record<string, any>>({});
+  const [loading, set_loading] = useState(is_edit);
   const [is_saving, set_is_saving] = useState(false);
   const [error, set_error] = useState<string | null>(null);
+  const [field_errors, set_field_errors] = useState<Record<string, string>>({});
+  const { lookup_options, reload_lookups } = use_lookups();
+
+  // Lookup options may have changed since they were cached (e.g. a project was just added)
+  useEffect(() => {
+    if (entity.create_fields?.some(field => field.lookup)) reload_lookups();
+  }, [entity.id, reload_lookups]);
+
+  // Prefill the form from the existing record in edit mode
+  useEffect(() => {
+    if (!record_id) return;
+    set_loading(true);
+    fetch_frf_detail(entity.id, record_id)
+      .then(record => {
+        if (!record) {
+          set_error('Record not found.');
+          return;
+        }
+        const prefilled: Record<string, any> = {};
+        entity.create_fields?.forEach(field => {
+          prefilled[field.key] = to_input_value(field, (record as any)[field.key]);
+        });
+        set_form_data(prefilled as Partial<AnyRecord>);
+        set_original_data(prefilled);
+      })
+      .catch(err => {
+        console.error(err);
+        set_error('Failed to load record details. Please try again later.');
+      })
+      .finally(() => set_loading(false));
+  }, [entity.id, record_id]);
 
   const handle_change = (key: string, value: string | number) => {
     set_form_data(prev => ({ ...prev, [key]: value }));
+    if (field_errors[key]) {
+      set_field_errors(prev => {
+        const next = { ...prev };
+        delete next[key];
+        return next;
+      });
+    }
   };
 
   const handle_submit = async (e: React.FormEvent) => {
     e.preventDefault();
     set_error(null);
+    set_field_errors({});
 
     // Basic Validation
+    const missing: Record<string, string> = {};
     for (const field of entity.create_fields || []) {
         if (field.required && !(form_data as any)[field.key]) {
-            set_error(`Field "${field.label}" is required.`);
-            return;
+            missing[field.key] = `${field.label} is required.`;
         }
     }
+    if (Object.keys(missing).length) {
+        set_field_errors(missing);
+        return;
+    }
+
+    // Empty inputs are sent as null so optional DB columns aren't set to ''
+    const payload: Record<string, any> = {};
+    for (const [key, value] of Object.entries(form_data)) {
+        if (is_edit && original_data[key] === value) continue;
+        payload[key] = value === '' ? null : value;
+    }
+
+    if (is_edit && !Object.keys(payload).length) {
+        on_save_success(record_id!);
+        return;
+    }
 
     set_is_saving(true);
     try {
-        await create_frf_record(entity.id, form_data);
-        on_save_success();
+        if (is_edit) {
+            await update_frf_record(entity.id, record_id!, payload as Partial<AnyRecord>);
+            on_save_success(record_id!);
+        } else {
+            const created = await create_frf_record(entity.id, payload as Partial<AnyRecord>);
+            on_save_success((created as any)?.id ?? payload.id);
+        }
     } catch (err) {
         console.error(err);
-        set_error(`Failed to create ${entity.name}. Please try again.`);
+        if (err instanceof ApiError && Object.keys(err.field_errors).length) {
+            set_field_errors(err.field_errors);
+            // Errors for fields that aren't on this form still need to be visible
+            const known = new Set((entity.create_fields || []).map(f => f.key));
+            const unplaced = Object.entries(err.field_errors).filter(([key]) => !known.has(key));
+            set_error(unplaced.length ? unplaced.map(([key, msg]) => `${key}: ${msg}`).join(' ') : 'Please correct the highlighted fields.');
+        } else {
+            set_error(err instanceof Error && err.message ? err.message : `Failed to ${is_edit ? 'update' : 'create'} ${entity.name}. Please try again.`);
+        }
     } finally {
         set_is_saving(false);
     }
   };
-  
+
   const render_field = (field: FormField) => {
-    const common_classes = "w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500";
+    const has_error = !!field_errors[field.key];
+    const common_classes = `w-full p-2 border ${has_error ? 'border-red-500' : 'border-gray-300'} rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:bg-gray-100 disabled:text-gray-500`;
     const value = (form_data as any)[field.key] as string || '';
+    const disabled = is_edit && field.read_only_on_edit;
 
     switch (field.type) {
         case 'textarea':
-            return <textarea id={field.key} value={value} onChange={e => handle_change(field.key, e.target.value)} required={field.required} className={common_classes} rows={4} />;
+            return <textarea id={field.key} value={value} onChange={e => handle_change(field.key, e.target.value)} required={field.required} disabled={disabled} className={common_classes} rows={4} />;
         case 'select':
             return (
-                <select id={field.key} value={value} onChange={e => handle_change(field.key, e.target.value)} required={field.required} className={common_classes}>
+                <select id={field.key} value={value} onChange={e => handle_change(field.key, e.target.value)} required={field.required} disabled={disabled} className={common_classes}>
                     <option value="">Select {field.label}</option>
-                    {field.options?.map(opt => <option key={opt} value={opt}>{opt}</option>)}
+                    {field.lookup
+                      ? lookup_options(field.lookup).map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)
+                      : field.options?.map(opt => <option key={opt} value={opt}>{opt}</option>)}
                 </select>
             );
         default:
-            return <input type={field.type} id={field.key} value={value} onChange={e => handle_change(field.key, e.target.value)} required={field.required} className={common_classes} />;
+            return <input type={field.type} id={field.key} value={value} onChange={e => handle_change(field.key, e.target.value)} required={field.required} disabled={disabled} className={common_classes} />;
     }
   }
 
+  if (loading) return <div className="text-center p-10">Loading details...</div>;
+
   return (
     <div className="bg-white rounded-lg shadow-md p-6">
         <button onClick={on_cancel} className="flex items-center text-indigo-600 hover:text-indigo-800 font-medium mb-6">
           <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
           </svg>
-          Back to {entity.name} List
+          {is_edit ? 'Back to Details' : `Back to ${entity.name} List`}
         </button>
-      
-        <form onSubmit={handle_submit}>
+
+        <form onSubmit={handle_submit} noValidate>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                 {entity.create_fields?.map(field => (
                     <div key={field.key}>
@@ -83,10 +169,11 @@ export const CreateView: React.FC<CreateViewProps> = ({ entity, on_cancel, on_sa
                             {field.label} {field.required && <span className="text-red-500">*</span>}
                         </label>
                         {render_field(field)}
+                        {field_errors[field.key] && <p className="mt-1 text-sm text-red-600">{field_errors[field.key]}</p>}
                     </div>
                 ))}
             </div>
-            
+
             {error && <div className="mt-4 text-red-600 bg-red-50 p-3 rounded-lg">{error}</div>}
 
             <div className="flex flex-col-reverse sm:flex-row justify-end gap-4 mt-8 pt-6 border-t">
@@ -94,7 +181,7 @@ export const CreateView: React.FC<CreateViewProps> = ({ entity, on_cancel, on_sa
                     Cancel
                 </button>
                 <button type="submit" disabled={is_saving} className="w-full sm:w-auto bg-indigo-600 text-white px-6 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:bg-indigo-300">
-                    {is_saving ? 'Saving...' : 'Save Record'}
+                    {is_saving ? 'Saving...' : is_edit ? 'Save Changes' : 'Save Record'}
                 </button>
             </div>
         </form>
@@ -1,11 +1,18 @@
 import React, { useState, useEffect } from 'react';
-import type { FrfEntity, AnyRecord, Student, Donor, Volunteer, Project, FinanceReport, BoardMember } from '../types';
-import { fetch_frf_detail } from '../services/mockApi';
+import type { FrfEntity, AnyRecord, Student, Donor, Volunteer, Project, FinanceReport, BoardMember, Campaign, CampaignDonation, CampaignProgress, DonationDetail, PledgeSchedule, PledgeStanding, ProjectFinancials, StudentProgress } from '../types';
+import { assign_campaign_donations, download_donation_receipt, export_frf_record, fetch_campaign_candidates, fetch_campaign_progress, fetch_frf_detail, fetch_pledge_schedule, fetch_project_financials, fetch_student_progress, issue_donation_receipt, queue_donation_acknowledgment, send_pledge_reminder, transfer_record_owner } from '../services/mockApi';
+import { PLEDGE_STANDING_STYLES, STUDENT_RISK_LABELS, STUDENT_RISK_STYLES, SUBFORMS } from '../constants';
+import { SubformTable } from './SubformTable';
+import { RecordHistory } from './RecordHistory';
+import { ExportMenu } from './ExportMenu';
+import { use_auth } from '../context/AuthContext';
+import { use_owners } from '../context/OwnersContext';
 
 interface DetailViewProps {
   entity: FrfEntity;
   id: string;
   on_back: () => void;
+  on_edit?: () => void;
 }
 
 const DetailCard: React.FC<{ title: string; children: React.ReactNode }> = ({ title, children }) => (
@@ -15,39 +22,23 @@ const DetailCard: React.FC<{ title: string; children: React.ReactNode }> = ({ ti
   </div>
 );
 
-const KeyValueGrid: React.FC<{ data: Record<string, any> }> = ({ data }) => (
-  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-x-8 gap-y-4">
-    {Object.entries(data).map(([key, value]) => (
-      <div key={key}>
-        <p className="text-sm font-medium text-gray-500 uppercase tracking-wider">{key.replace(/_/g, ' ')}</p>
-        <p className="text-base text-gray-900 break-words">{String(value ?? 'N/A')}</p>
-      </div>
-    ))}
-  </div>
-);
-
-const SubformTable: React.FC<{ columns: { key: string, label: string }[], data: any[], summary?: React.ReactNode }> = ({ columns, data, summary }) => (
-    <div>
-        <div className="overflow-x-auto">
-            <table className="w-full text-left table-auto mt-4">
-                <thead className="bg-gray-50">
-                    <tr>{columns.map(c => <th key={c.key} className="p-2 text-xs md:p-3 md:text-sm font-semibold text-gray-600 uppercase tracking-wider">{c.label}</th>)}</tr>
-                </thead>
-                <tbody className="divide-y divide-gray-200">
-                    {data.map((row, index) => (
-                        <tr key={index} className="hover:bg-gray-50">
-                            {columns.map(c => <td key={c.key} className="p-2 text-sm md:p-3 text-gray-700">{row[c.key]}</td>)}
-                        </tr>
-                    ))}
-                </tbody>
-            </table>
+const KeyValueGrid: React.FC<{ data: Record<string, any> }> = ({ data }) => {
+  const { owner_name } = use_owners();
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-x-8 gap-y-4">
+      {Object.entries(data).map(([key, value]) => (
+        <div key={key}>
+          <p className="text-sm font-medium text-gray-500 uppercase tracking-wider">{key.replace(/_/g, ' ')}</p>
+          <p className="text-base text-gray-900 break-words">{key.endsWith('_frf_owner') ? owner_name(value) : String(value ?? 'N/A')}</p>
         </div>
-        {summary && <div className="mt-4 p-3 bg-indigo-50 rounded-lg text-indigo-800 font-semibold text-right text-sm md:text-base">{summary}</div>}
+      ))}
     </div>
-);
+  );
+};
 
 const OverviewCard: React.FC<{ data: Record<string, any>, owner_label?: string }> = ({ data, owner_label = 'Owner' }) => {
-  
+  const { owner_name } = use_owners();
+
   const formatDateTime = (dt?: string) => {
     if (!dt) return '—';
     return new Date(dt).toLocaleString('en-US', {
@@ -70,8 +61,8 @@ const OverviewCard: React.FC<{ data: Record<string, any>, owner_label?: string }
 
       {/* Owner + Email */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-x-8 gap-y-3 text-sm text-gray-700">
-        <p><span className="font-semibold">{owner_label}:</span> {data.owner || '—'}</p>
-        <p><span className="font-semibold">Email:</span> <span className="break-all">{data.email || '—'}</span></p>
+        <p><span className="font-semibold">{owner_label}:</span> {owner_name(data.owner)}</p>
+        {'email' in data && <p><span className="font-semibold">Email:</span> <span className="break-all">{data.email || '—'}</span></p>}
       </div>
 
       {/* Created + Modified metadata */}
@@ -104,11 +95,614 @@ const OverviewCard: React.FC<{ data: Record<string, any>, owner_label?: string }
   );
 };
 
+// Hands the record over to another approved user (POST /:entity/:id/owner)
+const TransferOwnerControl: React.FC<{ entity: FrfEntity, id: string, current_owner: unknown, on_transferred: (row: AnyRecord) => void }> = ({ entity, id, current_owner, on_transferred }) => {
+  const { owners } = use_owners();
+  const [is_open, set_is_open] = useState(false);
+  const [owner_id, set_owner_id] = useState('');
+  const [is_busy, set_is_busy] = useState(false);
+  const [error, set_error] = useState<string | null>(null);
+
+  const candidates = owners.filter(o => String(o.user_id) !== String(current_owner));
+
+  const transfer = async () => {
+    set_error(null);
+    set_is_busy(true);
+    try {
+      on_transferred(await transfer_record_owner(entity.id, id, Number(owner_id)));
+      set_is_open(false);
+      set_owner_id('');
+    } catch (err) {
+      console.error(err);
+      set_error(err instanceof Error && err.message ? err.message : 'Could not transfer the record.');
+    } finally {
+      set_is_busy(false);
+    }
+  };
+
+  if (!is_open) {
+    return (
+      <button onClick={() => set_is_open(true)} className="text-sm font-medium text-indigo-600 border border-indigo-200 px-4 py-2 rounded-lg hover:bg-indigo-50 transition-colors">
+        Transfer
+      </button>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      <select value={owner_id} onChange={e => set_owner_id(e.target.value)} className="p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm">
+        <option value="">New owner...</option>
+        {candidates.map(o => <option key={o.user_id} value={String(o.user_id)}>{o.username}</option>)}
+      </select>
+      <button onClick={transfer} disabled={!owner_id || is_busy} className="text-sm font-medium bg-indigo-600 text-white px-3 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+        {is_busy ? 'Transferring...' : 'Transfer'}
+      </button>
+      <button onClick={() => { set_is_open(false); set_error(null); }} className="text-sm text-gray-600 px-2 py-2 rounded-lg hover:bg-gray-100">Cancel</button>
+      {error && <span className="text-xs text-red-600">{error}</span>}
+    </div>
+  );
+};
+
+// Receipt No. cell: download link once issued, otherwise a button to issue the 80G receipt
+const DonationReceiptCell: React.FC<{ row: DonationDetail, on_issued: (donation: DonationDetail) => void }> = ({ row, on_issued }) => {
+  const { has_permission } = use_auth();
+  const [is_busy, set_is_busy] = useState(false);
+  const [error, set_error] = useState<string | null>(null);
+
+  const run = async (action: () => Promise<void>) => {
+    set_error(null);
+    set_is_busy(true);
+    try {
+      await action();
+    } catch (err) {
+      console.error(err);
+      set_error(err instanceof Error && err.message ? err.message : 'Receipt request failed.');
+    } finally {
+      set_is_busy(false);
+    }
+  };
+
+  // Rows still being saved have a temporary id
+  if (typeof row.donation_id !== 'number') return <>{row.receipt_number || '—'}</>;
+  const donation_id = row.donation_id;
+
+  return (
+    <div>
+      {row['80g_receipt_issued'] ? (
+        <button onClick={() => run(() => download_donation_receipt(donation_id))} disabled={is_busy} className="text-indigo-600 hover:underline disabled:opacity-50">
+          {row.receipt_number || 'Download'}
+        </button>
+      ) : has_permission('donors:receipts:issue') && (
+        <button
+          onClick={() => run(async () => on_issued((await issue_donation_receipt(donation_id)).donation))}
+          disabled={is_busy}
+          className="text-xs font-medium text-indigo-600 border border-indigo-200 px-2 py-1 rounded hover:bg-indigo-50 disabled:opacity-50"
+        >
+          {is_busy ? 'Issuing...' : 'Issue 80G Receipt'}
+        </button>
+      )}
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+const format_money = (value: unknown) => `$${Number(value ?? 0).toFixed(2)}`;
+
+// Budget vs actual from posted ledger rows linked to the project
+const ProjectFinancialsCard: React.FC<{ project_id: string }> = ({ project_id }) => {
+  const [financials, set_financials] = useState<ProjectFinancials | null>(null);
+  const [error, set_error] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetch_project_financials(project_id)
+      .then(set_financials)
+      .catch(err => {
+        console.error(err);
+        set_error(err instanceof Error && err.message ? err.message : 'Failed to load project financials.');
+      });
+  }, [project_id]);
+
+  if (error) return <DetailCard title="Budget vs Actual"><p className="text-sm text-red-600">{error}</p></DetailCard>;
+  if (!financials) return <DetailCard title="Budget vs Actual"><p className="text-sm text-gray-500">Loading...</p></DetailCard>;
+
+  const percent = (value: number | null) => value === null ? '—' : `${value.toFixed(1)}%`;
+  const bar_width = Math.min(financials.utilization_pct ?? 0, 100);
+
+  return (
+    <DetailCard title="Budget vs Actual">
+      <KeyValueGrid data={{
+        budget: financials.budget === null ? 'Not set' : format_money(financials.budget),
+        spent: format_money(financials.actual_expense),
+        remaining: financials.remaining === null ? '—' : format_money(financials.remaining),
+        income: format_money(financials.actual_income),
+        utilization: percent(financials.utilization_pct),
+      }} />
+      {financials.budget !== null && (
+        <div className="mt-4">
+          <div className="h-3 bg-gray-100 rounded-full overflow-hidden">
+            <div className={`h-full ${financials.over_budget ? 'bg-red-500' : 'bg-indigo-500'}`} style={{ width: `${bar_width}%` }} />
+          </div>
+          {financials.over_budget && (
+            <p className="mt-2 text-sm text-red-600">Over budget by {format_money(-(financials.remaining ?? 0))}</p>
+          )}
+        </div>
+      )}
+      {financials.by_category.length === 0 ? (
+        <p className="mt-4 text-sm text-gray-500">No posted ledger entries are linked to this project yet.</p>
+      ) : (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 mt-2">
+          <SubformTable
+            columns={[{ key: 'category_name', label: 'Category' }, { key: 'expense', label: 'Expense' }, { key: 'income', label: 'Income' }, { key: 'budget_share_pct', label: '% of Budget' }]}
+            data={financials.by_category}
+            format={{ expense: format_money, income: format_money, budget_share_pct: percent }}
+          />
+          <SubformTable
+            columns={[{ key: 'month', label: 'Month' }, { key: 'expense', label: 'Expense' }, { key: 'income', label: 'Income' }, { key: 'cumulative_expense', label: 'Spent to Date' }]}
+            data={financials.by_month}
+            format={{ expense: format_money, income: format_money, cumulative_expense: format_money }}
+          />
+        </div>
+      )}
+    </DetailCard>
+  );
+};
+
+// Score over time, attendance by month and per-course averages from the student's session logs
+const StudentProgressCard: React.FC<{ student_id: string }> = ({ student_id }) => {
+  const [progress, set_progress] = useState<StudentProgress | null>(null);
+  const [error, set_error] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetch_student_progress(student_id)
+      .then(set_progress)
+      .catch(err => {
+        console.error(err);
+        set_error(err instanceof Error && err.message ? err.message : 'Failed to load student progress.');
+      });
+  }, [student_id]);
+
+  if (error) return <DetailCard title="Progress"><p className="text-sm text-red-600">{error}</p></DetailCard>;
+  if (!progress) return <DetailCard title="Progress"><p className="text-sm text-gray-500">Loading...</p></DetailCard>;
+
+  const score = (value: number | null) => value === null ? '—' : String(value);
+  const scored = progress.timeline.filter(t => t.overall_score !== null);
+  const max_month = Math.max(1, ...progress.monthly.map(m => m.sessions));
+  const change = progress.score_change;
+
+  return (
+    <DetailCard title="Progress">
+      {progress.risk_flags.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {progress.risk_flags.map(flag => (
+            <span key={flag} className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STUDENT_RISK_STYLES[flag]}`}>{STUDENT_RISK_LABELS[flag]}</span>
+          ))}
+        </div>
+      )}
+      <KeyValueGrid data={{
+        sessions: progress.sessions,
+        last_session: progress.last_session_date ? `${progress.last_session_date} (${progress.days_since_last_session} days ago)` : 'None yet',
+        sessions_per_week: score(progress.sessions_per_week),
+        [`sessions_in_last_${progress.thresholds.inactive_weeks}_weeks`]: progress.recent_sessions,
+        average_score: score(progress.average_score),
+        average_understanding: progress.average_understanding === null ? '—' : `${progress.average_understanding} / 5`,
+        last_3_sessions: score(progress.recent_average),
+        previous_3_sessions: score(progress.previous_average),
+        change: change === null ? '—' : `${change > 0 ? '+' : ''}${change}`,
+      }} />
+      {progress.sessions === 0 ? (
+        <p className="mt-4 text-sm text-gray-500">No session logs recorded yet.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 mt-6">
+            <div>
+              <h4 className="mb-2 text-sm font-semibold text-gray-600 uppercase tracking-wider">Score Over Time</h4>
+              {scored.length === 0 ? (
+                <p className="text-sm text-gray-500">No sessions have an overall score.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <div className="flex items-end gap-px h-40 border-b border-gray-200" style={{ minWidth: `${scored.length * 8}px` }}>
+                    {scored.map(t => (
+                      <div
+                        key={t.session_log_id}
+                        title={`${t.session_date}${t.course ? ` · ${t.course}` : ''}: ${t.overall_score}, 3-session average ${score(t.rolling_average)}`}
+                        className="relative flex-1 h-full flex items-end"
+                      >
+                        <div className="w-full bg-indigo-500 rounded-t" style={{ height: `${t.overall_score}%` }} />
+                        {t.rolling_average !== null && (
+                          <div className="absolute left-0 right-0 border-t-2 border-orange-400" style={{ bottom: `${t.rolling_average}%` }} />
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  <div className="flex justify-between text-xs text-gray-500 mt-1">
+                    <span>{scored[0].session_date}</span>
+                    <span className="flex items-center gap-3">
+                      <span><span className="inline-block w-3 h-3 bg-indigo-500 rounded-sm align-middle mr-1" />Score</span>
+                      <span><span className="inline-block w-3 border-t-2 border-orange-400 align-middle mr-1" />3-session average</span>
+                    </span>
+                    <span>{scored[scored.length - 1].session_date}</span>
+                  </div>
+                </div>
+              )}
+            </div>
+            <div>
+              <h4 className="mb-2 text-sm font-semibold text-gray-600 uppercase tracking-wider">Sessions per Month</h4>
+              <div className="flex items-end gap-1 h-40 border-b border-gray-200">
+                {progress.monthly.map(m => (
+                  <div
+                    key={m.month}
+                    title={`${m.month}: ${m.sessions} session(s)${m.average_score !== null ? `, average score ${m.average_score}` : ''}`}
+                    className="flex-1 bg-teal-500 rounded-t"
+                    style={{ height: `${(m.sessions / max_month) * 100}%` }}
+                  />
+                ))}
+              </div>
+              <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>{progress.monthly[0]?.month}</span>
+                <span>{progress.monthly[progress.monthly.length - 1]?.month}</span>
+              </div>
+            </div>
+          </div>
+          <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 mt-6">
+            <SubformTable
+              columns={[{ key: 'course', label: 'Course' }, { key: 'sessions', label: 'Sessions' }, { key: 'average_score', label: 'AVG Score' }, { key: 'latest_score', label: 'Latest' }, { key: 'average_understanding', label: 'AVG Understanding' }]}
+              data={progress.by_course}
+              format={{ average_score: score, latest_score: score, average_understanding: score }}
+            />
+            <div>
+              <p className="text-sm text-gray-700 mb-2">
+                <span className="font-semibold">Interest:</span> {progress.interest.map(i => `${i.interest_level} (${i.sessions})`).join(', ')}
+              </p>
+              {progress.challenges.length > 0 && (
+                <ul className="text-sm text-gray-700 space-y-1">
+                  {progress.challenges.map((c, i) => (
+                    <li key={i}><span className="text-gray-500">{c.session_date}{c.course ? ` · ${c.course}` : ''}:</span> {c.challenges_faced}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </DetailCard>
+  );
+};
+
+// Raised vs goal for a campaign, with a bar per day since it started
+const CampaignProgressCard: React.FC<{ campaign_id: string }> = ({ campaign_id }) => {
+  const [progress, set_progress] = useState<CampaignProgress | null>(null);
+  const [error, set_error] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetch_campaign_progress(campaign_id)
+      .then(set_progress)
+      .catch(err => {
+        console.error(err);
+        set_error(err instanceof Error && err.message ? err.message : 'Failed to load campaign progress.');
+      });
+  }, [campaign_id]);
+
+  if (error) return <DetailCard title="Progress"><p className="text-sm text-red-600">{error}</p></DetailCard>;
+  if (!progress) return <DetailCard title="Progress"><p className="text-sm text-gray-500">Loading...</p></DetailCard>;
+
+  const max_day = Math.max(1, ...progress.daily.map(d => d.amount));
+  const giving_days = progress.daily.filter(d => d.donations > 0);
+
+  return (
+    <DetailCard title="Progress">
+      <div className="mb-4">
+        <div className="flex justify-between text-sm text-gray-700 mb-1">
+          <span><span className="font-semibold">{format_money(progress.raised)}</span> raised of {format_money(progress.goal)}</span>
+          <span>{progress.percent_of_goal}%</span>
+        </div>
+        <div className="h-3 bg-gray-100 rounded-full overflow-hidden">
+          <div className={`h-full ${progress.percent_of_goal >= 100 ? 'bg-green-500' : 'bg-indigo-500'}`} style={{ width: `${Math.min(progress.percent_of_goal, 100)}%` }} />
+        </div>
+      </div>
+      <KeyValueGrid data={{
+        status: progress.status,
+        remaining: format_money(progress.remaining),
+        donors: progress.donor_count,
+        new_donors: progress.new_donors,
+        donations: progress.donation_count,
+        average_gift: progress.average_gift === null ? '—' : format_money(progress.average_gift),
+        largest_gift: progress.largest_gift === null ? '—' : format_money(progress.largest_gift),
+        spent: format_money(progress.spent),
+      }} />
+      <h4 className="mt-6 mb-2 text-sm font-semibold text-gray-600 uppercase tracking-wider">Daily Trend</h4>
+      {giving_days.length === 0 ? (
+        <p className="text-sm text-gray-500">No donations are attributed to this campaign yet.</p>
+      ) : (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          <div className="overflow-x-auto">
+            <div className="flex items-end gap-px h-40 border-b border-gray-200" style={{ minWidth: `${progress.daily.length * 4}px` }}>
+              {progress.daily.map(d => (
+                <div
+                  key={d.date}
+                  title={`${d.date}: ${format_money(d.amount)} from ${d.donations} donation(s), ${format_money(d.cumulative)} to date`}
+                  className="flex-1 bg-indigo-500 rounded-t"
+                  style={{ height: `${(d.amount / max_day) * 100}%` }}
+                />
+              ))}
+            </div>
+            <div className="flex justify-between text-xs text-gray-500 mt-1">
+              <span>{progress.daily[0].date}</span>
+              <span>{progress.daily[progress.daily.length - 1].date}</span>
+            </div>
+          </div>
+          <SubformTable
+            columns={[{ key: 'date', label: 'Date' }, { key: 'donations', label: 'Donations' }, { key: 'amount', label: 'Amount' }, { key: 'cumulative', label: 'Raised to Date' }]}
+            data={[...giving_days].reverse()}
+            format={{ amount: format_money, cumulative: format_money }}
+          />
+        </div>
+      )}
+    </DetailCard>
+  );
+};
+
+// Picks donations (by default unattributed ones within the campaign dates) and attributes them in one go
+const CampaignAssignCard: React.FC<{ campaign_id: string, on_assigned: () => void }> = ({ campaign_id, on_assigned }) => {
+  const [search, set_search] = useState('');
+  const [include_attributed, set_include_attributed] = useState(false);
+  const [candidates, set_candidates] = useState<CampaignDonation[] | null>(null);
+  const [selected, set_selected] = useState<number[]>([]);
+  const [is_busy, set_is_busy] = useState(false);
+  const [message, set_message] = useState<string | null>(null);
+  const [error, set_error] = useState<string | null>(null);
+
+  const load = async () => {
+    set_error(null);
+    set_is_busy(true);
+    try {
+      set_candidates(await fetch_campaign_candidates(campaign_id, { search: search.trim(), include_attributed }));
+      set_selected([]);
+    } catch (err) {
+      console.error(err);
+      set_error(err instanceof Error && err.message ? err.message : 'Failed to load donations.');
+    } finally {
+      set_is_busy(false);
+    }
+  };
 
-export const DetailView: React.FC<DetailViewProps> = ({ entity, id, on_back }) => {
+  const assign = async () => {
+    set_error(null);
+    set_message(null);
+    set_is_busy(true);
+    try {
+      const result = await assign_campaign_donations(campaign_id, selected);
+      set_message(`Assigned ${result.assigned.length} donation(s)${result.skipped.length ? `, skipped ${result.skipped.length}` : ''}.`);
+      set_candidates(prev => prev ? prev.filter(c => !result.assigned.includes(c.donation_id)) : prev);
+      set_selected([]);
+      on_assigned();
+    } catch (err) {
+      console.error(err);
+      set_error(err instanceof Error && err.message ? err.message : 'Could not assign the donations.');
+    } finally {
+      set_is_busy(false);
+    }
+  };
+
+  const toggle = (donation_id: number) =>
+    set_selected(prev => prev.includes(donation_id) ? prev.filter(d => d !== donation_id) : [...prev, donation_id]);
+  const all_selected = !!candidates?.length && selected.length === candidates.length;
+
+  return (
+    <DetailCard title="Assign Donations">
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <input
+          type="text"
+          placeholder="Donor, purpose or remarks"
+          value={search}
+          onChange={e => set_search(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter') load(); }}
+          className="p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm"
+        />
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input type="checkbox" checked={include_attributed} onChange={e => set_include_attributed(e.target.checked)} />
+          Include donations in other campaigns
+        </label>
+        <button onClick={load} disabled={is_busy} className="text-sm font-medium text-indigo-600 border border-indigo-200 px-3 py-2 rounded-lg hover:bg-indigo-50 disabled:opacity-50">Find Donations</button>
+        {candidates && candidates.length > 0 && (
+          <button onClick={assign} disabled={is_busy || !selected.length} className="text-sm font-medium bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+            Assign {selected.length || ''} to Campaign
+          </button>
+        )}
+      </div>
+      {message && <p className="mb-3 text-sm text-green-700">{message}</p>}
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+      {candidates === null ? (
+        <p className="text-sm text-gray-500">Donations dated within the campaign that aren't in a campaign yet are listed here.</p>
+      ) : candidates.length === 0 ? (
+        <p className="text-sm text-gray-500">No matching donations.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs uppercase tracking-wider text-gray-500 border-b">
+                <th className="p-2"><input type="checkbox" checked={all_selected} onChange={() => set_selected(all_selected ? [] : candidates.map(c => c.donation_id))} /></th>
+                <th className="p-2">Date</th>
+                <th className="p-2">Donor</th>
+                <th className="p-2">Purpose</th>
+                <th className="p-2">Current Campaign</th>
+                <th className="p-2 text-right">Amount</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {candidates.map(c => (
+                <tr key={c.donation_id}>
+                  <td className="p-2"><input type="checkbox" checked={selected.includes(c.donation_id)} onChange={() => toggle(c.donation_id)} /></td>
+                  <td className="p-2">{new Date(c.donation_date).toLocaleDateString()}</td>
+                  <td className="p-2">{c.donor_frf_name}</td>
+                  <td className="p-2">{c.purpose || '—'}</td>
+                  <td className="p-2">{c.campaign_frf_name || '—'}</td>
+                  <td className="p-2 text-right">{format_money(c.amount)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </DetailCard>
+  );
+};
+
+const PledgeStandingBadge: React.FC<{ standing: PledgeStanding }> = ({ standing }) => (
+  <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${PLEDGE_STANDING_STYLES[standing] ?? ''}`}>{standing}</span>
+);
+
+const INSTALLMENT_STYLES: Record<string, string> = {
+  paid: 'text-green-700',
+  due: 'text-yellow-700',
+  overdue: 'text-red-600 font-medium',
+  upcoming: 'text-gray-500',
+};
+
+// Expected vs received for one pledge, with a reminder button while it is overdue
+const PledgeScheduleCard: React.FC<{ pledge_id: number, on_close: () => void }> = ({ pledge_id, on_close }) => {
+  const { has_permission } = use_auth();
+  const [schedule, set_schedule] = useState<PledgeSchedule | null>(null);
+  const [error, set_error] = useState<string | null>(null);
+  const [notice, set_notice] = useState<string | null>(null);
+  const [is_busy, set_is_busy] = useState(false);
+
+  useEffect(() => {
+    set_schedule(null);
+    fetch_pledge_schedule(pledge_id)
+      .then(set_schedule)
+      .catch(err => {
+        console.error(err);
+        set_error(err instanceof Error && err.message ? err.message : 'Failed to load the pledge schedule.');
+      });
+  }, [pledge_id]);
+
+  const remind = async () => {
+    set_error(null);
+    set_notice(null);
+    set_is_busy(true);
+    try {
+      await send_pledge_reminder(pledge_id);
+      set_notice('Reminder queued.');
+    } catch (err) {
+      console.error(err);
+      set_error(err instanceof Error && err.message ? err.message : 'Could not queue the reminder.');
+    } finally {
+      set_is_busy(false);
+    }
+  };
+
+  const title = `Pledge #${pledge_id} Schedule`;
+  const close = <button onClick={on_close} className="text-sm text-gray-600 px-3 py-1 rounded-lg hover:bg-gray-100">Close</button>;
+  if (!schedule) {
+    return (
+      <DetailCard title={title}>
+        {error ? <p className="text-sm text-red-600">{error}</p> : <p className="text-sm text-gray-500">Loading...</p>}
+        <div className="mt-3">{close}</div>
+      </DetailCard>
+    );
+  }
+
+  const { pledge } = schedule;
+  const can_remind = (pledge.standing === 'overdue' || pledge.standing === 'lapsed') && has_permission('donors:pledges:remind');
+
+  return (
+    <DetailCard title={title}>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <PledgeStandingBadge standing={pledge.standing} />
+        <div className="flex items-center gap-2">
+          {can_remind && (
+            <button onClick={remind} disabled={is_busy} className="text-sm font-medium text-indigo-600 border border-indigo-200 px-3 py-1 rounded-lg hover:bg-indigo-50 disabled:opacity-50">
+              {is_busy ? 'Queueing...' : 'Send Reminder'}
+            </button>
+          )}
+          {close}
+        </div>
+      </div>
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+      {notice && <p className="mb-3 text-sm text-green-700">{notice}</p>}
+      <KeyValueGrid data={{
+        pledged: `${format_money(pledge.amount)} ${pledge.frequency}`,
+        expected_to_date: format_money(schedule.expected_to_date),
+        received: format_money(schedule.received),
+        balance: format_money(schedule.balance),
+        missed_instalments: pledge.missed_installments,
+        last_reminded: pledge.last_reminded_at ? new Date(pledge.last_reminded_at).toLocaleDateString() : 'Never',
+      }} />
+      <div className="mt-4">
+        <SubformTable
+          columns={[{ key: 'due_date', label: 'Due' }, { key: 'amount', label: 'Expected' }, { key: 'paid_amount', label: 'Received' }, { key: 'paid_on', label: 'Paid On' }, { key: 'status', label: 'Status' }]}
+          data={schedule.installments}
+          format={{
+            amount: format_money,
+            paid_amount: format_money,
+            paid_on: v => v || '—',
+            status: v => <span className={`capitalize ${INSTALLMENT_STYLES[v] ?? ''}`}>{v}</span>,
+          }}
+          summary={schedule.unallocated > 0 ? `Paid ahead: ${format_money(schedule.unallocated)}` : undefined}
+        />
+      </div>
+    </DetailCard>
+  );
+};
+
+const ACKNOWLEDGMENT_LABELS: Record<string, string> = {
+  PENDING: 'Queued',
+  SENDING: 'Sending',
+  FAILED: 'Failed',
+  SKIPPED: 'Not sent',
+};
+
+// Acknowledgement column: delivered, queued, or a button to queue the mail again
+const DonationAcknowledgmentCell: React.FC<{ row: DonationDetail, on_queued: (donation: Partial<DonationDetail>) => void }> = ({ row, on_queued }) => {
+  const { has_permission } = use_auth();
+  const [is_busy, set_is_busy] = useState(false);
+  const [error, set_error] = useState<string | null>(null);
+
+  if (row.acknowledgment_sent) return <>Yes</>;
+  if (typeof row.donation_id !== 'number') return <>—</>;
+  const donation_id = row.donation_id;
+  const status = row.acknowledgment_status;
+  const is_queued = status === 'PENDING' || status === 'SENDING';
+
+  const queue = async () => {
+    set_error(null);
+    set_is_busy(true);
+    try {
+      const { acknowledgment_status } = await queue_donation_acknowledgment(donation_id);
+      on_queued({ donation_id, acknowledgment_status });
+    } catch (err) {
+      console.error(err);
+      set_error(err instanceof Error && err.message ? err.message : 'Could not queue the email.');
+    } finally {
+      set_is_busy(false);
+    }
+  };
+
+  return (
+    <div>
+      {status && <span className={status === 'FAILED' ? 'text-red-600' : 'text-gray-600'}>{ACKNOWLEDGMENT_LABELS[status] ?? status}</span>}
+      {!is_queued && has_permission('donors:acknowledgments:send') && (
+        <button
+          onClick={queue}
+          disabled={is_busy}
+          className="ml-2 text-xs font-medium text-indigo-600 border border-indigo-200 px-2 py-1 rounded hover:bg-indigo-50 disabled:opacity-50"
+        >
+          {is_busy ? 'Queueing...' : status ? 'Retry' : 'Send'}
+        </button>
+      )}
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export const DetailView: React.FC<DetailViewProps> = ({ entity, id, on_back, on_edit }) => {
+  const { has_permission } = use_auth();
   const [record, set_record] = useState<AnyRecord | null>(null);
   const [loading, set_loading] = useState(true);
   const [error, set_error] = useState<string | null>(null);
+  const [active_tab, set_active_tab] = useState<'details' | 'history'>('details');
+  const [schedule_pledge_id, set_schedule_pledge_id] = useState<number | null>(null);
+  const [progress_version, set_progress_version] = useState(0);
 
   useEffect(() => {
     set_loading(true);
@@ -126,15 +720,22 @@ export const DetailView: React.FC<DetailViewProps> = ({ entity, id, on_back }) =
       });
   }, [entity.id, id]);
 
+  // Subform edits are applied to the loaded record so summaries stay current
+  const set_child_rows = (record_key: string) => (updater: (rows: any[]) => any[]) =>
+    set_record(prev => prev ? ({ ...prev, [record_key]: updater(((prev as any)[record_key] ?? []) as any[]) } as AnyRecord) : prev);
+
   if (loading) return <div className="text-center p-10">Loading details...</div>;
   if (error) return <div className="text-center p-10 text-red-500">{error}</div>;
   if (!record) return <div className="text-center p-10 text-red-500">Record not found.</div>;
 
+  const owner_key = entity.filters?.find(f => f.type === 'user')?.key ?? '';
+
   const render_content = () => {
     switch (entity.id) {
       case 'students': {
         const student = record as Student;
-        const avg_score = student.session_logs.length > 0 ? student.session_logs.reduce((acc, p) => acc + p.overall_score, 0) / student.session_logs.length : 0;
+        const session_logs = student.session_logs ?? [];
+        const avg_score = session_logs.length > 0 ? session_logs.reduce((acc, p) => acc + (Number(p.overall_score) || 0), 0) / session_logs.length : 0;
         return (
           <>
             <OverviewCard
@@ -162,36 +763,30 @@ export const DetailView: React.FC<DetailViewProps> = ({ entity, id, on_back }) =
               <KeyValueGrid data={{ class: student.class, section: student.section, medium: student.medium, school: student.school }} />
             </DetailCard>
             <DetailCard title="Session Logs">
-                <SubformTable 
-                    columns={[
-                        {key: 'session_date', label: 'Date'}, {key: 'course', label: 'Course'}, {key: 'topic_covered', label: 'Topic Covered'}, {key: 'interest_level', label: 'Interest Level'}, {key: 'challenges_faced', label: 'Challenges Faced'}, {key: 'understanding_level', label: 'Understanding (1-5)'}, {key: 'overall_score', label: 'Score'}, {key: 'remarks', label: 'Remarks'}, {key: 'feedback', label: 'Feedback'}, {key: 'home_work', label: 'Homework'}
-                    ]}
-                    data={student.session_logs}
+                <SubformTable
+                    definition={SUBFORMS.session_logs}
+                    parent_id={id}
+                    data={session_logs}
+                    set_data={updater => { set_child_rows(SUBFORMS.session_logs.record_key)(updater); set_progress_version(v => v + 1); }}
                     summary={`AVG Overall Score: ${avg_score.toFixed(2)}`}
                 />
             </DetailCard>
+            <StudentProgressCard key={progress_version} student_id={id} />
           </>
         );
       }
 case 'volunteers': {
   const volunteer = record as Volunteer;
-  const logs = (volunteer.attendance ?? (volunteer as any).attendance_logs ?? []) as any[];
-  // ✅ Transform attendance data properly
-  const attendanceData = logs.map(a => ({
-    date: new Date(a.attendance_date).toLocaleDateString(),
-    attendance: a.attendance_status,
-    performance: a.performance ?? 'N/A',
-    remarks: a.remarks || '-'
-  }));
+  const logs = volunteer.attendance_logs ?? [];
 
   // ✅ Compute average performance
   const avgPerformance =
-    attendanceData.length > 0
+    logs.length > 0
       ? (
-          attendanceData.reduce(
+          logs.reduce(
             (sum, a) => sum + (Number(a.performance) || 0),
             0
-          ) / attendanceData.length
+          ) / logs.length
         ).toFixed(2)
       : 'N/A';
 
@@ -268,13 +863,14 @@ case 'volunteers': {
 
       <DetailCard title="Attendance & Performance">
         <SubformTable
-          columns={[
-            { key: 'date', label: 'Date' },
-            { key: 'attendance', label: 'Attendance' },
-            { key: 'performance', label: 'Performance' },
-            { key: 'remarks', label: 'Remarks' }
-          ]}
-          data={attendanceData}
+          definition={SUBFORMS.volunteer_attendance}
+          parent_id={id}
+          data={logs}
+          set_data={set_child_rows(SUBFORMS.volunteer_attendance.record_key)}
+          format={{
+            performance: v => v ?? 'N/A',
+            remarks: v => v || '-'
+          }}
           summary={`Avg Performance: ${avgPerformance}`}
         />
       </DetailCard>
@@ -287,19 +883,8 @@ case 'volunteers': {
   // ensure donations is an array
   const donationsArr = Array.isArray(donor.donations) ? donor.donations : [];
 
-  // ensure numeric amount and consistent date format
-  const mapped = donationsArr.map(d => {
-    const amt = Number(d.amount) || 0;
-    return {
-      ...d,
-      amount: `$${amt.toFixed(2)}`,
-      donation_date: d.donation_date ? new Date(d.donation_date).toLocaleDateString() : '-',
-      // if backend returns 'Yes'/'No' already for '80G_receipt_issued', keep it; else normalize boolean
-      '80G_receipt_issued': d['80G_receipt_issued'] === undefined ? (d['80g_receipt_issued'] ? 'Yes' : 'No') : d['80G_receipt_issued']
-    }
-  });
-
   const total_donated = donationsArr.reduce((acc, d) => acc + (Number(d.amount) || 0), 0);
+  const pledgesArr = Array.isArray(donor.pledges) ? donor.pledges : [];
 
   return (
     <>
@@ -325,17 +910,68 @@ case 'volunteers': {
         <KeyValueGrid data={{ donor_frf_name: donor.donor_frf_name, donor_frf_owner: donor.donor_frf_owner, created_date: new Date(donor.created_by_date).toLocaleDateString(), modified_date: donor.modified_date ? new Date(donor.modified_date).toLocaleDateString() : '-', email: donor.email, secondary_email: donor.secondary_email, email_opt_out: donor.email_opt_out ? 'Yes' : 'No' }} />
       </DetailCard>
       <DetailCard title="Donors Details">
-        <KeyValueGrid data={{ donor_id: donor.donor_id, type: donor.type, contact_person: donor.contact_person, contact_number: donor.contact_number, address: donor.address }} />
+        <KeyValueGrid data={{ donor_id: donor.donor_id, donor_type: donor.donor_type, contact_person: donor.contact_person, contact_number: donor.contact_number, address: donor.address, pan: donor.pan }} />
       </DetailCard>
+      {donor.gift_count !== undefined && (
+        <DetailCard title="Giving">
+          <KeyValueGrid data={{
+            lifetime_giving: format_money(donor.lifetime_giving),
+            gifts: donor.gift_count,
+            average_gift: donor.gift_count ? format_money(donor.average_gift) : '-',
+            first_gift: donor.first_gift_date ? new Date(donor.first_gift_date).toLocaleDateString() : '-',
+            last_gift: donor.last_gift_date ? `${new Date(donor.last_gift_date).toLocaleDateString()} (${donor.days_since_last_gift} days ago)` : '-',
+            segment: donor.giving_segment || '-',
+            rfm_score: donor.gift_count ? `R${donor.recency_score} F${donor.frequency_score} M${donor.monetary_score}` : '-',
+          }} />
+        </DetailCard>
+      )}
       <DetailCard title="Donor Transactions">
         <SubformTable
-          columns={[
-            { key: 'donation_date', label: 'Date' }, { key: 'transaction_id', label: 'Transaction ID' }, { key: 'purpose', label: 'Purpose' }, { key: 'receipt_number', label: 'Receipt No.' }, { key: '80G_receipt_issued', label: '80G Receipt Issued' }, { key: 'acknowledgment_sent', label: 'Acknowledgement Sent' }, { key: 'donor_feedback', label: 'Feedback' }, { key: 'remarks', label: 'Remarks' }, { key: 'amount', label: 'Amount' }
-          ]}
-          data={mapped}
+          definition={SUBFORMS.donations}
+          parent_id={id}
+          data={donationsArr}
+          set_data={set_child_rows(SUBFORMS.donations.record_key)}
+          format={{
+            amount: v => `$${(Number(v) || 0).toFixed(2)}`,
+            receipt_number: (_, row) => (
+              <DonationReceiptCell
+                row={row as DonationDetail}
+                on_issued={donation => set_child_rows(SUBFORMS.donations.record_key)(rows => rows.map(r => r.donation_id === donation.donation_id ? { ...r, ...donation } : r))}
+              />
+            ),
+            acknowledgment_sent: (_, row) => (
+              <DonationAcknowledgmentCell
+                row={row as DonationDetail}
+                on_queued={donation => set_child_rows(SUBFORMS.donations.record_key)(rows => rows.map(r => r.donation_id === donation.donation_id ? { ...r, ...donation } : r))}
+              />
+            ),
+          }}
           summary={`Total: $${total_donated.toFixed(2)}`}
         />
       </DetailCard>
+      <DetailCard title="Pledges">
+        <SubformTable
+          definition={SUBFORMS.pledges}
+          parent_id={id}
+          data={pledgesArr}
+          set_data={set_child_rows(SUBFORMS.pledges.record_key)}
+          format={{
+            amount: format_money,
+            standing: (value, row) => typeof row.pledge_id !== 'number' || !value ? '—' : (
+              <div className="flex items-center gap-2">
+                <PledgeStandingBadge standing={value} />
+                <button onClick={() => set_schedule_pledge_id(row.pledge_id)} className="text-xs text-indigo-600 hover:underline">Schedule</button>
+              </div>
+            ),
+          }}
+        />
+      </DetailCard>
+      {schedule_pledge_id !== null && (
+        <PledgeScheduleCard
+          pledge_id={schedule_pledge_id}
+          on_close={() => set_schedule_pledge_id(null)}
+        />
+      )}
     </>
   );
 }
@@ -364,12 +1000,15 @@ case 'volunteers': {
                     <KeyValueGrid data={{ project_frf_name: project.project_frf_name, project_frf_owner: project.project_frf_owner, created_date: new Date(project.created_by_date).toLocaleDateString(), modified_date: new Date(project.modified_date).toLocaleDateString(), email: project.email, secondary_email: project.secondary_email, email_opt_out: project.email_opt_out ? 'Yes' : 'No' }} />
                 </DetailCard>
                 <DetailCard title="Project Details">
-                    <KeyValueGrid data={{ project_name: project.project_frf_name, project_id: project.project_id, start_date: project.start_date, end_date: project.end_date, duration: project.duration, objective: project.objective, budget: `$${(project.budget ?? 0).toFixed(2)}`,budget_utilized: `$${(project.budget_utilized ?? 0).toFixed(2)}`, impact_summary: project.impact_summary, location: project.location, target_group: project.target_group, responsible_officer: project.responsible_officer }} />
+                    <KeyValueGrid data={{ project_name: project.project_frf_name, project_id: project.project_id, start_date: project.start_date, end_date: project.end_date, duration: project.duration, objective: project.objective, budget: format_money(project.budget), budget_utilized: format_money(project.budget_utilized), impact_summary: project.impact_summary, location: project.location, target_group: project.target_group, responsible_officer: project.responsible_officer }} />
                 </DetailCard>
+                {has_permission('finance:read') && <ProjectFinancialsCard project_id={id} />}
                 <DetailCard title="Attendance Log">
-                    <SubformTable 
-                      columns={[{ key: 'log_date', label: 'Date' }, { key: 'attent_list', label: 'Attended' }, { key: 'absent_list', label: 'Absent' }, { key: 'overall', label: 'Overall' }, { key: 'remarks', label: 'Remarks' }]} 
-                      data={project.attendance_logs || []} 
+                    <SubformTable
+                      definition={SUBFORMS.project_attendance}
+                      parent_id={id}
+                      data={project.attendance_logs || []}
+                      set_data={set_child_rows(SUBFORMS.project_attendance.record_key)}
                       summary={`Avg Overall: N/A`}
                     />
                 </DetailCard>
@@ -378,8 +1017,9 @@ case 'volunteers': {
     }
     case 'finance': {
       const report = record as FinanceReport;
-      const total_income = report.transactions.reduce((acc, t) => acc + t.income_amount, 0);
-      const total_expense = report.transactions.reduce((acc, t) => acc + t.expense_amount, 0);
+      const transactions = report.transactions ?? [];
+      const total_income = transactions.reduce((acc, t) => acc + (Number(t.income_amount) || 0), 0);
+      const total_expense = transactions.reduce((acc, t) => acc + (Number(t.expense_amount) || 0), 0);
       const formatCurrency = (val: unknown) => {
       const num = Number(val);
         return !isNaN(num) && num > 0 ? `$${num.toFixed(2)}` : '-';
@@ -405,21 +1045,18 @@ case 'volunteers': {
 />
 
               <DetailCard title="Finance FRF Information">
-                  <KeyValueGrid data={{ finance_report_frf_name: report.finance_report_frf_name, finance_report_frf_owner: report.finance_report_frf_owner, project_name: report.project_name, created_date: new Date(report.created_by_date).toLocaleDateString(), modified_date: new Date(report.modified_date).toLocaleDateString(), email: report.email, secondary_email: report.secondary_email, email_opt_out: report.email_opt_out ? 'Yes' : 'No' }} />
+                  <KeyValueGrid data={{ finance_report_frf_name: report.finance_report_frf_name, finance_report_frf_owner: report.finance_report_frf_owner, project: report.project_frf_name ?? report.project_name, created_date: new Date(report.created_by_date).toLocaleDateString(), modified_date: new Date(report.modified_date).toLocaleDateString(), email: report.email, secondary_email: report.secondary_email, email_opt_out: report.email_opt_out ? 'Yes' : 'No' }} />
               </DetailCard>
               <DetailCard title="Transaction Ledger">
                   <SubformTable
-                      columns={[
-                          { key: 'transaction_date', label: 'Date' }, { key: 'name', label: 'Name' }, { key: 'income_amount', label: 'Income' }, { key: 'expense_amount', label: 'Expense' }, { key: 'bill_transaction_id', label: 'Bill/Txn ID' }, { key: 'gst', label: 'GST' }, { key: 'remarks', label: 'Remarks' }, { key: 'other_details', label: 'Other Details' }
-                      ]}
-                    data={report.transactions.map(t => ({
-                      ...t,
-                      income_amount: formatCurrency(t.income_amount),
-                      expense_amount: formatCurrency(t.expense_amount),
-                    }))}
-
-
-
+                    definition={SUBFORMS.transactions}
+                    parent_id={id}
+                    data={transactions}
+                    set_data={set_child_rows(SUBFORMS.transactions.record_key)}
+                    format={{
+                      income_amount: formatCurrency,
+                      expense_amount: formatCurrency,
+                    }}
                     summary={
                         <div className="flex flex-col sm:flex-row justify-end gap-2 sm:gap-6">
                             <p>Total Income: ${Number(total_income || 0).toFixed(2)}</p>
@@ -432,6 +1069,54 @@ case 'volunteers': {
           </>
       )
   }
+    case 'campaigns': {
+      const campaign = record as Campaign;
+      const donations = Array.isArray(campaign.donations) ? campaign.donations : [];
+
+      // Re-read the totals and the attributed donations after a bulk assignment
+      const reload_campaign = () => {
+        fetch_frf_detail(entity.id, id)
+          .then(data => set_record(data))
+          .catch(err => console.error(err));
+        set_progress_version(v => v + 1);
+      };
+
+      return (
+          <>
+              <OverviewCard
+  data={{
+    name: campaign.campaign_frf_name,
+    owner: campaign.campaign_frf_owner,
+
+    created_by_username: campaign.created_by_username,
+    created_by_email: campaign.created_by_email,
+    created_by_date: campaign.created_by_date,
+
+    modified_by_username: campaign.modified_by_username,
+    modified_by_email: campaign.modified_by_email,
+    modified_date: campaign.modified_date
+  }}
+  owner_label="Campaign FRF Owner"
+/>
+
+              <DetailCard title="Campaign Details">
+                  <KeyValueGrid data={{ campaign_id: campaign.id, status: campaign.status, channel: campaign.channel || '—', project: campaign.project_frf_name || '—', start_date: campaign.start_date, end_date: campaign.end_date || '—', goal: format_money(campaign.goal_amount), description: campaign.description || '—' }} />
+              </DetailCard>
+              <CampaignProgressCard key={progress_version} campaign_id={id} />
+              {has_permission('donors:read') && has_permission('donors:donations:write') && (
+                <CampaignAssignCard campaign_id={id} on_assigned={reload_campaign} />
+              )}
+              <DetailCard title="Attributed Donations">
+                  <SubformTable
+                    columns={[{ key: 'donation_date', label: 'Date' }, { key: 'donor_frf_name', label: 'Donor' }, { key: 'transaction_id', label: 'Transaction ID' }, { key: 'purpose', label: 'Purpose' }, { key: 'amount', label: 'Amount' }]}
+                    data={donations}
+                    format={{ donation_date: v => new Date(v).toLocaleDateString(), amount: format_money }}
+                    summary={`Total: ${format_money(campaign.raised)}`}
+                  />
+              </DetailCard>
+          </>
+      )
+    }
     case 'board': {
         const member = record as BoardMember;
         return (
@@ -509,9 +1194,38 @@ case 'volunteers': {
           </svg>
           Back to {entity.name} List
         </button>
+        <div className="flex items-center gap-2">
+          {has_permission(`${entity.id}:export`) && <ExportMenu formats={['pdf']} on_export={() => export_frf_record(entity.id, id)} />}
+          {has_permission(`${entity.id}:update`) && (
+            <TransferOwnerControl
+              entity={entity}
+              id={id}
+              current_owner={(record as any)[owner_key]}
+              on_transferred={row => set_record(prev => prev ? ({ ...prev, ...row } as AnyRecord) : prev)}
+            />
+          )}
+          {on_edit && entity.create_fields && entity.create_fields.length > 0 && (
+            <button onClick={on_edit} className="flex items-center gap-2 text-sm font-medium bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors">
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor"><path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" /></svg>
+              Edit
+            </button>
+          )}
+        </div>
       </div>
-      
-      {render_content()}
+
+      <div className="flex gap-2 border-b border-gray-200 mb-6">
+        {(['details', 'history'] as const).map(tab => (
+          <button
+            key={tab}
+            onClick={() => set_active_tab(tab)}
+            className={`px-4 py-2 text-sm font-medium -mb-px border-b-2 capitalize ${active_tab === tab ? 'border-indigo-600 text-indigo-600' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+          >
+            {tab}
+          </button>
+        ))}
+      </div>
+
+      {active_tab === 'details' ? render_content() : <RecordHistory entity={entity} id={id} />}
 
     </div>
   );
@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from 'react';
+import type { DonorAnalytics } from '../types';
+import { fetch_donor_analytics } from '../services/mockApi';
+
+const format_money = (value: unknown) => `$${Number(value ?? 0).toFixed(2)}`;
+
+const SEGMENT_NOTES: Record<string, string> = {
+  'Champions': 'Recent, frequent and generous',
+  'Loyal': 'Give often and still recently',
+  'New': 'First gift in the last 6 months',
+  'Promising': 'Gave within the last year',
+  'At risk': 'Used to give well, not lately',
+  'Hibernating': 'Last gift 1–2 years ago',
+  'Lost': 'No gift for over 2 years',
+};
+
+const Tile: React.FC<{ label: string, value: React.ReactNode }> = ({ label, value }) => (
+  <div className="p-4 rounded-lg bg-gray-50 border border-gray-200">
+    <p className="text-xs uppercase tracking-wider text-gray-500">{label}</p>
+    <p className="text-xl font-semibold text-gray-800 mt-1">{value}</p>
+  </div>
+);
+
+// Lifetime giving, retention by financial year and RFM segments for the donors the user can see
+export const DonorAnalyticsView: React.FC = () => {
+  const [years, set_years] = useState(5);
+  const [analytics, set_analytics] = useState<DonorAnalytics | null>(null);
+  const [loading, set_loading] = useState(true);
+  const [error, set_error] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    set_loading(true);
+    set_error(null);
+    fetch_donor_analytics(years)
+      .then(data => { if (!cancelled) set_analytics(data); })
+      .catch(err => {
+        console.error(err);
+        if (!cancelled) set_error('Failed to load donor analytics. Please try again later.');
+      })
+      .finally(() => { if (!cancelled) set_loading(false); });
+    return () => { cancelled = true; };
+  }, [years]);
+
+  const max_segment = Math.max(1, ...(analytics?.segments.map(s => s.donors) ?? []));
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-4 md:p-6">
+        <h3 className="text-lg font-bold text-gray-800 mb-1">Donor Analytics</h3>
+        <p className="text-sm text-gray-500 mb-4">Worked out from recorded donations. Segments can be filtered and saved from the donor list.</p>
+        {error && <div className="mb-4 p-3 rounded-lg bg-red-50 text-red-600 text-sm">{error}</div>}
+        {loading && !analytics ? (
+          <div className="text-center p-8 text-gray-500">Loading donor analytics...</div>
+        ) : analytics && (
+          <div className="grid grid-cols-2 lg:grid-cols-5 gap-4">
+            <Tile label="Donors" value={`${analytics.summary.donors_with_gifts} / ${analytics.summary.donors}`} />
+            <Tile label="Gave in last 12 months" value={analytics.summary.active_donors} />
+            <Tile label="Lifetime Giving" value={format_money(analytics.summary.lifetime_giving)} />
+            <Tile label="Gifts" value={analytics.summary.gifts} />
+            <Tile label="Average Gift" value={format_money(analytics.summary.average_gift)} />
+          </div>
+        )}
+      </div>
+
+      {analytics && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="bg-white rounded-lg shadow-md p-4 md:p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-bold text-gray-800">Retention by Financial Year</h3>
+              <select value={years} onChange={e => set_years(Number(e.target.value))} className="p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm">
+                {[3, 5, 10].map(n => <option key={n} value={n}>Last {n} years</option>)}
+              </select>
+            </div>
+            {!analytics.retention.length ? (
+              <p className="text-gray-500">No donations recorded yet.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs uppercase tracking-wider text-gray-500 border-b">
+                      <th className="p-2">Year</th>
+                      <th className="p-2">Donors</th>
+                      <th className="p-2">New</th>
+                      <th className="p-2">Retained</th>
+                      <th className="p-2">Reactivated</th>
+                      <th className="p-2">Lapsed</th>
+                      <th className="p-2">Retention</th>
+                      <th className="p-2 text-right">Giving</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {analytics.retention.map(y => (
+                      <tr key={y.financial_year}>
+                        <td className="p-2 font-medium">{y.financial_year}</td>
+                        <td className="p-2">{y.donors}</td>
+                        <td className="p-2">{y.new_donors}</td>
+                        <td className="p-2">{y.retained_donors}</td>
+                        <td className="p-2">{y.reactivated_donors}</td>
+                        <td className="p-2">{y.lapsed_donors}</td>
+                        <td className="p-2">{y.retention_rate === null ? '—' : `${y.retention_rate}%`}</td>
+                        <td className="p-2 text-right">{format_money(y.giving)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div className="bg-white rounded-lg shadow-md p-4 md:p-6">
+            <h3 className="text-lg font-bold text-gray-800 mb-4">Segments</h3>
+            <div className="space-y-3">
+              {analytics.segments.map(s => (
+                <div key={s.segment}>
+                  <div className="flex justify-between text-sm">
+                    <span className="font-medium text-gray-800">{s.segment} <span className="font-normal text-gray-500">· {SEGMENT_NOTES[s.segment]}</span></span>
+                    <span className="text-gray-600">{s.donors} · {format_money(s.lifetime_giving)}</span>
+                  </div>
+                  <div className="h-2 mt-1 rounded-full bg-gray-100">
+                    <div className="h-2 rounded-full bg-indigo-500" style={{ width: `${(s.donors / max_segment) * 100}%` }} />
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
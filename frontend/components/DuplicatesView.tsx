@@ -0,0 +1,302 @@
+import React, { useEffect, useState } from 'react';
+import type { DuplicatePair, FrfEntity, MergeEntityId, MergePreview, MergeSource } from '../types';
+import { dismiss_duplicate, fetch_duplicates, merge_records, preview_merge } from '../services/mockApi';
+import { use_auth } from '../context/AuthContext';
+
+interface DuplicatesViewProps {
+  on_open_record?: (entity_id: FrfEntity['id'], id: string) => void;
+}
+
+const ENTITY_TABS: { id: MergeEntityId, label: string }[] = [
+  { id: 'donors', label: 'Donors' },
+  { id: 'volunteers', label: 'Volunteers' },
+  { id: 'students', label: 'Students' },
+];
+
+const CHILD_LABELS: Record<string, string> = {
+  donations: 'Donations',
+  donor_pledges: 'Pledges',
+  volunteer_attendance: 'Attendance records',
+  student_session_logs: 'Session logs',
+  donation_receipts: '80G receipts',
+};
+
+const input_classes = 'p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm';
+const button_classes = 'text-sm font-medium text-indigo-600 border border-indigo-200 px-3 py-1.5 rounded-lg hover:bg-indigo-50 disabled:opacity-50';
+const primary_classes = 'text-sm font-medium text-white bg-indigo-600 px-3 py-1.5 rounded-lg hover:bg-indigo-700 disabled:opacity-50';
+
+const format_value = (value: any) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const error_message = (err: unknown, fallback: string) =>
+  err instanceof Error && err.message ? err.message : fallback;
+
+const score_classes = (score: number) =>
+  score >= 70 ? 'bg-red-100 text-red-800' : score >= 50 ? 'bg-yellow-100 text-yellow-800' : 'bg-gray-100 text-gray-700';
+
+// Side-by-side comparison of a pair: pick the record to keep and, per field, whose value survives
+const MergePanel: React.FC<{
+  entity_id: MergeEntityId,
+  pair: DuplicatePair,
+  on_close: () => void,
+  on_done: (message: string) => void,
+}> = ({ entity_id, pair, on_close, on_done }) => {
+  const [survivor_id, set_survivor_id] = useState(pair.record_a.id);
+  const [field_sources, set_field_sources] = useState<Record<string, MergeSource>>({});
+  const [preview, set_preview] = useState<MergePreview | null>(null);
+  const [show_all, set_show_all] = useState(false);
+  const [note, set_note] = useState('');
+  const [is_merging, set_is_merging] = useState(false);
+  const [error, set_error] = useState<string | null>(null);
+
+  const merged_id = survivor_id === pair.record_a.id ? pair.record_b.id : pair.record_a.id;
+
+  useEffect(() => {
+    let cancelled = false;
+    set_error(null);
+    preview_merge(entity_id, survivor_id, merged_id, field_sources)
+      .then(data => { if (!cancelled) set_preview(data); })
+      .catch(err => {
+        console.error(err);
+        if (!cancelled) set_error(error_message(err, 'Could not compare the records.'));
+      });
+    return () => { cancelled = true; };
+  }, [entity_id, survivor_id, merged_id, field_sources]);
+
+  const swap = () => {
+    set_field_sources({});
+    set_survivor_id(merged_id);
+  };
+
+  const choose = (column: string, source: MergeSource) =>
+    set_field_sources(prev => ({ ...prev, [column]: source }));
+
+  const handle_merge = async () => {
+    if (!preview) return;
+    const moving = preview.children.reduce((sum, c) => sum + c.merged, 0);
+    const merged_name = survivor_id === pair.record_a.id ? pair.record_b.name : pair.record_a.name;
+    if (!window.confirm(`Merge ${merged_name} into this record? ${moving} related row(s) move over and ${merged_name} is deleted. The merge is logged for review.`)) return;
+    set_error(null);
+    set_is_merging(true);
+    try {
+      const sources = Object.fromEntries(preview.fields.map(f => [f.column, f.source])) as Record<string, MergeSource>;
+      await merge_records(entity_id, survivor_id, merged_id, sources, note.trim() || undefined);
+      on_done(`Merged ${merged_name} into ${survivor_id}.`);
+    } catch (err) {
+      console.error(err);
+      set_error(error_message(err, 'Could not merge the records.'));
+    } finally {
+      set_is_merging(false);
+    }
+  };
+
+  const fields = (preview?.fields ?? []).filter(f => show_all || format_value(f.survivor) !== format_value(f.merged));
+  const th_classes = 'p-2 text-xs font-semibold text-gray-600 uppercase tracking-wider';
+
+  return (
+    <div className="border border-indigo-200 rounded-lg p-4 bg-indigo-50/30">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div className="text-sm text-gray-700">
+          Keep <span className="font-semibold">{survivor_id}</span>, merge in <span className="font-semibold">{merged_id}</span>
+          <button onClick={swap} className={`${button_classes} ml-3`}>Swap</button>
+        </div>
+        <div className="flex items-center gap-3">
+          <label className="flex items-center gap-1 text-sm text-gray-600">
+            <input type="checkbox" checked={show_all} onChange={e => set_show_all(e.target.checked)} /> Show matching fields
+          </label>
+          <button onClick={on_close} className={button_classes}>Close</button>
+        </div>
+      </div>
+
+      {error && <div className="mb-3 p-3 rounded-lg bg-red-50 text-red-600 text-sm">{error}</div>}
+
+      {!preview ? (
+        <div className="text-center py-6 text-gray-500">Comparing...</div>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-left table-auto text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className={th_classes}>Field</th>
+                  <th className={th_classes}>Kept record ({survivor_id})</th>
+                  <th className={th_classes}>Merged record ({merged_id})</th>
+                  <th className={th_classes}>Result</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {fields.map(f => (
+                  <tr key={f.column}>
+                    <td className="p-2 text-gray-700 font-medium">{f.column.replace(/_/g, ' ')}</td>
+                    {(['survivor', 'merged'] as MergeSource[]).map(source => (
+                      <td key={source} className="p-2 break-words">
+                        <label className="flex items-start gap-2 cursor-pointer">
+                          <input type="radio" name={`source-${f.column}`} checked={f.source === source} onChange={() => choose(f.column, source)} className="mt-1" />
+                          <span>{format_value(f[source])}</span>
+                        </label>
+                      </td>
+                    ))}
+                    <td className="p-2 text-green-700 break-words">{format_value(f.result)}</td>
+                  </tr>
+                ))}
+                {!fields.length && (
+                  <tr><td colSpan={4} className="p-3 text-gray-500 text-center">The two records hold the same values.</td></tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="mt-3 text-sm text-gray-600">
+            {preview.children.map(c => (
+              <span key={c.table} className="mr-4">
+                {CHILD_LABELS[c.table] ?? c.table}: {c.survivor} + {c.merged} moving over
+              </span>
+            ))}
+          </div>
+
+          <div className="mt-3 flex flex-col md:flex-row md:items-center gap-2">
+            <input value={note} onChange={e => set_note(e.target.value)} placeholder="Note for the reviewer (optional)" maxLength={1000} className={`${input_classes} md:flex-1`} />
+            <button onClick={handle_merge} disabled={is_merging} className={primary_classes}>{is_merging ? 'Merging...' : 'Merge'}</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Likely duplicate donors, volunteers and students, scored on name, email, phone and address
+export const DuplicatesView: React.FC<DuplicatesViewProps> = ({ on_open_record }) => {
+  const { has_permission } = use_auth();
+  const tabs = ENTITY_TABS.filter(t => has_permission(`${t.id}:merge`));
+  const [entity_id, set_entity_id] = useState<MergeEntityId>(tabs[0]?.id ?? 'donors');
+  const [min_score, set_min_score] = useState(30);
+  const [pairs, set_pairs] = useState<DuplicatePair[]>([]);
+  const [selected, set_selected] = useState<DuplicatePair | null>(null);
+  const [loading, set_loading] = useState(true);
+  const [reload, set_reload] = useState(0);
+  const [error, set_error] = useState<string | null>(null);
+  const [message, set_message] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    set_loading(true);
+    set_error(null);
+    fetch_duplicates(entity_id, { min_score, limit: 100 })
+      .then(data => { if (!cancelled) set_pairs(data.pairs); })
+      .catch(err => {
+        console.error(err);
+        if (!cancelled) set_error(error_message(err, 'Failed to load duplicates. Please try again later.'));
+      })
+      .finally(() => { if (!cancelled) set_loading(false); });
+    return () => { cancelled = true; };
+  }, [entity_id, min_score, reload]);
+
+  const pair_key = (pair: DuplicatePair) => `${pair.record_a.id}|${pair.record_b.id}`;
+
+  const handle_dismiss = async (pair: DuplicatePair) => {
+    if (!window.confirm(`Mark ${pair.record_a.name} and ${pair.record_b.name} as different people? The pair won't be offered again.`)) return;
+    set_error(null);
+    set_message(null);
+    try {
+      await dismiss_duplicate(entity_id, [pair.record_a.id, pair.record_b.id]);
+      set_pairs(prev => prev.filter(p => pair_key(p) !== pair_key(pair)));
+      if (selected && pair_key(selected) === pair_key(pair)) set_selected(null);
+    } catch (err) {
+      console.error(err);
+      set_error(error_message(err, 'Could not dismiss the pair.'));
+    }
+  };
+
+  const th_classes = 'p-2 md:px-4 text-xs font-semibold text-gray-600 uppercase tracking-wider';
+  const record_button = (id: string, name: string) => on_open_record
+    ? <button onClick={() => on_open_record(entity_id, id)} className="text-indigo-600 hover:underline text-left">{name}</button>
+    : <span>{name}</span>;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 md:p-6">
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-gray-800 mb-1">Duplicates</h3>
+          <p className="text-sm text-gray-500">Records that look like the same person, scored out of 100 on name, email, phone and address.</p>
+        </div>
+        <select value={min_score} onChange={e => { set_min_score(Number(e.target.value)); set_selected(null); }} className={input_classes}>
+          {[30, 50, 70].map(n => <option key={n} value={n}>Score {n} and above</option>)}
+        </select>
+      </div>
+
+      <div className="flex gap-2 mb-4 border-b border-gray-200 overflow-x-auto">
+        {tabs.map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => { set_entity_id(tab.id); set_selected(null); set_message(null); }}
+            className={`px-4 py-2 text-sm font-medium -mb-px border-b-2 whitespace-nowrap ${entity_id === tab.id ? 'border-indigo-600 text-indigo-600' : 'border-transparent text-gray-500 hover:text-indigo-600'}`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {error && <div className="mb-4 p-3 rounded-lg bg-red-50 text-red-600 text-sm">{error}</div>}
+      {message && <div className="mb-4 p-3 rounded-lg bg-green-50 text-green-700 text-sm">{message}</div>}
+
+      {selected && (
+        <div className="mb-4">
+          <MergePanel
+            key={`${entity_id}-${pair_key(selected)}`}
+            entity_id={entity_id}
+            pair={selected}
+            on_close={() => set_selected(null)}
+            on_done={text => { set_message(text); set_selected(null); set_reload(n => n + 1); }}
+          />
+        </div>
+      )}
+
+      {loading ? (
+        <div className="text-center py-10">Loading...</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-left table-auto">
+            <thead className="bg-gray-50 border-b border-gray-200">
+              <tr>
+                <th className={th_classes}>Record</th>
+                <th className={th_classes}>Possible duplicate</th>
+                <th className={th_classes}>Score</th>
+                <th className={th_classes}>Why</th>
+                <th className={th_classes}></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {pairs.map(pair => (
+                <tr key={pair_key(pair)} className={selected && pair_key(selected) === pair_key(pair) ? 'bg-indigo-50' : ''}>
+                  <td className="p-2 md:px-4 text-sm">
+                    {record_button(pair.record_a.id, pair.record_a.name)}
+                    <div className="text-xs text-gray-400">{pair.record_a.id}</div>
+                  </td>
+                  <td className="p-2 md:px-4 text-sm">
+                    {record_button(pair.record_b.id, pair.record_b.name)}
+                    <div className="text-xs text-gray-400">{pair.record_b.id}</div>
+                  </td>
+                  <td className="p-2 md:px-4 text-sm">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${score_classes(pair.score)}`}>{pair.score}</span>
+                  </td>
+                  <td className="p-2 md:px-4 text-sm text-gray-600">{pair.reasons.join(' · ')}</td>
+                  <td className="p-2 md:px-4 text-sm text-right whitespace-nowrap space-x-2">
+                    <button onClick={() => set_selected(pair)} className={button_classes}>Compare</button>
+                    <button onClick={() => handle_dismiss(pair)} className={button_classes}>Not a duplicate</button>
+                  </td>
+                </tr>
+              ))}
+              {!pairs.length && (
+                <tr><td colSpan={5} className="p-4 text-sm text-gray-500 text-center">No likely duplicates.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
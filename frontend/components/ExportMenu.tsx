@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import type { ExportFormat } from '../types';
+
+interface ExportMenuProps {
+  formats: ExportFormat[]; // A single format renders a plain button instead of a menu
+  on_export: (format: ExportFormat) => Promise<string | void>; // May resolve to a notice for the user
+}
+
+const FORMAT_LABELS: Record<ExportFormat, string> = {
+  csv: 'CSV',
+  xlsx: 'Excel (XLSX)',
+  pdf: 'PDF',
+};
+
+export const ExportMenu: React.FC<ExportMenuProps> = ({ formats, on_export }) => {
+  const [is_open, set_is_open] = useState(false);
+  const [is_exporting, set_is_exporting] = useState(false);
+  const [message, set_message] = useState<{ text: string, is_error: boolean } | null>(null);
+
+  const run_export = async (format: ExportFormat) => {
+    set_is_open(false);
+    set_message(null);
+    set_is_exporting(true);
+    try {
+      const notice = await on_export(format);
+      if (notice) set_message({ text: notice, is_error: false });
+    } catch (err) {
+      console.error(err);
+      set_message({ text: err instanceof Error && err.message ? err.message : 'Export failed. Please try again.', is_error: true });
+    } finally {
+      set_is_exporting(false);
+    }
+  };
+
+  const single = formats.length === 1;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => single ? run_export(formats[0]) : set_is_open(!is_open)}
+        disabled={is_exporting}
+        className="flex items-center gap-2 text-sm font-medium text-indigo-600 border border-indigo-200 px-4 py-2 rounded-lg hover:bg-indigo-50 transition-colors disabled:opacity-50"
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M3 17a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm3.293-7.707a1 1 0 011.414 0L9 10.586V3a1 1 0 112 0v7.586l1.293-1.293a1 1 0 111.414 1.414l-3 3a1 1 0 01-1.414 0l-3-3a1 1 0 010-1.414z" clipRule="evenodd" /></svg>
+        {is_exporting ? 'Exporting...' : single ? `Export ${FORMAT_LABELS[formats[0]]}` : 'Export'}
+      </button>
+      {is_open && (
+        <div className="absolute right-0 mt-2 w-40 bg-white border border-gray-200 rounded-lg shadow-lg z-20">
+          {formats.map(format => (
+            <button key={format} onClick={() => run_export(format)} className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50">
+              {FORMAT_LABELS[format]}
+            </button>
+          ))}
+        </div>
+      )}
+      {message && (
+        <div className={`absolute right-0 mt-2 w-64 p-2 rounded-lg text-xs shadow z-20 ${message.is_error ? 'bg-red-50 text-red-600' : 'bg-yellow-50 text-yellow-800'}`}>
+          {message.text}
+          <button onClick={() => set_message(null)} className="ml-2 font-semibold">✕</button>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -1,13 +1,133 @@
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import { use_auth } from '../context/AuthContext';
 
 interface HeaderProps {
   on_toggle_sidebar: () => void;
   is_sidebar_open: boolean;
   title: string;
   entity_name?: string;
+  on_manage_users?: () => void; // Shown only to users with users:read
+  on_manage_roles?: () => void; // Shown only to users who can manage roles
+  on_reassign_records?: () => void; // Shown only to users with records:reassign
+  on_api_keys?: () => void; // Shown only to users with api_keys:manage
+  on_statements?: () => void; // Shown only to users with finance:statements
+  on_reconciliation?: () => void; // Shown only to users with finance:reconcile
+  on_pledge_dues?: () => void; // Shown only to users with donors:read
+  on_donor_analytics?: () => void; // Shown only to users with donors:read
+  on_student_progress?: () => void; // Shown only to users with students:read
+  on_duplicates?: () => void; // Shown only to users who can merge donors, volunteers or students
+  on_merges?: () => void; // Shown only to users with merges:review
+  on_change_password: () => void;
+  on_two_factor: () => void;
+  on_sessions: () => void;
 }
 
-export const Header: React.FC<HeaderProps> = ({ on_toggle_sidebar, is_sidebar_open, title, entity_name }) => {
+const UserMenu: React.FC<{ on_manage_users?: () => void, on_manage_roles?: () => void, on_reassign_records?: () => void, on_api_keys?: () => void, on_statements?: () => void, on_reconciliation?: () => void, on_pledge_dues?: () => void, on_donor_analytics?: () => void, on_student_progress?: () => void, on_duplicates?: () => void, on_merges?: () => void, on_change_password: () => void, on_two_factor: () => void, on_sessions: () => void }> = ({ on_manage_users, on_manage_roles, on_reassign_records, on_api_keys, on_statements, on_reconciliation, on_pledge_dues, on_donor_analytics, on_student_progress, on_duplicates, on_merges, on_change_password, on_two_factor, on_sessions }) => {
+  const { current_user, logout } = use_auth();
+  const [is_open, set_is_open] = useState(false);
+  const menu_ref = useRef<HTMLDivElement>(null);
+
+  // Close the dropdown on any click outside it
+  useEffect(() => {
+    if (!is_open) return;
+    const handle_click = (e: MouseEvent) => {
+      if (menu_ref.current && !menu_ref.current.contains(e.target as Node)) set_is_open(false);
+    };
+    document.addEventListener('mousedown', handle_click);
+    return () => document.removeEventListener('mousedown', handle_click);
+  }, [is_open]);
+
+  if (!current_user) return null;
+
+  return (
+    <div className="relative" ref={menu_ref}>
+      <button onClick={() => set_is_open(!is_open)} className="flex items-center gap-2 p-2 rounded-full hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-indigo-500">
+        <span className="flex items-center justify-center w-8 h-8 rounded-full bg-indigo-600 text-white font-semibold uppercase">
+          {current_user.username.charAt(0)}
+        </span>
+        <span className="hidden sm:inline text-sm font-medium text-gray-700">{current_user.username}</span>
+      </button>
+      {is_open && (
+        <div className="absolute right-0 mt-2 w-56 bg-white border border-gray-200 rounded-lg shadow-lg py-2 z-40">
+          <div className="px-4 py-2 border-b border-gray-100">
+            <p className="text-sm font-medium text-gray-800 truncate">{current_user.username}</p>
+            <p className="text-xs text-gray-500 truncate">{current_user.email}</p>
+            <p className="text-xs text-indigo-600 mt-1 uppercase tracking-wider">{current_user.user_role.replace('_', ' ')}</p>
+          </div>
+          {on_manage_users && (
+            <button onClick={() => { set_is_open(false); on_manage_users(); }} className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50 hover:text-indigo-700">
+              Manage Users
+            </button>
+          )}
+          {on_manage_roles && (
+            <button onClick={() => { set_is_open(false); on_manage_roles(); }} className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50 hover:text-indigo-700">
+              Roles &amp; Permissions
+            </button>
+          )}
+          {on_reassign_records && (
+            <button onClick={() => { set_is_open(false); on_reassign_records(); }} className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50 hover:text-indigo-700">
+              Reassign Records
+            </button>
+          )}
+          {on_api_keys && (
+            <button onClick={() => { set_is_open(false); on_api_keys(); }} className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50 hover:text-indigo-700">
+              API Keys
+            </button>
+          )}
+          {on_statements && (
+            <button onClick={() => { set_is_open(false); on_statements(); }} className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50 hover:text-indigo-700">
+              Financial Statements
+            </button>
+          )}
+          {on_reconciliation && (
+            <button onClick={() => { set_is_open(false); on_reconciliation(); }} className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50 hover:text-indigo-700">
+              Bank Reconciliation
+            </button>
+          )}
+          {on_pledge_dues && (
+            <button onClick={() => { set_is_open(false); on_pledge_dues(); }} className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50 hover:text-indigo-700">
+              Pledge Dues
+            </button>
+          )}
+          {on_donor_analytics && (
+            <button onClick={() => { set_is_open(false); on_donor_analytics(); }} className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50 hover:text-indigo-700">
+              Donor Analytics
+            </button>
+          )}
+          {on_student_progress && (
+            <button onClick={() => { set_is_open(false); on_student_progress(); }} className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50 hover:text-indigo-700">
+              Student Progress
+            </button>
+          )}
+          {on_duplicates && (
+            <button onClick={() => { set_is_open(false); on_duplicates(); }} className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50 hover:text-indigo-700">
+              Duplicates
+            </button>
+          )}
+          {on_merges && (
+            <button onClick={() => { set_is_open(false); on_merges(); }} className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50 hover:text-indigo-700">
+              Merge Log
+            </button>
+          )}
+          <button onClick={() => { set_is_open(false); on_change_password(); }} className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50 hover:text-indigo-700">
+            Change Password
+          </button>
+          <button onClick={() => { set_is_open(false); on_two_factor(); }} className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50 hover:text-indigo-700">
+            Two-Factor Authentication
+          </button>
+          <button onClick={() => { set_is_open(false); on_sessions(); }} className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50 hover:text-indigo-700">
+            Active Sessions
+          </button>
+          <button onClick={() => { set_is_open(false); logout(); }} className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50 hover:text-indigo-700">
+            Log out
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export const Header: React.FC<HeaderProps> = ({ on_toggle_sidebar, is_sidebar_open, title, entity_name, on_manage_users, on_manage_roles, on_reassign_records, on_api_keys, on_statements, on_reconciliation, on_pledge_dues, on_donor_analytics, on_student_progress, on_duplicates, on_merges, on_change_password, on_two_factor, on_sessions }) => {
   return (
     <header className="flex items-center justify-between h-16 px-4 sm:px-6 lg:px-8 bg-white border-b border-gray-200 shadow-sm sticky top-0 z-30">
         <div className="flex items-center">
@@ -22,9 +142,7 @@ export const Header: React.FC<HeaderProps> = ({ on_toggle_sidebar, is_sidebar_op
                 {title}
             </h1>
         </div>
-        <div>
-            {/* Placeholder for user profile or actions */}
-        </div>
+        <UserMenu on_manage_users={on_manage_users} on_manage_roles={on_manage_roles} on_reassign_records={on_reassign_records} on_api_keys={on_api_keys} on_statements={on_statements} on_reconciliation={on_reconciliation} on_pledge_dues={on_pledge_dues} on_donor_analytics={on_donor_analytics} on_student_progress={on_student_progress} on_duplicates={on_duplicates} on_merges={on_merges} on_change_password={on_change_password} on_two_factor={on_two_factor} on_sessions={on_sessions} />
     </header>
   );
 };
@@ -0,0 +1,254 @@
+import React, { useState } from 'react';
+import type { FrfEntity, ImportResult } from '../types';
+import { import_frf_records } from '../services/mockApi';
+
+interface ImportViewProps {
+  entity: FrfEntity;
+  on_cancel: () => void;
+}
+
+type Step = 'upload' | 'review' | 'done';
+
+const PREVIEW_LIMIT = 200;
+
+export const ImportView: React.FC<ImportViewProps> = ({ entity, on_cancel }) => {
+  const [step, set_step] = useState<Step>('upload');
+  const [file, set_file] = useState<File | null>(null);
+  const [mapping, set_mapping] = useState<Record<string, string>>({});
+  const [mapping_dirty, set_mapping_dirty] = useState(false);
+  const [preview, set_preview] = useState<ImportResult | null>(null);
+  const [result, set_result] = useState<ImportResult | null>(null);
+  const [show_errors_only, set_show_errors_only] = useState(false);
+  const [is_working, set_is_working] = useState(false);
+  const [error, set_error] = useState<string | null>(null);
+
+  const run = async (action: () => Promise<void>) => {
+    set_error(null);
+    set_is_working(true);
+    try {
+      await action();
+    } catch (err) {
+      console.error(err);
+      set_error(err instanceof Error && err.message ? err.message : 'Import failed. Please try again.');
+    } finally {
+      set_is_working(false);
+    }
+  };
+
+  // First pass lets the backend guess the column mapping from the headers
+  const handle_upload = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!file) return;
+    run(async () => {
+      const data = await import_frf_records(entity.id, file, { dry_run: true });
+      set_preview(data);
+      set_mapping(data.mapping);
+      set_mapping_dirty(false);
+      set_step('review');
+    });
+  };
+
+  const handle_recheck = () => {
+    if (!file) return;
+    run(async () => {
+      const data = await import_frf_records(entity.id, file, { mapping, dry_run: true });
+      set_preview(data);
+      set_mapping_dirty(false);
+    });
+  };
+
+  const handle_commit = () => {
+    if (!file || !preview) return;
+    run(async () => {
+      const data = await import_frf_records(entity.id, file, { mapping, dry_run: false });
+      set_result(data);
+      set_step('done');
+    });
+  };
+
+  const handle_mapping_change = (key: string, header: string) => {
+    set_mapping(prev => {
+      const next = { ...prev };
+      if (header) next[key] = header;
+      else delete next[key];
+      return next;
+    });
+    set_mapping_dirty(true);
+  };
+
+  const reset = () => {
+    set_step('upload');
+    set_file(null);
+    set_mapping({});
+    set_preview(null);
+    set_result(null);
+    set_error(null);
+  };
+
+  const back_button = (
+    <button onClick={on_cancel} className="flex items-center text-indigo-600 hover:text-indigo-800 font-medium mb-6">
+      <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+      </svg>
+      {`Back to ${entity.name} List`}
+    </button>
+  );
+
+  const error_box = error && <div className="mt-4 text-red-600 bg-red-50 p-3 rounded-lg">{error}</div>;
+
+  if (step === 'upload') {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6">
+        {back_button}
+        <form onSubmit={handle_upload}>
+          <label htmlFor="import_file" className="block text-sm font-medium text-gray-700 mb-1">Spreadsheet (.csv or .xlsx)</label>
+          <input
+            id="import_file"
+            type="file"
+            accept=".csv,.xlsx"
+            onChange={e => set_file(e.target.files?.[0] ?? null)}
+            className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <p className="mt-2 text-sm text-gray-500">
+            The first row must contain column headers. Nothing is saved until you review the preview and confirm.
+          </p>
+          {error_box}
+          <div className="flex flex-col-reverse sm:flex-row justify-end gap-4 mt-8 pt-6 border-t">
+            <button type="button" onClick={on_cancel} className="w-full sm:w-auto bg-gray-200 text-gray-700 px-6 py-2 rounded-lg hover:bg-gray-300 transition-colors">
+              Cancel
+            </button>
+            <button type="submit" disabled={!file || is_working} className="w-full sm:w-auto bg-indigo-600 text-white px-6 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:bg-indigo-300">
+              {is_working ? 'Checking...' : 'Upload & Preview'}
+            </button>
+          </div>
+        </form>
+      </div>
+    );
+  }
+
+  if (step === 'done' && result) {
+    const failed = result.rows.filter(r => r.errors.length);
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6">
+        {back_button}
+        <div className="p-4 bg-green-50 text-green-800 rounded-lg font-semibold">
+          Imported {result.inserted} of {result.total_rows} rows into {entity.name}.
+        </div>
+        {failed.length > 0 && (
+          <div className="mt-4">
+            <h3 className="text-md font-semibold text-gray-800 mb-2">{failed.length} rows were not imported</h3>
+            <ul className="text-sm text-red-700 space-y-1">
+              {failed.map(r => (
+                <li key={r.row}>Row {r.row}: {r.errors.map(e => e.message).join('; ')}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+        <div className="flex flex-col-reverse sm:flex-row justify-end gap-4 mt-8 pt-6 border-t">
+          <button onClick={reset} className="w-full sm:w-auto bg-gray-200 text-gray-700 px-6 py-2 rounded-lg hover:bg-gray-300 transition-colors">
+            Import Another File
+          </button>
+          <button onClick={on_cancel} className="w-full sm:w-auto bg-indigo-600 text-white px-6 py-2 rounded-lg hover:bg-indigo-700 transition-colors">
+            Back to {entity.name} List
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!preview) return null;
+
+  const mapped_fields = preview.fields.filter(f => preview.mapping[f.key]);
+  const visible_rows = (show_errors_only ? preview.rows.filter(r => r.errors.length) : preview.rows).slice(0, PREVIEW_LIMIT);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      {back_button}
+
+      <h3 className="text-lg font-bold text-gray-800 border-b-2 border-indigo-100 pb-3 mb-4">Column Mapping</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+        {preview.fields.map(field => (
+          <div key={field.key}>
+            <label htmlFor={`map_${field.key}`} className="block text-sm font-medium text-gray-700 mb-1">
+              {field.label} {field.required && <span className="text-red-500">*</span>}
+            </label>
+            <select
+              id={`map_${field.key}`}
+              value={mapping[field.key] ?? ''}
+              onChange={e => handle_mapping_change(field.key, e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+            >
+              <option value="">— Not imported —</option>
+              {preview.headers.map(h => <option key={h} value={h}>{h}</option>)}
+            </select>
+          </div>
+        ))}
+      </div>
+      {mapping_dirty && (
+        <div className="mt-4 flex items-center justify-between gap-4 p-3 bg-yellow-50 text-yellow-800 rounded-lg text-sm">
+          <span>The mapping has changed. Re-check the file before importing.</span>
+          <button onClick={handle_recheck} disabled={is_working} className="font-medium bg-yellow-600 text-white px-4 py-1 rounded-lg hover:bg-yellow-700 disabled:opacity-50">
+            {is_working ? 'Checking...' : 'Re-check'}
+          </button>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-4 mt-8 mb-4">
+        <h3 className="text-lg font-bold text-gray-800">Preview</h3>
+        <span className="text-sm text-gray-600">{preview.total_rows} rows</span>
+        <span className="text-sm text-green-700">{preview.valid_count} valid</span>
+        <span className="text-sm text-red-700">{preview.error_count} with errors</span>
+        <label className="ml-auto flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={show_errors_only} onChange={e => set_show_errors_only(e.target.checked)} className="h-4 w-4" />
+          Show only rows with errors
+        </label>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-left table-auto text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="p-2 font-semibold text-gray-600 uppercase tracking-wider text-xs">Row</th>
+              {mapped_fields.map(f => <th key={f.key} className="p-2 font-semibold text-gray-600 uppercase tracking-wider text-xs">{f.label}</th>)}
+              <th className="p-2 font-semibold text-gray-600 uppercase tracking-wider text-xs">Problems</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {visible_rows.map(r => {
+              const bad_fields = new Set(r.errors.map(e => e.field));
+              return (
+                <tr key={r.row} className={r.errors.length ? 'bg-red-50' : ''}>
+                  <td className="p-2 text-gray-500">{r.row}</td>
+                  {mapped_fields.map(f => (
+                    <td key={f.key} className={`p-2 ${bad_fields.has(f.key) ? 'text-red-700 font-semibold' : 'text-gray-700'}`}>
+                      {r.data[f.key] ?? ''}
+                    </td>
+                  ))}
+                  <td className="p-2 text-red-700">{r.errors.map(e => e.message).join('; ')}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      {preview.rows.length > PREVIEW_LIMIT && !show_errors_only && (
+        <p className="mt-2 text-xs text-gray-500">Showing the first {PREVIEW_LIMIT} rows.</p>
+      )}
+
+      {error_box}
+
+      <div className="flex flex-col-reverse sm:flex-row justify-end gap-4 mt-8 pt-6 border-t">
+        <button onClick={reset} className="w-full sm:w-auto bg-gray-200 text-gray-700 px-6 py-2 rounded-lg hover:bg-gray-300 transition-colors">
+          Choose Another File
+        </button>
+        <button
+          onClick={handle_commit}
+          disabled={is_working || mapping_dirty || preview.valid_count === 0}
+          className="w-full sm:w-auto bg-indigo-600 text-white px-6 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:bg-indigo-300"
+        >
+          {is_working ? 'Importing...' : `Import ${preview.valid_count} Valid Rows`}
+        </button>
+      </div>
+    </div>
+  );
+};
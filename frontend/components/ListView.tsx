@@ -1,10 +1,19 @@
-import React, { useState, useMemo, useEffect } from 'react';
-import type { FrfEntity, AnyRecord, FilterDefinition } from '../types';
-import { fetch_frf_list } from '../services/mockApi';
+import React, { useState, useEffect } from 'react';
+import type { FrfEntity, AnyRecord, FilterDefinition, ListQueryParams, ExportFormat, RecordOwner } from '../types';
+import { criteria_to_list_state, export_frf_list, fetch_frf_list, list_criteria } from '../services/mockApi';
+import { ExportMenu } from './ExportMenu';
+import { SegmentMenu } from './SegmentMenu';
+import { use_auth } from '../context/AuthContext';
+import { use_owners } from '../context/OwnersContext';
+import { use_lookups } from '../context/LookupsContext';
+
+const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
 
 interface ListViewProps {
   entity: FrfEntity;
   on_select_record: (id: string) => void;
+  on_create?: () => void;
+  on_import?: () => void;
 }
 
 type SortConfig = {
@@ -29,8 +38,14 @@ const format_value = (value: any): string => {
   return String(value ?? '');
 }
 
-const FilterControl: React.FC<{ filter_def: FilterDefinition, value: any, on_change: (key: string, value: any) => void}> = ({ filter_def, value, on_change }) => {
+const format_money = (value: any): string =>
+  value === null || value === undefined || value === ''
+    ? ''
+    : new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(Number(value));
+
+const FilterControl: React.FC<{ filter_def: FilterDefinition, value: any, on_change: (key: string, value: any) => void, owners: RecordOwner[] }> = ({ filter_def, value, on_change, owners }) => {
     const common_classes = "w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 bg-gray-50 text-sm";
+    const { lookup_options } = use_lookups();
     
     switch (filter_def.type) {
         case 'text':
@@ -39,7 +54,16 @@ const FilterControl: React.FC<{ filter_def: FilterDefinition, value: any, on_cha
             return (
                 <select value={value || ''} onChange={(e) => on_change(filter_def.key, e.target.value)} className={common_classes}>
                     <option value="">All {filter_def.label}s</option>
-                    {filter_def.options?.map(opt => <option key={opt} value={opt}>{opt}</option>)}
+                    {filter_def.lookup
+                      ? lookup_options(filter_def.lookup).map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)
+                      : filter_def.options?.map(opt => <option key={opt} value={opt}>{opt}</option>)}
+                </select>
+            );
+        case 'user':
+            return (
+                <select value={value || ''} onChange={(e) => on_change(filter_def.key, e.target.value)} className={common_classes}>
+                    <option value="">Any owner</option>
+                    {owners.map(o => <option key={o.user_id} value={String(o.user_id)}>{o.username}</option>)}
                 </select>
             );
         case 'range':
@@ -64,125 +88,106 @@ const FilterControl: React.FC<{ filter_def: FilterDefinition, value: any, on_cha
     }
 };
 
-export const ListView: React.FC<ListViewProps> = ({ entity, on_select_record }) => {
+export const ListView: React.FC<ListViewProps> = ({ entity, on_select_record, on_create, on_import }) => {
+  const { current_user, has_permission } = use_auth();
+  const { owners, owner_name } = use_owners();
   const [records, set_records] = useState<AnyRecord[]>([]);
+  const [total, set_total] = useState(0);
   const [loading, set_loading] = useState(true);
   const [error, set_error] = useState<string | null>(null);
   const [search_term, set_search_term] = useState('');
+  const [debounced_search, set_debounced_search] = useState('');
   const [sort_config, set_sort_config] = useState<SortConfig>(null);
   const [filters, set_filters] = useState<Record<string, any>>({});
   const [show_filters, set_show_filters] = useState(false);
+  const [page, set_page] = useState(1);
+  const [page_size, set_page_size] = useState(25);
 
+  // Reset state when entity changes
   useEffect(() => {
-    set_loading(true);
-    set_error(null);
-    // Reset state when entity changes
     set_search_term('');
+    set_debounced_search('');
     set_sort_config(null);
     set_filters({});
     set_show_filters(false);
-    
-    fetch_frf_list(entity.id)
-      .then(data => {
-        set_records(Array.isArray(data) ? data : [])
+    set_page(1);
+  }, [entity.id]);
+
+  // Debounce the search box so we don't hit the server on every keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      set_debounced_search(search_term);
+      set_page(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [search_term]);
+
+  const list_params: ListQueryParams = {
+    page,
+    page_size,
+    sort: sort_config?.key,
+    order: sort_config ? (sort_config.direction === 'ascending' ? 'asc' : 'desc') : undefined,
+    search: debounced_search,
+    filters,
+    filter_defs: entity.filters,
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    set_loading(true);
+    set_error(null);
+
+    fetch_frf_list(entity.id, list_params)
+      .then(result => {
+        if (cancelled) return;
+        set_records(Array.isArray(result.records) ? result.records : []);
+        set_total(result.total);
       })
       .catch(err => {
+        if (cancelled) return;
         console.error(err);
         set_error(`Failed to load ${entity.name} data. Please check the connection and try again.`);
       })
       .finally(() => {
-        set_loading(false);
+        if (!cancelled) set_loading(false);
       });
-  }, [entity.id]);
+
+    return () => { cancelled = true; };
+  }, [entity.id, page, page_size, sort_config, debounced_search, filters]);
+
+  // Loads a saved segment's filters, search and sort into the list
+  const apply_segment = (criteria: Record<string, string>) => {
+    const state = criteria_to_list_state(criteria, entity.filters);
+    set_filters(state.filters);
+    set_search_term(state.search);
+    set_debounced_search(state.search);
+    set_sort_config(state.sort ? { key: state.sort, direction: state.order === 'desc' ? 'descending' : 'ascending' } : null);
+    set_show_filters(Object.keys(state.filters).length > 0);
+    set_page(1);
+  };
+
+  const handle_export = async (format: ExportFormat) => {
+    const { truncated } = await export_frf_list(entity.id, format, list_params);
+    if (truncated) return 'The export hit the row limit. Narrow the filters to export the remaining records.';
+  };
 
   const handle_filter_change = (key: string, value: any) => {
     set_filters(prev => ({...prev, [key]: value}));
+    set_page(1);
   }
 
   const reset_filters = () => {
     set_filters({});
+    set_page(1);
   }
 
-  const filtered_and_sorted_records = useMemo(() => {
-    let filtered_items = [...records];
-
-    // 1. Advanced Filters
-    const active_filter_keys = Object.keys(filters).filter(key => {
-        const val = filters[key];
-        if (typeof val === 'object' && val !== null) { // For range and daterange
-            return val.min || val.max || val.start || val.end;
-        }
-        return val; // For text and dropdown
-    });
-
-    if (active_filter_keys.length > 0) {
-        filtered_items = filtered_items.filter(record => {
-            return active_filter_keys.every(key => {
-                const filter_value = filters[key];
-                const record_value = (record as any)[key];
-                const filter_def = entity.filters?.find(f => f.key === key);
-                if (!filter_def || !record_value) return true;
-
-                switch (filter_def.type) {
-                    case 'text':
-                    case 'dropdown':
-                        return String(record_value).toLowerCase().includes(String(filter_value).toLowerCase());
-                    case 'range':
-                        const min = parseFloat(filter_value.min);
-                        const max = parseFloat(filter_value.max);
-                        const value = parseFloat(record_value);
-                        if (!isNaN(min) && value < min) return false;
-                        if (!isNaN(max) && value > max) return false;
-                        return true;
-                    case 'daterange':
-                        const record_date = new Date(record_value);
-                        const start = filter_value.start ? new Date(filter_value.start) : null;
-                        const end = filter_value.end ? new Date(filter_value.end) : null;
-                        if(start) start.setHours(0,0,0,0);
-                        if(end) end.setHours(23,59,59,999);
-                        if (start && record_date < start) return false;
-                        if (end && record_date > end) return false;
-                        return true;
-                    default:
-                        return true;
-                }
-            });
-        });
-    }
-
-    // 2. Global Search
-    if (search_term) {
-        filtered_items = filtered_items.filter(record =>
-            entity.summary_fields.some(field =>
-                String((record as any)[field] ?? '').toLowerCase().includes(search_term.toLowerCase())
-            )
-        );
-    }
-    
-    // 3. Sorting
-    if (sort_config !== null) {
-      filtered_items.sort((a, b) => {
-        const a_value = (a as any)[sort_config.key];
-        const b_value = (b as any)[sort_config.key];
-        if (a_value < b_value) {
-          return sort_config.direction === 'ascending' ? -1 : 1;
-        }
-        if (a_value > b_value) {
-          return sort_config.direction === 'ascending' ? 1 : -1;
-        }
-        return 0;
-      });
-    }
-
-    return filtered_items;
-  }, [records, search_term, sort_config, entity.id, filters]);
-
   const request_sort = (key: string) => {
     let direction: 'ascending' | 'descending' = 'ascending';
     if (sort_config && sort_config.key === key && sort_config.direction === 'ascending') {
       direction = 'descending';
     }
     set_sort_config({ key, direction });
+    set_page(1);
   };
 
   const get_sort_indicator = (key: string) => {
@@ -190,7 +195,20 @@ export const ListView: React.FC<ListViewProps> = ({ entity, on_select_record })
     return sort_config.direction === 'ascending' ? ' ▲' : ' ▼';
   };
   
-  const display_filters = entity.filters?.filter(f => f.type !== 'az') || [];
+  // Without <entity>:all_records the backend only returns the user's own records
+  const sees_all_records = has_permission(`${entity.id}:all_records`);
+  const owner_filter = entity.filters?.find(f => f.type === 'user');
+  const my_id = current_user ? String(current_user.user_id) : '';
+  const showing_mine = !!owner_filter && filters[owner_filter.key] === my_id;
+
+  const toggle_my_records = () => {
+    if (owner_filter) handle_filter_change(owner_filter.key, showing_mine ? '' : my_id);
+  };
+
+  const display_filters = entity.filters?.filter(f => f.type !== 'az' && (f.type !== 'user' || sees_all_records)) || [];
+  const total_pages = Math.max(Math.ceil(total / page_size), 1);
+  const first_shown = total === 0 ? 0 : (page - 1) * page_size + 1;
+  const last_shown = Math.min(page * page_size, total);
 
   return (
     <div className="bg-white rounded-lg shadow-md p-4 md:p-6">
@@ -205,13 +223,39 @@ export const ListView: React.FC<ListViewProps> = ({ entity, on_select_record })
           />
            <svg className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 transform -translate-y-1/2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"></path></svg>
         </div>
-        {display_filters.length > 0 && (
-             <button onClick={() => set_show_filters(!show_filters)} className="flex items-center gap-2 text-sm font-medium text-indigo-600 hover:text-indigo-800 p-2 rounded-lg hover:bg-indigo-50 transition-colors">
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M3 3a1 1 0 011-1h12a1 1 0 011 1v3a1 1 0 01-.293.707L12 11.414V15a1 1 0 01-.293.707l-2 2A1 1 0 018 17v-5.586L3.293 6.707A1 1 0 013 6V3z" clipRule="evenodd" /></svg>
-                Advanced Filters
-                <span className={`transform transition-transform ${show_filters ? 'rotate-180' : ''}`}>▼</span>
+        <div className="flex flex-wrap items-center justify-end gap-2">
+          {owner_filter && (sees_all_records ? (
+            <button
+              onClick={toggle_my_records}
+              className={`text-sm font-medium px-3 py-2 rounded-lg border transition-colors ${showing_mine ? 'bg-indigo-600 text-white border-indigo-600' : 'text-indigo-600 border-indigo-200 hover:bg-indigo-50'}`}
+            >
+              My records
             </button>
-        )}
+          ) : (
+            <span className="text-xs text-gray-500">Showing records you own</span>
+          ))}
+          {display_filters.length > 0 && (
+               <button onClick={() => set_show_filters(!show_filters)} className="flex items-center gap-2 text-sm font-medium text-indigo-600 hover:text-indigo-800 p-2 rounded-lg hover:bg-indigo-50 transition-colors">
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M3 3a1 1 0 011-1h12a1 1 0 011 1v3a1 1 0 01-.293.707L12 11.414V15a1 1 0 01-.293.707l-2 2A1 1 0 018 17v-5.586L3.293 6.707A1 1 0 013 6V3z" clipRule="evenodd" /></svg>
+                  Advanced Filters
+                  <span className={`transform transition-transform ${show_filters ? 'rotate-180' : ''}`}>▼</span>
+              </button>
+          )}
+          {entity.segments && <SegmentMenu criteria={list_criteria(list_params)} on_apply={apply_segment} />}
+          {has_permission(`${entity.id}:export`) && <ExportMenu formats={['csv', 'xlsx', 'pdf']} on_export={handle_export} />}
+          {on_import && entity.importable && (
+            <button onClick={on_import} className="flex items-center gap-2 text-sm font-medium text-indigo-600 border border-indigo-200 px-4 py-2 rounded-lg hover:bg-indigo-50 transition-colors">
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M3 17a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zM6.293 6.707a1 1 0 010-1.414l3-3a1 1 0 011.414 0l3 3a1 1 0 01-1.414 1.414L11 5.414V13a1 1 0 11-2 0V5.414L7.707 6.707a1 1 0 01-1.414 0z" clipRule="evenodd" /></svg>
+              Import
+            </button>
+          )}
+          {on_create && entity.create_fields && entity.create_fields.length > 0 && (
+            <button onClick={on_create} className="flex items-center gap-2 text-sm font-medium bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors">
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M10 3a1 1 0 011 1v5h5a1 1 0 110 2h-5v5a1 1 0 11-2 0v-5H4a1 1 0 110-2h5V4a1 1 0 011-1z" clipRule="evenodd" /></svg>
+              New
+            </button>
+          )}
+        </div>
       </div>
 
       {show_filters && display_filters.length > 0 && (
@@ -220,7 +264,7 @@ export const ListView: React.FC<ListViewProps> = ({ entity, on_select_record })
                 {display_filters.map(filter_def => (
                     <div key={filter_def.key}>
                         <label className="block text-xs font-semibold text-gray-600 mb-1">{filter_def.label}</label>
-                        <FilterControl filter_def={filter_def} value={filters[filter_def.key]} on_change={handle_filter_change} />
+                        <FilterControl filter_def={filter_def} value={filters[filter_def.key]} on_change={handle_filter_change} owners={owners} />
                     </div>
                 ))}
             </div>
@@ -253,7 +297,7 @@ export const ListView: React.FC<ListViewProps> = ({ entity, on_select_record })
             </tr>
           </thead>
           <tbody className="divide-y divide-gray-200">
-            {filtered_and_sorted_records.map(record => (
+            {records.map(record => (
               <tr key={record.id} className="hover:bg-gray-50 transition-colors">
                 {entity.summary_fields.map((field, index) => (
                   <td key={field} className={`p-2 text-sm md:p-4 ${index === 0 ? 'font-medium text-indigo-600' : 'text-gray-700'}`}>
@@ -264,7 +308,11 @@ export const ListView: React.FC<ListViewProps> = ({ entity, on_select_record })
                     ) : (
                       field === 'avg_overall_score' && typeof (record as any)[field] === 'number'
                         ? ((record as any)[field] as number).toFixed(2)
-                        : format_value((record as any)[field])
+                        : field.endsWith('_frf_owner')
+                          ? owner_name((record as any)[field])
+                          : entity.money_fields?.includes(field)
+                            ? format_money((record as any)[field])
+                            : format_value((record as any)[field])
                     )}
                   </td>
                 ))}
@@ -274,12 +322,28 @@ export const ListView: React.FC<ListViewProps> = ({ entity, on_select_record })
         </table>
         )}
       </div>
-       {filtered_and_sorted_records.length === 0 && !loading && !error && (
+       {records.length === 0 && !loading && !error && (
           <div className="text-center py-10 text-gray-500">
             <h3 className="text-lg font-semibold">No Records Found</h3>
             <p>Try adjusting your search or filter criteria.</p>
           </div>
         )}
+       {!error && total > 0 && (
+          <div className="flex flex-col sm:flex-row justify-between items-center gap-4 mt-4 pt-4 border-t border-gray-200 text-sm text-gray-600">
+            <div className="flex items-center gap-2">
+              <span>Rows per page:</span>
+              <select value={page_size} onChange={(e) => { set_page_size(Number(e.target.value)); set_page(1); }} className="p-1 border border-gray-300 rounded-lg bg-gray-50">
+                {PAGE_SIZE_OPTIONS.map(size => <option key={size} value={size}>{size}</option>)}
+              </select>
+            </div>
+            <span>Showing {first_shown}–{last_shown} of {total}</span>
+            <div className="flex items-center gap-2">
+              <button onClick={() => set_page(page - 1)} disabled={page <= 1 || loading} className="px-3 py-1 rounded-lg border border-gray-300 hover:bg-indigo-50 disabled:opacity-50 disabled:cursor-not-allowed">Previous</button>
+              <span>Page {page} of {total_pages}</span>
+              <button onClick={() => set_page(page + 1)} disabled={page >= total_pages || loading} className="px-3 py-1 rounded-lg border border-gray-300 hover:bg-indigo-50 disabled:opacity-50 disabled:cursor-not-allowed">Next</button>
+            </div>
+          </div>
+        )}
     </div>
   );
 };
\ No newline at end of file
@@ -0,0 +1,211 @@
+import React, { useEffect, useState } from 'react';
+import { NGO_ICON } from '../constants';
+import {
+  ApiError, enable_login_2fa, register, request_password_reset, resend_verification, reset_password,
+  start_login_2fa_setup, verify_email, verify_login_second_factor,
+} from '../services/mockApi';
+import { use_auth } from '../context/AuthContext';
+import { TotpEnrolment } from './TwoFactorSetup';
+
+type Mode = 'login' | 'register' | 'forgot' | 'resend' | 'reset' | 'mfa' | 'enroll';
+
+const TITLES: Record<Mode, string> = {
+  login: 'Sign in to your account',
+  register: 'Create an account',
+  forgot: 'Reset your password',
+  resend: 'Resend verification email',
+  reset: 'Choose a new password',
+  mfa: 'Two-factor authentication',
+  enroll: 'Set up two-factor authentication',
+};
+
+const SUBMIT_LABELS: Record<Mode, string> = {
+  login: 'Sign In',
+  register: 'Register',
+  forgot: 'Send Reset Link',
+  resend: 'Send Verification Link',
+  reset: 'Set Password',
+  mfa: 'Verify',
+  enroll: 'Enable Two-Factor',
+};
+
+// Validation failures carry their detail in field_errors rather than the message
+const error_text = (err: unknown) => {
+  if (err instanceof ApiError && Object.keys(err.field_errors).length) return Object.values(err.field_errors).join(' ');
+  return err instanceof Error ? err.message : 'Something went wrong. Please try again.';
+};
+
+export const LoginView: React.FC = () => {
+  const { login, reload_user } = use_auth();
+  const [mode, set_mode] = useState<Mode>('login');
+  const [username, set_username] = useState('');
+  const [email, set_email] = useState('');
+  const [password, set_password] = useState('');
+  const [reset_token, set_reset_token] = useState('');
+  // Challenge from the password step, for the second factor or the mandatory enrolment
+  const [mfa_token, set_mfa_token] = useState('');
+  const [code, set_code] = useState('');
+  const [use_recovery, set_use_recovery] = useState(false);
+  const [is_submitting, set_is_submitting] = useState(false);
+  const [error, set_error] = useState<string | null>(null);
+  const [notice, set_notice] = useState<string | null>(null);
+
+  // Links in account emails land here as ?verify_token=... or ?reset_token=...
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const verify_token = params.get('verify_token');
+    const token = params.get('reset_token');
+    if (!verify_token && !token) return;
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (token) {
+      set_reset_token(token);
+      set_mode('reset');
+    } else if (verify_token) {
+      verify_email(verify_token)
+        .then(message => set_notice(message))
+        .catch(err => set_error(error_text(err)));
+    }
+  }, []);
+
+  const switch_mode = (next: Mode) => {
+    set_mode(next);
+    set_error(null);
+    set_notice(null);
+    set_password('');
+    set_code('');
+    set_use_recovery(false);
+  };
+
+  const handle_submit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    set_error(null);
+    set_notice(null);
+    set_is_submitting(true);
+    try {
+      if (mode === 'login') {
+        const step = await login(email, password);
+        if (step.status !== 'done') {
+          set_mfa_token(step.mfa_token);
+          switch_mode(step.status === 'mfa_required' ? 'mfa' : 'enroll');
+        }
+      } else if (mode === 'mfa') {
+        await verify_login_second_factor(mfa_token, use_recovery ? { recovery_code: code.trim() } : { code: code.trim() });
+        await reload_user();
+      } else {
+        const message =
+          mode === 'register' ? await register(username, email, password)
+          : mode === 'forgot' ? await request_password_reset(email)
+          : mode === 'resend' ? await resend_verification(email)
+          : await reset_password(reset_token, password);
+        switch_mode('login');
+        set_notice(message);
+      }
+    } catch (err) {
+      console.error(err);
+      set_error(error_text(err));
+    } finally {
+      set_is_submitting(false);
+    }
+  };
+
+  const common_classes = "w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500";
+  const link_classes = "cursor-pointer text-indigo-600 hover:underline";
+  const needs_email = mode !== 'reset' && mode !== 'mfa';
+  const needs_password = mode === 'login' || mode === 'register' || mode === 'reset';
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-100 px-4">
+      <div className="w-full max-w-md bg-white rounded-lg shadow-md p-6 md:p-8">
+        <div className="flex items-center justify-center mb-6">
+          <div className="w-10 h-10 text-indigo-600">{NGO_ICON}</div>
+          <h1 className="ml-3 text-2xl font-bold text-gray-800 tracking-tight">Data Hub</h1>
+        </div>
+        <h2 className="text-lg font-semibold text-gray-700 mb-4 text-center">{TITLES[mode]}</h2>
+
+        {mode === 'enroll' ? (
+          <>
+            <p className="mb-4 text-sm text-gray-600">Your role requires two-factor authentication. Set it up to finish signing in.</p>
+            <TotpEnrolment
+              load_setup={() => start_login_2fa_setup(mfa_token)}
+              confirm={code => enable_login_2fa(mfa_token, code)}
+              on_done={reload_user}
+              done_label="Continue"
+            />
+          </>
+        ) : (
+          <form onSubmit={handle_submit} className="space-y-4">
+            {mode === 'register' && (
+              <div>
+                <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-1">Username</label>
+                <input id="username" type="text" value={username} onChange={e => set_username(e.target.value)} required className={common_classes} autoComplete="username" />
+              </div>
+            )}
+            {needs_email && (
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                <input id="email" type="email" value={email} onChange={e => set_email(e.target.value)} required className={common_classes} autoComplete="email" />
+              </div>
+            )}
+            {needs_password && (
+              <div>
+                <div className="flex items-center justify-between mb-1">
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700">{mode === 'reset' ? 'New password' : 'Password'}</label>
+                  {mode === 'login' && <a onClick={() => switch_mode('forgot')} className={`text-xs ${link_classes}`}>Forgot password?</a>}
+                </div>
+                <input id="password" type="password" value={password} onChange={e => set_password(e.target.value)} required className={common_classes} autoComplete={mode === 'login' ? 'current-password' : 'new-password'} />
+                {mode !== 'login' && (
+                  <p className="mt-1 text-xs text-gray-500">8+ characters with uppercase, lowercase, number and symbol.</p>
+                )}
+              </div>
+            )}
+
+            {mode === 'mfa' && (
+              <div>
+                <div className="flex items-center justify-between mb-1">
+                  <label htmlFor="code" className="block text-sm font-medium text-gray-700">{use_recovery ? 'Recovery code' : 'Authentication code'}</label>
+                  <a onClick={() => { set_use_recovery(!use_recovery); set_code(''); set_error(null); }} className={`text-xs ${link_classes}`}>
+                    {use_recovery ? 'Use authenticator app' : 'Use a recovery code'}
+                  </a>
+                </div>
+                <input
+                  id="code"
+                  value={code}
+                  onChange={e => set_code(e.target.value)}
+                  required
+                  autoFocus
+                  inputMode={use_recovery ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  placeholder={use_recovery ? 'xxxxx-xxxxx' : '6-digit code'}
+                  className={common_classes}
+                />
+              </div>
+            )}
+
+            {error && <div className="text-red-600 bg-red-50 p-3 rounded-lg text-sm">{error}</div>}
+            {notice && <div className="text-green-700 bg-green-50 p-3 rounded-lg text-sm">{notice}</div>}
+
+            <button type="submit" disabled={is_submitting} className="w-full bg-indigo-600 text-white px-6 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:bg-indigo-300">
+              {is_submitting ? 'Please wait...' : SUBMIT_LABELS[mode]}
+            </button>
+          </form>
+        )}
+
+        <p className="mt-6 text-sm text-center text-gray-600">
+          {mode === 'login' ? (
+            <>No account yet? <a onClick={() => switch_mode('register')} className={link_classes}>Register</a></>
+          ) : mode === 'register' ? (
+            <>Already registered? <a onClick={() => switch_mode('login')} className={link_classes}>Sign in</a></>
+          ) : (
+            <a onClick={() => switch_mode('login')} className={link_classes}>Back to sign in</a>
+          )}
+        </p>
+        {mode === 'login' && (
+          <p className="mt-2 text-xs text-center text-gray-500">
+            Didn't get the verification email? <a onClick={() => switch_mode('resend')} className={link_classes}>Send it again</a>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,280 @@
+import React, { useEffect, useState } from 'react';
+import type { FrfEntity, MergeEntityId, MergeReviewStatus, RecordMerge } from '../types';
+import { fetch_merge, fetch_merges, review_merge } from '../services/mockApi';
+
+interface MergeLogViewProps {
+  on_open_record?: (entity_id: FrfEntity['id'], id: string) => void;
+}
+
+const PAGE_SIZE = 25;
+
+const STATUS_TABS: { id: MergeReviewStatus | '', label: string }[] = [
+  { id: 'pending', label: 'To review' },
+  { id: 'flagged', label: 'Flagged' },
+  { id: 'approved', label: 'Approved' },
+  { id: '', label: 'All' },
+];
+
+const REVIEW_STYLES: Record<MergeReviewStatus, string> = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  flagged: 'bg-red-100 text-red-800',
+};
+
+const ENTITY_LABELS: Record<MergeEntityId, string> = { donors: 'Donor', volunteers: 'Volunteer', students: 'Student' };
+
+const CHILD_LABELS: Record<string, string> = {
+  donations: 'Donations',
+  donor_pledges: 'Pledges',
+  volunteer_attendance: 'Attendance records',
+  student_session_logs: 'Session logs',
+  donation_receipts: '80G receipts',
+};
+
+const input_classes = 'p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm';
+const button_classes = 'text-sm font-medium text-indigo-600 border border-indigo-200 px-3 py-1.5 rounded-lg hover:bg-indigo-50 disabled:opacity-50';
+
+const format_value = (value: any) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const error_message = (err: unknown, fallback: string) =>
+  err instanceof Error && err.message ? err.message : fallback;
+
+// One merge in full: what each record held, which values were taken from the merged record, what moved
+const MergeDetail: React.FC<{ merge_id: number, on_reviewed: (message: string) => void }> = ({ merge_id, on_reviewed }) => {
+  const [merge, set_merge] = useState<RecordMerge | null>(null);
+  const [note, set_note] = useState('');
+  const [is_saving, set_is_saving] = useState(false);
+  const [error, set_error] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch_merge(merge_id)
+      .then(data => {
+        if (cancelled) return;
+        set_merge(data);
+        set_note(data.review_note ?? '');
+      })
+      .catch(err => {
+        console.error(err);
+        if (!cancelled) set_error(error_message(err, 'Could not load the merge.'));
+      });
+    return () => { cancelled = true; };
+  }, [merge_id]);
+
+  const handle_review = async (status: MergeReviewStatus) => {
+    set_error(null);
+    set_is_saving(true);
+    try {
+      await review_merge(merge_id, status, note.trim() || undefined);
+      on_reviewed(status === 'pending' ? 'Merge moved back to review.' : `Merge ${status}.`);
+    } catch (err) {
+      console.error(err);
+      set_error(error_message(err, 'Could not save the review.'));
+    } finally {
+      set_is_saving(false);
+    }
+  };
+
+  if (error) return <div className="p-3 rounded-lg bg-red-50 text-red-600 text-sm">{error}</div>;
+  if (!merge) return <div className="text-center py-4 text-gray-500">Loading...</div>;
+
+  const before = merge.survivor_before ?? {};
+  const merged = merge.merged_record ?? {};
+  const after = merge.survivor_after ?? {};
+  const changed = Object.keys(after).filter(column => format_value((before as any)[column]) !== format_value((after as any)[column])
+    && !['modified_date', 'modified_by_user_id'].includes(column));
+  const moved = Object.entries(merge.moved_children ?? {}) as [string, (string | number)[]][];
+  const th_classes = 'p-2 text-xs font-semibold text-gray-600 uppercase tracking-wider';
+
+  return (
+    <div className="space-y-3">
+      {merge.note && <p className="text-sm text-gray-700"><span className="font-semibold">Note:</span> {merge.note}</p>}
+      <div className="overflow-x-auto">
+        <table className="w-full text-left table-auto text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className={th_classes}>Field</th>
+              <th className={th_classes}>Kept record before</th>
+              <th className={th_classes}>Merged record</th>
+              <th className={th_classes}>After merge</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {changed.map(column => (
+              <tr key={column}>
+                <td className="p-2 text-gray-700 font-medium">{column.replace(/_/g, ' ')}</td>
+                <td className="p-2 text-red-700 break-words">{format_value((before as any)[column])}</td>
+                <td className="p-2 break-words">{format_value((merged as any)[column])}</td>
+                <td className="p-2 text-green-700 break-words">{format_value((after as any)[column])}</td>
+              </tr>
+            ))}
+            {!changed.length && (
+              <tr><td colSpan={4} className="p-3 text-gray-500 text-center">The kept record's values didn't change.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-sm text-gray-600">
+        {moved.length
+          ? moved.map(([table, ids]) => `${CHILD_LABELS[table] ?? table}: ${ids.length} moved`).join(' · ')
+          : 'No related rows moved.'}
+      </p>
+      <div className="flex flex-col md:flex-row md:items-center gap-2">
+        <input value={note} onChange={e => set_note(e.target.value)} placeholder="Review note (optional)" maxLength={1000} className={`${input_classes} md:flex-1`} />
+        <button onClick={() => handle_review('approved')} disabled={is_saving} className={button_classes}>Approve</button>
+        <button onClick={() => handle_review('flagged')} disabled={is_saving} className={button_classes}>Flag</button>
+        {merge.review_status !== 'pending' && (
+          <button onClick={() => handle_review('pending')} disabled={is_saving} className={button_classes}>Reopen</button>
+        )}
+      </div>
+      {merge.reviewed_at && (
+        <p className="text-xs text-gray-400">Reviewed by {merge.reviewed_by_username ?? 'unknown user'} on {new Date(merge.reviewed_at).toLocaleString()}</p>
+      )}
+    </div>
+  );
+};
+
+// Every donor, volunteer and student merge, with a queue for reviewing them
+export const MergeLogView: React.FC<MergeLogViewProps> = ({ on_open_record }) => {
+  const [status, set_status] = useState<MergeReviewStatus | ''>('pending');
+  const [entity, set_entity] = useState<MergeEntityId | ''>('');
+  const [page, set_page] = useState(1);
+  const [merges, set_merges] = useState<RecordMerge[]>([]);
+  const [total, set_total] = useState(0);
+  const [expanded, set_expanded] = useState<number | null>(null);
+  const [loading, set_loading] = useState(true);
+  const [reload, set_reload] = useState(0);
+  const [error, set_error] = useState<string | null>(null);
+  const [message, set_message] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    set_loading(true);
+    set_error(null);
+    fetch_merges({ page, page_size: PAGE_SIZE, review_status: status || undefined, entity: entity || undefined })
+      .then(data => {
+        if (cancelled) return;
+        set_merges(data.merges);
+        set_total(data.total);
+      })
+      .catch(err => {
+        console.error(err);
+        if (!cancelled) set_error(error_message(err, 'Failed to load the merge log. Please try again later.'));
+      })
+      .finally(() => { if (!cancelled) set_loading(false); });
+    return () => { cancelled = true; };
+  }, [page, status, entity, reload]);
+
+  const page_count = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const th_classes = 'p-2 md:px-4 text-xs font-semibold text-gray-600 uppercase tracking-wider';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 md:p-6">
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-gray-800 mb-1">Merge Log</h3>
+          <p className="text-sm text-gray-500">Merged duplicates, newest first. Open a merge to see what changed and approve or flag it.</p>
+        </div>
+        <select value={entity} onChange={e => { set_entity(e.target.value as MergeEntityId | ''); set_page(1); }} className={input_classes}>
+          <option value="">All types</option>
+          {(Object.keys(ENTITY_LABELS) as MergeEntityId[]).map(id => <option key={id} value={id}>{ENTITY_LABELS[id]}s</option>)}
+        </select>
+      </div>
+
+      <div className="flex gap-2 mb-4 border-b border-gray-200 overflow-x-auto">
+        {STATUS_TABS.map(tab => (
+          <button
+            key={tab.id || 'all'}
+            onClick={() => { set_status(tab.id); set_page(1); set_expanded(null); }}
+            className={`px-4 py-2 text-sm font-medium -mb-px border-b-2 whitespace-nowrap ${status === tab.id ? 'border-indigo-600 text-indigo-600' : 'border-transparent text-gray-500 hover:text-indigo-600'}`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {error && <div className="mb-4 p-3 rounded-lg bg-red-50 text-red-600 text-sm">{error}</div>}
+      {message && <div className="mb-4 p-3 rounded-lg bg-green-50 text-green-700 text-sm">{message}</div>}
+
+      {loading ? (
+        <div className="text-center py-10">Loading...</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-left table-auto">
+            <thead className="bg-gray-50 border-b border-gray-200">
+              <tr>
+                <th className={th_classes}>Merged At</th>
+                <th className={th_classes}>Type</th>
+                <th className={th_classes}>Kept</th>
+                <th className={th_classes}>Merged</th>
+                <th className={th_classes}>Score</th>
+                <th className={th_classes}>By</th>
+                <th className={th_classes}>Review</th>
+                <th className={th_classes}></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {merges.map(m => (
+                <React.Fragment key={m.merge_id}>
+                  <tr className={expanded === m.merge_id ? 'bg-indigo-50' : ''}>
+                    <td className="p-2 md:px-4 text-sm whitespace-nowrap">{new Date(m.merged_at).toLocaleString()}</td>
+                    <td className="p-2 md:px-4 text-sm">{ENTITY_LABELS[m.entity]}</td>
+                    <td className="p-2 md:px-4 text-sm">
+                      {on_open_record && m.survivor_exists
+                        ? <button onClick={() => on_open_record(m.entity, m.survivor_id)} className="text-indigo-600 hover:underline text-left">{m.survivor_name ?? m.survivor_id}</button>
+                        : (m.survivor_name ?? m.survivor_id)}
+                      <div className="text-xs text-gray-400">{m.survivor_id}</div>
+                    </td>
+                    <td className="p-2 md:px-4 text-sm">
+                      {m.merged_name ?? m.merged_id}
+                      <div className="text-xs text-gray-400">{m.merged_id}</div>
+                    </td>
+                    <td className="p-2 md:px-4 text-sm" title={(m.reasons ?? []).join(' · ')}>{m.score ?? '—'}</td>
+                    <td className="p-2 md:px-4 text-sm">{m.merged_by_username ?? '—'}</td>
+                    <td className="p-2 md:px-4 text-sm">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${REVIEW_STYLES[m.review_status]}`}>{m.review_status}</span>
+                    </td>
+                    <td className="p-2 md:px-4 text-sm text-right">
+                      <button onClick={() => set_expanded(expanded === m.merge_id ? null : m.merge_id)} className={button_classes}>
+                        {expanded === m.merge_id ? 'Hide' : 'Review'}
+                      </button>
+                    </td>
+                  </tr>
+                  {expanded === m.merge_id && (
+                    <tr>
+                      <td colSpan={8} className="p-4 bg-gray-50">
+                        <MergeDetail
+                          merge_id={m.merge_id}
+                          on_reviewed={text => { set_message(text); set_expanded(null); set_reload(n => n + 1); }}
+                        />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+              {!merges.length && (
+                <tr><td colSpan={8} className="p-4 text-sm text-gray-500 text-center">{status === 'pending' ? 'No merges waiting for review.' : 'No merges.'}</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+          <span>{total} merges</span>
+          <div className="flex gap-2">
+            <button onClick={() => set_page(p => p - 1)} disabled={page <= 1} className={button_classes}>Previous</button>
+            <span className="px-2 py-1.5">Page {page} of {page_count}</span>
+            <button onClick={() => set_page(p => p + 1)} disabled={page >= page_count} className={button_classes}>Next</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
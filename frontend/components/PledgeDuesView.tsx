@@ -0,0 +1,153 @@
+import React, { useEffect, useState } from 'react';
+import type { FrfEntity, OverduePledge } from '../types';
+import { fetch_overdue_pledges, send_pledge_reminders } from '../services/mockApi';
+import { PLEDGE_STANDING_STYLES } from '../constants';
+import { use_auth } from '../context/AuthContext';
+
+interface PledgeDuesViewProps {
+  on_open_record?: (entity_id: FrfEntity['id'], id: string) => void;
+}
+
+const format_money = (value: unknown) => `$${Number(value ?? 0).toFixed(2)}`;
+const format_date = (value: string | null) => value ? new Date(value).toLocaleDateString() : '—';
+
+// Overdue and lapsed pledges across the donors the user can see, with bulk reminders
+export const PledgeDuesView: React.FC<PledgeDuesViewProps> = ({ on_open_record }) => {
+  const { has_permission } = use_auth();
+  const [pledges, set_pledges] = useState<OverduePledge[]>([]);
+  const [standing, set_standing] = useState<'' | 'overdue' | 'lapsed'>('');
+  const [donor_type, set_donor_type] = useState('');
+  const [selected, set_selected] = useState<number[]>([]);
+  const [loading, set_loading] = useState(true);
+  const [is_sending, set_is_sending] = useState(false);
+  const [error, set_error] = useState<string | null>(null);
+  const [notice, set_notice] = useState<string | null>(null);
+
+  const can_remind = has_permission('donors:pledges:remind');
+
+  const load = async () => {
+    set_error(null);
+    set_loading(true);
+    try {
+      set_pledges(await fetch_overdue_pledges({ standing: standing || undefined, donor_type: donor_type || undefined }));
+      set_selected([]);
+    } catch (err) {
+      console.error(err);
+      set_error('Failed to load overdue pledges. Please try again later.');
+    } finally {
+      set_loading(false);
+    }
+  };
+
+  useEffect(() => { load(); }, [standing, donor_type]);
+
+  const toggle = (pledge_id: number) =>
+    set_selected(prev => prev.includes(pledge_id) ? prev.filter(id => id !== pledge_id) : [...prev, pledge_id]);
+
+  const handle_remind = async () => {
+    const ids = selected.length ? selected : pledges.map(p => p.pledge_id);
+    if (!ids.length) return;
+    if (!window.confirm(`Send reminder emails for ${ids.length} pledge(s)? Donors who opted out or were reminded recently are skipped.`)) return;
+    set_error(null);
+    set_notice(null);
+    set_is_sending(true);
+    try {
+      const result = await send_pledge_reminders(ids);
+      const reasons = [...new Set(result.skipped.map(s => s.reason))];
+      set_notice(`Queued ${result.queued.length} reminder(s).${result.skipped.length ? ` Skipped ${result.skipped.length}: ${reasons.join('; ')}.` : ''}`);
+      await load();
+    } catch (err) {
+      console.error(err);
+      set_error(err instanceof Error && err.message ? err.message : 'Could not queue the reminders.');
+    } finally {
+      set_is_sending(false);
+    }
+  };
+
+  const total_overdue = pledges.reduce((sum, p) => sum + Number(p.overdue_amount || 0), 0);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 md:p-6">
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-gray-800 mb-1">Pledge Dues</h3>
+          <p className="text-sm text-gray-500">Active pledges with instalments past their grace period, most missed first.</p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={standing} onChange={e => set_standing(e.target.value as typeof standing)} className="p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm">
+            <option value="">Overdue and lapsed</option>
+            <option value="overdue">Overdue</option>
+            <option value="lapsed">Lapsed</option>
+          </select>
+          <select value={donor_type} onChange={e => set_donor_type(e.target.value)} className="p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm">
+            <option value="">All donors</option>
+            <option value="Individual">Individual</option>
+            <option value="Corporate">Corporate</option>
+          </select>
+          {can_remind && (
+            <button
+              onClick={handle_remind}
+              disabled={is_sending || !pledges.length}
+              className="text-sm font-medium bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {is_sending ? 'Queueing...' : selected.length ? `Remind Selected (${selected.length})` : 'Remind All'}
+            </button>
+          )}
+        </div>
+      </div>
+      {error && <div className="mb-4 p-3 rounded-lg bg-red-50 text-red-600 text-sm">{error}</div>}
+      {notice && <div className="mb-4 p-3 rounded-lg bg-green-50 text-green-800 text-sm">{notice}</div>}
+
+      {loading ? (
+        <div className="text-center p-8 text-gray-500">Loading overdue pledges...</div>
+      ) : !pledges.length ? (
+        <p className="text-gray-500">No pledges are overdue.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs uppercase tracking-wider text-gray-500 border-b">
+                {can_remind && <th className="p-2" />}
+                <th className="p-2">Donor</th>
+                <th className="p-2">Pledge</th>
+                <th className="p-2">Standing</th>
+                <th className="p-2">Missed</th>
+                <th className="p-2">Outstanding</th>
+                <th className="p-2">Unpaid Since</th>
+                <th className="p-2">Last Gift</th>
+                <th className="p-2">Last Reminded</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {pledges.map(p => (
+                <tr key={p.pledge_id} className="hover:bg-gray-50">
+                  {can_remind && (
+                    <td className="p-2">
+                      <input type="checkbox" checked={selected.includes(p.pledge_id)} onChange={() => toggle(p.pledge_id)} />
+                    </td>
+                  )}
+                  <td className="p-2">
+                    {on_open_record ? (
+                      <button onClick={() => on_open_record('donors', p.donor_id)} className="text-indigo-600 hover:underline">{p.donor_frf_name}</button>
+                    ) : p.donor_frf_name}
+                    {p.email_opt_out && <span className="ml-2 text-xs text-gray-500">(opted out of email)</span>}
+                  </td>
+                  <td className="p-2">{format_money(p.amount)} {p.frequency}{p.purpose ? ` · ${p.purpose}` : ''}</td>
+                  <td className="p-2">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${PLEDGE_STANDING_STYLES[p.standing] ?? ''}`}>{p.standing}</span>
+                  </td>
+                  <td className="p-2">{p.missed_installments}</td>
+                  <td className="p-2 font-medium">{format_money(p.overdue_amount)}</td>
+                  <td className="p-2">{format_date(p.oldest_unpaid_due)}</td>
+                  <td className="p-2">{format_date(p.last_donation_date)}</td>
+                  <td className="p-2">{p.last_reminded_at ? `${format_date(p.last_reminded_at)} (${p.reminder_count})` : 'Never'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-3 text-sm text-gray-600">Total outstanding: <span className="font-semibold">{format_money(total_overdue)}</span></p>
+        </div>
+      )}
+    </div>
+  );
+};
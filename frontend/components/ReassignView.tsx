@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import type { FrfEntity, ReassignResult } from '../types';
+import { FRF_ENTITIES } from '../constants';
+import { reassign_records } from '../services/mockApi';
+import { use_owners } from '../context/OwnersContext';
+
+// Bulk hand-over of one user's records, e.g. when a coordinator leaves
+export const ReassignView: React.FC = () => {
+  const { owners } = use_owners();
+  const [from_user_id, set_from_user_id] = useState('');
+  const [to_user_id, set_to_user_id] = useState('');
+  const [selected, set_selected] = useState<FrfEntity['id'][]>(FRF_ENTITIES.map(e => e.id));
+  const [is_saving, set_is_saving] = useState(false);
+  const [error, set_error] = useState<string | null>(null);
+  const [result, set_result] = useState<ReassignResult | null>(null);
+
+  const toggle = (entity_id: FrfEntity['id'], on: boolean) =>
+    set_selected(prev => on ? [...prev, entity_id] : prev.filter(id => id !== entity_id));
+
+  const handle_submit = async () => {
+    const from = owners.find(o => String(o.user_id) === from_user_id);
+    const to = owners.find(o => String(o.user_id) === to_user_id);
+    if (!from || !to || !window.confirm(`Move the selected records owned by ${from.username} to ${to.username}?`)) return;
+
+    set_is_saving(true);
+    set_error(null);
+    set_result(null);
+    try {
+      const all = selected.length === FRF_ENTITIES.length;
+      set_result(await reassign_records(from.user_id, to.user_id, all ? undefined : selected));
+    } catch (err) {
+      console.error(err);
+      set_error(err instanceof Error && err.message ? err.message : 'Failed to reassign records.');
+    } finally {
+      set_is_saving(false);
+    }
+  };
+
+  const select_classes = 'mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm bg-gray-50';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 md:p-6 max-w-2xl">
+      <h3 className="text-lg font-bold text-gray-800 mb-1">Reassign Records</h3>
+      <p className="text-sm text-gray-500 mb-4">Moves every record owned by one user, including records in the trash, to another user.</p>
+      {error && <div className="mb-4 p-3 rounded-lg bg-red-50 text-red-600 text-sm">{error}</div>}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">From</span>
+          <select value={from_user_id} onChange={e => set_from_user_id(e.target.value)} className={select_classes}>
+            <option value="">Select a user...</option>
+            {owners.map(o => <option key={o.user_id} value={String(o.user_id)}>{o.username}</option>)}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">To</span>
+          <select value={to_user_id} onChange={e => set_to_user_id(e.target.value)} className={select_classes}>
+            <option value="">Select a user...</option>
+            {owners.filter(o => String(o.user_id) !== from_user_id).map(o => (
+              <option key={o.user_id} value={String(o.user_id)}>{o.username}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="flex flex-wrap gap-4 mb-6">
+        {FRF_ENTITIES.map(entity => (
+          <label key={entity.id} className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={selected.includes(entity.id)} onChange={e => toggle(entity.id, e.target.checked)} />
+            {entity.name}
+          </label>
+        ))}
+      </div>
+
+      {result && (
+        <div className="mb-4 p-3 rounded-lg bg-green-50 text-green-800 text-sm">
+          {result.total} record(s) reassigned
+          {result.total > 0 && `: ${FRF_ENTITIES.filter(e => result.moved[e.id]).map(e => `${e.name} ${result.moved[e.id]}`).join(', ')}`}
+        </div>
+      )}
+
+      <div className="flex justify-end">
+        <button
+          onClick={handle_submit}
+          disabled={is_saving || !from_user_id || !to_user_id || !selected.length}
+          className="text-sm font-medium bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {is_saving ? 'Reassigning...' : 'Reassign'}
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,459 @@
+import React, { useEffect, useState } from 'react';
+import type { AnyRecord, BankImportResult, BankLine, BankLineStatus, BankMatchCandidate, BankStatement, FrfEntity } from '../types';
+import {
+  auto_match_bank_lines, create_donation_from_bank_line, create_transaction_from_bank_line, fetch_bank_line_candidates,
+  fetch_bank_lines, fetch_bank_statements, fetch_frf_list, ignore_bank_line, match_bank_line, unmatch_bank_line, upload_bank_statement,
+} from '../services/mockApi';
+import { use_auth } from '../context/AuthContext';
+import { use_lookups } from '../context/LookupsContext';
+
+interface ReconciliationViewProps {
+  on_open_record?: (entity_id: FrfEntity['id'], id: string) => void;
+}
+
+const PAGE_SIZE = 25;
+
+const STATUS_TABS: { id: BankLineStatus, label: string }[] = [
+  { id: 'unmatched', label: 'To reconcile' },
+  { id: 'matched', label: 'Matched' },
+  { id: 'ignored', label: 'Ignored' },
+];
+
+const METHOD_LABELS: Record<string, string> = { auto: 'auto-matched', manual: 'linked', created: 'created from line' };
+
+const format_amount = (value: number | string) => {
+  const amount = Number(value);
+  return `${amount < 0 ? '−' : '+'}$${Math.abs(amount).toFixed(2)}`;
+};
+
+const error_message = (err: unknown, fallback: string) =>
+  err instanceof Error && err.message ? err.message : fallback;
+
+const input_classes = 'p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm';
+const button_classes = 'text-sm font-medium text-indigo-600 border border-indigo-200 px-3 py-1.5 rounded-lg hover:bg-indigo-50 disabled:opacity-50';
+const primary_classes = 'text-sm font-medium text-white bg-indigo-600 px-3 py-1.5 rounded-lg hover:bg-indigo-700 disabled:opacity-50';
+
+// Search box over an FRF list (donors or finance reports) that yields one record id
+const RecordPicker: React.FC<{ entity_id: FrfEntity['id'], name_key: string, placeholder: string, on_pick: (id: string) => void, picked: string }> = ({ entity_id, name_key, placeholder, on_pick, picked }) => {
+  const [search, set_search] = useState('');
+  const [results, set_results] = useState<AnyRecord[]>([]);
+
+  useEffect(() => {
+    if (search.trim().length < 2) {
+      set_results([]);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      fetch_frf_list(entity_id, { page: 1, page_size: 8, search: search.trim() })
+        .then(result => { if (!cancelled) set_results(result.records); })
+        .catch(err => console.error(err));
+    }, 300);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [entity_id, search]);
+
+  return (
+    <div>
+      <input value={search} onChange={e => set_search(e.target.value)} placeholder={placeholder} className={`${input_classes} w-full`} />
+      {results.length > 0 && (
+        <ul className="mt-1 border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-40 overflow-y-auto">
+          {results.map(r => (
+            <li key={r.id}>
+              <button
+                type="button"
+                onClick={() => on_pick(String(r.id))}
+                className={`w-full text-left px-3 py-1.5 text-sm hover:bg-indigo-50 ${picked === String(r.id) ? 'bg-indigo-50 font-medium' : ''}`}
+              >
+                {r[name_key] || r.id} <span className="text-gray-400">({r.id})</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Candidates and create-from-line forms for one queued line
+const LinePanel: React.FC<{ line: BankLine, on_done: (message: string) => void, on_close: () => void }> = ({ line, on_done, on_close }) => {
+  const { has_permission } = use_auth();
+  const { lookup_options } = use_lookups();
+  const [candidates, set_candidates] = useState<BankMatchCandidate[] | null>(null);
+  const [error, set_error] = useState<string | null>(null);
+  const [busy, set_busy] = useState(false);
+  const [donor_id, set_donor_id] = useState('');
+  const [purpose, set_purpose] = useState('');
+  const [report_id, set_report_id] = useState('');
+  const [entry_name, set_entry_name] = useState(line.description ?? '');
+  const [category_id, set_category_id] = useState('');
+  const [project_id, set_project_id] = useState('');
+  const [note, set_note] = useState('');
+
+  const is_credit = Number(line.amount) > 0;
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch_bank_line_candidates(line.line_id)
+      .then(result => { if (!cancelled) set_candidates(result); })
+      .catch(err => { if (!cancelled) set_error(error_message(err, 'Failed to load match candidates.')); });
+    return () => { cancelled = true; };
+  }, [line.line_id]);
+
+  const run = async (action: () => Promise<string>) => {
+    set_busy(true);
+    set_error(null);
+    try {
+      on_done(await action());
+    } catch (err) {
+      console.error(err);
+      set_error(error_message(err, 'The change could not be saved.'));
+    } finally {
+      set_busy(false);
+    }
+  };
+
+  const link = (candidate: BankMatchCandidate) => run(async () => {
+    await match_bank_line(line.line_id, candidate.kind === 'donation' ? { donation_id: candidate.id } : { transaction_id: candidate.id });
+    return `Line matched to ${candidate.kind === 'donation' ? 'donation' : 'ledger entry'} ${candidate.id}.`;
+  });
+
+  const create_donation = () => run(async () => {
+    const { donation } = await create_donation_from_bank_line(line.line_id, { donor_id, purpose: purpose || undefined });
+    return `Donation ${donation.donation_id} created and matched.`;
+  });
+
+  const create_transaction = () => run(async () => {
+    const { transaction } = await create_transaction_from_bank_line(line.line_id, {
+      finance_report_id: report_id,
+      name: entry_name || undefined,
+      category_id: category_id ? Number(category_id) : null,
+      project_id: project_id || null,
+    });
+    const warnings = transaction.budget_warnings?.length ? ` ${transaction.budget_warnings.join(' ')}` : '';
+    return `Ledger entry ${transaction.transaction_id} created and matched.${warnings}`;
+  });
+
+  const ignore = () => run(async () => {
+    await ignore_bank_line(line.line_id, note);
+    return 'Line ignored.';
+  });
+
+  return (
+    <div className="border border-indigo-200 rounded-lg p-4 bg-indigo-50/30">
+      <div className="flex items-start justify-between gap-4 mb-3">
+        <div>
+          <h4 className="font-semibold text-gray-800">{line.line_date} · {format_amount(line.amount)}</h4>
+          <p className="text-sm text-gray-600">{line.description || 'No description'}{line.reference ? ` · Ref ${line.reference}` : ''}</p>
+        </div>
+        <button onClick={on_close} className="text-sm font-medium text-gray-600 px-3 py-1 rounded-lg hover:bg-gray-100">Close</button>
+      </div>
+
+      {error && <div className="mb-3 p-3 rounded-lg bg-red-50 text-red-600 text-sm">{error}</div>}
+
+      <h5 className="text-sm font-semibold text-indigo-900 mb-1">Possible matches</h5>
+      {candidates === null ? (
+        <p className="text-sm text-gray-500 mb-4">Loading...</p>
+      ) : candidates.length ? (
+        <ul className="mb-4 divide-y divide-gray-200 border border-gray-200 rounded-lg bg-white">
+          {candidates.map(c => (
+            <li key={`${c.kind}-${c.id}`} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+              <div>
+                <span className="font-medium">{c.kind === 'donation' ? 'Donation' : 'Ledger entry'} #{c.id}</span> · {c.label}
+                {c.detail ? <span className="text-gray-500"> · {c.detail}</span> : null}
+                <div className="text-xs text-gray-500">
+                  {c.record_date} · ${Number(c.amount).toFixed(2)}{c.reference ? ` · Ref ${c.reference}` : ''}
+                  {c.reference_match ? ' · reference matches' : ` · ${c.days_apart} day(s) apart`}
+                </div>
+              </div>
+              <button onClick={() => link(c)} disabled={busy} className={button_classes}>Link</button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 mb-4">No unreconciled {is_credit ? 'donation or income entry' : 'expense entry'} with this amount within 30 days.</p>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        {is_credit && has_permission('donors:donations:write') && (
+          <div className="space-y-2">
+            <h5 className="text-sm font-semibold text-indigo-900">Create a donation</h5>
+            <RecordPicker entity_id="donors" name_key="donor_frf_name" placeholder="Search donors..." picked={donor_id} on_pick={set_donor_id} />
+            <input value={purpose} onChange={e => set_purpose(e.target.value)} placeholder="Purpose (optional)" className={`${input_classes} w-full`} />
+            <button onClick={create_donation} disabled={busy || !donor_id} className={primary_classes}>Create donation{donor_id ? ` for ${donor_id}` : ''}</button>
+          </div>
+        )}
+        {has_permission('finance:transactions:write') && (
+          <div className="space-y-2">
+            <h5 className="text-sm font-semibold text-indigo-900">Create a ledger {is_credit ? 'income' : 'expense'} entry</h5>
+            <RecordPicker entity_id="finance" name_key="finance_report_frf_name" placeholder="Search finance reports..." picked={report_id} on_pick={set_report_id} />
+            <input value={entry_name} onChange={e => set_entry_name(e.target.value)} placeholder="Entry name" className={`${input_classes} w-full`} />
+            <div className="flex gap-2">
+              <select value={category_id} onChange={e => set_category_id(e.target.value)} className={`${input_classes} flex-1`}>
+                <option value="">No category</option>
+                {lookup_options('expense_categories').map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+              <select value={project_id} onChange={e => set_project_id(e.target.value)} className={`${input_classes} flex-1`}>
+                <option value="">Report's project</option>
+                {lookup_options('projects').map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+            </div>
+            <button onClick={create_transaction} disabled={busy || !report_id} className={primary_classes}>Create entry{report_id ? ` in ${report_id}` : ''}</button>
+          </div>
+        )}
+      </div>
+
+      <div className="mt-4 flex flex-col sm:flex-row gap-2">
+        <input value={note} onChange={e => set_note(e.target.value)} placeholder="Why no record is needed (e.g. bank charges)" className={`${input_classes} flex-1`} />
+        <button onClick={ignore} disabled={busy} className={button_classes}>Ignore line</button>
+      </div>
+    </div>
+  );
+};
+
+// Upload bank statements and work through the lines the auto-matcher couldn't place
+export const ReconciliationView: React.FC<ReconciliationViewProps> = ({ on_open_record }) => {
+  const { has_permission } = use_auth();
+  const [statements, set_statements] = useState<BankStatement[]>([]);
+  const [status, set_status] = useState<BankLineStatus>('unmatched');
+  const [statement_id, set_statement_id] = useState<number | undefined>(undefined);
+  const [search, set_search] = useState('');
+  const [page, set_page] = useState(1);
+  const [lines, set_lines] = useState<BankLine[]>([]);
+  const [total, set_total] = useState(0);
+  const [loading, set_loading] = useState(false);
+  const [selected, set_selected] = useState<BankLine | null>(null);
+  const [error, set_error] = useState<string | null>(null);
+  const [message, set_message] = useState<string | null>(null);
+  const [reload, set_reload] = useState(0);
+
+  const [file, set_file] = useState<File | null>(null);
+  const [account_name, set_account_name] = useState('');
+  const [date_order, set_date_order] = useState<'dmy' | 'mdy'>('dmy');
+  const [is_uploading, set_is_uploading] = useState(false);
+  const [import_result, set_import_result] = useState<BankImportResult | null>(null);
+
+  const refresh = () => set_reload(n => n + 1);
+
+  useEffect(() => {
+    fetch_bank_statements().then(set_statements).catch(err => console.error(err));
+  }, [reload]);
+
+  useEffect(() => {
+    let cancelled = false;
+    set_loading(true);
+    fetch_bank_lines({ page, page_size: PAGE_SIZE, status, statement_id, search: search || undefined })
+      .then(result => {
+        if (cancelled) return;
+        set_lines(result.lines);
+        set_total(result.total);
+      })
+      .catch(err => { if (!cancelled) set_error(error_message(err, 'Failed to load bank lines.')); })
+      .finally(() => { if (!cancelled) set_loading(false); });
+    return () => { cancelled = true; };
+  }, [page, status, statement_id, search, reload]);
+
+  const act = async (action: () => Promise<string>) => {
+    set_error(null);
+    set_message(null);
+    try {
+      set_message(await action());
+      refresh();
+    } catch (err) {
+      console.error(err);
+      set_error(error_message(err, 'The change could not be saved.'));
+    }
+  };
+
+  const handle_upload = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!file) return;
+    set_is_uploading(true);
+    set_error(null);
+    set_message(null);
+    try {
+      const result = await upload_bank_statement(file, { account_name: account_name.trim() || undefined, date_order });
+      set_import_result(result);
+      set_file(null);
+      set_statement_id(undefined);
+      set_status('unmatched');
+      set_page(1);
+      refresh();
+    } catch (err) {
+      console.error(err);
+      set_error(error_message(err, 'The statement could not be imported.'));
+    } finally {
+      set_is_uploading(false);
+    }
+  };
+
+  const handle_auto_match = () => act(async () => {
+    const matched = await auto_match_bank_lines();
+    return matched ? `${matched} line(s) matched.` : 'No further lines could be matched automatically.';
+  });
+
+  const handle_unmatch = (line: BankLine) => act(async () => {
+    await unmatch_bank_line(line.line_id);
+    return 'Line moved back to the queue.';
+  });
+
+  const record_link = (line: BankLine) => {
+    if (!on_open_record) return null;
+    if (line.donor_id && has_permission('donors:read')) return () => on_open_record('donors', line.donor_id!);
+    if (line.finance_report_id && has_permission('finance:read')) return () => on_open_record('finance', line.finance_report_id!);
+    return null;
+  };
+
+  const page_count = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const th_classes = 'p-2 md:px-4 text-xs font-semibold text-gray-600 uppercase tracking-wider';
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handle_upload} className="bg-white rounded-lg shadow-md p-4 md:p-6">
+        <h3 className="text-lg font-bold text-gray-800 mb-1">Import a bank statement</h3>
+        <p className="text-sm text-gray-500 mb-4">CSV or OFX. Lines already imported for the account are skipped; new ones are matched against donations and ledger entries by reference, amount and date.</p>
+        <div className="flex flex-col lg:flex-row lg:items-center gap-2">
+          <input type="file" accept=".csv,.ofx,.qfx" onChange={e => set_file(e.target.files?.[0] ?? null)} className="text-sm" />
+          <input value={account_name} onChange={e => set_account_name(e.target.value)} placeholder="Account name (required for CSV)" maxLength={100} className={input_classes} />
+          <select value={date_order} onChange={e => set_date_order(e.target.value as 'dmy' | 'mdy')} className={input_classes}>
+            <option value="dmy">Dates are DD/MM/YYYY</option>
+            <option value="mdy">Dates are MM/DD/YYYY</option>
+          </select>
+          <button type="submit" disabled={!file || is_uploading} className={primary_classes}>{is_uploading ? 'Importing...' : 'Import'}</button>
+        </div>
+        {import_result && (
+          <div className="mt-4 p-3 bg-indigo-50 rounded-lg text-indigo-800 text-sm">
+            <p>
+              {import_result.imported} line(s) imported into {import_result.statement.account_name}
+              {import_result.duplicates ? `, ${import_result.duplicates} already imported` : ''}.
+              {' '}{import_result.auto_matched} matched automatically, {import_result.unmatched} left to reconcile.
+            </p>
+            {import_result.errors.length > 0 && (
+              <ul className="mt-2 text-red-600 list-disc list-inside">
+                {import_result.errors.slice(0, 10).map(e => <li key={e.row}>Row {e.row}: {e.message}</li>)}
+                {import_result.errors.length > 10 && <li>and {import_result.errors.length - 10} more unreadable rows</li>}
+              </ul>
+            )}
+          </div>
+        )}
+      </form>
+
+      <div className="bg-white rounded-lg shadow-md p-4 md:p-6">
+        <div className="flex gap-2 mb-4 border-b border-gray-200 overflow-x-auto">
+          {STATUS_TABS.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => { set_status(tab.id); set_page(1); set_selected(null); }}
+              className={`px-4 py-2 text-sm font-medium -mb-px border-b-2 whitespace-nowrap ${status === tab.id ? 'border-indigo-600 text-indigo-600' : 'border-transparent text-gray-500 hover:text-indigo-600'}`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex flex-col lg:flex-row lg:items-center gap-2 mb-4">
+          <select
+            value={statement_id ?? ''}
+            onChange={e => { set_statement_id(e.target.value ? Number(e.target.value) : undefined); set_page(1); }}
+            className={input_classes}
+          >
+            <option value="">All statements</option>
+            {statements.map(s => (
+              <option key={s.statement_id} value={s.statement_id}>
+                {s.account_name} · {s.file_name} ({s.unmatched_count} to reconcile)
+              </option>
+            ))}
+          </select>
+          <input value={search} onChange={e => { set_search(e.target.value); set_page(1); }} placeholder="Search description or reference..." className={`${input_classes} lg:w-72`} />
+          <div className="lg:ml-auto">
+            <button onClick={handle_auto_match} className={button_classes}>Run auto-match</button>
+          </div>
+        </div>
+
+        {error && <div className="mb-4 p-3 rounded-lg bg-red-50 text-red-600 text-sm">{error}</div>}
+        {message && <div className="mb-4 p-3 rounded-lg bg-green-50 text-green-700 text-sm">{message}</div>}
+
+        {selected && (
+          <div className="mb-4">
+            <LinePanel
+              key={selected.line_id}
+              line={selected}
+              on_close={() => set_selected(null)}
+              on_done={text => { set_message(text); set_selected(null); refresh(); }}
+            />
+          </div>
+        )}
+
+        {loading ? (
+          <div className="text-center py-10">Loading...</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-left table-auto">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className={th_classes}>Date</th>
+                  <th className={th_classes}>Description</th>
+                  <th className={th_classes}>Reference</th>
+                  <th className={`${th_classes} text-right`}>Amount</th>
+                  <th className={th_classes}>{status === 'unmatched' ? 'Account' : 'Reconciliation'}</th>
+                  <th className={th_classes}></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {lines.map(line => {
+                  const open = record_link(line);
+                  return (
+                    <tr key={line.line_id} className={selected?.line_id === line.line_id ? 'bg-indigo-50' : ''}>
+                      <td className="p-2 md:px-4 text-sm whitespace-nowrap">{line.line_date}</td>
+                      <td className="p-2 md:px-4 text-sm">{line.description}</td>
+                      <td className="p-2 md:px-4 text-sm">{line.reference}</td>
+                      <td className={`p-2 md:px-4 text-sm text-right whitespace-nowrap ${Number(line.amount) < 0 ? 'text-red-600' : 'text-green-700'}`}>{format_amount(line.amount)}</td>
+                      <td className="p-2 md:px-4 text-sm text-gray-600">
+                        {line.status === 'unmatched' && line.account_name}
+                        {line.status === 'matched' && (
+                          <>
+                            {line.donation_id ? `Donation #${line.donation_id} · ${line.donor_frf_name ?? line.donor_id}` : `Ledger entry #${line.transaction_id} · ${line.transaction_name ?? line.finance_report_id}`}
+                            <div className="text-xs text-gray-400">{METHOD_LABELS[line.match_method ?? ''] ?? ''}{line.reconciled_by ? ` by ${line.reconciled_by}` : ''}</div>
+                          </>
+                        )}
+                        {line.status === 'ignored' && (
+                          <>
+                            {line.note || 'Ignored'}
+                            {line.reconciled_by && <div className="text-xs text-gray-400">by {line.reconciled_by}</div>}
+                          </>
+                        )}
+                      </td>
+                      <td className="p-2 md:px-4 text-sm text-right whitespace-nowrap space-x-2">
+                        {line.status === 'unmatched' ? (
+                          <button onClick={() => set_selected(line)} className={button_classes}>Reconcile</button>
+                        ) : (
+                          <>
+                            {open && <button onClick={open} className={button_classes}>Open</button>}
+                            <button onClick={() => handle_unmatch(line)} className={button_classes}>{line.status === 'ignored' ? 'Restore' : 'Unmatch'}</button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+                {!lines.length && (
+                  <tr><td colSpan={6} className="p-4 text-sm text-gray-500 text-center">{status === 'unmatched' ? 'Nothing left to reconcile.' : 'No lines.'}</td></tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {total > PAGE_SIZE && (
+          <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+            <span>{total} lines</span>
+            <div className="flex gap-2">
+              <button onClick={() => set_page(p => p - 1)} disabled={page <= 1} className={button_classes}>Previous</button>
+              <span className="px-2 py-1.5">Page {page} of {page_count}</span>
+              <button onClick={() => set_page(p => p + 1)} disabled={page >= page_count} className={button_classes}>Next</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import type { FrfEntity, AuditEntry, AuditAction } from '../types';
+import { fetch_record_history } from '../services/mockApi';
+
+interface RecordHistoryProps {
+  entity: FrfEntity;
+  id: string;
+}
+
+const CHILD_LABELS: Record<string, string> = {
+  session_logs: 'Session Log',
+  volunteer_attendance: 'Attendance',
+  donations: 'Donation',
+  project_attendance: 'Attendance Log',
+  transactions: 'Transaction',
+};
+
+const ACTION_STYLES: Record<AuditAction, string> = {
+  CREATE: 'bg-green-100 text-green-800',
+  UPDATE: 'bg-blue-100 text-blue-800',
+  DELETE: 'bg-red-100 text-red-800',
+  RESTORE: 'bg-yellow-100 text-yellow-800',
+  PURGE: 'bg-gray-200 text-gray-800',
+  MERGE: 'bg-purple-100 text-purple-800',
+};
+
+const format_value = (value: any) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const HistoryEntry: React.FC<{ entry: AuditEntry, entity: FrfEntity }> = ({ entry, entity }) => {
+  const is_child = entry.entity !== entity.id;
+  const subject = is_child ? `${CHILD_LABELS[entry.entity] ?? entry.entity} #${entry.record_id}` : entity.name;
+  const fields = Array.from(new Set([...Object.keys(entry.old_values ?? {}), ...Object.keys(entry.new_values ?? {})]));
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-sm">
+        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${ACTION_STYLES[entry.action]}`}>{entry.action}</span>
+        <span className="font-semibold text-gray-800">{subject}</span>
+        <span className="text-gray-600">
+          by {entry.actor_username ? `${entry.actor_username} (${entry.actor_email})`
+            : entry.actor_api_key_id ? `API key ${entry.actor_api_key_name ?? `#${entry.actor_api_key_id}`}` : 'Unknown user'}
+        </span>
+        <span className="text-gray-500 ml-auto">{new Date(entry.created_at).toLocaleString()}</span>
+      </div>
+      {fields.length > 0 && (
+        <div className="overflow-x-auto mt-3">
+          <table className="w-full text-left table-auto text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="p-2 font-semibold text-gray-600 uppercase tracking-wider text-xs">Field</th>
+                <th className="p-2 font-semibold text-gray-600 uppercase tracking-wider text-xs">Before</th>
+                <th className="p-2 font-semibold text-gray-600 uppercase tracking-wider text-xs">After</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {fields.map(field => (
+                <tr key={field}>
+                  <td className="p-2 text-gray-700 font-medium">{field.replace(/_/g, ' ')}</td>
+                  <td className="p-2 text-red-700 break-words">{entry.old_values ? format_value(entry.old_values[field]) : '—'}</td>
+                  <td className="p-2 text-green-700 break-words">{entry.new_values ? format_value(entry.new_values[field]) : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {entry.ip_address && <p className="mt-2 text-xs text-gray-400">IP: {entry.ip_address}</p>}
+    </div>
+  );
+};
+
+export const RecordHistory: React.FC<RecordHistoryProps> = ({ entity, id }) => {
+  const [entries, set_entries] = useState<AuditEntry[]>([]);
+  const [loading, set_loading] = useState(true);
+  const [error, set_error] = useState<string | null>(null);
+
+  useEffect(() => {
+    set_loading(true);
+    set_error(null);
+    fetch_record_history(entity.id, id)
+      .then(set_entries)
+      .catch(err => {
+        console.error(err);
+        set_error('Failed to load history. Please try again later.');
+      })
+      .finally(() => set_loading(false));
+  }, [entity.id, id]);
+
+  if (loading) return <div className="text-center p-10">Loading history...</div>;
+  if (error) return <div className="text-center p-10 text-red-500">{error}</div>;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 md:p-6 mb-6">
+      <h3 className="text-lg md:text-xl font-bold text-gray-800 border-b-2 border-indigo-100 pb-3 mb-4">Change History</h3>
+      {entries.length === 0 ? (
+        <p className="text-gray-500 text-sm">No changes have been recorded for this record yet.</p>
+      ) : (
+        <div className="space-y-4">
+          {entries.map(entry => <HistoryEntry key={entry.audit_id} entry={entry} entity={entity} />)}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,209 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import type { Permission, Role } from '../types';
+import { delete_role, fetch_permissions, fetch_roles, save_role } from '../services/mockApi';
+import { use_auth } from '../context/AuthContext';
+
+interface Draft {
+  role_name: string;
+  description: string;
+  permissions: string[];
+  is_new: boolean;
+}
+
+// 'finance:transactions:write' -> resource 'finance', action 'transactions:write'
+const split_key = (key: string) => {
+  const [resource, ...rest] = key.split(':');
+  return { resource, action: rest.join(':') };
+};
+
+export const RolesView: React.FC = () => {
+  const { reload_user } = use_auth();
+  const [roles, set_roles] = useState<Role[]>([]);
+  const [permissions, set_permissions] = useState<Permission[]>([]);
+  const [loading, set_loading] = useState(true);
+  const [error, set_error] = useState<string | null>(null);
+  const [draft, set_draft] = useState<Draft | null>(null);
+  const [is_saving, set_is_saving] = useState(false);
+
+  const load = async () => {
+    set_loading(true);
+    set_error(null);
+    try {
+      const [role_rows, permission_rows] = await Promise.all([fetch_roles(), fetch_permissions()]);
+      set_roles(role_rows);
+      set_permissions(permission_rows);
+    } catch (err) {
+      console.error(err);
+      set_error('Failed to load roles. Please try again later.');
+    } finally {
+      set_loading(false);
+    }
+  };
+
+  useEffect(() => { load(); }, []);
+
+  const grouped = useMemo(() => {
+    const groups: Record<string, Permission[]> = {};
+    for (const p of permissions) (groups[split_key(p.permission_key).resource] ??= []).push(p);
+    return groups;
+  }, [permissions]);
+
+  const select_role = (role: Role) => {
+    set_error(null);
+    set_draft({ role_name: role.role_name, description: role.description ?? '', permissions: [...role.permissions], is_new: false });
+  };
+
+  const toggle = (keys: string[], on: boolean) => {
+    if (!draft) return;
+    const next = new Set(draft.permissions);
+    keys.forEach(k => (on ? next.add(k) : next.delete(k)));
+    set_draft({ ...draft, permissions: Array.from(next).sort() });
+  };
+
+  const handle_save = async () => {
+    if (!draft) return;
+    set_is_saving(true);
+    set_error(null);
+    try {
+      const saved = await save_role({ role_name: draft.role_name.trim(), description: draft.description || null, permissions: draft.permissions }, draft.is_new);
+      await load();
+      await reload_user();
+      select_role(saved);
+    } catch (err) {
+      console.error(err);
+      set_error(err instanceof Error && err.message ? err.message : 'Failed to save role.');
+    } finally {
+      set_is_saving(false);
+    }
+  };
+
+  const handle_delete = async () => {
+    if (!draft || draft.is_new || !window.confirm(`Delete the role "${draft.role_name}"?`)) return;
+    set_error(null);
+    try {
+      await delete_role(draft.role_name);
+      set_draft(null);
+      await load();
+    } catch (err) {
+      console.error(err);
+      set_error(err instanceof Error && err.message ? err.message : 'Failed to delete role.');
+    }
+  };
+
+  if (loading) return <div className="text-center p-8 text-gray-500">Loading roles...</div>;
+
+  const selected = roles.find(r => r.role_name === draft?.role_name);
+  const is_super_admin = draft?.role_name === 'super_admin' && !draft.is_new;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+      <div className="bg-white rounded-lg shadow-md p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-bold text-gray-800">Roles</h3>
+          <button
+            onClick={() => set_draft({ role_name: '', description: '', permissions: [], is_new: true })}
+            className="text-sm font-medium text-indigo-600 hover:text-indigo-800 px-2 py-1 rounded hover:bg-indigo-50"
+          >
+            + New
+          </button>
+        </div>
+        <ul>
+          {roles.map(role => (
+            <li key={role.role_name}>
+              <button
+                onClick={() => select_role(role)}
+                className={`w-full text-left p-2 rounded-lg mb-1 ${draft?.role_name === role.role_name && !draft.is_new ? 'bg-indigo-600 text-white' : 'hover:bg-indigo-50 text-gray-700'}`}
+              >
+                <span className="font-medium">{role.role_name}</span>
+                <span className="block text-xs opacity-75">{role.user_count} user(s){role.is_system ? ' · built-in' : ''}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="lg:col-span-3 bg-white rounded-lg shadow-md p-4 md:p-6">
+        {error && <div className="mb-4 p-3 rounded-lg bg-red-50 text-red-600 text-sm">{error}</div>}
+        {!draft ? (
+          <p className="text-gray-500">Select a role to see or change its permissions.</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+              <label className="block">
+                <span className="text-sm font-medium text-gray-700">Role name</span>
+                <input
+                  value={draft.role_name}
+                  disabled={!draft.is_new}
+                  onChange={e => set_draft({ ...draft, role_name: e.target.value })}
+                  placeholder="e.g. field_coordinator"
+                  className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm disabled:bg-gray-100"
+                />
+              </label>
+              <label className="block">
+                <span className="text-sm font-medium text-gray-700">Description</span>
+                <input
+                  value={draft.description}
+                  disabled={is_super_admin}
+                  onChange={e => set_draft({ ...draft, description: e.target.value })}
+                  className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm disabled:bg-gray-100"
+                />
+              </label>
+            </div>
+
+            {is_super_admin && (
+              <p className="mb-4 p-3 rounded-lg bg-yellow-50 text-yellow-800 text-sm">super_admin always has every permission and can't be edited.</p>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+              {Object.keys(grouped).map(resource => {
+                const items = grouped[resource];
+                const keys = items.map(p => p.permission_key);
+                const all_on = keys.every(k => is_super_admin || draft.permissions.includes(k));
+                return (
+                  <div key={resource} className="border border-gray-200 rounded-lg p-3">
+                    <label className="flex items-center gap-2 font-semibold text-gray-800 capitalize mb-2">
+                      <input type="checkbox" checked={all_on} disabled={is_super_admin} onChange={e => toggle(keys, e.target.checked)} />
+                      {resource}
+                    </label>
+                    {items.map(p => (
+                      <label key={p.permission_key} className="flex items-start gap-2 text-sm text-gray-700 py-0.5" title={p.description}>
+                        <input
+                          type="checkbox"
+                          className="mt-1"
+                          checked={is_super_admin || draft.permissions.includes(p.permission_key)}
+                          disabled={is_super_admin}
+                          onChange={e => toggle([p.permission_key], e.target.checked)}
+                        />
+                        <span>
+                          <span className="font-mono text-xs text-indigo-700">{split_key(p.permission_key).action}</span>
+                          <span className="block text-xs text-gray-500">{p.description}</span>
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+
+            {!is_super_admin && (
+              <div className="flex justify-end gap-2 mt-6">
+                {!draft.is_new && !selected?.is_system && (
+                  <button onClick={handle_delete} className="text-sm font-medium text-red-600 border border-red-200 px-4 py-2 rounded-lg hover:bg-red-50">
+                    Delete Role
+                  </button>
+                )}
+                <button
+                  onClick={handle_save}
+                  disabled={is_saving || !draft.role_name.trim()}
+                  className="text-sm font-medium bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  {is_saving ? 'Saving...' : draft.is_new ? 'Create Role' : 'Save Changes'}
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from 'react';
+import type { DonorSegment } from '../types';
+import { create_donor_segment, delete_donor_segment, fetch_donor_segments, update_donor_segment } from '../services/mockApi';
+import { use_auth } from '../context/AuthContext';
+
+interface SegmentMenuProps {
+  criteria: Record<string, string>; // the list's current filters, search and sort
+  on_apply: (criteria: Record<string, string>) => void;
+}
+
+// Saved donor segments: pick one to load its filters into the list, or save the current ones
+export const SegmentMenu: React.FC<SegmentMenuProps> = ({ criteria, on_apply }) => {
+  const { current_user, has_permission } = use_auth();
+  const [segments, set_segments] = useState<DonorSegment[]>([]);
+  const [selected_id, set_selected_id] = useState('');
+  const [is_busy, set_is_busy] = useState(false);
+  const [error, set_error] = useState<string | null>(null);
+
+  const can_write = has_permission('donors:segments:write');
+  const selected = segments.find(s => String(s.segment_id) === selected_id) ?? null;
+  const owns_selected = !!selected && !!current_user && selected.created_by_user_id === current_user.user_id;
+
+  useEffect(() => {
+    fetch_donor_segments()
+      .then(set_segments)
+      .catch(err => console.error(err));
+  }, []);
+
+  const run = async (action: () => Promise<void>) => {
+    set_error(null);
+    set_is_busy(true);
+    try {
+      await action();
+    } catch (err) {
+      console.error(err);
+      set_error(err instanceof Error && err.message ? err.message : 'Segment request failed.');
+    } finally {
+      set_is_busy(false);
+    }
+  };
+
+  const handle_select = (value: string) => {
+    set_selected_id(value);
+    const segment = segments.find(s => String(s.segment_id) === value);
+    if (segment) on_apply(segment.criteria);
+  };
+
+  const handle_save = () => {
+    const name = window.prompt('Name this segment (it keeps the current filters, search and sort):');
+    if (!name || !name.trim()) return;
+    const shared = window.confirm('Share this segment with everyone who can see donors?');
+    run(async () => {
+      const created = await create_donor_segment({ name: name.trim(), criteria, shared });
+      set_segments(prev => [...prev, created].sort((a, b) => a.name.localeCompare(b.name)));
+      set_selected_id(String(created.segment_id));
+    });
+  };
+
+  const handle_update = () => {
+    if (!selected || !window.confirm(`Replace the filters of "${selected.name}" with the current ones?`)) return;
+    run(async () => {
+      const updated = await update_donor_segment(selected.segment_id, { criteria });
+      set_segments(prev => prev.map(s => s.segment_id === updated.segment_id ? { ...s, ...updated } : s));
+    });
+  };
+
+  const handle_delete = () => {
+    if (!selected || !window.confirm(`Delete the segment "${selected.name}"?`)) return;
+    run(async () => {
+      await delete_donor_segment(selected.segment_id);
+      set_segments(prev => prev.filter(s => s.segment_id !== selected.segment_id));
+      set_selected_id('');
+    });
+  };
+
+  const button_classes = 'text-sm font-medium text-indigo-600 border border-indigo-200 px-3 py-2 rounded-lg hover:bg-indigo-50 disabled:opacity-50';
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select value={selected_id} onChange={e => handle_select(e.target.value)} className="p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm">
+        <option value="">Saved segments...</option>
+        {segments.map(s => (
+          <option key={s.segment_id} value={String(s.segment_id)}>
+            {s.name}{s.shared && s.created_by_user_id !== current_user?.user_id ? ` (${s.created_by_username ?? 'shared'})` : ''}
+          </option>
+        ))}
+      </select>
+      {can_write && <button onClick={handle_save} disabled={is_busy} className={button_classes}>Save Segment</button>}
+      {can_write && owns_selected && (
+        <>
+          <button onClick={handle_update} disabled={is_busy} className={button_classes}>Update</button>
+          <button onClick={handle_delete} disabled={is_busy} className="text-sm font-medium text-red-600 border border-red-200 px-3 py-2 rounded-lg hover:bg-red-50 disabled:opacity-50">Delete</button>
+        </>
+      )}
+      {error && <span className="text-xs text-red-600">{error}</span>}
+    </div>
+  );
+};
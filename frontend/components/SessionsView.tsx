@@ -0,0 +1,109 @@
+import React, { useEffect, useState } from 'react';
+import type { UserSession } from '../types';
+import { fetch_sessions, revoke_other_sessions, revoke_session } from '../services/mockApi';
+import { use_auth } from '../context/AuthContext';
+
+// "Chrome on Windows" from a user agent string; good enough to recognise a device
+const describe_device = (ua: string | null) => {
+  if (!ua) return 'Unknown device';
+  const browser = /Edg\//.test(ua) ? 'Edge' : /OPR\//.test(ua) ? 'Opera' : /Firefox\//.test(ua) ? 'Firefox'
+    : /Chrome\//.test(ua) ? 'Chrome' : /Safari\//.test(ua) ? 'Safari' : 'Browser';
+  const os = /Android/.test(ua) ? 'Android' : /iPhone|iPad/.test(ua) ? 'iOS' : /Windows/.test(ua) ? 'Windows'
+    : /Mac OS X/.test(ua) ? 'macOS' : /Linux/.test(ua) ? 'Linux' : 'unknown OS';
+  return `${browser} on ${os}`;
+};
+
+const format_time = (value: string | null) => value ? new Date(value).toLocaleString() : '—';
+
+export const SessionsView: React.FC = () => {
+  const { reload_user } = use_auth();
+  const [sessions, set_sessions] = useState<UserSession[]>([]);
+  const [loading, set_loading] = useState(true);
+  const [error, set_error] = useState<string | null>(null);
+  const [notice, set_notice] = useState<string | null>(null);
+
+  const load = async () => {
+    set_error(null);
+    try {
+      set_sessions(await fetch_sessions());
+    } catch (err) {
+      console.error(err);
+      set_error('Failed to load sessions. Please try again later.');
+    } finally {
+      set_loading(false);
+    }
+  };
+
+  useEffect(() => { load(); }, []);
+
+  const handle_revoke = async (session: UserSession) => {
+    const prompt = session.current ? 'Sign out of this session? You will need to log in again.' : `Sign out ${describe_device(session.device)}?`;
+    if (!window.confirm(prompt)) return;
+    set_error(null);
+    set_notice(null);
+    try {
+      await revoke_session(session.session_id);
+      // The current session is gone, so reloading the user falls back to the login screen
+      if (session.current) await reload_user();
+      else await load();
+    } catch (err) {
+      console.error(err);
+      set_error(err instanceof Error && err.message ? err.message : 'Failed to sign out the session.');
+    }
+  };
+
+  const handle_revoke_others = async () => {
+    if (!window.confirm('Sign out of every other session?')) return;
+    set_error(null);
+    try {
+      const count = await revoke_other_sessions();
+      set_notice(`Signed out of ${count} other session(s).`);
+      await load();
+    } catch (err) {
+      console.error(err);
+      set_error(err instanceof Error && err.message ? err.message : 'Failed to sign out other sessions.');
+    }
+  };
+
+  if (loading) return <div className="text-center p-8 text-gray-500">Loading sessions...</div>;
+
+  const has_others = sessions.some(s => !s.current);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 md:p-6 max-w-3xl">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-gray-800 mb-1">Active Sessions</h3>
+          <p className="text-sm text-gray-500">Every device you are signed in on. Sign out any you don't recognise.</p>
+        </div>
+        {has_others && (
+          <button onClick={handle_revoke_others} className="shrink-0 text-sm font-medium text-red-600 border border-red-200 px-4 py-2 rounded-lg hover:bg-red-50">
+            Sign Out All Others
+          </button>
+        )}
+      </div>
+      {error && <div className="mb-4 p-3 rounded-lg bg-red-50 text-red-600 text-sm">{error}</div>}
+      {notice && <div className="mb-4 p-3 rounded-lg bg-green-50 text-green-800 text-sm">{notice}</div>}
+
+      <ul className="divide-y divide-gray-100">
+        {sessions.map(session => (
+          <li key={session.session_id} className="flex items-center justify-between gap-4 py-3">
+            <div className="min-w-0">
+              <p className="font-medium text-gray-800">
+                {describe_device(session.device)}
+                {session.current && <span className="ml-2 text-xs font-semibold text-green-700 bg-green-50 px-2 py-0.5 rounded-full">This device</span>}
+              </p>
+              <p className="text-xs text-gray-500 truncate" title={session.device ?? ''}>
+                {session.ip_address ?? 'Unknown IP'} · signed in {format_time(session.created_at)} · last active {format_time(session.last_used_at ?? session.created_at)}
+              </p>
+            </div>
+            <button onClick={() => handle_revoke(session)} className="shrink-0 text-sm font-medium text-indigo-600 hover:text-indigo-800 px-2 py-1 rounded hover:bg-indigo-50">
+              Sign out
+            </button>
+          </li>
+        ))}
+      </ul>
+      {!sessions.length && <p className="text-gray-500">No active sessions.</p>}
+    </div>
+  );
+};
@@ -0,0 +1,229 @@
+import React, { useEffect, useState } from 'react';
+import type { FinancialStatement, FrfEntity, StatementColumn, StatementId, StatementPeriodParams, StatementRows } from '../types';
+import { export_statement, fetch_statement, fetch_statement_rows } from '../services/mockApi';
+import { use_auth } from '../context/AuthContext';
+
+interface StatementsViewProps {
+  on_open_record?: (entity_id: FrfEntity['id'], id: string) => void;
+}
+
+const STATEMENT_TABS: { id: StatementId, label: string }[] = [
+  { id: 'income_expenditure', label: 'Income & Expenditure' },
+  { id: 'receipts_payments', label: 'Receipts & Payments' },
+  { id: 'gst_input', label: 'GST Input' },
+];
+
+// Indian financial years run April–March and are named after the year they start in
+const current_fy = () => {
+  const now = new Date();
+  return now.getMonth() >= 3 ? now.getFullYear() : now.getFullYear() - 1;
+};
+const fy_label = (start: number) => `FY ${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+const FY_OPTIONS = Array.from({ length: 6 }, (_, i) => current_fy() - i);
+
+const format_cell = (column: StatementColumn, value: any) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (column.type === 'money') return `$${Number(value).toFixed(2)}`;
+  if (column.type === 'date') return String(value).slice(0, 10);
+  return String(value);
+};
+
+const cell_classes = (column: StatementColumn) =>
+  `p-2 text-sm md:px-4 ${column.type === 'money' || column.type === 'number' ? 'text-right whitespace-nowrap' : ''}`;
+
+// Auditor statements across every finance report and donation; click a figure to see the rows behind it
+export const StatementsView: React.FC<StatementsViewProps> = ({ on_open_record }) => {
+  const { has_permission } = use_auth();
+  const [statement_id, set_statement_id] = useState<StatementId>('income_expenditure');
+  const [use_range, set_use_range] = useState(false);
+  const [fy, set_fy] = useState(current_fy());
+  const [from, set_from] = useState('');
+  const [to, set_to] = useState('');
+  const [statement, set_statement] = useState<FinancialStatement | null>(null);
+  const [detail, set_detail] = useState<StatementRows | null>(null);
+  const [loading, set_loading] = useState(false);
+  const [error, set_error] = useState<string | null>(null);
+  const [is_exporting, set_is_exporting] = useState(false);
+
+  const period: StatementPeriodParams | null = use_range ? (from && to ? { from, to } : null) : { fy };
+  const period_key = period ? JSON.stringify(period) : '';
+
+  useEffect(() => {
+    if (!period) return;
+    let cancelled = false;
+    set_loading(true);
+    set_error(null);
+    set_detail(null);
+
+    fetch_statement(statement_id, period)
+      .then(result => { if (!cancelled) set_statement(result); })
+      .catch(err => {
+        if (cancelled) return;
+        console.error(err);
+        set_statement(null);
+        set_error(err instanceof Error && err.message ? err.message : 'Failed to load the statement.');
+      })
+      .finally(() => { if (!cancelled) set_loading(false); });
+
+    return () => { cancelled = true; };
+  }, [statement_id, period_key]);
+
+  const open_line = async (line: string) => {
+    if (!period) return;
+    set_error(null);
+    try {
+      set_detail(await fetch_statement_rows(line, period));
+    } catch (err) {
+      console.error(err);
+      set_error(err instanceof Error && err.message ? err.message : 'Failed to load the rows behind this figure.');
+    }
+  };
+
+  const handle_export = async (format: 'pdf' | 'xlsx') => {
+    if (!period) return;
+    set_is_exporting(true);
+    set_error(null);
+    try {
+      await export_statement(statement_id, period, format);
+    } catch (err) {
+      console.error(err);
+      set_error(err instanceof Error && err.message ? err.message : 'Export failed.');
+    } finally {
+      set_is_exporting(false);
+    }
+  };
+
+  const record_link = (row: Record<string, any>) => {
+    if (!on_open_record) return null;
+    if (row.finance_report_id && has_permission('finance:read')) return () => on_open_record('finance', row.finance_report_id);
+    if (row.donor_id && has_permission('donors:read')) return () => on_open_record('donors', row.donor_id);
+    return null;
+  };
+
+  const select_classes = 'p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm';
+  const button_classes = 'text-sm font-medium text-indigo-600 border border-indigo-200 px-4 py-2 rounded-lg hover:bg-indigo-50 disabled:opacity-50';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 md:p-6">
+      <div className="flex gap-2 mb-4 border-b border-gray-200 overflow-x-auto">
+        {STATEMENT_TABS.map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => set_statement_id(tab.id)}
+            className={`px-4 py-2 text-sm font-medium -mb-px border-b-2 whitespace-nowrap ${statement_id === tab.id ? 'border-indigo-600 text-indigo-600' : 'border-transparent text-gray-500 hover:text-indigo-600'}`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex flex-col lg:flex-row lg:items-center gap-2 mb-4">
+        <select value={use_range ? 'range' : 'fy'} onChange={e => set_use_range(e.target.value === 'range')} className={select_classes}>
+          <option value="fy">Financial year</option>
+          <option value="range">Date range</option>
+        </select>
+        {use_range ? (
+          <>
+            <input type="date" value={from} onChange={e => set_from(e.target.value)} className={select_classes} />
+            <span className="text-sm text-gray-500">to</span>
+            <input type="date" value={to} min={from || undefined} onChange={e => set_to(e.target.value)} className={select_classes} />
+          </>
+        ) : (
+          <select value={fy} onChange={e => set_fy(Number(e.target.value))} className={select_classes}>
+            {FY_OPTIONS.map(start => <option key={start} value={start}>{fy_label(start)}</option>)}
+          </select>
+        )}
+        <div className="lg:ml-auto flex gap-2">
+          <button onClick={() => handle_export('pdf')} disabled={!statement || is_exporting} className={button_classes}>Export PDF</button>
+          <button onClick={() => handle_export('xlsx')} disabled={!statement || is_exporting} className={button_classes}>Export XLSX</button>
+        </div>
+      </div>
+
+      {error && <div className="mb-4 p-3 rounded-lg bg-red-50 text-red-600 text-sm">{error}</div>}
+
+      {!period ? (
+        <p className="text-gray-500">Choose both dates to build the statement.</p>
+      ) : loading ? (
+        <div className="text-center py-10">Loading...</div>
+      ) : statement && (
+        <div>
+          <h3 className="text-lg font-bold text-gray-800">{statement.title}</h3>
+          <p className="text-sm text-gray-500 mb-4">{statement.period.label} ({statement.period.from} to {statement.period.to}) · Click a line to see its entries</p>
+
+          <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+            {statement.sections.map(section => (
+              <div key={section.title} className="overflow-x-auto">
+                <h4 className="font-semibold text-indigo-900 mb-2">{section.title}</h4>
+                <table className="w-full text-left table-auto">
+                  <thead className="bg-gray-50 border-b border-gray-200">
+                    <tr>
+                      {section.columns.map(c => <th key={c.key} className={`${cell_classes(c)} text-xs font-semibold text-gray-600 uppercase tracking-wider`}>{c.label}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {section.rows.map((row, i) => (
+                      <tr
+                        key={row.line ?? `row-${i}`}
+                        onClick={row.line ? () => open_line(row.line!) : undefined}
+                        className={`${row.line ? 'cursor-pointer hover:bg-indigo-50' : 'text-gray-500'} ${detail?.line === row.line ? 'bg-indigo-50' : ''}`}
+                      >
+                        {section.columns.map(c => <td key={c.key} className={cell_classes(c)}>{format_cell(c, row[c.key])}</td>)}
+                      </tr>
+                    ))}
+                    {!section.rows.length && (
+                      <tr><td colSpan={section.columns.length} className="p-2 text-sm text-gray-500 md:px-4">No entries in this period</td></tr>
+                    )}
+                  </tbody>
+                  {section.total && (
+                    <tfoot className="border-t-2 border-gray-300 font-semibold">
+                      <tr>{section.columns.map(c => <td key={c.key} className={cell_classes(c)}>{format_cell(c, section.total![c.key])}</td>)}</tr>
+                    </tfoot>
+                  )}
+                </table>
+              </div>
+            ))}
+          </div>
+
+          <div className="mt-6 p-3 bg-indigo-50 rounded-lg text-indigo-800 text-sm flex flex-col sm:flex-row sm:flex-wrap gap-2 sm:gap-6">
+            {statement.summary.map(item => (
+              <p key={item.label}>{item.label}: <span className="font-bold">${item.amount.toFixed(2)}</span></p>
+            ))}
+          </div>
+
+          {detail && (
+            <div className="mt-6 border border-gray-200 rounded-lg p-4">
+              <div className="flex items-start justify-between gap-4 mb-2">
+                <div>
+                  <h4 className="font-semibold text-gray-800">{detail.label}</h4>
+                  <p className="text-xs text-gray-500">
+                    {detail.rows.length} entries{detail.truncated ? ` (showing the first ${detail.rows.length}; export XLSX for all)` : ''}
+                  </p>
+                </div>
+                <button onClick={() => set_detail(null)} className="text-sm font-medium text-gray-600 px-3 py-1 rounded-lg hover:bg-gray-100">Close</button>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full text-left table-auto">
+                  <thead className="bg-gray-50 border-b border-gray-200">
+                    <tr>
+                      {detail.columns.map(c => <th key={c.key} className={`${cell_classes(c)} text-xs font-semibold text-gray-600 uppercase tracking-wider`}>{c.label}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {detail.rows.map((row, i) => {
+                      const open = record_link(row);
+                      return (
+                        <tr key={i} onClick={open ?? undefined} className={open ? 'cursor-pointer hover:bg-gray-50' : ''} title={open ? 'Open the record' : undefined}>
+                          {detail.columns.map(c => <td key={c.key} className={`${cell_classes(c)} text-gray-700`}>{format_cell(c, row[c.key])}</td>)}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from 'react';
+import type { AtRiskStudent, CohortGroup, FrfEntity, StudentCohort, StudentRiskFlag } from '../types';
+import { fetch_at_risk_students, fetch_student_cohorts } from '../services/mockApi';
+import { STUDENT_RISK_LABELS, STUDENT_RISK_STYLES } from '../constants';
+
+interface StudentProgressViewProps {
+  on_open_record?: (entity_id: FrfEntity['id'], id: string) => void;
+}
+
+const GROUP_LABELS: Record<CohortGroup, string> = { class: 'Class', section: 'Class & Section', school: 'School' };
+
+const format_score = (value: unknown) => value === null || value === undefined ? '—' : String(Number(value));
+
+// Cohorts by class, section or school and the students flagged at risk by the session-log rules
+export const StudentProgressView: React.FC<StudentProgressViewProps> = ({ on_open_record }) => {
+  const [group_by, set_group_by] = useState<CohortGroup>('class');
+  const [weeks, set_weeks] = useState<number | undefined>(undefined);
+  const [flag, set_flag] = useState<StudentRiskFlag | ''>('');
+  const [cohorts, set_cohorts] = useState<StudentCohort[]>([]);
+  const [students, set_students] = useState<AtRiskStudent[]>([]);
+  const [thresholds, set_thresholds] = useState<{ inactive_weeks: number, decline_points: number } | null>(null);
+  const [loading, set_loading] = useState(true);
+  const [error, set_error] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch_student_cohorts(group_by, weeks)
+      .then(data => { if (!cancelled) set_cohorts(data); })
+      .catch(err => {
+        console.error(err);
+        if (!cancelled) set_error('Failed to load cohorts. Please try again later.');
+      });
+    return () => { cancelled = true; };
+  }, [group_by, weeks]);
+
+  useEffect(() => {
+    let cancelled = false;
+    set_loading(true);
+    set_error(null);
+    fetch_at_risk_students({ flag: flag || undefined, weeks })
+      .then(data => {
+        if (cancelled) return;
+        set_students(data.students);
+        set_thresholds({ inactive_weeks: data.inactive_weeks, decline_points: data.decline_points });
+      })
+      .catch(err => {
+        console.error(err);
+        if (!cancelled) set_error('Failed to load at-risk students. Please try again later.');
+      })
+      .finally(() => { if (!cancelled) set_loading(false); });
+    return () => { cancelled = true; };
+  }, [flag, weeks]);
+
+  const th_classes = 'p-2 text-xs font-semibold text-gray-600 uppercase tracking-wider';
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-4 md:p-6">
+        <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+          <div>
+            <h3 className="text-lg font-bold text-gray-800 mb-1">Student Progress</h3>
+            <p className="text-sm text-gray-500">Worked out from session logs. Open a student for their score trend and attendance.</p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <select value={group_by} onChange={e => set_group_by(e.target.value as CohortGroup)} className="p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm">
+              {(Object.keys(GROUP_LABELS) as CohortGroup[]).map(g => <option key={g} value={g}>By {GROUP_LABELS[g]}</option>)}
+            </select>
+            <select value={weeks ?? ''} onChange={e => set_weeks(e.target.value ? Number(e.target.value) : undefined)} className="p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm">
+              <option value="">Default inactivity window</option>
+              {[2, 4, 6, 8, 12].map(n => <option key={n} value={n}>Inactive after {n} weeks</option>)}
+            </select>
+          </div>
+        </div>
+        {error && <div className="mb-4 p-3 rounded-lg bg-red-50 text-red-600 text-sm">{error}</div>}
+        {!cohorts.length ? (
+          <p className="text-gray-500">No students yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs uppercase tracking-wider text-gray-500 border-b">
+                  <th className="p-2">{GROUP_LABELS[group_by]}</th>
+                  <th className="p-2">Students</th>
+                  <th className="p-2">Attending</th>
+                  <th className="p-2">Sessions</th>
+                  <th className="p-2">Recent Sessions</th>
+                  <th className="p-2">AVG Score</th>
+                  <th className="p-2">AVG Understanding</th>
+                  <th className="p-2">At Risk</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {cohorts.map(c => (
+                  <tr key={c.cohort}>
+                    <td className="p-2 font-medium">{c.cohort}</td>
+                    <td className="p-2">{c.students}</td>
+                    <td className="p-2">{c.students_with_sessions}</td>
+                    <td className="p-2">{c.sessions}</td>
+                    <td className="p-2">{c.recent_sessions}</td>
+                    <td className="p-2 w-48">
+                      <div className="flex items-center gap-2">
+                        <span className="w-10">{format_score(c.average_score)}</span>
+                        <div className="flex-1 h-2 rounded-full bg-gray-100">
+                          <div className="h-2 rounded-full bg-indigo-500" style={{ width: `${Math.min(Number(c.average_score ?? 0), 100)}%` }} />
+                        </div>
+                      </div>
+                    </td>
+                    <td className="p-2">{format_score(c.average_understanding)}</td>
+                    <td className="p-2">
+                      {c.at_risk}
+                      {c.at_risk > 0 && <span className="text-gray-500"> ({c.declining} declining, {c.inactive} inactive)</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-4 md:p-6">
+        <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+          <div>
+            <h3 className="text-lg font-bold text-gray-800 mb-1">At-Risk Students</h3>
+            {thresholds && (
+              <p className="text-sm text-gray-500">
+                Last 3 scores averaging {thresholds.decline_points}+ points below the 3 before, or no session in {thresholds.inactive_weeks} weeks.
+              </p>
+            )}
+          </div>
+          <select value={flag} onChange={e => set_flag(e.target.value as StudentRiskFlag | '')} className="p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm">
+            <option value="">All flags</option>
+            {(Object.keys(STUDENT_RISK_LABELS) as StudentRiskFlag[]).map(f => <option key={f} value={f}>{STUDENT_RISK_LABELS[f]}</option>)}
+          </select>
+        </div>
+        {loading ? (
+          <div className="text-center p-8 text-gray-500">Loading at-risk students...</div>
+        ) : !students.length ? (
+          <p className="text-gray-500">No students are flagged.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-left table-auto text-sm">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className={th_classes}>Student</th>
+                  <th className={th_classes}>Class</th>
+                  <th className={th_classes}>School</th>
+                  <th className={th_classes}>Last Session</th>
+                  <th className={th_classes}>Last 3</th>
+                  <th className={th_classes}>Previous 3</th>
+                  <th className={th_classes}>Change</th>
+                  <th className={th_classes}>Flags</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {students.map(s => (
+                  <tr key={s.id}>
+                    <td className="p-2">
+                      {on_open_record
+                        ? <button onClick={() => on_open_record('students', s.id)} className="text-indigo-600 hover:underline text-left">{s.student_frf_name}</button>
+                        : s.student_frf_name}
+                    </td>
+                    <td className="p-2">{[s.class, s.section].filter(Boolean).join(' · ') || '—'}</td>
+                    <td className="p-2">{s.school || '—'}</td>
+                    <td className="p-2 whitespace-nowrap">
+                      {s.last_session_date ? `${s.last_session_date} (${s.days_since_last_session}d)` : 'Never'}
+                    </td>
+                    <td className="p-2">{format_score(s.recent_average)}</td>
+                    <td className="p-2">{format_score(s.previous_average)}</td>
+                    <td className={`p-2 ${Number(s.score_change) < 0 ? 'text-red-600' : ''}`}>{format_score(s.score_change)}</td>
+                    <td className="p-2 space-x-1 whitespace-nowrap">
+                      {s.risk_flags.map(f => (
+                        <span key={f} className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STUDENT_RISK_STYLES[f]}`}>{STUDENT_RISK_LABELS[f]}</span>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
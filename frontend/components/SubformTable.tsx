@@ -0,0 +1,305 @@
+import React, { useEffect, useState } from 'react';
+import type { LookupId, SubformColumn, SubformDefinition } from '../types';
+import { ApiError, create_subform_row, delete_subform_row, update_subform_row } from '../services/mockApi';
+import { use_auth } from '../context/AuthContext';
+import { use_lookups } from '../context/LookupsContext';
+
+type Row = Record<string, any>;
+type RowId = string | number;
+
+interface SubformTableProps {
+  definition?: SubformDefinition; // When set, rows can be added, edited and deleted inline
+  parent_id?: string;
+  columns?: { key: string, label: string }[]; // Read-only tables may pass plain columns instead
+  data: Row[];
+  set_data?: (updater: (rows: Row[]) => Row[]) => void;
+  format?: Record<string, (value: any, row: Row) => React.ReactNode>;
+  summary?: React.ReactNode;
+}
+
+const NEW_ROW = '__new__';
+
+// Client-side checks that mirror the backend child-row validators
+const validate_row = (columns: SubformColumn[], draft: Row): Record<string, string> => {
+  const errors: Record<string, string> = {};
+  for (const col of columns) {
+    if (col.read_only) continue;
+    const value = draft[col.key];
+    const is_empty = value === undefined || value === null || value === '';
+    if (col.required && is_empty) {
+      errors[col.key] = `${col.label} is required`;
+      continue;
+    }
+    if (col.type === 'number' && !is_empty) {
+      const num = Number(value);
+      if (isNaN(num)) errors[col.key] = 'Must be a number';
+      else if (col.min !== undefined && num < col.min) errors[col.key] = `Must be at least ${col.min}`;
+      else if (col.max !== undefined && num > col.max) errors[col.key] = `Must be at most ${col.max}`;
+    }
+  }
+  return errors;
+};
+
+// Empty inputs become null and numeric inputs become numbers before they're sent
+const to_payload = (columns: SubformColumn[], draft: Row): Row => {
+  const payload: Row = {};
+  for (const col of columns) {
+    if (col.read_only || !(col.key in draft)) continue;
+    const value = draft[col.key];
+    if (col.type === 'checkbox') payload[col.key] = !!value;
+    else if (value === '' || value === undefined) payload[col.key] = null;
+    else if (col.type === 'number') payload[col.key] = Number(value);
+    else payload[col.key] = value;
+  }
+  return payload;
+};
+
+type LookupLabel = (lookup: LookupId, value: unknown) => string;
+
+const display_value = (col: { key: string } & Partial<SubformColumn>, row: Row, lookup_label: LookupLabel, format?: SubformTableProps['format']) => {
+  const value = row[col.key];
+  if (format?.[col.key]) return format[col.key](value, row);
+  if (col.type === 'checkbox') return value === true || value === 'Yes' ? 'Yes' : 'No';
+  if (col.lookup) return lookup_label(col.lookup, value);
+  return value;
+};
+
+// Non-blocking warnings a save can return, e.g. a ledger row taking a project over budget
+const save_warnings = (response: Record<string, any> | undefined): string | null =>
+  Array.isArray(response?.budget_warnings) && response.budget_warnings.length ? response.budget_warnings.join(' ') : null;
+
+export const SubformTable: React.FC<SubformTableProps> = ({ definition, parent_id, columns, data, set_data, format, summary }) => {
+  const { has_permission } = use_auth();
+  const { lookup_options, lookup_label, reload_lookups } = use_lookups();
+  const editable = !!(definition && parent_id && set_data && has_permission(definition.permission));
+  const table_columns: ({ key: string, label: string } & Partial<SubformColumn>)[] = definition?.columns ?? columns ?? [];
+  const row_key = definition?.row_key ?? '';
+
+  const [editing_id, set_editing_id] = useState<RowId | null>(null);
+  const [draft, set_draft] = useState<Row>({});
+  const [row_errors, set_row_errors] = useState<Record<string, string>>({});
+  const [error, set_error] = useState<string | null>(null);
+  const [warning, set_warning] = useState<string | null>(null);
+  const [pending_ids, set_pending_ids] = useState<RowId[]>([]);
+
+  const has_lookups = !!definition?.columns.some(col => col.lookup);
+  useEffect(() => {
+    if (editable && has_lookups) reload_lookups();
+  }, [editable, has_lookups, reload_lookups]);
+
+  const mark_pending = (id: RowId, pending: boolean) =>
+    set_pending_ids(prev => pending ? [...prev, id] : prev.filter(p => p !== id));
+
+  const open_editor = (id: RowId, initial: Row, errors: Record<string, string> = {}) => {
+    set_editing_id(id);
+    set_draft(initial);
+    set_row_errors(errors);
+  };
+
+  const close_editor = () => {
+    set_editing_id(null);
+    set_draft({});
+    set_row_errors({});
+  };
+
+  const report_failure = (err: unknown, action: string) => {
+    console.error(err);
+    const message = err instanceof Error && err.message ? err.message : `Failed to ${action} row.`;
+    set_error(message);
+    return err instanceof ApiError ? err.field_errors : {};
+  };
+
+  const start_add = () => {
+    if (!definition) return;
+    const initial: Row = {};
+    definition.columns.forEach(col => { initial[col.key] = col.type === 'checkbox' ? false : ''; });
+    set_error(null);
+    open_editor(NEW_ROW, initial);
+  };
+
+  const start_edit = (row: Row) => {
+    if (!definition) return;
+    const initial: Row = {};
+    definition.columns.forEach(col => {
+      const value = row[col.key];
+      initial[col.key] = col.type === 'checkbox' ? value === true || value === 'Yes' : value ?? '';
+    });
+    set_error(null);
+    open_editor(row[row_key], initial);
+  };
+
+  const save_new = async (submitted: Row) => {
+    if (!definition || !parent_id || !set_data) return;
+    const payload = to_payload(definition.columns, submitted);
+    const temp_id = `tmp-${Date.now()}`;
+
+    // Optimistic insert, reconciled with the server row below
+    set_data(rows => [{ ...payload, [row_key]: temp_id }, ...rows]);
+    mark_pending(temp_id, true);
+    close_editor();
+
+    try {
+      const created = await create_subform_row(definition.id, parent_id, payload);
+      set_warning(save_warnings(created));
+      set_data(rows => rows.map(r => r[row_key] === temp_id ? { ...payload, ...created, [row_key]: created?.[row_key] ?? temp_id } : r));
+    } catch (err) {
+      set_data(rows => rows.filter(r => r[row_key] !== temp_id));
+      open_editor(NEW_ROW, submitted, report_failure(err, 'add'));
+    } finally {
+      mark_pending(temp_id, false);
+    }
+  };
+
+  const save_existing = async (id: RowId, submitted: Row) => {
+    if (!definition || !set_data) return;
+    const original = data.find(r => r[row_key] === id);
+    if (!original) return close_editor();
+
+    const payload = to_payload(definition.columns, submitted);
+    const changes: Row = {};
+    for (const [key, value] of Object.entries(payload)) {
+      const before = original[key];
+      const before_cmp = typeof value === 'boolean' ? before === true || before === 'Yes' : before ?? null;
+      if (String(before_cmp) !== String(value)) changes[key] = value;
+    }
+    if (!Object.keys(changes).length) return close_editor();
+
+    set_data(rows => rows.map(r => r[row_key] === id ? { ...r, ...changes } : r));
+    mark_pending(id, true);
+    close_editor();
+
+    try {
+      // The server may derive fields from the change (e.g. a pledge's standing)
+      const saved = await update_subform_row(definition.id, id, changes);
+      set_warning(save_warnings(saved));
+      set_data(rows => rows.map(r => r[row_key] === id ? { ...r, ...saved } : r));
+    } catch (err) {
+      set_data(rows => rows.map(r => r[row_key] === id ? original : r));
+      open_editor(id, submitted, report_failure(err, 'update'));
+    } finally {
+      mark_pending(id, false);
+    }
+  };
+
+  const handle_save = () => {
+    if (!definition || editing_id === null) return;
+    const errors = validate_row(definition.columns, draft);
+    if (Object.keys(errors).length) {
+      set_row_errors(errors);
+      return;
+    }
+    set_error(null);
+    set_warning(null);
+    if (editing_id === NEW_ROW) save_new(draft);
+    else save_existing(editing_id, draft);
+  };
+
+  const handle_delete = async (row: Row) => {
+    if (!definition || !set_data) return;
+    if (!window.confirm('Delete this row? This cannot be undone.')) return;
+    const id = row[row_key];
+    const index = data.findIndex(r => r[row_key] === id);
+
+    set_error(null);
+    set_data(rows => rows.filter(r => r[row_key] !== id));
+    try {
+      await delete_subform_row(definition.id, id);
+    } catch (err) {
+      report_failure(err, 'delete');
+      set_data(rows => {
+        const next = [...rows];
+        next.splice(Math.min(index, next.length), 0, row);
+        return next;
+      });
+    }
+  };
+
+  const render_input = (col: SubformColumn) => {
+    const value = draft[col.key];
+    const has_error = !!row_errors[col.key];
+    const classes = `w-full min-w-[6rem] p-1 border ${has_error ? 'border-red-500' : 'border-gray-300'} rounded focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm`;
+    const on_change = (v: any) => {
+      set_draft(prev => ({ ...prev, [col.key]: v }));
+      if (has_error) set_row_errors(prev => { const next = { ...prev }; delete next[col.key]; return next; });
+    };
+
+    if (col.read_only) return <span className="text-sm text-gray-500">{display_value(col, draft, lookup_label) || '—'}</span>;
+
+    switch (col.type) {
+      case 'checkbox':
+        return <input type="checkbox" checked={!!value} onChange={e => on_change(e.target.checked)} className="h-4 w-4" />;
+      case 'select':
+        return (
+          <select value={value ?? ''} onChange={e => on_change(e.target.value)} className={classes}>
+            <option value="">—</option>
+            {col.lookup
+              ? lookup_options(col.lookup).map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)
+              : col.options?.map(opt => <option key={opt} value={opt}>{opt}</option>)}
+          </select>
+        );
+      case 'textarea':
+        return <textarea value={value ?? ''} onChange={e => on_change(e.target.value)} className={classes} rows={2} />;
+      default:
+        return <input type={col.type} value={value ?? ''} min={col.min} max={col.max} onChange={e => on_change(e.target.value)} className={classes} />;
+    }
+  };
+
+  const render_editor_row = (key: RowId) => (
+    <tr key={String(key)} className="bg-indigo-50 align-top">
+      {definition!.columns.map(col => (
+        <td key={col.key} className="p-2">
+          {render_input(col)}
+          {row_errors[col.key] && <p className="mt-1 text-xs text-red-600">{row_errors[col.key]}</p>}
+        </td>
+      ))}
+      <td className="p-2 whitespace-nowrap">
+        <button onClick={handle_save} className="text-sm font-medium text-white bg-indigo-600 px-3 py-1 rounded hover:bg-indigo-700 mr-2">Save</button>
+        <button onClick={close_editor} className="text-sm font-medium text-gray-700 bg-gray-200 px-3 py-1 rounded hover:bg-gray-300">Cancel</button>
+      </td>
+    </tr>
+  );
+
+  return (
+    <div>
+        {editable && (
+          <div className="flex justify-end">
+            <button onClick={start_add} disabled={editing_id !== null} className="text-sm font-medium text-indigo-600 hover:text-indigo-800 px-3 py-1 rounded-lg hover:bg-indigo-50 disabled:opacity-50">
+              + Add Row
+            </button>
+          </div>
+        )}
+        {error && <div className="mt-2 text-sm text-red-600 bg-red-50 p-2 rounded-lg">{error}</div>}
+        {warning && <div className="mt-2 text-sm text-yellow-800 bg-yellow-50 p-2 rounded-lg">{warning}</div>}
+        <div className="overflow-x-auto">
+            <table className="w-full text-left table-auto mt-4">
+                <thead className="bg-gray-50">
+                    <tr>
+                      {table_columns.map(c => <th key={c.key} className="p-2 text-xs md:p-3 md:text-sm font-semibold text-gray-600 uppercase tracking-wider">{c.label}</th>)}
+                      {editable && <th className="p-2 md:p-3"></th>}
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                    {editing_id === NEW_ROW && render_editor_row(NEW_ROW)}
+                    {data.map((row, index) => {
+                        const id = editable ? row[row_key] : index;
+                        if (editable && editing_id === id) return render_editor_row(id);
+                        const is_pending = editable && pending_ids.includes(id);
+                        return (
+                          <tr key={String(id ?? index)} className={`hover:bg-gray-50 ${is_pending ? 'opacity-50' : ''}`}>
+                              {table_columns.map(c => <td key={c.key} className="p-2 text-sm md:p-3 text-gray-700">{display_value(c, row, lookup_label, format)}</td>)}
+                              {editable && (
+                                <td className="p-2 md:p-3 whitespace-nowrap text-sm">
+                                  <button onClick={() => start_edit(row)} disabled={is_pending || editing_id !== null} className="text-indigo-600 hover:underline mr-3 disabled:opacity-50">Edit</button>
+                                  <button onClick={() => handle_delete(row)} disabled={is_pending || editing_id !== null} className="text-red-600 hover:underline disabled:opacity-50">Delete</button>
+                                </td>
+                              )}
+                          </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+        {summary && <div className="mt-4 p-3 bg-indigo-50 rounded-lg text-indigo-800 font-semibold text-right text-sm md:text-base">{summary}</div>}
+    </div>
+  );
+};
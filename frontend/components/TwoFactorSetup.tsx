@@ -0,0 +1,140 @@
+import React, { useEffect, useState } from 'react';
+import type { TotpSetup } from '../types';
+import { ApiError } from '../services/mockApi';
+
+const error_text = (err: unknown, fallback: string) => {
+  if (err instanceof ApiError && Object.keys(err.field_errors).length) return Object.values(err.field_errors).join(' ');
+  return err instanceof Error && err.message ? err.message : fallback;
+};
+
+// Recovery codes are only ever shown once, right after they are generated
+export const RecoveryCodes: React.FC<{ codes: string[] }> = ({ codes }) => {
+  const [copied, set_copied] = useState(false);
+  const text = codes.join('\n');
+
+  const copy = async () => {
+    await navigator.clipboard.writeText(text);
+    set_copied(true);
+  };
+
+  const download = () => {
+    const url = URL.createObjectURL(new Blob([text + '\n'], { type: 'text/plain' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'recovery-codes.txt';
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-3">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator; they won't be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 p-3 bg-gray-50 border border-gray-200 rounded-lg font-mono text-sm text-gray-800 mb-3">
+        {codes.map(code => <li key={code}>{code}</li>)}
+      </ul>
+      <div className="flex gap-2">
+        <button type="button" onClick={copy} className="text-sm font-medium text-indigo-600 border border-indigo-200 px-3 py-1.5 rounded-lg hover:bg-indigo-50">
+          {copied ? 'Copied' : 'Copy'}
+        </button>
+        <button type="button" onClick={download} className="text-sm font-medium text-indigo-600 border border-indigo-200 px-3 py-1.5 rounded-lg hover:bg-indigo-50">
+          Download
+        </button>
+      </div>
+    </div>
+  );
+};
+
+interface TotpEnrolmentProps {
+  load_setup: () => Promise<TotpSetup>;
+  confirm: (code: string) => Promise<string[]>; // resolves to the new recovery codes
+  on_done: () => void;
+  done_label: string;
+}
+
+// QR provisioning, first-code confirmation, then the recovery codes
+export const TotpEnrolment: React.FC<TotpEnrolmentProps> = ({ load_setup, confirm, on_done, done_label }) => {
+  const [setup, set_setup] = useState<TotpSetup | null>(null);
+  const [code, set_code] = useState('');
+  const [is_saving, set_is_saving] = useState(false);
+  const [error, set_error] = useState<string | null>(null);
+  const [recovery_codes, set_recovery_codes] = useState<string[] | null>(null);
+
+  useEffect(() => {
+    load_setup()
+      .then(set_setup)
+      .catch(err => {
+        console.error(err);
+        set_error(error_text(err, 'Failed to start two-factor setup.'));
+      });
+  }, []);
+
+  const handle_submit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    set_is_saving(true);
+    set_error(null);
+    try {
+      set_recovery_codes(await confirm(code.trim()));
+    } catch (err) {
+      console.error(err);
+      set_error(error_text(err, 'Failed to enable two-factor authentication.'));
+    } finally {
+      set_is_saving(false);
+    }
+  };
+
+  if (recovery_codes) {
+    return (
+      <div className="space-y-4">
+        <RecoveryCodes codes={recovery_codes} />
+        <div className="flex justify-end">
+          <button onClick={on_done} className="text-sm font-medium bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700">
+            {done_label}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!setup) {
+    return error
+      ? <div className="p-3 rounded-lg bg-red-50 text-red-600 text-sm">{error}</div>
+      : <div className="text-center p-4 text-gray-500">Preparing two-factor setup...</div>;
+  }
+
+  return (
+    <form onSubmit={handle_submit} className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Scan this QR code with an authenticator app (Google Authenticator, Microsoft Authenticator, 1Password, ...), then enter the 6-digit code it shows.
+      </p>
+      <div className="flex flex-col items-center gap-2">
+        {setup.qr_code && <img src={setup.qr_code} alt="Authenticator QR code" className="w-44 h-44 border border-gray-200 rounded-lg" />}
+        <p className="text-xs text-gray-500">Can't scan it? Enter this key instead:</p>
+        <code className="text-sm font-mono tracking-wider text-gray-800 bg-gray-50 px-2 py-1 rounded break-all">{setup.secret}</code>
+      </div>
+      <label className="block">
+        <span className="text-sm font-medium text-gray-700">Authentication code</span>
+        <input
+          value={code}
+          onChange={e => set_code(e.target.value)}
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          maxLength={6}
+          required
+          className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm tracking-widest"
+        />
+      </label>
+      {error && <div className="p-3 rounded-lg bg-red-50 text-red-600 text-sm">{error}</div>}
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          disabled={is_saving || code.trim().length !== 6}
+          className="text-sm font-medium bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {is_saving ? 'Verifying...' : 'Enable Two-Factor'}
+        </button>
+      </div>
+    </form>
+  );
+};
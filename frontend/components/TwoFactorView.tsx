@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from 'react';
+import type { TwoFactorStatus } from '../types';
+import { ApiError, disable_2fa, enable_2fa, fetch_2fa_status, regenerate_recovery_codes, start_2fa_setup } from '../services/mockApi';
+import { RecoveryCodes, TotpEnrolment } from './TwoFactorSetup';
+
+const error_text = (err: unknown, fallback: string) => {
+  if (err instanceof ApiError && Object.keys(err.field_errors).length) return Object.values(err.field_errors).join(' ');
+  return err instanceof Error && err.message ? err.message : fallback;
+};
+
+// The signed-in user's own second factor: enrol, new recovery codes, turn off
+export const TwoFactorView: React.FC = () => {
+  const [status, set_status] = useState<TwoFactorStatus | null>(null);
+  const [error, set_error] = useState<string | null>(null);
+  const [is_enrolling, set_is_enrolling] = useState(false);
+  const [code, set_code] = useState('');
+  const [password, set_password] = useState('');
+  const [new_codes, set_new_codes] = useState<string[] | null>(null);
+  const [is_saving, set_is_saving] = useState(false);
+
+  const load = async () => {
+    set_error(null);
+    try {
+      set_status(await fetch_2fa_status());
+    } catch (err) {
+      console.error(err);
+      set_error('Failed to load two-factor settings. Please try again later.');
+    }
+  };
+
+  useEffect(() => { load(); }, []);
+
+  const run = async (action: () => Promise<void>, fallback: string) => {
+    set_is_saving(true);
+    set_error(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error(err);
+      set_error(error_text(err, fallback));
+    } finally {
+      set_is_saving(false);
+    }
+  };
+
+  const handle_regenerate = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      set_new_codes(await regenerate_recovery_codes(code.trim()));
+      set_code('');
+      await load();
+    }, 'Failed to generate recovery codes.');
+  };
+
+  const handle_disable = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!window.confirm('Turn off two-factor authentication?')) return;
+    run(async () => {
+      await disable_2fa(password);
+      set_password('');
+      set_new_codes(null);
+      await load();
+    }, 'Failed to turn off two-factor authentication.');
+  };
+
+  if (!status) {
+    return error
+      ? <div className="p-3 rounded-lg bg-red-50 text-red-600 text-sm max-w-xl">{error}</div>
+      : <div className="text-center p-8 text-gray-500">Loading two-factor settings...</div>;
+  }
+
+  const input_classes = 'mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm';
+  const button_classes = 'text-sm font-medium bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 md:p-6 max-w-xl space-y-6">
+      <div>
+        <h3 className="text-lg font-bold text-gray-800 mb-1">Two-Factor Authentication</h3>
+        <p className="text-sm text-gray-500">
+          {status.enabled
+            ? `Enabled${status.enabled_at ? ` since ${new Date(status.enabled_at).toLocaleDateString()}` : ''}. Sign-in asks for a code from your authenticator app.`
+            : 'Protect your account with a code from an authenticator app at sign-in.'}
+          {status.required && ' Your role requires it.'}
+        </p>
+      </div>
+      {error && <div className="p-3 rounded-lg bg-red-50 text-red-600 text-sm">{error}</div>}
+
+      {!status.enabled && (
+        is_enrolling ? (
+          <TotpEnrolment
+            load_setup={start_2fa_setup}
+            confirm={enable_2fa}
+            on_done={() => { set_is_enrolling(false); load(); }}
+            done_label="Done"
+          />
+        ) : (
+          <div className="flex justify-end">
+            <button onClick={() => set_is_enrolling(true)} className={button_classes}>Set Up Two-Factor</button>
+          </div>
+        )
+      )}
+
+      {status.enabled && (
+        <>
+          <div className="border-t border-gray-100 pt-4">
+            <h4 className="font-semibold text-gray-800 mb-1">Recovery codes</h4>
+            {new_codes ? (
+              <RecoveryCodes codes={new_codes} />
+            ) : (
+              <form onSubmit={handle_regenerate} className="space-y-3">
+                <p className="text-sm text-gray-500">
+                  {status.recovery_codes_left} unused code(s) left. Generating new codes replaces all of the old ones.
+                </p>
+                <label className="block">
+                  <span className="text-sm font-medium text-gray-700">Authentication code</span>
+                  <input value={code} onChange={e => set_code(e.target.value)} inputMode="numeric" autoComplete="one-time-code" maxLength={6} required className={input_classes} />
+                </label>
+                <div className="flex justify-end">
+                  <button type="submit" disabled={is_saving || code.trim().length !== 6} className={button_classes}>Generate New Codes</button>
+                </div>
+              </form>
+            )}
+          </div>
+
+          {!status.required && (
+            <form onSubmit={handle_disable} className="border-t border-gray-100 pt-4 space-y-3">
+              <h4 className="font-semibold text-gray-800">Turn off</h4>
+              <label className="block">
+                <span className="text-sm font-medium text-gray-700">Password</span>
+                <input type="password" value={password} onChange={e => set_password(e.target.value)} autoComplete="current-password" required className={input_classes} />
+              </label>
+              <div className="flex justify-end">
+                <button type="submit" disabled={is_saving || !password} className="text-sm font-medium text-red-600 border border-red-200 px-4 py-2 rounded-lg hover:bg-red-50 disabled:opacity-50">
+                  Turn Off Two-Factor
+                </button>
+              </div>
+            </form>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
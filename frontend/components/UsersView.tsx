@@ -0,0 +1,256 @@
+import React, { useEffect, useState } from 'react';
+import type { ManagedUser } from '../types';
+import { delete_user, fetch_roles, fetch_users, force_logout_user, reset_user_2fa, run_user_action, update_user } from '../services/mockApi';
+import { use_auth } from '../context/AuthContext';
+
+type Tab = 'pending' | 'all';
+
+const PAGE_SIZE = 25;
+
+const STATE_BADGES: Record<ManagedUser['account_state'], string> = {
+  active: 'bg-green-50 text-green-700',
+  locked: 'bg-yellow-50 text-yellow-800',
+  deactivated: 'bg-gray-100 text-gray-600',
+};
+
+const format_time = (value: string | null) => value ? new Date(value).toLocaleString() : '—';
+
+// Approval queue and account administration; restriction messages come from the backend as-is
+export const UsersView: React.FC = () => {
+  const { current_user, has_permission } = use_auth();
+  const [tab, set_tab] = useState<Tab>('pending');
+  const [users, set_users] = useState<ManagedUser[]>([]);
+  const [total, set_total] = useState(0);
+  const [loading, set_loading] = useState(true);
+  const [error, set_error] = useState<string | null>(null);
+  const [notice, set_notice] = useState<string | null>(null);
+  const [search_term, set_search_term] = useState('');
+  const [debounced_search, set_debounced_search] = useState('');
+  const [role_filter, set_role_filter] = useState('');
+  const [status_filter, set_status_filter] = useState('');
+  const [state_filter, set_state_filter] = useState('');
+  const [page, set_page] = useState(1);
+  const [reload_key, set_reload_key] = useState(0);
+  const [roles, set_roles] = useState<string[]>([]);
+
+  const can_manage_roles = has_permission('roles:manage');
+
+  useEffect(() => {
+    if (!can_manage_roles) return;
+    fetch_roles().then(rows => set_roles(rows.map(r => r.role_name))).catch(err => console.error(err));
+  }, [can_manage_roles]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      set_debounced_search(search_term);
+      set_page(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [search_term]);
+
+  useEffect(() => {
+    let cancelled = false;
+    set_loading(true);
+
+    const params = tab === 'pending'
+      ? { page, page_size: PAGE_SIZE, approval_status: 'PENDING', search: debounced_search, sort: 'created_at', order: 'asc' as const }
+      : { page, page_size: PAGE_SIZE, search: debounced_search, user_role: role_filter, approval_status: status_filter, account_state: state_filter };
+
+    fetch_users(params)
+      .then(result => {
+        if (cancelled) return;
+        set_users(result.users);
+        set_total(result.total);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error(err);
+        set_error('Failed to load users. Please try again later.');
+      })
+      .finally(() => {
+        if (!cancelled) set_loading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [tab, page, debounced_search, role_filter, status_filter, state_filter, reload_key]);
+
+  const switch_tab = (next: Tab) => {
+    set_tab(next);
+    set_page(1);
+    set_error(null);
+    set_notice(null);
+  };
+
+  // Runs an action, shows the backend's message either way and reloads the page
+  const act = async (action: () => Promise<string>) => {
+    set_error(null);
+    set_notice(null);
+    try {
+      set_notice(await action());
+      set_reload_key(k => k + 1);
+    } catch (err) {
+      console.error(err);
+      set_error(err instanceof Error && err.message ? err.message : 'The action failed.');
+    }
+  };
+
+  const handle_reject = (user: ManagedUser) => {
+    const reason = window.prompt(`Reject ${user.username}? Optionally give a reason for the email:`, '');
+    if (reason === null) return;
+    act(() => run_user_action(user.user_id, 'reject', { reason: reason.trim() || undefined }));
+  };
+
+  const handle_lock = (user: ManagedUser) => {
+    const hours = window.prompt(`Lock ${user.username} for how many hours?`, '24');
+    if (hours === null) return;
+    act(() => run_user_action(user.user_id, 'lock', { hours: Number(hours) }));
+  };
+
+  const handle_role_change = (user: ManagedUser, role: string) => {
+    if (!window.confirm(`Change ${user.username}'s role to ${role}?`)) return;
+    act(async () => {
+      await update_user(user.user_id, { user_role: role });
+      return `${user.username} is now ${role}.`;
+    });
+  };
+
+  const confirm_then = (prompt: string, action: () => Promise<string>) => {
+    if (window.confirm(prompt)) act(action);
+  };
+
+  const total_pages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+  const select_classes = 'p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm';
+  const action_classes = 'text-xs font-medium text-indigo-600 hover:text-indigo-800 px-2 py-1 rounded hover:bg-indigo-50';
+  const danger_classes = 'text-xs font-medium text-red-600 hover:text-red-800 px-2 py-1 rounded hover:bg-red-50';
+
+  const render_actions = (user: ManagedUser) => {
+    if (tab === 'pending') {
+      return has_permission('users:approve') && (
+        <>
+          <button onClick={() => act(() => run_user_action(user.user_id, 'approve'))} className={action_classes}>Approve</button>
+          <button onClick={() => handle_reject(user)} className={danger_classes}>Reject</button>
+        </>
+      );
+    }
+    if (user.user_id === current_user?.user_id) return <span className="text-xs text-gray-400">You</span>;
+    return (
+      <>
+        {has_permission('users:update') && (user.account_state === 'locked'
+          ? <button onClick={() => act(() => run_user_action(user.user_id, 'unlock'))} className={action_classes}>Unlock</button>
+          : <button onClick={() => handle_lock(user)} className={action_classes}>Lock</button>)}
+        {has_permission('users:deactivate') && (user.account_state === 'deactivated'
+          ? <button onClick={() => act(() => run_user_action(user.user_id, 'reactivate'))} className={action_classes}>Reactivate</button>
+          : <button onClick={() => confirm_then(`Deactivate ${user.username}? They are signed out and can't log in until reactivated.`, () => run_user_action(user.user_id, 'deactivate'))} className={danger_classes}>Deactivate</button>)}
+        {has_permission('users:reset_2fa') && user.two_factor_enabled && (
+          <button onClick={() => confirm_then(`Reset ${user.username}'s two-factor authentication?`, () => reset_user_2fa(user.user_id))} className={action_classes}>Reset 2FA</button>
+        )}
+        {has_permission('users:force_logout') && (
+          <button onClick={() => confirm_then(`Sign ${user.username} out of every session?`, () => force_logout_user(user.user_id))} className={action_classes}>Sign out</button>
+        )}
+        {has_permission('users:delete') && (
+          <button
+            onClick={() => confirm_then(`Delete ${user.username} permanently?`, async () => { await delete_user(user.user_id); return `${user.username} deleted.`; })}
+            className={danger_classes}
+          >
+            Delete
+          </button>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 md:p-6">
+      <div className="flex gap-2 mb-4 border-b border-gray-200">
+        {(['pending', 'all'] as Tab[]).map(t => (
+          <button
+            key={t}
+            onClick={() => switch_tab(t)}
+            className={`px-4 py-2 text-sm font-medium -mb-px border-b-2 ${tab === t ? 'border-indigo-600 text-indigo-600' : 'border-transparent text-gray-500 hover:text-indigo-600'}`}
+          >
+            {t === 'pending' ? 'Pending Approval' : 'All Users'}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex flex-col lg:flex-row gap-2 mb-4">
+        <input
+          type="text"
+          placeholder="Search username or email..."
+          value={search_term}
+          onChange={e => set_search_term(e.target.value)}
+          className="w-full lg:w-2/5 p-2 border border-gray-300 rounded-lg bg-gray-50"
+        />
+        {tab === 'all' && (
+          <>
+            <select value={role_filter} onChange={e => { set_role_filter(e.target.value); set_page(1); }} className={select_classes}>
+              <option value="">All roles</option>
+              {(roles.length ? roles : ['member', 'finance', 'admin', 'super_admin']).map(r => <option key={r} value={r}>{r}</option>)}
+            </select>
+            <select value={status_filter} onChange={e => { set_status_filter(e.target.value); set_page(1); }} className={select_classes}>
+              <option value="">Any approval</option>
+              {['UNVERIFIED', 'PENDING', 'APPROVED', 'REJECTED'].map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+            <select value={state_filter} onChange={e => { set_state_filter(e.target.value); set_page(1); }} className={select_classes}>
+              <option value="">Any state</option>
+              {['active', 'locked', 'deactivated'].map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+          </>
+        )}
+      </div>
+
+      {error && <div className="mb-4 p-3 rounded-lg bg-red-50 text-red-600 text-sm">{error}</div>}
+      {notice && <div className="mb-4 p-3 rounded-lg bg-green-50 text-green-800 text-sm">{notice}</div>}
+
+      <div className="overflow-x-auto">
+        {loading ? (
+          <div className="text-center py-10">Loading...</div>
+        ) : !users.length ? (
+          <div className="text-center py-10 text-gray-500">{tab === 'pending' ? 'No accounts are waiting for approval.' : 'No users match these filters.'}</div>
+        ) : (
+          <table className="w-full text-left table-auto">
+            <thead className="bg-gray-50 border-b border-gray-200">
+              <tr>
+                {['User', 'Role', 'Status', tab === 'pending' ? 'Registered' : 'Last login', ''].map((label, i) => (
+                  <th key={i} className="p-2 text-xs md:p-4 md:text-sm font-semibold text-gray-600 uppercase tracking-wider">{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {users.map(user => (
+                <tr key={user.user_id} className="hover:bg-gray-50 transition-colors">
+                  <td className="p-2 text-sm md:p-4">
+                    <p className="font-medium text-gray-800">{user.username}</p>
+                    <p className="text-xs text-gray-500">{user.email}</p>
+                  </td>
+                  <td className="p-2 text-sm md:p-4 text-gray-700">
+                    {tab === 'all' && can_manage_roles && roles.length > 0 && user.user_id !== current_user?.user_id ? (
+                      <select value={user.user_role} onChange={e => handle_role_change(user, e.target.value)} className="p-1 border border-gray-300 rounded-lg bg-gray-50 text-sm">
+                        {roles.map(r => <option key={r} value={r}>{r}</option>)}
+                      </select>
+                    ) : user.user_role}
+                  </td>
+                  <td className="p-2 text-sm md:p-4">
+                    <span className="text-xs text-gray-600 mr-2">{user.approval_status}</span>
+                    <span className={`text-xs font-semibold px-2 py-0.5 rounded-full ${STATE_BADGES[user.account_state]}`}>{user.account_state}</span>
+                    {user.two_factor_enabled && <span className="ml-2 text-xs text-indigo-600" title="Two-factor authentication is on">2FA</span>}
+                  </td>
+                  <td className="p-2 text-sm md:p-4 text-gray-700">{format_time(tab === 'pending' ? user.created_at : user.last_login_at)}</td>
+                  <td className="p-2 md:p-4 text-right whitespace-nowrap">{render_actions(user)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {total > PAGE_SIZE && (
+        <div className="flex justify-end items-center gap-2 mt-4 pt-4 border-t border-gray-200 text-sm text-gray-600">
+          <button onClick={() => set_page(page - 1)} disabled={page <= 1 || loading} className="px-3 py-1 rounded-lg border border-gray-300 hover:bg-indigo-50 disabled:opacity-50 disabled:cursor-not-allowed">Previous</button>
+          <span>Page {page} of {total_pages}</span>
+          <button onClick={() => set_page(page + 1)} disabled={page >= total_pages || loading} className="px-3 py-1 rounded-lg border border-gray-300 hover:bg-indigo-50 disabled:opacity-50 disabled:cursor-not-allowed">Next</button>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -1,5 +1,5 @@
 import React from 'react';
-import type { FrfEntity } from './types';
+import type { FrfEntity, PledgeStanding, StudentRiskFlag, SubformDefinition, SubformId } from './types';
 
 // SVG Icons as JSX Components
 export const STUDENTS_ICON = (
@@ -20,6 +20,9 @@ export const PROJECTS_ICON = (
 export const FINANCE_ICON = (
     <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" /></svg>
 );
+export const CAMPAIGNS_ICON = (
+    <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5.882V19.24a1.76 1.76 0 01-3.417.592l-2.147-6.15M18 13a3 3 0 100-6M5.436 13.683A4.001 4.001 0 017 6h1.832c4.1 0 7.625-1.234 9.168-3v14c-1.543-1.766-5.067-3-9.168-3H7a3.988 3.988 0 01-1.564-.317z" /></svg>
+);
 
 export const NGO_ICON = (
     <svg xmlns="http://www.w3.org/2000/svg" className="h-full w-full" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="1.5" d="M3.055 11H5a2 2 0 012 2v1a2 2 0 002 2h10a2 2 0 002-2v-1a2 2 0 012-2h1.945M7.704 4.144a9.026 9.026 0 011.15-1.596 9.027 9.027 0 013.336-2.149 9.027 9.027 0 013.465 0 9.027 9.027 0 013.336 2.15 9.026 9.026 0 011.15 1.595M12 21v-6m0 0l-3-3m3 3l3-3" /></svg>
@@ -31,13 +34,17 @@ export const FRF_ENTITIES: FrfEntity[] = [
     name: 'Students', 
     icon: STUDENTS_ICON, 
     summary_fields: ['student_frf_name', 'class', 'section', 'avg_overall_score'],
+    importable: true,
     filters: [
       { key: 'student_frf_name', label: 'Student Name', type: 'az' },
+      { key: 'student_frf_owner', label: 'FRF Owner', type: 'user' },
       { key: 'class', label: 'Class', type: 'dropdown', options: ['Class 5', 'Class 6', 'Class 7', 'Class 8', 'Class 9'] },
       { key: 'section', label: 'Section', type: 'dropdown', options: ['A', 'B', 'C', 'D'] },
       { key: 'avg_overall_score', label: 'AVG Overall Score', type: 'range' },
+      { key: 'risk_flags', label: 'At Risk', type: 'dropdown', options: ['declining', 'inactive'] },
     ],
     create_fields: [
+      { key: 'id', label: 'Student ID', type: 'text', required: true, read_only_on_edit: true },
       { key: 'student_frf_name', label: 'Student Name', type: 'text', required: true },
       { key: 'email', label: 'Email', type: 'text', required: true },
       { key: 'date_of_birth', label: 'Date of Birth', type: 'date', required: true },
@@ -53,13 +60,15 @@ export const FRF_ENTITIES: FrfEntity[] = [
     name: 'Volunteers', 
     icon: VOLUNTEERS_ICON, 
     summary_fields: ['volunteer_frf_name', 'email', 'volunteer_frf_owner', 'modified_date'],
+    importable: true,
     filters: [
         { key: 'volunteer_frf_name', label: 'Volunteer Name', type: 'az' },
         { key: 'email', label: 'Email', type: 'text' },
-        { key: 'volunteer_frf_owner', label: 'FRF Owner', type: 'text' },
+        { key: 'volunteer_frf_owner', label: 'FRF Owner', type: 'user' },
         { key: 'modified_date', label: 'Modified Time', type: 'daterange' },
     ],
     create_fields: [
+      { key: 'id', label: 'Volunteer ID', type: 'text', required: true, read_only_on_edit: true },
       { key: 'volunteer_frf_name', label: 'Volunteer Name', type: 'text', required: true },
       { key: 'email', label: 'Email', type: 'text', required: true },
       { key: 'gender', label: 'Gender', type: 'select', options: ['Male', 'Female', 'Other'] },
@@ -73,20 +82,31 @@ export const FRF_ENTITIES: FrfEntity[] = [
     id: 'donors', 
     name: 'Donors', 
     icon: DONORS_ICON, 
-    summary_fields: ['donor_frf_name', 'email', 'donor_frf_owner', 'modified_date'],
+    summary_fields: ['donor_frf_name', 'email', 'donor_frf_owner', 'lifetime_giving', 'gift_count', 'average_gift', 'last_gift_date', 'giving_segment', 'modified_date'],
+    money_fields: ['lifetime_giving', 'average_gift'],
+    importable: true,
+    segments: true,
     filters: [
         { key: 'donor_frf_name', label: 'Donor Name', type: 'az' },
         { key: 'email', label: 'Email', type: 'text' },
-        { key: 'donor_frf_owner', label: 'FRF Owner', type: 'text' },
+        { key: 'donor_frf_owner', label: 'FRF Owner', type: 'user' },
+        { key: 'pledge_standing', label: 'Pledge Status', type: 'dropdown', options: ['current', 'overdue', 'lapsed'] },
+        { key: 'giving_segment', label: 'Giving Segment', type: 'dropdown', options: ['Champions', 'Loyal', 'New', 'Promising', 'At risk', 'Hibernating', 'Lost'] },
+        { key: 'lifetime_giving', label: 'Lifetime Giving', type: 'range' },
+        { key: 'gift_count', label: 'Number of Gifts', type: 'range' },
+        { key: 'last_gift_date', label: 'Last Gift', type: 'daterange' },
+        { key: 'campaign_ids', label: 'Campaign', type: 'dropdown', lookup: 'campaigns' },
         { key: 'modified_date', label: 'Modified Time', type: 'daterange' },
     ],
     create_fields: [
+      { key: 'id', label: 'Donor ID', type: 'text', required: true, read_only_on_edit: true },
       { key: 'donor_frf_name', label: 'Donor Name', type: 'text', required: true },
       { key: 'email', label: 'Email', type: 'text', required: true },
-      { key: 'type', label: 'Type', type: 'select', options: ['Individual', 'Corporate'], required: true },
+      { key: 'donor_type', label: 'Type', type: 'select', options: ['Individual', 'Corporate'], required: true },
       { key: 'contact_person', label: 'Contact Person (if corporate)', type: 'text' },
       { key: 'contact_number', label: 'Contact Number', type: 'text', required: true },
       { key: 'address', label: 'Address', type: 'textarea' },
+      { key: 'pan', label: 'PAN', type: 'text' },
     ],
   },
   { 
@@ -97,7 +117,7 @@ export const FRF_ENTITIES: FrfEntity[] = [
     filters: [
         { key: 'board_frf_name', label: 'Board Member Name', type: 'az' },
         { key: 'email', label: 'Email', type: 'text' },
-        { key: 'board_frf_owner', label: 'FRF Owner', type: 'text' },
+        { key: 'board_frf_owner', label: 'FRF Owner', type: 'user' },
         { key: 'modified_date', label: 'Modified Time', type: 'daterange' },
     ],
     create_fields: [
@@ -117,16 +137,17 @@ export const FRF_ENTITIES: FrfEntity[] = [
     filters: [
         { key: 'project_frf_name', label: 'Project Name', type: 'az' },
         { key: 'email', label: 'Email', type: 'text' },
-        { key: 'project_frf_owner', label: 'FRF Owner', type: 'text' },
+        { key: 'project_frf_owner', label: 'FRF Owner', type: 'user' },
         { key: 'modified_date', label: 'Modified Time', type: 'daterange' },
     ],
     create_fields: [
+      { key: 'id', label: 'Project ID', type: 'text', required: true, read_only_on_edit: true },
       { key: 'project_frf_name', label: 'Project Name', type: 'text', required: true },
       { key: 'email', label: 'Contact Email', type: 'text' },
       { key: 'status', label: 'Status', type: 'select', options: ['Planning', 'Ongoing', 'Completed', 'On-Hold'], required: true },
       { key: 'start_date', label: 'Start Date', type: 'date', required: true },
       { key: 'location', label: 'Location', type: 'text', required: true },
-      { key: 'responsible_officer', label: 'Responsible Officer', type: 'text', required: true },
+      { key: 'responsible_officer_user_id', label: 'Responsible Officer (User ID)', type: 'number' },
       { key: 'objective', label: 'Objective', type: 'textarea' },
       { key: 'budget', label: 'Budget', type: 'number' },
     ],
@@ -139,13 +160,167 @@ export const FRF_ENTITIES: FrfEntity[] = [
     filters: [
         { key: 'finance_report_frf_name', label: 'Report Name', type: 'az' },
         { key: 'email', label: 'Email', type: 'text' },
-        { key: 'finance_report_frf_owner', label: 'FRF Owner', type: 'text' },
+        { key: 'finance_report_frf_owner', label: 'FRF Owner', type: 'user' },
+        { key: 'campaign_id', label: 'Campaign', type: 'dropdown', lookup: 'campaigns' },
         { key: 'modified_date', label: 'Modified Time', type: 'daterange' },
     ],
     create_fields: [
+      { key: 'id', label: 'Report ID', type: 'text', required: true, read_only_on_edit: true },
       { key: 'finance_report_frf_name', label: 'Report Name', type: 'text', required: true },
-      { key: 'project_name', label: 'Project Name', type: 'text', required: true },
+      { key: 'project_id', label: 'Project', type: 'select', required: true, lookup: 'projects' },
+      { key: 'campaign_id', label: 'Campaign', type: 'select', lookup: 'campaigns' },
       { key: 'email', label: 'Contact Email', type: 'text' },
     ],
   },
-];
\ No newline at end of file
+  {
+    id: 'campaigns',
+    name: 'Campaigns',
+    icon: CAMPAIGNS_ICON,
+    summary_fields: ['campaign_frf_name', 'campaign_frf_owner', 'status', 'start_date', 'end_date', 'goal_amount', 'raised', 'percent_of_goal', 'donor_count'],
+    money_fields: ['goal_amount', 'raised'],
+    filters: [
+        { key: 'campaign_frf_name', label: 'Campaign Name', type: 'az' },
+        { key: 'campaign_frf_owner', label: 'FRF Owner', type: 'user' },
+        { key: 'status', label: 'Status', type: 'dropdown', options: ['Upcoming', 'Active', 'Ended'] },
+        { key: 'channel', label: 'Channel', type: 'dropdown', options: ['Email', 'Social media', 'Event', 'Direct mail', 'Phone', 'Website', 'Corporate outreach', 'Other'] },
+        { key: 'start_date', label: 'Start Date', type: 'daterange' },
+        { key: 'raised', label: 'Raised', type: 'range' },
+        { key: 'percent_of_goal', label: '% of Goal', type: 'range' },
+        { key: 'modified_date', label: 'Modified Time', type: 'daterange' },
+    ],
+    create_fields: [
+      { key: 'id', label: 'Campaign ID', type: 'text', required: true, read_only_on_edit: true },
+      { key: 'campaign_frf_name', label: 'Campaign Name', type: 'text', required: true },
+      { key: 'goal_amount', label: 'Goal', type: 'number', required: true },
+      { key: 'start_date', label: 'Start Date', type: 'date', required: true },
+      { key: 'end_date', label: 'End Date', type: 'date' },
+      { key: 'channel', label: 'Channel', type: 'select', options: ['Email', 'Social media', 'Event', 'Direct mail', 'Phone', 'Website', 'Corporate outreach', 'Other'] },
+      { key: 'project_id', label: 'Project', type: 'select', lookup: 'projects' },
+      { key: 'description', label: 'Description', type: 'textarea' },
+    ],
+  },
+];
+
+// Editable child-row tables shown on the detail pages
+export const SUBFORMS: Record<SubformId, SubformDefinition> = {
+  session_logs: {
+    id: 'session_logs',
+    permission: 'students:session_logs:write',
+    record_key: 'session_logs',
+    row_key: 'session_log_id',
+    columns: [
+      { key: 'session_date', label: 'Date', type: 'date', required: true },
+      { key: 'course', label: 'Course', type: 'text' },
+      { key: 'topic_covered', label: 'Topic Covered', type: 'text' },
+      { key: 'interest_level', label: 'Interest Level', type: 'select', options: ['Low', 'Medium', 'High'] },
+      { key: 'challenges_faced', label: 'Challenges Faced', type: 'text' },
+      { key: 'understanding_level', label: 'Understanding (1-5)', type: 'number', min: 1, max: 5 },
+      { key: 'overall_score', label: 'Score', type: 'number', min: 0, max: 100 },
+      { key: 'remarks', label: 'Remarks', type: 'text' },
+      { key: 'feedback', label: 'Feedback', type: 'text' },
+      { key: 'home_work', label: 'Homework', type: 'text' },
+    ],
+  },
+  volunteer_attendance: {
+    id: 'volunteer_attendance',
+    permission: 'volunteers:attendance:write',
+    record_key: 'attendance_logs',
+    row_key: 'attendance_id',
+    columns: [
+      { key: 'attendance_date', label: 'Date', type: 'date', required: true },
+      { key: 'attendance_status', label: 'Attendance', type: 'select', options: ['Present', 'Absent'], required: true },
+      { key: 'performance', label: 'Performance', type: 'text' },
+      { key: 'remarks', label: 'Remarks', type: 'text' },
+    ],
+  },
+  donations: {
+    id: 'donations',
+    permission: 'donors:donations:write',
+    record_key: 'donations',
+    row_key: 'donation_id',
+    columns: [
+      { key: 'donation_date', label: 'Date', type: 'date', required: true },
+      { key: 'transaction_id', label: 'Transaction ID', type: 'text' },
+      { key: 'purpose', label: 'Purpose', type: 'text' },
+      { key: 'receipt_number', label: 'Receipt No.', type: 'text', read_only: true },
+      { key: '80g_receipt_issued', label: '80G Receipt Issued', type: 'checkbox', read_only: true },
+      { key: 'acknowledgment_sent', label: 'Acknowledgement Sent', type: 'checkbox', read_only: true },
+      { key: 'donor_feedback', label: 'Feedback', type: 'text' },
+      { key: 'remarks', label: 'Remarks', type: 'text' },
+      { key: 'amount', label: 'Amount', type: 'number', required: true, min: 0 },
+      { key: 'pledge_id', label: 'Pledge #', type: 'number', min: 1 },
+      { key: 'campaign_id', label: 'Campaign', type: 'select', lookup: 'campaigns' },
+    ],
+  },
+  pledges: {
+    id: 'pledges',
+    permission: 'donors:pledges:write',
+    record_key: 'pledges',
+    row_key: 'pledge_id',
+    columns: [
+      { key: 'pledge_id', label: 'Pledge #', type: 'number', read_only: true },
+      { key: 'amount', label: 'Amount', type: 'number', required: true, min: 0 },
+      { key: 'frequency', label: 'Frequency', type: 'select', options: ['monthly', 'quarterly', 'annual'], required: true },
+      { key: 'start_date', label: 'Start', type: 'date', required: true },
+      { key: 'end_date', label: 'End', type: 'date' },
+      { key: 'channel', label: 'Channel', type: 'select', options: ['Bank transfer', 'UPI', 'Cheque', 'Card', 'Cash', 'Online'] },
+      { key: 'purpose', label: 'Purpose', type: 'text' },
+      { key: 'status', label: 'Status', type: 'select', options: ['active', 'paused', 'cancelled'] },
+      { key: 'standing', label: 'Standing', type: 'text', read_only: true },
+      { key: 'remarks', label: 'Remarks', type: 'text' },
+    ],
+  },
+  project_attendance: {
+    id: 'project_attendance',
+    permission: 'projects:attendance:write',
+    record_key: 'attendance_logs',
+    row_key: 'project_attendance_log_id',
+    columns: [
+      { key: 'log_date', label: 'Date', type: 'date', required: true },
+      { key: 'attent_list', label: 'Attended', type: 'text' },
+      { key: 'absent_list', label: 'Absent', type: 'text' },
+      { key: 'overall', label: 'Overall', type: 'text' },
+      { key: 'remarks', label: 'Remarks', type: 'text' },
+    ],
+  },
+  transactions: {
+    id: 'transactions',
+    permission: 'finance:transactions:write',
+    record_key: 'transactions',
+    row_key: 'transaction_id',
+    columns: [
+      { key: 'transaction_date', label: 'Date', type: 'date', required: true },
+      { key: 'name', label: 'Name', type: 'text' },
+      { key: 'income_amount', label: 'Income', type: 'number', min: 0 },
+      { key: 'expense_amount', label: 'Expense', type: 'number', min: 0 },
+      { key: 'bill_transaction_id', label: 'Bill/Txn ID', type: 'text' },
+      { key: 'gst', label: 'GST', type: 'number', min: 0, max: 100 },
+      { key: 'category_id', label: 'Category', type: 'select', lookup: 'expense_categories' },
+      { key: 'project_id', label: 'Project', type: 'select', lookup: 'projects' },
+      { key: 'status', label: 'Status', type: 'select', options: ['posted', 'draft'] },
+      { key: 'remarks', label: 'Remarks', type: 'text' },
+      { key: 'other_details', label: 'Other Details', type: 'text' },
+    ],
+  },
+};
+
+// Badge colours for a pledge's standing (donor page and Pledge Dues)
+export const PLEDGE_STANDING_STYLES: Record<PledgeStanding, string> = {
+  current: 'bg-green-100 text-green-800',
+  overdue: 'bg-yellow-100 text-yellow-800',
+  lapsed: 'bg-red-100 text-red-800',
+  completed: 'bg-indigo-100 text-indigo-800',
+  paused: 'bg-gray-100 text-gray-700',
+  cancelled: 'bg-gray-100 text-gray-500',
+};
+
+// Badge colours and labels for a student's risk flags (student page and Student Progress)
+export const STUDENT_RISK_STYLES: Record<StudentRiskFlag, string> = {
+  declining: 'bg-red-100 text-red-800',
+  inactive: 'bg-yellow-100 text-yellow-800',
+};
+
+export const STUDENT_RISK_LABELS: Record<StudentRiskFlag, string> = {
+  declining: 'Scores declining',
+  inactive: 'No recent sessions',
+};
@@ -0,0 +1,68 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import type { CurrentUser, LoginStep } from '../types';
+import { fetch_current_user, login as api_login, logout as api_logout, set_session_expired_handler } from '../services/mockApi';
+
+interface AuthContextValue {
+  current_user: CurrentUser | null;
+  loading: boolean;
+  login: (email: string, password: string) => Promise<LoginStep>;
+  logout: () => Promise<void>;
+  reload_user: () => Promise<void>;
+  has_permission: (permission: string) => boolean;
+}
+
+const AuthContext = createContext<AuthContextValue | null>(null);
+
+export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
+  const [current_user, set_current_user] = useState<CurrentUser | null>(null);
+  const [loading, set_loading] = useState(true);
+
+  const reload_user = useCallback(async () => {
+    try {
+      set_current_user(await fetch_current_user());
+    } catch (err) {
+      console.error(err);
+      set_current_user(null);
+    }
+  }, []);
+
+  useEffect(() => {
+    // A failed token refresh anywhere in the app drops us back to the login screen
+    set_session_expired_handler(() => set_current_user(null));
+    reload_user().finally(() => set_loading(false));
+    return () => set_session_expired_handler(null);
+  }, [reload_user]);
+
+  // When a second factor is due, the caller finishes it and then calls reload_user
+  const login = async (email: string, password: string) => {
+    const step = await api_login(email, password);
+    if (step.status === 'done') await reload_user();
+    return step;
+  };
+
+  const logout = async () => {
+    try {
+      await api_logout();
+    } finally {
+      set_current_user(null);
+    }
+  };
+
+  // Mirrors requirePermission on the backend, which always lets super_admin through
+  const has_permission = useCallback((permission: string) => {
+    if (!current_user) return false;
+    return current_user.user_role === 'super_admin' || (current_user.permissions ?? []).includes(permission);
+  }, [current_user]);
+
+  return (
+    <AuthContext.Provider value={{ current_user, loading, login, logout, reload_user, has_permission }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export const use_auth = (): AuthContextValue => {
+  const ctx = useContext(AuthContext);
+  if (!ctx) throw new Error('use_auth must be used inside <AuthProvider>');
+  return ctx;
+};
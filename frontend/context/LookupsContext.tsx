@@ -0,0 +1,58 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import type { CampaignLookup, FinanceLookups, LookupId, LookupOption } from '../types';
+import { fetch_campaign_lookups, fetch_finance_lookups } from '../services/mockApi';
+import { use_auth } from './AuthContext';
+
+interface LookupsContextValue {
+  lookup_options: (lookup: LookupId) => LookupOption[];
+  lookup_label: (lookup: LookupId, value: unknown) => string;
+  reload_lookups: () => Promise<void>;
+}
+
+const LookupsContext = createContext<LookupsContextValue | null>(null);
+
+const EMPTY: FinanceLookups = { projects: [], expense_categories: [] };
+
+// Select options that live in the database (projects, expense categories, campaigns), loaded once per session
+export const LookupsProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
+  const { has_permission } = use_auth();
+  const can_read_finance = has_permission('finance:read');
+  const can_read_campaigns = has_permission('campaigns:read');
+  const [lookups, set_lookups] = useState<FinanceLookups>(EMPTY);
+  const [campaigns, set_campaigns] = useState<CampaignLookup[]>([]);
+
+  const reload_lookups = useCallback(async () => {
+    try {
+      if (can_read_finance) set_lookups(await fetch_finance_lookups());
+      if (can_read_campaigns) set_campaigns(await fetch_campaign_lookups());
+    } catch (err) {
+      console.error(err);
+    }
+  }, [can_read_finance, can_read_campaigns]);
+
+  useEffect(() => { reload_lookups(); }, [reload_lookups]);
+
+  const lookup_options = useCallback((lookup: LookupId): LookupOption[] => {
+    if (lookup === 'projects') return lookups.projects.map(p => ({ value: p.id, label: p.project_frf_name }));
+    if (lookup === 'campaigns') return campaigns.map(c => ({ value: c.id, label: c.campaign_frf_name }));
+    return lookups.expense_categories.map(c => ({ value: String(c.category_id), label: c.name }));
+  }, [lookups, campaigns]);
+
+  const lookup_label = useCallback((lookup: LookupId, value: unknown) => {
+    if (value === null || value === undefined || value === '') return '—';
+    const option = lookup_options(lookup).find(o => o.value === String(value));
+    return option ? option.label : String(value);
+  }, [lookup_options]);
+
+  return (
+    <LookupsContext.Provider value={{ lookup_options, lookup_label, reload_lookups }}>
+      {children}
+    </LookupsContext.Provider>
+  );
+};
+
+export const use_lookups = (): LookupsContextValue => {
+  const ctx = useContext(LookupsContext);
+  if (!ctx) throw new Error('use_lookups must be used inside <LookupsProvider>');
+  return ctx;
+};
@@ -0,0 +1,44 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import type { RecordOwner } from '../types';
+import { fetch_owners } from '../services/mockApi';
+
+interface OwnersContextValue {
+  owners: RecordOwner[];
+  owner_name: (owner_id: unknown) => string;
+  reload_owners: () => Promise<void>;
+}
+
+const OwnersContext = createContext<OwnersContextValue | null>(null);
+
+// *_frf_owner columns hold user ids; this resolves them to usernames once per session
+export const OwnersProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
+  const [owners, set_owners] = useState<RecordOwner[]>([]);
+
+  const reload_owners = useCallback(async () => {
+    try {
+      set_owners(await fetch_owners());
+    } catch (err) {
+      console.error(err);
+    }
+  }, []);
+
+  useEffect(() => { reload_owners(); }, [reload_owners]);
+
+  const owner_name = useCallback((owner_id: unknown) => {
+    if (owner_id === null || owner_id === undefined || owner_id === '') return '—';
+    const owner = owners.find(o => String(o.user_id) === String(owner_id));
+    return owner ? owner.username : `User #${owner_id}`;
+  }, [owners]);
+
+  return (
+    <OwnersContext.Provider value={{ owners, owner_name, reload_owners }}>
+      {children}
+    </OwnersContext.Provider>
+  );
+};
+
+export const use_owners = (): OwnersContextValue => {
+  const ctx = useContext(OwnersContext);
+  if (!ctx) throw new Error('use_owners must be used inside <OwnersProvider>');
+  return ctx;
+};
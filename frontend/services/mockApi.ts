@@ -1,7 +1,7 @@
 // This file has been updated to connect to a real backend API.
 // A mocking layer has been added to facilitate frontend development without a live backend.
 
-import type { AnyRecord, FrfEntity } from '../types';
+import type { AnyRecord, FrfEntity, ListQueryParams, ListResult, CurrentUser, SubformId, AuditEntry, ImportResult, ExportFormat, DonationDetail, AcknowledgmentStatus, Role, Permission, RecordOwner, ReassignResult, LoginStep, TotpSetup, TwoFactorStatus, UserSession, ManagedUser, UserListParams, UserListResult, ApiKey, CreatedApiKey, FinanceLookups, ProjectFinancials, StatementId, StatementPeriodParams, FinancialStatement, StatementRows, BankStatement, BankLine, BankLineListParams, BankLineListResult, BankMatchCandidate, BankImportResult, FinanceTransaction, PledgeSchedule, OverduePledge, PledgeReminderResult, DonorAnalytics, DonorSegment, FilterDefinition, CampaignLookup, CampaignProgress, CampaignDonation, CampaignAssignResult, MergeEntityId, MergeSource, MergeReviewStatus, DuplicatePair, MergePreview, RecordMerge, RecordMergeListResult, StudentProgress, StudentCohort, AtRiskStudent, StudentRiskFlag, CohortGroup } from '../types';
 import * as mock_service from './mockData';
 
 // --- API CONNECTION CONTROL ---
@@ -19,6 +19,22 @@ console.log("🔗 Connecting to real backend:", API_BASE_URL);
 // A more descriptive error message for common connection failures.
 const CONNECTION_ERROR_MESSAGE = 'Network error: Could not connect to the backend API. Please ensure the backend server is running and that CORS is configured to allow requests from this origin.';
 
+/**
+ * Error thrown for non-2xx API responses. Carries the HTTP status and any field-level
+ * validation errors returned by the backend's `runValidation` / `handleValidation`.
+ */
+export class ApiError extends Error {
+  status: number;
+  field_errors: Record<string, string>;
+
+  constructor(message: string, status: number, field_errors: Record<string, string> = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.field_errors = field_errors;
+  }
+}
+
 /**
  * Handles fetch responses, checks for errors, and parses JSON.
  * This function reads the response body only once to prevent "body stream already read" errors.
@@ -42,7 +58,7 @@ const handle_response = async (response: Response) => {
   } catch (e) {
     // If parsing fails and the response is not OK, we can assume the raw text is the error message.
     if (!response.ok) {
-      throw new Error(text || `HTTP error! status: ${response.status}`);
+      throw new ApiError(text || `HTTP error! status: ${response.status}`, response.status);
     }
     // If parsing fails but the response IS OK, this is unexpected. We'll log it and return the raw text.
     console.warn("API response was not valid JSON:", text);
@@ -51,44 +67,467 @@ const handle_response = async (response: Response) => {
 
   if (!response.ok) {
     // If the parsed data is an object with a message, use that. Otherwise, use the raw text or a default message.
-    const error_message = data?.message || text || `HTTP error! status: ${response.status}`;
-    throw new Error(error_message);
+    // Validation failures come back as `errors: [{ field, message }]`
+    const field_errors: Record<string, string> = {};
+    if (Array.isArray(data?.errors)) {
+      for (const e of data.errors) {
+        const field = e?.field ?? e?.path ?? e?.param;
+        if (field && !field_errors[field]) field_errors[field] = e.message ?? e.msg;
+      }
+    }
+    const error_message = data?.message || data?.error || (Object.keys(field_errors).length ? 'Validation failed' : '') || text || `HTTP error! status: ${response.status}`;
+    throw new ApiError(error_message, response.status, field_errors);
   }
 
   return data;
 };
 
+// --- AUTHENTICATED FETCH ---
+
+// Called when a refresh attempt fails, so the UI can drop back to the login screen.
+let session_expired_handler: (() => void) | null = null;
+export const set_session_expired_handler = (handler: (() => void) | null) => {
+  session_expired_handler = handler;
+};
+
+// Shared across concurrent 401s so we only ever send one /refresh at a time.
+let refresh_in_flight: Promise<boolean> | null = null;
+
+const refresh_session = (): Promise<boolean> => {
+  if (!refresh_in_flight) {
+    refresh_in_flight = fetch(`${API_BASE_URL}/users/refresh`, { method: 'POST', credentials: 'include' })
+      .then(response => response.ok)
+      .catch(() => false)
+      .finally(() => { refresh_in_flight = null; });
+  }
+  return refresh_in_flight;
+};
+
+/**
+ * Wrapper around fetch that always sends the HttpOnly auth cookies.
+ * On a 401 it calls `/users/refresh` once and retries the original request.
+ * @param path The API path relative to API_BASE_URL (e.g. '/students').
+ * @param init Standard fetch options.
+ * @returns The raw fetch response of the (possibly retried) request.
+ */
+export const api_fetch = async (path: string, init: RequestInit = {}): Promise<Response> => {
+  const do_fetch = () => fetch(`${API_BASE_URL}${path}`, { ...init, credentials: 'include' });
+
+  const response = await do_fetch();
+  if (response.status !== 401 || path.startsWith('/users/refresh') || path.startsWith('/users/login')) {
+    return response;
+  }
+
+  const refreshed = await refresh_session();
+  if (!refreshed) {
+    session_expired_handler?.();
+    return response;
+  }
+  return do_fetch();
+};
+
+/**
+ * Sends a JSON body with the given method and parses the response.
+ * @param path The API path relative to API_BASE_URL.
+ * @param method The HTTP method.
+ * @param body The payload to serialize, if any.
+ * @returns A promise that resolves to the parsed JSON response.
+ */
+const send_json = async (path: string, method: string, body?: unknown) => {
+  try {
+    const response = await api_fetch(path, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return await handle_response(response);
+  } catch (error) {
+    if (error instanceof TypeError && error.message === 'Failed to fetch') {
+      throw new Error(CONNECTION_ERROR_MESSAGE);
+    }
+    throw error;
+  }
+};
+
+// --- AUTH ---
+
+const MOCK_USER: CurrentUser = { user_id: 1, username: 'mock_admin', email: 'admin@example.com', user_role: 'super_admin', approval_status: 'APPROVED', permissions: [] };
+
+/**
+ * Loads the logged-in user from `/users/me`.
+ * @returns The current user, or null when there is no valid session.
+ */
+export const fetch_current_user = async (): Promise<CurrentUser | null> => {
+  if (USE_MOCK_API) return MOCK_USER;
+  try {
+    const response = await api_fetch('/users/me');
+    if (response.status === 401 || response.status === 404) return null;
+    return await handle_response(response);
+  } catch (error) {
+    if (error instanceof TypeError && error.message === 'Failed to fetch') {
+      throw new Error(CONNECTION_ERROR_MESSAGE);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Logs in with email and password. The backend sets HttpOnly access/refresh cookies, unless
+ * the account still has to pass (or set up) two-factor authentication.
+ * @returns 'done' once the session cookies are set, otherwise the second step to take with its challenge token.
+ */
+export const login = async (email: string, password: string): Promise<LoginStep> => {
+  if (USE_MOCK_API) return { status: 'done' };
+  const data = await send_json('/users/login', 'POST', { email, password });
+  if (data?.mfa_required) return { status: 'mfa_required', mfa_token: data.mfa_token };
+  if (data?.mfa_enrollment_required) return { status: 'mfa_enrollment_required', mfa_token: data.mfa_token };
+  return { status: 'done' };
+};
+
+/**
+ * Second login step: an authenticator code or a recovery code. Sets the session cookies on success.
+ */
+export const verify_login_second_factor = async (mfa_token: string, factor: { code: string } | { recovery_code: string }): Promise<void> => {
+  if (USE_MOCK_API) return;
+  await send_json('/users/login/2fa', 'POST', { mfa_token, ...factor });
+};
+
+/**
+ * Starts the enrolment that roles with mandatory 2FA go through at login.
+ */
+export const start_login_2fa_setup = async (mfa_token: string): Promise<TotpSetup> => {
+  if (USE_MOCK_API) return MOCK_TOTP_SETUP;
+  return send_json('/users/login/2fa/setup', 'POST', { mfa_token });
+};
+
+/**
+ * Confirms the login-time enrolment with a first code. Sets the session cookies on success.
+ * @returns The recovery codes, shown to the user once.
+ */
+export const enable_login_2fa = async (mfa_token: string, code: string): Promise<string[]> => {
+  if (USE_MOCK_API) return MOCK_RECOVERY_CODES;
+  const data = await send_json('/users/login/2fa/enable', 'POST', { mfa_token, code });
+  return data.recovery_codes;
+};
+
+const MOCK_TOTP_SETUP: TotpSetup = { secret: 'JBSWY3DPEHPK3PXP', otpauth_url: 'otpauth://totp/NGO%20Data%20Hub:admin%40example.com?secret=JBSWY3DPEHPK3PXP', qr_code: '' };
+const MOCK_RECOVERY_CODES = ['1a2b3-c4d5e', '6f7a8-b9c0d', 'e1f2a-3b4c5', 'd6e7f-8a9b0', 'c1d2e-3f4a5'];
+
+/**
+ * Registers a new account. The account joins the PENDING approval queue once the
+ * emailed verification link is opened.
+ * @returns The confirmation message from the backend.
+ */
+export const register = async (username: string, email: string, password: string): Promise<string> => {
+  if (USE_MOCK_API) return 'Account created. Check your email to verify your address.';
+  const data = await send_json('/users', 'POST', { username, email, password });
+  return data?.message || 'Account created. Check your email to verify your address.';
+};
+
+/**
+ * Ends the session: revokes the tokens server-side and clears the cookies.
+ */
+export const logout = async (): Promise<void> => {
+  if (USE_MOCK_API) return;
+  await send_json('/users/logout', 'POST');
+};
+
+/**
+ * Confirms an email address with the token from the verification link.
+ * @returns The confirmation message from the backend.
+ */
+export const verify_email = async (token: string): Promise<string> => {
+  if (USE_MOCK_API) return 'Email verified.';
+  const data = await send_json('/users/verify-email', 'POST', { token });
+  return data?.message || 'Email verified.';
+};
+
+/**
+ * Sends the verification link again. The backend answers the same way for unknown addresses.
+ */
+export const resend_verification = async (email: string): Promise<string> => {
+  if (USE_MOCK_API) return 'Verification email sent.';
+  const data = await send_json('/users/verify-email/resend', 'POST', { email });
+  return data?.message || 'Verification email sent.';
+};
+
+/**
+ * Emails a single-use password reset link. The backend answers the same way for unknown addresses.
+ */
+export const request_password_reset = async (email: string): Promise<string> => {
+  if (USE_MOCK_API) return 'Reset email sent.';
+  const data = await send_json('/users/password/forgot', 'POST', { email });
+  return data?.message || 'Reset email sent.';
+};
+
+/**
+ * Sets a new password with the token from the reset link. Every session of the account is signed out.
+ */
+export const reset_password = async (token: string, password: string): Promise<string> => {
+  if (USE_MOCK_API) return 'Password updated.';
+  const data = await send_json('/users/password/reset', 'POST', { token, password });
+  return data?.message || 'Password updated.';
+};
+
 /**
- * Fetches a list of records for a given entity from the backend API.
+ * Changes the logged-in user's password. The backend signs out every session, this one included.
+ */
+export const change_password = async (current_password: string, new_password: string): Promise<string> => {
+  if (USE_MOCK_API) return 'Password changed.';
+  const data = await send_json('/users/me/password', 'POST', { current_password, new_password });
+  return data?.message || 'Password changed.';
+};
+
+// --- USER ADMINISTRATION ---
+
+/**
+ * Pages through user accounts for the admin console.
+ */
+export const fetch_users = async (params: UserListParams): Promise<UserListResult> => {
+  if (USE_MOCK_API) {
+    const { permissions, ...user } = MOCK_USER;
+    return { users: [{ ...user, account_state: 'active', created_at: new Date().toISOString(), last_login_at: null, failed_attempts: 0, locked_until: null, deactivated_at: null, two_factor_enabled: false }], total: 1 };
+  }
+  const query = new URLSearchParams({ page: String(params.page), pageSize: String(params.page_size) });
+  for (const key of ['search', 'user_role', 'approval_status', 'account_state', 'sort', 'order'] as const) {
+    if (params[key]) query.set(key, String(params[key]));
+  }
+  const response = await api_fetch(`/users?${query}`);
+  const data = await handle_response(response);
+  return { users: data.data ?? [], total: Number(data.total ?? 0) };
+};
+
+/**
+ * Runs one of the admin actions on an account (approve, reject, lock, unlock, deactivate, reactivate).
+ * @returns The backend's confirmation message.
+ */
+export const run_user_action = async (
+  user_id: number,
+  action: 'approve' | 'reject' | 'lock' | 'unlock' | 'deactivate' | 'reactivate',
+  body?: { reason?: string, hours?: number },
+): Promise<string> => {
+  if (USE_MOCK_API) return 'Done.';
+  const data = await send_json(`/users/${user_id}/${action}`, 'POST', body);
+  return data?.message || 'Done.';
+};
+
+/**
+ * Edits an account: username, email, user_role (needs roles:manage) or password.
+ */
+export const update_user = async (user_id: number, changes: { username?: string, email?: string, user_role?: string, password?: string }): Promise<void> => {
+  if (USE_MOCK_API) return;
+  await send_json(`/users/${user_id}`, 'PATCH', changes);
+};
+
+/**
+ * Deletes an account for good. Fails while records still point at the user.
+ */
+export const delete_user = async (user_id: number): Promise<void> => {
+  if (USE_MOCK_API) return;
+  await send_json(`/users/${user_id}`, 'DELETE');
+};
+
+// --- SESSIONS ---
+
+/**
+ * Lists the logged-in user's active sessions (one per login, on any device).
+ */
+export const fetch_sessions = async (): Promise<UserSession[]> => {
+  if (USE_MOCK_API) {
+    return [{ session_id: '00000000-0000-0000-0000-000000000000', device: navigator.userAgent, ip_address: '127.0.0.1', created_at: new Date().toISOString(), last_used_at: null, expires_at: new Date(Date.now() + 30 * 86400000).toISOString(), current: true }];
+  }
+  const response = await api_fetch('/users/me/sessions');
+  return handle_response(response);
+};
+
+/**
+ * Signs out one session. Signing out the current one ends this login too.
+ */
+export const revoke_session = async (session_id: string): Promise<void> => {
+  if (USE_MOCK_API) return;
+  await send_json(`/users/me/sessions/${session_id}`, 'DELETE');
+};
+
+/**
+ * Signs out every session except the current one.
+ * @returns How many sessions were signed out.
+ */
+export const revoke_other_sessions = async (): Promise<number> => {
+  if (USE_MOCK_API) return 0;
+  const data = await send_json('/users/me/sessions', 'DELETE');
+  return data?.revoked ?? 0;
+};
+
+/**
+ * Admin: signs a user out of every session.
+ */
+export const force_logout_user = async (user_id: number): Promise<string> => {
+  if (USE_MOCK_API) return 'User signed out.';
+  const data = await send_json(`/users/${user_id}/logout`, 'POST');
+  return data?.message || 'User signed out.';
+};
+
+// --- TWO-FACTOR AUTHENTICATION ---
+
+/**
+ * Loads the logged-in user's 2FA status from `/users/me/2fa`.
+ */
+export const fetch_2fa_status = async (): Promise<TwoFactorStatus> => {
+  if (USE_MOCK_API) return { enabled: false, enabled_at: null, required: true, recovery_codes_left: 0 };
+  const response = await api_fetch('/users/me/2fa');
+  return handle_response(response);
+};
+
+/**
+ * Starts enrolment: the backend keeps a pending secret until the first code confirms it.
+ */
+export const start_2fa_setup = async (): Promise<TotpSetup> => {
+  if (USE_MOCK_API) return MOCK_TOTP_SETUP;
+  return send_json('/users/me/2fa/setup', 'POST');
+};
+
+/**
+ * Switches 2FA on with a first code from the authenticator app.
+ * @returns The recovery codes, shown to the user once.
+ */
+export const enable_2fa = async (code: string): Promise<string[]> => {
+  if (USE_MOCK_API) return MOCK_RECOVERY_CODES;
+  const data = await send_json('/users/me/2fa/enable', 'POST', { code });
+  return data.recovery_codes;
+};
+
+/**
+ * Replaces the recovery codes; needs a current authenticator code.
+ */
+export const regenerate_recovery_codes = async (code: string): Promise<string[]> => {
+  if (USE_MOCK_API) return MOCK_RECOVERY_CODES;
+  const data = await send_json('/users/me/2fa/recovery-codes', 'POST', { code });
+  return data.recovery_codes;
+};
+
+/**
+ * Turns 2FA off. Not allowed for roles where it is mandatory.
+ */
+export const disable_2fa = async (password: string): Promise<void> => {
+  if (USE_MOCK_API) return;
+  await send_json('/users/me/2fa/disable', 'POST', { password });
+};
+
+/**
+ * Admin reset for a user who lost their device; their sessions end as well.
+ */
+export const reset_user_2fa = async (user_id: number): Promise<string> => {
+  if (USE_MOCK_API) return 'Two-factor authentication reset.';
+  const data = await send_json(`/users/${user_id}/2fa/reset`, 'POST');
+  return data?.message || 'Two-factor authentication reset.';
+};
+
+/**
+ * Serializes list state into the query string understood by the backend list routes.
+ * Filter keys follow the backend convention: `key` for text/dropdown, `key_min`/`key_max`
+ * for ranges and `key_from`/`key_to` for date ranges.
+ * @param params The paging, sorting and filter state from the list view.
+ * @returns The encoded query string (without the leading `?`).
+ */
+const build_list_query = (params: ListQueryParams): string => {
+  const query = new URLSearchParams();
+  query.set('page', String(params.page));
+  query.set('pageSize', String(params.page_size));
+  if (params.sort) query.set('sort', params.sort);
+  if (params.order) query.set('order', params.order);
+  if (params.search) query.set('search', params.search);
+
+  for (const filter_def of params.filter_defs || []) {
+    const value = params.filters?.[filter_def.key];
+    if (!value) continue;
+    switch (filter_def.type) {
+      case 'range':
+        if (value.min) query.set(`${filter_def.key}_min`, value.min);
+        if (value.max) query.set(`${filter_def.key}_max`, value.max);
+        break;
+      case 'daterange':
+        if (value.start) query.set(`${filter_def.key}_from`, value.start);
+        if (value.end) query.set(`${filter_def.key}_to`, value.end);
+        break;
+      default:
+        query.set(filter_def.key, String(value));
+    }
+  }
+  return query.toString();
+};
+
+/**
+ * The list state as saved-segment criteria: the same parameters as the list query, without paging.
+ */
+export const list_criteria = (params: ListQueryParams): Record<string, string> => {
+  const query = new URLSearchParams(build_list_query(params));
+  query.delete('page');
+  query.delete('pageSize');
+  return Object.fromEntries(query);
+};
+
+/**
+ * Turns saved-segment criteria back into list state (the inverse of list_criteria).
+ */
+export const criteria_to_list_state = (criteria: Record<string, string>, filter_defs: FilterDefinition[] = []) => {
+  const filters: Record<string, any> = {};
+  for (const filter_def of filter_defs) {
+    const { key } = filter_def;
+    if (filter_def.type === 'range' && (criteria[`${key}_min`] || criteria[`${key}_max`])) {
+      filters[key] = { min: criteria[`${key}_min`] || '', max: criteria[`${key}_max`] || '' };
+    } else if (filter_def.type === 'daterange' && (criteria[`${key}_from`] || criteria[`${key}_to`])) {
+      filters[key] = { start: criteria[`${key}_from`] || '', end: criteria[`${key}_to`] || '' };
+    } else if (criteria[key]) {
+      filters[key] = criteria[key];
+    }
+  }
+  return {
+    filters,
+    search: criteria.search || '',
+    sort: criteria.sort || null,
+    order: criteria.order === 'desc' ? 'desc' as const : 'asc' as const,
+  };
+};
+
+/**
+ * Fetches one page of records for a given entity from the backend API.
+ * Sorting, filtering and paging all happen on the server.
  * @param entity_id The ID of the entity (e.g., 'students').
- * @returns A promise that resolves to an array of records.
+ * @param params The paging, sorting and filter state.
+ * @returns A promise that resolves to the page of records plus the total count.
  */
-export const fetch_frf_list = async (entity_id: FrfEntity['id']): Promise<AnyRecord[]> => {
+export const fetch_frf_list = async (entity_id: FrfEntity['id'], params: ListQueryParams): Promise<ListResult> => {
   if (USE_MOCK_API) {
     console.log(`[MOCK API] Fetching list for: ${entity_id}`);
     return new Promise(resolve => {
       setTimeout(() => {
-        resolve(mock_service.get_mock_list(entity_id));
+        const all = mock_service.get_mock_list(entity_id);
+        const start = (params.page - 1) * params.page_size;
+        resolve({ records: all.slice(start, start + params.page_size), total: all.length, page: params.page, page_size: params.page_size });
       }, 500);
     });
   }
 
   try {
-    const response = await fetch(`${API_BASE_URL}/${entity_id}`);
+    const response = await api_fetch(`/${entity_id}?${build_list_query(params)}`);
     const data = await handle_response(response);
 
-    // ✅ FIX: Return the array directly
     if (data && Array.isArray(data.data)) {
-      return data.data;
+      return {
+        records: data.data,
+        total: Number(data.total ?? data.data.length),
+        page: Number(data.page ?? params.page),
+        page_size: Number(data.pageSize ?? params.page_size),
+      };
     }
 
-    // Handle if backend already returns array
+    // Handle if backend returns a bare array (unpaginated)
     if (Array.isArray(data)) {
-      return data;
+      return { records: data, total: data.length, page: 1, page_size: data.length };
     }
 
     console.warn("⚠️ Unexpected API response format:", data);
-    return [];
+    return { records: [], total: 0, page: params.page, page_size: params.page_size };
   } catch (error) {
     if (error instanceof TypeError && error.message === 'Failed to fetch') {
       throw new Error(CONNECTION_ERROR_MESSAGE);
@@ -98,6 +537,63 @@ export const fetch_frf_list = async (entity_id: FrfEntity['id']): Promise<AnyRec
 };
 
 
+/**
+ * Downloads a file from the API and hands it to the browser as a save.
+ * The filename comes from the backend's Content-Disposition header when present.
+ * @param path The API path relative to API_BASE_URL.
+ * @param fallback_name Filename to use if the backend doesn't send one.
+ * @returns The raw response, so callers can inspect extra headers.
+ */
+const download_file = async (path: string, fallback_name: string): Promise<Response> => {
+  try {
+    const response = await api_fetch(path);
+    if (!response.ok) await handle_response(response); // Throws an ApiError with the backend message
+
+    const blob = await response.blob();
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = /filename="?([^";]+)"?/.exec(disposition)?.[1] || fallback_name;
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    return response;
+  } catch (error) {
+    if (error instanceof TypeError && error.message === 'Failed to fetch') {
+      throw new Error(CONNECTION_ERROR_MESSAGE);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Exports every record matching the current list filters and sort (paging is ignored).
+ * @param entity_id The ID of the entity (e.g., 'donors').
+ * @param format csv, xlsx or pdf.
+ * @param params The list view's current query state.
+ * @returns Whether the backend cut the export short at its row limit.
+ */
+export const export_frf_list = async (entity_id: FrfEntity['id'], format: ExportFormat, params: ListQueryParams): Promise<{ truncated: boolean }> => {
+  if (USE_MOCK_API) throw new Error('Exporting is not available with the mock API.');
+  const response = await download_file(`/${entity_id}/export?format=${format}&${build_list_query(params)}`, `${entity_id}.${format}`);
+  return { truncated: response.headers.get('X-Export-Truncated') === 'true' };
+};
+
+/**
+ * Exports a single record, including its subform tables, as a PDF.
+ * @param entity_id The ID of the entity (e.g., 'students').
+ * @param record_id The ID of the record.
+ */
+export const export_frf_record = async (entity_id: FrfEntity['id'], record_id: string): Promise<void> => {
+  if (USE_MOCK_API) throw new Error('Exporting is not available with the mock API.');
+  await download_file(`/${entity_id}/${record_id}/export?format=pdf`, `${entity_id}-${record_id}.pdf`);
+};
+
+
 /**
  * Fetches the detailed information for a single record from the backend API.
  * @param entity_id The ID of the entity (e.g., 'students').
@@ -114,7 +610,7 @@ export const fetch_frf_detail = async (entity_id: FrfEntity['id'], record_id: st
     });
   }
   try {
-    const response = await fetch(`${API_BASE_URL}/${entity_id}/${record_id}`);
+    const response = await api_fetch(`/${entity_id}/${record_id}`);
     // A 404 Not Found is a valid case where we should return null, not throw an error.
     if (response.status === 404) {
       return null;
@@ -151,7 +647,7 @@ export const create_frf_record = async (entity_id: FrfEntity['id'], record_data:
     }
 
     try {
-        const response = await fetch(`${API_BASE_URL}/${entity_id}`, {
+        const response = await api_fetch(`/${entity_id}`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -165,4 +661,671 @@ export const create_frf_record = async (entity_id: FrfEntity['id'], record_data:
         }
         throw error;
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Partially updates an existing record (PATCH /:entity/:id).
+ * @param entity_id The ID of the entity (e.g., 'students').
+ * @param record_id The ID of the record to update.
+ * @param changes Only the fields that changed.
+ * @returns A promise that resolves to the backend response.
+ */
+export const update_frf_record = async (entity_id: FrfEntity['id'], record_id: string, changes: Partial<AnyRecord>): Promise<AnyRecord> => {
+    if (USE_MOCK_API) {
+        console.log(`[MOCK API] Updating record ${entity_id}/${record_id}`);
+        return new Promise(resolve => {
+            setTimeout(() => {
+                resolve(mock_service.update_mock_record(entity_id, record_id, changes));
+            }, 500);
+        });
+    }
+
+    return send_json(`/${entity_id}/${encodeURIComponent(record_id)}`, 'PATCH', changes);
+};
+
+// --- SUBFORM (CHILD ROW) ENDPOINTS ---
+
+const SUBFORM_ENDPOINTS: Record<SubformId, { collection: (parent_id: string) => string; row: (row_id: string | number) => string }> = {
+    session_logs: { collection: id => `/students/${encodeURIComponent(id)}/session-logs`, row: id => `/students/session-logs/${id}` },
+    volunteer_attendance: { collection: id => `/volunteers/${encodeURIComponent(id)}/attendance`, row: id => `/volunteers/volunteer-attendance/${id}` },
+    donations: { collection: id => `/donors/${encodeURIComponent(id)}/donations`, row: id => `/donors/donations/${id}` },
+    pledges: { collection: id => `/donors/${encodeURIComponent(id)}/pledges`, row: id => `/donors/pledges/${id}` },
+    project_attendance: { collection: id => `/projects/${encodeURIComponent(id)}/attendance`, row: id => `/projects/attendance_logs/${id}` },
+    transactions: { collection: id => `/finance/${encodeURIComponent(id)}/transactions`, row: id => `/finance/transactions/${id}` },
+};
+
+/**
+ * Adds a child row (session log, attendance, donation, ...) to a parent record.
+ * @returns A promise that resolves to the created row as stored by the backend.
+ */
+export const create_subform_row = async (subform_id: SubformId, parent_id: string, row: Record<string, any>): Promise<Record<string, any>> => {
+    if (USE_MOCK_API) return { ...row };
+    return send_json(SUBFORM_ENDPOINTS[subform_id].collection(parent_id), 'POST', row);
+};
+
+/**
+ * Partially updates a child row.
+ * @returns A promise that resolves to the updated row.
+ */
+export const update_subform_row = async (subform_id: SubformId, row_id: string | number, changes: Record<string, any>): Promise<Record<string, any>> => {
+    if (USE_MOCK_API) return changes;
+    return send_json(SUBFORM_ENDPOINTS[subform_id].row(row_id), 'PATCH', changes);
+};
+
+/**
+ * Deletes a child row.
+ */
+export const delete_subform_row = async (subform_id: SubformId, row_id: string | number): Promise<void> => {
+    if (USE_MOCK_API) return;
+    await send_json(SUBFORM_ENDPOINTS[subform_id].row(row_id), 'DELETE');
+};
+
+/**
+ * Issues the 80G receipt for a donation. The backend assigns the receipt number,
+ * stores the PDF and marks the donation as receipted.
+ * @param donation_id The donation row to receipt.
+ * @returns The assigned receipt number and the updated donation row.
+ */
+export const issue_donation_receipt = async (donation_id: number): Promise<{ receipt_number: string, donation: DonationDetail }> => {
+    if (USE_MOCK_API) throw new Error('Receipts are not available with the mock API.');
+    return send_json(`/donors/donations/${donation_id}/receipt`, 'POST');
+};
+
+/**
+ * Downloads the stored 80G receipt PDF for a donation.
+ */
+export const download_donation_receipt = async (donation_id: number): Promise<void> => {
+    if (USE_MOCK_API) throw new Error('Receipts are not available with the mock API.');
+    await download_file(`/donors/donations/${donation_id}/receipt`, `receipt-${donation_id}.pdf`);
+};
+
+/**
+ * Queues the thank-you email for a donation again, e.g. after a failed delivery.
+ * The backend sets acknowledgment_sent once the mail is delivered.
+ */
+export const queue_donation_acknowledgment = async (donation_id: number): Promise<{ acknowledgment_status: AcknowledgmentStatus }> => {
+    if (USE_MOCK_API) throw new Error('Acknowledgment emails are not available with the mock API.');
+    return send_json(`/donors/donations/${donation_id}/acknowledgment`, 'POST');
+};
+
+/**
+ * Fetches the audit trail for a record, including changes to its child rows.
+ * @param entity_id The ID of the entity (e.g., 'donors').
+ * @param record_id The ID of the record.
+ * @returns A promise that resolves to the audit entries, newest first.
+ */
+export const fetch_record_history = async (entity_id: FrfEntity['id'], record_id: string): Promise<AuditEntry[]> => {
+    if (USE_MOCK_API) return [];
+    const response = await api_fetch(`/${entity_id}/${record_id}/history`);
+    return handle_response(response);
+};
+
+/**
+ * Uploads a CSV or XLSX file to an entity's import endpoint.
+ * With `dry_run` the backend only validates and previews; otherwise every valid row is inserted.
+ * @param entity_id The ID of the entity (e.g., 'students').
+ * @param file The spreadsheet chosen by the user.
+ * @param options `mapping` of field key to column header (guessed by the backend when omitted) and `dry_run`.
+ * @returns A promise that resolves to the per-row validation/import results.
+ */
+export const import_frf_records = async (
+    entity_id: FrfEntity['id'],
+    file: File,
+    options: { mapping?: Record<string, string>, dry_run: boolean },
+): Promise<ImportResult> => {
+    if (USE_MOCK_API) throw new Error('Importing is not available with the mock API.');
+
+    const form = new FormData();
+    form.append('file', file);
+    form.append('dryRun', String(options.dry_run));
+    if (options.mapping) form.append('mapping', JSON.stringify(options.mapping));
+
+    try {
+        // No Content-Type header: the browser sets the multipart boundary itself
+        const response = await api_fetch(`/${entity_id}/import`, { method: 'POST', body: form });
+        const data = await handle_response(response);
+        return {
+            dry_run: !!data.dryRun,
+            headers: data.headers ?? [],
+            mapping: data.mapping ?? {},
+            fields: data.fields ?? [],
+            total_rows: Number(data.totalRows ?? 0),
+            valid_count: Number(data.validCount ?? 0),
+            error_count: Number(data.errorCount ?? 0),
+            inserted: Number(data.inserted ?? 0),
+            rows: data.rows ?? [],
+        };
+    } catch (error) {
+        if (error instanceof TypeError && error.message === 'Failed to fetch') {
+            throw new Error(CONNECTION_ERROR_MESSAGE);
+        }
+        throw error;
+    }
+};
+
+// --- FUND ACCOUNTING ---
+
+/**
+ * Fetches the projects and active expense categories that finance reports and ledger rows can point at.
+ */
+export const fetch_finance_lookups = async (): Promise<FinanceLookups> => {
+    if (USE_MOCK_API) return { projects: [], expense_categories: [] };
+    const response = await api_fetch('/finance/lookups');
+    return handle_response(response);
+};
+
+/**
+ * Fetches a project's budget vs actual spending, by expense category and by month.
+ * @param project_id The project record ID.
+ */
+export const fetch_project_financials = async (project_id: string): Promise<ProjectFinancials> => {
+    if (USE_MOCK_API) throw new Error('Project financials are not available with the mock API.');
+    const response = await api_fetch(`/projects/${project_id}/financials`);
+    return handle_response(response);
+};
+
+// --- FINANCIAL STATEMENTS ---
+
+const period_query = (period: StatementPeriodParams) =>
+    'fy' in period ? `fy=${period.fy}` : `from=${encodeURIComponent(period.from)}&to=${encodeURIComponent(period.to)}`;
+
+/**
+ * Builds an Income & Expenditure, Receipts & Payments or GST input statement across all finance reports and donations.
+ * @param statement Which statement to build.
+ * @param period A financial year or a date range.
+ */
+export const fetch_statement = async (statement: StatementId, period: StatementPeriodParams): Promise<FinancialStatement> => {
+    if (USE_MOCK_API) throw new Error('Financial statements are not available with the mock API.');
+    const response = await api_fetch(`/statements/${statement}?${period_query(period)}`);
+    return handle_response(response);
+};
+
+/**
+ * Fetches the donations or ledger rows behind one statement line.
+ * @param line The `line` key of a statement row.
+ * @param period The period the statement was built for.
+ */
+export const fetch_statement_rows = async (line: string, period: StatementPeriodParams): Promise<StatementRows> => {
+    if (USE_MOCK_API) throw new Error('Financial statements are not available with the mock API.');
+    const response = await api_fetch(`/statements/rows?line=${encodeURIComponent(line)}&${period_query(period)}`);
+    return handle_response(response);
+};
+
+/**
+ * Downloads a statement as a PDF, or as an XLSX workbook with the rows behind every line.
+ */
+export const export_statement = async (statement: StatementId, period: StatementPeriodParams, format: 'pdf' | 'xlsx'): Promise<void> => {
+    if (USE_MOCK_API) throw new Error('Exporting is not available with the mock API.');
+    await download_file(`/statements/${statement}/export?format=${format}&${period_query(period)}`, `${statement}.${format}`);
+};
+
+// --- BANK RECONCILIATION ---
+
+/**
+ * Fetches the uploaded bank statements, newest first, with how many of their lines are matched, ignored or waiting.
+ */
+export const fetch_bank_statements = async (): Promise<BankStatement[]> => {
+    if (USE_MOCK_API) return [];
+    const response = await api_fetch('/reconciliation/statements');
+    return handle_response(response);
+};
+
+/**
+ * Uploads a CSV or OFX bank statement; new lines are matched against donations and ledger entries straight away.
+ * @param file The statement file.
+ * @param options account_name is required for CSV (OFX files carry their account number);
+ * date_order says whether slashed dates are day-first (default) or month-first.
+ */
+export const upload_bank_statement = async (
+    file: File,
+    options: { account_name?: string, date_order?: 'dmy' | 'mdy' },
+): Promise<BankImportResult> => {
+    if (USE_MOCK_API) throw new Error('Bank reconciliation is not available with the mock API.');
+
+    const form = new FormData();
+    form.append('file', file);
+    if (options.account_name) form.append('account_name', options.account_name);
+    if (options.date_order) form.append('date_order', options.date_order);
+
+    try {
+        // No Content-Type header: the browser sets the multipart boundary itself
+        const response = await api_fetch('/reconciliation/statements', { method: 'POST', body: form });
+        return await handle_response(response);
+    } catch (error) {
+        if (error instanceof TypeError && error.message === 'Failed to fetch') {
+            throw new Error(CONNECTION_ERROR_MESSAGE);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Fetches one page of bank lines, e.g. the unmatched queue.
+ */
+export const fetch_bank_lines = async (params: BankLineListParams): Promise<BankLineListResult> => {
+    if (USE_MOCK_API) return { lines: [], total: 0 };
+    const query = new URLSearchParams({ page: String(params.page), pageSize: String(params.page_size) });
+    for (const key of ['status', 'statement_id', 'search'] as const) {
+        if (params[key]) query.set(key, String(params[key]));
+    }
+    const response = await api_fetch(`/reconciliation/lines?${query}`);
+    const data = await handle_response(response);
+    return { lines: data.data ?? [], total: Number(data.total ?? 0) };
+};
+
+/**
+ * Fetches the unreconciled donations and ledger entries with the line's amount, near its date or carrying its reference.
+ */
+export const fetch_bank_line_candidates = async (line_id: number): Promise<BankMatchCandidate[]> => {
+    if (USE_MOCK_API) return [];
+    const response = await api_fetch(`/reconciliation/lines/${line_id}/candidates`);
+    return handle_response(response);
+};
+
+/**
+ * Links a bank line to an existing donation or ledger entry; the amounts must agree.
+ */
+export const match_bank_line = (line_id: number, target: { donation_id: number } | { transaction_id: number }): Promise<BankLine> =>
+    send_json(`/reconciliation/lines/${line_id}/match`, 'POST', target);
+
+/**
+ * Puts a matched or ignored line back in the queue.
+ */
+export const unmatch_bank_line = (line_id: number): Promise<BankLine> =>
+    send_json(`/reconciliation/lines/${line_id}/unmatch`, 'POST');
+
+/**
+ * Marks a line as needing no record, e.g. bank charges or a transfer between the NGO's own accounts.
+ */
+export const ignore_bank_line = (line_id: number, note?: string): Promise<BankLine> =>
+    send_json(`/reconciliation/lines/${line_id}/ignore`, 'POST', { note: note || null });
+
+/**
+ * Creates a donation from a credit line (date, amount and reference come from the line) and matches it.
+ */
+export const create_donation_from_bank_line = (line_id: number, body: { donor_id: string, purpose?: string }): Promise<{ line: BankLine, donation: DonationDetail }> =>
+    send_json(`/reconciliation/lines/${line_id}/donation`, 'POST', body);
+
+/**
+ * Creates a posted ledger entry (income for credits, expense for debits) in a finance report and matches it.
+ */
+export const create_transaction_from_bank_line = (
+    line_id: number,
+    body: { finance_report_id: string, name?: string, category_id?: number | null, project_id?: string | null },
+): Promise<{ line: BankLine, transaction: FinanceTransaction & { budget_warnings?: string[] } }> =>
+    send_json(`/reconciliation/lines/${line_id}/transaction`, 'POST', body);
+
+/**
+ * Runs auto-matching again over every line still in the queue (e.g. after donations were entered).
+ * @returns How many lines were matched.
+ */
+export const auto_match_bank_lines = async (): Promise<number> => {
+    if (USE_MOCK_API) return 0;
+    const data = await send_json('/reconciliation/auto-match', 'POST');
+    return Number(data.matched ?? 0);
+};
+
+// --- DONOR ANALYTICS & SEGMENTS ---
+
+/**
+ * Fetches giving totals, retention by financial year and the RFM segment breakdown
+ * for the donors the user can see.
+ * @param years How many financial years of retention to return.
+ */
+export const fetch_donor_analytics = async (years = 5): Promise<DonorAnalytics> => {
+    if (USE_MOCK_API) throw new Error('Donor analytics are not available with the mock API.');
+    const response = await api_fetch(`/donors/analytics?years=${years}`);
+    return handle_response(response);
+};
+
+/**
+ * Fetches the user's saved donor segments and those shared by others.
+ */
+export const fetch_donor_segments = async (): Promise<DonorSegment[]> => {
+    if (USE_MOCK_API) return [];
+    const response = await api_fetch('/donors/segments');
+    return handle_response(response);
+};
+
+/**
+ * Saves list criteria (see list_criteria) as a named segment.
+ */
+export const create_donor_segment = (segment: { name: string, description?: string | null, criteria: Record<string, string>, shared?: boolean }): Promise<DonorSegment> =>
+    send_json('/donors/segments', 'POST', segment);
+
+/**
+ * Renames, redefines or shares one of the user's segments.
+ */
+export const update_donor_segment = (segment_id: number, changes: Partial<Pick<DonorSegment, 'name' | 'description' | 'criteria' | 'shared'>>): Promise<DonorSegment> =>
+    send_json(`/donors/segments/${segment_id}`, 'PATCH', changes);
+
+/**
+ * Deletes one of the user's segments.
+ */
+export const delete_donor_segment = async (segment_id: number): Promise<void> => {
+    await send_json(`/donors/segments/${segment_id}`, 'DELETE');
+};
+
+// --- FUNDRAISING CAMPAIGNS ---
+
+/**
+ * Fetches the live campaigns that donations and finance reports can be attributed to.
+ */
+export const fetch_campaign_lookups = async (): Promise<CampaignLookup[]> => {
+    if (USE_MOCK_API) return [];
+    const response = await api_fetch('/campaigns/lookups');
+    const data = await handle_response(response);
+    return data.campaigns ?? [];
+};
+
+/**
+ * Fetches a campaign's raised amount against its goal, donor counts and daily trend.
+ */
+export const fetch_campaign_progress = async (campaign_id: string): Promise<CampaignProgress> => {
+    if (USE_MOCK_API) throw new Error('Campaign progress is not available with the mock API.');
+    const response = await api_fetch(`/campaigns/${encodeURIComponent(campaign_id)}/progress`);
+    return handle_response(response);
+};
+
+/**
+ * Fetches donations that could be attributed to a campaign: by default unattributed
+ * ones dated within the campaign.
+ * @param params Optional date range, donor/purpose search, and whether to include
+ * donations already in another campaign.
+ */
+export const fetch_campaign_candidates = async (
+    campaign_id: string,
+    params: { from?: string, to?: string, search?: string, include_attributed?: boolean } = {}
+): Promise<CampaignDonation[]> => {
+    if (USE_MOCK_API) return [];
+    const query = new URLSearchParams();
+    if (params.from) query.set('from', params.from);
+    if (params.to) query.set('to', params.to);
+    if (params.search) query.set('search', params.search);
+    if (params.include_attributed) query.set('include_attributed', 'true');
+    const response = await api_fetch(`/campaigns/${encodeURIComponent(campaign_id)}/donations/candidates?${query}`);
+    const data = await handle_response(response);
+    return data.data ?? [];
+};
+
+/**
+ * Attributes donations to a campaign, moving them from any other campaign.
+ * @returns Which donations were assigned and why the others were skipped.
+ */
+export const assign_campaign_donations = (campaign_id: string, donation_ids: number[]): Promise<CampaignAssignResult> =>
+    send_json(`/campaigns/${encodeURIComponent(campaign_id)}/donations`, 'POST', { donation_ids });
+
+// --- STUDENT PROGRESS ---
+
+/**
+ * Fetches a student's score trend, per-course averages, attendance by month and risk flags.
+ */
+export const fetch_student_progress = async (student_id: string): Promise<StudentProgress> => {
+    if (USE_MOCK_API) throw new Error('Student progress is not available with the mock API.');
+    const response = await api_fetch(`/students/${encodeURIComponent(student_id)}/progress`);
+    return handle_response(response);
+};
+
+/**
+ * Fetches students grouped by class, class and section, or school, with averages and at-risk counts.
+ * @param weeks Weeks without a session before a student counts as inactive; the server default when omitted.
+ */
+export const fetch_student_cohorts = async (group_by: CohortGroup, weeks?: number): Promise<StudentCohort[]> => {
+    if (USE_MOCK_API) return [];
+    const query = new URLSearchParams({ group_by });
+    if (weeks) query.set('weeks', String(weeks));
+    const response = await api_fetch(`/students/progress/cohorts?${query}`);
+    const data = await handle_response(response);
+    return data.data ?? [];
+};
+
+/**
+ * Fetches students whose scores are declining or who haven't had a session recently.
+ * @param params One flag only, one class / section / school, or a different inactivity window.
+ */
+export const fetch_at_risk_students = async (
+    params: { flag?: StudentRiskFlag, class?: string, section?: string, school?: string, weeks?: number } = {}
+): Promise<{ students: AtRiskStudent[], inactive_weeks: number, decline_points: number }> => {
+    if (USE_MOCK_API) return { students: [], inactive_weeks: params.weeks ?? 4, decline_points: 10 };
+    const query = new URLSearchParams();
+    for (const key of ['flag', 'class', 'section', 'school', 'weeks'] as const) {
+        if (params[key]) query.set(key, String(params[key]));
+    }
+    const response = await api_fetch(`/students/progress/at-risk?${query}`);
+    const data = await handle_response(response);
+    return { students: data.data ?? [], inactive_weeks: Number(data.inactive_weeks), decline_points: Number(data.decline_points) };
+};
+
+// --- DUPLICATES AND MERGES ---
+
+/**
+ * Fetches likely duplicate pairs of donors, volunteers or students, best first.
+ * @param params Minimum score (out of 100), how many pairs, or only pairs involving one record.
+ */
+export const fetch_duplicates = async (
+    entity_id: MergeEntityId,
+    params: { min_score?: number, limit?: number, record_id?: string } = {}
+): Promise<{ pairs: DuplicatePair[], min_score: number }> => {
+    if (USE_MOCK_API) return { pairs: [], min_score: params.min_score ?? 30 };
+    const query = new URLSearchParams();
+    if (params.min_score) query.set('min_score', String(params.min_score));
+    if (params.limit) query.set('limit', String(params.limit));
+    if (params.record_id) query.set('record_id', params.record_id);
+    const response = await api_fetch(`/${entity_id}/duplicates?${query}`);
+    const data = await handle_response(response);
+    return { pairs: data.data ?? [], min_score: Number(data.min_score) };
+};
+
+/**
+ * Marks two records as not duplicates, so the pair is no longer offered.
+ */
+export const dismiss_duplicate = async (entity_id: MergeEntityId, record_ids: [string, string]): Promise<void> => {
+    if (USE_MOCK_API) throw new Error('Duplicate detection is not available with the mock API.');
+    await send_json(`/${entity_id}/duplicates/dismiss`, 'POST', { record_ids });
+};
+
+/**
+ * Shows what a merge would do: the value each field would keep and the rows that would move.
+ * @param field_sources Which record each field comes from; blank survivor fields take the other record's value by default.
+ */
+export const preview_merge = async (
+    entity_id: MergeEntityId,
+    survivor_id: string,
+    merged_id: string,
+    field_sources: Record<string, MergeSource> = {}
+): Promise<MergePreview> => {
+    if (USE_MOCK_API) throw new Error('Merging records is not available with the mock API.');
+    return send_json(`/${entity_id}/merge/preview`, 'POST', { survivor_id, merged_id, field_sources });
+};
+
+/**
+ * Merges one record into another: the chosen values are kept, the merged record's
+ * donations, attendance or session logs move to the survivor and the merged record is deleted.
+ * @returns The merge log entry, pending review.
+ */
+export const merge_records = async (
+    entity_id: MergeEntityId,
+    survivor_id: string,
+    merged_id: string,
+    field_sources: Record<string, MergeSource>,
+    note?: string
+): Promise<RecordMerge> => {
+    if (USE_MOCK_API) throw new Error('Merging records is not available with the mock API.');
+    return send_json(`/${entity_id}/merge`, 'POST', { survivor_id, merged_id, field_sources, note: note || null });
+};
+
+/**
+ * Fetches a page of the merge log, newest first.
+ */
+export const fetch_merges = async (
+    params: { page: number, page_size: number, entity?: MergeEntityId, review_status?: MergeReviewStatus }
+): Promise<RecordMergeListResult> => {
+    if (USE_MOCK_API) return { merges: [], total: 0 };
+    const query = new URLSearchParams({ page: String(params.page), pageSize: String(params.page_size) });
+    if (params.entity) query.set('entity', params.entity);
+    if (params.review_status) query.set('review_status', params.review_status);
+    const response = await api_fetch(`/merges?${query}`);
+    const data = await handle_response(response);
+    return { merges: data.data ?? [], total: Number(data.total ?? 0) };
+};
+
+/**
+ * Fetches one merge with snapshots of both records and the rows that moved.
+ */
+export const fetch_merge = async (merge_id: number): Promise<RecordMerge> => {
+    if (USE_MOCK_API) throw new Error('The merge log is not available with the mock API.');
+    const response = await api_fetch(`/merges/${merge_id}`);
+    return handle_response(response);
+};
+
+/**
+ * Approves or flags a merge, or puts it back in the review queue.
+ */
+export const review_merge = async (merge_id: number, review_status: MergeReviewStatus, review_note?: string): Promise<Partial<RecordMerge>> => {
+    if (USE_MOCK_API) throw new Error('The merge log is not available with the mock API.');
+    return send_json(`/merges/${merge_id}/review`, 'POST', { review_status, review_note: review_note || null });
+};
+
+// --- DONOR PLEDGES ---
+
+/**
+ * Fetches a pledge's instalments with what was expected and received for each.
+ */
+export const fetch_pledge_schedule = async (pledge_id: number): Promise<PledgeSchedule> => {
+    if (USE_MOCK_API) throw new Error('Pledges are not available with the mock API.');
+    const response = await api_fetch(`/donors/pledges/${pledge_id}/schedule`);
+    return handle_response(response);
+};
+
+/**
+ * Fetches the Pledge Dues report: active pledges with unpaid instalments, most missed first.
+ */
+export const fetch_overdue_pledges = async (params: { standing?: 'overdue' | 'lapsed', donor_type?: string } = {}): Promise<OverduePledge[]> => {
+    if (USE_MOCK_API) return [];
+    const query = new URLSearchParams();
+    if (params.standing) query.set('standing', params.standing);
+    if (params.donor_type) query.set('donor_type', params.donor_type);
+    const response = await api_fetch(`/donors/pledges/overdue?${query}`);
+    return handle_response(response);
+};
+
+/**
+ * Queues a reminder email for one overdue pledge. Rejected when the donor opted out
+ * or was reminded recently.
+ */
+export const send_pledge_reminder = (pledge_id: number): Promise<{ message: string, email_id: number }> =>
+    send_json(`/donors/pledges/${pledge_id}/reminder`, 'POST');
+
+/**
+ * Queues reminders for the given overdue pledges, or for all of them when no ids are passed.
+ * @returns Which pledges were queued and why the others were skipped.
+ */
+export const send_pledge_reminders = (pledge_ids?: number[]): Promise<PledgeReminderResult> =>
+    send_json('/donors/pledges/reminders', 'POST', pledge_ids ? { pledge_ids } : {});
+
+// --- ROLES & PERMISSIONS ---
+
+/**
+ * Fetches every role with its granted permission keys. Requires `roles:manage`.
+ */
+export const fetch_roles = async (): Promise<Role[]> => {
+    if (USE_MOCK_API) return [];
+    const response = await api_fetch('/roles');
+    return handle_response(response);
+};
+
+/**
+ * Fetches the catalogue of permission keys that can be granted to roles.
+ */
+export const fetch_permissions = async (): Promise<Permission[]> => {
+    if (USE_MOCK_API) return [];
+    const response = await api_fetch('/roles/permissions');
+    return handle_response(response);
+};
+
+/**
+ * Creates a role, or replaces an existing role's description and permissions.
+ * @param role The role to save; `is_new` selects POST /roles over PUT /roles/:role.
+ * @returns The saved role as stored by the backend.
+ */
+export const save_role = async (role: { role_name: string, description: string | null, permissions: string[] }, is_new: boolean): Promise<Role> => {
+    if (USE_MOCK_API) throw new Error('Roles are not available with the mock API.');
+    return is_new
+        ? send_json('/roles', 'POST', role)
+        : send_json(`/roles/${encodeURIComponent(role.role_name)}`, 'PUT', { description: role.description, permissions: role.permissions });
+};
+
+/**
+ * Deletes a custom role. Built-in roles and roles still assigned to users are refused.
+ */
+export const delete_role = async (role_name: string): Promise<void> => {
+    if (USE_MOCK_API) throw new Error('Roles are not available with the mock API.');
+    await send_json(`/roles/${encodeURIComponent(role_name)}`, 'DELETE');
+};
+
+// --- API KEYS ---
+
+/**
+ * Fetches every API key (never the secrets). Requires `api_keys:manage`.
+ */
+export const fetch_api_keys = async (): Promise<ApiKey[]> => {
+    if (USE_MOCK_API) return [];
+    const response = await api_fetch('/api-keys');
+    return handle_response(response);
+};
+
+/**
+ * Fetches the scopes the logged-in admin may put on a key: their own permissions.
+ */
+export const fetch_api_key_scopes = async (): Promise<Permission[]> => {
+    if (USE_MOCK_API) return [];
+    const response = await api_fetch('/api-keys/scopes');
+    return handle_response(response);
+};
+
+/**
+ * Creates an API key.
+ * @returns The stored key plus `key`, the secret, which the backend never returns again.
+ */
+export const create_api_key = async (api_key: { name: string, scopes: string[], expires_at: string | null, rate_limit_per_minute: number | null }): Promise<CreatedApiKey> => {
+    if (USE_MOCK_API) throw new Error('API keys are not available with the mock API.');
+    return send_json('/api-keys', 'POST', api_key);
+};
+
+/**
+ * Revokes an API key; requests using it fail from then on.
+ */
+export const revoke_api_key = async (api_key_id: number): Promise<string> => {
+    if (USE_MOCK_API) throw new Error('API keys are not available with the mock API.');
+    const data = await send_json(`/api-keys/${api_key_id}`, 'DELETE');
+    return data?.message || 'API key revoked.';
+};
+
+// --- RECORD OWNERSHIP ---
+
+/**
+ * Fetches the users that can appear as a record owner, for owner pickers and filters.
+ */
+export const fetch_owners = async (): Promise<RecordOwner[]> => {
+    if (USE_MOCK_API) return [{ user_id: MOCK_USER.user_id, username: MOCK_USER.username }];
+    const response = await api_fetch('/ownership/owners');
+    return handle_response(response);
+};
+
+/**
+ * Hands a record over to another approved user.
+ * @returns The updated record row.
+ */
+export const transfer_record_owner = async (entity_id: FrfEntity['id'], record_id: string, owner_id: number): Promise<AnyRecord> => {
+    if (USE_MOCK_API) throw new Error('Ownership transfer is not available with the mock API.');
+    return send_json(`/${entity_id}/${record_id}/owner`, 'POST', { owner_id });
+};
+
+/**
+ * Moves every record owned by one user to another, e.g. when a coordinator leaves.
+ * @param entities Limit the move to these entities; all of them when omitted.
+ */
+export const reassign_records = async (from_user_id: number, to_user_id: number, entities?: FrfEntity['id'][]): Promise<ReassignResult> => {
+    if (USE_MOCK_API) throw new Error('Reassigning records is not available with the mock API.');
+    return send_json('/ownership/reassign', 'POST', { from_user_id, to_user_id, ...(entities ? { entities } : {}) });
+};
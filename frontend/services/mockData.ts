@@ -8,11 +8,16 @@ const mock_database: Record<FrfEntity['id'], AnyRecord[]> = {
     board: [],
     projects: [],
     finance: [],
+    campaigns: [],
 };
 
 // --- Helper to generate a unique ID ---
 const generate_id = () => `id_${new Date().getTime()}_${Math.random().toString(36).substr(2, 9)}`;
 
+// --- Helper to generate sequential subform row IDs ---
+let row_id_counter = 1;
+const next_row_id = () => row_id_counter++;
+
 // Helper for creating past dates
 const past_date = (days: number) => {
     const date = new Date();
@@ -33,8 +38,8 @@ const initialize_mock_database = () => {
             date_of_birth: '2012-05-15', father_name: 'Ramesh Sharma', blood_group: 'O+', mother_name: 'Sunita Sharma', parents_contact_number: '9876543210', address: '123 School Lane, Mumbai, MH', monthly_income: 25000, permanent_address: '123 School Lane, Mumbai, MH',
             class: 'Class 7', section: 'A', medium: 'English', school: 'City International School',
             session_logs: [
-                { date: past_date(10), course: 'Mathematics', topic_covered: 'Algebra', interest_level: 'High', challenges_faced: 'None', understanding_level: 5, overall_score: 95, remarks: 'Excellent', feedback: 'Keep it up', home_work: 'Chapter 3' },
-                { date: past_date(3), course: 'Science', topic_covered: 'Photosynthesis', interest_level: 'Medium', challenges_faced: 'Diagrams', understanding_level: 4, overall_score: 88, remarks: 'Good', feedback: 'Practice drawing', home_work: 'Chapter 5' }
+                { session_log_id: next_row_id(), session_date: past_date(10).slice(0, 10), course: 'Mathematics', topic_covered: 'Algebra', interest_level: 'High', challenges_faced: 'None', understanding_level: 5, overall_score: 95, remarks: 'Excellent', feedback: 'Keep it up', home_work: 'Chapter 3' },
+                { session_log_id: next_row_id(), session_date: past_date(3).slice(0, 10), course: 'Science', topic_covered: 'Photosynthesis', interest_level: 'Medium', challenges_faced: 'Diagrams', understanding_level: 4, overall_score: 88, remarks: 'Good', feedback: 'Practice drawing', home_work: 'Chapter 5' }
             ]
         },
         {
@@ -42,7 +47,7 @@ const initialize_mock_database = () => {
             date_of_birth: '2014-02-20', father_name: 'Suresh Patel', blood_group: 'A+', mother_name: 'Meena Patel', parents_contact_number: '9821098765', address: '456 Lake View, Bhopal, MP', monthly_income: 18000, permanent_address: '456 Lake View, Bhopal, MP',
             class: 'Class 5', section: 'B', medium: 'Hindi', school: 'Government Model School',
             session_logs: [
-                { date: past_date(8), course: 'Hindi', topic_covered: 'Grammar', interest_level: 'High', challenges_faced: 'None', understanding_level: 5, overall_score: 92, remarks: 'Very attentive', feedback: 'Excellent work', home_work: 'Essay writing' }
+                { session_log_id: next_row_id(), session_date: past_date(8).slice(0, 10), course: 'Hindi', topic_covered: 'Grammar', interest_level: 'High', challenges_faced: 'None', understanding_level: 5, overall_score: 92, remarks: 'Very attentive', feedback: 'Excellent work', home_work: 'Essay writing' }
             ]
         },
         {
@@ -50,7 +55,7 @@ const initialize_mock_database = () => {
             date_of_birth: '2010-11-30', father_name: 'Imran Khan', blood_group: 'B+', mother_name: 'Fatima Khan', parents_contact_number: '9988776655', address: '789 Royal Gardens, Delhi', monthly_income: 45000, permanent_address: '789 Royal Gardens, Delhi',
             class: 'Class 9', section: 'C', medium: 'English', school: 'Delhi Public School',
             session_logs: [
-                { date: past_date(15), course: 'Physics', topic_covered: 'Laws of Motion', interest_level: 'Medium', challenges_faced: 'Numerical problems', understanding_level: 3, overall_score: 75, remarks: 'Needs practice', feedback: 'Focus on application', home_work: 'Solve problem set' }
+                { session_log_id: next_row_id(), session_date: past_date(15).slice(0, 10), course: 'Physics', topic_covered: 'Laws of Motion', interest_level: 'Medium', challenges_faced: 'Numerical problems', understanding_level: 3, overall_score: 75, remarks: 'Needs practice', feedback: 'Focus on application', home_work: 'Solve problem set' }
             ]
         }
     ];
@@ -61,17 +66,17 @@ const initialize_mock_database = () => {
             id: 'vol_1', volunteer_frf_name: 'Rohan Gupta', volunteer_frf_owner: 'Coordinator', volunteer_id: 'VOL-001', email: 'rohan.gupta@example.com', email_opt_out: false, created_by_date: past_date(200), modified_by: 'Admin User', modified_date: past_date(10),
             gender: 'Male', date_of_birth: '1995-11-20', father_name: 'Anil Gupta', mother_name: 'Rekha Gupta', contact_number: '9123456780', emergency_contact_number: '9123456781', address: '789 Tech Park, Bengaluru, KA', blood_group: 'B+',
             company_name: 'Tech Solutions Inc.', experience: '5 years in software development', skill: 'Teaching', id_proof_type: 'Aadhar Card', id_number: '1234 5678 9012', joining_date: '2023-01-10', proof_file_upload: '#',
-            attendance: [
-                { date: past_date(7), attendance: 'Present', performance: 'Engaged well with students.', remarks: 'Good session.' },
-                { date: past_date(14), attendance: 'Present', performance: 'Helped organize the event.', remarks: 'Very proactive.' },
+            attendance_logs: [
+                { attendance_id: next_row_id(), attendance_date: past_date(7).slice(0, 10), attendance_status: 'Present', performance: 'Engaged well with students.', remarks: 'Good session.' },
+                { attendance_id: next_row_id(), attendance_date: past_date(14).slice(0, 10), attendance_status: 'Present', performance: 'Helped organize the event.', remarks: 'Very proactive.' },
             ]
         },
         {
             id: 'vol_2', volunteer_frf_name: 'Anika Desai', volunteer_frf_owner: 'Coordinator', volunteer_id: 'VOL-002', email: 'anika.desai@example.com', email_opt_out: false, created_by_date: past_date(180), modified_by: 'Admin User', modified_date: past_date(20),
             gender: 'Female', date_of_birth: '1998-03-12', father_name: 'Mahesh Desai', mother_name: 'Jaya Desai', contact_number: '9876501234', emergency_contact_number: '9876501235', address: '321 Art Street, Pune, MH', blood_group: 'AB+',
             company_name: 'Creative Minds', experience: '3 years in graphic design', skill: 'Event Management', id_proof_type: 'Passport', id_number: 'M1234567', joining_date: '2023-03-15', proof_file_upload: '#',
-            attendance: [
-                { date: past_date(10), attendance: 'Present', performance: 'Designed all event banners.', remarks: 'Excellent creative input.' }
+            attendance_logs: [
+                { attendance_id: next_row_id(), attendance_date: past_date(10).slice(0, 10), attendance_status: 'Present', performance: 'Designed all event banners.', remarks: 'Excellent creative input.' }
             ]
         }
     ];
@@ -80,17 +85,17 @@ const initialize_mock_database = () => {
     const mock_donors: Donor[] = [
         {
             id: 'don_1', donor_frf_name: 'Rajesh Singh', donor_frf_owner: 'Fundraising Team', donor_id: 'DON-IND-001', email: 'rajesh.singh@example.com', email_opt_out: false, created_by_date: past_date(80), modified_by: 'Admin User', modified_date: past_date(30),
-            type: 'Individual', contact_number: '9998887770', address: '555 Wealth Avenue, Gurgaon, HR',
+            donor_type: 'Individual', contact_number: '9998887770', address: '555 Wealth Avenue, Gurgaon, HR',
             donations: [
-                { date: past_date(30), transaction_id: 'TXN12345', purpose: 'Mid-day Meal Program', receipt_number: 'REC-001', '80G_receipt_issued': 'Yes', acknowledgment_sent: 'Yes', donor_feedback: 'Happy to contribute.', remarks: '', amount: 5000 }
+                { donation_id: next_row_id(), donation_date: past_date(30).slice(0, 10), transaction_id: 'TXN12345', purpose: 'Mid-day Meal Program', receipt_number: 'REC-001', '80g_receipt_issued': true, acknowledgment_sent: true, donor_feedback: 'Happy to contribute.', remarks: '', amount: 5000 }
             ]
         },
         {
             id: 'don_2', donor_frf_name: 'Future Foundation', donor_frf_owner: 'Fundraising Team', donor_id: 'DON-CORP-001', email: 'contact@futurefoundation.org', email_opt_out: false, created_by_date: past_date(250), modified_by: 'Admin User', modified_date: past_date(45),
-            type: 'Corporate', contact_person: 'Sunita Agarwal', contact_number: '022-23456789', address: 'Global Business Park, Mumbai, MH',
+            donor_type: 'Corporate', contact_person: 'Sunita Agarwal', contact_number: '022-23456789', address: 'Global Business Park, Mumbai, MH',
             donations: [
-                { date: past_date(100), transaction_id: 'TXN67890', purpose: 'Digital Literacy Project', receipt_number: 'REC-002', '80G_receipt_issued': 'Yes', acknowledgment_sent: 'Yes', donor_feedback: 'Pleased with the project progress.', remarks: 'Annual donation', amount: 250000 },
-                { date: past_date(45), transaction_id: 'TXN101112', purpose: 'Scholarship Fund', receipt_number: 'REC-008', '80G_receipt_issued': 'No', acknowledgment_sent: 'Yes', donor_feedback: '', remarks: '', amount: 150000 }
+                { donation_id: next_row_id(), donation_date: past_date(100).slice(0, 10), transaction_id: 'TXN67890', purpose: 'Digital Literacy Project', receipt_number: 'REC-002', '80g_receipt_issued': true, acknowledgment_sent: true, donor_feedback: 'Pleased with the project progress.', remarks: 'Annual donation', amount: 250000 },
+                { donation_id: next_row_id(), donation_date: past_date(45).slice(0, 10), transaction_id: 'TXN101112', purpose: 'Scholarship Fund', receipt_number: 'REC-008', '80g_receipt_issued': false, acknowledgment_sent: true, donor_feedback: '', remarks: '', amount: 150000 }
             ]
         }
     ];
@@ -166,7 +171,7 @@ const initialize_mock_database = () => {
             id: 'proj_1', project_frf_name: 'Project Shiksha', project_frf_owner: 'Project Manager', project_id: 'PROJ-EDU-01', email: 'shiksha@example.com', email_opt_out: false, created_by_date: past_date(400), modified_by: 'P. Manager', modified_date: past_date(15),
             status: 'Ongoing', start_date: '2023-04-01', duration: '24 months', objective: 'To provide quality education to underprivileged children.', budget: 500000, budget_utilized: 125000, impact_summary: 'Enrolled 150 new students.', location: 'Rural Maharashtra', target_group: 'Children aged 6-14', responsible_officer: 'Meena Kumari',
             attendance_logs: [
-                { date: past_date(20), attent_list: '145 students, 10 volunteers', absent_list: '5 students', overall: 'Successful community engagement event.', remarks: '' }
+                { project_attendance_log_id: next_row_id(), log_date: past_date(20).slice(0, 10), attent_list: '145 students, 10 volunteers', absent_list: '5 students', overall: 'Successful community engagement event.', remarks: '' }
             ]
         },
         {
@@ -181,16 +186,16 @@ const initialize_mock_database = () => {
         {
             id: 'fin_1', finance_report_frf_name: 'Q1 2024 Expenses - Project Shiksha', finance_report_frf_owner: 'Finance Department', project_name: 'Project Shiksha', email: 'finance@example.com', email_opt_out: false, created_by_date: past_date(90), modified_by: 'F. Manager', modified_date: past_date(25),
             transactions: [
-                { date: past_date(80), name: 'Stationery Purchase', income_amount: 0, expense_amount: 15000, bill_transaction_id: 'BILL-456', gst: 18, remarks: 'For student kits', other_details: '' },
-                { date: past_date(75), name: 'Volunteer Transportation', income_amount: 0, expense_amount: 5000, bill_transaction_id: 'BILL-457', gst: 5, remarks: 'Monthly travel allowance', other_details: '' },
-                 { date: past_date(70), name: 'Grant from Future Foundation', income_amount: 150000, expense_amount: 0, bill_transaction_id: 'TXN101112', gst: 0, remarks: 'Scholarship fund', other_details: '' }
+                { transaction_id: next_row_id(), transaction_date: past_date(80).slice(0, 10), name: 'Stationery Purchase', income_amount: 0, expense_amount: 15000, bill_transaction_id: 'BILL-456', gst: 18, remarks: 'For student kits', other_details: '' },
+                { transaction_id: next_row_id(), transaction_date: past_date(75).slice(0, 10), name: 'Volunteer Transportation', income_amount: 0, expense_amount: 5000, bill_transaction_id: 'BILL-457', gst: 5, remarks: 'Monthly travel allowance', other_details: '' },
+                 { transaction_id: next_row_id(), transaction_date: past_date(70).slice(0, 10), name: 'Grant from Future Foundation', income_amount: 150000, expense_amount: 0, bill_transaction_id: 'TXN101112', gst: 0, remarks: 'Scholarship fund', other_details: '' }
             ]
         },
         {
             id: 'fin_2', finance_report_frf_name: 'Annual Donations Report 2023', finance_report_frf_owner: 'Finance Department', project_name: 'General Fund', email: 'finance@example.com', email_opt_out: false, created_by_date: past_date(150), modified_by: 'F. Manager', modified_date: past_date(120),
             transactions: [
-                { date: past_date(200), name: 'Donation from Rajesh Singh', income_amount: 5000, expense_amount: 0, bill_transaction_id: 'TXN12345', gst: 0, remarks: '', other_details: '' },
-                { date: past_date(250), name: 'Corporate Donation - Future Foundation', income_amount: 250000, expense_amount: 0, bill_transaction_id: 'TXN67890', gst: 0, remarks: '', other_details: '' }
+                { transaction_id: next_row_id(), transaction_date: past_date(200).slice(0, 10), name: 'Donation from Rajesh Singh', income_amount: 5000, expense_amount: 0, bill_transaction_id: 'TXN12345', gst: 0, remarks: '', other_details: '' },
+                { transaction_id: next_row_id(), transaction_date: past_date(250).slice(0, 10), name: 'Corporate Donation - Future Foundation', income_amount: 250000, expense_amount: 0, bill_transaction_id: 'TXN67890', gst: 0, remarks: '', other_details: '' }
             ]
         }
     ];
@@ -236,7 +241,7 @@ export const add_mock_record = (entity_id: FrfEntity['id'], record_data: Partial
 
     const new_record: AnyRecord = {
         ...record_data,
-        id: generate_id(),
+        id: (record_data as any).id || generate_id(),
         created_by_date: new Date().toISOString(),
         modified_by: 'Current User', // Mock user
         modified_date: new Date().toISOString(),
@@ -246,7 +251,7 @@ export const add_mock_record = (entity_id: FrfEntity['id'], record_data: Partial
     // Initialize empty sub-forms to prevent runtime errors on detail view
     switch (entity_id) {
         case 'students': (new_record as Student).session_logs = []; break;
-        case 'volunteers': (new_record as Volunteer).attendance = []; break;
+        case 'volunteers': (new_record as Volunteer).attendance_logs = []; break;
         case 'donors': (new_record as Donor).donations = []; break;
         case 'projects': (new_record as Project).attendance_logs = []; break;
         case 'finance': (new_record as FinanceReport).transactions = []; break;
@@ -258,5 +263,15 @@ export const add_mock_record = (entity_id: FrfEntity['id'], record_data: Partial
     return new_record;
 };
 
+export const update_mock_record = (entity_id: FrfEntity['id'], record_id: string, changes: Partial<AnyRecord>): AnyRecord => {
+    const records = mock_database[entity_id];
+    const index = records?.findIndex(rec => rec.id === record_id) ?? -1;
+    if (index < 0) {
+        throw new Error(`Record not found: ${entity_id}/${record_id}`);
+    }
+    records[index] = { ...records[index], ...changes, modified_date: new Date().toISOString() } as AnyRecord;
+    return records[index];
+};
+
 // Initialize the data on script load
 initialize_mock_database();
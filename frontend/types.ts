@@ -5,24 +5,162 @@ export interface FormField {
   label: string;
   type: 'text' | 'textarea' | 'select' | 'number' | 'date';
   required?: boolean;
+  read_only_on_edit?: boolean; // e.g. primary keys
   default_value?: string | number;
   options?: string[];
+  lookup?: LookupId; // Select options loaded from the backend instead of `options`
+}
+
+// Backend-provided select options (context/LookupsContext)
+export type LookupId = 'projects' | 'expense_categories' | 'campaigns';
+
+export interface LookupOption {
+  value: string;
+  label: string;
 }
 
 export interface FilterDefinition {
   key: string;
   label: string;
-  type: 'az' | 'text' | 'dropdown' | 'range' | 'daterange';
+  type: 'az' | 'text' | 'dropdown' | 'range' | 'daterange' | 'user';
   options?: string[];
+  lookup?: LookupId; // Dropdown options loaded from the backend instead of `options`
+}
+
+// Built-in roles are member, finance, admin and super_admin; a super_admin can add more
+export type UserRole = string;
+
+// Shape returned by GET /users/me
+export interface CurrentUser {
+  user_id: number;
+  username: string;
+  email: string;
+  user_role: UserRole;
+  approval_status: 'UNVERIFIED' | 'PENDING' | 'APPROVED' | 'REJECTED';
+  permissions: string[]; // e.g. 'donors:read', 'finance:transactions:write'
+}
+
+// --- Roles & permissions (GET /roles, GET /roles/permissions) ---
+export interface Permission {
+  permission_key: string;
+  description: string;
+}
+
+export interface Role {
+  role_name: string;
+  description: string | null;
+  is_system: boolean;
+  permissions: string[];
+  user_count: number;
+}
+
+// --- API keys for integrations (GET /api-keys) ---
+export interface ApiKey {
+  api_key_id: number;
+  name: string;
+  key_prefix: string;        // e.g. 'ngo_1a0a4df2', enough to recognise a key
+  scopes: string[];          // permission keys
+  rate_limit_per_minute: number;
+  expires_at: string | null;
+  last_used_at: string | null;
+  last_used_ip: string | null;
+  created_at: string;
+  revoked_at: string | null;
+  created_by_user_id: number | null;
+  created_by_username: string | null;
+}
+
+// Only the create response carries the key itself
+export interface CreatedApiKey extends ApiKey {
+  key: string;
+}
+
+// --- Record ownership (GET /ownership/owners, POST /ownership/reassign) ---
+// Only approved users are listed
+export interface RecordOwner {
+  user_id: number;
+  username: string;
+}
+
+export interface ReassignResult {
+  total: number;
+  moved: Partial<Record<FrfEntity['id'], number>>;
+}
+
+// Outcome of the password step of POST /users/login
+export type LoginStep =
+  | { status: 'done' }
+  | { status: 'mfa_required'; mfa_token: string }
+  | { status: 'mfa_enrollment_required'; mfa_token: string };
+
+// Shape returned when starting TOTP enrolment; qr_code is a PNG data URL
+export interface TotpSetup {
+  secret: string;
+  otpauth_url: string;
+  qr_code: string;
+}
+
+// Row of GET /users (admin user console)
+export interface ManagedUser {
+  user_id: number;
+  username: string;
+  email: string;
+  user_role: UserRole;
+  approval_status: CurrentUser['approval_status'];
+  account_state: 'active' | 'locked' | 'deactivated';
+  created_at: string;
+  last_login_at: string | null;
+  failed_attempts: number;
+  locked_until: string | null;
+  deactivated_at: string | null;
+  two_factor_enabled: boolean;
+}
+
+export interface UserListParams {
+  page: number;
+  page_size: number;
+  search?: string;
+  user_role?: string;
+  approval_status?: string;
+  account_state?: string;
+  sort?: string;
+  order?: 'asc' | 'desc';
+}
+
+export interface UserListResult {
+  users: ManagedUser[];
+  total: number;
+}
+
+// Row of GET /users/me/sessions; `current` marks the session making the request
+export interface UserSession {
+  session_id: string;
+  device: string | null;
+  ip_address: string | null;
+  created_at: string;
+  last_used_at: string | null;
+  expires_at: string;
+  current?: boolean;
+}
+
+// Shape returned by GET /users/me/2fa
+export interface TwoFactorStatus {
+  enabled: boolean;
+  enabled_at: string | null;
+  required: boolean;
+  recovery_codes_left: number;
 }
 
 export interface FrfEntity {
-  id: 'students' | 'volunteers' | 'donors' | 'board' | 'projects' | 'finance';
+  id: 'students' | 'volunteers' | 'donors' | 'board' | 'projects' | 'finance' | 'campaigns';
   name: string;
   icon: React.ReactNode;
   summary_fields: string[];
   create_fields?: FormField[];
   filters?: FilterDefinition[];
+  importable?: boolean; // Whether the backend exposes POST /:entity/import
+  money_fields?: string[]; // Summary fields shown as currency
+  segments?: boolean; // Whether list filters can be saved as named segments (donors)
 }
 
 // Base record with common administrative fields from PDFs
@@ -41,7 +179,8 @@ interface BaseFrfRecord {
 
 // --- Student FRF ---
 export interface StudentSessionLog {
-  date: string;
+  session_log_id?: number;
+  session_date: string; // YYYY-MM-DD
   course: string;
   topic_covered: string;
   interest_level: string;
@@ -74,12 +213,77 @@ export interface Student extends BaseFrfRecord {
   session_logs: StudentSessionLog[];
   // Calculated field for summary/filtering
   avg_overall_score?: number;
+  risk_flags?: StudentRiskFlag[];
+}
+
+// --- Student progress (worked out from the session logs) ---
+export type StudentRiskFlag = 'declining' | 'inactive';
+export type CohortGroup = 'class' | 'section' | 'school';
+
+// GET /students/:id/progress
+export interface StudentProgress {
+  student_id: string;
+  student_name: string;
+  class: string | null;
+  section: string | null;
+  school: string | null;
+  sessions: number;
+  first_session_date: string | null;
+  last_session_date: string | null;
+  days_since_last_session: number | null;
+  sessions_per_week: number | null;   // since the first session
+  recent_sessions: number;            // within the inactivity window
+  average_score: number | null;
+  average_understanding: number | null;
+  recent_average: number | null;      // last 3 scored sessions
+  previous_average: number | null;    // the 3 before those
+  score_change: number | null;
+  risk_flags: StudentRiskFlag[];
+  thresholds: { inactive_weeks: number, decline_points: number };
+  timeline: { session_log_id: number, session_date: string, course: string | null, overall_score: number | null, understanding_level: number | null, interest_level: string | null, rolling_average: number | null }[];
+  by_course: { course: string, sessions: number, average_score: number | null, average_understanding: number | null, last_session_date: string, latest_score: number | null }[];
+  monthly: { month: string, sessions: number, average_score: number | null }[]; // last 12 months
+  interest: { interest_level: string, sessions: number }[];
+  challenges: { session_date: string, course: string | null, challenges_faced: string }[];
+}
+
+// GET /students/progress/cohorts
+export interface StudentCohort {
+  cohort: string;
+  students: number;
+  students_with_sessions: number;
+  sessions: number;
+  recent_sessions: number;
+  average_score: number | null;
+  average_understanding: number | null;
+  at_risk: number;
+  declining: number;
+  inactive: number;
+}
+
+// GET /students/progress/at-risk
+export interface AtRiskStudent {
+  id: string;
+  student_frf_name: string;
+  student_frf_owner: number | null;
+  class: string | null;
+  section: string | null;
+  school: string | null;
+  sessions: number;
+  last_session_date: string | null;
+  days_since_last_session: number | null;
+  average_score: number | string | null;
+  recent_average: number | string | null;
+  previous_average: number | string | null;
+  score_change: number | string | null;
+  risk_flags: StudentRiskFlag[];
 }
 
 // --- Volunteer FRF ---
 export interface VolunteerAttendance {
-  date: string;
-  attendance: 'Present' | 'Absent';
+  attendance_id?: number;
+  attendance_date: string; // YYYY-MM-DD
+  attendance_status: 'Present' | 'Absent';
   performance: string;
   remarks: string;
 }
@@ -107,10 +311,12 @@ export interface Volunteer extends BaseFrfRecord {
   joining_date: string;
   proof_file_upload: string; // URL
   // Subform
-  attendance: VolunteerAttendance[];
+  attendance_logs: VolunteerAttendance[];
 }
 
 // --- Donor FRF ---
+export type AcknowledgmentStatus = 'PENDING' | 'SENDING' | 'SENT' | 'FAILED' | 'SKIPPED';
+
 export interface DonationDetail {
   donation_id?: number;
   donation_date: string;
@@ -119,9 +325,72 @@ export interface DonationDetail {
   receipt_number: string;
   '80g_receipt_issued': boolean;       // matches backend
   acknowledgment_sent: boolean; 
+  acknowledgment_status?: AcknowledgmentStatus | null; // latest outbox state of the thank-you mail
   donor_feedback: string;
   remarks: string;
   amount: number;
+  pledge_id?: number | null; // the pledge this gift pays towards
+  campaign_id?: string | null; // the fundraising campaign it is attributed to
+}
+
+// --- Donor pledges (recurring gifts) ---
+export type PledgeFrequency = 'monthly' | 'quarterly' | 'annual';
+export type PledgeStanding = 'current' | 'overdue' | 'lapsed' | 'completed' | 'paused' | 'cancelled';
+
+export interface DonorPledge {
+  pledge_id: number;
+  donor_id: string;
+  amount: number | string;
+  frequency: PledgeFrequency;
+  start_date: string;
+  end_date: string | null;
+  channel: string | null;
+  purpose: string | null;
+  status: 'active' | 'paused' | 'cancelled';
+  remarks: string | null;
+  last_reminded_at: string | null;
+  reminder_count: number;
+  // Worked out by the backend from the linked donations
+  installments_due: number;
+  missed_installments: number;
+  received_amount: number | string;
+  overdue_amount: number | string;
+  oldest_unpaid_due: string;
+  last_donation_date: string | null;
+  standing: PledgeStanding;
+}
+
+export interface PledgeInstallment {
+  due_date: string;
+  amount: number;
+  paid_amount: number;
+  paid_on: string | null;
+  status: 'paid' | 'due' | 'overdue' | 'upcoming';
+}
+
+export interface PledgeSchedule {
+  pledge: DonorPledge;
+  donations: Pick<DonationDetail, 'donation_id' | 'donation_date' | 'amount' | 'transaction_id' | 'purpose'>[];
+  installments: PledgeInstallment[];
+  expected_to_date: number;
+  received: number;
+  balance: number;
+  unallocated: number; // paid ahead of the schedule shown
+}
+
+// A row of the Pledge Dues report
+export interface OverduePledge extends DonorPledge {
+  donor_frf_name: string;
+  donor_type: 'Individual' | 'Corporate';
+  email: string;
+  email_opt_out: boolean;
+  donor_frf_owner: number | null;
+  donor_frf_owner_username: string | null;
+}
+
+export interface PledgeReminderResult {
+  queued: { pledge_id: number, donor_id: string, email_id: number }[];
+  skipped: { pledge_id: number, donor_id: string, reason: string }[];
 }
 
 export interface Donor extends BaseFrfRecord {
@@ -129,12 +398,66 @@ export interface Donor extends BaseFrfRecord {
   donor_frf_owner: string;
   // Donor Details
   donor_id: string;
-  type: 'Individual' | 'Corporate';
+  donor_type: 'Individual' | 'Corporate';
   contact_person?: string; // For company
   contact_number: string;
   address: string;
-  // Subform
+  pan?: string; // Printed on 80G receipts
+  // Giving, computed from the donations (GET /donors and GET /donors/:id)
+  lifetime_giving?: number | string;
+  gift_count?: number;
+  average_gift?: number | string | null;
+  first_gift_date?: string | null;
+  last_gift_date?: string | null;
+  days_since_last_gift?: number | null;
+  recency_score?: number | null;
+  frequency_score?: number | null;
+  monetary_score?: number | null;
+  giving_segment?: GivingSegment | null;
+  pledge_standing?: PledgeStanding | null;
+  campaign_ids?: string[]; // campaigns the donor gave to (GET /donors)
+  // Subforms
   donations: DonationDetail[];
+  pledges?: DonorPledge[];
+}
+
+// --- Donor analytics ---
+export type GivingSegment = 'Champions' | 'Loyal' | 'New' | 'Promising' | 'At risk' | 'Hibernating' | 'Lost';
+
+export interface DonorAnalytics {
+  summary: {
+    donors: number;
+    donors_with_gifts: number;
+    active_donors: number; // gave in the last 12 months
+    lifetime_giving: number | string;
+    gifts: number;
+    average_gift: number | string;
+  };
+  retention: {
+    financial_year: string; // e.g. 2025-26
+    donors: number;
+    giving: number | string;
+    new_donors: number;
+    retained_donors: number;
+    reactivated_donors: number;
+    previous_donors: number;
+    lapsed_donors: number;
+    retention_rate: number | null; // percent of last year's donors who gave again
+  }[];
+  segments: { segment: GivingSegment, donors: number, lifetime_giving: number | string }[];
+}
+
+// A saved donor list; criteria are the list query parameters (filters, search, sort)
+export interface DonorSegment {
+  segment_id: number;
+  name: string;
+  description: string | null;
+  criteria: Record<string, string>;
+  shared: boolean;
+  created_by_user_id: number | null;
+  created_by_username?: string | null;
+  created_at: string;
+  updated_at: string;
 }
 
 // --- Board of Trustees FRF ---
@@ -167,7 +490,8 @@ export interface BoardMember extends BaseFrfRecord {
 
 // --- Project FRF ---
 export interface ProjectAttendanceLog {
-    date: string;
+    project_attendance_log_id?: number;
+    log_date: string; // YYYY-MM-DD
     attent_list: string;
     absent_list: string;
     overall: string;
@@ -189,6 +513,7 @@ export interface Project extends BaseFrfRecord {
   location: string;
   target_group: string;
   responsible_officer: string;
+  responsible_officer_user_id?: number;
   status: 'Planning' | 'Ongoing' | 'Completed' | 'On-Hold';
   // Subform
   attendance_logs: ProjectAttendanceLog[];
@@ -196,7 +521,8 @@ export interface Project extends BaseFrfRecord {
 
 // --- Finance Report FRF ---
 export interface FinanceTransaction {
-  date: string;
+  transaction_id?: number;
+  transaction_date: string; // YYYY-MM-DD
   name: string;
   income_amount: number;
   expense_amount: number;
@@ -204,14 +530,384 @@ export interface FinanceTransaction {
   gst: number;
   remarks: string;
   other_details: string;
+  project_id?: string | null; // Falls back to the report's project
+  project_frf_name?: string | null;
+  category_id?: number | null;
+  category_name?: string | null;
+  status?: 'draft' | 'posted'; // Only posted rows count towards project budgets
 }
 
 export interface FinanceReport extends BaseFrfRecord {
   finance_report_frf_name: string;
   finance_report_frf_owner: string;
-  project_name: string;
+  project_name: string; // Free text from before reports were linked to projects
+  project_id?: string | null;
+  project_frf_name?: string | null;
+  campaign_id?: string | null;
+  campaign_frf_name?: string | null;
   // Subform
   transactions: FinanceTransaction[];
 }
 
-export type AnyRecord = Student | Volunteer | Donor | BoardMember | Project | FinanceReport;
\ No newline at end of file
+export interface ExpenseCategory {
+  category_id: number;
+  name: string;
+  description: string | null;
+}
+
+export interface FinanceLookups {
+  projects: { id: string, project_frf_name: string }[];
+  expense_categories: ExpenseCategory[];
+}
+
+// --- Fundraising campaigns ---
+export type CampaignChannel = 'Email' | 'Social media' | 'Event' | 'Direct mail' | 'Phone' | 'Website' | 'Corporate outreach' | 'Other';
+export type CampaignStatus = 'Upcoming' | 'Active' | 'Ended';
+
+// Campaigns have no contact emails
+export interface Campaign extends Omit<BaseFrfRecord, 'email' | 'secondary_email' | 'email_opt_out'> {
+  campaign_frf_name: string;
+  campaign_frf_owner: string;
+  goal_amount: number | string;
+  start_date: string;
+  end_date: string | null;
+  project_id: string | null;
+  project_frf_name?: string | null;
+  channel: CampaignChannel | null;
+  description: string | null;
+  // Worked out from the attributed donations
+  status: CampaignStatus;
+  raised: number | string;
+  donation_count: number;
+  donor_count: number;
+  percent_of_goal: number | string;
+  donations: CampaignDonation[];
+}
+
+export interface CampaignDonation {
+  donation_id: number;
+  donor_id: string;
+  donor_frf_name: string;
+  donation_date: string;
+  transaction_id?: string | null;
+  purpose: string | null;
+  amount: number | string;
+  remarks?: string | null;
+  campaign_id?: string | null; // candidates only: the campaign it is in now
+  campaign_frf_name?: string | null;
+}
+
+export interface CampaignLookup {
+  id: string;
+  campaign_frf_name: string;
+  start_date: string;
+  end_date: string | null;
+}
+
+// GET /campaigns/:id/progress
+export interface CampaignProgress {
+  campaign_id: string;
+  campaign_name: string;
+  status: CampaignStatus;
+  start_date: string;
+  end_date: string | null;
+  goal: number;
+  raised: number;
+  remaining: number;
+  percent_of_goal: number;
+  donation_count: number;
+  donor_count: number;
+  new_donors: number; // gave for the first time with this campaign
+  average_gift: number | null;
+  largest_gift: number | null;
+  spent: number; // posted expenses on the campaign's finance reports
+  daily: { date: string, amount: number, donations: number, cumulative: number }[];
+}
+
+export interface CampaignAssignResult {
+  assigned: number[];
+  skipped: { donation_id: number, reason: string }[];
+}
+
+// GET /projects/:id/financials; only posted ledger rows count
+export interface ProjectFinancials {
+  project_id: string;
+  project_name: string;
+  budget: number | null;
+  actual_expense: number;
+  actual_income: number;
+  remaining: number | null;
+  utilization_pct: number | null;
+  over_budget: boolean;
+  by_category: { category_id: number | null, category_name: string, expense: number, income: number, budget_share_pct: number | null }[];
+  by_month: { month: string, expense: number, income: number, cumulative_expense: number }[];
+}
+
+// --- Financial statements ---
+export type StatementId = 'income_expenditure' | 'receipts_payments' | 'gst_input';
+
+// `fy` is the year the April–March financial year starts in; otherwise both dates
+export type StatementPeriodParams = { fy: number } | { from: string, to: string };
+
+export interface StatementColumn {
+  key: string;
+  label: string;
+  type: 'text' | 'number' | 'money' | 'date';
+}
+
+export interface StatementSection {
+  title: string;
+  columns: StatementColumn[];
+  rows: ({ line: string | null } & Record<string, any>)[]; // `line` opens the rows behind a figure
+  total: Record<string, any> | null;
+}
+
+export interface FinancialStatement {
+  statement: StatementId;
+  title: string;
+  period: { from: string, to: string, label: string };
+  generated_at: string;
+  sections: StatementSection[];
+  summary: { label: string, amount: number }[];
+}
+
+export interface StatementRows {
+  line: string;
+  label: string;
+  columns: StatementColumn[];
+  rows: Record<string, any>[]; // donations carry donor_id, ledger rows finance_report_id
+  truncated: boolean;
+}
+
+// --- Bank reconciliation ---
+export type BankLineStatus = 'unmatched' | 'matched' | 'ignored';
+
+export interface BankStatement {
+  statement_id: number;
+  account_name: string;
+  file_name: string;
+  format: 'csv' | 'ofx';
+  period_from: string | null;
+  period_to: string | null;
+  line_count: number;
+  duplicate_count: number;
+  uploaded_by: string | null;
+  uploaded_at: string;
+  unmatched_count: number;
+  matched_count: number;
+  ignored_count: number;
+}
+
+// `amount` is signed: credits (money in) positive, debits negative
+export interface BankLine {
+  line_id: number;
+  statement_id: number;
+  file_name: string;
+  account_name: string;
+  line_date: string;
+  description: string | null;
+  reference: string | null;
+  amount: number | string;
+  balance: number | string | null;
+  status: BankLineStatus;
+  donation_id: number | null;
+  donor_id: string | null;
+  donor_frf_name: string | null;
+  transaction_id: number | null;
+  finance_report_id: string | null;
+  transaction_name: string | null;
+  match_method: 'auto' | 'manual' | 'created' | null;
+  note: string | null;
+  reconciled_at: string | null;
+  reconciled_by: string | null;
+}
+
+export interface BankLineListParams {
+  page: number;
+  page_size: number;
+  status?: BankLineStatus;
+  statement_id?: number;
+  search?: string;
+}
+
+export interface BankLineListResult {
+  lines: BankLine[];
+  total: number;
+}
+
+// A donation or ledger row the line could clear, best first
+export interface BankMatchCandidate {
+  kind: 'donation' | 'transaction';
+  id: number;
+  record_date: string;
+  amount: number | string;
+  reference: string | null;
+  label: string;
+  detail: string | null;
+  donor_id: string | null;
+  finance_report_id: string | null;
+  reference_match: boolean;
+  days_apart: number;
+}
+
+export interface BankImportResult {
+  statement: BankStatement;
+  imported: number;
+  duplicates: number;
+  auto_matched: number;
+  unmatched: number;
+  mapping: Record<string, string> | null;
+  errors: { row: number, message: string }[];
+}
+
+// --- Editable subforms (child rows) ---
+export type SubformId = 'session_logs' | 'volunteer_attendance' | 'donations' | 'pledges' | 'project_attendance' | 'transactions';
+
+export interface SubformColumn {
+  key: string;
+  label: string;
+  type: 'text' | 'textarea' | 'number' | 'date' | 'select' | 'checkbox';
+  required?: boolean;
+  options?: string[];
+  min?: number;
+  max?: number;
+  read_only?: boolean; // Shown in the row editor but never sent to the backend
+  lookup?: LookupId;
+}
+
+export interface SubformDefinition {
+  id: SubformId;
+  record_key: string; // array property on the parent detail record
+  row_key: string;    // primary key column of the child row
+  columns: SubformColumn[];
+  permission: string; // needed to add, edit or delete rows
+}
+
+export type AnyRecord = Student | Volunteer | Donor | BoardMember | Project | FinanceReport | Campaign;
+
+// --- Server-side list paging ---
+export interface ListQueryParams {
+  page: number;
+  page_size: number;
+  sort?: string;
+  order?: 'asc' | 'desc';
+  search?: string;
+  filters?: Record<string, any>;
+  filter_defs?: FilterDefinition[];
+}
+
+export type ExportFormat = 'csv' | 'xlsx' | 'pdf';
+
+export interface ListResult {
+  records: AnyRecord[];
+  total: number;
+  page: number;
+  page_size: number;
+}
+
+// --- Audit trail ---
+export type AuditAction = 'CREATE' | 'UPDATE' | 'DELETE' | 'RESTORE' | 'PURGE' | 'MERGE';
+
+export interface AuditEntry {
+  audit_id: number;
+  entity: string;            // FRF entity id, or a SubformId for child rows
+  record_id: string;
+  parent_entity: string | null;
+  parent_id: string | null;
+  action: AuditAction;
+  old_values: Record<string, any> | null;
+  new_values: Record<string, any> | null;
+  ip_address: string | null;
+  created_at: string;
+  actor_user_id: number | null;
+  actor_username: string | null;
+  actor_email: string | null;
+  actor_api_key_id: number | null; // set when an integration made the change
+  actor_api_key_name: string | null;
+}
+
+// --- Duplicate detection and merges ---
+export type MergeEntityId = 'donors' | 'volunteers' | 'students';
+export type MergeSource = 'survivor' | 'merged';
+export type MergeReviewStatus = 'pending' | 'approved' | 'flagged';
+
+// GET /:entity/duplicates; record_a has the lower id
+export interface DuplicatePair {
+  record_a: { id: string, name: string };
+  record_b: { id: string, name: string };
+  score: number;             // out of 100
+  reasons: string[];
+  name_similarity: number;   // 0–1
+  email_match: boolean;
+  phone_match: boolean;
+  address_similarity: number;
+}
+
+// POST /:entity/merge/preview
+export interface MergePreview {
+  survivor: AnyRecord;
+  merged: AnyRecord;
+  fields: { column: string, survivor: any, merged: any, source: MergeSource, result: any }[];
+  children: { table: string, survivor: number, merged: number }[]; // rows per detail table
+  pair: DuplicatePair | null;
+}
+
+export interface RecordMerge {
+  merge_id: number;
+  entity: MergeEntityId;
+  survivor_id: string;
+  merged_id: string;
+  survivor_name: string | null;
+  merged_name: string | null;
+  survivor_exists: boolean;  // false once the kept record is trashed or purged
+  score: number | string | null;
+  reasons: string[];
+  note: string | null;
+  merged_by: number | null;
+  merged_by_username: string | null;
+  merged_at: string;
+  review_status: MergeReviewStatus;
+  reviewed_by: number | null;
+  reviewed_by_username: string | null;
+  reviewed_at: string | null;
+  review_note: string | null;
+  // GET /merges/:merge_id only
+  field_sources?: Record<string, MergeSource>;
+  survivor_before?: AnyRecord;
+  survivor_after?: AnyRecord;
+  merged_record?: AnyRecord;
+  moved_children?: Record<string, (string | number)[]>;
+}
+
+export interface RecordMergeListResult {
+  merges: RecordMerge[];
+  total: number;
+}
+
+// --- Spreadsheet import ---
+export interface ImportField {
+  key: string;
+  label: string;
+  required?: boolean;
+  type?: 'date';
+  options?: string[];
+}
+
+export interface ImportRowResult {
+  row: number;               // Line number in the uploaded file
+  data: Record<string, any>;
+  errors: { field: string | null, message: string }[];
+  imported?: boolean;
+}
+
+export interface ImportResult {
+  dry_run: boolean;
+  headers: string[];
+  mapping: Record<string, string>; // field key -> spreadsheet header
+  fields: ImportField[];
+  total_rows: number;
+  valid_count: number;
+  error_count: number;
+  inserted: number;
+  rows: ImportRowResult[];
+}